@@ -1,12 +1,23 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import LeadsList from './components/LeadsList';
 import ConversationPanel from './components/ConversationPanel';
 import StatsBar from './components/StatsBar';
-import { Lead, DashboardStats } from './types';
-import { leadAPI, dashboardAPI, createSSEConnection, agentAPI } from './services/api';
+import AutomationRulesEditor from './components/AutomationRulesEditor';
+import CampaignsPanel from './components/CampaignsPanel';
+import HandoffQueuePanel from './components/HandoffQueuePanel';
+import DuplicateLeadsPanel from './components/DuplicateLeadsPanel';
+import ConversationSearchPanel from './components/ConversationSearchPanel';
+import AgentConfigPanel from './components/AgentConfigPanel';
+import IntegrationsPanel from './components/IntegrationsPanel';
+import PrivacyPanel from './components/PrivacyPanel';
+import LoginForm from './components/LoginForm';
+import { Lead, DashboardStats, AuthUser, ConversationSearchResult, RealtimeEnvelope } from './types';
+import { leadAPI, dashboardAPI, createSSEConnection, authAPI, humanControlAPI, streamAPI, getAuthToken, onUnauthorized } from './services/api';
 import './index.css';
 
 function App() {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [leads, setLeads] = useState<Lead[]>([]);
   const [selectedLead, setSelectedLead] = useState<Lead | null>(null);
   const [stats, setStats] = useState<DashboardStats>({
@@ -15,32 +26,84 @@ function App() {
     total_conversations: 0,
     active_sessions: 0
   });
+  const [statsDays, setStatsDays] = useState(30);
+  // Read by the SSE handler, which keeps the closure from the first render
+  const statsDaysRef = useRef(30);
   const [loading, setLoading] = useState(true);
-  const [realtimeData, setRealtimeData] = useState<any>(null);
+  const [realtimeData, setRealtimeData] = useState<RealtimeEnvelope | null>(null);
+  // The stream follows the selected lead's live call detail
+  const clientIdRef = useRef<string | null>(null);
+  const selectedLeadIdRef = useRef<string | null>(null);
+  const [showAutomations, setShowAutomations] = useState(false);
+  const [showCampaigns, setShowCampaigns] = useState(false);
+  const [showHandoff, setShowHandoff] = useState(false);
+  const [handoffCount, setHandoffCount] = useState(0);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState<string | null>(null);
 
-  // Transfer number state
   const [showSettings, setShowSettings] = useState(false);
-  const [currentTransferNumber, setCurrentTransferNumber] = useState('');
-  const [newTransferNumber, setNewTransferNumber] = useState('');
-  const [transferLoading, setTransferLoading] = useState(false);
-  const [transferMessage, setTransferMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+  const [showIntegrations, setShowIntegrations] = useState(false);
+  const [showPrivacy, setShowPrivacy] = useState(false);
 
+  // Restore the session from a saved token, and drop it when the server rejects it
   useEffect(() => {
+    const stopListening = onUnauthorized(() => setUser(null));
+
+    if (getAuthToken()) {
+      authAPI.me()
+        .then(setUser)
+        .catch(() => setUser(null))
+        .finally(() => setAuthChecked(true));
+    } else {
+      setAuthChecked(true);
+    }
+
+    return stopListening;
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+
     // Load initial data
     loadLeads();
     loadStats();
-    loadTransferNumber();
+    loadHandoffCount();
 
     // Set up SSE connection
     const clientId = `client_${Date.now()}`;
+    clientIdRef.current = clientId;
     const eventSource = createSSEConnection(clientId, (data) => {
-      handleRealtimeUpdate(data);
+      // A new or reconnected stream starts without a lead subscription
+      if (data.type === 'connected') {
+        if (selectedLeadIdRef.current) followSelectedLead();
+      } else {
+        handleRealtimeUpdate(data);
+      }
     });
 
     return () => {
+      clientIdRef.current = null;
       eventSource.close();
     };
-  }, []);
+  }, [user?.id]);
+
+  useEffect(() => {
+    selectedLeadIdRef.current = selectedLead?.id || null;
+    followSelectedLead();
+  }, [selectedLead?.id]);
+
+  const followSelectedLead = () => {
+    if (!clientIdRef.current) return;
+    streamAPI.subscribe(clientIdRef.current, selectedLeadIdRef.current)
+      .catch(error => console.error('Error following lead:', error));
+  };
+
+  const handleLogout = () => {
+    authAPI.logout();
+    setUser(null);
+    setSelectedLead(null);
+  };
 
   const loadLeads = async () => {
     try {
@@ -53,66 +116,66 @@ function App() {
     }
   };
 
-  const loadStats = async () => {
+  const loadStats = async (days: number = statsDaysRef.current) => {
     try {
-      const statsData = await dashboardAPI.getStats();
+      const statsData = await dashboardAPI.getStats({ days });
       setStats(statsData);
     } catch (error) {
       console.error('Error loading stats:', error);
     }
   };
 
-  const loadTransferNumber = async () => {
+  const loadHandoffCount = async () => {
     try {
-      const response = await agentAPI.getTransferNumber();
-      const transferNumber = response.current_transfer_number;
-      setCurrentTransferNumber(transferNumber);
-      setNewTransferNumber(transferNumber);
+      const queue = await humanControlAPI.getQueue();
+      setHandoffCount(queue.length);
     } catch (error) {
-      console.error('Failed to fetch transfer number:', error);
-      setCurrentTransferNumber('Error loading');
+      console.error('Error loading handoff queue:', error);
     }
   };
 
-  const updateTransferNumber = async () => {
-    if (!newTransferNumber) {
-      setTransferMessage({ type: 'error', text: 'Phone number is required' });
-      return;
+  // Select a lead from the handoff queue or search, fetching it if the list is stale
+  const openLead = async (leadId: string, messageId: string | null = null) => {
+    setShowHandoff(false);
+    setShowSearch(false);
+    setFocusMessageId(messageId);
+    try {
+      setSelectedLead(leads.find(lead => lead.id === leadId) || await leadAPI.getById(leadId));
+    } catch (error) {
+      console.error('Error opening lead:', error);
     }
+  };
 
-    // Basic E.164 format validation
-    const e164Regex = /^\+[1-9]\d{1,14}$/;
-    if (!e164Regex.test(newTransferNumber)) {
-      setTransferMessage({
-        type: 'error',
-        text: 'Phone number must be in E.164 format (e.g., +17787193080)'
-      });
-      return;
-    }
+  const selectLead = (lead: Lead) => {
+    setFocusMessageId(null);
+    setSelectedLead(lead);
+  };
 
-    setTransferLoading(true);
-    setTransferMessage(null);
+  // Messages open at the match; summaries open the lead
+  const openSearchResult = (result: ConversationSearchResult) => {
+    if (result.lead_id) {
+      openLead(result.lead_id, result.kind === 'message' ? result.id : null);
+    }
+  };
 
-    try {
-      await agentAPI.updateTransferNumber(newTransferNumber);
-      // Refresh the transfer number from server to ensure we have the latest value
-      await loadTransferNumber();
-      setTransferMessage({
-        type: 'success',
-        text: 'Transfer number updated and deployed immediately!'
-      });
-    } catch (err: any) {
-      console.error('Failed to update transfer number:', err);
-      setTransferMessage({
-        type: 'error',
-        text: err.response?.data?.error || 'Failed to update transfer number'
-      });
-    } finally {
-      setTransferLoading(false);
+  // The merged lead is gone; whoever had it open now sees the lead it was merged into
+  const handleLeadMerged = (leadId: string, mergedLeadId: string) => {
+    loadLeads();
+    loadStats();
+    if (selectedLeadIdRef.current === mergedLeadId || selectedLeadIdRef.current === leadId) {
+      leadAPI.getById(leadId)
+        .then(setSelectedLead)
+        .catch(error => console.error('Error opening merged lead:', error));
     }
   };
 
-  const handleRealtimeUpdate = (data: any) => {
+  const handleStatsDaysChange = (days: number) => {
+    statsDaysRef.current = days;
+    setStatsDays(days);
+    loadStats(days);
+  };
+
+  const handleRealtimeUpdate = (data: RealtimeEnvelope) => {
     console.log('Realtime update:', data);
     
     // Pass real-time data to components
@@ -123,24 +186,59 @@ function App() {
       case 'call_completed':
       case 'sms_received':
       case 'sms_sent':
-      case 'conversation_user':
-      case 'conversation_agent':
+      case 'email_received':
+      case 'email_sent':
       case 'lead_updated':  // Listen for lead updates (like customer name)
         // Reload data on important events
         loadLeads();
         loadStats();
         
         // If the updated lead is currently selected, update it immediately
-        if (data.type === 'lead_updated' && data.lead_id && selectedLead?.id === data.lead_id) {
+        if (data.type === 'lead_updated' && data.lead_id && selectedLeadIdRef.current === data.lead_id) {
           // Update the selected lead with new data
-          setSelectedLead(prev => prev ? {...prev, customer_name: data.customer_name, ...data.updates} : null);
+          setSelectedLead(prev => prev ? {
+            ...prev,
+            ...(data.customer_name ? { customer_name: data.customer_name } : {}),
+            ...data.updates
+          } : null);
+        }
+        break;
+      case 'lead_merged':
+        handleLeadMerged(data.lead_id, data.merged_lead_id);
+        break;
+      case 'lead_erased':
+        loadLeads();
+        loadStats();
+        if (selectedLeadIdRef.current === data.lead_id) {
+          setSelectedLead(null);
+        }
+        break;
+      case 'conversation_event':
+        if (data.event === 'user' || data.event === 'agent') {
+          loadLeads();
+          loadStats();
         }
         break;
+      case 'handoff_queued':
+      case 'handoff_dismissed':
+      case 'human_control_claimed':
+        loadHandoffCount();
+        break;
       default:
         break;
     }
   };
 
+  if (!authChecked) {
+    return null;
+  }
+
+  if (!user) {
+    return <LoginForm onLogin={setUser} />;
+  }
+
+  const isOwner = user.role === 'owner';
+
   return (
     <div className="min-h-screen bg-white">
       {/* Header */}
@@ -162,10 +260,67 @@ function App() {
               <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
               <span className="text-sm text-bici-text">System Active</span>
               <button
-                onClick={() => setShowSettings(true)}
+                onClick={() => setShowSearch(true)}
                 className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
               >
-                Settings
+                Search
+              </button>
+              <button
+                onClick={() => setShowCampaigns(true)}
+                className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+              >
+                Campaigns
+              </button>
+              <button
+                onClick={() => setShowHandoff(true)}
+                className={`ml-4 px-3 py-1 text-sm rounded-lg transition-colors ${
+                  handoffCount > 0 ? 'bg-orange-100 hover:bg-orange-200 text-orange-800' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+              >
+                Handoff{handoffCount > 0 ? ` (${handoffCount})` : ''}
+              </button>
+              <button
+                onClick={() => setShowDuplicates(true)}
+                className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+              >
+                Duplicates
+              </button>
+              {isOwner && (
+                <>
+                  <button
+                    onClick={() => setShowAutomations(true)}
+                    className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+                  >
+                    Automations
+                  </button>
+                  <button
+                    onClick={() => setShowIntegrations(true)}
+                    className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+                  >
+                    Integrations
+                  </button>
+                  <button
+                    onClick={() => setShowPrivacy(true)}
+                    className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+                  >
+                    Privacy
+                  </button>
+                  <button
+                    onClick={() => setShowSettings(true)}
+                    className="ml-4 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+                  >
+                    Settings
+                  </button>
+                </>
+              )}
+              <span className="ml-4 text-sm text-bici-muted">
+                {user.name} ({user.role.replace('_', '-')})
+              </span>
+              <button
+                onClick={handleLogout}
+                className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+              >
+                Sign out
               </button>
             </div>
           </div>
@@ -173,7 +328,7 @@ function App() {
       </header>
 
       {/* Stats Bar */}
-      <StatsBar stats={stats} />
+      <StatsBar stats={stats} days={statsDays} onDaysChange={handleStatsDaysChange} />
 
       {/* Main Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -183,7 +338,7 @@ function App() {
             <LeadsList 
               leads={leads} 
               selectedLead={selectedLead}
-              onSelectLead={setSelectedLead}
+              onSelectLead={selectLead}
               loading={loading}
             />
           </div>
@@ -198,6 +353,10 @@ function App() {
                   loadStats();
                 }}
                 realtimeData={realtimeData}
+                readOnly={user.role === 'read_only'}
+                currentUserId={user.id}
+                isOwner={isOwner}
+                focusMessageId={focusMessageId}
               />
             ) : (
               <div className="bici-card h-full flex items-center justify-center">
@@ -213,80 +372,60 @@ function App() {
         </div>
       </div>
 
-      {/* Settings Modal */}
-      {showSettings && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="text-xl font-semibold text-gray-900">Settings</h2>
-              <button
-                onClick={() => {
-                  setShowSettings(false);
-                  setTransferMessage(null);
-                }}
-                className="text-gray-400 hover:text-gray-600"
-              >
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
+      {/* Automation Rules Modal */}
+      {showAutomations && (
+        <AutomationRulesEditor onClose={() => setShowAutomations(false)} />
+      )}
 
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Human Transfer Phone Number
-                </label>
-                <div className="space-y-2">
-                  <div className="text-xs text-gray-500">
-                    Current: {currentTransferNumber}
-                  </div>
-                  <input
-                    type="tel"
-                    value={newTransferNumber}
-                    onChange={(e) => setNewTransferNumber(e.target.value)}
-                    placeholder="Enter phone number (e.g., +17787193080)"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    disabled={transferLoading}
-                  />
-                  <div className="text-xs text-gray-500">
-                    Must be in E.164 format (e.g., +17787193080)
-                  </div>
-                </div>
-              </div>
+      {/* Call Campaigns Modal */}
+      {showCampaigns && (
+        <CampaignsPanel
+          onClose={() => setShowCampaigns(false)}
+          canEdit={isOwner}
+          realtimeData={realtimeData}
+        />
+      )}
 
-              {transferMessage && (
-                <div className={`p-3 rounded-md text-sm ${
-                  transferMessage.type === 'success'
-                    ? 'bg-green-50 text-green-800 border border-green-200'
-                    : 'bg-red-50 text-red-800 border border-red-200'
-                }`}>
-                  {transferMessage.text}
-                </div>
-              )}
+      {/* Handoff Queue Modal */}
+      {showHandoff && (
+        <HandoffQueuePanel
+          onClose={() => setShowHandoff(false)}
+          onOpenLead={openLead}
+          canDismiss={user.role !== 'read_only'}
+          realtimeData={realtimeData}
+        />
+      )}
 
-              <div className="flex justify-end space-x-3 pt-4">
-                <button
-                  onClick={() => {
-                    setShowSettings(false);
-                    setTransferMessage(null);
-                  }}
-                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
-                  disabled={transferLoading}
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={updateTransferNumber}
-                  disabled={transferLoading || !newTransferNumber}
-                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
-                >
-                  {transferLoading ? 'Updating...' : 'Update Number'}
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      {/* Conversation Search Modal */}
+      {showSearch && (
+        <ConversationSearchPanel
+          onClose={() => setShowSearch(false)}
+          onOpenResult={openSearchResult}
+        />
+      )}
+
+      {/* Duplicate Leads Modal */}
+      {showDuplicates && (
+        <DuplicateLeadsPanel
+          onClose={() => setShowDuplicates(false)}
+          onMerged={handleLeadMerged}
+          canMerge={user.role !== 'read_only'}
+        />
+      )}
+
+      {/* Integration Webhooks Modal */}
+      {showIntegrations && (
+        <IntegrationsPanel onClose={() => setShowIntegrations(false)} />
+      )}
+
+      {/* Data Retention and Erasure Modal */}
+      {showPrivacy && (
+        <PrivacyPanel onClose={() => setShowPrivacy(false)} />
+      )}
+
+      {/* Agent Settings Modal */}
+      {showSettings && (
+        <AgentConfigPanel onClose={() => setShowSettings(false)} />
       )}
     </div>
   );
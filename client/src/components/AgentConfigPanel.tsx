@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from 'react';
+import { AgentConfigDiff, AgentConfigField, AgentConfigFields, AgentConfigVersion } from '../types';
+import { agentAPI } from '../services/api';
+
+interface AgentConfigPanelProps {
+  onClose: () => void;
+}
+
+// Form state; tools and data collection are edited as JSON
+interface ConfigDraft {
+  prompt: string;
+  first_message: string;
+  transfer_numbers: string;
+  tools: string;
+  data_collection: string;
+}
+
+const FIELD_LABELS: Record<AgentConfigField, string> = {
+  prompt: 'Prompt',
+  first_message: 'First message',
+  tools: 'Tools',
+  transfer_numbers: 'Transfer numbers',
+  data_collection: 'Data collection'
+};
+
+const SOURCE_LABELS: Record<AgentConfigVersion['source'], string> = {
+  live: 'Snapshot of live agent',
+  edit: 'Edited',
+  import: 'Imported',
+  rollback: 'Rollback'
+};
+
+const toDraft = (config: AgentConfigFields): ConfigDraft => ({
+  prompt: config.prompt,
+  first_message: config.first_message,
+  transfer_numbers: config.transfer_numbers.join('\n'),
+  tools: JSON.stringify(config.tools, null, 2),
+  data_collection: JSON.stringify(config.data_collection, null, 2)
+});
+
+const fromDraft = (draft: ConfigDraft): AgentConfigFields => {
+  const parse = (label: string, text: string) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`${label} is not valid JSON`);
+    }
+  };
+  return {
+    prompt: draft.prompt,
+    first_message: draft.first_message,
+    transfer_numbers: draft.transfer_numbers.split(/[\s,]+/).filter(Boolean),
+    tools: parse('Tools', draft.tools),
+    data_collection: parse('Data collection', draft.data_collection)
+  };
+};
+
+const formatValue = (value: any) =>
+  typeof value === 'string' ? value : Array.isArray(value) && value.every(item => typeof item === 'string')
+    ? value.join('\n') : JSON.stringify(value, null, 2);
+
+const AgentConfigPanel: React.FC<AgentConfigPanelProps> = ({ onClose }) => {
+  const [versions, setVersions] = useState<AgentConfigVersion[]>([]);
+  const [selected, setSelected] = useState<AgentConfigVersion | null>(null);
+  const [draft, setDraft] = useState<ConfigDraft | null>(null);
+  const [note, setNote] = useState('');
+  const [diff, setDiff] = useState<AgentConfigDiff | null>(null);
+  const [deployFields, setDeployFields] = useState<AgentConfigField[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const errorText = (err: any, fallback: string) =>
+    [err.response?.data?.message || err.response?.data?.error || err.message || fallback, ...(err.response?.data?.details || [])].join(': ');
+
+  const select = async (version: AgentConfigVersion) => {
+    setSelected(version);
+    setDraft(toDraft(version.config));
+    setDiff(null);
+    try {
+      const result = await agentAPI.diff(version.version);
+      setDiff(result);
+      setDeployFields(result.changes.map(change => change.field));
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to compare with the live agent') });
+    }
+  };
+
+  // Opens the latest version; with no history yet, the live agent is the starting point
+  const load = async (open?: number) => {
+    try {
+      const list = await agentAPI.getVersions();
+      setVersions(list);
+      const version = list.find(item => item.version === open) || list[0];
+      if (version) {
+        await select(version);
+      } else {
+        const live = await agentAPI.getLive();
+        setSelected(null);
+        setDraft(toDraft(live.config));
+      }
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to load agent configuration') });
+    }
+  };
+
+  const latest = versions[0];
+
+  const saveVersion = async () => {
+    if (!draft) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const saved = await agentAPI.saveVersion(fromDraft(draft), note || undefined, latest?.version ?? 0);
+      setNote('');
+      await load(saved.version);
+      setMessage({ type: 'success', text: `Saved version ${saved.version}. Review the changes below, then deploy.` });
+    } catch (err: any) {
+      const text = err.response?.status === 409
+        ? `Version ${err.response.data.latest_version} was saved by someone else. Reopen it before saving.`
+        : errorText(err, 'Failed to save version');
+      setMessage({ type: 'error', text });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const snapshotLive = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const saved = await agentAPI.saveVersion();
+      await load(saved.version);
+      setMessage({ type: 'success', text: `Saved the live agent as version ${saved.version}` });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to snapshot the live agent') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deploy = async () => {
+    if (!selected || deployFields.length === 0) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await agentAPI.deploy(selected.version, deployFields);
+      await load(selected.version);
+      setMessage({
+        type: 'success',
+        text: result.changes.length > 0
+          ? `Deployed ${result.changes.map(change => FIELD_LABELS[change.field]).join(', ')} from version ${result.version}`
+          : `The live agent already matches version ${result.version}`
+      });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to deploy') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rollback = async (version: AgentConfigVersion) => {
+    if (!confirm(`Restore version ${version.version} and deploy it to the live agent?`)) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await agentAPI.rollback(version.version);
+      await load(result.version);
+      setMessage({ type: 'success', text: `Restored version ${result.restored} as version ${result.version}` });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to roll back') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleDeployField = (field: AgentConfigField) =>
+    setDeployFields(fields => fields.includes(field) ? fields.filter(item => item !== field) : [...fields, field]);
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Agent Settings</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Version history */}
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-gray-700">History</div>
+            {versions.length === 0 && (
+              <div className="text-sm text-gray-500">No versions yet. Saving the form creates version 1 from the live agent.</div>
+            )}
+            {versions.map(version => (
+              <div
+                key={version.id}
+                className={`p-3 rounded-lg border ${selected?.version === version.version ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+              >
+                <button onClick={() => { setMessage(null); select(version); }} className="w-full text-left">
+                  <div className="flex justify-between items-center">
+                    <span className="font-medium text-sm">Version {version.version}</span>
+                    {version.deployed_at && <span className="text-xs text-green-600">Deployed</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {SOURCE_LABELS[version.source]}
+                    {version.rolled_back_from ? ` of v${version.rolled_back_from}` : ''}
+                    {version.created_by_name ? ` · ${version.created_by_name}` : ''}
+                    {' · '}{new Date(version.created_at).toLocaleString()}
+                  </div>
+                  {version.note && <div className="text-xs text-gray-700 mt-1">{version.note}</div>}
+                </button>
+                {version.version !== latest?.version && (
+                  <button
+                    onClick={() => rollback(version)}
+                    disabled={busy}
+                    className="mt-2 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    Roll back to this version
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              onClick={snapshotLive}
+              disabled={busy}
+              className="w-full px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 rounded-lg text-gray-700 transition-colors"
+            >
+              Save live agent as a version
+            </button>
+          </div>
+
+          <div className="md:col-span-2 space-y-4">
+            {draft ? (
+              <>
+                <div className="text-sm text-gray-500">
+                  {selected ? `Editing from version ${selected.version}` : 'Editing from the live agent'}
+                </div>
+                <label className="block text-sm text-gray-700">
+                  {FIELD_LABELS.prompt}
+                  <textarea rows={8} className={inputClass} value={draft.prompt} onChange={(e) => setDraft({ ...draft, prompt: e.target.value })} />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  {FIELD_LABELS.first_message}
+                  <input className={inputClass} value={draft.first_message} onChange={(e) => setDraft({ ...draft, first_message: e.target.value })} />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  {FIELD_LABELS.transfer_numbers} (one per line, E.164 e.g. +17787193080)
+                  <textarea rows={2} className={inputClass} value={draft.transfer_numbers} onChange={(e) => setDraft({ ...draft, transfer_numbers: e.target.value })} />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  {FIELD_LABELS.data_collection} (JSON)
+                  <textarea rows={6} className={`${inputClass} font-mono`} value={draft.data_collection} onChange={(e) => setDraft({ ...draft, data_collection: e.target.value })} />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  {FIELD_LABELS.tools} (JSON)
+                  <textarea rows={6} className={`${inputClass} font-mono`} value={draft.tools} onChange={(e) => setDraft({ ...draft, tools: e.target.value })} />
+                </label>
+                <div className="flex space-x-2">
+                  <input className={inputClass} value={note} onChange={(e) => setNote(e.target.value)} placeholder="What changed (optional)" />
+                  <button
+                    onClick={saveVersion}
+                    disabled={busy}
+                    className="px-4 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md whitespace-nowrap transition-colors"
+                  >
+                    Save new version
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500">Loading agent configuration...</div>
+            )}
+
+            {message && (
+              <div className={`p-3 rounded-md text-sm ${
+                message.type === 'success'
+                  ? 'bg-green-50 text-green-800 border border-green-200'
+                  : 'bg-red-50 text-red-800 border border-red-200'
+              }`}>
+                {message.text}
+              </div>
+            )}
+
+            {/* Differences between the selected version and the live agent */}
+            {selected && diff && (
+              <div className="border-t border-gray-200 pt-4">
+                <div className="text-sm font-medium text-gray-700 mb-2">Version {diff.version} compared with the live agent</div>
+                {diff.in_sync ? (
+                  <div className="text-sm text-gray-500">The live agent matches this version.</div>
+                ) : (
+                  <div className="space-y-3">
+                    {diff.changes.map(change => (
+                      <div key={change.field} className="p-3 rounded-md border border-gray-200 text-sm">
+                        <label className="flex items-center space-x-2 font-medium text-gray-700 mb-2">
+                          <input type="checkbox" checked={deployFields.includes(change.field)} onChange={() => toggleDeployField(change.field)} />
+                          <span>{FIELD_LABELS[change.field]}</span>
+                        </label>
+                        <div className="grid grid-cols-2 gap-2 text-xs">
+                          <div>
+                            <div className="text-gray-500 mb-1">Live</div>
+                            <pre className="whitespace-pre-wrap bg-red-50 p-2 rounded max-h-40 overflow-y-auto">{formatValue(change.live) || '(empty)'}</pre>
+                          </div>
+                          <div>
+                            <div className="text-gray-500 mb-1">Version {diff.version}</div>
+                            <pre className="whitespace-pre-wrap bg-green-50 p-2 rounded max-h-40 overflow-y-auto">{formatValue(change.version) || '(empty)'}</pre>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                    <div className="flex justify-end">
+                      <button
+                        onClick={deploy}
+                        disabled={busy || deployFields.length === 0}
+                        className="px-4 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                      >
+                        {busy ? 'Working...' : `Deploy ${deployFields.length} field${deployFields.length === 1 ? '' : 's'}`}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentConfigPanel;
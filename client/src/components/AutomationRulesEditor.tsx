@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from 'react';
+import { AutomationCondition, AutomationRule, AutomationRuleResult, AutomationSchema } from '../types';
+import { automationAPI } from '../services/api';
+
+interface AutomationRulesEditorProps {
+  onClose: () => void;
+}
+
+type RuleDraft = Partial<AutomationRule>;
+
+const emptyRule: RuleDraft = {
+  name: '',
+  enabled: true,
+  match: 'any',
+  conditions: [{ field: 'triggers', operator: 'contains', value: '' }],
+  template: '',
+  delay_minutes: 0,
+  priority: 0,
+  cooldown_minutes: 60
+};
+
+// Comma separated input means "any of"; gte/lte compare numbers
+const parseValue = (operator: AutomationCondition['operator'], raw: string): AutomationCondition['value'] => {
+  if (operator === 'exists') return undefined;
+  if (operator === 'gte' || operator === 'lte') return Number(raw);
+  const parts = raw.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length > 1 ? parts : parts[0] || '';
+};
+
+const formatValue = (value: AutomationCondition['value']) =>
+  Array.isArray(value) ? value.join(', ') : value === undefined ? '' : String(value);
+
+const AutomationRulesEditor: React.FC<AutomationRulesEditorProps> = ({ onClose }) => {
+  const [rules, setRules] = useState<AutomationRule[]>([]);
+  const [schema, setSchema] = useState<AutomationSchema | null>(null);
+  const [draft, setDraft] = useState<RuleDraft | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+  const [callSessionId, setCallSessionId] = useState('');
+  const [dryRunResults, setDryRunResults] = useState<AutomationRuleResult[] | null>(null);
+
+  useEffect(() => {
+    loadRules();
+    automationAPI.getSchema().then(setSchema).catch(error => console.error('Error loading automation schema:', error));
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setRules(await automationAPI.getAll());
+    } catch (error) {
+      console.error('Error loading automation rules:', error);
+    }
+  };
+
+  const errorText = (err: any, fallback: string) =>
+    [err.response?.data?.error || fallback, ...(err.response?.data?.details || [])].join(': ');
+
+  const updateCondition = (index: number, changes: Partial<AutomationCondition>) => {
+    if (!draft) return;
+    const conditions = [...(draft.conditions || [])];
+    conditions[index] = { ...conditions[index], ...changes };
+    setDraft({ ...draft, conditions });
+  };
+
+  const saveRule = async () => {
+    if (!draft) return;
+    setSaving(true);
+    setMessage(null);
+    try {
+      const saved = draft.id
+        ? await automationAPI.update(draft.id, draft)
+        : await automationAPI.create(draft);
+      setDraft(saved);
+      await loadRules();
+      setMessage({ type: 'success', text: 'Rule saved' });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to save rule') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteRule = async () => {
+    if (!draft?.id || !confirm(`Delete rule "${draft.name}"?`)) return;
+    try {
+      await automationAPI.remove(draft.id);
+      setDraft(null);
+      await loadRules();
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to delete rule') });
+    }
+  };
+
+  // Dry runs use the rule being edited in place of its saved version
+  const runDryRun = async () => {
+    setMessage(null);
+    try {
+      const candidates: RuleDraft[] = rules.filter(rule => rule.id !== draft?.id);
+      if (draft) candidates.push(draft);
+      const response = await automationAPI.dryRun(callSessionId.trim(), candidates);
+      setDryRunResults(response.results);
+    } catch (err: any) {
+      setDryRunResults(null);
+      setMessage({ type: 'error', text: errorText(err, 'Dry run failed') });
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">SMS Automations</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Rule list */}
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <button
+                key={rule.id}
+                onClick={() => { setDraft(rule); setMessage(null); }}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  draft?.id === rule.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-sm">{rule.name}</span>
+                  <span className={`text-xs ${rule.enabled ? 'text-green-600' : 'text-gray-400'}`}>
+                    {rule.enabled ? 'On' : 'Off'}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Priority {rule.priority} · {rule.delay_minutes ? `${rule.delay_minutes}m delay` : 'immediate'}
+                </div>
+              </button>
+            ))}
+            <button
+              onClick={() => { setDraft({ ...emptyRule }); setMessage(null); }}
+              className="w-full px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+            >
+              + New rule
+            </button>
+          </div>
+
+          {/* Rule form */}
+          <div className="md:col-span-2 space-y-4">
+            {draft ? (
+              <>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="text-sm text-gray-700">
+                    Name
+                    <input className={inputClass} value={draft.name || ''} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                  </label>
+                  <label className="text-sm text-gray-700 flex items-end space-x-2">
+                    <input type="checkbox" checked={draft.enabled ?? true} onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })} />
+                    <span>Enabled</span>
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Priority
+                    <input type="number" className={inputClass} value={draft.priority ?? 0} onChange={(e) => setDraft({ ...draft, priority: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Delay (minutes)
+                    <input type="number" min={0} className={inputClass} value={draft.delay_minutes ?? 0} onChange={(e) => setDraft({ ...draft, delay_minutes: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Cooldown per lead (minutes)
+                    <input type="number" min={0} className={inputClass} value={draft.cooldown_minutes ?? 60} onChange={(e) => setDraft({ ...draft, cooldown_minutes: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Match
+                    <select className={inputClass} value={draft.match || 'any'} onChange={(e) => setDraft({ ...draft, match: e.target.value as 'all' | 'any' })}>
+                      <option value="any">Any condition</option>
+                      <option value="all">All conditions</option>
+                    </select>
+                  </label>
+                </div>
+
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-1">Conditions</div>
+                  <div className="space-y-2">
+                    {(draft.conditions || []).map((condition, i) => (
+                      <div key={i} className="flex space-x-2">
+                        <select className={inputClass} value={condition.field} onChange={(e) => updateCondition(i, { field: e.target.value })}>
+                          {(schema?.fields || [condition.field]).map(field => <option key={field} value={field}>{field}</option>)}
+                        </select>
+                        <select
+                          className={inputClass}
+                          value={condition.operator}
+                          onChange={(e) => {
+                            const operator = e.target.value as AutomationCondition['operator'];
+                            updateCondition(i, { operator, value: parseValue(operator, formatValue(condition.value)) });
+                          }}
+                        >
+                          {(schema?.operators || [condition.operator]).map(operator => <option key={operator} value={operator}>{operator}</option>)}
+                        </select>
+                        <input
+                          className={inputClass}
+                          value={formatValue(condition.value)}
+                          disabled={condition.operator === 'exists'}
+                          placeholder="asked_hours, when_open"
+                          onChange={(e) => updateCondition(i, { value: parseValue(condition.operator, e.target.value) })}
+                        />
+                        <button
+                          onClick={() => setDraft({ ...draft, conditions: (draft.conditions || []).filter((_, j) => j !== i) })}
+                          className="px-2 text-gray-400 hover:text-red-600"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => setDraft({ ...draft, conditions: [...(draft.conditions || []), { field: 'triggers', operator: 'contains', value: '' }] })}
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add condition
+                  </button>
+                </div>
+
+                <label className="block text-sm text-gray-700">
+                  Message
+                  <textarea rows={5} className={inputClass} value={draft.template || ''} onChange={(e) => setDraft({ ...draft, template: e.target.value })} />
+                </label>
+                {schema && (
+                  <div className="text-xs text-gray-500">
+                    Variables: {schema.variables.map(variable => `{{${variable}}}`).join(' ')}
+                  </div>
+                )}
+
+                <div className="flex justify-between">
+                  <button
+                    onClick={deleteRule}
+                    disabled={!draft.id}
+                    className="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-0 rounded-md transition-colors"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    onClick={saveRule}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                  >
+                    {saving ? 'Saving...' : 'Save rule'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500">Select a rule to edit or create a new one.</div>
+            )}
+
+            {message && (
+              <div className={`p-3 rounded-md text-sm ${
+                message.type === 'success'
+                  ? 'bg-green-50 text-green-800 border border-green-200'
+                  : 'bg-red-50 text-red-800 border border-red-200'
+              }`}>
+                {message.text}
+              </div>
+            )}
+
+            {/* Dry run */}
+            <div className="border-t border-gray-200 pt-4">
+              <div className="text-sm font-medium text-gray-700 mb-2">Dry run against a stored call</div>
+              <div className="flex space-x-2">
+                <input
+                  className={inputClass}
+                  value={callSessionId}
+                  onChange={(e) => setCallSessionId(e.target.value)}
+                  placeholder="Call session ID"
+                />
+                <button
+                  onClick={runDryRun}
+                  disabled={!callSessionId.trim()}
+                  className="px-4 py-1 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 rounded-md text-gray-700 transition-colors"
+                >
+                  Run
+                </button>
+              </div>
+              {dryRunResults && (
+                <div className="mt-3 space-y-2">
+                  {dryRunResults.filter(result => result.matched).length === 0 && (
+                    <div className="text-sm text-gray-500">No rules match this call.</div>
+                  )}
+                  {dryRunResults.filter(result => result.matched).map(result => (
+                    <div key={result.rule_id} className="p-3 rounded-md border border-gray-200 text-sm">
+                      <div className="flex justify-between text-xs text-gray-500 mb-1">
+                        <span className="font-medium text-gray-700">{result.name}</span>
+                        <span>
+                          {result.skipped_reason
+                            ? `Would not send (${result.skipped_reason})`
+                            : result.delay_minutes ? `Sends after ${result.delay_minutes}m` : 'Sends immediately'}
+                        </span>
+                      </div>
+                      <div className="whitespace-pre-wrap">{result.message}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AutomationRulesEditor;
@@ -0,0 +1,379 @@
+import React, { useEffect, useState } from 'react';
+import { Campaign, CampaignLeadStatus, CampaignResult, Lead, RealtimeEnvelope } from '../types';
+import { campaignAPI } from '../services/api';
+
+interface CampaignsPanelProps {
+  onClose: () => void;
+  canEdit: boolean;
+  realtimeData: RealtimeEnvelope | null;
+}
+
+type CampaignDraft = Partial<Campaign>;
+
+const LEAD_STATUSES: Lead['status'][] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+const BIKE_TYPES = ['road', 'mountain', 'hybrid', 'e-bike'] as const;
+
+const emptyCampaign: CampaignDraft = {
+  name: '',
+  purpose: '',
+  segment: { statuses: ['qualified'], no_contact_days: 14 },
+  max_concurrent: 2,
+  pacing_seconds: 60,
+  max_attempts: 3,
+  retry_delay_minutes: 120
+};
+
+const STATUS_STYLES: Record<CampaignLeadStatus, string> = {
+  pending: 'text-gray-500',
+  calling: 'text-blue-600',
+  retry: 'text-yellow-600',
+  completed: 'text-green-600',
+  failed: 'text-red-600',
+  skipped: 'text-gray-400'
+};
+
+const formatOutcome = (outcome?: string | null) => (outcome ? outcome.replace('_', ' ') : '–');
+
+const formatTime = (value?: string | null) =>
+  value ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+
+const CampaignsPanel: React.FC<CampaignsPanelProps> = ({ onClose, canEdit, realtimeData }) => {
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [selected, setSelected] = useState<Campaign | null>(null);
+  const [results, setResults] = useState<CampaignResult[]>([]);
+  const [draft, setDraft] = useState<CampaignDraft | null>(null);
+  const [previewCount, setPreviewCount] = useState<number | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, []);
+
+  // The runner broadcasts progress as calls are placed and finish
+  useEffect(() => {
+    if (realtimeData?.type !== 'campaign_updated') return;
+    loadCampaigns();
+    if (selected && realtimeData.campaign_id === selected.id) {
+      loadResults(selected.id);
+    }
+  }, [realtimeData]);
+
+  const loadCampaigns = async () => {
+    try {
+      const data = await campaignAPI.getAll();
+      setCampaigns(data);
+      setSelected(prev => (prev ? data.find(campaign => campaign.id === prev.id) || prev : prev));
+    } catch (error) {
+      console.error('Error loading campaigns:', error);
+    }
+  };
+
+  const loadResults = async (id: string) => {
+    try {
+      setResults(await campaignAPI.getResults(id));
+    } catch (error) {
+      console.error('Error loading campaign results:', error);
+    }
+  };
+
+  const errorText = (err: any, fallback: string) =>
+    [err.response?.data?.error || fallback, ...(err.response?.data?.details || [])].join(': ');
+
+  const selectCampaign = (campaign: Campaign) => {
+    setSelected(campaign);
+    setDraft(null);
+    setMessage(null);
+    loadResults(campaign.id);
+  };
+
+  const updateSegment = (changes: Partial<NonNullable<CampaignDraft['segment']>>) => {
+    if (!draft) return;
+    setDraft({ ...draft, segment: { ...draft.segment, ...changes } });
+    setPreviewCount(null);
+  };
+
+  const toggleStatus = (status: Lead['status']) => {
+    const statuses = draft?.segment?.statuses || [];
+    updateSegment({ statuses: statuses.includes(status) ? statuses.filter(s => s !== status) : [...statuses, status] });
+  };
+
+  const previewSegment = async () => {
+    if (!draft) return;
+    setMessage(null);
+    try {
+      setPreviewCount((await campaignAPI.preview(draft.segment || {})).count);
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to preview segment') });
+    }
+  };
+
+  const createCampaign = async () => {
+    if (!draft) return;
+    setSaving(true);
+    setMessage(null);
+    try {
+      const campaign = await campaignAPI.create(draft);
+      await loadCampaigns();
+      selectCampaign(campaign);
+      setMessage({ type: 'success', text: 'Campaign created. Start it when you are ready to dial.' });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to create campaign') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeState = async (action: 'start' | 'pause') => {
+    if (!selected) return;
+    if (action === 'start' && selected.status === 'draft' && !confirm(`Start calling leads for "${selected.name}"?`)) return;
+    setMessage(null);
+    try {
+      const updated = action === 'start' ? await campaignAPI.start(selected.id) : await campaignAPI.pause(selected.id);
+      setSelected({ ...selected, ...updated });
+      await loadCampaigns();
+      await loadResults(selected.id);
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, `Failed to ${action} campaign`) });
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const progressBar = (campaign: Campaign) => {
+    const progress = campaign.progress;
+    if (!progress || progress.total === 0) return null;
+    const done = progress.by_status.completed + progress.by_status.failed + progress.by_status.skipped;
+    return (
+      <div className="mt-1">
+        <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-full bg-green-500" style={{ width: `${Math.round((done / progress.total) * 100)}%` }} />
+        </div>
+        <div className="text-xs text-gray-500 mt-1">
+          {done}/{progress.total} done · {progress.by_status.calling} calling · {progress.by_status.retry} to retry
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Call Campaigns</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Campaign list */}
+          <div className="space-y-2">
+            {campaigns.map(campaign => (
+              <button
+                key={campaign.id}
+                onClick={() => selectCampaign(campaign)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  selected?.id === campaign.id && !draft ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-sm">{campaign.name}</span>
+                  <span className="text-xs text-gray-500 capitalize">{campaign.status}</span>
+                </div>
+                {progressBar(campaign)}
+              </button>
+            ))}
+            {campaigns.length === 0 && <div className="text-sm text-gray-500">No campaigns yet.</div>}
+            {canEdit && (
+              <button
+                onClick={() => { setDraft({ ...emptyCampaign }); setSelected(null); setPreviewCount(null); setMessage(null); }}
+                className="w-full px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+              >
+                + New campaign
+              </button>
+            )}
+          </div>
+
+          <div className="md:col-span-2 space-y-4">
+            {draft ? (
+              <>
+                <label className="block text-sm text-gray-700">
+                  Name
+                  <input className={inputClass} value={draft.name || ''} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  Purpose (what the agent says after the greeting)
+                  <input
+                    className={inputClass}
+                    value={draft.purpose || ''}
+                    placeholder="I'm calling about our e-bike demo day this Saturday"
+                    onChange={(e) => setDraft({ ...draft, purpose: e.target.value })}
+                  />
+                </label>
+
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-1">Lead segment</div>
+                  <div className="flex flex-wrap gap-3 mb-2">
+                    {LEAD_STATUSES.map(status => (
+                      <label key={status} className="text-sm text-gray-700 flex items-center space-x-1">
+                        <input type="checkbox" checked={draft.segment?.statuses?.includes(status) || false} onChange={() => toggleStatus(status)} />
+                        <span className="capitalize">{status}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="text-sm text-gray-700">
+                      Bike interest
+                      <select
+                        className={inputClass}
+                        value={draft.segment?.bike_type || ''}
+                        onChange={(e) => updateSegment({ bike_type: (e.target.value || undefined) as typeof BIKE_TYPES[number] | undefined })}
+                      >
+                        <option value="">Any</option>
+                        {BIKE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                      </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      No contact in (days)
+                      <input
+                        type="number"
+                        min={1}
+                        className={inputClass}
+                        value={draft.segment?.no_contact_days ?? ''}
+                        onChange={(e) => updateSegment({ no_contact_days: e.target.value ? Number(e.target.value) : undefined })}
+                      />
+                    </label>
+                  </div>
+                  <div className="flex items-center space-x-3 mt-2">
+                    <button onClick={previewSegment} className="text-sm text-blue-600 hover:text-blue-800">
+                      Preview segment
+                    </button>
+                    {previewCount !== null && (
+                      <span className="text-sm text-gray-600">{previewCount} leads would be called (opted-out leads are skipped)</span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="text-sm text-gray-700">
+                    Calls at once
+                    <input type="number" min={1} max={10} className={inputClass} value={draft.max_concurrent ?? 2} onChange={(e) => setDraft({ ...draft, max_concurrent: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Seconds between dialing rounds
+                    <input type="number" min={0} className={inputClass} value={draft.pacing_seconds ?? 60} onChange={(e) => setDraft({ ...draft, pacing_seconds: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Attempts per lead
+                    <input type="number" min={1} max={5} className={inputClass} value={draft.max_attempts ?? 3} onChange={(e) => setDraft({ ...draft, max_attempts: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Retry no-answers after (minutes)
+                    <input type="number" min={1} className={inputClass} value={draft.retry_delay_minutes ?? 120} onChange={(e) => setDraft({ ...draft, retry_delay_minutes: Number(e.target.value) })} />
+                  </label>
+                </div>
+                <div className="text-xs text-gray-500">Calls are only placed during store hours.</div>
+
+                <div className="flex justify-end">
+                  <button
+                    onClick={createCampaign}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                  >
+                    {saving ? 'Saving...' : 'Create campaign'}
+                  </button>
+                </div>
+              </>
+            ) : selected ? (
+              <>
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="font-medium text-gray-900">{selected.name}</div>
+                    <div className="text-sm text-gray-600">"{selected.purpose}"</div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {selected.max_concurrent} at once · up to {selected.max_attempts} attempts · retry after {selected.retry_delay_minutes}m
+                    </div>
+                  </div>
+                  {canEdit && (
+                    <div className="space-x-2">
+                      {['draft', 'paused'].includes(selected.status) && (
+                        <button onClick={() => changeState('start')} className="px-3 py-1 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-md">
+                          {selected.status === 'draft' ? 'Start' : 'Resume'}
+                        </button>
+                      )}
+                      {selected.status === 'running' && (
+                        <button onClick={() => changeState('pause')} className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md">
+                          Pause
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {selected.progress && (
+                  <div className="grid grid-cols-3 md:grid-cols-6 gap-2 text-center">
+                    {(Object.keys(STATUS_STYLES) as CampaignLeadStatus[]).map(status => (
+                      <div key={status} className="p-2 rounded-md border border-gray-200">
+                        <div className={`text-lg font-semibold ${STATUS_STYLES[status]}`}>{selected.progress!.by_status[status] || 0}</div>
+                        <div className="text-xs text-gray-500 capitalize">{status}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="py-1">Lead</th>
+                      <th className="py-1">Status</th>
+                      <th className="py-1">Outcome</th>
+                      <th className="py-1">Attempts</th>
+                      <th className="py-1">Last / next call</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(result => (
+                      <tr key={result.id} className="border-b border-gray-100">
+                        <td className="py-1">
+                          {result.lead?.customer_name || result.lead?.phone_number || result.lead_id}
+                          {result.last_error && <div className="text-xs text-red-500">{result.last_error}</div>}
+                        </td>
+                        <td className={`py-1 capitalize ${STATUS_STYLES[result.status]}`}>{result.status}</td>
+                        <td className="py-1 capitalize">{formatOutcome(result.outcome)}</td>
+                        <td className="py-1">{result.attempts}</td>
+                        <td className="py-1 text-xs text-gray-500">
+                          {formatTime(result.last_attempt_at)}
+                          {result.next_attempt_at && ` → ${formatTime(result.next_attempt_at)}`}
+                        </td>
+                      </tr>
+                    ))}
+                    {results.length === 0 && (
+                      <tr><td colSpan={5} className="py-2 text-gray-500">Leads are enrolled when the campaign starts.</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500">Select a campaign to see its progress{canEdit ? ' or create a new one' : ''}.</div>
+            )}
+
+            {message && (
+              <div className={`p-3 rounded-md text-sm ${
+                message.type === 'success'
+                  ? 'bg-green-50 text-green-800 border border-green-200'
+                  : 'bg-red-50 text-red-800 border border-red-200'
+              }`}>
+                {message.text}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CampaignsPanel;
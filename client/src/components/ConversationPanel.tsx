@@ -1,38 +1,157 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Lead, Conversation } from '../types';
-import { conversationAPI, humanControlAPI, callAPI, smsAPI } from '../services/api';
+import { Lead, LeadScoreDetails, LeadStatus, MessageChannel, ScoreFactor, Conversation, EscalationReason, HandoffQueueEntry, HumanControlSession, QueuedCustomerMessage, RealtimeEnvelope, RealtimeEventType, SMSResponderName, StaffAgent } from '../types';
+import { conversationAPI, humanControlAPI, callAPI, smsAPI, emailAPI, leadAPI } from '../services/api';
 
 interface ConversationPanelProps {
   lead: Lead;
   onUpdate: () => void;
-  realtimeData?: any;
+  realtimeData?: RealtimeEnvelope | null;
+  readOnly?: boolean;  // Read-only users can't call, text or take over
+  currentUserId?: string;
+  isOwner?: boolean;   // Owners can release or transfer conversations other staff hold
+  focusMessageId?: string | null; // Open the history at this message (from search)
 }
 
-const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, realtimeData }) => {
+const ESCALATION_LABELS: Record<EscalationReason, string> = {
+  support_call: 'Support call',
+  negative_sentiment: 'Unhappy customer',
+  asked_for_human: 'Asked for a person'
+};
+
+// Shown on AI texts the ElevenLabs agent didn't write
+const FALLBACK_RESPONDER_LABELS: Partial<Record<SMSResponderName, string>> = {
+  openai: 'Backup model',
+  rules: 'Canned reply'
+};
+
+const LEAD_STATUSES: LeadStatus[] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+
+const SCORE_CATEGORY_LABELS: Record<ScoreFactor['category'], string> = {
+  data_collection: 'From the conversation',
+  engagement: 'Engagement',
+  keywords: 'Buying signals'
+};
+
+const CONTACT_PREFERENCES: Lead['qualification_data']['contact_preference'][] = ['phone', 'sms', 'email'];
+
+// Leads that have only emailed have an "email-" placeholder instead of a number
+const hasPhoneNumber = (lead: Lead) => !!lead.phone_number && !lead.phone_number.startsWith('email-');
+
+// Email for leads who prefer it or can't be texted, otherwise SMS
+const defaultChannel = (lead: Lead): MessageChannel =>
+  lead.email && (lead.qualification_data?.contact_preference === 'email' || !hasPhoneNumber(lead)) ? 'email' : 'sms';
+
+// Server events that add messages to the conversation
+const MESSAGE_EVENTS: RealtimeEventType[] = [
+  'conversation_added',
+  'sms_sent',
+  'sms_received',
+  'sms_received_human_queue',
+  'email_sent',
+  'email_received',
+  'email_received_human_queue',
+  'call_completed'
+];
+
+// Server events that change who holds a conversation
+const CONTROL_EVENTS: RealtimeEventType[] = [
+  'human_control_claimed',
+  'human_control_released',
+  'human_control_transferred',
+  'handoff_queued',
+  'handoff_dismissed'
+];
+
+const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, realtimeData, readOnly = false, currentUserId, isOwner = false, focusMessageId = null }) => {
   const [conversations, setConversations] = useState<Conversation[]>([]);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
-  const [isHumanControl, setIsHumanControl] = useState(false);
+  const [channel, setChannel] = useState<MessageChannel>(defaultChannel(lead));
+  const [sendError, setSendError] = useState<string | null>(null);
+  const [contactEmail, setContactEmail] = useState(lead.email || '');
+  const [contactPreference, setContactPreference] = useState(lead.qualification_data?.contact_preference || 'phone');
+  const [contactError, setContactError] = useState<string | null>(null);
+  const [controlSession, setControlSession] = useState<HumanControlSession | null>(null);
+  const [escalation, setEscalation] = useState<HandoffQueueEntry | null>(null);
+  const [waitingMessages, setWaitingMessages] = useState<QueuedCustomerMessage[]>([]);
+  const [agents, setAgents] = useState<StaffAgent[] | null>(null);
+  const [controlError, setControlError] = useState<string | null>(null);
+  const [scoreDetails, setScoreDetails] = useState<LeadScoreDetails | null>(null);
+  const [statusError, setStatusError] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState<'conversation' | 'profile' | 'analytics'>('conversation');
   const [isCallActive, setIsCallActive] = useState(false);
   const [liveTranscript, setLiveTranscript] = useState<{speaker: string, message: string} | null>(null);
+  const [focusedId, setFocusedId] = useState<string | null>(focusMessageId);
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const focusedMessageRef = useRef<HTMLDivElement>(null);
+
+  // The signed-in user holds the conversation; the AI and other staff stay out
+  const isHumanControl = !!controlSession && controlSession.agent_user_id === currentUserId;
+  const heldByOther = !!controlSession && !isHumanControl;
 
   useEffect(() => {
-    loadConversations();
+    setFocusedId(focusMessageId);
+    if (focusMessageId) setActiveTab('conversation');
+    loadConversations(focusMessageId);
+  }, [lead.id, focusMessageId]);
+
+  useEffect(() => {
+    setWaitingMessages([]);
+    setAgents(null);
+    setControlError(null);
+    setStatusError(null);
+    setSendError(null);
+    setContactError(null);
+    setChannel(defaultChannel(lead));
+    setContactEmail(lead.email || '');
+    setContactPreference(lead.qualification_data?.contact_preference || 'phone');
+    loadControlState();
+    loadScore();
   }, [lead.id]);
 
   // Handle real-time updates
   useEffect(() => {
     if (realtimeData && realtimeData.lead_id === lead.id) {
       // Reload conversations when new data arrives for this lead
-      if (realtimeData.type === 'conversation_added' || 
-          realtimeData.type === 'sms_sent' || 
-          realtimeData.type === 'sms_received' ||
-          realtimeData.type === 'call_completed') {
+      if (MESSAGE_EVENTS.includes(realtimeData.type)) {
         loadConversations();
       }
       
+      // Calls and texts rescore the lead
+      if (realtimeData.type === 'lead_updated') {
+        loadScore();
+      }
+      
+      // A text or email arrived for the conversation this user holds
+      if ((realtimeData.type === 'sms_received_human_queue' || realtimeData.type === 'email_received_human_queue') && isHumanControl) {
+        collectWaitingMessages();
+      }
+      
+      if (CONTROL_EVENTS.includes(realtimeData.type)) {
+        loadControlState().then(session => {
+          if (realtimeData.type === 'human_control_transferred' && session?.agent_user_id === currentUserId) {
+            collectWaitingMessages();
+          }
+        });
+        loadConversations();
+      }
+      
+      // Delivery status callbacks update the message in place
+      if (realtimeData.type === 'sms_status') {
+        setConversations(prev => prev.map(conv =>
+          conv.id === realtimeData.conversation_id
+            ? {
+                ...conv,
+                metadata: {
+                  ...conv.metadata,
+                  delivery_status: realtimeData.status,
+                  delivery_error_code: realtimeData.error_code
+                }
+              }
+            : conv
+        ));
+      }
+      
       // Handle live transcript during calls
       if (realtimeData.type === 'live_transcript') {
         setLiveTranscript({
@@ -59,13 +178,18 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
   }, [realtimeData]);
 
   useEffect(() => {
-    scrollToBottom();
+    if (focusedId && focusedMessageRef.current) {
+      focusedMessageRef.current.scrollIntoView({ block: 'center' });
+    } else {
+      scrollToBottom();
+    }
   }, [conversations]);
 
-  const loadConversations = async () => {
+  // Around a search result until the user goes back to the latest messages
+  const loadConversations = async (aroundId: string | null = focusedId) => {
     try {
       setLoading(true);
-      const data = await conversationAPI.getByLeadId(lead.id);
+      const data = await conversationAPI.getByLeadId(lead.id, aroundId || undefined);
       setConversations(data);
       setLoading(false);
     } catch (error) {
@@ -74,44 +198,143 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
     }
   };
 
+  const showLatest = () => {
+    setFocusedId(null);
+    loadConversations(null);
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const handleJoinControl = async () => {
+  const loadControlState = async (): Promise<HumanControlSession | null> => {
+    try {
+      const state = await humanControlAPI.getState(lead.id);
+      setControlSession(state.session);
+      setEscalation(state.escalation);
+      return state.session;
+    } catch (error) {
+      console.error('Error loading human control state:', error);
+      return null;
+    }
+  };
+
+  const loadScore = async () => {
     try {
-      await humanControlAPI.join(lead.id, 'Agent');
-      setIsHumanControl(true);
+      setScoreDetails(await leadAPI.getScore(lead.id));
+    } catch (error) {
+      console.error('Error loading lead score:', error);
+    }
+  };
+
+  const handleStatusChange = async (status: LeadStatus) => {
+    setStatusError(null);
+    try {
+      await leadAPI.setStatus(lead.id, status);
+      await loadScore();
       onUpdate();
+    } catch (error: any) {
+      setStatusError(error.response?.data?.error || 'Failed to update status');
+    }
+  };
+
+  const handleContactSave = async () => {
+    setContactError(null);
+    try {
+      await leadAPI.updateContact(lead.id, { email: contactEmail.trim() || null, contact_preference: contactPreference });
+      onUpdate();
+    } catch (error: any) {
+      setContactError(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to save contact details');
+    }
+  };
+
+  const collectWaitingMessages = async () => {
+    try {
+      const messages = await humanControlAPI.takeMessages(lead.id);
+      if (messages.length > 0) {
+        setWaitingMessages(prev => [...prev, ...messages]);
+      }
     } catch (error) {
+      console.error('Error loading waiting messages:', error);
+    }
+  };
+
+  const handleJoinControl = async () => {
+    setControlError(null);
+    try {
+      const result = await humanControlAPI.claim(lead.id);
+      setControlSession(result.session);
+      setEscalation(null);
+      setWaitingMessages(result.messages);
+      loadConversations();
+      onUpdate();
+    } catch (error: any) {
       console.error('Error joining control:', error);
+      setControlError(error.response?.status === 409
+        ? `${error.response.data.agent_name || 'Someone else'} already has this conversation`
+        : 'Failed to take over the conversation');
+      loadControlState();
     }
   };
 
   const handleLeaveControl = async () => {
+    setControlError(null);
     try {
-      await humanControlAPI.leave(lead.id);
-      setIsHumanControl(false);
+      await humanControlAPI.release(lead.id);
+      setControlSession(null);
+      setWaitingMessages([]);
+      loadConversations();
       onUpdate();
     } catch (error) {
       console.error('Error leaving control:', error);
+      setControlError('Failed to hand back to the AI');
+    }
+  };
+
+  const handleShowTransfer = async () => {
+    try {
+      const staff = await humanControlAPI.getAgents();
+      setAgents(staff.filter(agent => agent.id !== controlSession?.agent_user_id));
+    } catch (error) {
+      console.error('Error loading agents:', error);
+      setControlError('Failed to load staff');
+    }
+  };
+
+  const handleTransfer = async (userId: string) => {
+    setControlError(null);
+    try {
+      const result = await humanControlAPI.transfer(lead.id, userId);
+      setControlSession(result.session);
+      setAgents(null);
+      setWaitingMessages([]);
+      loadConversations();
+    } catch (error: any) {
+      console.error('Error transferring conversation:', error);
+      setControlError(error.response?.data?.details?.[0] || 'Failed to transfer the conversation');
     }
   };
 
   const handleSendMessage = async () => {
     if (!message.trim()) return;
     
+    setSendError(null);
     try {
       if (isHumanControl) {
-        await humanControlAPI.sendMessage(lead.id, message, lead.phone_number);
+        await humanControlAPI.sendMessage(lead.id, message, lead.phone_number, channel);
+      } else if (channel === 'email') {
+        await emailAPI.send(lead.id, message);
       } else {
         await smsAPI.send(lead.phone_number, message);
       }
       setMessage('');
       loadConversations();
       onUpdate();
-    } catch (error) {
+    } catch (error: any) {
       console.error('Error sending message:', error);
+      setSendError(error.response?.data?.reason === 'email_not_configured'
+        ? 'Email is not set up on the server'
+        : error.response?.data?.error || 'Failed to send message');
     }
   };
 
@@ -139,6 +362,34 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
     }
   };
 
+  const renderDeliveryStatus = (conv: Conversation) => {
+    const status = conv.metadata?.delivery_status;
+    if (conv.type !== 'sms' || conv.sent_by === 'user' || !status) return null;
+    
+    let label;
+    switch (status) {
+      case 'delivered':
+        label = <span className="text-green-600">✓✓ Delivered</span>;
+        break;
+      case 'sent':
+        label = <span className="text-gray-500">✓ Sent</span>;
+        break;
+      case 'failed':
+      case 'undelivered':
+        label = (
+          <span className="text-red-600">
+            ✕ Not delivered{conv.metadata?.delivery_error_code ? ` (${conv.metadata.delivery_error_code})` : ''}
+            {conv.metadata?.retried_as ? ' • retried' : conv.metadata?.retry_scheduled_at ? ' • retrying' : ''}
+          </span>
+        );
+        break;
+      default:
+        label = <span className="text-gray-400">Sending…</span>;
+    }
+    
+    return <div className="text-xs mt-1 text-right">{label}</div>;
+  };
+
   return (
     <div className="bici-card flex flex-col h-[600px]">
       {/* Header */}
@@ -146,30 +397,70 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
         <div className="flex justify-between items-start">
           <div>
             <h2 className="text-lg font-semibold">{lead.customer_name || 'Unknown Customer'}</h2>
-            <p className="text-sm text-bici-text">{lead.phone_number}</p>
+            {hasPhoneNumber(lead) && <p className="text-sm text-bici-text">{lead.phone_number}</p>}
             {lead.email && <p className="text-sm text-bici-muted">{lead.email}</p>}
-          </div>
-          <div className="flex space-x-2">
-            <button 
-              onClick={handleStartCall}
-              className="bici-button-primary flex items-center"
-            >
-              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
-              </svg>
-              Call
-            </button>
-            {isHumanControl ? (
-              <button onClick={handleLeaveControl} className="bici-button-secondary">
-                AI Resume
-              </button>
-            ) : (
-              <button onClick={handleJoinControl} className="bici-button-accent">
-                Join Chat
-              </button>
+            {lead.sms_delivery_failed && (
+              <p className="text-xs text-red-600 mt-1">
+                Texts to this number are failing{lead.sms_delivery_error_code ? ` (error ${lead.sms_delivery_error_code})` : ''}
+              </p>
             )}
           </div>
+          {!readOnly && (
+            <div className="flex space-x-2">
+              <button 
+                onClick={handleStartCall}
+                disabled={!hasPhoneNumber(lead)}
+                className="bici-button-primary flex items-center disabled:opacity-50"
+              >
+                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                </svg>
+                Call
+              </button>
+              {isHumanControl || (heldByOther && isOwner) ? (
+                <>
+                  {agents ? (
+                    <select
+                      defaultValue=""
+                      onChange={(e) => e.target.value && handleTransfer(e.target.value)}
+                      className="bici-input text-sm"
+                    >
+                      <option value="">Transfer to…</option>
+                      {agents.map(agent => (
+                        <option key={agent.id} value={agent.id}>{agent.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <button onClick={handleShowTransfer} className="bici-button-secondary">
+                      Transfer
+                    </button>
+                  )}
+                  <button onClick={handleLeaveControl} className="bici-button-secondary">
+                    AI Resume
+                  </button>
+                </>
+              ) : !heldByOther && (
+                <button onClick={handleJoinControl} className="bici-button-accent">
+                  Take Over
+                </button>
+              )}
+            </div>
+          )}
         </div>
+        {controlSession && (
+          <p className="text-xs text-green-700 mt-2">
+            {isHumanControl ? 'You have this conversation' : `${controlSession.agent_name} has this conversation`}
+            {' • since '}
+            {new Date(controlSession.started_at).toLocaleTimeString()}
+          </p>
+        )}
+        {!controlSession && escalation && (
+          <p className="text-xs text-orange-600 mt-2">
+            Waiting for a person: {ESCALATION_LABELS[escalation.reason]}
+            {escalation.details ? ` – ${escalation.details}` : ''}
+          </p>
+        )}
+        {controlError && <p className="text-xs text-red-600 mt-2">{controlError}</p>}
       </div>
 
       {/* Tabs */}
@@ -203,6 +494,13 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
       {/* Content */}
       {activeTab === 'conversation' && (
         <>
+          {focusedId && (
+            <div className="mb-2 text-xs text-bici-muted flex justify-between">
+              <span>Showing messages around the search result</span>
+              <button onClick={showLatest} className="underline hover:text-bici-black">Show latest</button>
+            </div>
+          )}
+
           {/* Messages */}
           <div className="flex-1 overflow-y-auto mb-4">
             {loading ? (
@@ -214,16 +512,23 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
                 {conversations.map((conv) => (
                   <div
                     key={conv.id}
-                    className={`p-3 rounded-lg max-w-[80%] ${getMessageStyle(conv.sent_by)}`}
+                    ref={conv.id === focusedId ? focusedMessageRef : undefined}
+                    className={`p-3 rounded-lg max-w-[80%] ${getMessageStyle(conv.sent_by)} ${conv.id === focusedId ? 'ring-2 ring-yellow-400' : ''}`}
                   >
                     <div className="text-xs text-gray-500 mb-1">
                       {conv.sent_by === 'user' ? 'Customer' : 
                        conv.sent_by === 'human_agent' ? 'Human Agent' :
                        conv.sent_by === 'agent' ? 'AI Agent' : 'System'}
+                      {conv.sent_by === 'agent' && FALLBACK_RESPONDER_LABELS[conv.metadata?.responder as SMSResponderName] &&
+                        ` (${FALLBACK_RESPONDER_LABELS[conv.metadata?.responder as SMSResponderName]})`}
                       {' • '}
                       {new Date(conv.timestamp).toLocaleTimeString()}
                     </div>
-                    <div className="text-sm">{conv.content}</div>
+                    {conv.type === 'email' && (
+                      <div className="text-xs font-semibold text-gray-600 mb-1">✉ {conv.metadata?.subject || '(no subject)'}</div>
+                    )}
+                    <div className="text-sm whitespace-pre-line">{conv.content}</div>
+                    {renderDeliveryStatus(conv)}
                   </div>
                 ))}
                 {/* Live transcript during active call */}
@@ -248,20 +553,54 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
             )}
           </div>
 
+          {/* Texts that waited for a person, delivered to whoever holds the conversation */}
+          {isHumanControl && waitingMessages.length > 0 && (
+            <div className="mb-3 p-3 rounded-lg bg-orange-50 border border-orange-200">
+              <div className="flex justify-between items-center mb-1">
+                <span className="text-xs font-semibold text-orange-700">
+                  {waitingMessages.length} customer {waitingMessages.length === 1 ? 'message' : 'messages'} waiting for you
+                </span>
+                <button onClick={() => setWaitingMessages([])} className="text-xs text-orange-700 underline">
+                  Dismiss
+                </button>
+              </div>
+              {waitingMessages.map((queued, index) => (
+                <div key={index} className="text-sm">
+                  <span className="text-xs text-gray-500 mr-2">{new Date(queued.received_at).toLocaleTimeString()}</span>
+                  {queued.content}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Input */}
-          <div className="flex space-x-2">
-            <input
-              type="text"
-              value={message}
-              onChange={(e) => setMessage(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
-              placeholder={isHumanControl ? "Type your message..." : "Send SMS message..."}
-              className="flex-1 bici-input"
-            />
-            <button onClick={handleSendMessage} className="bici-button-primary">
-              Send
-            </button>
-          </div>
+          {!readOnly && !heldByOther && (
+            <div className="flex space-x-2">
+              {lead.email && hasPhoneNumber(lead) && (
+                <select
+                  value={channel}
+                  onChange={(e) => setChannel(e.target.value as MessageChannel)}
+                  className="bici-input text-sm"
+                  title="Send as"
+                >
+                  <option value="sms">SMS</option>
+                  <option value="email">Email</option>
+                </select>
+              )}
+              <input
+                type="text"
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
+                placeholder={isHumanControl ? "Type your message..." : channel === 'email' ? "Send email..." : "Send SMS message..."}
+                className="flex-1 bici-input"
+              />
+              <button onClick={handleSendMessage} className="bici-button-primary">
+                Send
+              </button>
+            </div>
+          )}
+          {sendError && <p className="text-xs text-red-600 mt-1">{sendError}</p>}
         </>
       )}
 
@@ -269,7 +608,87 @@ const ConversationPanel: React.FC<ConversationPanelProps> = ({ lead, onUpdate, r
         <div className="space-y-4">
           <div>
             <label className="text-sm font-semibold text-bici-text">Status</label>
-            <p className="text-sm">{lead.status}</p>
+            {readOnly ? (
+              <p className="text-sm">{scoreDetails?.status || lead.status}</p>
+            ) : (
+              <select
+                value={scoreDetails?.status || lead.status}
+                onChange={(e) => handleStatusChange(e.target.value as LeadStatus)}
+                className="block mt-1 text-sm border border-gray-300 rounded px-2 py-1"
+              >
+                {LEAD_STATUSES.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            )}
+            {statusError && <p className="text-xs text-red-600 mt-1">{statusError}</p>}
+          </div>
+          {scoreDetails && scoreDetails.score !== null && (
+            <div>
+              <label className="text-sm font-semibold text-bici-text">Lead Score: {scoreDetails.score}/100</label>
+              {(Object.keys(SCORE_CATEGORY_LABELS) as ScoreFactor['category'][]).map(category => {
+                const factors = scoreDetails.factors.filter(factor => factor.category === category);
+                if (factors.length === 0) return null;
+                return (
+                  <div key={category} className="mt-2">
+                    <p className="text-xs font-semibold text-gray-500">{SCORE_CATEGORY_LABELS[category]}</p>
+                    {factors.map(factor => (
+                      <p key={factor.key} className="text-sm flex justify-between">
+                        <span>{factor.label}</span>
+                        <span className={factor.points < 0 ? 'text-red-600' : 'text-green-700'}>
+                          {factor.points > 0 ? '+' : ''}{factor.points}
+                        </span>
+                      </p>
+                    ))}
+                  </div>
+                );
+              })}
+              {scoreDetails.history.length > 0 && (
+                <div className="mt-2">
+                  <p className="text-xs font-semibold text-gray-500">Recent changes</p>
+                  {scoreDetails.history.slice(0, 5).map(change => (
+                    <p key={change.id} className="text-xs text-gray-600">
+                      {new Date(change.created_at).toLocaleString()}: {change.previous_score ?? '–'} → {change.score}
+                      {change.previous_status !== change.status && ` (${change.previous_status || 'none'} → ${change.status})`}
+                      {change.source === 'manual' ? ' · set by staff' : ` · after ${change.source}`}
+                      {change.reason && ` · ${change.reason}`}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          <div>
+            <label className="text-sm font-semibold text-bici-text">Contact</label>
+            {readOnly ? (
+              <p className="text-sm">
+                {lead.email || 'No email'} · prefers {lead.qualification_data?.contact_preference || 'phone'}
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2 mt-1">
+                <input
+                  type="email"
+                  value={contactEmail}
+                  onChange={(e) => setContactEmail(e.target.value)}
+                  placeholder="Email address"
+                  className="flex-1 text-sm border border-gray-300 rounded px-2 py-1"
+                />
+                <select
+                  value={contactPreference}
+                  onChange={(e) => setContactPreference(e.target.value as Lead['qualification_data']['contact_preference'])}
+                  className="text-sm border border-gray-300 rounded px-2 py-1"
+                  title="Automated messages go by"
+                >
+                  {CONTACT_PREFERENCES.map(preference => (
+                    <option key={preference} value={preference}>prefers {preference}</option>
+                  ))}
+                </select>
+                <button onClick={handleContactSave} className="bici-button-secondary text-sm">
+                  Save
+                </button>
+              </div>
+            )}
+            {contactError && <p className="text-xs text-red-600 mt-1">{contactError}</p>}
           </div>
           <div>
             <label className="text-sm font-semibold text-bici-text">Sentiment</label>
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { ConversationSearchFilters, ConversationSearchResult, LeadStatus } from '../types';
+import { conversationAPI } from '../services/api';
+
+interface ConversationSearchPanelProps {
+  onClose: () => void;
+  onOpenResult: (result: ConversationSearchResult) => void;
+}
+
+const SENDER_LABELS: Record<NonNullable<ConversationSearchFilters['sender']>, string> = {
+  user: 'Customer',
+  agent: 'AI Agent',
+  human_agent: 'Human Agent',
+  system: 'System'
+};
+
+const CHANNEL_LABELS: Record<string, string> = { voice: 'Call', sms: 'Text', email: 'Email' };
+
+const LEAD_STATUSES: LeadStatus[] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+const CLASSIFICATIONS: NonNullable<ConversationSearchFilters['classification']>[] = ['sales', 'support', 'service', 'general'];
+
+// The snippet with each matched word wrapped in <mark>
+const renderSnippet = ({ snippet, highlights }: ConversationSearchResult) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    parts.push(snippet.slice(position, start));
+    parts.push(<mark key={index} className="bg-yellow-200 rounded-sm">{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+  return parts;
+};
+
+const ConversationSearchPanel: React.FC<ConversationSearchPanelProps> = ({ onClose, onOpenResult }) => {
+  const [filters, setFilters] = useState<ConversationSearchFilters>({ q: '' });
+  const [results, setResults] = useState<ConversationSearchResult[] | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const setFilter = <K extends keyof ConversationSearchFilters>(key: K, value: ConversationSearchFilters[K] | '') => {
+    setFilters(prev => ({ ...prev, [key]: value === '' ? undefined : value }));
+  };
+
+  const runSearch = async (offset = 0) => {
+    setError(null);
+    setSearching(true);
+    try {
+      const response = await conversationAPI.search({ ...filters, q: filters.q.trim(), offset });
+      setResults(prev => (offset > 0 && prev ? [...prev, ...response.results] : response.results));
+      setHasMore(response.has_more);
+    } catch (error: any) {
+      const details: string[] | undefined = error.response?.data?.details;
+      setError(details ? details.join('; ') : 'Failed to search conversations');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Search Conversations</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mb-4 space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={filters.q}
+              onChange={(e) => setFilter('q', e.target.value)}
+              placeholder='e.g. "rad power" e-bike'
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-bici-black"
+              autoFocus
+            />
+            <button
+              type="submit"
+              disabled={searching || filters.q.trim().length < 2}
+              className="bici-button-primary disabled:opacity-50"
+            >
+              {searching ? 'Searching...' : 'Search'}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2 text-sm">
+            <select value={filters.channel || ''} onChange={(e) => setFilter('channel', e.target.value as ConversationSearchFilters['channel'])} className="px-2 py-1 border border-gray-300 rounded">
+              <option value="">All channels</option>
+              <option value="voice">Calls</option>
+              <option value="sms">Texts</option>
+              <option value="email">Emails</option>
+            </select>
+            <select value={filters.sender || ''} onChange={(e) => setFilter('sender', e.target.value as ConversationSearchFilters['sender'])} className="px-2 py-1 border border-gray-300 rounded">
+              <option value="">Anyone</option>
+              {Object.entries(SENDER_LABELS).map(([sender, label]) => (
+                <option key={sender} value={sender}>{label}</option>
+              ))}
+            </select>
+            <select value={filters.classification || ''} onChange={(e) => setFilter('classification', e.target.value as ConversationSearchFilters['classification'])} className="px-2 py-1 border border-gray-300 rounded">
+              <option value="">Any call type</option>
+              {CLASSIFICATIONS.map(classification => (
+                <option key={classification} value={classification}>{classification}</option>
+              ))}
+            </select>
+            <select value={filters.status || ''} onChange={(e) => setFilter('status', e.target.value as LeadStatus)} className="px-2 py-1 border border-gray-300 rounded">
+              <option value="">Any lead status</option>
+              {LEAD_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+            <input type="date" value={filters.from || ''} onChange={(e) => setFilter('from', e.target.value)} className="px-2 py-1 border border-gray-300 rounded" title="From" />
+            <input type="date" value={filters.to || ''} onChange={(e) => setFilter('to', e.target.value)} className="px-2 py-1 border border-gray-300 rounded" title="To" />
+          </div>
+        </form>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-800">
+            {error}
+          </div>
+        )}
+
+        {results && results.length === 0 && (
+          <div className="text-center text-bici-text py-8">No matching conversations.</div>
+        )}
+
+        {results && results.length > 0 && (
+          <div className="space-y-2">
+            {results.map(result => (
+              <button
+                key={`${result.kind}:${result.id}`}
+                onClick={() => onOpenResult(result)}
+                disabled={!result.lead_id}
+                className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 disabled:hover:bg-white"
+              >
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span>
+                    <span className="font-medium text-gray-900">
+                      {result.lead?.customer_name || result.lead?.phone_number || 'Unknown Customer'}
+                    </span>
+                    {result.lead && ` · ${result.lead.status}`}
+                    {' · '}
+                    {CHANNEL_LABELS[result.channel] || 'Text'}
+                    {result.kind === 'summary' ? ' summary' : result.sent_by ? ` · ${SENDER_LABELS[result.sent_by]}` : ''}
+                  </span>
+                  <span>{new Date(result.timestamp).toLocaleString()}</span>
+                </div>
+                <div className="text-sm">{renderSnippet(result)}</div>
+              </button>
+            ))}
+            {hasMore && (
+              <button
+                onClick={() => runSearch(results.length)}
+                disabled={searching}
+                className="w-full bici-button-secondary text-sm disabled:opacity-50"
+              >
+                {searching ? 'Loading...' : 'More results'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationSearchPanel;
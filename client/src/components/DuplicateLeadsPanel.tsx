@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { Lead, LeadDuplicate, LeadDuplicateReason } from '../types';
+import { leadAPI } from '../services/api';
+
+interface DuplicateLeadsPanelProps {
+  onClose: () => void;
+  onMerged: (leadId: string, mergedLeadId: string) => void;
+  canMerge: boolean;
+}
+
+const REASON_LABELS: Record<LeadDuplicateReason, string> = {
+  phone: 'Same phone',
+  email: 'Same email',
+  name: 'Similar name'
+};
+
+const describeLead = (lead: Lead) => (
+  <>
+    <div className="font-medium text-sm">{lead.customer_name || 'Unknown Customer'}</div>
+    <div className="text-xs text-gray-500">{lead.phone_number}{lead.email ? ` · ${lead.email}` : ''}</div>
+    <div className="text-xs text-gray-500">
+      {lead.status} · since {new Date(lead.created_at).toLocaleDateString()}
+      {lead.last_contact_at && ` · last contact ${new Date(lead.last_contact_at).toLocaleDateString()}`}
+    </div>
+  </>
+);
+
+const DuplicateLeadsPanel: React.FC<DuplicateLeadsPanelProps> = ({ onClose, onMerged, canMerge }) => {
+  const [duplicates, setDuplicates] = useState<LeadDuplicate[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadDuplicates();
+  }, []);
+
+  const loadDuplicates = async () => {
+    try {
+      setDuplicates(await leadAPI.getDuplicates());
+    } catch (error) {
+      console.error('Error loading duplicate leads:', error);
+      setError('Failed to load duplicate leads');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = async (keep: Lead, duplicate: Lead) => {
+    const name = duplicate.customer_name || duplicate.phone_number;
+    if (!window.confirm(`Merge ${name} into ${keep.customer_name || keep.phone_number}? ${name}'s conversations, calls and appointments move over and ${name} is removed.`)) {
+      return;
+    }
+
+    setError(null);
+    setMerging(duplicate.id);
+    try {
+      const result = await leadAPI.merge(keep.id, duplicate.id);
+      onMerged(result.lead.id, result.merged_lead_id);
+      await loadDuplicates();
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Failed to merge leads');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Possible Duplicate Leads</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-800">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-bici-text">Loading...</div>
+        ) : duplicates.length === 0 ? (
+          <div className="text-center text-bici-text py-8">No duplicate leads found.</div>
+        ) : (
+          <div className="space-y-3">
+            {duplicates.map(({ leads: [older, newer], reasons, confidence }) => (
+              <div key={`${older.id}:${newer.id}`} className="p-3 rounded-lg border border-gray-200">
+                <div className="mb-2">
+                  {reasons.map(reason => (
+                    <span
+                      key={reason}
+                      className={`mr-2 px-2 py-0.5 rounded text-xs ${confidence === 'high' ? 'bg-orange-100 text-orange-700' : 'bg-gray-100 text-gray-700'}`}
+                    >
+                      {REASON_LABELS[reason]}
+                    </span>
+                  ))}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  {[[older, newer], [newer, older]].map(([keep, duplicate]) => (
+                    <div key={keep.id}>
+                      {describeLead(keep)}
+                      {canMerge && (
+                        <button
+                          onClick={() => handleMerge(keep, duplicate)}
+                          disabled={merging !== null}
+                          className="mt-2 bici-button-secondary text-sm disabled:opacity-50"
+                        >
+                          {merging === duplicate.id ? 'Merging...' : 'Keep this one'}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateLeadsPanel;
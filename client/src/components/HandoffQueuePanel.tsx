@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { EscalationReason, HandoffQueueEntry, RealtimeEnvelope, RealtimeEventType } from '../types';
+import { humanControlAPI } from '../services/api';
+
+interface HandoffQueuePanelProps {
+  onClose: () => void;
+  onOpenLead: (leadId: string) => void;
+  canDismiss: boolean;
+  realtimeData: RealtimeEnvelope | null;
+}
+
+const REASON_LABELS: Record<EscalationReason, string> = {
+  support_call: 'Support call',
+  negative_sentiment: 'Unhappy customer',
+  asked_for_human: 'Asked for a person'
+};
+
+const REASON_STYLES: Record<EscalationReason, string> = {
+  support_call: 'bg-blue-100 text-blue-700',
+  negative_sentiment: 'bg-red-100 text-red-700',
+  asked_for_human: 'bg-orange-100 text-orange-700'
+};
+
+// Events that add or remove queue entries
+const QUEUE_EVENTS: RealtimeEventType[] = ['handoff_queued', 'handoff_dismissed', 'human_control_claimed', 'sms_received_human_queue', 'email_received_human_queue'];
+
+const formatWaiting = (since: string) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(since).getTime()) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d`;
+};
+
+const HandoffQueuePanel: React.FC<HandoffQueuePanelProps> = ({ onClose, onOpenLead, canDismiss, realtimeData }) => {
+  const [queue, setQueue] = useState<HandoffQueueEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  useEffect(() => {
+    if (QUEUE_EVENTS.includes(realtimeData?.type)) {
+      loadQueue();
+    }
+  }, [realtimeData]);
+
+  const loadQueue = async () => {
+    try {
+      setQueue(await humanControlAPI.getQueue());
+    } catch (error) {
+      console.error('Error loading handoff queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDismiss = async (entry: HandoffQueueEntry) => {
+    setError(null);
+    try {
+      await humanControlAPI.dismiss(entry.lead_id);
+      setQueue(prev => prev.filter(item => item.lead_id !== entry.lead_id));
+    } catch (error) {
+      console.error('Error dismissing handoff:', error);
+      setError('Failed to dismiss');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Waiting for a Person</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-800">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-bici-text">Loading...</div>
+        ) : queue.length === 0 ? (
+          <div className="text-center text-bici-text py-8">No conversations are waiting for a person.</div>
+        ) : (
+          <div className="space-y-2">
+            {queue.map(entry => (
+              <div key={entry.lead_id} className="p-3 rounded-lg border border-gray-200">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <span className="font-medium text-sm">
+                      {entry.customer_name || entry.phone_number || 'Unknown Customer'}
+                    </span>
+                    <span className={`ml-2 px-2 py-0.5 rounded text-xs ${REASON_STYLES[entry.reason]}`}>
+                      {REASON_LABELS[entry.reason]}
+                    </span>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Waiting {formatWaiting(entry.created_at)}
+                      {entry.queued_messages > 0 && ` · ${entry.queued_messages} unread ${entry.queued_messages === 1 ? 'text' : 'texts'}`}
+                    </div>
+                    {entry.details && <div className="text-sm text-gray-700 mt-1">{entry.details}</div>}
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0 ml-4">
+                    {/* Taking over happens in the conversation, where the waiting texts are shown */}
+                    <button onClick={() => onOpenLead(entry.lead_id)} className="bici-button-accent text-sm">
+                      Open
+                    </button>
+                    {canDismiss && (
+                      <button onClick={() => handleDismiss(entry)} className="bici-button-secondary text-sm">
+                        Leave with AI
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HandoffQueuePanel;
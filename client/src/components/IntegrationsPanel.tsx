@@ -0,0 +1,300 @@
+import React, { useEffect, useState } from 'react';
+import { IntegrationEventType, IntegrationWebhook, IntegrationWebhookDelivery } from '../types';
+import { integrationAPI } from '../services/api';
+
+interface IntegrationsPanelProps {
+  onClose: () => void;
+}
+
+type WebhookDraft = Partial<IntegrationWebhook>;
+
+const EVENT_LABELS: Record<IntegrationEventType, string> = {
+  'lead.created': 'New lead',
+  'lead.status_changed': 'Lead status changed',
+  'call.completed': 'Call completed (summary and insights)',
+  'sms.received': 'Text received',
+  'human_control.started': 'Staff took over a conversation'
+};
+
+const emptyWebhook: WebhookDraft = {
+  name: '',
+  url: '',
+  events: ['lead.created'],
+  active: true
+};
+
+const STATUS_STYLES: Record<IntegrationWebhookDelivery['status'], string> = {
+  pending: 'text-gray-500',
+  retrying: 'text-orange-600',
+  delivered: 'text-green-600',
+  failed: 'text-red-600'
+};
+
+const IntegrationsPanel: React.FC<IntegrationsPanelProps> = ({ onClose }) => {
+  const [webhooks, setWebhooks] = useState<IntegrationWebhook[]>([]);
+  const [draft, setDraft] = useState<WebhookDraft | null>(null);
+  const [deliveries, setDeliveries] = useState<IntegrationWebhookDelivery[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  const loadWebhooks = async () => {
+    try {
+      setWebhooks(await integrationAPI.getWebhooks());
+    } catch (error) {
+      console.error('Error loading integration webhooks:', error);
+    }
+  };
+
+  const loadDeliveries = async (id: string) => {
+    try {
+      setDeliveries(await integrationAPI.getDeliveries(id));
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+    }
+  };
+
+  const errorText = (err: any, fallback: string) =>
+    [err.response?.data?.error || fallback, ...(err.response?.data?.details || [])].join(': ');
+
+  const select = (webhook: WebhookDraft) => {
+    setDraft(webhook);
+    setMessage(null);
+    setDeliveries([]);
+    if (webhook.id) loadDeliveries(webhook.id);
+  };
+
+  const toggleEvent = (event: IntegrationEventType) => {
+    if (!draft) return;
+    const events = draft.events || [];
+    setDraft({ ...draft, events: events.includes(event) ? events.filter(item => item !== event) : [...events, event] });
+  };
+
+  const save = async (changes: { rotate_secret?: boolean } = {}) => {
+    if (!draft) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const { name, url, events, active } = draft;
+      const saved = draft.id
+        ? await integrationAPI.update(draft.id, { name, url, events, active, ...changes })
+        : await integrationAPI.create({ name, url, events, active });
+      setDraft(saved);
+      await loadWebhooks();
+      setMessage({ type: 'success', text: changes.rotate_secret ? 'New signing secret issued' : 'Webhook saved' });
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to save webhook') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!draft?.id || !confirm(`Delete webhook "${draft.name}"?`)) return;
+    try {
+      await integrationAPI.remove(draft.id);
+      setDraft(null);
+      setDeliveries([]);
+      await loadWebhooks();
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to delete webhook') });
+    }
+  };
+
+  const sendTest = async () => {
+    if (!draft?.id) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const delivery = await integrationAPI.sendTest(draft.id);
+      setMessage(delivery.status === 'delivered'
+        ? { type: 'success', text: `Test event delivered (${delivery.response_status})` }
+        : { type: 'error', text: `Test event failed: ${delivery.error}` });
+      await loadDeliveries(draft.id);
+    } catch (err: any) {
+      setMessage({ type: 'error', text: errorText(err, 'Failed to send test event') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Integrations</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Webhook list */}
+          <div className="space-y-2">
+            {webhooks.map(webhook => (
+              <button
+                key={webhook.id}
+                onClick={() => select(webhook)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  draft?.id === webhook.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-sm">{webhook.name}</span>
+                  <span className={`text-xs ${webhook.active ? 'text-green-600' : 'text-gray-400'}`}>
+                    {webhook.active ? 'On' : 'Off'}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 truncate">{webhook.url}</div>
+              </button>
+            ))}
+            <button
+              onClick={() => select({ ...emptyWebhook })}
+              className="w-full px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg text-gray-700 transition-colors"
+            >
+              + New webhook
+            </button>
+          </div>
+
+          {/* Webhook form */}
+          <div className="md:col-span-2 space-y-4">
+            {draft ? (
+              <>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="text-sm text-gray-700">
+                    Name
+                    <input className={inputClass} value={draft.name || ''} placeholder="CRM" onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                  </label>
+                  <label className="text-sm text-gray-700 flex items-end space-x-2">
+                    <input type="checkbox" checked={draft.active ?? true} onChange={(e) => setDraft({ ...draft, active: e.target.checked })} />
+                    <span>Active</span>
+                  </label>
+                  <label className="col-span-2 text-sm text-gray-700">
+                    URL
+                    <input className={inputClass} value={draft.url || ''} placeholder="https://crm.example.com/webhooks/bici" onChange={(e) => setDraft({ ...draft, url: e.target.value })} />
+                  </label>
+                </div>
+
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-1">Events</div>
+                  <div className="grid grid-cols-2 gap-1">
+                    {(Object.keys(EVENT_LABELS) as IntegrationEventType[]).map(event => (
+                      <label key={event} className="text-sm text-gray-700 flex items-center space-x-2">
+                        <input type="checkbox" checked={(draft.events || []).includes(event)} onChange={() => toggleEvent(event)} />
+                        <span>{EVENT_LABELS[event]} <span className="text-xs text-gray-400">{event}</span></span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                {draft.secret && (
+                  <div className="text-sm text-gray-700">
+                    <div className="font-medium mb-1">Signing secret</div>
+                    <div className="flex space-x-2">
+                      <code className="flex-1 px-2 py-1 bg-gray-50 border border-gray-200 rounded-md text-xs break-all">{draft.secret}</code>
+                      <button
+                        onClick={() => confirm('Issue a new secret? Your integration must be updated to verify with it.') && save({ rotate_secret: true })}
+                        disabled={busy}
+                        className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 rounded-md text-gray-700 transition-colors"
+                      >
+                        Rotate
+                      </button>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Requests carry X-Bici-Signature: t=timestamp,v1=HMAC-SHA256 of "timestamp.body" with this secret.
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex justify-between">
+                  <button
+                    onClick={remove}
+                    disabled={!draft.id}
+                    className="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-0 rounded-md transition-colors"
+                  >
+                    Delete
+                  </button>
+                  <div className="space-x-2">
+                    <button
+                      onClick={sendTest}
+                      disabled={!draft.id || busy}
+                      className="px-4 py-2 text-sm font-medium bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed rounded-md text-gray-700 transition-colors"
+                    >
+                      Send test event
+                    </button>
+                    <button
+                      onClick={() => save()}
+                      disabled={busy}
+                      className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                    >
+                      {busy ? 'Saving...' : 'Save webhook'}
+                    </button>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500">Select a webhook to edit or add one for your CRM or POS.</div>
+            )}
+
+            {message && (
+              <div className={`p-3 rounded-md text-sm ${
+                message.type === 'success'
+                  ? 'bg-green-50 text-green-800 border border-green-200'
+                  : 'bg-red-50 text-red-800 border border-red-200'
+              }`}>
+                {message.text}
+              </div>
+            )}
+
+            {/* Delivery log */}
+            {draft?.id && (
+              <div className="border-t border-gray-200 pt-4">
+                <div className="flex justify-between items-center mb-2">
+                  <div className="text-sm font-medium text-gray-700">Recent deliveries</div>
+                  <button onClick={() => loadDeliveries(draft.id!)} className="text-sm text-blue-600 hover:text-blue-800">
+                    Refresh
+                  </button>
+                </div>
+                {deliveries.length === 0 ? (
+                  <div className="text-sm text-gray-500">Nothing sent yet.</div>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500">
+                        <th className="py-1">Time</th>
+                        <th>Event</th>
+                        <th>Status</th>
+                        <th>Response</th>
+                        <th>Attempts</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {deliveries.map(delivery => (
+                        <tr key={delivery.id} className="border-t border-gray-100" title={delivery.error || delivery.response_body || ''}>
+                          <td className="py-1 text-gray-500">{new Date(delivery.created_at).toLocaleString()}</td>
+                          <td>{delivery.event}</td>
+                          <td className={STATUS_STYLES[delivery.status]}>{delivery.status}</td>
+                          <td>{delivery.response_status ?? (delivery.error ? 'No response' : '-')}</td>
+                          <td>{delivery.attempts}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IntegrationsPanel;
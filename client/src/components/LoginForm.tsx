@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { AuthUser } from '../types';
+import { authAPI } from '../services/api';
+
+interface LoginFormProps {
+  onLogin: (user: AuthUser) => void;
+}
+
+const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { user } = await authAPI.login(email, password);
+      onLogin(user);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to log in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="bici-card w-full max-w-sm mx-4 space-y-4">
+        <div>
+          <h1 className="text-2xl font-bold">BICI</h1>
+          <p className="text-sm text-bici-muted">Sign in to the AI Voice Agent Dashboard</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full bici-input"
+            autoComplete="username"
+            required
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full bici-input"
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-md text-sm bg-red-50 text-red-800 border border-red-200">
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bici-button-primary disabled:opacity-50"
+        >
+          {loading ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { CustomerErasureReport, RetentionDataType, RetentionPolicy } from '../types';
+import { privacyAPI } from '../services/api';
+
+interface PrivacyPanelProps {
+  onClose: () => void;
+}
+
+const DATA_LABELS: Record<RetentionDataType, string> = {
+  conversations: 'Messages and call turns',
+  conversation_summaries: 'Conversation summaries',
+  call_transcripts: 'Call transcripts (call kept for analytics)',
+  sms_automation_log: 'Sent text log',
+  lead_score_history: 'Lead score history',
+  webhook_events: 'Incoming webhook payloads',
+  integration_webhook_deliveries: 'Integration delivery log',
+  inactive_leads: 'Inactive customers (erased)'
+};
+
+const formatWindow = (days: number | null) => (days ? `${days} days` : 'Kept forever');
+
+const PrivacyPanel: React.FC<PrivacyPanelProps> = ({ onClose }) => {
+  const [policy, setPolicy] = useState<RetentionPolicy | null>(null);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [report, setReport] = useState<CustomerErasureReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{type: 'success' | 'error', text: string} | null>(null);
+
+  useEffect(() => {
+    loadPolicy();
+  }, []);
+
+  const loadPolicy = async () => {
+    try {
+      setPolicy(await privacyAPI.getRetention());
+    } catch (error) {
+      console.error('Error loading retention policy:', error);
+    }
+  };
+
+  const purgeNow = async () => {
+    if (!confirm('Delete everything older than the retention windows now?')) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await privacyAPI.purgeNow();
+      const total = Object.values(result.purged).reduce((sum, count) => sum + (count || 0), 0);
+      setMessage({ type: 'success', text: total > 0 ? `Purged ${total} expired record(s)` : 'Nothing has expired' });
+      await loadPolicy();
+    } catch (err: any) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to purge expired data' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const erase = async () => {
+    if (!phoneNumber.trim()) return;
+    if (!confirm(`Permanently erase everything held for ${phoneNumber}? This can't be undone.`)) return;
+    setBusy(true);
+    setMessage(null);
+    setReport(null);
+    try {
+      setReport(await privacyAPI.eraseCustomer(phoneNumber.trim()));
+      setPhoneNumber('');
+    } catch (err: any) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to erase customer data' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Data & Privacy</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Retention policy */}
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <div className="text-sm font-medium text-gray-700">Retention</div>
+            <button
+              onClick={purgeNow}
+              disabled={busy}
+              className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 rounded-md text-gray-700 transition-colors"
+            >
+              Purge expired now
+            </button>
+          </div>
+          {policy && (
+            <>
+              <table className="w-full text-sm">
+                <tbody>
+                  {(Object.keys(DATA_LABELS) as RetentionDataType[]).map(type => (
+                    <tr key={type} className="border-t border-gray-100">
+                      <td className="py-1 text-gray-700">{DATA_LABELS[type]}</td>
+                      <td className="text-right text-gray-500">{formatWindow(policy.windows[type])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500">
+                Purged daily at {String(policy.purge_hour_utc).padStart(2, '0')}:00 UTC.
+                {policy.redact_transcripts && ' Card numbers, emails and addresses are masked before transcripts are stored.'}
+                {policy.last_purge && ` Last purge removed data on ${new Date(policy.last_purge.created_at).toLocaleString()}.`}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Erasure */}
+        <div className="border-t border-gray-200 pt-4 mt-4 space-y-2">
+          <div className="text-sm font-medium text-gray-700">Erase a customer</div>
+          <div className="text-xs text-gray-500">
+            Removes their lead, messages, summaries, appointments, memory, logs and cached sessions, and cancels pending texts.
+            Calls stay in analytics without any personal data.
+          </div>
+          <div className="flex space-x-2">
+            <input
+              className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={phoneNumber}
+              placeholder="+1 604 555 1234"
+              onChange={(e) => setPhoneNumber(e.target.value)}
+            />
+            <button
+              onClick={erase}
+              disabled={busy || !phoneNumber.trim()}
+              className="px-4 py-1 text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+            >
+              {busy ? 'Working...' : 'Erase'}
+            </button>
+          </div>
+
+          {report && (
+            <div className="p-3 rounded-md text-sm bg-gray-50 border border-gray-200">
+              <div className="font-medium text-gray-800 mb-1">
+                {report.lead_ids.length > 0
+                  ? `Erased ${report.phone_number} (${report.lead_ids.length} lead(s))`
+                  : `No lead found for ${report.phone_number}; related records were still removed`}
+              </div>
+              <ul className="text-xs text-gray-600 grid grid-cols-2 gap-x-4">
+                {Object.entries(report.deleted).filter(([, count]) => count > 0).map(([table, count]) => (
+                  <li key={table}>{table}: {count} deleted</li>
+                ))}
+                {Object.entries(report.anonymized).filter(([, count]) => count > 0).map(([table, count]) => (
+                  <li key={table}>{table}: {count} anonymized</li>
+                ))}
+                <li>pending jobs: {report.cache.jobs_cancelled} cancelled</li>
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {message && (
+          <div className={`mt-4 p-3 rounded-md text-sm ${
+            message.type === 'success'
+              ? 'bg-green-50 text-green-800 border border-green-200'
+              : 'bg-red-50 text-red-800 border border-red-200'
+          }`}>
+            {message.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrivacyPanel;
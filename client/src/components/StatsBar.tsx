@@ -3,24 +3,59 @@ import { DashboardStats } from '../types';
 
 interface StatsBarProps {
   stats: DashboardStats;
+  days: number;
+  onDaysChange: (days: number) => void;
 }
 
-const StatsBar: React.FC<StatsBarProps> = ({ stats }) => {
+const RANGE_OPTIONS = [
+  { days: 1, label: 'Last 24 hours' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' }
+];
+
+const formatDuration = (seconds?: number | null) => {
+  if (!seconds) return '–';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const formatRate = (rate?: number | null) => (rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`);
+
+const StatsBar: React.FC<StatsBarProps> = ({ stats, days, onDaysChange }) => {
+  const calls = Object.entries(stats.calls_by_classification || {}).filter(([, count]) => count > 0);
+
   return (
     <div className="bg-bici-gray border-b border-gray-200">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <div className="flex justify-end mb-3">
+          <select
+            value={days}
+            onChange={(e) => onDaysChange(parseInt(e.target.value, 10))}
+            className="text-sm bici-input py-1"
+          >
+            {RANGE_OPTIONS.map(option => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+        </div>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           <div className="text-center">
             <div className="text-2xl font-bold text-bici-black">{stats.total_leads}</div>
-            <div className="text-sm text-bici-text">Total Leads</div>
+            <div className="text-sm text-bici-text">New Leads</div>
           </div>
           <div className="text-center">
             <div className="text-2xl font-bold text-bici-black">{stats.total_calls}</div>
-            <div className="text-sm text-bici-text">Total Calls</div>
+            <div className="text-sm text-bici-text">Calls</div>
+            {calls.length > 0 && (
+              <div className="text-xs text-bici-muted">
+                {calls.map(([classification, count]) => `${count} ${classification}`).join(' · ')}
+              </div>
+            )}
           </div>
           <div className="text-center">
             <div className="text-2xl font-bold text-bici-black">{stats.total_conversations}</div>
-            <div className="text-sm text-bici-text">Conversations</div>
+            <div className="text-sm text-bici-text">Messages</div>
           </div>
           <div className="text-center">
             <div className="text-2xl font-bold text-bici-black flex items-center justify-center">
@@ -31,10 +66,30 @@ const StatsBar: React.FC<StatsBarProps> = ({ stats }) => {
             </div>
             <div className="text-sm text-bici-text">Active Sessions</div>
           </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-red-600">{stats.hot_leads ?? 0}</div>
+            <div className="text-sm text-bici-text">Hot Leads</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-bici-black">{formatDuration(stats.average_call_duration_seconds)}</div>
+            <div className="text-sm text-bici-text">Avg Call Length</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-bici-black">
+              {stats.sms ? `${stats.sms.delivered}/${stats.sms.sent}` : '–'}
+            </div>
+            <div className="text-sm text-bici-text">SMS Delivered</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-bici-black">{formatRate(stats.conversion?.rate)}</div>
+            <div className="text-sm text-bici-text">
+              Converted{stats.conversion ? ` (${stats.conversion.customers})` : ''}
+            </div>
+          </div>
         </div>
       </div>
     </div>
   );
 };
 
-export default StatsBar;
\ No newline at end of file
+export default StatsBar;
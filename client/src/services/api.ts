@@ -1,14 +1,56 @@
 import axios from 'axios';
-import { Lead, Conversation, DashboardStats } from '../types';
+import { Lead, LeadDuplicate, MessageChannel, LeadMergeResult, LeadScoreDetails, LeadStatus, Conversation, ConversationSearchFilters, ConversationSearchResponse, DashboardStats, StatsRange, AutomationRule, AutomationRuleResult, AutomationSchema, AuthUser, Campaign, CampaignResult, CampaignSegment, HandoffQueueEntry, HumanControlSession, QueuedCustomerMessage, StaffAgent, AgentConfigField, AgentConfigFields, AgentConfigVersion, AgentConfigChange, AgentConfigDiff, IntegrationWebhook, IntegrationWebhookDelivery, RetentionPolicy, RetentionPurgeReport, CustomerErasureReport, RealtimeConnectedMessage, RealtimeEnvelope } from '../types';
 
 const API_BASE = typeof window !== 'undefined' && window.location.origin
   ? `${window.location.origin}/api`
   : '/api';
 
-const ORGANIZATION_ID = 'b0c1b1c1-0000-0000-0000-000000000001';
+const TOKEN_KEY = 'bici_auth_token';
 
-// Configure axios defaults
-axios.defaults.headers.common['X-Organization-Id'] = ORGANIZATION_ID;
+// The organization comes from the signed-in user, so the token is all we send
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token: string | null) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common['Authorization'];
+  }
+};
+
+setAuthToken(getAuthToken());
+
+// Called when the server rejects the token (expired, revoked, deactivated)
+export const onUnauthorized = (handler: () => void) => {
+  const interceptor = axios.interceptors.response.use(undefined, (error) => {
+    if (error.response?.status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+      setAuthToken(null);
+      handler();
+    }
+    return Promise.reject(error);
+  });
+  return () => axios.interceptors.response.eject(interceptor);
+};
+
+// Auth API
+export const authAPI = {
+  login: async (email: string, password: string): Promise<{ token: string; user: AuthUser }> => {
+    const response = await axios.post(`${API_BASE}/auth/login`, { email, password });
+    setAuthToken(response.data.token);
+    return response.data;
+  },
+
+  me: async (): Promise<AuthUser> => {
+    const response = await axios.get(`${API_BASE}/auth/me`);
+    return response.data.user;
+  },
+
+  logout: () => {
+    setAuthToken(null);
+  }
+};
 
 // Lead API
 export const leadAPI = {
@@ -20,39 +62,112 @@ export const leadAPI = {
   getById: async (id: string): Promise<Lead> => {
     const response = await axios.get(`${API_BASE}/leads/${id}`);
     return response.data;
+  },
+
+  // Current score, what it is made of, and recent changes
+  getScore: async (id: string): Promise<LeadScoreDetails> => {
+    const response = await axios.get(`${API_BASE}/leads/${id}/score`);
+    return response.data;
+  },
+
+  getDuplicates: async (): Promise<LeadDuplicate[]> => {
+    const response = await axios.get(`${API_BASE}/leads/duplicates`);
+    return response.data;
+  },
+
+  // Moves the duplicate's history onto the lead kept and deletes the duplicate
+  merge: async (keepId: string, duplicateId: string): Promise<LeadMergeResult> => {
+    const response = await axios.post(`${API_BASE}/leads/${keepId}/merge`, { duplicate_id: duplicateId });
+    return response.data;
+  },
+
+  // Manual status change; the only way a lead moves backwards
+  setStatus: async (id: string, status: LeadStatus, reason?: string): Promise<Lead> => {
+    const response = await axios.put(`${API_BASE}/leads/${id}/status`, { status, reason });
+    return response.data;
+  },
+
+  // Email address and the channel automated messages use
+  updateContact: async (id: string, contact: { email?: string | null; contact_preference?: Lead['qualification_data']['contact_preference'] }): Promise<Lead> => {
+    const response = await axios.patch(`${API_BASE}/leads/${id}/contact`, contact);
+    return response.data;
   }
 };
 
 // Conversation API
 export const conversationAPI = {
-  getByLeadId: async (leadId: string): Promise<Conversation[]> => {
-    const response = await axios.get(`${API_BASE}/conversations/${leadId}`);
+  // The latest messages, or those around `aroundId` when opening a search result
+  getByLeadId: async (leadId: string, aroundId?: string): Promise<Conversation[]> => {
+    const response = await axios.get(`${API_BASE}/conversations/${leadId}`, {
+      params: aroundId ? { around: aroundId } : undefined
+    });
+    return response.data;
+  },
+
+  search: async (filters: ConversationSearchFilters): Promise<ConversationSearchResponse> => {
+    const response = await axios.get(`${API_BASE}/search/conversations`, { params: filters });
     return response.data;
   }
 };
 
 // Human Control API
 export const humanControlAPI = {
-  join: async (leadId: string, agentName: string = 'Agent') => {
-    const response = await axios.post(`${API_BASE}/human-control/join`, {
-      leadId,
-      agentName
+  // Who holds the conversation and whether it is waiting for a person
+  getState: async (leadId: string): Promise<{ session: HumanControlSession | null; escalation: HandoffQueueEntry | null }> => {
+    const response = await axios.get(`${API_BASE}/human-control/${leadId}`);
+    return response.data;
+  },
+
+  getQueue: async (): Promise<HandoffQueueEntry[]> => {
+    const response = await axios.get(`${API_BASE}/human-control/queue`);
+    return response.data;
+  },
+
+  getAgents: async (): Promise<StaffAgent[]> => {
+    const response = await axios.get(`${API_BASE}/human-control/agents`);
+    return response.data;
+  },
+
+  // Claims as the signed-in user; returns the customer texts that were waiting
+  claim: async (leadId: string): Promise<{ session: HumanControlSession; messages: QueuedCustomerMessage[] }> => {
+    const response = await axios.post(`${API_BASE}/human-control/claim`, {
+      leadId
     });
     return response.data;
   },
   
-  leave: async (leadId: string) => {
-    const response = await axios.post(`${API_BASE}/human-control/leave`, {
+  release: async (leadId: string) => {
+    const response = await axios.post(`${API_BASE}/human-control/release`, {
       leadId
     });
     return response.data;
   },
+
+  transfer: async (leadId: string, userId: string): Promise<{ session: HumanControlSession }> => {
+    const response = await axios.post(`${API_BASE}/human-control/transfer`, {
+      leadId,
+      userId
+    });
+    return response.data;
+  },
+
+  // Texts queued since the holder last collected them
+  takeMessages: async (leadId: string): Promise<QueuedCustomerMessage[]> => {
+    const response = await axios.get(`${API_BASE}/human-control/${leadId}/messages`);
+    return response.data;
+  },
+
+  dismiss: async (leadId: string) => {
+    const response = await axios.post(`${API_BASE}/human-control/queue/${leadId}/dismiss`);
+    return response.data;
+  },
   
-  sendMessage: async (leadId: string, message: string, phoneNumber: string) => {
+  sendMessage: async (leadId: string, message: string, phoneNumber: string, channel: MessageChannel = 'sms') => {
     const response = await axios.post(`${API_BASE}/human-control/send-message`, {
       leadId,
       message,
-      phoneNumber
+      phoneNumber,
+      channel
     });
     return response.data;
   }
@@ -80,34 +195,196 @@ export const smsAPI = {
   }
 };
 
+// Email API
+export const emailAPI = {
+  // Threaded onto the customer's last email unless a subject starts a new one
+  send: async (leadId: string, message: string, subject?: string) => {
+    const response = await axios.post(`${API_BASE}/leads/${leadId}/email`, {
+      message,
+      subject
+    });
+    return response.data;
+  }
+};
+
 // Dashboard API
 export const dashboardAPI = {
-  getStats: async (): Promise<DashboardStats> => {
-    const response = await axios.get(`${API_BASE}/dashboard/stats`);
+  getStats: async (range: StatsRange = {}): Promise<DashboardStats> => {
+    const response = await axios.get(`${API_BASE}/dashboard/stats`, { params: range });
     return response.data;
   }
 };
 
-// Agent API
+// Agent configuration API: versions are saved first and deployed separately
 export const agentAPI = {
-  // Get current transfer number
-  getTransferNumber: async () => {
-    const response = await axios.get(`${API_BASE}/agent/transfer-number`);
+  getLive: async (): Promise<{ agent_id: string; config: AgentConfigFields }> => {
+    const response = await axios.get(`${API_BASE}/agent/config/live`);
+    return response.data;
+  },
+
+  getVersions: async (): Promise<AgentConfigVersion[]> => {
+    const response = await axios.get(`${API_BASE}/agent/config/versions`);
     return response.data;
   },
 
-  // Update transfer number
-  updateTransferNumber: async (phoneNumber: string) => {
-    const response = await axios.post(`${API_BASE}/agent/update-transfer-number`, {
-      phone_number: phoneNumber
+  // With no config, saves a snapshot of the live agent
+  saveVersion: async (config?: Partial<AgentConfigFields>, note?: string, baseVersion?: number): Promise<AgentConfigVersion> => {
+    const response = await axios.post(`${API_BASE}/agent/config/versions`, {
+      config,
+      note,
+      base_version: baseVersion
     });
     return response.data;
+  },
+
+  diff: async (version?: number): Promise<AgentConfigDiff> => {
+    const response = await axios.get(`${API_BASE}/agent/config/diff`, { params: { version } });
+    return response.data;
+  },
+
+  deploy: async (version: number, fields?: AgentConfigField[]): Promise<{ version: number; changes: AgentConfigChange[] }> => {
+    const response = await axios.post(`${API_BASE}/agent/config/deploy`, { version, fields });
+    return response.data;
+  },
+
+  rollback: async (version: number): Promise<{ version: number; restored: number; changes: AgentConfigChange[] }> => {
+    const response = await axios.post(`${API_BASE}/agent/config/rollback`, { version });
+    return response.data;
   }
 };
 
-// SSE Connection for real-time updates
-export const createSSEConnection = (clientId: string, onMessage: (data: any) => void) => {
-  const eventSource = new EventSource(`${API_BASE}/stream/${clientId}`);
+// Outbound webhooks to the organization's CRM or POS (owners only)
+export const integrationAPI = {
+  getWebhooks: async (): Promise<IntegrationWebhook[]> => {
+    const response = await axios.get(`${API_BASE}/integrations/webhooks`);
+    return response.data;
+  },
+
+  create: async (webhook: Partial<IntegrationWebhook>): Promise<IntegrationWebhook> => {
+    const response = await axios.post(`${API_BASE}/integrations/webhooks`, webhook);
+    return response.data;
+  },
+
+  update: async (id: string, webhook: Partial<IntegrationWebhook> & { rotate_secret?: boolean }): Promise<IntegrationWebhook> => {
+    const response = await axios.patch(`${API_BASE}/integrations/webhooks/${id}`, webhook);
+    return response.data;
+  },
+
+  remove: async (id: string) => {
+    const response = await axios.delete(`${API_BASE}/integrations/webhooks/${id}`);
+    return response.data;
+  },
+
+  getDeliveries: async (id: string): Promise<IntegrationWebhookDelivery[]> => {
+    const response = await axios.get(`${API_BASE}/integrations/webhooks/${id}/deliveries`);
+    return response.data;
+  },
+
+  // Sent once, right away; resolves to the logged delivery
+  sendTest: async (id: string): Promise<IntegrationWebhookDelivery> => {
+    const response = await axios.post(`${API_BASE}/integrations/webhooks/${id}/test`);
+    return response.data;
+  }
+};
+
+export const privacyAPI = {
+  getRetention: async (): Promise<RetentionPolicy> => {
+    const response = await axios.get(`${API_BASE}/privacy/retention`);
+    return response.data;
+  },
+
+  purgeNow: async (): Promise<RetentionPurgeReport> => {
+    const response = await axios.post(`${API_BASE}/privacy/retention/purge`);
+    return response.data;
+  },
+
+  // Permanent; resolves to the report of what was removed
+  eraseCustomer: async (phoneNumber: string): Promise<CustomerErasureReport> => {
+    const response = await axios.post(`${API_BASE}/privacy/erasure`, { phone_number: phoneNumber });
+    return response.data;
+  }
+};
+
+// Automation rule API
+export const automationAPI = {
+  getAll: async (): Promise<AutomationRule[]> => {
+    const response = await axios.get(`${API_BASE}/automations`);
+    return response.data;
+  },
+
+  getSchema: async (): Promise<AutomationSchema> => {
+    const response = await axios.get(`${API_BASE}/automations/schema`);
+    return response.data;
+  },
+
+  create: async (rule: Partial<AutomationRule>): Promise<AutomationRule> => {
+    const response = await axios.post(`${API_BASE}/automations`, rule);
+    return response.data;
+  },
+
+  update: async (id: string, rule: Partial<AutomationRule>): Promise<AutomationRule> => {
+    const response = await axios.patch(`${API_BASE}/automations/${id}`, rule);
+    return response.data;
+  },
+
+  remove: async (id: string) => {
+    const response = await axios.delete(`${API_BASE}/automations/${id}`);
+    return response.data;
+  },
+
+  // Evaluate rules against a stored call; pass draft rules to test unsaved edits
+  dryRun: async (callSessionId: string, rules?: Partial<AutomationRule>[]): Promise<{ results: AutomationRuleResult[]; would_send: AutomationRuleResult[] }> => {
+    const response = await axios.post(`${API_BASE}/automations/dry-run`, {
+      call_session_id: callSessionId,
+      rules
+    });
+    return response.data;
+  }
+};
+
+export const campaignAPI = {
+  getAll: async (): Promise<Campaign[]> => {
+    const response = await axios.get(`${API_BASE}/campaigns`);
+    return response.data;
+  },
+
+  // How many leads a segment would call
+  preview: async (segment: CampaignSegment): Promise<{ count: number; leads: Partial<Lead>[] }> => {
+    const response = await axios.post(`${API_BASE}/campaigns/preview`, { segment });
+    return response.data;
+  },
+
+  create: async (campaign: Partial<Campaign>): Promise<Campaign> => {
+    const response = await axios.post(`${API_BASE}/campaigns`, campaign);
+    return response.data;
+  },
+
+  getResults: async (id: string): Promise<CampaignResult[]> => {
+    const response = await axios.get(`${API_BASE}/campaigns/${id}/results`);
+    return response.data;
+  },
+
+  // Starts a draft or resumes a paused campaign
+  start: async (id: string): Promise<Campaign> => {
+    const response = await axios.post(`${API_BASE}/campaigns/${id}/start`);
+    return response.data;
+  },
+
+  pause: async (id: string): Promise<Campaign> => {
+    const response = await axios.post(`${API_BASE}/campaigns/${id}/pause`);
+    return response.data;
+  }
+};
+
+// SSE Connection for real-time updates. EventSource reconnects on its own
+// and sends Last-Event-ID, so the server replays what was missed.
+export const createSSEConnection = (
+  clientId: string,
+  onMessage: (data: RealtimeEnvelope | RealtimeConnectedMessage) => void
+) => {
+  // EventSource can't set headers, so the token goes in the query string
+  const token = encodeURIComponent(getAuthToken() || '');
+  const eventSource = new EventSource(`${API_BASE}/stream/${clientId}?access_token=${token}`);
   
   eventSource.onmessage = (event) => {
     try {
@@ -123,4 +400,11 @@ export const createSSEConnection = (clientId: string, onMessage: (data: any) =>
   };
   
   return eventSource;
-};
\ No newline at end of file
+};
+
+export const streamAPI = {
+  // Live call detail (transcripts, tool calls) only comes for the followed lead
+  subscribe: async (clientId: string, leadId: string | null): Promise<void> => {
+    await axios.post(`${API_BASE}/stream/${clientId}/subscribe`, { lead_id: leadId });
+  }
+};
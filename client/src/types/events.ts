@@ -0,0 +1,2 @@
+// Realtime event schemas are defined once, next to the server code that sends them
+export * from '../../../server/src/types/events';
@@ -4,8 +4,8 @@ export interface Lead {
   phone_number: string;
   phone_normalized: string;
   customer_name?: string;
-  email?: string;
-  status: 'new' | 'contacted' | 'qualified' | 'hot' | 'customer' | 'closed';
+  email?: string | null;
+  status: LeadStatus;
   sentiment: 'positive' | 'neutral' | 'negative';
   bike_interest: {
     type?: 'road' | 'mountain' | 'hybrid' | 'e-bike';
@@ -20,9 +20,64 @@ export interface Lead {
     contact_preference: 'phone' | 'sms' | 'email';
     purchase_intent: number;
   };
+  lead_score?: number | null;
+  score_factors?: ScoreFactor[];
+  scored_at?: string | null;
   created_at: string;
   updated_at: string;
   last_contact_at?: string;
+  sms_opted_out?: boolean;
+  sms_delivery_failed?: boolean;
+  sms_delivery_error_code?: string | null;
+}
+
+// Channels a written message can go out on
+export type MessageChannel = 'sms' | 'email';
+
+export type LeadStatus = 'new' | 'contacted' | 'qualified' | 'hot' | 'customer' | 'closed';
+
+// One contribution to a lead's score
+export interface ScoreFactor {
+  key: string;
+  category: 'data_collection' | 'engagement' | 'keywords';
+  label: string;
+  points: number;
+}
+
+export interface LeadScoreChange {
+  id: string;
+  score: number;
+  previous_score: number | null;
+  status: LeadStatus;
+  previous_status: LeadStatus | null;
+  factors: ScoreFactor[];
+  source: 'call' | 'sms' | 'manual' | 'recalculated';
+  changed_by?: string | null;
+  reason?: string | null;
+  created_at: string;
+}
+
+export interface LeadScoreDetails {
+  score: number | null;
+  status: LeadStatus;
+  factors: ScoreFactor[];
+  scored_at: string | null;
+  history: LeadScoreChange[];
+}
+
+export type LeadDuplicateReason = 'phone' | 'email' | 'name';
+
+// Two leads that look like the same customer, oldest first
+export interface LeadDuplicate {
+  leads: [Lead, Lead];
+  reasons: LeadDuplicateReason[];
+  confidence: 'high' | 'medium';
+}
+
+export interface LeadMergeResult {
+  lead: Lead;
+  merged_lead_id: string;
+  moved: Record<string, number>;
 }
 
 export interface Conversation {
@@ -32,12 +87,41 @@ export interface Conversation {
   phone_number: string;
   content: string;
   sent_by: 'user' | 'agent' | 'human_agent' | 'system';
-  type: 'text' | 'voice' | 'sms';
+  type: 'text' | 'voice' | 'sms' | 'email';
   classification?: 'sales' | 'support' | 'service' | 'general';
   timestamp: string;
   metadata?: Record<string, any>;
 }
 
+export interface ConversationSearchResult {
+  kind: 'message' | 'summary';
+  id: string;
+  lead_id: string | null;
+  lead: Pick<Lead, 'id' | 'customer_name' | 'phone_number' | 'status'> | null;
+  channel: string;
+  sent_by: Conversation['sent_by'] | null;
+  call_classification: string | null;
+  timestamp: string;
+  snippet: string;
+  highlights: [number, number][];
+}
+
+export interface ConversationSearchResponse {
+  results: ConversationSearchResult[];
+  has_more: boolean;
+}
+
+export interface ConversationSearchFilters {
+  q: string;
+  channel?: 'voice' | 'sms' | 'email';
+  classification?: 'sales' | 'support' | 'service' | 'general';
+  sender?: Conversation['sent_by'];
+  status?: LeadStatus;
+  from?: string;
+  to?: string;
+  offset?: number;
+}
+
 export interface CallSession {
   id: string;
   organization_id: string;
@@ -51,11 +135,255 @@ export interface CallSession {
   summary?: string;
   classification?: string;
   escalated_to_human: boolean;
+  campaign_id?: string;
+  outcome?: CallOutcome;
 }
 
+export type CallOutcome = 'answered' | 'voicemail' | 'no_answer' | 'busy' | 'failed';
+
 export interface DashboardStats {
   total_leads: number;
   total_calls: number;
   total_conversations: number;
   active_sessions: number;
-}
\ No newline at end of file
+  // Breakdown for the requested date range (absent until the first load)
+  range?: { from: string; to: string };
+  hot_leads?: number;
+  leads_by_status?: Record<string, number>;
+  calls_by_classification?: Record<string, number>;
+  average_call_duration_seconds?: number | null;
+  sms?: { sent: number; delivered: number; failed: number; delivery_rate: number | null };
+  conversion?: { leads: number; customers: number; rate: number | null };
+}
+
+export interface StatsRange {
+  days?: number;
+  from?: string;
+  to?: string;
+}
+export interface AutomationCondition {
+  field: string;
+  operator: 'contains' | 'equals' | 'not_equals' | 'in' | 'gte' | 'lte' | 'exists';
+  value?: string | number | boolean | string[];
+}
+
+export interface AutomationRule {
+  id: string;
+  organization_id: string;
+  name: string;
+  enabled: boolean;
+  match: 'all' | 'any';
+  conditions: AutomationCondition[];
+  template: string;
+  delay_minutes: number;
+  priority: number;
+  cooldown_minutes: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface AutomationRuleResult {
+  rule_id: string;
+  name: string;
+  priority: number;
+  matched: boolean;
+  message?: string;
+  delay_minutes?: number;
+  skipped_reason?: 'cooldown' | 'disabled';
+}
+
+export interface AutomationSchema {
+  fields: string[];
+  operators: AutomationCondition['operator'][];
+  variables: string[];
+}
+
+export type UserRole = 'owner' | 'staff' | 'read_only';
+
+export interface AuthUser {
+  id: string;
+  organization_id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+}
+
+export interface CampaignSegment {
+  statuses?: Lead['status'][];
+  bike_type?: NonNullable<Lead['bike_interest']['type']>;
+  no_contact_days?: number;
+}
+
+export type CampaignLeadStatus = 'pending' | 'calling' | 'retry' | 'completed' | 'failed' | 'skipped';
+
+export interface CampaignProgress {
+  total: number;
+  by_status: Record<CampaignLeadStatus, number>;
+  by_outcome: Record<string, number>;
+}
+
+export interface Campaign {
+  id: string;
+  name: string;
+  purpose: string;
+  segment: CampaignSegment;
+  status: 'draft' | 'running' | 'paused' | 'completed';
+  max_concurrent: number;
+  pacing_seconds: number;
+  max_attempts: number;
+  retry_delay_minutes: number;
+  started_at?: string | null;
+  completed_at?: string | null;
+  created_at: string;
+  progress?: CampaignProgress;
+}
+
+export interface CampaignResult {
+  id: string;
+  lead_id: string;
+  status: CampaignLeadStatus;
+  attempts: number;
+  outcome?: CallOutcome | 'opted_out' | null;
+  next_attempt_at?: string | null;
+  last_attempt_at?: string | null;
+  last_error?: string | null;
+  lead: Pick<Lead, 'id' | 'customer_name' | 'phone_number' | 'status'> | null;
+}
+
+export type EscalationReason = 'support_call' | 'negative_sentiment' | 'asked_for_human';
+
+// A conversation waiting in the handoff queue
+export interface HandoffQueueEntry {
+  lead_id: string;
+  reason: EscalationReason;
+  details?: string;
+  customer_name?: string | null;
+  phone_number?: string;
+  created_at: string;
+  queued_messages: number;
+}
+
+export interface HumanControlSession {
+  id: string;
+  lead_id: string;
+  agent_name: string;
+  agent_user_id?: string | null;
+  escalation_reason?: EscalationReason | null;
+  messages_handled: number;
+  started_at: string;
+  last_activity_at: string;
+}
+
+export interface QueuedCustomerMessage {
+  content: string;
+  received_at: string;
+}
+
+export interface StaffAgent {
+  id: string;
+  name: string;
+  role: UserRole;
+}
+
+// Parts of the ElevenLabs agent managed from the settings modal
+export interface AgentConfigFields {
+  prompt: string;
+  first_message: string;
+  tools: Record<string, any>[];
+  transfer_numbers: string[];
+  data_collection: Record<string, { type: 'string' | 'boolean' | 'integer' | 'number'; description: string; [key: string]: any }>;
+}
+
+export type AgentConfigField = keyof AgentConfigFields;
+
+export interface AgentConfigVersion {
+  id: string;
+  agent_id: string;
+  version: number;
+  config: AgentConfigFields;
+  source: 'live' | 'edit' | 'import' | 'rollback';
+  note?: string | null;
+  rolled_back_from?: number | null;
+  created_by_name?: string | null;
+  deployed_at?: string | null;
+  deployed_fields?: AgentConfigField[] | null;
+  created_at: string;
+}
+
+export interface AgentConfigChange {
+  field: AgentConfigField;
+  live: any;
+  version: any;
+}
+
+export interface AgentConfigDiff {
+  agent_id: string;
+  version: number;
+  in_sync: boolean;
+  changes: AgentConfigChange[];
+}
+
+// Events sent to an organization's CRM or POS
+export type IntegrationEventType = 'lead.created' | 'lead.status_changed' | 'call.completed' | 'sms.received' | 'human_control.started';
+
+export interface IntegrationWebhook {
+  id: string;
+  name: string;
+  url: string;
+  secret: string;
+  events: IntegrationEventType[];
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface IntegrationWebhookDelivery {
+  id: string;
+  webhook_id: string;
+  event: IntegrationEventType | 'test';
+  status: 'pending' | 'retrying' | 'delivered' | 'failed';
+  attempts: number;
+  response_status?: number | null;
+  response_body?: string | null;
+  error?: string | null;
+  duration_ms?: number | null;
+  created_at: string;
+  delivered_at?: string | null;
+}
+
+export type RetentionDataType =
+  | 'conversations'
+  | 'conversation_summaries'
+  | 'call_transcripts'
+  | 'sms_automation_log'
+  | 'lead_score_history'
+  | 'webhook_events'
+  | 'integration_webhook_deliveries'
+  | 'inactive_leads';
+
+export interface RetentionPurgeReport {
+  organization_id: string;
+  cutoffs: Partial<Record<RetentionDataType, string>>;
+  purged: Partial<Record<RetentionDataType, number>>;
+  started_at: string;
+  completed_at: string;
+}
+
+export interface RetentionPolicy {
+  windows: Record<RetentionDataType, number | null>; // Days; null keeps forever
+  purge_hour_utc: number;
+  redact_transcripts: boolean;
+  last_purge: { created_at: string; user_name?: string | null; details: RetentionPurgeReport } | null;
+}
+
+export interface CustomerErasureReport {
+  organization_id: string;
+  phone_number: string; // Masked
+  lead_ids: string[];
+  deleted: Record<string, number>;
+  anonymized: Record<string, number>;
+  cache: { leads_cleared: number; jobs_cancelled: number };
+  erased_at: string;
+}
+
+export * from './events';
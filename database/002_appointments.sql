@@ -0,0 +1,22 @@
+-- Service-bay appointments booked by the voice agent, SMS or the dashboard
+CREATE TABLE IF NOT EXISTS appointments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  scheduled_at TIMESTAMPTZ NOT NULL,
+  duration_minutes INTEGER DEFAULT 60,
+  service_type VARCHAR(100) DEFAULT 'general_service', -- 'tune_up', 'repair', 'fitting', ...
+  status VARCHAR(20) DEFAULT 'scheduled', -- 'scheduled', 'cancelled', 'completed', 'no_show'
+  source VARCHAR(20) DEFAULT 'dashboard', -- 'voice', 'sms', 'dashboard'
+  notes TEXT,
+  cancelled_at TIMESTAMPTZ,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_org_scheduled ON appointments(organization_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_lead ON appointments(lead_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
+
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
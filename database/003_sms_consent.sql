@@ -0,0 +1,23 @@
+-- SMS consent: current opt-out state on the lead plus an append-only ledger
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_opted_out BOOLEAN DEFAULT false;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_opt_out_source VARCHAR(20); -- 'sms_keyword', 'dashboard', 'api'
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS timezone VARCHAR(64); -- IANA zone for quiet hours, store timezone when null
+
+CREATE TABLE IF NOT EXISTS sms_consent_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  phone_number VARCHAR(20) NOT NULL,
+  action VARCHAR(10) NOT NULL, -- 'opt_out', 'opt_in'
+  source VARCHAR(20) NOT NULL, -- 'sms_keyword', 'dashboard', 'api'
+  keyword VARCHAR(20),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_consent_log_lead ON sms_consent_log(lead_id, created_at DESC);
+
+ALTER TABLE sms_consent_log ENABLE ROW LEVEL SECURITY;
+
+-- Suppressed sends are logged alongside delivered ones
+COMMENT ON COLUMN sms_automation_log.status IS 'sent, delivered, failed, suppressed';
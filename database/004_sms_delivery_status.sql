@@ -0,0 +1,12 @@
+-- SMS delivery tracking from Twilio status callbacks
+-- Per-message status lives in conversations.metadata (delivery_status, delivery_error_code, ...)
+ALTER TABLE sms_automation_log ADD COLUMN IF NOT EXISTS error_code VARCHAR(10);
+ALTER TABLE sms_automation_log ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_sms_automation_log_message_sid ON sms_automation_log(message_sid);
+CREATE INDEX IF NOT EXISTS idx_conversations_message_sid ON conversations((metadata->>'message_sid'));
+
+-- Leads whose texts keep failing after a retry
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_delivery_failed BOOLEAN DEFAULT false;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_delivery_failed_at TIMESTAMPTZ;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS sms_delivery_error_code VARCHAR(10);
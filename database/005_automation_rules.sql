@@ -0,0 +1,43 @@
+-- Per-organization SMS automation rules evaluated against post-call insights
+CREATE TABLE IF NOT EXISTS automation_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  enabled BOOLEAN DEFAULT true,
+  match VARCHAR(3) DEFAULT 'all', -- 'all', 'any'
+  conditions JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ field, operator, value }]
+  template TEXT NOT NULL, -- message with {{variables}}
+  delay_minutes INTEGER DEFAULT 0,
+  priority INTEGER DEFAULT 0,
+  cooldown_minutes INTEGER DEFAULT 60,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_rules_org ON automation_rules(organization_id, priority DESC);
+
+ALTER TABLE automation_rules ENABLE ROW LEVEL SECURITY;
+
+-- Seed BICI with the templates that used to be hard-coded
+INSERT INTO automation_rules (organization_id, name, match, conditions, template, delay_minutes, priority, cooldown_minutes)
+SELECT 'b0c1b1c1-0000-0000-0000-000000000001', seed.name, 'any', seed.conditions::jsonb, seed.template, seed.delay_minutes, seed.priority, seed.cooldown_minutes
+FROM (VALUES
+  (
+    'store_hours',
+    '[{"field":"triggers","operator":"contains","value":["asked_hours","when_open","store hours"]},{"field":"followUpNeeded","operator":"contains","value":"hours"}]',
+    E'🚴 BICI is {{store_status}}! Our full hours:\n{{weekly_hours}}\n📍 {{store_address}}',
+    0, 10, 60
+  ),
+  (
+    'directions',
+    '[{"field":"triggers","operator":"contains","value":["asked_directions","where_located","how_to_get","directions/location","location","address"]},{"field":"followUpNeeded","operator":"contains","value":["directions","location"]}]',
+    E'📍 {{store_name}}\n{{store_address}}\n\n🗺️ Get Directions:\n• Google Maps: {{maps_link}}\n• Apple Maps: {{apple_maps_link}}\n\nFree parking available! 🚗',
+    0, 9, 60
+  )
+) AS seed(name, conditions, template, delay_minutes, priority, cooldown_minutes)
+WHERE NOT EXISTS (
+  SELECT 1 FROM automation_rules WHERE organization_id = 'b0c1b1c1-0000-0000-0000-000000000001'
+);
+
+-- Rule that queued an automated text, for per-rule cooldowns and reporting
+COMMENT ON COLUMN sms_automation_log.trigger_reason IS 'automation_rules.id for rule-driven texts';
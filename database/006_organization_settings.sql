@@ -0,0 +1,40 @@
+-- Per-organization store settings read by OrganizationService.
+-- Keys: name, spoken_name, address, phone, email, website, timezone,
+-- business_hours ({ day: { open, close } }), services, elevenlabs_agent_id,
+-- elevenlabs_phone_number_id, twilio_phone_number, transfer_number.
+-- Keys left out fall back to the server's environment defaults.
+
+-- New organizations start empty instead of inheriting placeholder store details
+ALTER TABLE organizations ALTER COLUMN settings SET DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_organizations_agent_id ON organizations ((settings->>'elevenlabs_agent_id'));
+
+-- Replace the placeholder settings on the BICI organization with its real details
+UPDATE organizations
+SET settings = jsonb_build_object(
+  'name', 'BICI Bike Store',
+  'spoken_name', 'Beechee',
+  'address', '1497 Adanac Street, Vancouver, BC',
+  'email', 'hello@bici.cc',
+  'website', 'https://www.bici.cc',
+  'timezone', 'America/Los_Angeles',
+  'twilio_phone_number', phone_number,
+  'business_hours', '{
+    "monday": { "open": "08:00", "close": "18:00" },
+    "tuesday": { "open": "08:00", "close": "18:00" },
+    "wednesday": { "open": "08:00", "close": "18:00" },
+    "thursday": { "open": "08:00", "close": "18:00" },
+    "friday": { "open": "08:00", "close": "18:00" },
+    "saturday": { "open": "09:00", "close": "16:30" },
+    "sunday": { "open": "09:00", "close": "16:30" }
+  }'::jsonb,
+  'services', '[
+    "Bike Sales (Road, Mountain, Hybrid, E-Bikes)",
+    "Professional Bike Repairs",
+    "Custom Bike Builds",
+    "Bike Fitting Services",
+    "Bike Rentals"
+  ]'::jsonb
+) || COALESCE(settings - 'business_hours' - 'location' - 'services', '{}'::jsonb),
+    updated_at = now()
+WHERE id = 'b0c1b1c1-0000-0000-0000-000000000001';
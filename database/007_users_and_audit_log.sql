@@ -0,0 +1,36 @@
+-- Dashboard users, one organization each. password_hash is scrypt
+-- ("scrypt$<cost>$<salt>$<hash>"); create the first owner with
+-- `npm run user:create` in server/.
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) UNIQUE NOT NULL, -- stored lowercase
+  name VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'staff', -- 'owner', 'staff', 'read_only'
+  active BOOLEAN DEFAULT true,
+  password_hash TEXT NOT NULL,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_org ON users(organization_id);
+
+-- Who did what from the dashboard
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_name VARCHAR(255), -- kept if the user is removed
+  action VARCHAR(50) NOT NULL, -- 'sms.sent', 'human_control.joined', 'agent.transfer_number_changed', ...
+  target_type VARCHAR(20), -- 'lead', 'phone_number', 'organization', 'user'
+  target_id VARCHAR(255),
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_org ON audit_log(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_id, created_at DESC);
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
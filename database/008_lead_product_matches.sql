@@ -0,0 +1,4 @@
+-- Catalog products the voice agent found for a lead (search_bikes / check_stock),
+-- newest first and capped at 10: [{ product_id, title, url, price_min, in_stock, source, matched_at }]
+-- Automation rule templates can link them with {{product_links}}.
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS product_matches JSONB DEFAULT '[]'::jsonb;
@@ -0,0 +1,51 @@
+-- Outbound call campaigns: a lead segment dialed by the campaign runner job
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  purpose TEXT NOT NULL, -- spoken reason for the call, used as the outbound greeting
+  segment JSONB NOT NULL DEFAULT '{}'::jsonb, -- { statuses, bike_type, no_contact_days }
+  status VARCHAR(20) DEFAULT 'draft', -- 'draft', 'running', 'paused', 'completed'
+  max_concurrent INTEGER DEFAULT 2,
+  pacing_seconds INTEGER DEFAULT 60,
+  max_attempts INTEGER DEFAULT 3,
+  retry_delay_minutes INTEGER DEFAULT 120,
+  run_id UUID, -- changes on every start so runner jobs from an earlier run stop
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_org ON campaigns(organization_id, created_at DESC);
+
+-- One row per enrolled lead, tracking attempts and the latest outcome
+CREATE TABLE IF NOT EXISTS campaign_leads (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'calling', 'retry', 'completed', 'failed', 'skipped'
+  attempts INTEGER DEFAULT 0,
+  outcome VARCHAR(20), -- call_sessions.outcome of the latest attempt, or 'opted_out'
+  next_attempt_at TIMESTAMPTZ,
+  last_attempt_at TIMESTAMPTZ,
+  call_session_id UUID REFERENCES call_sessions(id) ON DELETE SET NULL,
+  conversation_id VARCHAR(255),
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (campaign_id, lead_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_campaign ON campaign_leads(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_call_session ON campaign_leads(call_session_id);
+
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_leads ENABLE ROW LEVEL SECURITY;
+
+-- How each outbound attempt ended: 'answered', 'voicemail', 'no_answer', 'busy', 'failed'
+ALTER TABLE call_sessions ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+ALTER TABLE call_sessions ADD COLUMN IF NOT EXISTS outcome VARCHAR(20);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_campaign ON call_sessions(campaign_id);
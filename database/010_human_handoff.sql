@@ -0,0 +1,9 @@
+-- Human takeover by named staff. Live sessions and the handoff queue are in
+-- Redis; these rows are the history.
+ALTER TABLE human_control_sessions ADD COLUMN IF NOT EXISTS agent_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+-- 'released', 'transferred', 'inactivity' (handed back to the AI), 'cleared' (admin)
+ALTER TABLE human_control_sessions ADD COLUMN IF NOT EXISTS end_reason VARCHAR(20);
+
+-- reason holds why the conversation was escalated: 'support_call', 'negative_sentiment', 'asked_for_human'
+CREATE INDEX IF NOT EXISTS idx_human_control_sessions_lead ON human_control_sessions(lead_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_human_control_sessions_agent ON human_control_sessions(agent_user_id, started_at DESC);
@@ -0,0 +1,23 @@
+-- Explainable lead scores. The lead keeps its current score and the factors
+-- behind it; every change is kept in lead_score_history.
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS lead_score INTEGER DEFAULT 0;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_factors JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS scored_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS lead_score_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL,
+  previous_score INTEGER,
+  status VARCHAR(20) NOT NULL,
+  previous_status VARCHAR(20),
+  factors JSONB DEFAULT '[]'::jsonb, -- [{ key, category, label, points }]
+  source VARCHAR(20) NOT NULL, -- 'call', 'sms', 'manual', 'recalculated'
+  reference_id VARCHAR(255), -- call session id for 'call'
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- set on manual status overrides
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_lead ON lead_score_history(lead_id, created_at DESC);
@@ -0,0 +1,31 @@
+-- Phone numbers are keyed by E.164 without the "+" (16045551234). Older rows
+-- stored ten-digit numbers without the country code; bring them in line
+-- unless that would collide with a lead already using the full number. Those
+-- pairs show up in GET /api/leads/duplicates for merging.
+UPDATE leads l
+SET phone_number_normalized = '1' || l.phone_number_normalized
+WHERE l.phone_number_normalized ~ '^[0-9]{10}$'
+  AND NOT EXISTS (
+    SELECT 1 FROM leads o
+    WHERE o.organization_id = l.organization_id
+      AND o.phone_number_normalized = '1' || l.phone_number_normalized
+  );
+
+UPDATE conversations
+SET phone_number_normalized = '1' || phone_number_normalized
+WHERE phone_number_normalized ~ '^[0-9]{10}$';
+
+-- One row per merge, with the removed lead as it was
+CREATE TABLE IF NOT EXISTS lead_merges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE, -- the surviving lead
+  merged_lead_id UUID NOT NULL, -- deleted, so no foreign key
+  merged_lead JSONB NOT NULL,
+  moved JSONB DEFAULT '{}'::jsonb, -- rows re-parented, by table
+  merged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_merges_lead ON lead_merges(lead_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(organization_id, lower(email));
@@ -0,0 +1,17 @@
+-- Full-text search over messages and summaries (GET /api/search/conversations).
+-- The expressions match what PostgREST generates for
+-- textSearch(column, query, { type: 'websearch', config: 'english' }).
+CREATE INDEX IF NOT EXISTS idx_conversations_content_search
+  ON conversations USING GIN (to_tsvector('english', content));
+
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_search
+  ON conversation_summaries USING GIN (to_tsvector('english', summary));
+
+-- Results are filtered by organization and listed newest first
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_org_created
+  ON conversation_summaries(organization_id, created_at DESC);
+
+-- Filter columns the webhooks already write; older databases may lack them
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS call_classification VARCHAR(50);
+ALTER TABLE conversation_summaries ADD COLUMN IF NOT EXISTS call_classification VARCHAR(50);
+ALTER TABLE conversation_summaries ADD COLUMN IF NOT EXISTS conversation_type VARCHAR(20); -- 'voice' or 'sms'
@@ -0,0 +1,13 @@
+-- Email as a conversation channel. Emails are stored in conversations with
+-- type 'email'; metadata carries email_message_id, subject and threading headers.
+
+-- Inbound mail services retry deliveries; duplicates are found by Message-ID
+CREATE INDEX IF NOT EXISTS idx_conversations_email_message_id
+  ON conversations(organization_id, (metadata->>'email_message_id'))
+  WHERE type = 'email';
+
+-- Inbound mail finds its organization by the store address it was sent to
+CREATE INDEX IF NOT EXISTS idx_organizations_email ON organizations (lower(settings->>'email'));
+
+-- lead_score_history.source gains 'email' (a customer email rescored the lead)
+COMMENT ON COLUMN lead_score_history.source IS 'call, sms, email, manual or recalculated';
@@ -0,0 +1,19 @@
+-- Versioned ElevenLabs agent configuration (/api/agent/config). Each row holds
+-- the managed fields: prompt, first_message, tools, transfer_numbers and
+-- data_collection. Versions only reach the live agent when deployed.
+CREATE TABLE IF NOT EXISTS agent_config_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  agent_id VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL,
+  config JSONB NOT NULL,
+  source VARCHAR(20) NOT NULL, -- 'live', 'edit', 'import', 'rollback'
+  note TEXT,
+  rolled_back_from INTEGER, -- version whose config a rollback restored
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by_name VARCHAR(255),
+  deployed_at TIMESTAMPTZ, -- last time any of its fields were deployed
+  deployed_fields JSONB,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (organization_id, agent_id, version)
+);
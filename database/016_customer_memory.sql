@@ -0,0 +1,32 @@
+-- Long-term customer memory: durable facts per lead, and a roll-up of the
+-- older conversation summaries so context stays small for regulars.
+
+CREATE TABLE IF NOT EXISTS customer_facts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  key VARCHAR(100) NOT NULL, -- e.g. bike_owned, frame_size, service:<summary id>
+  category VARCHAR(20) NOT NULL, -- 'bike', 'fit', 'purchase', 'preference', 'service'
+  value TEXT NOT NULL,
+  source VARCHAR(20) NOT NULL, -- 'call', 'sms', 'email' or 'manual'
+  source_id VARCHAR(255), -- call session, message or summary the fact came from
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL, -- set on manual facts
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (lead_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_facts_lead ON customer_facts(lead_id, category);
+
+-- One row per lead. Summaries created up to covers_to are represented here
+-- instead of one by one; the summaries themselves are kept.
+CREATE TABLE IF NOT EXISTS customer_memory_rollups (
+  lead_id UUID PRIMARY KEY REFERENCES leads(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL, -- one line per rolled-up conversation, newest first
+  key_points JSONB DEFAULT '[]'::jsonb,
+  summary_count INTEGER NOT NULL DEFAULT 0,
+  covers_from TIMESTAMPTZ,
+  covers_to TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
@@ -0,0 +1,23 @@
+-- Every incoming ElevenLabs, Twilio and email webhook, kept with its
+-- processing status so failed deliveries can be inspected and replayed.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- set once the payload is tied to a store
+  source VARCHAR(20) NOT NULL, -- 'elevenlabs', 'twilio' or 'email'
+  endpoint VARCHAR(100) NOT NULL, -- e.g. 'post-call', 'sms', 'sms/status'
+  external_id VARCHAR(255), -- conversation id, MessageSid or Message-ID
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received', -- 'received', 'processed', 'failed', 'invalid'
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  validation_errors JSONB,
+  response_status INTEGER,
+  steps JSONB NOT NULL DEFAULT '{}'::jsonb, -- { step: { completed_at, result } } skipped on replay
+  replay_of UUID REFERENCES webhook_events(id) ON DELETE SET NULL,
+  received_at TIMESTAMPTZ DEFAULT now(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_org_status ON webhook_events(organization_id, status, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_external ON webhook_events(source, external_id);
@@ -0,0 +1,40 @@
+-- Outbound webhooks an organization points at its CRM or POS, and every
+-- attempt to deliver an event to them.
+CREATE TABLE IF NOT EXISTS integration_webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  secret VARCHAR(100) NOT NULL, -- HMAC key for X-Bici-Signature
+  events TEXT[] NOT NULL DEFAULT '{}', -- e.g. {'lead.created','call.completed'}
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_integration_webhooks_org ON integration_webhooks(organization_id, active);
+
+CREATE TABLE IF NOT EXISTS integration_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID REFERENCES integration_webhooks(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL, -- 'test' for the dashboard's test button
+  dedupe_key VARCHAR(255), -- source record, so a replayed webhook isn't sent twice
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'retrying', 'delivered', 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT, -- first characters only
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_integration_deliveries_webhook ON integration_webhook_deliveries(webhook_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_integration_deliveries_dedupe
+  ON integration_webhook_deliveries(webhook_id, event, dedupe_key) WHERE dedupe_key IS NOT NULL;
+
+ALTER TABLE integration_webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE integration_webhook_deliveries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Data retention. Windows live in DATA_RETENTION_CONFIG; the daily purge
+-- deletes by organization and age, and erasure looks rows up by phone number.
+-- Purges and erasures are recorded in audit_log ('retention.purged',
+-- 'customer.erased') with row counts and a masked phone number.
+
+CREATE INDEX IF NOT EXISTS idx_conversations_org_timestamp ON conversations(organization_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_sms_automation_log_org_sent ON sms_automation_log(organization_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_sms_automation_log_phone ON sms_automation_log(organization_id, phone_number);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_org_started ON call_sessions(organization_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_org_created ON lead_score_history(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_org_received ON webhook_events(organization_id, received_at);
+CREATE INDEX IF NOT EXISTS idx_integration_deliveries_org_created ON integration_webhook_deliveries(organization_id, created_at);
+
+-- Erased customers' calls stay for analytics without a lead
+COMMENT ON COLUMN call_sessions.lead_id IS 'Null once the customer''s data was erased';
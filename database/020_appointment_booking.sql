@@ -0,0 +1,69 @@
+-- Atomic appointment booking. The voice agent, SMS replies and the dashboard
+-- can ask for the last open bay at the same moment; checking capacity and
+-- writing the row in one call, under a lock per organization and store day,
+-- lets only one of them have it.
+--
+-- p_appointment is the row to insert, or an existing row with its new
+-- scheduled_at and metadata (reschedule). The row itself never counts
+-- against its own slot. Returns the saved row, or no row when the slot or
+-- day is already full.
+
+CREATE OR REPLACE FUNCTION book_appointment_slot(
+  p_appointment JSONB,
+  p_day_start TIMESTAMPTZ,
+  p_day_end TIMESTAMPTZ,
+  p_concurrent_bays INTEGER,
+  p_daily_capacity INTEGER
+) RETURNS SETOF appointments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_id UUID := (p_appointment->>'id')::UUID;
+  v_organization_id UUID := (p_appointment->>'organization_id')::UUID;
+  v_start TIMESTAMPTZ := (p_appointment->>'scheduled_at')::TIMESTAMPTZ;
+  v_end TIMESTAMPTZ := v_start + make_interval(mins => COALESCE((p_appointment->>'duration_minutes')::INTEGER, 60));
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('appointments:' || v_organization_id::TEXT || ':' || p_day_start::TEXT));
+
+  IF (
+    SELECT count(*) FROM appointments
+    WHERE organization_id = v_organization_id
+      AND status = 'scheduled'
+      AND id <> v_id
+      AND scheduled_at >= p_day_start AND scheduled_at < p_day_end
+  ) >= p_daily_capacity THEN
+    RETURN;
+  END IF;
+
+  IF (
+    SELECT count(*) FROM appointments
+    WHERE organization_id = v_organization_id
+      AND status = 'scheduled'
+      AND id <> v_id
+      AND scheduled_at < v_end
+      AND scheduled_at + make_interval(mins => COALESCE(duration_minutes, 60)) > v_start
+  ) >= p_concurrent_bays THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO appointments (id, organization_id, lead_id, scheduled_at, duration_minutes, service_type, status, source, notes, metadata)
+  VALUES (
+    v_id,
+    v_organization_id,
+    (p_appointment->>'lead_id')::UUID,
+    v_start,
+    COALESCE((p_appointment->>'duration_minutes')::INTEGER, 60),
+    COALESCE(p_appointment->>'service_type', 'general_service'),
+    COALESCE(p_appointment->>'status', 'scheduled'),
+    COALESCE(p_appointment->>'source', 'dashboard'),
+    p_appointment->>'notes',
+    COALESCE(p_appointment->'metadata', '{}'::jsonb)
+  )
+  ON CONFLICT (id) DO UPDATE SET
+    scheduled_at = EXCLUDED.scheduled_at,
+    metadata = EXCLUDED.metadata,
+    updated_at = now()
+  RETURNING *;
+END;
+$$;
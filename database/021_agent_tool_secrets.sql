@@ -0,0 +1,6 @@
+-- Agent server tools (/webhooks/elevenlabs/tools/*) authenticate with a
+-- per-organization secret the agent sends in the X-Bici-Tool-Secret header.
+-- The organization is resolved from the secret, never from the request body.
+-- Only the SHA-256 hex digest is stored; issue one with `npm run tools:secret`.
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS tool_secret_hash VARCHAR(64) UNIQUE;
@@ -0,0 +1,18 @@
+-- Average call length for the dashboard. The other dashboard numbers are
+-- head-only counts; an average needs every row, and PostgREST returns at
+-- most 1000 of them, so it is computed in the database. Calls without a
+-- duration (failed, still running) are left out. NULL when there are none.
+
+CREATE OR REPLACE FUNCTION average_call_duration(
+  p_organization_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+) RETURNS NUMERIC
+LANGUAGE sql STABLE
+AS $$
+  SELECT avg(duration_seconds)
+  FROM call_sessions
+  WHERE organization_id = p_organization_id
+    AND started_at >= p_from AND started_at <= p_to
+    AND duration_seconds > 0;
+$$;
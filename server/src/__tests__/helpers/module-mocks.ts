@@ -0,0 +1,29 @@
+/**
+ * Module mocks shared by the integration suites. jest.mock calls are hoisted
+ * per file, so each suite still makes them and takes the factory from here:
+ *
+ *   jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+ *
+ * Importing mockCreateMessage in the suite gives the same instance the mock uses.
+ */
+
+// Every text sent through Twilio, answered with SM1, SM2, ...
+export const mockCreateMessage = jest.fn(async (params: any) => ({ sid: `SM${mockCreateMessage.mock.calls.length}`, status: 'queued', ...params }));
+
+export const twilioConfigMock = {
+  twilioClient: { messages: { create: (params: any) => mockCreateMessage(params) } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+};
+
+export const realtimeServiceMock = {
+  broadcastToClients: jest.fn(),
+  broadcastLeadUpdate: jest.fn(),
+  setupSSEConnection: jest.fn(),
+  getCachedDashboardLeads: jest.fn(async () => []),
+  invalidateDashboardCache: jest.fn()
+};
+
+// node-fetch is ESM-only and only reached through the Shopify catalog
+export const nodeFetchMock = jest.fn();
@@ -0,0 +1,306 @@
+/**
+ * In-memory Supabase stand-in
+ * Lets service tests run without a database:
+ *
+ *   jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+ *
+ * Tables are plain arrays on `mockDb`; reset them in beforeEach.
+ */
+
+type Row = Record<string, any>;
+type Filter = (row: Row) => boolean;
+
+export const mockDb: Record<string, Row[]> = {};
+
+export function resetMockDb(tables: Record<string, Row[]> = {}) {
+  for (const key of Object.keys(mockDb)) delete mockDb[key];
+  Object.assign(mockDb, JSON.parse(JSON.stringify(tables)));
+}
+
+let idCounter = 0;
+
+function compare(a: any, b: any): number {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Resolves plain columns, JSON paths like `metadata->>message_sid` and
+// embedded tables like `leads.status`
+function field(row: Row, column: string): any {
+  return column.split(/->>?|\./).reduce((value, key) => (value == null ? undefined : value[key]), row as any);
+}
+
+// An embedded table in a select, e.g. `leads!inner(status)`, joined on `lead_id`
+interface Embed {
+  table: string;
+  columns: string[];
+  inner: boolean;
+}
+
+function toComparable(value: any) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+class QueryBuilder implements PromiseLike<any> {
+  private filters: Filter[] = [];
+  private action: 'select' | 'insert' | 'update' | 'upsert' | 'delete' = 'select';
+  private payload: Row | Row[] | null = null;
+  private orderBy: { column: string; ascending: boolean }[] = [];
+  private limitCount: number | null = null;
+  private rangeBounds: [number, number] | null = null;
+  private singleMode: 'single' | 'maybe' | null = null;
+  private countMode = false;
+  private headOnly = false;
+  private onConflict: string | null = null;
+  private embeds: Embed[] = [];
+
+  constructor(private table: string) {
+    if (!mockDb[table]) mockDb[table] = [];
+  }
+
+  select(columns?: string, options?: { count?: string; head?: boolean }) {
+    for (const [, table, inner, list] of (columns || '').matchAll(/(\w+)(!inner)?\(([^)]*)\)/g)) {
+      this.embeds.push({ table, inner: !!inner, columns: list.split(',').map(column => column.trim()) });
+    }
+    if (options?.count) this.countMode = true;
+    if (options?.head) this.headOnly = true;
+    return this;
+  }
+
+  insert(payload: Row | Row[]) {
+    this.action = 'insert';
+    this.payload = payload;
+    return this;
+  }
+
+  upsert(payload: Row | Row[], options?: { onConflict?: string }) {
+    this.action = 'upsert';
+    this.payload = payload;
+    this.onConflict = options?.onConflict || 'id';
+    return this;
+  }
+
+  update(payload: Row) {
+    this.action = 'update';
+    this.payload = payload;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column: string, value: any) { return this.where(row => toComparable(field(row, column)) === toComparable(value)); }
+  neq(column: string, value: any) { return this.where(row => toComparable(field(row, column)) !== toComparable(value)); }
+  gt(column: string, value: any) { return this.where(row => compare(toComparable(field(row, column)), toComparable(value)) > 0); }
+  gte(column: string, value: any) { return this.where(row => compare(toComparable(field(row, column)), toComparable(value)) >= 0); }
+  lt(column: string, value: any) { return this.where(row => compare(toComparable(field(row, column)), toComparable(value)) < 0); }
+  lte(column: string, value: any) { return this.where(row => compare(toComparable(field(row, column)), toComparable(value)) <= 0); }
+  in(column: string, values: any[]) { return this.where(row => values.includes(field(row, column))); }
+  is(column: string, value: any) { return this.where(row => (field(row, column) ?? null) === value); }
+  not(column: string, operator: string, value: any) {
+    if (operator === 'is') return this.where(row => (field(row, column) ?? null) !== value);
+    return this.where(row => field(row, column) !== value);
+  }
+  ilike(column: string, pattern: string) {
+    // % and _ are wildcards unless escaped with a backslash
+    const source = pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])|./g, (char, escaped, wildcard, special) =>
+      escaped !== undefined ? escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        : wildcard ? (wildcard === '%' ? '.*' : '.')
+        : special ? `\\${special}` : char);
+    const regex = new RegExp('^' + source + '$', 'i');
+    return this.where(row => regex.test(String(field(row, column) ?? '')));
+  }
+  // Rough websearch: every word that isn't "or" or -excluded appears, ignoring case
+  textSearch(column: string, query: string, _options?: { type?: string; config?: string }) {
+    const words = query.replace(/"/g, ' ').toLowerCase().split(/\s+/).filter(word => word && word !== 'or');
+    return this.where(row => {
+      const text = String(field(row, column) ?? '').toLowerCase();
+      return words.every(word => (word.startsWith('-') ? !text.includes(word.slice(1)) : text.includes(word)));
+    });
+  }
+
+  order(column: string, options?: { ascending?: boolean }) {
+    this.orderBy.push({ column, ascending: options?.ascending !== false });
+    return this;
+  }
+
+  limit(count: number) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from: number, to: number) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then<TResult1 = any, TResult2 = never>(
+    onfulfilled?: ((value: any) => TResult1 | PromiseLike<TResult1>) | null,
+    onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+  ): PromiseLike<TResult1 | TResult2> {
+    return Promise.resolve().then(() => this.execute()).then(onfulfilled, onrejected);
+  }
+
+  private where(filter: Filter) {
+    this.filters.push(filter);
+    return this;
+  }
+
+  private matches(row: Row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  private execute() {
+    const rows = mockDb[this.table];
+    let result: Row[];
+
+    switch (this.action) {
+      case 'insert': {
+        const items = Array.isArray(this.payload) ? this.payload : [this.payload!];
+        result = items.map(item => ({ id: `mock-${++idCounter}`, ...this.serialize(item) }));
+        rows.push(...result);
+        break;
+      }
+      case 'upsert': {
+        const items = Array.isArray(this.payload) ? this.payload : [this.payload!];
+        const keys = this.onConflict!.split(',').map(key => key.trim());
+        result = items.map(item => {
+          const data = this.serialize(item);
+          const existing = rows.find(row => keys.every(key => row[key] === data[key]));
+          if (existing) return Object.assign(existing, data);
+          const created = { id: `mock-${++idCounter}`, ...data };
+          rows.push(created);
+          return created;
+        });
+        break;
+      }
+      case 'update':
+        result = rows.filter(row => this.matches(row));
+        result.forEach(row => Object.assign(row, this.serialize(this.payload as Row)));
+        break;
+      case 'delete':
+        result = rows.filter(row => this.matches(row));
+        mockDb[this.table] = rows.filter(row => !this.matches(row));
+        break;
+      default:
+        result = rows.map(row => this.embed(row)).filter((row): row is Row => !!row && this.matches(row));
+    }
+
+    for (const { column, ascending } of [...this.orderBy].reverse()) {
+      result = [...result].sort((a, b) => compare(toComparable(field(a, column)), toComparable(field(b, column))) * (ascending ? 1 : -1));
+    }
+
+    const count = result.length;
+    if (this.rangeBounds) result = result.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+    if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+
+    const data = JSON.parse(JSON.stringify(result));
+
+    if (this.singleMode) {
+      if (data.length === 0) {
+        return this.singleMode === 'maybe'
+          ? { data: null, error: null }
+          : { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+      }
+      return { data: data[0], error: null };
+    }
+
+    return {
+      data: this.headOnly ? null : data,
+      error: null,
+      count: this.countMode ? count : null
+    };
+  }
+
+  // The row with its embedded tables attached; null when an inner join finds nothing
+  private embed(row: Row): Row | null {
+    if (this.embeds.length === 0) return row;
+    const joined: Row = { ...row };
+    for (const { table, columns, inner } of this.embeds) {
+      const related = (mockDb[table] || []).find(candidate => candidate.id === row[`${table.replace(/s$/, '')}_id`]);
+      if (!related && inner) return null;
+      joined[table] = !related ? null
+        : columns.includes('*') ? { ...related } : Object.fromEntries(columns.map(column => [column, related[column]]));
+    }
+    return joined;
+  }
+
+  private serialize(row: Row): Row {
+    const out: Row = {};
+    for (const [key, value] of Object.entries(row)) {
+      out[key] = value instanceof Date ? value.toISOString() : value;
+    }
+    return out;
+  }
+}
+
+// Stand-ins for the database functions in database/*.sql. Each runs without
+// awaiting, so like the real functions it can't interleave with other queries.
+const rpcFunctions: Record<string, (params: Row) => any> = {
+  // 020_appointment_booking.sql
+  book_appointment_slot: ({ p_appointment, p_day_start, p_day_end, p_concurrent_bays, p_daily_capacity }) => {
+    if (!mockDb.appointments) mockDb.appointments = [];
+    const appointment = JSON.parse(JSON.stringify(p_appointment));
+    const time = (value: any) => new Date(value).getTime();
+    const start = time(appointment.scheduled_at);
+    const end = start + (appointment.duration_minutes || 60) * 60 * 1000;
+
+    const others = mockDb.appointments.filter(row =>
+      row.organization_id === appointment.organization_id && row.status === 'scheduled' && row.id !== appointment.id
+    );
+    const sameDay = others.filter(row => time(row.scheduled_at) >= time(p_day_start) && time(row.scheduled_at) < time(p_day_end));
+    const overlapping = others.filter(row =>
+      time(row.scheduled_at) < end && time(row.scheduled_at) + (row.duration_minutes || 60) * 60 * 1000 > start
+    );
+    if (sameDay.length >= p_daily_capacity || overlapping.length >= p_concurrent_bays) return [];
+
+    const now = new Date().toISOString();
+    const existing = mockDb.appointments.find(row => row.id === appointment.id);
+    if (existing) {
+      Object.assign(existing, { scheduled_at: appointment.scheduled_at, metadata: appointment.metadata, updated_at: now });
+      return [JSON.parse(JSON.stringify(existing))];
+    }
+    const created = { created_at: now, updated_at: now, ...appointment };
+    mockDb.appointments.push(created);
+    return [JSON.parse(JSON.stringify(created))];
+  },
+
+  // 022_dashboard_stats.sql
+  average_call_duration: ({ p_organization_id, p_from, p_to }) => {
+    const time = (value: any) => new Date(value).getTime();
+    const durations = (mockDb.call_sessions || [])
+      .filter(row => row.organization_id === p_organization_id && time(row.started_at) >= time(p_from) && time(row.started_at) <= time(p_to))
+      .map(row => row.duration_seconds)
+      .filter(duration => typeof duration === 'number' && duration > 0);
+    return durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null;
+  }
+};
+
+export const supabase = {
+  from: (table: string) => new QueryBuilder(table),
+  rpc: jest.fn(async (fn: string, params: Row = {}) =>
+    rpcFunctions[fn] ? { data: rpcFunctions[fn](params), error: null } : { data: null, error: null })
+};
+
+export function handleSupabaseError(error: any, context: string) {
+  throw new Error(`Database operation failed: ${context}`);
+}
+
+export const supabaseConfigMock = {
+  supabase,
+  handleSupabaseError
+};
@@ -0,0 +1,303 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { setupAPIRoutes } from '../../routes';
+import { elevenLabsConfig } from '../../config/elevenlabs.config';
+import { UserService } from '../../services/user.service';
+
+const ORG_ID = 'org-1';
+const AGENT_ID = 'agent_test';
+const PASSWORD = 'correct horse battery';
+const TRANSFER_CONDITION = 'When customer asks for human, transfer immediately';
+
+const app = express();
+app.use(express.json());
+setupAPIRoutes(app);
+
+// The agent as GET /v1/convai/agents/:id returns it
+function makeLiveAgent() {
+  return {
+    agent_id: AGENT_ID,
+    name: 'BICI Voice Agent',
+    conversation_config: {
+      tts: { voice_id: 'voice-1' },
+      agent: {
+        first_message: 'Hey there, thanks for calling BICI!',
+        language: 'en',
+        prompt: {
+          prompt: 'You are the BICI bike shop assistant.',
+          llm: 'gemini-2.0-flash',
+          tools: [
+            { type: 'system', name: 'end_call', params: { system_tool_type: 'end_call' } },
+            {
+              type: 'system',
+              name: 'transfer_to_number',
+              description: 'Transfer when asked',
+              params: {
+                system_tool_type: 'transfer_to_number',
+                transfers: [{
+                  phone_number: '+16049085474',
+                  transfer_destination: { type: 'phone', phone_number: '+16049085474' },
+                  condition: TRANSFER_CONDITION,
+                  transfer_type: 'conference'
+                }],
+                enable_client_message: true
+              }
+            }
+          ]
+        }
+      }
+    },
+    platform_settings: {
+      data_collection: {
+        customer_name: { type: 'string', description: "Customer's first name" }
+      },
+      widget: { variant: 'full' }
+    }
+  };
+}
+
+describe('agent config versions', () => {
+  const userService = new UserService();
+  let stub: http.Server;
+  let originalBaseUrl: string;
+  let liveAgent: any;
+  let patches: any[];
+  let failWith: number | null;
+  const tokens: Record<string, string> = {};
+
+  const api = (method: 'get' | 'post', path: string, userId = 'owner') =>
+    request(app)[method](path).set('Authorization', `Bearer ${tokens[userId]}`);
+
+  beforeAll(async () => {
+    stub = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url !== `/v1/convai/agents/${AGENT_ID}` || req.headers['xi-api-key'] !== elevenLabsConfig.apiKey) {
+          res.statusCode = 404;
+          return res.end(JSON.stringify({ detail: 'Agent not found' }));
+        }
+        if (failWith) {
+          res.statusCode = failWith;
+          return res.end(JSON.stringify({ detail: { status: 'invalid_api_key', message: 'Invalid API key' } }));
+        }
+        if (req.method === 'PATCH') {
+          const patch = JSON.parse(body);
+          patches.push(patch);
+          liveAgent.conversation_config = patch.conversation_config;
+          liveAgent.platform_settings = { ...liveAgent.platform_settings, ...patch.platform_settings };
+        }
+        res.end(JSON.stringify(liveAgent));
+      });
+    });
+    await new Promise<void>(resolve => stub.listen(0, '127.0.0.1', resolve));
+    originalBaseUrl = elevenLabsConfig.apiBaseUrl;
+    elevenLabsConfig.apiBaseUrl = `http://127.0.0.1:${(stub.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    elevenLabsConfig.apiBaseUrl = originalBaseUrl;
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(async () => {
+    liveAgent = makeLiveAgent();
+    patches = [];
+    failWith = null;
+
+    const passwordHash = await userService.hashPassword(PASSWORD);
+    const user = (id: string, role: string) => ({
+      id, organization_id: ORG_ID, email: `${id}@bici.cc`, name: `${id} name`, role, active: true, password_hash: passwordHash
+    });
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', settings: { name: 'BICI', elevenlabs_agent_id: AGENT_ID } }],
+      users: [user('owner', 'owner'), user('staff', 'staff')],
+      agent_config_versions: [],
+      audit_log: []
+    });
+
+    for (const id of ['owner', 'staff']) {
+      tokens[id] = (await request(app).post('/api/auth/login').send({ email: `${id}@bici.cc`, password: PASSWORD })).body.token;
+    }
+  });
+
+  it('saves versions from the live agent and from edits, and diffs them against it', async () => {
+    expect((await api('get', '/api/agent/config/versions')).body).toEqual([]);
+
+    const snapshot = await api('post', '/api/agent/config/versions').send({});
+    expect(snapshot.status).toBe(201);
+    expect(snapshot.body).toEqual(expect.objectContaining({ version: 1, source: 'live', created_by_name: 'owner name' }));
+    expect(snapshot.body.config).toEqual({
+      prompt: 'You are the BICI bike shop assistant.',
+      first_message: 'Hey there, thanks for calling BICI!',
+      tools: [
+        { type: 'system', name: 'end_call', params: { system_tool_type: 'end_call' } },
+        {
+          type: 'system',
+          name: 'transfer_to_number',
+          description: 'Transfer when asked',
+          params: { system_tool_type: 'transfer_to_number', enable_client_message: true }
+        }
+      ],
+      transfer_numbers: ['+16049085474'],
+      data_collection: { customer_name: { type: 'string', description: "Customer's first name" } }
+    });
+    expect((await api('get', '/api/agent/config/diff')).body).toEqual({ agent_id: AGENT_ID, version: 1, in_sync: true, changes: [] });
+
+    // Fields left out of an edit carry over from the version before
+    const edit = await api('post', '/api/agent/config/versions').send({
+      config: { prompt: 'You are Ryder, the BICI assistant.', transfer_numbers: ['+17787193080'] },
+      note: 'New name and store line',
+      base_version: 1
+    });
+    expect(edit.status).toBe(201);
+    expect(edit.body).toEqual(expect.objectContaining({ version: 2, source: 'edit', note: 'New name and store line' }));
+    expect(edit.body.config.first_message).toBe('Hey there, thanks for calling BICI!');
+
+    const stale = await api('post', '/api/agent/config/versions').send({ config: { first_message: 'Hi!' }, base_version: 1 });
+    expect(stale.status).toBe(409);
+    expect(stale.body.latest_version).toBe(2);
+
+    const invalid = await api('post', '/api/agent/config/versions').send({
+      config: { transfer_numbers: ['604-555-1234'], data_collection: { bike_type: { type: 'text' } }, voice: 'calm' }
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([
+      'unknown field: voice',
+      'transfer_numbers[0] must be in E.164 format (e.g., +17787193080)',
+      'data_collection.bike_type.type must be one of: string, boolean, integer, number',
+      'data_collection.bike_type.description is required'
+    ]);
+
+    expect((await api('post', '/api/agent/config/versions', 'staff').send({ config: { prompt: 'x' } })).status).toBe(403);
+
+    const diff = await api('get', '/api/agent/config/diff?version=2', 'staff');
+    expect(diff.body.in_sync).toBe(false);
+    expect(diff.body.changes).toEqual([
+      { field: 'prompt', live: 'You are the BICI bike shop assistant.', version: 'You are Ryder, the BICI assistant.' },
+      { field: 'transfer_numbers', live: ['+16049085474'], version: ['+17787193080'] }
+    ]);
+    expect(patches).toEqual([]);
+
+    const history = await api('get', '/api/agent/config/versions', 'staff');
+    expect(history.body.map((version: any) => version.version)).toEqual([2, 1]);
+    expect(mockDb.audit_log.filter((entry: any) => entry.action === 'agent.config_version_created')).toHaveLength(2);
+  });
+
+  it('deploys chosen fields, validates the result and rolls back', async () => {
+    await api('post', '/api/agent/config/versions').send({});
+    await api('post', '/api/agent/config/versions').send({
+      config: { prompt: 'You are Ryder, the BICI assistant.', transfer_numbers: ['+17787193080'] }
+    });
+
+    const numbersOnly = await api('post', '/api/agent/config/deploy').send({ version: 2, fields: ['transfer_numbers'] });
+    expect(numbersOnly.status).toBe(200);
+    expect(numbersOnly.body.changes.map((change: any) => change.field)).toEqual(['transfer_numbers']);
+
+    // The rest of the agent goes back as it was; the transfer keeps its condition
+    expect(patches).toHaveLength(1);
+    const agentPatch = patches[0].conversation_config.agent;
+    expect(patches[0].conversation_config.tts).toEqual({ voice_id: 'voice-1' });
+    expect(agentPatch.prompt.prompt).toBe('You are the BICI bike shop assistant.');
+    expect(agentPatch.prompt.llm).toBe('gemini-2.0-flash');
+    expect(agentPatch.prompt.tools[1].params.transfers).toEqual([{
+      phone_number: '+17787193080',
+      transfer_destination: { type: 'phone', phone_number: '+17787193080' },
+      condition: TRANSFER_CONDITION,
+      transfer_type: 'conference'
+    }]);
+    expect(mockDb.organizations[0].settings.transfer_number).toBe('+17787193080');
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      action: 'agent.config_deployed',
+      target_id: AGENT_ID,
+      details: { version: 2, fields: ['transfer_numbers'], changed: ['transfer_numbers'] }
+    }));
+
+    const remaining = await api('get', '/api/agent/config/diff?version=2');
+    expect(remaining.body.changes.map((change: any) => change.field)).toEqual(['prompt']);
+
+    expect((await api('post', '/api/agent/config/deploy').send({ version: 2 })).status).toBe(200);
+    expect(liveAgent.conversation_config.agent.prompt.prompt).toBe('You are Ryder, the BICI assistant.');
+    expect((await api('get', '/api/agent/config/diff?version=2')).body.in_sync).toBe(true);
+
+    // Dropping the transfer tool while numbers stay live would strand them
+    await api('post', '/api/agent/config/versions').send({ config: { tools: [{ type: 'system', name: 'end_call', params: {} }] } });
+    const stranded = await api('post', '/api/agent/config/deploy').send({ version: 3, fields: ['tools'] });
+    expect(stranded.status).toBe(400);
+    expect(stranded.body.details).toEqual(['transfer_numbers need a transfer_to_number tool']);
+    expect(patches).toHaveLength(2);
+
+    const badDeploy = await api('post', '/api/agent/config/deploy').send({ version: 0, fields: ['voice'] });
+    expect(badDeploy.status).toBe(400);
+    expect(badDeploy.body.details).toEqual(['version must be a positive integer', 'unknown fields: voice']);
+    expect((await api('post', '/api/agent/config/deploy').send({ version: 9 })).status).toBe(404);
+
+    const rollback = await api('post', '/api/agent/config/rollback').send({ version: 1 });
+    expect(rollback.status).toBe(200);
+    expect(rollback.body).toEqual(expect.objectContaining({ version: 4, restored: 1 }));
+    expect(rollback.body.changes.map((change: any) => change.field)).toEqual(['prompt', 'transfer_numbers']);
+    expect(liveAgent.conversation_config.agent.prompt.prompt).toBe('You are the BICI bike shop assistant.');
+    expect(liveAgent.conversation_config.agent.prompt.tools[1].params.transfers[0].phone_number).toBe('+16049085474');
+    expect(mockDb.organizations[0].settings.transfer_number).toBe('+16049085474');
+
+    const [latest] = (await api('get', '/api/agent/config/versions')).body;
+    expect(latest).toEqual(expect.objectContaining({
+      version: 4,
+      source: 'rollback',
+      rolled_back_from: 1,
+      note: 'Rollback to version 1',
+      deployed_at: expect.any(String)
+    }));
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      action: 'agent.config_rolled_back',
+      details: { version: 4, restored: 1, changed: ['prompt', 'transfer_numbers'] }
+    }));
+  });
+
+  it('imports agent files and reports ElevenLabs errors', async () => {
+    // agent_configs/*.json keep tools under built_in_tools
+    const imported = await api('post', '/api/agent/config/versions').send({
+      agent: {
+        conversation_config: {
+          agent: {
+            first_message: '{{dynamic_greeting}}',
+            prompt: {
+              prompt: 'You are Ryder.',
+              built_in_tools: {
+                end_call: { type: 'system', name: 'end_call', params: { system_tool_type: 'end_call' } },
+                transfer_to_number: {
+                  type: 'system',
+                  name: 'transfer_to_number',
+                  params: { system_tool_type: 'transfer_to_number', transfers: [{ phone_number: '+16049085474' }] }
+                },
+                voicemail_detection: null
+              }
+            }
+          }
+        },
+        platform_settings: { data_collection: {} }
+      }
+    });
+    expect(imported.status).toBe(201);
+    expect(imported.body).toEqual(expect.objectContaining({ version: 1, source: 'import' }));
+    expect(imported.body.config.tools.map((tool: any) => tool.name)).toEqual(['end_call', 'transfer_to_number']);
+    expect(imported.body.config.transfer_numbers).toEqual(['+16049085474']);
+
+    failWith = 401;
+    const live = await api('get', '/api/agent/config/live');
+    expect(live.status).toBe(502);
+    expect(live.body).toEqual({ error: 'ElevenLabs API error', status: 401, message: 'Invalid API key' });
+
+    const deploy = await api('post', '/api/agent/config/deploy').send({ version: 1 });
+    expect(deploy.status).toBe(502);
+    expect(mockDb.agent_config_versions[0].deployed_at).toBeUndefined();
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+const mockCreateMessage = jest.fn(async (params: any) => ({ sid: `SM${Date.now()}`, status: 'queued', ...params }));
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: (params: any) => mockCreateMessage(params) } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { AppointmentService } from '../../services/appointment.service';
+import { broadcastToClients } from '../../services/realtime.service';
+import { Lead } from '../../types';
+
+const ORG_ID = 'org-1';
+
+const lead = {
+  id: 'lead-1',
+  organization_id: ORG_ID,
+  phone_number: '+16045551234',
+  status: 'new'
+} as Lead;
+
+// Monday 2026-10-19 07:00 Pacific
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+function appointmentAt(scheduledAt: string, overrides: Record<string, any> = {}) {
+  return {
+    id: `appt-${scheduledAt}-${Math.random()}`,
+    organization_id: ORG_ID,
+    lead_id: 'other-lead',
+    scheduled_at: new Date(scheduledAt).toISOString(),
+    duration_minutes: 60,
+    status: 'scheduled',
+    source: 'dashboard',
+    ...overrides
+  };
+}
+
+describe('AppointmentService', () => {
+  let service: AppointmentService;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(NOW);
+    resetMockDb({ appointments: [], leads: [lead], conversations: [], sms_automation_log: [] });
+    mockCreateMessage.mockClear();
+    (broadcastToClients as jest.Mock).mockClear();
+    service = new AppointmentService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getAvailableSlots', () => {
+    it('honors business hours and minimum lead time', async () => {
+      const slots = await service.getAvailableSlots(ORG_ID, { days: 7 });
+      const monday = slots.filter(slot => slot.date === '2026-10-19');
+      const saturday = slots.filter(slot => slot.date === '2026-10-24');
+
+      // 08:00 is inside the 2h lead time, 17:00 is the last slot that ends by 18:00
+      expect(monday[0].label).toBe('Monday, October 19 at 9:00 AM');
+      expect(monday[monday.length - 1].label).toBe('Monday, October 19 at 5:00 PM');
+      expect(monday).toHaveLength(9);
+
+      // Saturday closes 16:30 so 15:00 is the last full hour
+      expect(saturday[0].label).toBe('Saturday, October 24 at 9:00 AM');
+      expect(saturday[saturday.length - 1].label).toBe('Saturday, October 24 at 3:00 PM');
+    });
+
+    it('hides slots where every bay is taken', async () => {
+      resetMockDb({
+        appointments: [
+          appointmentAt('2026-10-19T17:00:00Z'), // 10:00 Pacific
+          appointmentAt('2026-10-19T17:00:00Z'),
+          appointmentAt('2026-10-19T18:00:00Z', { status: 'cancelled' }) // 11:00, ignored
+        ]
+      });
+
+      const slots = await service.getAvailableSlots(ORG_ID, { days: 1 });
+      const labels = slots.map(slot => slot.label);
+
+      expect(labels).not.toContain('Monday, October 19 at 10:00 AM');
+      expect(labels).toContain('Monday, October 19 at 11:00 AM');
+    });
+
+    it('closes a day once daily capacity is reached', async () => {
+      const tuesday = ['15', '16', '17', '18', '19', '20', '21', '22']
+        .map(hour => appointmentAt(`2026-10-20T${hour}:00:00Z`));
+      resetMockDb({ appointments: tuesday });
+
+      const slots = await service.getAvailableSlots(ORG_ID, { days: 3 });
+
+      expect(slots.some(slot => slot.date === '2026-10-20')).toBe(false);
+      expect(slots.some(slot => slot.date === '2026-10-21')).toBe(true);
+    });
+  });
+
+  describe('bookAppointment', () => {
+    it('stores the appointment and texts the confirmation template', async () => {
+      const appointment = await service.bookAppointment({
+        organization_id: ORG_ID,
+        lead_id: lead.id,
+        scheduled_at: '2026-10-20T17:00:00Z',
+        service_type: 'tune_up',
+        source: 'voice'
+      });
+
+      expect(appointment.status).toBe('scheduled');
+      expect(mockDb.appointments).toHaveLength(1);
+      expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({
+        to: lead.phone_number,
+        body: expect.stringContaining('confirmed for Tuesday, October 20 at 10:00 AM')
+      }));
+      expect(broadcastToClients).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'appointment_updated',
+        action: 'booked'
+      }));
+    });
+
+    it('rejects times that are not open slots', async () => {
+      await expect(service.bookAppointment({
+        organization_id: ORG_ID,
+        lead_id: lead.id,
+        scheduled_at: '2026-10-20T17:30:00Z' // 10:30, not on the slot grid
+      })).rejects.toThrow('Requested slot is not available');
+
+      expect(mockDb.appointments).toHaveLength(0);
+      expect(mockCreateMessage).not.toHaveBeenCalled();
+    });
+
+    it('gives the last bay to only one of two simultaneous bookings', async () => {
+      // One bay left at 10:00
+      mockDb.appointments.push(appointmentAt('2026-10-20T17:00:00Z'));
+      const book = (source: 'voice' | 'sms') => service.bookAppointment({
+        organization_id: ORG_ID,
+        lead_id: lead.id,
+        scheduled_at: '2026-10-20T17:00:00Z',
+        source
+      });
+
+      const results = await Promise.allSettled([book('voice'), book('sms')]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected')).toEqual(expect.objectContaining({
+        reason: new Error('Requested slot is not available')
+      }));
+      expect(mockDb.appointments.filter(row => row.scheduled_at === '2026-10-20T17:00:00.000Z')).toHaveLength(2);
+      expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('handleSMSReply', () => {
+    beforeEach(() => {
+      resetMockDb({
+        appointments: [appointmentAt('2026-10-20T17:00:00Z', { id: 'appt-1', lead_id: lead.id })],
+        leads: [lead]
+      });
+    });
+
+    it('cancels the upcoming appointment on CANCEL', async () => {
+      const result = await service.handleSMSReply(lead, 'cancel');
+
+      expect(result.handled).toBe(true);
+      expect(result.reply).toContain('has been cancelled');
+      expect(mockDb.appointments[0].status).toBe('cancelled');
+    });
+
+    it('offers slots on RESCHEDULE and moves the appointment on a numbered reply', async () => {
+      const offer = await service.handleSMSReply(lead, 'RESCHEDULE');
+
+      expect(offer.handled).toBe(true);
+      expect(offer.reply).toContain('1) Monday, October 19 at 9:00 AM');
+
+      const pick = await service.handleSMSReply(lead, '2');
+
+      expect(pick.handled).toBe(true);
+      expect(mockDb.appointments[0].scheduled_at).toBe('2026-10-19T17:00:00.000Z');
+      expect(mockDb.appointments[0].metadata.previous_scheduled_at).toBe('2026-10-20T17:00:00.000Z');
+      expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({
+        body: expect.stringContaining('confirmed for Monday, October 19 at 10:00 AM')
+      }));
+    });
+
+    it('leaves other messages for the AI', async () => {
+      expect(await service.handleSMSReply(lead, 'Do you have gravel bikes?')).toEqual({ handled: false });
+      expect(await service.handleSMSReply({ ...lead, id: 'no-appointments' } as Lead, 'CANCEL')).toEqual({ handled: false });
+    });
+  });
+});
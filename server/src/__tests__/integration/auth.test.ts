@@ -0,0 +1,269 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn(async (params: any) => ({ sid: 'SM1', status: 'queued', ...params })) } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => ({
+  broadcastToClients: jest.fn(),
+  setupSSEConnection: jest.fn((clientId: string, res: any) => res.status(200).end()),
+  getCachedDashboardLeads: jest.fn(async () => []),
+  getCachedDashboardStats: jest.fn(async () => ({})),
+  invalidateDashboardCache: jest.fn()
+}));
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { setupAPIRoutes } from '../../routes';
+import { UserService } from '../../services/user.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { redisService } from '../../services/redis.service';
+
+const ORG_ID = 'org-1';
+const OTHER_ORG_ID = 'org-2';
+const PASSWORD = 'correct horse battery';
+
+const app = express();
+app.use(express.json());
+setupAPIRoutes(app);
+
+describe('dashboard authentication and roles', () => {
+  const userService = new UserService();
+  let passwordHash: string;
+
+  function user(id: string, role: string, overrides: Record<string, any> = {}) {
+    return {
+      id,
+      organization_id: ORG_ID,
+      email: `${id}@bici.cc`,
+      name: `${id} name`,
+      role,
+      active: true,
+      password_hash: passwordHash,
+      ...overrides
+    };
+  }
+
+  async function login(email: string) {
+    const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+    return res.body.token as string;
+  }
+
+  beforeAll(async () => {
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(() => {
+    resetMockDb({
+      organizations: [
+        { id: ORG_ID, name: 'BICI Bike Store', phone_number: '+16045550000', settings: {} },
+        { id: OTHER_ORG_ID, name: 'Other Store', phone_number: '+14165550000', settings: {} }
+      ],
+      users: [
+        user('owner', 'owner'),
+        user('staff', 'staff'),
+        user('viewer', 'read_only'),
+        user('former', 'staff', { active: false })
+      ],
+      leads: [
+        { id: 'lead-own', organization_id: ORG_ID, phone_number: '+16045551234', status: 'new' },
+        { id: 'lead-other', organization_id: OTHER_ORG_ID, phone_number: '+14165551234', status: 'new' }
+      ],
+      conversations: [],
+      human_control_sessions: [],
+      appointments: [
+        { id: 'appt-other', organization_id: OTHER_ORG_ID, lead_id: 'lead-other', scheduled_at: '2026-10-20T17:00:00Z', duration_minutes: 60, status: 'scheduled' }
+      ],
+      audit_log: []
+    });
+  });
+
+  it('logs in with a valid password and never returns the hash', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'OWNER@bici.cc', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toEqual(expect.objectContaining({ id: 'owner', role: 'owner' }));
+    expect(res.body.user.password_hash).toBeUndefined();
+    expect(mockDb.audit_log[0]).toEqual(expect.objectContaining({ action: 'auth.login', user_id: 'owner' }));
+  });
+
+  it('rejects bad passwords, inactive users and missing tokens', async () => {
+    expect((await request(app).post('/api/auth/login').send({ email: 'owner@bici.cc', password: 'wrong password' })).status).toBe(401);
+    expect((await request(app).post('/api/auth/login').send({ email: 'former@bici.cc', password: PASSWORD })).status).toBe(401);
+    expect((await request(app).get('/api/leads')).status).toBe(401);
+    expect((await request(app).get('/api/leads').set('Authorization', 'Bearer not-a-token')).status).toBe(401);
+  });
+
+  it('takes as long for unknown emails as for real ones', async () => {
+    const verify = jest.spyOn(UserService.prototype, 'verifyPassword');
+    try {
+      expect((await request(app).post('/api/auth/login').send({ email: 'nobody@bici.cc', password: PASSWORD })).status).toBe(401);
+
+      // The unknown email is still checked against a real scrypt hash
+      expect(verify).toHaveBeenCalledTimes(2);
+      expect(verify.mock.calls[1][1]).toMatch(/^scrypt\$/);
+    } finally {
+      verify.mockRestore();
+    }
+  });
+
+  it('locks out an email, then an IP, after repeated failed logins', async () => {
+    const failures = jest.spyOn(redisService, 'recordLoginFailure');
+    const attempt = (email: string, password: string) => request(app).post('/api/auth/login').send({ email, password });
+    try {
+      for (let i = 0; i < 5; i++) {
+        expect((await attempt('staff@bici.cc', 'wrong password')).status).toBe(401);
+      }
+      const locked = await attempt('staff@bici.cc', PASSWORD);
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+      expect((await attempt('owner@bici.cc', PASSWORD)).status).toBe(200);
+
+      // Spread over many emails, the client IP is locked out instead
+      let status = 401;
+      for (let i = 0; i < 20 && status === 401; i++) {
+        status = (await attempt(`guess-${i}@bici.cc`, 'wrong password')).status;
+      }
+      expect((await attempt('owner@bici.cc', PASSWORD)).status).toBe(429);
+    } finally {
+      for (const [subject] of failures.mock.calls) await redisService.clearLoginFailures(subject);
+      failures.mockRestore();
+    }
+  });
+
+  it('stops accepting a token once the user is deactivated', async () => {
+    const token = await login('staff@bici.cc');
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+    mockDb.users.find(row => row.id === 'staff')!.active = false;
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+
+  it('scopes requests to the user\'s organization and ignores X-Organization-Id', async () => {
+    const token = await login('staff@bici.cc');
+
+    const own = await request(app).get('/api/leads/lead-own').set('Authorization', `Bearer ${token}`);
+    const other = await request(app)
+      .get('/api/leads/lead-other')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Organization-Id', OTHER_ORG_ID);
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+  });
+
+  it('keeps another organization\'s appointments and leads out of booking', async () => {
+    const token = await login('staff@bici.cc');
+    const api = (method: 'get' | 'post' | 'patch' | 'delete', path: string) =>
+      request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+    expect((await api('get', '/api/appointments/appt-other')).status).toBe(404);
+    expect((await api('patch', '/api/appointments/appt-other').send({ status: 'completed' })).status).toBe(404);
+    expect((await api('delete', '/api/appointments/appt-other')).status).toBe(404);
+    expect((await api('post', '/api/appointments').send({ lead_id: 'lead-other', scheduled_at: '2026-10-21T17:00:00Z' })).status).toBe(404);
+    expect(mockDb.appointments).toEqual([expect.objectContaining({ id: 'appt-other', status: 'scheduled' })]);
+  });
+
+  it('cancels only the organization\'s own jobs', async () => {
+    const token = await login('owner@bici.cc');
+    const other = await jobQueue.schedule({ type: 'sms.send', payload: {}, delayMs: 60 * 60 * 1000, organizationId: OTHER_ORG_ID });
+    const own = await jobQueue.schedule({ type: 'sms.send', payload: {}, delayMs: 60 * 60 * 1000, organizationId: ORG_ID });
+
+    expect((await request(app).delete(`/api/admin/jobs/${other.id}`).set('Authorization', `Bearer ${token}`)).status).toBe(404);
+    expect((await jobQueue.getJob(other.id))?.status).toBe('pending');
+
+    const res = await request(app).delete(`/api/admin/jobs/${own.id}`).set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('cancelled');
+
+    await jobQueue.cancel(other.id);
+  });
+
+  it('lets read-only users look but not change anything', async () => {
+    const token = await login('viewer@bici.cc');
+
+    expect((await request(app).get('/api/leads/lead-own').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+    const send = await request(app)
+      .post('/api/sms/send')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ phoneNumber: '+16045551234', message: 'Hi' });
+    expect(send.status).toBe(403);
+  });
+
+  it('keeps settings, users, admin and the audit log for owners', async () => {
+    const staff = await login('staff@bici.cc');
+    const owner = await login('owner@bici.cc');
+
+    const patch = (token: string) => request(app)
+      .patch('/api/organization/settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ transfer_number: '+16045550100' });
+
+    expect((await patch(staff)).status).toBe(403);
+    expect((await request(app).post('/api/admin/clear-sessions').set('Authorization', `Bearer ${staff}`)).status).toBe(403);
+    expect((await request(app).get('/api/audit-log').set('Authorization', `Bearer ${staff}`)).status).toBe(403);
+
+    expect((await patch(owner)).status).toBe(200);
+    const log = await request(app).get('/api/audit-log').set('Authorization', `Bearer ${owner}`);
+    expect(log.body).toContainEqual(expect.objectContaining({
+      action: 'organization.settings_updated',
+      user_id: 'owner',
+      details: { changes: { transfer_number: '+16045550100' } }
+    }));
+  });
+
+  it('records who joined a conversation under their own name', async () => {
+    const token = await login('staff@bici.cc');
+
+    const res = await request(app)
+      .post('/api/human-control/join')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ leadId: 'lead-own', agentName: 'Someone Else' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.session.agent_name).toBe('staff name');
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      action: 'human_control.joined',
+      user_id: 'staff',
+      user_name: 'staff name',
+      target_id: 'lead-own'
+    }));
+
+    const other = await request(app)
+      .post('/api/human-control/join')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ leadId: 'lead-other' });
+    expect(other.status).toBe(404);
+  });
+
+  it('lets owners add users with a hashed password', async () => {
+    const owner = await login('owner@bici.cc');
+    const add = (body: Record<string, any>) => request(app).post('/api/users').set('Authorization', `Bearer ${owner}`).send(body);
+
+    const res = await add({ email: 'new@bici.cc', name: 'New Hire', password: PASSWORD, role: 'staff' });
+    expect(res.status).toBe(201);
+    expect(res.body.organization_id).toBe(ORG_ID);
+    expect(mockDb.users.find(row => row.email === 'new@bici.cc')!.password_hash).toMatch(/^scrypt\$/);
+    expect((await login('new@bici.cc'))).toEqual(expect.any(String));
+
+    expect((await add({ email: 'new@bici.cc', name: 'Again', password: PASSWORD })).status).toBe(409);
+    expect((await add({ email: 'bad', name: '', password: 'short', role: 'admin' })).body.details).toEqual([
+      'email must be a valid email address',
+      'name is required',
+      'role must be one of: owner, staff, read_only',
+      'password must be at least 10 characters'
+    ]);
+  });
+
+  it('requires a token for the event stream', async () => {
+    const token = await login('viewer@bici.cc');
+
+    expect((await request(app).get('/api/stream/client-1')).status).toBe(401);
+    expect((await request(app).get(`/api/stream/client-1?access_token=${token}`)).status).toBe(200);
+  });
+});
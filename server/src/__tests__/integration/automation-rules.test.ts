@@ -0,0 +1,254 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { AutomationRuleService } from '../../services/automationRule.service';
+import { EnhancedSMSAutomationService } from '../../services/enhanced-sms.service';
+import { AppointmentService } from '../../services/appointment.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { AutomationRule, CallSession, ConversationInsights } from '../../types';
+
+const ORG_ID = 'org-1';
+
+// Monday 2026-10-19 at 10:00 Pacific
+const OPEN = new Date('2026-10-19T17:00:00Z');
+
+function rule(overrides: Partial<AutomationRule>): AutomationRule {
+  return {
+    id: `rule-${overrides.name}`,
+    organization_id: ORG_ID,
+    name: 'rule',
+    enabled: true,
+    match: 'any',
+    conditions: [],
+    template: '',
+    delay_minutes: 0,
+    priority: 0,
+    cooldown_minutes: 60,
+    created_at: OPEN.toISOString(),
+    updated_at: OPEN.toISOString(),
+    ...overrides
+  };
+}
+
+const hoursRule = rule({
+  name: 'store_hours',
+  priority: 10,
+  conditions: [
+    { field: 'triggers', operator: 'contains', value: ['asked_hours', 'when_open'] },
+    { field: 'followUpNeeded', operator: 'contains', value: 'hours' }
+  ],
+  template: 'Hi {{customer_name}}, {{store_name}} is {{store_status}}!\n{{weekly_hours}}'
+});
+
+const salesRule = rule({
+  name: 'sales_follow_up',
+  match: 'all',
+  priority: 5,
+  delay_minutes: 5,
+  conditions: [
+    { field: 'classification', operator: 'equals', value: 'sales' },
+    { field: 'purchaseIntent', operator: 'gte', value: 0.5 }
+  ],
+  template: 'Thanks for asking about the {{bike_type}}! Call us at {{store_phone}}.'
+});
+
+function insights(overrides: Partial<ConversationInsights>): ConversationInsights {
+  return {
+    classification: 'general',
+    triggers: [],
+    leadStatus: 'contacted',
+    keyPoints: [],
+    nextSteps: [],
+    ...overrides
+  };
+}
+
+describe('AutomationRuleService', () => {
+  const service = new AutomationRuleService();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(OPEN);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('matches conditions over insights and renders template variables', () => {
+    const results = service.evaluate(
+      [salesRule, hoursRule],
+      insights({ triggers: ['asked_hours'] }),
+      { customer_name: 'Sam' }
+    );
+
+    expect(results.map(result => result.name)).toEqual(['store_hours', 'sales_follow_up']);
+    expect(results[0].matched).toBe(true);
+    expect(results[0].message).toBe('Hi Sam, BICI Bike Store is open now until 18:00!\nMon-Fri: 08:00 - 18:00\nSat-Sun: 09:00 - 16:30');
+    expect(results[1].matched).toBe(false);
+  });
+
+  it('requires every condition for "all" rules', () => {
+    const [lowIntent] = service.evaluate([salesRule], insights({ classification: 'sales', purchaseIntent: 0.3 }));
+    const [highIntent] = service.evaluate([salesRule], insights({ classification: 'sales', purchaseIntent: 0.8, bikePreferences: { type: 'e-bike' } }));
+
+    expect(lowIntent.matched).toBe(false);
+    expect(highIntent.matched).toBe(true);
+    expect(highIntent.message).toContain('asking about the e-bike');
+    expect(highIntent.delay_minutes).toBe(5);
+  });
+
+  it('treats a "no follow-up" recommendation as missing', () => {
+    const followUpRule = rule({
+      name: 'any_follow_up',
+      conditions: [{ field: 'followUpNeeded', operator: 'exists' }],
+      template: 'Following up'
+    });
+
+    expect(service.evaluate([followUpRule], insights({ followUpNeeded: 'none' }))[0].matched).toBe(false);
+    expect(service.evaluate([followUpRule], insights({ followUpNeeded: 'send_hours' }))[0].matched).toBe(true);
+  });
+
+  it('rejects unknown fields, operators and template variables', () => {
+    const errors = service.validateRule({
+      name: 'bad',
+      template: 'Hello {{first_name}}',
+      conditions: [{ field: 'mood' as any, operator: 'like' as any, value: 'happy' }]
+    });
+
+    expect(errors).toEqual([
+      'unknown template variable {{first_name}}',
+      'conditions[0].field is not supported',
+      'conditions[0].operator is not supported'
+    ]);
+    expect(service.validateRule({ priority: 3 }, true)).toEqual([]);
+  });
+
+  it('reads insights stored on a call session for dry runs', async () => {
+    resetMockDb({
+      call_sessions: [{
+        id: 'session-1',
+        organization_id: ORG_ID,
+        lead_id: 'lead-1',
+        metadata: { insights: insights({ triggers: ['asked_hours'] }) }
+      }]
+    });
+
+    const stored = await service.getStoredInsights('session-1', ORG_ID);
+    const results = service.evaluate([hoursRule], stored!.insights);
+
+    expect(results[0].matched).toBe(true);
+    expect(await service.getStoredInsights('session-1', 'other-org')).toBeNull();
+  });
+});
+
+describe('EnhancedSMSAutomationService with automation rules', () => {
+  const enhancedSMS = new EnhancedSMSAutomationService();
+  let leadCount = 0;
+  let lead: any;
+
+  beforeAll(() => {
+    registerJobHandlers();
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(OPEN);
+
+    // Fresh lead per test so cooldown keys from earlier tests don't apply
+    leadCount++;
+    lead = {
+      id: `lead-${leadCount}`,
+      organization_id: ORG_ID,
+      phone_number: `+1604555000${leadCount}`,
+      phone_number_normalized: `1604555000${leadCount}`,
+      customer_name: 'Sam',
+      status: 'contacted'
+    };
+
+    resetMockDb({
+      leads: [lead],
+      automation_rules: [hoursRule, salesRule, { ...rule({ name: 'disabled' }), enabled: false }],
+      conversations: [],
+      sms_automation_log: []
+    });
+    mockCreateMessage.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function session(): CallSession {
+    return { id: 'session-1', organization_id: ORG_ID, lead_id: lead.id, status: 'completed', started_at: OPEN };
+  }
+
+  it('queues a text for each matching rule and sends it from the job queue', async () => {
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ triggers: ['asked_hours'] }));
+
+    const pending = await jobQueue.listPending({ leadId: lead.id });
+    expect(pending).toHaveLength(1);
+
+    await jobQueue.processDueJobs();
+
+    expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({
+      to: lead.phone_number,
+      body: expect.stringContaining('Hi Sam, BICI Bike Store is open now')
+    }));
+    expect(mockDb.conversations[0].metadata).toEqual(expect.objectContaining({
+      automated: true,
+      automation_rule_id: hoursRule.id,
+      template_type: 'store_hours'
+    }));
+    expect(mockDb.sms_automation_log[0].trigger_reason).toBe(hoursRule.id);
+  });
+
+  it('does not fire a rule again inside its cooldown', async () => {
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ triggers: ['asked_hours'] }));
+    await jobQueue.processDueJobs();
+
+    jest.setSystemTime(OPEN.getTime() + 30 * 60 * 1000);
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ triggers: ['asked_hours'] }));
+    expect(await jobQueue.listPending({ leadId: lead.id })).toHaveLength(0);
+
+    jest.setSystemTime(OPEN.getTime() + 61 * 60 * 1000);
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ triggers: ['asked_hours'] }));
+    expect(await jobQueue.listPending({ leadId: lead.id })).toHaveLength(1);
+  });
+
+  it('drops a delayed rule when the customer replies first', async () => {
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ classification: 'sales', purchaseIntent: 0.9 }));
+    expect(await jobQueue.listPending({ leadId: lead.id })).toHaveLength(1);
+
+    await jobQueue.cancelForLead(lead.id, 'customer_reply');
+    jest.setSystemTime(OPEN.getTime() + 5 * 60 * 1000);
+    await jobQueue.processDueJobs();
+
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+  });
+  it('texts open slots to a caller who asked to come in and books the numbered reply', async () => {
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ classification: 'service', triggers: ['appointment_request'] }));
+    await jobQueue.processDueJobs();
+
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+    expect(mockCreateMessage.mock.calls[0][0].body).toMatch(/Next openings at BICI Bike Store: 1\) Monday, October 19 at 12:00 PM .*Reply with the number that works for you/);
+
+    // Another call inside the half hour doesn't repeat the offer
+    await enhancedSMS.triggerSmartAutomation(session(), insights({ classification: 'service', triggers: ['appointment_request'] }));
+    expect(await jobQueue.listPending({ leadId: lead.id })).toHaveLength(0);
+
+    const reply = await new AppointmentService().handleSMSReply(lead, '1');
+
+    expect(reply).toEqual({ handled: true });
+    expect(mockDb.appointments).toEqual([expect.objectContaining({
+      lead_id: lead.id,
+      scheduled_at: '2026-10-19T19:00:00.000Z',
+      source: 'sms',
+      status: 'scheduled'
+    })]);
+  });
+});
@@ -0,0 +1,283 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn() } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+// node-fetch is ESM-only and only reached through the Shopify catalog; dialing uses global fetch
+jest.mock('node-fetch', () => jest.fn());
+
+import http from 'http';
+import { AddressInfo } from 'net';
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { CampaignService } from '../../services/campaign.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { handlePostCall } from '../../webhooks/elevenlabs.webhook';
+import { elevenLabsConfig } from '../../config/elevenlabs.config';
+import { CallSession, Campaign } from '../../types';
+
+const ORG_ID = 'org-1';
+const PURPOSE = "I'm calling about our e-bike demo day this Saturday";
+const HOURS = { monday: '08:00-18:00', tuesday: '08:00-18:00', wednesday: '08:00-18:00', thursday: '08:00-18:00', friday: '08:00-18:00', saturday: '09:00-16:30', sunday: '09:00-16:30' };
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+function lead(n: number, overrides: Record<string, any> = {}) {
+  return {
+    id: `lead-${n}`,
+    organization_id: ORG_ID,
+    phone_number: `+1604555000${n}`,
+    phone_number_normalized: `1604555000${n}`,
+    customer_name: `Rider ${n}`,
+    status: 'qualified',
+    bike_interest: { type: 'e-bike' },
+    last_contact_at: '2026-09-01T18:00:00Z',
+    created_at: '2026-08-01T18:00:00Z',
+    ...overrides
+  };
+}
+
+// Stands in for ElevenLabs' Twilio outbound-call endpoint
+const dialed: any[] = [];
+const failingNumbers = new Set<string>();
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    dialed.push({ url: req.url, apiKey: req.headers['xi-api-key'], payload });
+    res.setHeader('Content-Type', 'application/json');
+    if (failingNumbers.has(payload.to_number)) {
+      res.statusCode = 503;
+      res.end(JSON.stringify({ detail: 'Service unavailable' }));
+      return;
+    }
+    res.end(JSON.stringify({ success: true, conversation_id: `conv-${dialed.length}`, call_sid: `CA${dialed.length}` }));
+  });
+});
+
+const webhookApp = express();
+webhookApp.use(express.json());
+webhookApp.post('/webhooks/elevenlabs/post-call', handlePostCall);
+
+const campaignLeads = () => mockDb.campaign_leads as any[];
+const row = (leadId: string) => campaignLeads().find(r => r.lead_id === leadId);
+const sessionFor = (conversationId: string): CallSession => mockDb.call_sessions.find((s: any) => s.elevenlabs_conversation_id === conversationId) as any;
+
+describe('outbound call campaigns', () => {
+  const service = new CampaignService();
+  let originalBaseUrl: string;
+
+  const create = (overrides: Record<string, any> = {}) => service.createCampaign(ORG_ID, {
+    name: 'E-bike demo day',
+    purpose: PURPOSE,
+    segment: { statuses: ['qualified'], bike_type: 'e-bike', no_contact_days: 14 },
+    max_concurrent: 2,
+    pacing_seconds: 0,
+    ...overrides
+  }, 'user-1');
+
+  const reload = async (campaign: Campaign) => (await service.getCampaign(campaign.id, ORG_ID))!;
+
+  beforeAll(async () => {
+    registerJobHandlers();
+    await new Promise<void>(resolve => stub.listen(0, '127.0.0.1', resolve));
+    originalBaseUrl = elevenLabsConfig.apiBaseUrl;
+    elevenLabsConfig.apiBaseUrl = `http://127.0.0.1:${(stub.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    elevenLabsConfig.apiBaseUrl = originalBaseUrl;
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(async () => {
+    // Only the clock is faked; the stub server and HTTP client need real timers
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    dialed.length = 0;
+    failingNumbers.clear();
+
+    resetMockDb({
+      organizations: [{
+        id: ORG_ID,
+        name: 'BICI',
+        phone_number: '+16045550000',
+        settings: { timezone: 'America/Vancouver', business_hours: HOURS, elevenlabs_agent_id: 'agent-1', elevenlabs_phone_number_id: 'pn-1' }
+      }],
+      leads: [
+        lead(1),
+        lead(2, { last_contact_at: '2026-09-10T18:00:00Z' }),
+        lead(3, { last_contact_at: null, created_at: '2026-09-20T18:00:00Z' }),
+        lead(4, { sms_opted_out: true }),
+        lead(5, { last_contact_at: '2026-10-15T18:00:00Z' }),
+        lead(6, { bike_interest: { type: 'road' } }),
+        lead(7, { status: 'hot' }),
+        lead(8, { organization_id: 'org-2' }),
+        lead(9, { phone_number: 'web-abc123' })
+      ],
+      campaigns: [],
+      campaign_leads: [],
+      call_sessions: [],
+      conversations: []
+    });
+
+    // Runner jobs left by earlier tests find no campaign and stop
+    await jobQueue.processDueJobs();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('selects the segment, skipping opted-out, recent and web leads', async () => {
+    const leads = await service.findSegmentLeads(ORG_ID, { statuses: ['qualified'], bike_type: 'e-bike', no_contact_days: 14 });
+
+    expect(leads.map(l => l.id)).toEqual(['lead-1', 'lead-2', 'lead-3']);
+  });
+
+  it('dials within the concurrency limit with the campaign purpose as the greeting', async () => {
+    const campaign = await service.start(await create());
+    expect(campaignLeads().map(r => [r.lead_id, r.status])).toEqual([['lead-1', 'pending'], ['lead-2', 'pending'], ['lead-3', 'pending']]);
+
+    await jobQueue.processDueJobs();
+
+    expect(dialed).toHaveLength(2);
+    expect(dialed[0].url).toBe('/v1/convai/twilio/outbound-call');
+    expect(dialed[0].apiKey).toBe(elevenLabsConfig.apiKey);
+    expect(dialed[0].payload).toEqual(expect.objectContaining({ agent_id: 'agent-1', agent_phone_number_id: 'pn-1', to_number: '+16045550001' }));
+    expect(dialed[0].payload.conversation_initiation_client_data).toEqual(expect.objectContaining({ campaign_id: campaign.id, initiated_by: 'campaign' }));
+    expect(dialed[0].payload.conversation_initiation_client_data.dynamic_variables).toEqual(expect.objectContaining({
+      greeting_opener: 'Hey Rider 1!',
+      greeting_variation: PURPOSE,
+      call_purpose: PURPOSE,
+      call_type: 'outbound_campaign'
+    }));
+
+    expect(sessionFor('conv-1')).toEqual(expect.objectContaining({ lead_id: 'lead-1', campaign_id: campaign.id, call_type: 'outbound', status: 'initiated' }));
+    expect(row('lead-1')).toEqual(expect.objectContaining({ status: 'calling', attempts: 1, conversation_id: 'conv-1', call_session_id: sessionFor('conv-1').id }));
+    expect(row('lead-3').status).toBe('pending');
+
+    // Both lines busy: the next round waits
+    await jobQueue.processDueJobs();
+    expect(dialed).toHaveLength(2);
+  });
+
+  it('records outcomes, redials no-answers later and completes', async () => {
+    const campaign = await service.start(await create());
+    await jobQueue.processDueJobs();
+
+    const noAnswer = await request(webhookApp)
+      .post('/webhooks/elevenlabs/post-call')
+      .send({ type: 'call_initiation_failure', data: { conversation_id: 'conv-1', failure_reason: 'no-answer' } });
+    expect(noAnswer.body).toEqual({ success: true, outcome: 'no_answer' });
+    expect(sessionFor('conv-1')).toEqual(expect.objectContaining({ status: 'failed', outcome: 'no_answer' }));
+    expect(row('lead-1')).toEqual(expect.objectContaining({
+      status: 'retry',
+      outcome: 'no_answer',
+      next_attempt_at: new Date(NOW.getTime() + 2 * HOUR_MS).toISOString()
+    }));
+
+    await service.recordCallOutcome(sessionFor('conv-2'), 'answered');
+    expect(sessionFor('conv-2').outcome).toBe('answered');
+    expect(row('lead-2')).toEqual(expect.objectContaining({ status: 'completed', outcome: 'answered' }));
+
+    // The free line goes to lead 3; lead 1 isn't due yet
+    await jobQueue.processDueJobs();
+    expect(dialed.map(d => d.payload.to_number)).toEqual(['+16045550001', '+16045550002', '+16045550003']);
+    await service.recordCallOutcome(sessionFor('conv-3'), 'voicemail');
+
+    await jobQueue.processDueJobs();
+    expect(dialed).toHaveLength(3);
+
+    jest.setSystemTime(NOW.getTime() + 3 * HOUR_MS);
+    await jobQueue.processDueJobs();
+    expect(dialed[3].payload.to_number).toBe('+16045550001');
+    expect(row('lead-1')).toEqual(expect.objectContaining({ status: 'calling', attempts: 2, conversation_id: 'conv-4' }));
+
+    await service.recordCallOutcome(sessionFor('conv-4'), 'answered');
+    await jobQueue.processDueJobs();
+
+    expect((await reload(campaign)).status).toBe('completed');
+    expect(await service.getProgress(campaign.id)).toEqual({
+      total: 3,
+      by_status: { pending: 0, calling: 0, retry: 0, completed: 3, failed: 0, skipped: 0 },
+      by_outcome: { answered: 2, voicemail: 1 }
+    });
+  });
+
+  it('gives up after the last attempt', async () => {
+    await service.start(await create({ max_attempts: 1 }));
+    await jobQueue.processDueJobs();
+
+    await request(webhookApp)
+      .post('/webhooks/elevenlabs/post-call')
+      .send({ type: 'call_initiation_failure', data: { conversation_id: 'conv-1', failure_reason: 'busy' } });
+
+    expect(row('lead-1')).toEqual(expect.objectContaining({ status: 'failed', outcome: 'busy', next_attempt_at: null }));
+  });
+
+  it('only dials during store hours', async () => {
+    // 22:00 in Vancouver
+    jest.setSystemTime(new Date('2026-10-20T05:00:00Z'));
+    const campaign = await service.start(await create());
+
+    await jobQueue.processDueJobs();
+
+    expect(dialed).toHaveLength(0);
+    const [tick] = await jobQueue.listPending({ type: 'campaign.tick', organizationId: ORG_ID });
+    expect(tick.payload.campaignId).toBe(campaign.id);
+    expect(tick.run_at).toBe('2026-10-20T05:15:00.000Z');
+  });
+
+  it('skips leads who opted out after enrolling and retries failed dials', async () => {
+    await service.start(await create());
+    mockDb.leads.find((l: any) => l.id === 'lead-1').sms_opted_out = true;
+    failingNumbers.add('+16045550002');
+
+    await jobQueue.processDueJobs();
+
+    expect(dialed.map(d => d.payload.to_number)).toEqual(['+16045550002']);
+    expect(row('lead-1')).toEqual(expect.objectContaining({ status: 'skipped', outcome: 'opted_out', attempts: 0 }));
+    expect(row('lead-2')).toEqual(expect.objectContaining({ status: 'retry', outcome: 'failed', attempts: 1, last_error: 'Failed to initiate call' }));
+  });
+
+  it('stops dialing while paused and picks up on resume', async () => {
+    const campaign = await service.start(await create());
+    await service.pause(await reload(campaign));
+
+    await jobQueue.processDueJobs();
+    expect(dialed).toHaveLength(0);
+
+    const resumed = await service.start(await reload(campaign));
+    expect(resumed.run_id).not.toBe(campaign.run_id);
+    expect(campaignLeads()).toHaveLength(3);
+
+    await jobQueue.processDueJobs();
+    expect(dialed).toHaveLength(2);
+  });
+
+  it('validates campaigns', () => {
+    expect(service.validateCampaign({})).toEqual(['name is required', 'purpose is required']);
+    expect(service.validateCampaign({
+      name: 'Demo',
+      purpose: PURPOSE,
+      segment: { statuses: ['warm' as any], bike_type: 'unicycle' as any, no_contact_days: 0 },
+      max_concurrent: 20
+    })).toEqual([
+      'segment.statuses must be a list of new, contacted, qualified, hot, customer, closed',
+      'segment.bike_type must be one of road, mountain, hybrid, e-bike',
+      'segment.no_contact_days must be a positive whole number',
+      'max_concurrent must be a whole number from 1 to 10'
+    ]);
+  });
+});
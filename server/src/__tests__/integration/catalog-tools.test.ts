@@ -0,0 +1,215 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn() } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+// node-fetch is ESM-only; the MCP transport is replaced below anyway
+jest.mock('node-fetch', () => jest.fn());
+
+const mockCallTool = jest.fn();
+
+jest.mock('../../services/shopify.storefront.mcp.service', () => {
+  const actual = jest.requireActual('../../services/shopify.storefront.mcp.service');
+  return {
+    ...actual,
+    ShopifyStorefrontMCPService: class {
+      isEnabled() { return true; }
+      callTool(name: string, args: any) { return mockCallTool(name, args); }
+    }
+  };
+});
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { handleSearchBikesTool, handleCheckStockTool, handleBookAppointmentTool } from '../../webhooks/tools.webhook';
+import { verifyAgentTool } from '../../middleware/webhookSignature';
+import { hashToolSecret } from '../../services/organization.service';
+import { AutomationRuleService } from '../../services/automationRule.service';
+import { AutomationRule, ConversationInsights } from '../../types';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const TOOL_SECRET = 'tsec_org1';
+
+function mcpText(payload: any) {
+  return { content: [{ type: 'text', text: JSON.stringify(payload) }] };
+}
+
+function product(id: number, title: string, min: string, available: boolean = true) {
+  return {
+    product_id: `gid://shopify/Product/${id}`,
+    title,
+    url: `https://bici.cc/products/${id}`,
+    price_range: { min, max: min, currency: 'CAD' },
+    variants: [{ available }]
+  };
+}
+
+const app = express();
+app.use(express.json());
+app.post('/tools/search-bikes', verifyAgentTool('tools/search-bikes'), handleSearchBikesTool);
+app.post('/tools/check-stock', verifyAgentTool('tools/check-stock'), handleCheckStockTool);
+app.post('/tools/book-appointment', verifyAgentTool('tools/book-appointment'), handleBookAppointmentTool);
+
+function postTool(path: string, body: any, secret: string = TOOL_SECRET) {
+  return request(app).post(path).set('X-Bici-Tool-Secret', secret).send(body);
+}
+
+describe('catalog agent tools', () => {
+  beforeEach(() => {
+    mockCallTool.mockReset();
+    resetMockDb({
+      organizations: [
+        { id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: {}, tool_secret_hash: hashToolSecret(TOOL_SECRET) },
+        { id: 'org-2', name: 'Other Shop', phone_number: '+16045550001', settings: {}, tool_secret_hash: hashToolSecret('tsec_org2') }
+      ],
+      leads: [{
+        id: 'lead-1',
+        organization_id: ORG_ID,
+        phone_number: PHONE,
+        phone_number_normalized: '16045551234',
+        status: 'qualified',
+        bike_interest: { type: 'road', budget: { min: 1000, max: 3000 } },
+        product_matches: [{ product_id: 'gid://shopify/Product/9', title: 'Older Match', source: 'search_bikes', matched_at: '2026-10-01T00:00:00Z' }]
+      }]
+    });
+  });
+
+  it('searches within the lead\'s budget and attaches the matches to the lead', async () => {
+    mockCallTool.mockResolvedValue(mcpText({ products: [
+      product(1, 'Trek Domane AL 2', '1499.99'),
+      product(2, 'Cannondale SuperSix', '4200.00'),
+      product(3, 'Kids Balance Bike', '199.00'),
+      product(4, 'Giant Contend', '1299.00', false)
+    ] }));
+
+    const res = await postTool('/tools/search-bikes', { customer_phone: PHONE });
+
+    expect(res.status).toBe(200);
+    expect(mockCallTool).toHaveBeenCalledWith('search_shop_catalog', expect.objectContaining({
+      query: 'road bike',
+      filters: [{ price: { max: 3000 } }]
+    }));
+    expect(res.body.products.map((p: any) => p.title)).toEqual(['Trek Domane AL 2', 'Giant Contend']);
+    expect(res.body.message).toBe(
+      'I found 2 road bikes under $3,000: Trek Domane AL 2 at $1,500; Giant Contend at $1,299, currently out of stock. I can text you the links.'
+    );
+
+    const matches = mockDb.leads[0].product_matches;
+    expect(matches.map((m: any) => m.title)).toEqual(['Trek Domane AL 2', 'Giant Contend', 'Older Match']);
+    expect(matches[0]).toEqual(expect.objectContaining({ url: 'https://bici.cc/products/1', source: 'search_bikes' }));
+  });
+
+  it('lets the caller\'s stated budget override the stored one', async () => {
+    mockCallTool.mockResolvedValue(mcpText({ products: [product(2, 'Cannondale SuperSix', '4200.00')] }));
+
+    const res = await postTool('/tools/search-bikes', { customer_phone: PHONE, type: 'gravel', budget_max: 5000 });
+
+    expect(res.body.products).toHaveLength(1);
+    expect(res.body.message).toMatch(/^I found 1 gravel bikes under \$5,000: Cannondale SuperSix at \$4,200/);
+  });
+
+  it('says so when nothing fits the budget', async () => {
+    mockCallTool.mockResolvedValue(mcpText({ products: [product(2, 'Cannondale SuperSix', '4200.00')] }));
+
+    const res = await postTool('/tools/search-bikes', { customer_phone: PHONE });
+
+    expect(res.body.products).toEqual([]);
+    expect(res.body.message).toMatch(/^I couldn't find any road bikes under \$3,000/);
+    expect(mockDb.leads[0].product_matches).toHaveLength(1);
+  });
+
+  it('checks stock for a size', async () => {
+    mockCallTool.mockResolvedValue(mcpText({ product: {
+      ...product(1, 'Trek Domane AL 2', '1499.99'),
+      variants: [{ title: 'S', available: false }, { title: 'M', available: true }, { title: 'L', available: true }]
+    } }));
+
+    const small = await postTool('/tools/check-stock', { customer_phone: PHONE, product_id: 'gid://shopify/Product/1', size: 'S' });
+    const medium = await postTool('/tools/check-stock', { product_id: 'gid://shopify/Product/1', size: 'm' });
+
+    expect(mockCallTool).toHaveBeenCalledWith('get_product_details', { product_id: 'gid://shopify/Product/1' });
+    expect(small.body).toEqual({ in_stock: true, message: "Trek Domane AL 2 isn't in stock in size S, but we have M, L." });
+    expect(medium.body.message).toBe('Trek Domane AL 2 is in stock in size m.');
+    expect(mockDb.leads[0].product_matches[0]).toEqual(expect.objectContaining({ title: 'Trek Domane AL 2', source: 'check_stock' }));
+    expect((await postTool('/tools/check-stock', {})).status).toBe(400);
+  });
+
+  it('tells the caller inventory is unavailable when the catalog is down', async () => {
+    mockCallTool.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const search = await postTool('/tools/search-bikes', { customer_phone: PHONE });
+    const stock = await postTool('/tools/check-stock', { product_id: 'gid://shopify/Product/1', size: 'M' });
+
+    expect(search.status).toBe(200);
+    expect(search.body).toEqual({ products: [], message: expect.stringMatching(/^I can't check our inventory right now/) });
+    expect(stock.status).toBe(200);
+    expect(stock.body).toEqual({ in_stock: false, message: expect.stringMatching(/^I can't check our inventory right now/) });
+    expect(mockDb.leads[0].product_matches).toHaveLength(1);
+  });
+
+  it('rejects tool calls without the organization\'s tool secret', async () => {
+    const missing = await request(app).post('/tools/search-bikes').send({ customer_phone: PHONE, organization_id: ORG_ID });
+    const wrong = await postTool('/tools/search-bikes', { customer_phone: PHONE, organization_id: ORG_ID }, 'tsec_guess');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(403);
+    expect(mockCallTool).not.toHaveBeenCalled();
+  });
+
+  it('takes the organization from the secret, not the request body', async () => {
+    mockDb.leads.push({ id: 'lead-2', organization_id: 'org-2', phone_number: PHONE, phone_number_normalized: '16045551234', status: 'new' });
+    mockCallTool.mockResolvedValue(mcpText({ products: [product(1, 'Trek Domane AL 2', '1499.99')] }));
+
+    await postTool('/tools/search-bikes', { customer_phone: PHONE, organization_id: 'org-2' });
+
+    expect(mockDb.leads[0].product_matches[0].title).toBe('Trek Domane AL 2');
+    expect(mockDb.leads[1].product_matches).toBeUndefined();
+  });
+
+  it('never creates leads for unknown callers', async () => {
+    mockCallTool.mockResolvedValue(mcpText({ products: [product(1, 'Trek Domane AL 2', '1499.99')] }));
+
+    const search = await postTool('/tools/search-bikes', { customer_phone: '+16045559999', type: 'road' });
+    const booking = await postTool('/tools/book-appointment', { customer_phone: '+16045559999', slot_start: '2026-10-20T17:00:00Z' });
+
+    expect(search.body.products).toHaveLength(1);
+    expect(booking.body.success).toBe(false);
+    expect(mockDb.leads).toHaveLength(1);
+    expect(mockDb.appointments || []).toHaveLength(0);
+  });
+
+  it('links matched products in follow-up texts', () => {
+    const followUp: AutomationRule = {
+      id: 'rule-1',
+      organization_id: ORG_ID,
+      name: 'product_links',
+      enabled: true,
+      match: 'any',
+      conditions: [{ field: 'classification', operator: 'equals', value: 'sales' }],
+      template: 'Here are the bikes we talked about:\n{{product_links}}',
+      delay_minutes: 0,
+      priority: 0,
+      cooldown_minutes: 60,
+      created_at: '',
+      updated_at: ''
+    };
+    const lead = {
+      product_matches: [
+        { product_id: '1', title: 'Trek Domane AL 2', url: 'https://bici.cc/products/1', source: 'search_bikes' as const, matched_at: '' },
+        { product_id: '2', title: 'No Link', source: 'search_bikes' as const, matched_at: '' }
+      ]
+    };
+
+    const [result] = new AutomationRuleService().evaluate([followUp], { classification: 'sales', triggers: [] } as ConversationInsights, lead);
+
+    expect(result.message).toBe('Here are the bikes we talked about:\nTrek Domane AL 2: https://bici.cc/products/1');
+  });
+});
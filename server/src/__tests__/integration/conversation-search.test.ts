@@ -0,0 +1,147 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb } from '../helpers/supabase-mock';
+import { setupAPIRoutes } from '../../routes';
+import { UserService } from '../../services/user.service';
+import { buildSnippet } from '../../services/conversationSearch.service';
+
+const ORG_ID = 'org-1';
+const PASSWORD = 'correct horse battery';
+
+const app = express();
+app.use(express.json());
+setupAPIRoutes(app);
+
+const message = (id: string, leadId: string, fields: Record<string, any>) => ({
+  id,
+  organization_id: ORG_ID,
+  lead_id: leadId,
+  sent_by: 'user',
+  type: 'sms',
+  ...fields
+});
+
+describe('conversation search', () => {
+  const userService = new UserService();
+  let token: string;
+
+  const search = (query: Record<string, string>) =>
+    request(app).get('/api/search/conversations').query(query).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    resetMockDb({
+      organizations: [
+        { id: ORG_ID, name: 'BICI', settings: { name: 'BICI' } },
+        { id: 'org-2', name: 'Other shop', settings: {} }
+      ],
+      users: [{
+        id: 'viewer', organization_id: ORG_ID, email: 'viewer@bici.cc', name: 'Viewer', role: 'read_only', active: true,
+        password_hash: await userService.hashPassword(PASSWORD)
+      }],
+      leads: [
+        { id: 'lead-sam', organization_id: ORG_ID, customer_name: 'Sam Lee', phone_number: '+16045551234', status: 'hot' },
+        { id: 'lead-kim', organization_id: ORG_ID, customer_name: 'Kim', phone_number: '+16045559876', status: 'new' },
+        { id: 'lead-other', organization_id: 'org-2', customer_name: 'Elsewhere', phone_number: '+16045550000', status: 'hot' }
+      ],
+      conversations: [
+        message('sam-1', 'lead-sam', { content: 'Do you have the Rad Power e-bike in stock?', timestamp: '2026-10-14T17:00:00Z' }),
+        message('sam-2', 'lead-sam', { content: 'We have two Rad Power bikes on the floor.', sent_by: 'agent', timestamp: '2026-10-14T17:01:00Z' }),
+        message('kim-1', 'lead-kim', {
+          content: 'Thanks for calling. I was wondering whether the Rad Power RadWagon could carry two kids and a week of groceries up the hill every day',
+          type: 'voice', call_classification: 'sales', timestamp: '2026-10-16T09:00:00Z'
+        }),
+        message('kim-2', 'lead-kim', { content: 'What time do you close?', timestamp: '2026-10-17T09:00:00Z' }),
+        message('other-1', 'lead-other', { organization_id: 'org-2', content: 'Rad Power please', timestamp: '2026-10-17T10:00:00Z' })
+      ],
+      conversation_summaries: [
+        { id: 'sum-kim', organization_id: ORG_ID, lead_id: 'lead-kim', summary: 'Asked about a Rad Power cargo bike', conversation_type: 'voice', call_classification: 'sales', created_at: '2026-10-16T09:10:00Z' }
+      ],
+      audit_log: []
+    });
+
+    token = (await request(app).post('/api/auth/login').send({ email: 'viewer@bici.cc', password: PASSWORD })).body.token;
+  });
+
+  it('finds messages and summaries newest first with the lead and a highlighted snippet', async () => {
+    const res = await search({ q: 'rad power' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.has_more).toBe(false);
+    expect(res.body.results.map((result: any) => [result.kind, result.id])).toEqual([
+      ['summary', 'sum-kim'],
+      ['message', 'kim-1'],
+      ['message', 'sam-2'],
+      ['message', 'sam-1']
+    ]);
+
+    const [summary, call, , question] = res.body.results;
+    expect(summary).toEqual(expect.objectContaining({ channel: 'voice', sent_by: null, lead: expect.objectContaining({ customer_name: 'Kim' }) }));
+    expect(question).toEqual(expect.objectContaining({
+      lead_id: 'lead-sam',
+      lead: { id: 'lead-sam', customer_name: 'Sam Lee', phone_number: '+16045551234', status: 'hot' },
+      channel: 'sms',
+      sent_by: 'user',
+      snippet: 'Do you have the Rad Power e-bike in stock?'
+    }));
+    const marked = (result: any) => result.highlights.map(([start, end]: [number, number]) => result.snippet.slice(start, end));
+    expect(marked(question)).toEqual(['Rad', 'Power']);
+    // "RadWagon" starts with a searched word too
+    expect(marked(call)).toEqual(['Rad', 'Power', 'RadWagon']);
+
+    const page = await search({ q: 'rad power', limit: '2', offset: '1' });
+    expect(page.body.results.map((result: any) => result.id)).toEqual(['kim-1', 'sam-2']);
+    expect(page.body.has_more).toBe(true);
+  });
+
+  it('filters by channel, classification, sender, lead status and date', async () => {
+    const ids = async (query: Record<string, string>) =>
+      (await search({ q: 'rad power', ...query })).body.results.map((result: any) => result.id);
+
+    expect(await ids({ channel: 'voice' })).toEqual(['sum-kim', 'kim-1']);
+    expect(await ids({ classification: 'sales', channel: 'sms' })).toEqual([]);
+    // Summaries aren't sent by anyone, so a sender filter leaves them out
+    expect(await ids({ sender: 'agent' })).toEqual(['sam-2']);
+    expect(await ids({ status: 'hot,customer' })).toEqual(['sam-2', 'sam-1']);
+    expect(await ids({ status: 'closed' })).toEqual([]);
+    // A bare `to` date covers the whole day
+    expect(await ids({ from: '2026-10-14', to: '2026-10-14' })).toEqual(['sam-2', 'sam-1']);
+  });
+
+  it('rejects searches it cannot run', async () => {
+    const res = await search({ q: 'r', channel: 'fax', status: 'warm', from: 'last week', offset: '-1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid search');
+    expect(res.body.details).toEqual([
+      'q must be at least 2 characters',
+      'channel must be one of: voice, sms, email',
+      'status must be one or more of: new, contacted, qualified, hot, customer, closed',
+      'from must be an ISO date',
+      'offset must be between 0 and 500'
+    ]);
+  });
+
+  it('opens a lead\'s history around a search result', async () => {
+    const around = await request(app).get('/api/conversations/lead-kim?around=kim-1').set('Authorization', `Bearer ${token}`);
+    expect(around.status).toBe(200);
+    expect(around.body.map((conv: any) => conv.id)).toEqual(['kim-1', 'kim-2']);
+
+    // The message has to belong to the lead
+    const elsewhere = await request(app).get('/api/conversations/lead-kim?around=sam-1').set('Authorization', `Bearer ${token}`);
+    expect(elsewhere.status).toBe(404);
+  });
+
+  it('trims long messages to the first match', () => {
+    const content = `${'Earlier small talk about the weather and the weekend. '.repeat(4)}Is the Rad Power RadRunner still on sale? ${'More chat. '.repeat(20)}`;
+    const { snippet, highlights } = buildSnippet(content, ['rad', 'power']);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('Is the Rad Power RadRunner still on sale?');
+    expect(highlights.map(([start, end]) => snippet.slice(start, end))).toEqual(['Rad', 'Power', 'RadRunner']);
+  });
+});
@@ -0,0 +1,229 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { handlePostCall } from '../../webhooks/elevenlabs.webhook';
+import {
+  CustomerMemoryService,
+  assembleContext,
+  buildConversationContext,
+  estimateTokens,
+  extractFacts
+} from '../../services/customerMemory.service';
+import { customerMemoryConfig } from '../../config/memory.config';
+import { UserService } from '../../services/user.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const PASSWORD = 'correct horse battery';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+app.post('/webhooks/elevenlabs/post-call', handlePostCall);
+setupAPIRoutes(app);
+
+const daysAgo = (days: number) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+describe('customer memory', () => {
+  const service = new CustomerMemoryService();
+  const userService = new UserService();
+  let token: string;
+
+  const facts = () => Object.fromEntries((mockDb.customer_facts as any[]).map(fact => [fact.key, fact.value]));
+  const api = (method: 'get' | 'put' | 'delete', path: string) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', sms_responders: ['rules'] } }],
+      users: [{
+        id: 'staff', organization_id: ORG_ID, email: 'staff@bici.cc', name: 'Staff', role: 'staff', active: true,
+        password_hash: await userService.hashPassword(PASSWORD)
+      }],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', status: 'contacted', qualification_data: {} }],
+      call_sessions: [{ id: 'call-1', organization_id: ORG_ID, lead_id: 'lead-1', elevenlabs_conversation_id: 'conv-1', status: 'active', started_at: NOW.toISOString() }],
+      conversations: [],
+      conversation_summaries: [],
+      customer_facts: [],
+      customer_memory_rollups: [],
+      audit_log: []
+    });
+
+    token = (await request(app).post('/api/auth/login').send({ email: 'staff@bici.cc', password: PASSWORD })).body.token;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('finds facts in data collection answers and the customer\'s own words', () => {
+    const found = extractFacts({
+      insights: {
+        classification: 'sales', triggers: [], leadStatus: 'contacted', keyPoints: [], nextSteps: [],
+        bikePreferences: { type: 'hybrid' }, budgetRange: '1000_2000', purchaseTimeline: 'this_month', ridingExperience: 'returning_rider'
+      },
+      messages: [
+        'I have a question about hours',
+        "I ride a Trek FX 3 but I'm looking for an electric cargo bike to take the kids to school",
+        "I'm 5'10 and my frame size is medium, budget is around $3.5k",
+        'Text me after 5pm please'
+      ],
+      summary: { id: 'sum-1', summary: 'Booked a tune-up for the Trek', call_classification: 'service', created_at: daysAgo(1) }
+    });
+
+    expect(found.map(fact => [fact.key, fact.category, fact.value])).toEqual([
+      ['bike_interest', 'bike', 'hybrid bike'],
+      ['budget', 'purchase', '$1,000-2,000'],
+      ['purchase_timeline', 'purchase', 'This month'],
+      ['riding_experience', 'preference', 'Returning rider'],
+      ['bike_owned', 'bike', 'Trek FX 3'],
+      ['bike_interest', 'bike', 'electric cargo bike'],
+      ['riding_use', 'bike', 'errands and carrying kids or cargo'],
+      ['frame_size', 'fit', 'medium'],
+      ['rider_height', 'fit', '5\'10"'],
+      ['budget', 'purchase', 'About $3,500'],
+      ['contact_preference', 'preference', 'Prefers text'],
+      ['contact_time', 'preference', 'After 5pm please'],
+      ['service:sum-1', 'service', '2026-10-18: Booked a tune-up for the Trek']
+    ]);
+  });
+
+  it('remembers facts after calls and texts, and keeps staff corrections', async () => {
+    const postCall = await request(app).post('/webhooks/elevenlabs/post-call').send({
+      type: 'post_call_transcription',
+      data: {
+        conversation_id: 'conv-1',
+        agent_id: 'agent-1',
+        transcript: [
+          { role: 'agent', message: 'Thanks for calling BICI!', time_in_call_secs: 0 },
+          { role: 'user', message: 'My bike is a Specialized Sirrus and the brakes squeal. I commute on it every day.', time_in_call_secs: 4 },
+          { role: 'user', message: "I'm 180 cm, could I get it in this week?", time_in_call_secs: 12 }
+        ],
+        metadata: { phone_call: { external_number: PHONE, call_sid: 'CA1' }, start_time_unix_secs: NOW.getTime() / 1000 - 120, call_duration_secs: 90 },
+        analysis: {
+          transcript_summary: 'Brake squeal on the Sirrus; booked a brake service',
+          data_collection_results: { call_classification: { value: 'service' }, budget_range: { value: 'under_500' } }
+        }
+      }
+    });
+    expect(postCall.status).toBe(200);
+
+    const summaryId = (mockDb.conversation_summaries as any[])[0].id;
+    expect(facts()).toEqual({
+      budget: 'Under $500',
+      bike_owned: 'Specialized Sirrus',
+      riding_use: 'commuting',
+      rider_height: '180 cm',
+      [`service:${summaryId}`]: '2026-10-19: Brake squeal on the Sirrus; booked a brake service'
+    });
+    expect((mockDb.customer_facts as any[]).every(fact => fact.source === 'call' && fact.source_id === 'call-1')).toBe(true);
+
+    // A text adds to what the call taught us
+    await request(app).post('/webhooks/twilio/sms').send({ From: PHONE, To: '+16045550000', Body: 'Actually I prefer text. Budget up to $800 for a second bike', MessageSid: 'SM-in-1' });
+    expect(facts()).toEqual(expect.objectContaining({ budget: 'Up to $800', contact_preference: 'Prefers text' }));
+    expect((mockDb.customer_facts as any[]).find(fact => fact.key === 'budget')).toEqual(expect.objectContaining({ source: 'sms' }));
+
+    // Staff corrections aren't overwritten by later conversations
+    const corrected = await api('put', '/api/leads/lead-1/memory/facts/bike_owned').send({ value: 'Specialized Sirrus X 4.0' });
+    expect(corrected.status).toBe(200);
+    expect(corrected.body).toEqual(expect.objectContaining({ category: 'bike', source: 'manual', updated_by: 'staff' }));
+    await request(app).post('/webhooks/twilio/sms').send({ From: PHONE, To: '+16045550000', Body: 'I own a Giant Escape too', MessageSid: 'SM-in-2' });
+    expect(facts().bike_owned).toBe('Specialized Sirrus X 4.0');
+
+    const invalid = await api('put', '/api/leads/lead-1/memory/facts/Favourite%20Colour').send({ value: '' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([
+      'key must be lowercase letters, digits and underscores, optionally followed by :id',
+      'value must be a non-empty string of at most 300 characters',
+      'category must be one of: bike, fit, purchase, preference, service'
+    ]);
+
+    expect((await api('delete', '/api/leads/lead-1/memory/facts/rider_height')).status).toBe(200);
+    expect((await api('delete', '/api/leads/lead-1/memory/facts/rider_height')).status).toBe(404);
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({ action: 'customer_memory.fact_set', details: { key: 'bike_owned', value: 'Specialized Sirrus X 4.0' } }));
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({ action: 'customer_memory.fact_deleted', details: { key: 'rider_height' } }));
+
+    const memory = await api('get', '/api/leads/lead-1/memory?channel=sms');
+    expect(memory.status).toBe(200);
+    expect(memory.body.context.channel).toBe('sms');
+    expect(memory.body.context.text).toContain('WHAT WE KNOW ABOUT THIS CUSTOMER:\n- Rides: Specialized Sirrus X 4.0\n- Rides for: commuting\n- Budget: Up to $800');
+    expect(memory.body.context.text).toContain('- Service visit 2026-10-19: Brake squeal on the Sirrus; booked a brake service');
+    expect(memory.body.context.tokens).toBeLessThanOrEqual(customerMemoryConfig.budgets.sms);
+    expect((await api('get', '/api/leads/lead-1/memory?channel=fax')).status).toBe(400);
+  });
+
+  it('rolls older summaries up and builds context within each channel\'s budget', async () => {
+    for (let day = 9; day >= 1; day--) {
+      mockDb.conversation_summaries.push({
+        id: `sum-${day}`, organization_id: ORG_ID, lead_id: 'lead-1', summary: `Talked about option ${day}`,
+        key_points: [day % 2 ? 'Wants a test ride' : 'Asked about financing'], call_classification: 'sales', conversation_type: 'voice', created_at: daysAgo(day)
+      });
+    }
+    for (let n = 0; n < 40; n++) {
+      mockDb.conversations.push({
+        id: `msg-${n}`, organization_id: ORG_ID, lead_id: 'lead-1', sent_by: n % 2 ? 'agent' : 'user', type: 'sms',
+        content: `Message ${n}: ${'more about the bike and the weekend ride '.repeat(3)}`, timestamp: new Date(NOW.getTime() - (40 - n) * HOUR_MS).toISOString()
+      });
+    }
+
+    expect(await service.rollUpSummaries({ id: 'lead-1', organization_id: ORG_ID })).toBe(true);
+    const [rollup] = mockDb.customer_memory_rollups as any[];
+    expect(rollup).toEqual(expect.objectContaining({
+      summary_count: 6,
+      covers_from: daysAgo(9),
+      covers_to: daysAgo(4),
+      key_points: ['Asked about financing', 'Wants a test ride']
+    }));
+    expect(rollup.summary.split('\n')[0]).toBe('2026-10-15 SALES (voice): Talked about option 4');
+    // The three newest stay out until more summaries arrive
+    expect(await service.rollUpSummaries({ id: 'lead-1', organization_id: ORG_ID })).toBe(false);
+
+    const sms = await service.buildContext('lead-1', 'sms');
+    const voice = await service.buildContext('lead-1', 'voice');
+    expect(sms.tokens).toBeLessThanOrEqual(375);
+    expect(voice.tokens).toBeLessThanOrEqual(1000);
+    expect(sms.included.recent_turns).toBeLessThan(voice.included.recent_turns);
+    expect(sms.dropped.recent_turns).toBeGreaterThan(0);
+    // The newest message is always the one kept, printed last
+    expect(sms.text).toContain('Message 39');
+    expect(sms.text.indexOf('Message 38')).toBeLessThan(sms.text.indexOf('Message 39'));
+    expect(voice.text).toContain('RECENT CONVERSATIONS (newest first):\n- 1d ago, SALES (voice): Talked about option 1');
+    expect(await service.buildContext('lead-1', 'sms')).toEqual(sms);
+
+    // Cached per channel until the lead's conversations change
+    expect(await buildConversationContext('lead-1', 'sms')).toBe(sms.text);
+    expect(await buildConversationContext('lead-1', 'voice')).toBe(voice.text);
+
+    mockDb.leads.push({ id: 'lead-new', organization_id: ORG_ID, phone_number: '+16045559999', status: 'new' });
+    expect(await buildConversationContext('lead-new', 'sms')).toBe('This is the first interaction with this customer.');
+  });
+
+  it('fills sections by priority, whole entries only', () => {
+    const { text, included, dropped } = assembleContext([
+      { name: 'facts', heading: 'FACTS:', position: 0, entries: ['- Rides: Trek', '- Size: M'] },
+      { name: 'turns', heading: 'TURNS:', position: 2, chronological: true, entries: ['newest', 'x'.repeat(200), 'oldest'] },
+      { name: 'stats', heading: 'STATS:', position: 1, entries: ['- 3 calls'] }
+    ], 40, 'END');
+
+    expect(included).toEqual({ facts: 2, turns: 1, stats: 1 });
+    expect(dropped).toEqual({ turns: 2 });
+    expect(text).toBe('FACTS:\n- Rides: Trek\n- Size: M\n\nSTATS:\n- 3 calls\n\nTURNS:\nnewest\n\nEND');
+    expect(estimateTokens(text)).toBeLessThanOrEqual(40);
+  });
+});
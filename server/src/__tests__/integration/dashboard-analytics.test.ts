@@ -0,0 +1,117 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn() } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb } from '../helpers/supabase-mock';
+import { AnalyticsService } from '../../services/analytics.service';
+import { LeadService } from '../../services/lead.service';
+import { ConversationService } from '../../services/conversation.service';
+import { redisService } from '../../services/redis.service';
+
+const ORG_ID = 'org-1';
+const OTHER_ORG_ID = 'org-2';
+
+function lead(id: string, status: string, created_at: string, organization_id: string = ORG_ID) {
+  return { id, organization_id, status, created_at, phone_number: `+1604555${id.slice(-4)}`, phone_number_normalized: `1604555${id.slice(-4)}` };
+}
+
+function sms(id: string, delivery_status: string, timestamp: string = '2026-10-10T18:00:00Z') {
+  return { id, organization_id: ORG_ID, type: 'sms', sent_by: 'agent', timestamp, metadata: { delivery_status } };
+}
+
+describe('dashboard analytics', () => {
+  const analytics = new AnalyticsService();
+  const october = analytics.resolveRange({ from: '2026-10-01', to: '2026-10-15' });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    resetMockDb({
+      leads: [
+        lead('lead-0001', 'new', '2026-10-02T10:00:00Z'),
+        lead('lead-0002', 'hot', '2026-10-05T10:00:00Z'),
+        lead('lead-0003', 'customer', '2026-10-06T10:00:00Z'),
+        lead('lead-0004', 'customer', '2026-10-15T22:00:00Z'),
+        lead('lead-0005', 'hot', '2026-09-20T10:00:00Z'),
+        lead('lead-0006', 'customer', '2026-10-03T10:00:00Z', OTHER_ORG_ID)
+      ],
+      call_sessions: [
+        { id: 'call-1', organization_id: ORG_ID, status: 'completed', started_at: '2026-10-02T10:00:00Z', classification: 'sales', duration_seconds: 120 },
+        { id: 'call-2', organization_id: ORG_ID, status: 'completed', started_at: '2026-10-05T10:00:00Z', classification: 'sales', duration_seconds: 300 },
+        { id: 'call-3', organization_id: ORG_ID, status: 'completed', started_at: '2026-10-06T10:00:00Z', classification: 'service', duration_seconds: null },
+        { id: 'call-4', organization_id: ORG_ID, status: 'failed', started_at: '2026-10-07T10:00:00Z', classification: null },
+        { id: 'call-5', organization_id: ORG_ID, status: 'completed', started_at: '2026-09-01T10:00:00Z', classification: 'support', duration_seconds: 900 }
+      ],
+      conversations: [
+        sms('sms-1', 'delivered'),
+        sms('sms-2', 'delivered'),
+        sms('sms-3', 'undelivered'),
+        sms('sms-4', 'sent'),
+        sms('sms-5', 'delivered', '2026-09-01T10:00:00Z'),
+        { id: 'in-1', organization_id: ORG_ID, type: 'sms', sent_by: 'user', timestamp: '2026-10-10T18:05:00Z', metadata: {} },
+        { id: 'voice-1', organization_id: ORG_ID, type: 'voice', sent_by: 'agent', timestamp: '2026-10-02T10:01:00Z', metadata: {} }
+      ],
+      human_control_sessions: []
+    });
+  });
+
+  it('breaks down leads, calls, SMS and conversion for the range', async () => {
+    const stats = await analytics.getDashboardStats(ORG_ID, october);
+
+    expect(stats.total_leads).toBe(4);
+    expect(stats.leads_by_status).toEqual({ new: 1, contacted: 0, qualified: 0, hot: 1, customer: 2, closed: 0 });
+    expect(stats.hot_leads).toBe(1);
+    expect(stats.conversion).toEqual({ leads: 4, customers: 2, rate: 0.5 });
+
+    expect(stats.total_calls).toBe(4);
+    expect(stats.calls_by_classification).toEqual({ sales: 2, support: 0, service: 1, general: 0, unclassified: 1 });
+    expect(stats.average_call_duration_seconds).toBe(210);
+
+    expect(stats.sms).toEqual({ sent: 4, delivered: 2, failed: 1, delivery_rate: 0.667 });
+    expect(stats.total_conversations).toBe(6);
+  });
+
+  it('validates the date range', () => {
+    expect(analytics.validateRange({ from: 'yesterday' })).toEqual(['from must be an ISO date']);
+    expect(analytics.validateRange({ from: '2026-10-15', to: '2026-10-01' })).toEqual(['from must be before to']);
+    expect(analytics.validateRange({ from: '2024-01-01', to: '2026-01-01' })).toEqual(['range cannot be longer than 366 days']);
+    expect(analytics.validateRange({ days: '0' })).toEqual(['days must be a positive number']);
+    expect(analytics.validateRange({ days: '7' })).toEqual([]);
+    expect(analytics.resolveRange({ days: '7' }).key).toBe('days:7');
+    expect(october.to).toBe('2026-10-15T23:59:59.999Z');
+  });
+
+  it('serves cached stats per range and caches fresh ones', async () => {
+    const cached = { total_leads: 99 };
+    const get = jest.spyOn(redisService, 'getCachedDashboardStats').mockResolvedValueOnce(cached).mockResolvedValue(null);
+    const set = jest.spyOn(redisService, 'cacheDashboardStats').mockResolvedValue(true);
+
+    expect(await analytics.getDashboardStats(ORG_ID, october)).toBe(cached);
+    expect(get).toHaveBeenCalledWith(ORG_ID, october.key);
+    expect(set).not.toHaveBeenCalled();
+
+    const fresh = await analytics.getDashboardStats(ORG_ID, october);
+    expect(set).toHaveBeenCalledWith(ORG_ID, fresh, october.key);
+  });
+
+  it('invalidates the dashboard cache on lead and conversation writes', async () => {
+    const invalidate = jest.spyOn(redisService, 'invalidateDashboardCache').mockResolvedValue(true);
+
+    await new LeadService().findOrCreateLead('+16045559999', ORG_ID);
+    expect(invalidate).toHaveBeenLastCalledWith(ORG_ID);
+
+    invalidate.mockClear();
+    await new LeadService().updateLead('lead-0001', { status: 'contacted' });
+    expect(invalidate).toHaveBeenCalledWith(ORG_ID);
+
+    invalidate.mockClear();
+    await new ConversationService().storeConversation({ organization_id: ORG_ID, lead_id: 'lead-0001', content: 'Hi', sent_by: 'user', type: 'sms' });
+    expect(invalidate).toHaveBeenCalledWith(ORG_ID);
+  });
+});
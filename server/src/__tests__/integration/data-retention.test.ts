@@ -0,0 +1,311 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import winston from 'winston';
+import { Writable } from 'stream';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { broadcastToClients } from '../../services/realtime.service';
+import { RetentionService } from '../../services/retention.service';
+import { UserService } from '../../services/user.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { redisService } from '../../services/redis.service';
+import { retentionConfig } from '../../config/retention.config';
+import { logger } from '../../utils/logger';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const OTHER_PHONE = '+16045557777';
+const PASSWORD = 'correct horse battery';
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+const daysAgo = (days: number) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+setupAPIRoutes(app);
+
+describe('data retention', () => {
+  const userService = new UserService();
+  let ownerToken: string;
+  let staffToken: string;
+
+  const api = (method: 'get' | 'post', path: string, token: string = ownerToken) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`);
+  const rows = (table: string) => (mockDb[table] || []) as any[];
+  const audits = (action: string) => rows('audit_log').filter(row => row.action === action);
+
+  beforeAll(() => {
+    registerJobHandlers();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+    (broadcastToClients as jest.Mock).mockClear();
+
+    const passwordHash = await userService.hashPassword(PASSWORD);
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', sms_responders: ['rules'] } }],
+      users: [
+        { id: 'owner', organization_id: ORG_ID, email: 'owner@bici.cc', name: 'Owner', role: 'owner', active: true, password_hash: passwordHash },
+        { id: 'staff', organization_id: ORG_ID, email: 'staff@bici.cc', name: 'Staff', role: 'staff', active: true, password_hash: passwordHash }
+      ],
+      leads: [
+        { id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', email: 'sam@example.com', status: 'contacted', qualification_data: {}, updated_at: daysAgo(1) },
+        { id: 'lead-2', organization_id: ORG_ID, phone_number: OTHER_PHONE, phone_number_normalized: '16045557777', customer_name: 'Alex', status: 'new', qualification_data: {}, updated_at: daysAgo(1) }
+      ],
+      conversations: [],
+      audit_log: []
+    });
+
+    ownerToken = (await request(app).post('/api/auth/login').send({ email: 'owner@bici.cc', password: PASSWORD })).body.token;
+    staffToken = (await request(app).post('/api/auth/login').send({ email: 'staff@bici.cc', password: PASSWORD })).body.token;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('masks card numbers, emails and addresses in stored messages and in log output', async () => {
+    await request(app).post('/webhooks/twilio/sms').send({
+      From: PHONE,
+      To: '+16045550000',
+      Body: 'Card is 4111 1111 1111 1111, email sam@example.com, ship to 1234 W 4th Avenue, is the FX 2 $800?',
+      MessageSid: 'SM-in-1'
+    });
+
+    const inbound = rows('conversations').find(row => row.sent_by === 'user');
+    expect(inbound.content).toBe('Card is [card], email [email], ship to [address], is the FX 2 $800?');
+
+    const lines: string[] = [];
+    const transport = new winston.transports.Stream({
+      stream: new Writable({ write(chunk, _encoding, callback) { lines.push(chunk.toString()); callback(); } }),
+      format: winston.format.json()
+    });
+    logger.add(transport);
+    try {
+      const metadata = { lead: { phone_number: PHONE, email: 'sam@example.com' }, card: '4111111111111111' };
+      logger.error(`Failed to send to ${PHONE}`, metadata);
+
+      const [line] = lines.map(text => JSON.parse(text));
+      expect(line.message).toBe('Failed to send to +1******1234');
+      expect(line.lead).toEqual({ phone_number: '+1******1234', email: '[email]' });
+      expect(line.card).toBe('[card]');
+      // The caller's object is left as it was
+      expect(metadata.lead.phone_number).toBe(PHONE);
+    } finally {
+      logger.remove(transport);
+    }
+  });
+
+  it('erases everything held for a phone number and reports what was removed', async () => {
+    const leadRow = (table: string, id: string, leadId: string, extra: Record<string, any> = {}) =>
+      ({ id, organization_id: ORG_ID, lead_id: leadId, created_at: daysAgo(3), ...extra });
+    Object.assign(mockDb, {
+      conversations: [
+        leadRow('conversations', 'conv-1', 'lead-1', { content: 'Hi', sent_by: 'user', type: 'sms', metadata: { message_sid: 'SM-in-1' } }),
+        leadRow('conversations', 'conv-2', 'lead-2', { content: 'Hello', sent_by: 'user', type: 'sms', metadata: { message_sid: 'SM-in-2' } })
+      ],
+      conversation_summaries: [
+        leadRow('conversation_summaries', 'sum-1', 'lead-1', { phone_number: PHONE, summary: 'Asked about the FX 2' }),
+        leadRow('conversation_summaries', 'sum-2', null as any, { phone_number: PHONE, summary: 'Web call' }),
+        leadRow('conversation_summaries', 'sum-3', 'lead-2', { phone_number: OTHER_PHONE, summary: 'Asked about hours' })
+      ],
+      call_sessions: [
+        leadRow('call_sessions', 'call-1', 'lead-1', { elevenlabs_conversation_id: 'el-conv-1', status: 'completed', duration_seconds: 95, metadata: { transcript: 'user: hi' } }),
+        leadRow('call_sessions', 'call-2', 'lead-2', { elevenlabs_conversation_id: 'el-conv-2', status: 'completed', duration_seconds: 40, metadata: { transcript: 'user: hello' } })
+      ],
+      appointments: [leadRow('appointments', 'appt-1', 'lead-1', { scheduled_at: NOW.toISOString(), status: 'scheduled' })],
+      sms_automation_log: [
+        { id: 'log-1', organization_id: ORG_ID, phone_number: PHONE, message_content: 'See you Saturday', message_sid: 'SM-out-1', sent_at: daysAgo(2) },
+        { id: 'log-2', organization_id: ORG_ID, phone_number: OTHER_PHONE, message_content: 'Open till 6', message_sid: 'SM-out-2', sent_at: daysAgo(2) }
+      ],
+      sms_consent_log: [leadRow('sms_consent_log', 'consent-1', 'lead-1', { phone_number: PHONE, action: 'opt_out', source: 'sms_keyword' })],
+      lead_score_history: [leadRow('lead_score_history', 'score-1', 'lead-1', { score: 40, status: 'contacted', source: 'sms' })],
+      customer_facts: [leadRow('customer_facts', 'fact-1', 'lead-1', { key: 'bike_owned', category: 'bike', value: 'Giant Escape' })],
+      customer_memory_rollups: [{ lead_id: 'lead-1', organization_id: ORG_ID, summary: 'Bought a helmet' }],
+      campaign_leads: [leadRow('campaign_leads', 'cl-1', 'lead-1', { campaign_id: 'camp-1', status: 'pending' })],
+      human_control_sessions: [leadRow('human_control_sessions', 'hc-1', 'lead-1', { agent_name: 'Staff', notes: 'Wants a fitting' })],
+      lead_merges: [leadRow('lead_merges', 'merge-1', 'lead-2', { merged_lead_id: 'lead-old', merged_lead: { id: 'lead-old', phone_number_normalized: '16045551234' } })],
+      webhook_events: [
+        { id: 'evt-1', organization_id: ORG_ID, source: 'elevenlabs', endpoint: 'post-call', external_id: 'el-conv-1', payload: {} },
+        { id: 'evt-2', organization_id: ORG_ID, source: 'twilio', endpoint: 'sms', external_id: 'SM-in-1', payload: { From: PHONE } },
+        { id: 'evt-3', organization_id: ORG_ID, source: 'twilio', endpoint: 'sms/status', external_id: 'SM-out-1', payload: { MessageStatus: 'delivered' } },
+        { id: 'evt-4', organization_id: ORG_ID, source: 'twilio', endpoint: 'sms', external_id: 'SM-lost', payload: { From: PHONE } },
+        { id: 'evt-5', organization_id: ORG_ID, source: 'twilio', endpoint: 'sms', external_id: 'SM-in-2', payload: { From: OTHER_PHONE } }
+      ],
+      integration_webhook_deliveries: [
+        { id: 'del-1', organization_id: ORG_ID, event: 'lead.created', payload: { data: { lead: { id: 'lead-1', phone_number: PHONE } } } },
+        { id: 'del-2', organization_id: ORG_ID, event: 'human_control.started', payload: { data: { lead_id: 'lead-1' } } },
+        { id: 'del-3', organization_id: ORG_ID, event: 'lead.created', payload: { data: { lead: { id: 'lead-2', phone_number: OTHER_PHONE } } } }
+      ],
+      // Entries written before audit details were masked
+      audit_log: [
+        { id: 'audit-1', organization_id: ORG_ID, user_id: 'staff', action: 'email.sent', target_type: 'lead', target_id: 'lead-1', details: { to: 'sam@example.com', message: 'Your FX 2 is ready' } },
+        { id: 'audit-2', organization_id: ORG_ID, user_id: 'staff', action: 'sms.sent', target_type: 'phone_number', target_id: PHONE, details: { message: 'See you Saturday' } },
+        { id: 'audit-3', organization_id: ORG_ID, user_id: 'owner', action: 'lead.merged', target_type: 'lead', target_id: 'lead-2', details: { merged_lead_id: 'lead-old', merged_phone_number: PHONE } },
+        { id: 'audit-4', organization_id: ORG_ID, user_id: 'staff', action: 'lead.status_overridden', target_type: 'lead', target_id: 'lead-2', details: { from: 'new', to: 'contacted' } }
+      ]
+    });
+
+    // Live state in Redis (memory here): a queued follow-up, an untied text, the handoff queue
+    await jobQueue.schedule({ type: 'sms.send', payload: { to: PHONE, message: 'How was the ride?', organizationId: ORG_ID }, leadId: 'lead-1', organizationId: ORG_ID, delayMs: 60 * 60 * 1000 });
+    await jobQueue.schedule({ type: 'sms.send', payload: { to: PHONE, message: 'Reminder', organizationId: ORG_ID }, organizationId: ORG_ID, delayMs: 60 * 60 * 1000 });
+    const otherJob = await jobQueue.schedule({ type: 'sms.send', payload: { to: OTHER_PHONE, message: 'Hi Alex', organizationId: ORG_ID }, leadId: 'lead-2', organizationId: ORG_ID, delayMs: 60 * 60 * 1000 });
+    await redisService.addEscalation(ORG_ID, 'lead-1', { lead_id: 'lead-1', reason: 'asked_for_human' });
+    await redisService.pushHumanQueueMessage('lead-1', { message: 'Anyone there?' });
+
+    expect((await api('post', '/api/privacy/erasure', staffToken).send({ phone_number: PHONE })).status).toBe(403);
+    expect((await api('post', '/api/privacy/erasure').send({ phone_number: 'web-1234' })).status).toBe(400);
+
+    const response = await api('post', '/api/privacy/erasure').send({ phone_number: '(604) 555-1234' });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      organization_id: ORG_ID,
+      phone_number: '+1******1234',
+      lead_ids: ['lead-1'],
+      deleted: {
+        conversations: 1,
+        conversation_summaries: 2,
+        human_control_sessions: 1,
+        appointments: 1,
+        sms_automation_log: 1,
+        sms_consent_log: 1,
+        lead_score_history: 1,
+        customer_facts: 1,
+        customer_memory_rollups: 1,
+        campaign_leads: 1,
+        lead_merges: 1,
+        webhook_events: 4,
+        integration_webhook_deliveries: 2,
+        leads: 1
+      },
+      anonymized: { call_sessions: 1, audit_log: 3 },
+      cache: { leads_cleared: 1, jobs_cancelled: 2 },
+      erased_at: NOW.toISOString()
+    });
+
+    // Nothing about the customer is left; the other customer is untouched
+    const { audit_log, ...tables } = mockDb;
+    const remaining = JSON.stringify(tables);
+    expect(remaining).not.toContain('lead-1');
+    expect(remaining).not.toContain('6045551234');
+    expect(rows('leads').map(row => row.id)).toEqual(['lead-2']);
+    expect(rows('conversations').map(row => row.id)).toEqual(['conv-2']);
+    expect(rows('webhook_events').map(row => row.id)).toEqual(['evt-5']);
+    expect(rows('integration_webhook_deliveries').map(row => row.id)).toEqual(['del-3']);
+    expect(rows('call_sessions')).toEqual([
+      expect.objectContaining({ id: 'call-1', lead_id: null, status: 'completed', duration_seconds: 95, metadata: {} }),
+      expect.objectContaining({ id: 'call-2', lead_id: 'lead-2', metadata: { transcript: 'user: hello' } })
+    ]);
+
+    expect(await redisService.getEscalation(ORG_ID, 'lead-1')).toBeNull();
+    expect(await redisService.countHumanQueueMessages('lead-1')).toBe(0);
+    expect((await jobQueue.listPending({ organizationId: ORG_ID })).map(job => job.id)).toEqual([otherJob.id]);
+    expect(broadcastToClients).toHaveBeenCalledWith({ type: 'lead_erased', organization_id: ORG_ID, lead_id: 'lead-1' });
+
+    expect(JSON.stringify(audit_log)).not.toContain('6045551234');
+    expect(JSON.stringify(audit_log)).not.toContain('sam@example.com');
+    expect(JSON.stringify(audit_log)).not.toContain('See you Saturday');
+    expect(rows('audit_log').slice(0, 4)).toEqual([
+      expect.objectContaining({ id: 'audit-1', action: 'email.sent', target_id: 'lead-1', details: { anonymized: true } }),
+      expect.objectContaining({ id: 'audit-2', action: 'sms.sent', target_id: '+1******1234', details: { anonymized: true } }),
+      expect.objectContaining({ id: 'audit-3', action: 'lead.merged', target_id: 'lead-2', details: { anonymized: true } }),
+      expect.objectContaining({ id: 'audit-4', details: { from: 'new', to: 'contacted' } })
+    ]);
+    expect(audits('customer.erased')).toEqual([expect.objectContaining({
+      user_id: 'owner',
+      action: 'customer.erased',
+      target_type: 'customer',
+      target_id: '+1******1234',
+      details: expect.objectContaining({ lead_ids: ['lead-1'], phone_number: '+1******1234' })
+    })]);
+
+    await jobQueue.cancel(otherJob.id);
+  });
+
+  it('purges data older than its window once a day', async () => {
+    Object.assign(mockDb, {
+      conversations: [
+        { id: 'conv-old', organization_id: ORG_ID, lead_id: 'lead-2', content: 'Old', timestamp: daysAgo(800) },
+        { id: 'conv-new', organization_id: ORG_ID, lead_id: 'lead-2', content: 'New', timestamp: daysAgo(10) }
+      ],
+      call_sessions: [
+        { id: 'call-old', organization_id: ORG_ID, lead_id: 'lead-2', started_at: daysAgo(400), duration_seconds: 60, metadata: { transcript: 'user: hi' } },
+        { id: 'call-new', organization_id: ORG_ID, lead_id: 'lead-2', started_at: daysAgo(10), duration_seconds: 60, metadata: { transcript: 'user: hello' } }
+      ],
+      webhook_events: [
+        { id: 'evt-old', organization_id: ORG_ID, received_at: daysAgo(40), payload: {} },
+        { id: 'evt-unclaimed', organization_id: null, received_at: daysAgo(40), payload: {} },
+        { id: 'evt-new', organization_id: ORG_ID, received_at: daysAgo(5), payload: {} }
+      ],
+      sms_automation_log: [{ id: 'log-old', organization_id: ORG_ID, phone_number: OTHER_PHONE, sent_at: daysAgo(400) }]
+    });
+
+    const retentionService = new RetentionService();
+    await retentionService.schedulePurge();
+    await retentionService.schedulePurge();
+
+    const [job] = await jobQueue.listPending({ type: 'retention.purge' });
+    expect(await jobQueue.listPending({ type: 'retention.purge' })).toHaveLength(1);
+    expect(job.run_at).toBe('2026-10-20T10:00:00.000Z');
+
+    jest.setSystemTime(new Date(job.run_at));
+    await jobQueue.processDueJobs();
+
+    expect(rows('conversations').map(row => row.id)).toEqual(['conv-new']);
+    expect(rows('webhook_events').map(row => row.id)).toEqual(['evt-new']);
+    expect(rows('sms_automation_log')).toEqual([]);
+    // The call stays for analytics without its transcript
+    expect(rows('call_sessions')).toEqual([
+      expect.objectContaining({ id: 'call-old', duration_seconds: 60, metadata: {}, transcript: null }),
+      expect.objectContaining({ id: 'call-new', metadata: { transcript: 'user: hello' } })
+    ]);
+    expect(audits('retention.purged')).toEqual([expect.objectContaining({
+      user_id: null,
+      action: 'retention.purged',
+      details: expect.objectContaining({
+        purged: expect.objectContaining({ conversations: 1, call_transcripts: 1, webhook_events: 1, sms_automation_log: 1 })
+      })
+    })]);
+
+    // Tomorrow's run is already queued
+    const [next] = await jobQueue.listPending({ type: 'retention.purge' });
+    expect(next.run_at).toBe('2026-10-21T10:00:00.000Z');
+
+    // The clock moved past the login's expiry
+    ownerToken = (await request(app).post('/api/auth/login').send({ email: 'owner@bici.cc', password: PASSWORD })).body.token;
+    const policy = await api('get', '/api/privacy/retention');
+    expect(policy.status).toBe(200);
+    expect(policy.body).toMatchObject({
+      windows: { conversations: 730, call_transcripts: 365, webhook_events: 30, inactive_leads: null },
+      redact_transcripts: true,
+      last_purge: { action: 'retention.purged' }
+    });
+
+    // Leads untouched for longer than inactive_leads are erased when it is set
+    retentionConfig.windows.inactive_leads = 365;
+    try {
+      (mockDb.leads as any[]).find(row => row.id === 'lead-2').updated_at = daysAgo(400);
+      const manual = await api('post', '/api/privacy/retention/purge');
+      expect(manual.status).toBe(200);
+      expect(manual.body.purged).toMatchObject({ conversations: 0, inactive_leads: 1 });
+      expect(rows('leads').map(row => row.id)).toEqual(['lead-1']);
+      expect(rows('conversations')).toEqual([]);
+      expect(audits('retention.purged')[1]).toEqual(expect.objectContaining({ user_id: 'owner', action: 'retention.purged' }));
+    } finally {
+      retentionConfig.windows.inactive_leads = null;
+      await jobQueue.cancel(next.id);
+    }
+  });
+});
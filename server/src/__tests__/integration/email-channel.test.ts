@@ -0,0 +1,368 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import crypto from 'crypto';
+import net from 'net';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { captureRawBody, verifyEmailWebhook } from '../../middleware/webhookSignature';
+import { handleInboundEmail } from '../../webhooks/email.webhook';
+import { emailConfig } from '../../config/email.config';
+import { broadcastToClients } from '../../services/realtime.service';
+import { HumanControlService } from '../../services/humanControl.service';
+import { UserService } from '../../services/user.service';
+import { EnhancedSMSAutomationService } from '../../services/enhanced-sms.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { AutomationRule, CallSession } from '../../types';
+
+const ORG_ID = 'org-1';
+const SECRET = 'email-webhook-secret';
+const PASSWORD = 'correct horse battery';
+const HOURS = { monday: '08:00-18:00', tuesday: '08:00-18:00', wednesday: '08:00-18:00', thursday: '08:00-18:00', friday: '08:00-18:00', saturday: '09:00-16:30', sunday: '09:00-16:30' };
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.post('/webhooks/email/inbound', verifyEmailWebhook, handleInboundEmail);
+setupAPIRoutes(app);
+
+const sign = (raw: string) => crypto.createHmac('sha256', SECRET).update(raw).digest('hex');
+
+const inbound = (payload: Record<string, any>, signature?: string) => {
+  const raw = JSON.stringify(payload);
+  return request(app)
+    .post('/webhooks/email/inbound')
+    .set('Content-Type', 'application/json')
+    .set('X-Email-Signature', signature ?? sign(raw))
+    .send(raw);
+};
+
+interface SunkMessage {
+  from: string;
+  to: string[];
+  data: string;
+}
+
+// Just enough SMTP to accept what nodemailer sends, without STARTTLS or AUTH
+function startSmtpSink(messages: SunkMessage[]): Promise<net.Server> {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let current: SunkMessage = { from: '', to: [], data: '' };
+    let inData = false;
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end < 0) return;
+          current.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          messages.push(current);
+          current = { from: '', to: [], data: '' };
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK\r\n');
+          continue;
+        }
+        const newline = buffer.indexOf('\r\n');
+        if (newline < 0) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') socket.write('250-sink\r\n250 OK\r\n');
+        else if (command === 'MAIL') { current.from = line.replace(/^MAIL FROM:<([^>]*)>.*$/i, '$1'); socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { current.to.push(line.replace(/^RCPT TO:<([^>]*)>.*$/i, '$1')); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); return; }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Headers unfolded, bodies with quoted-printable soft breaks and escapes decoded
+function readable(data: string): string {
+  return data
+    .replace(/\r\n[ \t]+/g, ' ')
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function mailHeader(data: string, name: string): string | undefined {
+  const match = readable(data).match(new RegExp(`^${name}: (.*)$`, 'im'));
+  return match?.[1].trim();
+}
+
+describe('email channel', () => {
+  const humanControl = new HumanControlService();
+  const userService = new UserService();
+  let smtp: net.Server;
+  let sunk: SunkMessage[];
+  let passwordHash: string;
+  let token: string;
+
+  const rows = () => mockDb.conversations as any[];
+  const api = (method: 'get' | 'post' | 'patch', path: string) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    sunk = [];
+    smtp = await startSmtpSink(sunk);
+    emailConfig.smtp.host = '127.0.0.1';
+    emailConfig.smtp.port = (smtp.address() as net.AddressInfo).port;
+    emailConfig.from = 'service@bici.cc';
+    process.env.EMAIL_WEBHOOK_SECRET = SECRET;
+    registerJobHandlers();
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  afterAll(async () => {
+    delete process.env.EMAIL_WEBHOOK_SECRET;
+    await new Promise(resolve => smtp.close(resolve));
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    sunk.length = 0;
+    mockCreateMessage.mockClear();
+    (broadcastToClients as jest.Mock).mockClear();
+
+    resetMockDb({
+      organizations: [{
+        id: ORG_ID,
+        name: 'BICI',
+        phone_number: '+16045550000',
+        settings: {
+          name: 'BICI',
+          email: 'Info@bici.cc',
+          address: '1497 Adanac Street, Vancouver, BC',
+          phone: '+16045559000',
+          timezone: 'America/Vancouver',
+          business_hours: HOURS,
+          services: ['Tune-ups', 'Flat repairs'],
+          sms_responders: ['rules']
+        }
+      }],
+      users: [{ id: 'staff', organization_id: ORG_ID, email: 'staff@bici.cc', name: 'Staff', role: 'staff', active: true, password_hash: passwordHash }],
+      leads: [{
+        id: 'lead-1',
+        organization_id: ORG_ID,
+        phone_number: '+16045551234',
+        phone_number_normalized: '16045551234',
+        email: 'sam@example.com',
+        customer_name: 'Sam',
+        status: 'contacted',
+        created_at: '2026-10-01T00:00:00Z'
+      }],
+      conversations: [],
+      human_control_sessions: [],
+      sms_automation_log: [],
+      sms_consent_log: [],
+      audit_log: []
+    });
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'staff@bici.cc', password: PASSWORD });
+    token = res.body.token;
+  });
+
+  afterEach(async () => {
+    // Sessions and the queue live in the shared Redis fallback, not the mock DB
+    await humanControl.releaseConversation('lead-1', 'cleared');
+    await humanControl.dismissEscalation(ORG_ID, 'lead-1');
+    await humanControl.takeQueuedMessages('lead-1');
+    jest.useRealTimers();
+  });
+
+  it('rejects unsigned email and answers a new sender by email, threaded onto their message', async () => {
+    const payload = {
+      from: 'Jo Park <Jo@Example.com>',
+      to: 'BICI <info@bici.cc>',
+      subject: 'Hours',
+      text: 'What are your hours today?\n\nOn Fri, Oct 16, 2026 at 9:00 AM BICI <info@bici.cc> wrote:\n> Thanks for stopping by!',
+      message_id: '<m1@example.com>'
+    };
+
+    const unsigned = await request(app).post('/webhooks/email/inbound').send(payload);
+    expect(unsigned.status).toBe(403);
+    const forged = await inbound(payload, sign('{}'));
+    expect(forged.status).toBe(403);
+
+    const res = await inbound(payload);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'processed' });
+
+    const lead = (mockDb.leads as any[]).find(row => row.email === 'jo@example.com');
+    expect(lead).toEqual(expect.objectContaining({
+      customer_name: 'Jo Park',
+      phone_number: expect.stringMatching(/^email-/),
+      qualification_data: expect.objectContaining({ contact_preference: 'email' })
+    }));
+
+    const [received, reply] = rows();
+    expect(received).toEqual(expect.objectContaining({
+      lead_id: lead.id,
+      type: 'email',
+      sent_by: 'user',
+      content: 'What are your hours today?'
+    }));
+    expect(received.metadata).toEqual(expect.objectContaining({ email_message_id: '<m1@example.com>', subject: 'Hours', responder: 'rules' }));
+    expect(reply).toEqual(expect.objectContaining({ lead_id: lead.id, type: 'email', sent_by: 'agent' }));
+    expect(reply.content).toContain("We're open now. Today's hours: 08:00 - 18:00.");
+    expect(reply.metadata).toEqual(expect.objectContaining({ responder: 'rules', in_reply_to: '<m1@example.com>', subject: 'Re: Hours', to: 'jo@example.com' }));
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+
+    expect(sunk).toHaveLength(1);
+    expect(sunk[0].to).toEqual(['jo@example.com']);
+    expect(sunk[0].from).toBe('service@bici.cc');
+    expect(mailHeader(sunk[0].data, 'Subject')).toBe('Re: Hours');
+    expect(mailHeader(sunk[0].data, 'In-Reply-To')).toBe('<m1@example.com>');
+    expect(mailHeader(sunk[0].data, 'References')).toBe('<m1@example.com>');
+    expect(readable(sunk[0].data)).toContain('Content-Type: text/html');
+    expect(readable(sunk[0].data)).toContain('BICI &middot; 1497 Adanac Street, Vancouver, BC &middot; +16045559000');
+
+    // A replayed delivery is refused; a retry with the same Message-ID is stored once
+    expect((await inbound(payload)).status).toBe(409);
+    const retry = await inbound({ ...payload, timestamp: 'retry' });
+    expect(retry.body).toEqual({ status: 'duplicate' });
+    expect(rows()).toHaveLength(2);
+    expect(sunk).toHaveLength(1);
+  });
+
+  it('hands an emailing customer to a person and queues what they send next', async () => {
+    const first = await inbound({
+      from: 'SAM@example.com',
+      to: 'info@bici.cc',
+      subject: 'Wheel truing',
+      html: '<p>Can I talk to a real person please?</p>',
+      message_id: '<h1@example.com>'
+    });
+    expect(first.body).toEqual({ status: 'queued_for_human' });
+    expect(rows()[0]).toEqual(expect.objectContaining({ lead_id: 'lead-1', content: 'Can I talk to a real person please?' }));
+    expect(await humanControl.isWaitingForHuman(ORG_ID, 'lead-1')).toBe(true);
+
+    expect(sunk).toHaveLength(1);
+    expect(readable(sunk[0].data)).toContain("They'll reply to this email");
+    expect(mailHeader(sunk[0].data, 'Subject')).toBe('Re: Wheel truing');
+
+    jest.setSystemTime(NOW.getTime() + 60 * 1000);
+    const second = await inbound({
+      from: 'sam@example.com',
+      to: 'info@bici.cc',
+      subject: 'Re: Wheel truing',
+      text: 'It wobbles on the back.',
+      message_id: '<h2@example.com>'
+    });
+    expect(second.body).toEqual({ status: 'queued_for_human' });
+    expect(sunk).toHaveLength(1);
+    expect(broadcastToClients).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'email_received_human_queue',
+      lead_id: 'lead-1',
+      subject: 'Re: Wheel truing',
+      assigned: false
+    }));
+
+    // Staff answer by email; the reply threads onto the latest message
+    expect((await api('post', '/api/human-control/claim').send({ leadId: 'lead-1' })).status).toBe(200);
+    const sent = await api('post', '/api/human-control/send-message')
+      .send({ leadId: 'lead-1', message: 'We can true it today.', phoneNumber: '+16045551234', channel: 'email' });
+    expect(sent.status).toBe(200);
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+    expect(sunk).toHaveLength(2);
+    expect(mailHeader(sunk[1].data, 'In-Reply-To')).toBe('<h2@example.com>');
+    expect(rows().filter(row => row.sent_by === 'human_agent')).toEqual([
+      expect.objectContaining({ type: 'email', content: 'We can true it today.' })
+    ]);
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      action: 'human_control.message_sent',
+      details: { channel: 'email' }
+    }));
+
+    const badChannel = await api('post', '/api/human-control/send-message')
+      .send({ leadId: 'lead-1', message: 'Hi', phoneNumber: '+16045551234', channel: 'fax' });
+    expect(badChannel.status).toBe(400);
+  });
+
+  it('sends automation follow-ups by email to leads who prefer it', async () => {
+    const hoursRule: AutomationRule = {
+      id: 'rule-store_hours',
+      organization_id: ORG_ID,
+      name: 'store_hours',
+      enabled: true,
+      match: 'any',
+      conditions: [{ field: 'triggers', operator: 'contains', value: ['asked_hours'] }],
+      template: 'Hi {{customer_name}}, {{store_name}} is {{store_status}}!',
+      delay_minutes: 0,
+      priority: 0,
+      cooldown_minutes: 60,
+      created_at: NOW.toISOString(),
+      updated_at: NOW.toISOString()
+    };
+    mockDb.automation_rules = [hoursRule];
+    (mockDb.leads as any[])[0].qualification_data = { contact_preference: 'email' };
+
+    const session: CallSession = { id: 'session-1', organization_id: ORG_ID, lead_id: 'lead-1', status: 'completed', started_at: NOW };
+    await new EnhancedSMSAutomationService().triggerSmartAutomation(session, {
+      classification: 'general',
+      triggers: ['asked_hours'],
+      leadStatus: 'contacted',
+      keyPoints: [],
+      nextSteps: []
+    });
+
+    const pending = await jobQueue.listPending({ leadId: 'lead-1' });
+    expect(pending.filter(job => job.type === 'email.send')).toHaveLength(1);
+    expect(pending.filter(job => job.type === 'sms.send')).toHaveLength(0);
+
+    await jobQueue.processDueJobs();
+
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+    expect(sunk).toHaveLength(1);
+    expect(sunk[0].to).toEqual(['sam@example.com']);
+    expect(mailHeader(sunk[0].data, 'Subject')).toBe('Following up from BICI');
+    expect(readable(sunk[0].data)).toContain('Hi Sam, BICI is open now');
+    expect(rows()[0]).toEqual(expect.objectContaining({ type: 'email', sent_by: 'agent' }));
+    expect(rows()[0].metadata).toEqual(expect.objectContaining({ automated: true, automation_rule_id: hoursRule.id }));
+  });
+
+  it('updates contact details and reports email that cannot be sent', async () => {
+    const invalid = await api('patch', '/api/leads/lead-1/contact').send({ email: 'not-an-address' });
+    expect(invalid.status).toBe(400);
+    const noAddress = await api('patch', '/api/leads/lead-1/contact').send({ email: '', contact_preference: 'email' });
+    expect(noAddress.status).toBe(400);
+
+    const updated = await api('patch', '/api/leads/lead-1/contact').send({ email: 'Sam.Lee@Example.com', contact_preference: 'email' });
+    expect(updated.status).toBe(200);
+    expect((mockDb.leads as any[])[0]).toEqual(expect.objectContaining({
+      email: 'sam.lee@example.com',
+      qualification_data: expect.objectContaining({ contact_preference: 'email' })
+    }));
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({ action: 'lead.contact_updated' }));
+
+    const sent = await api('post', '/api/leads/lead-1/email').send({ message: 'Your bike is ready.', subject: 'Pickup' });
+    expect(sent.status).toBe(200);
+    expect(sunk).toHaveLength(1);
+    expect(sunk[0].to).toEqual(['sam.lee@example.com']);
+    expect(mailHeader(sunk[0].data, 'Subject')).toBe('Pickup');
+    expect(mailHeader(sunk[0].data, 'In-Reply-To')).toBeUndefined();
+
+    emailConfig.smtp.host = '';
+    try {
+      const suppressed = await api('post', '/api/leads/lead-1/email').send({ message: 'Your bike is ready.' });
+      expect(suppressed.status).toBe(403);
+      expect(suppressed.body).toEqual({ error: 'Email not sent', reason: 'email_not_configured' });
+    } finally {
+      emailConfig.smtp.host = '127.0.0.1';
+    }
+    expect(sunk).toHaveLength(1);
+  });
+});
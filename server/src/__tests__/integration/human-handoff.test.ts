@@ -0,0 +1,212 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { HumanControlService } from '../../services/humanControl.service';
+import { UserService } from '../../services/user.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { Lead } from '../../types';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const PASSWORD = 'correct horse battery';
+const HOURS = { monday: '08:00-18:00', tuesday: '08:00-18:00', wednesday: '08:00-18:00', thursday: '08:00-18:00', friday: '08:00-18:00', saturday: '09:00-16:30', sunday: '09:00-16:30' };
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const lead = {
+  id: 'lead-1',
+  organization_id: ORG_ID,
+  phone_number: PHONE,
+  phone_number_normalized: '16045551234',
+  customer_name: 'Sam',
+  status: 'contacted'
+} as Lead;
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+setupAPIRoutes(app);
+
+const sms = (Body: string) => request(app)
+  .post('/webhooks/twilio/sms')
+  .send({ From: PHONE, To: '+16045550000', Body, MessageSid: `SMin${Date.now()}${Body.length}` });
+
+describe('human handoff', () => {
+  const service = new HumanControlService();
+  const userService = new UserService();
+  let passwordHash: string;
+  const tokens: Record<string, string> = {};
+
+  const api = (method: 'get' | 'post', path: string, userId: string) =>
+    request(app)[method](path).set('Authorization', `Bearer ${tokens[userId]}`);
+
+  const sessionRows = () => mockDb.human_control_sessions as any[];
+
+  beforeAll(async () => {
+    registerJobHandlers();
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+
+    const user = (id: string, role: string) => ({
+      id, organization_id: ORG_ID, email: `${id}@bici.cc`, name: `${id} name`, role, active: true, password_hash: passwordHash
+    });
+    resetMockDb({
+      organizations: [{
+        id: ORG_ID,
+        name: 'BICI',
+        phone_number: '+16045550000',
+        settings: { name: 'BICI', timezone: 'America/Vancouver', business_hours: HOURS }
+      }],
+      users: [user('owner', 'owner'), user('staff', 'staff'), user('staff2', 'staff'), user('viewer', 'read_only')],
+      leads: [{ ...lead }],
+      conversations: [],
+      human_control_sessions: [],
+      sms_automation_log: [],
+      sms_consent_log: [],
+      audit_log: []
+    });
+
+    for (const id of ['owner', 'staff', 'staff2', 'viewer']) {
+      const res = await request(app).post('/api/auth/login').send({ email: `${id}@bici.cc`, password: PASSWORD });
+      tokens[id] = res.body.token;
+    }
+  });
+
+  afterEach(async () => {
+    // Sessions and the queue live in the shared Redis fallback, not the mock DB
+    await service.releaseConversation(lead.id, 'cleared');
+    await service.dismissEscalation(ORG_ID, lead.id);
+    await service.takeQueuedMessages(lead.id);
+    jest.useRealTimers();
+  });
+
+  it('queues a customer who asks for a person and delivers their texts to whoever claims it', async () => {
+    expect((await sms('Can I talk to a real person please?')).text).toBe('Queued for human agent');
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+    expect(mockCreateMessage.mock.calls[0][0].body).toBe("Thanks! I've asked someone from the BICI team to take over. They'll text you here shortly.");
+
+    // While waiting the AI stays quiet and the texts are held for the staff member
+    expect((await sms("It's about the warranty on my e-bike")).text).toBe('Queued for human agent');
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+
+    const queue = await api('get', '/api/human-control/queue', 'staff');
+    expect(queue.body).toEqual([expect.objectContaining({
+      lead_id: lead.id,
+      reason: 'asked_for_human',
+      customer_name: 'Sam',
+      queued_messages: 1
+    })]);
+
+    const claim = await api('post', '/api/human-control/claim', 'staff').send({ leadId: lead.id });
+    expect(claim.status).toBe(200);
+    expect(claim.body.session).toEqual(expect.objectContaining({ agent_name: 'staff name', agent_user_id: 'staff', escalation_reason: 'asked_for_human' }));
+    expect(claim.body.messages).toEqual([{ content: "It's about the warranty on my e-bike", received_at: NOW.toISOString() }]);
+    expect((await api('get', '/api/human-control/queue', 'staff')).body).toEqual([]);
+    expect(sessionRows()).toEqual([expect.objectContaining({ agent_user_id: 'staff', reason: 'asked_for_human' })]);
+
+    const taken = await api('post', '/api/human-control/claim', 'owner').send({ leadId: lead.id });
+    expect(taken.status).toBe(409);
+    expect(taken.body.agent_name).toBe('staff name');
+
+    // Texts that arrive while held wait for the holder only
+    await sms('Are you there?');
+    expect((await api('get', `/api/human-control/${lead.id}/messages`, 'owner')).status).toBe(403);
+    const held = await api('get', `/api/human-control/${lead.id}/messages`, 'staff');
+    expect(held.body.map((message: any) => message.content)).toEqual(['Are you there?']);
+    expect((await api('get', `/api/human-control/${lead.id}/messages`, 'staff')).body).toEqual([]);
+  });
+
+  it('transfers between named staff and only lets the holder reply', async () => {
+    await api('post', '/api/human-control/claim', 'staff').send({ leadId: lead.id });
+    const send = (userId: string) => api('post', '/api/human-control/send-message', userId)
+      .send({ leadId: lead.id, message: 'Hi Sam, happy to help', phoneNumber: PHONE });
+
+    expect((await send('owner')).status).toBe(403);
+
+    const toViewer = await api('post', '/api/human-control/transfer', 'staff').send({ leadId: lead.id, userId: 'viewer' });
+    expect(toViewer.status).toBe(400);
+    expect((await api('post', '/api/human-control/transfer', 'staff2').send({ leadId: lead.id, userId: 'staff2' })).status).toBe(403);
+
+    const transfer = await api('post', '/api/human-control/transfer', 'staff').send({ leadId: lead.id, userId: 'staff2' });
+    expect(transfer.status).toBe(200);
+    expect(transfer.body.session).toEqual(expect.objectContaining({ agent_name: 'staff2 name', agent_user_id: 'staff2' }));
+    expect(sessionRows()).toEqual([
+      expect.objectContaining({ agent_user_id: 'staff', end_reason: 'transferred' }),
+      expect.objectContaining({ agent_user_id: 'staff2' })
+    ]);
+    expect(mockDb.conversations.map((c: any) => c.content)).toContain('staff name transferred the conversation to staff2 name');
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      action: 'human_control.transferred',
+      user_id: 'staff',
+      details: expect.objectContaining({ from: 'staff name', to: 'staff2 name' })
+    }));
+
+    expect((await send('staff')).status).toBe(403);
+    expect((await send('staff2')).status).toBe(200);
+    expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE, body: 'Hi Sam, happy to help' }));
+
+    // Owners can hand back a conversation someone else holds
+    expect((await api('post', '/api/human-control/release', 'staff')).status).toBe(404);
+    expect((await api('post', '/api/human-control/release', 'staff').send({ leadId: lead.id })).status).toBe(403);
+    expect((await api('post', '/api/human-control/release', 'owner').send({ leadId: lead.id })).status).toBe(200);
+    expect(await service.isUnderHumanControl(lead.id)).toBe(false);
+  });
+
+  it('hands an idle conversation back to the AI', async () => {
+    await api('post', '/api/human-control/claim', 'staff').send({ leadId: lead.id });
+
+    jest.setSystemTime(NOW.getTime() + 10 * MINUTE_MS);
+    await api('post', '/api/human-control/send-message', 'staff').send({ leadId: lead.id, message: 'Checking now', phoneNumber: PHONE });
+
+    // The reply pushed the deadline out, so the first check only reschedules
+    jest.setSystemTime(NOW.getTime() + 16 * MINUTE_MS);
+    await jobQueue.processDueJobs();
+    expect(await service.isUnderHumanControl(lead.id)).toBe(true);
+    const [handback] = await jobQueue.listPending({ type: 'human_control.handback', organizationId: ORG_ID });
+    expect(handback.run_at).toBe(new Date(NOW.getTime() + 25 * MINUTE_MS).toISOString());
+
+    jest.setSystemTime(NOW.getTime() + 25 * MINUTE_MS);
+    await jobQueue.processDueJobs();
+    expect(await service.isUnderHumanControl(lead.id)).toBe(false);
+    expect(sessionRows()[0]).toEqual(expect.objectContaining({ end_reason: 'inactivity', messages_handled: 1 }));
+    expect(mockDb.conversations.map((c: any) => c.content))
+      .toContain('AI assistant has resumed control after 15 minutes without a reply from staff name');
+  });
+
+  it('escalates support calls, unhappy customers and requests for a person', async () => {
+    expect(service.escalationReasonFor({ classification: 'support', sentiment: 0.6 })).toBe('support_call');
+    expect(service.escalationReasonFor({ classification: 'sales', sentiment: 0.2 })).toBe('negative_sentiment');
+    expect(service.escalationReasonFor({ classification: 'sales', sentiment: 0 })).toBeNull();
+    expect(service.escalationReasonFor({ classification: 'sales', sentiment: 0.8 }, ['Could I speak with someone at the store?'])).toBe('asked_for_human');
+    expect(service.isHumanRequest('agent')).toBe(true);
+    expect(service.isHumanRequest('Is this bike good for a person my height?')).toBe(false);
+
+    expect(await service.escalate(lead, 'support_call', 'Brake rub after service')).toBe(true);
+    expect(await service.escalate(lead, 'negative_sentiment')).toBe(false);
+    expect((await service.getEscalation(ORG_ID, lead.id))!.reason).toBe('support_call');
+
+    // Only a request for a person keeps the AI quiet while waiting
+    expect(await service.isWaitingForHuman(ORG_ID, lead.id)).toBe(false);
+
+    expect((await api('post', `/api/human-control/queue/${lead.id}/dismiss`, 'staff')).status).toBe(200);
+    expect((await api('get', '/api/human-control/queue', 'staff')).body).toEqual([]);
+
+    await api('post', '/api/human-control/claim', 'staff').send({ leadId: lead.id });
+    expect(await service.escalate(lead, 'support_call')).toBe(false);
+  });
+});
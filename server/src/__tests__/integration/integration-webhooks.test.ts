@@ -0,0 +1,270 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import crypto from 'crypto';
+import dns from 'dns';
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { HumanControlService } from '../../services/humanControl.service';
+import { IntegrationWebhookService, integrationLead } from '../../services/integrationWebhook.service';
+import { UserService } from '../../services/user.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const PASSWORD = 'correct horse battery';
+const CRM_URL = 'https://crm.example.com/hooks/bici';
+
+// DNS as the tests see it: internal.example.com points into the private network
+const HOSTS: Record<string, string> = { 'internal.example.com': '10.0.0.5', localhost: '127.0.0.1' };
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+setupAPIRoutes(app);
+
+const sms = (From: string, Body: string) => request(app)
+  .post('/webhooks/twilio/sms')
+  .send({ From, To: '+16045550000', Body, MessageSid: `SMin${From}${Body.length}` });
+
+const webhook = (overrides: Record<string, any>) => ({
+  id: 'hook-1',
+  organization_id: ORG_ID,
+  name: 'CRM',
+  url: CRM_URL,
+  secret: 'whsec_test',
+  events: [],
+  active: true,
+  created_at: NOW.toISOString(),
+  updated_at: NOW.toISOString(),
+  ...overrides
+});
+
+// What the receiving end checks: HMAC-SHA256 of "<t>.<body>" with the secret
+function verifySignature(header: string, body: string, secret: string): boolean {
+  const [, timestamp, signature] = header.match(/^t=(\d+),v1=([0-9a-f]+)$/) || [];
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return !!signature && signature === expected;
+}
+
+describe('integration webhooks', () => {
+  const userService = new UserService();
+  let ownerToken: string;
+  let staffToken: string;
+  let fetchMock: jest.SpyInstance;
+
+  const deliveries = () => mockDb.integration_webhook_deliveries as any[];
+  const api = (method: 'get' | 'post' | 'put' | 'patch', path: string, token: string = ownerToken) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  // Requests made so far, as the receiving end saw them
+  const sent = () => fetchMock.mock.calls.map(([url, init]: [string, RequestInit]) => ({
+    url,
+    headers: init.headers as Record<string, string>,
+    raw: init.body as string,
+    body: JSON.parse(init.body as string)
+  }));
+
+  beforeAll(() => {
+    registerJobHandlers();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+    jest.restoreAllMocks();
+    fetchMock = jest.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok', { status: 200 }));
+    jest.spyOn(dns.promises, 'lookup').mockImplementation((async (host: string) => [{ address: HOSTS[host] || '93.184.215.14', family: 4 }]) as any);
+
+    const passwordHash = await userService.hashPassword(PASSWORD);
+    resetMockDb({
+      organizations: [
+        { id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', sms_responders: ['rules'] } },
+        { id: 'org-2', name: 'Other', phone_number: '+16045559999', settings: { name: 'Other' } }
+      ],
+      users: [
+        { id: 'owner', organization_id: ORG_ID, email: 'owner@bici.cc', name: 'Owner', role: 'owner', active: true, password_hash: passwordHash },
+        { id: 'staff', organization_id: ORG_ID, email: 'staff@bici.cc', name: 'Staff', role: 'staff', active: true, password_hash: passwordHash }
+      ],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', status: 'contacted', qualification_data: {} }],
+      conversations: [],
+      integration_webhooks: [],
+      integration_webhook_deliveries: [],
+      audit_log: []
+    });
+
+    ownerToken = (await request(app).post('/api/auth/login').send({ email: 'owner@bici.cc', password: PASSWORD })).body.token;
+    staffToken = (await request(app).post('/api/auth/login').send({ email: 'staff@bici.cc', password: PASSWORD })).body.token;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets owners subscribe a URL and sends it signed lead and SMS events', async () => {
+    expect((await api('post', '/api/integrations/webhooks', staffToken).send({ name: 'CRM', url: CRM_URL, events: ['lead.created'] })).status).toBe(403);
+
+    const invalid = await api('post', '/api/integrations/webhooks').send({ name: 'CRM', url: 'crm.example.com', events: ['lead.deleted'] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'Invalid webhook', details: ['url must be an http or https URL', 'unknown event lead.deleted'] });
+
+    const created = await api('post', '/api/integrations/webhooks')
+      .send({ name: 'CRM', url: CRM_URL, events: ['lead.created', 'lead.status_changed', 'sms.received'] });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ organization_id: ORG_ID, url: CRM_URL, active: true });
+    expect(created.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      user_id: 'owner',
+      action: 'integration_webhook.created',
+      target_id: created.body.id
+    }));
+
+    // A first text creates the lead and moves it along; the events wait for the job queue
+    expect((await sms('+16045557777', 'Do you fit bikes?')).status).toBe(200);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(await jobQueue.processDueJobs()).toBe(3);
+
+    const requests = sent();
+    expect(requests.map(sentRequest => sentRequest.headers['X-Bici-Event'])).toEqual(['lead.created', 'lead.status_changed', 'sms.received']);
+    for (const sentRequest of requests) {
+      expect(sentRequest.url).toBe(CRM_URL);
+      expect(verifySignature(sentRequest.headers['X-Bici-Signature'], sentRequest.raw, created.body.secret)).toBe(true);
+      expect(sentRequest.headers['X-Bici-Delivery']).toBe(sentRequest.body.id);
+    }
+    const [leadCreated, statusChanged, smsReceived] = requests.map(sentRequest => sentRequest.body);
+    expect(leadCreated).toMatchObject({
+      event: 'lead.created',
+      organization_id: ORG_ID,
+      created_at: NOW.toISOString(),
+      data: { lead: { phone_number: '+16045557777', status: 'new', customer_name: null } }
+    });
+    expect(statusChanged.data).toMatchObject({ previous_status: 'new', status: 'contacted', source: 'sms' });
+    expect(smsReceived.data).toMatchObject({
+      lead: { id: leadCreated.data.lead.id, status: 'contacted' },
+      message: 'Do you fit bikes?'
+    });
+
+    // A replayed text keeps its stored message, so nothing is sent twice
+    const service = new IntegrationWebhookService();
+    expect(await service.dispatch(ORG_ID, 'sms.received', smsReceived.data, smsReceived.data.message_id)).toBe(0);
+
+    // Staff moving a lead is a status change too
+    expect((await api('put', '/api/leads/lead-1/status', staffToken).send({ status: 'hot', reason: 'Test ride booked' })).status).toBe(200);
+    await jobQueue.processDueJobs();
+    expect(sent()[3].body.data).toMatchObject({
+      lead: { id: 'lead-1', phone_number: PHONE, status: 'hot' },
+      previous_status: 'contacted',
+      status: 'hot',
+      source: 'manual',
+      reason: 'Test ride booked'
+    });
+
+    const log = await api('get', `/api/integrations/webhooks/${created.body.id}/deliveries`);
+    expect(log.status).toBe(200);
+    expect(log.body).toHaveLength(4);
+    expect(log.body.every((delivery: any) => delivery.status === 'delivered' && delivery.response_status === 200 && delivery.attempts === 1)).toBe(true);
+    expect((await api('get', `/api/integrations/webhooks/${created.body.id}/deliveries`, staffToken)).status).toBe(403);
+  });
+
+  it('retries failed deliveries with growing delays until the endpoint answers', async () => {
+    mockDb.integration_webhooks.push(
+      webhook({ events: ['human_control.started'] }),
+      webhook({ id: 'hook-off', url: 'https://pos.example.com/off', events: ['human_control.started'], active: false }),
+      webhook({ id: 'hook-leads', url: 'https://pos.example.com/leads', events: ['lead.created'] })
+    );
+    fetchMock
+      .mockImplementationOnce(async () => new Response('Service Unavailable', { status: 503 }))
+      .mockImplementationOnce(async () => { throw new Error('connect ECONNREFUSED'); });
+
+    await new HumanControlService().claimConversation('lead-1', ORG_ID, { id: 'staff', name: 'Staff' });
+    expect(deliveries()).toHaveLength(1);
+
+    await jobQueue.processDueJobs();
+    expect(deliveries()[0]).toMatchObject({ status: 'retrying', attempts: 1, response_status: 503, response_body: null, error: 'Responded 503' });
+
+    // Not due again for 30 seconds, then twice as long after the next failure
+    expect(await jobQueue.processDueJobs()).toBe(0);
+    jest.setSystemTime(NOW.getTime() + 30 * 1000);
+    await jobQueue.processDueJobs();
+    expect(deliveries()[0]).toMatchObject({ status: 'retrying', attempts: 2, response_status: null, error: 'connect ECONNREFUSED' });
+
+    jest.setSystemTime(NOW.getTime() + 60 * 1000);
+    expect(await jobQueue.processDueJobs()).toBe(0);
+    jest.setSystemTime(NOW.getTime() + 90 * 1000);
+    await jobQueue.processDueJobs();
+    expect(deliveries()[0]).toMatchObject({ status: 'delivered', attempts: 3, response_status: 200, error: null });
+
+    // Only the active subscriber was called, with the same delivery each time
+    const requests = sent();
+    expect(requests.map(sentRequest => sentRequest.url)).toEqual([CRM_URL, CRM_URL, CRM_URL]);
+    expect(new Set(requests.map(sentRequest => sentRequest.headers['X-Bici-Delivery'])).size).toBe(1);
+    expect(requests[0].body.data).toMatchObject({ lead_id: 'lead-1', agent_name: 'Staff', agent_user_id: 'staff' });
+  });
+
+  it('refuses URLs that reach private, loopback or link-local addresses', async () => {
+    for (const url of ['http://localhost:8080/hook', 'http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'https://internal.example.com/hook', 'http://[::1]/hook']) {
+      const res = await api('post', '/api/integrations/webhooks').send({ name: 'CRM', url, events: ['lead.created'] });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['url must not point at a private, loopback or link-local address']);
+    }
+
+    mockDb.integration_webhooks.push(webhook({ events: ['lead.created'] }));
+    expect((await api('patch', '/api/integrations/webhooks/hook-1').send({ url: 'http://192.168.1.10/hook' })).status).toBe(400);
+    expect(mockDb.integration_webhooks[0].url).toBe(CRM_URL);
+
+    // The host is resolved again before sending: a saved URL that now points inside is not called
+    HOSTS['crm.example.com'] = '172.16.0.3';
+    try {
+      const tested = await api('post', '/api/integrations/webhooks/hook-1/test');
+      expect(tested.body).toMatchObject({ status: 'failed', response_status: null, error: 'url must not point at a private, loopback or link-local address' });
+      expect(fetchMock).not.toHaveBeenCalled();
+    } finally {
+      delete HOSTS['crm.example.com'];
+    }
+  });
+
+  it('sends a test event on demand and logs the response', async () => {
+    mockDb.integration_webhooks.push(
+      webhook({ events: ['call.completed'], active: false }),
+      webhook({ id: 'hook-other', organization_id: 'org-2' })
+    );
+    fetchMock.mockImplementationOnce(async () => new Response('{"error":"unknown event"}', { status: 422 }));
+
+    const tested = await api('post', '/api/integrations/webhooks/hook-1/test');
+    expect(tested.status).toBe(200);
+    expect(tested.body).toMatchObject({
+      webhook_id: 'hook-1',
+      event: 'test',
+      status: 'failed',
+      attempts: 1,
+      response_status: 422,
+      response_body: null
+    });
+    expect(sent()[0].body).toMatchObject({ event: 'test', data: { message: 'Test event for CRM' } });
+    expect(verifySignature(sent()[0].headers['X-Bici-Signature'], sent()[0].raw, 'whsec_test')).toBe(true);
+
+    // Tests are sent once, never queued for retries
+    expect(await jobQueue.processDueJobs()).toBe(0);
+    expect((await api('post', '/api/integrations/webhooks/hook-other/test')).status).toBe(404);
+
+    // Rotating the secret signs the next test with the new one
+    const rotated = await api('patch', '/api/integrations/webhooks/hook-1').send({ rotate_secret: true, active: true });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.secret).not.toBe('whsec_test');
+    expect((await api('post', '/api/integrations/webhooks/hook-1/test')).body.status).toBe('delivered');
+    expect(verifySignature(sent()[1].headers['X-Bici-Signature'], sent()[1].raw, rotated.body.secret)).toBe(true);
+
+    expect(integrationLead({ id: 'lead-9', phone_number: 'email-1a2b3c4d', email: 'sam@example.com', status: 'new' } as any))
+      .toEqual({ id: 'lead-9', customer_name: null, phone_number: null, email: 'sam@example.com', status: 'new', lead_score: null });
+  });
+});
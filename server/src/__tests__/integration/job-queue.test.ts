@@ -0,0 +1,134 @@
+import { JobQueueService } from '../../services/jobQueue.service';
+import { redisService } from '../../services/redis.service';
+
+describe('JobQueueService', () => {
+  let queue: JobQueueService;
+  let runs: Array<Record<string, any>>;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2026-10-19T17:00:00Z'));
+
+    queue = new JobQueueService();
+    runs = [];
+    queue.registerHandler('test.echo', async (payload) => {
+      runs.push(payload);
+    });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.useRealTimers();
+  });
+
+  it('runs a job only once it is due', async () => {
+    await queue.schedule({ type: 'test.echo', payload: { n: 1 }, delayMs: 60 * 1000, leadId: 'lead-due' });
+
+    expect(await queue.processDueJobs()).toBe(0);
+
+    jest.setSystemTime(Date.now() + 60 * 1000);
+    expect(await queue.processDueJobs()).toBe(1);
+    expect(runs).toEqual([{ n: 1 }]);
+    expect(await queue.listPending({ leadId: 'lead-due' })).toHaveLength(0);
+  });
+
+  it('returns the existing job for a duplicate idempotency key', async () => {
+    const first = await queue.schedule({ type: 'test.echo', payload: {}, delayMs: 1000, idempotencyKey: 'lead-dup:follow_up', leadId: 'lead-dup' });
+    const second = await queue.schedule({ type: 'test.echo', payload: {}, delayMs: 5000, idempotencyKey: 'lead-dup:follow_up', leadId: 'lead-dup' });
+
+    expect(second.id).toBe(first.id);
+    expect(await queue.listPending({ leadId: 'lead-dup' })).toHaveLength(1);
+  });
+
+  it('frees the idempotency key when a job is cancelled', async () => {
+    const first = await queue.schedule({ type: 'test.echo', payload: {}, delayMs: 1000, idempotencyKey: 'lead-free:follow_up' });
+
+    const cancelled = await queue.cancel(first.id);
+    expect(cancelled?.status).toBe('cancelled');
+
+    const second = await queue.schedule({ type: 'test.echo', payload: {}, delayMs: 1000, idempotencyKey: 'lead-free:follow_up' });
+    expect(second.id).not.toBe(first.id);
+  });
+
+  it('only cancels lead jobs that opted into the reason', async () => {
+    const followUp = await queue.schedule({
+      type: 'test.echo',
+      payload: {},
+      delayMs: 1000,
+      leadId: 'lead-cancel',
+      cancelOn: ['human_takeover', 'customer_reply']
+    });
+    const eviction = await queue.schedule({ type: 'test.echo', payload: {}, delayMs: 1000, leadId: 'lead-cancel' });
+
+    const cancelled = await queue.cancelForLead('lead-cancel', 'customer_reply');
+
+    expect(cancelled.map(job => job.id)).toEqual([followUp.id]);
+    expect((await queue.getJob(followUp.id))?.cancel_reason).toBe('customer_reply');
+    expect((await queue.listPending({ leadId: 'lead-cancel' })).map(job => job.id)).toEqual([eviction.id]);
+  });
+
+  it('retries with backoff and marks the job failed after the last attempt', async () => {
+    let calls = 0;
+    queue.registerHandler('test.flaky', async () => {
+      calls++;
+      throw new Error('provider unavailable');
+    });
+
+    const job = await queue.schedule({ type: 'test.flaky', payload: {}, maxAttempts: 2, leadId: 'lead-flaky' });
+
+    await queue.processDueJobs();
+    expect(calls).toBe(1);
+    expect((await queue.getJob(job.id))?.status).toBe('pending');
+
+    // Not due again until the backoff has passed
+    jest.setSystemTime(Date.now() + 10 * 1000);
+    await queue.processDueJobs();
+    expect(calls).toBe(1);
+
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    await queue.processDueJobs();
+    expect(calls).toBe(2);
+
+    const failed = await queue.getJob(job.id);
+    expect(failed?.status).toBe('failed');
+    expect(failed?.last_error).toBe('provider unavailable');
+    expect(await queue.listPending({ leadId: 'lead-flaky' })).toHaveLength(0);
+  });
+
+  it('reruns a job whose worker stopped mid-run once its lease expires', async () => {
+    const job = await queue.schedule({ type: 'test.echo', payload: { n: 2 }, maxAttempts: 2, leadId: 'lead-crash' });
+
+    // A worker claims the job and dies before finishing it
+    expect(await redisService.claimJob(job.id, Date.now() + 10 * 60 * 1000)).toBe(true);
+    await redisService.saveJob({ ...job, status: 'running', attempts: 1 });
+
+    expect(await queue.processDueJobs()).toBe(0);
+    expect(runs).toEqual([]);
+
+    jest.setSystemTime(Date.now() + 10 * 60 * 1000);
+    await queue.processDueJobs();
+
+    expect(runs).toEqual([{ n: 2 }]);
+    const completed = await queue.getJob(job.id);
+    expect(completed?.status).toBe('completed');
+    expect(completed?.attempts).toBe(2);
+    expect(await redisService.getExpiredJobLeases(Date.now() + 60 * 60 * 1000)).not.toContain(job.id);
+  });
+
+  it('fails a job that used its last attempt on a lost run', async () => {
+    const job = await queue.schedule({ type: 'test.echo', payload: {}, maxAttempts: 1, idempotencyKey: 'lead-lost:follow_up' });
+
+    await redisService.claimJob(job.id, Date.now() + 10 * 60 * 1000);
+    await redisService.saveJob({ ...job, status: 'running', attempts: 1 });
+
+    jest.setSystemTime(Date.now() + 10 * 60 * 1000);
+    await queue.processDueJobs();
+
+    expect(runs).toEqual([]);
+    expect(await queue.getJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      last_error: 'Worker stopped before the job finished'
+    }));
+    expect(await queue.isKeyHeld('lead-lost:follow_up')).toBe(false);
+  });
+});
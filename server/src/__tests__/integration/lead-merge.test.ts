@@ -0,0 +1,198 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn(async (params: any) => ({ sid: 'SM1', status: 'queued', ...params })) } },
+  twilioConfig: { phoneNumber: '+16045550000' }
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { setupAPIRoutes } from '../../routes';
+import { LeadService } from '../../services/lead.service';
+import { HumanControlService } from '../../services/humanControl.service';
+import { UserService } from '../../services/user.service';
+import { redisService } from '../../services/redis.service';
+import { broadcastToClients } from '../../services/realtime.service';
+import { formatPhoneNumber, normalizePhoneNumber, toE164 } from '../../utils/phone.helper';
+
+const ORG_ID = 'org-1';
+const PASSWORD = 'correct horse battery';
+
+const app = express();
+app.use(express.json());
+setupAPIRoutes(app);
+
+const lead = (id: string, fields: Record<string, any>) => ({
+  id,
+  organization_id: ORG_ID,
+  status: 'new',
+  sentiment: 'neutral',
+  bike_interest: {},
+  qualification_data: {},
+  ...fields
+});
+
+describe('lead deduplication', () => {
+  const userService = new UserService();
+  const leadService = new LeadService();
+  let passwordHash: string;
+  const tokens: Record<string, string> = {};
+
+  const api = (method: 'get' | 'post', path: string, userId: string) =>
+    request(app)[method](path).set('Authorization', `Bearer ${tokens[userId]}`);
+
+  beforeAll(async () => {
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(async () => {
+    const user = (id: string, role: string) => ({
+      id, organization_id: ORG_ID, email: `${id}@bici.cc`, name: `${id} name`, role, active: true, password_hash: passwordHash
+    });
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI' } }],
+      users: [user('staff', 'staff'), user('viewer', 'read_only')],
+      leads: [
+        // The same customer before and after the country code was added
+        lead('lead-a', { phone_number: '+16045551234', phone_number_normalized: '16045551234', customer_name: 'Sam Lee', status: 'qualified', created_at: '2026-01-01T00:00:00Z', last_contact_at: '2026-03-01T00:00:00Z', bike_interest: { type: 'hybrid', size: null } }),
+        lead('lead-b', { phone_number: '604-555-1234', phone_number_normalized: '6045551234', email: 'sam@example.com', status: 'hot', created_at: '2026-02-01T00:00:00Z', last_contact_at: '2026-04-01T00:00:00Z', bike_interest: { size: 'M' }, sms_opted_out: true, sms_opted_out_at: '2026-04-02T00:00:00Z', sms_opt_out_source: 'sms_keyword' }),
+        lead('lead-c', { phone_number: '+16045559876', phone_number_normalized: '16045559876', email: 'Kim@Example.com ', customer_name: 'Kim', created_at: '2026-01-05T00:00:00Z' }),
+        lead('lead-d', { phone_number: '+16045554321', phone_number_normalized: '16045554321', email: 'kim@example.com', created_at: '2026-01-06T00:00:00Z' }),
+        lead('lead-e', { phone_number: '+16045550001', phone_number_normalized: '16045550001', customer_name: 'Jon Smith', created_at: '2026-01-07T00:00:00Z' }),
+        lead('lead-f', { phone_number: '+16045550002', phone_number_normalized: '16045550002', customer_name: 'John Smith', created_at: '2026-01-08T00:00:00Z' }),
+        lead('lead-g', { phone_number: 'web-1a2b3c4d', phone_number_normalized: 'web-1a2b3c4d', customer_name: 'Unknown', created_at: '2026-01-09T00:00:00Z' })
+      ],
+      conversations: [
+        { id: 'conv-a', organization_id: ORG_ID, lead_id: 'lead-a', content: 'Hi', sent_by: 'user', type: 'sms' },
+        { id: 'conv-b1', organization_id: ORG_ID, lead_id: 'lead-b', content: 'Do you have the FX 2?', sent_by: 'user', type: 'sms' },
+        { id: 'conv-b2', organization_id: ORG_ID, lead_id: 'lead-b', content: 'We do!', sent_by: 'agent', type: 'sms' }
+      ],
+      conversation_summaries: [{ id: 'sum-b', organization_id: ORG_ID, lead_id: 'lead-b', summary: 'Asked about the FX 2' }],
+      call_sessions: [{ id: 'call-b', organization_id: ORG_ID, lead_id: 'lead-b', status: 'completed' }],
+      human_control_sessions: [{ id: 'hc-b', organization_id: ORG_ID, lead_id: 'lead-b', agent_name: 'staff name' }],
+      appointments: [{ id: 'appt-b', organization_id: ORG_ID, lead_id: 'lead-b', status: 'scheduled' }],
+      campaign_leads: [
+        { id: 'cl-a1', campaign_id: 'camp-1', lead_id: 'lead-a' },
+        { id: 'cl-b1', campaign_id: 'camp-1', lead_id: 'lead-b' },
+        { id: 'cl-b2', campaign_id: 'camp-2', lead_id: 'lead-b' }
+      ],
+      sms_consent_log: [],
+      sms_automation_log: [],
+      lead_score_history: [],
+      lead_merges: [],
+      audit_log: []
+    });
+
+    for (const id of ['staff', 'viewer']) {
+      const res = await request(app).post('/api/auth/login').send({ email: `${id}@bici.cc`, password: PASSWORD });
+      tokens[id] = res.body.token;
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes every way a number is written to E.164', async () => {
+    for (const phone of ['+16045551234', '16045551234', '6045551234', '(604) 555-1234', '+1 604-555-1234', '001 604 555 1234']) {
+      expect(toE164(phone)).toBe('+16045551234');
+      expect(normalizePhoneNumber(phone)).toBe('16045551234');
+    }
+    expect(toE164('+44 20 7946 0958')).toBe('+442079460958');
+    expect(toE164('5551234')).toBeNull();
+    // Web-call placeholders are kept as they are
+    expect(normalizePhoneNumber('web-1a2b3c4d')).toBe('web-1a2b3c4d');
+    expect(formatPhoneNumber('web-1a2b3c4d')).toBe('web-1a2b3c4d');
+
+    // Texts and calls from either form find the same lead
+    expect((await leadService.findOrCreateLead('(604) 555-9876', ORG_ID)).id).toBe('lead-c');
+    expect((await leadService.findLeadByPhone('+1 604 555 9876', ORG_ID))!.id).toBe('lead-c');
+  });
+
+  it('finds leads that share a phone or email, or have similar names', async () => {
+    const res = await api('get', '/api/leads/duplicates', 'viewer');
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((pair: any) => [pair.leads.map((l: any) => l.id), pair.reasons, pair.confidence])).toEqual([
+      [['lead-a', 'lead-b'], ['phone'], 'high'],
+      [['lead-c', 'lead-d'], ['email'], 'high'],
+      [['lead-e', 'lead-f'], ['name'], 'medium']
+    ]);
+  });
+
+  it('moves the duplicate\'s history onto the lead kept and removes the duplicate', async () => {
+    const invalidated = jest.spyOn(redisService, 'invalidateLeadCache');
+    const cleared = jest.spyOn(redisService, 'clearLeadCache');
+
+    const res = await api('post', '/api/leads/lead-a/merge', 'staff').send({ duplicate_id: 'lead-b' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.merged_lead_id).toBe('lead-b');
+    expect(res.body.moved).toEqual(expect.objectContaining({
+      conversations: 2,
+      conversation_summaries: 1,
+      call_sessions: 1,
+      human_control_sessions: 1,
+      appointments: 1,
+      campaign_leads: 1
+    }));
+
+    const leadIds = (table: string) => (mockDb[table] as any[]).map(row => row.lead_id);
+    expect(leadIds('conversations')).toEqual(['lead-a', 'lead-a', 'lead-a']);
+    expect(leadIds('conversation_summaries')).toEqual(['lead-a']);
+    expect(leadIds('call_sessions')).toEqual(['lead-a']);
+    expect(leadIds('human_control_sessions')).toEqual(['lead-a']);
+    expect(leadIds('appointments')).toEqual(['lead-a']);
+    // The survivor was already in camp-1; the duplicate's camp-2 entry moves over
+    expect((mockDb.campaign_leads as any[]).filter(row => row.lead_id === 'lead-a').map(row => row.campaign_id).sort()).toEqual(['camp-1', 'camp-2']);
+
+    expect((mockDb.leads as any[]).map(row => row.id)).not.toContain('lead-b');
+    expect((mockDb.leads as any[]).find(row => row.id === 'lead-a')).toEqual(expect.objectContaining({
+      phone_number_normalized: '16045551234',
+      customer_name: 'Sam Lee',
+      email: 'sam@example.com',
+      status: 'hot',
+      bike_interest: { type: 'hybrid', size: 'M' },
+      last_contact_at: '2026-04-01T00:00:00Z',
+      // Either lead opting out keeps the customer opted out
+      sms_opted_out: true,
+      sms_opt_out_source: 'sms_keyword'
+    }));
+
+    expect(mockDb.lead_merges).toEqual([expect.objectContaining({
+      lead_id: 'lead-a',
+      merged_lead_id: 'lead-b',
+      merged_by: 'staff',
+      merged_lead: expect.objectContaining({ phone_number: '604-555-1234' })
+    })]);
+    expect((mockDb.audit_log as any[]).find(entry => entry.action === 'lead.merged')).toEqual(expect.objectContaining({
+      target_id: 'lead-a',
+      details: expect.objectContaining({ merged_lead_id: 'lead-b' })
+    }));
+
+    // Lookups by either lead's phone key and both leads' cached context are dropped
+    expect(invalidated).toHaveBeenCalledWith('6045551234:org-1');
+    expect(invalidated).toHaveBeenCalledWith('16045551234:org-1');
+    expect(cleared).toHaveBeenCalledWith('lead-b');
+    expect(cleared).toHaveBeenCalledWith('lead-a');
+    expect(broadcastToClients).toHaveBeenCalledWith({ type: 'lead_merged', organization_id: ORG_ID, lead_id: 'lead-a', merged_lead_id: 'lead-b' });
+
+    expect((await api('get', '/api/leads/duplicates', 'staff')).body).toHaveLength(2);
+  });
+
+  it('refuses merges that are invalid, not allowed or in a handoff', async () => {
+    expect((await api('post', '/api/leads/lead-a/merge', 'staff').send({})).status).toBe(400);
+    expect((await api('post', '/api/leads/lead-a/merge', 'staff').send({ duplicate_id: 'lead-a' })).status).toBe(400);
+    expect((await api('post', '/api/leads/lead-a/merge', 'staff').send({ duplicate_id: 'lead-zz' })).status).toBe(404);
+    expect((await api('post', '/api/leads/lead-a/merge', 'viewer').send({ duplicate_id: 'lead-b' })).status).toBe(403);
+
+    jest.spyOn(HumanControlService.prototype, 'isUnderHumanControl').mockImplementation(async leadId => leadId === 'lead-b');
+    const held = await api('post', '/api/leads/lead-a/merge', 'staff').send({ duplicate_id: 'lead-b' });
+    expect(held.status).toBe(409);
+    expect((mockDb.leads as any[]).map(row => row.id)).toContain('lead-b');
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { LeadScoringService } from '../../services/leadScoring.service';
+import { UserService } from '../../services/user.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const PASSWORD = 'correct horse battery';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+setupAPIRoutes(app);
+
+describe('lead scoring', () => {
+  const service = new LeadScoringService();
+  const userService = new UserService();
+  let passwordHash: string;
+  const tokens: Record<string, string> = {};
+
+  const history = () => mockDb.lead_score_history as any[];
+  const storedLead = () => (mockDb.leads as any[])[0];
+
+  beforeAll(async () => {
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+
+    const user = (id: string, role: string) => ({
+      id, organization_id: ORG_ID, email: `${id}@bici.cc`, name: `${id} name`, role, active: true, password_hash: passwordHash
+    });
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', sms_responders: ['rules'] } }],
+      users: [user('staff', 'staff'), user('viewer', 'read_only')],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', status: 'contacted', qualification_data: {} }],
+      call_sessions: [],
+      conversations: [],
+      lead_score_history: [],
+      sms_automation_log: [],
+      sms_consent_log: [],
+      audit_log: []
+    });
+
+    for (const id of ['staff', 'viewer']) {
+      const res = await request(app).post('/api/auth/login').send({ email: `${id}@bici.cc`, password: PASSWORD });
+      tokens[id] = res.body.token;
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('explains a score with data collection, engagement and keyword factors', () => {
+    const result = service.computeScore({
+      qualification: { timeline: 'this_week', budget_range: '1000_2000', riding_experience: 'beginner' },
+      completedCalls: 1,
+      smsReplies: 2,
+      lastContactAt: new Date(NOW.getTime() - DAY_MS),
+      customerMessages: ['Can I book a test ride?'],
+      now: NOW
+    });
+
+    expect(result.factors.map(factor => [factor.key, factor.category, factor.points])).toEqual([
+      ['purchase_timeline', 'data_collection', 25],
+      ['budget_range', 'data_collection', 15],
+      ['riding_experience', 'data_collection', 3],
+      ['calls', 'engagement', 5],
+      ['sms_replies', 'engagement', 4],
+      ['recency', 'engagement', 10],
+      ['keyword:test_ride_interest', 'keywords', 10],
+      ['keyword:appointment_request', 'keywords', 8]
+    ]);
+    expect(result.factors[0].label).toBe('Buying this week');
+    expect(result).toEqual(expect.objectContaining({ score: 80, status: 'hot' }));
+
+    const custom = new LeadScoringService({ ...service['weights'], per_call: 50, max_calls: 1, thresholds: { qualified: 10, hot: 90 } });
+    expect(custom.computeScore({ qualification: {}, completedCalls: 4, smsReplies: 0, lastContactAt: null, customerMessages: [], now: NOW }))
+      .toEqual({ score: 50, status: 'qualified', factors: [expect.objectContaining({ key: 'calls', points: 50, label: '4 calls' })] });
+  });
+
+  it('stores each change with its factors and only moves the status forward', async () => {
+    storedLead().qualification_data = { timeline: 'immediate', budget_range: 'over_2000', contact_preference: 'phone' };
+    storedLead().last_contact_at = new Date(NOW.getTime() - 3 * DAY_MS).toISOString();
+    mockDb.call_sessions.push({ id: 'call-1', organization_id: ORG_ID, lead_id: 'lead-1', status: 'completed' });
+
+    const first = await service.rescore('lead-1', 'call', 'call-1');
+    expect(first).toEqual(expect.objectContaining({ score: 61, changed: true }));
+    expect(storedLead()).toEqual(expect.objectContaining({ lead_score: 61, status: 'qualified', scored_at: NOW.toISOString() }));
+    expect(storedLead().qualification_data).toEqual(expect.objectContaining({ purchase_intent: 0.61, ready_to_buy: false, contact_preference: 'phone' }));
+    expect(history()).toEqual([expect.objectContaining({
+      lead_id: 'lead-1',
+      score: 61,
+      previous_score: null,
+      status: 'qualified',
+      previous_status: 'contacted',
+      source: 'call',
+      reference_id: 'call-1',
+      factors: storedLead().score_factors
+    })]);
+
+    // Nothing new: no history row
+    expect((await service.rescore('lead-1', 'recalculated'))!.changed).toBe(false);
+    expect(history()).toHaveLength(1);
+
+    // A lower score never moves a lead backwards
+    storedLead().qualification_data = { timeline: 'just_browsing' };
+    const lower = await service.rescore('lead-1', 'recalculated');
+    expect(lower!.score).toBe(11);
+    expect(storedLead().status).toBe('qualified');
+    expect(history()[1]).toEqual(expect.objectContaining({ score: 11, previous_score: 61, status: 'qualified', previous_status: 'qualified' }));
+  });
+
+  it('rescores on inbound texts, counting replies and buying signals', async () => {
+    storedLead().status = 'hot';
+
+    await request(app)
+      .post('/webhooks/twilio/sms')
+      .send({ From: PHONE, To: '+16045550000', Body: "I'm ready to buy, how much is the Trek FX 2?", MessageSid: 'SMin-1' });
+
+    const [change] = history();
+    expect(change).toEqual(expect.objectContaining({ source: 'sms', status: 'hot', previous_status: 'hot' }));
+    expect(change.reference_id).toBe((mockDb.conversations as any[])[0].id);
+    expect(change.factors.map((factor: any) => factor.key)).toEqual(['sms_replies', 'keyword:ready_to_buy', 'keyword:asked_price']);
+    expect(storedLead().lead_score).toBe(27);
+    // The customer still got an answer
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets staff override the status, including backwards, and shows the breakdown', async () => {
+    storedLead().qualification_data = { timeline: 'immediate', budget_range: 'over_2000' };
+    storedLead().last_contact_at = NOW.toISOString();
+    mockDb.call_sessions.push({ id: 'call-1', organization_id: ORG_ID, lead_id: 'lead-1', status: 'completed' });
+    await service.rescore('lead-1', 'recalculated');
+    expect(storedLead().status).toBe('hot');
+    jest.setSystemTime(NOW.getTime() + 60 * 1000);
+
+    const invalid = await request(app).put('/api/leads/lead-1/status').set('Authorization', `Bearer ${tokens.staff}`).send({ status: 'warm' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual(['status must be one of: new, contacted, qualified, hot, customer, closed']);
+
+    const viewer = await request(app).put('/api/leads/lead-1/status').set('Authorization', `Bearer ${tokens.viewer}`).send({ status: 'contacted' });
+    expect(viewer.status).toBe(403);
+
+    const res = await request(app)
+      .put('/api/leads/lead-1/status')
+      .set('Authorization', `Bearer ${tokens.staff}`)
+      .send({ status: 'contacted', reason: 'Bought elsewhere, keep in touch' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('contacted');
+    expect(history()[1]).toEqual(expect.objectContaining({
+      source: 'manual',
+      status: 'contacted',
+      previous_status: 'hot',
+      changed_by: 'staff',
+      reason: 'Bought elsewhere, keep in touch'
+    }));
+    expect((mockDb.audit_log as any[]).find(entry => entry.action === 'lead.status_overridden')).toEqual(expect.objectContaining({
+      target_id: 'lead-1',
+      user_id: 'staff',
+      details: { from: 'hot', to: 'contacted', reason: 'Bought elsewhere, keep in touch' }
+    }));
+
+    const score = await request(app).get('/api/leads/lead-1/score').set('Authorization', `Bearer ${tokens.viewer}`);
+    expect(score.body).toEqual(expect.objectContaining({ score: 65, status: 'contacted', scored_at: NOW.toISOString() }));
+    expect(score.body.factors.map((factor: any) => factor.key)).toEqual(['purchase_timeline', 'budget_range', 'calls', 'recency']);
+    expect(score.body.history.map((change: any) => change.source)).toEqual(['manual', 'recalculated']);
+  });
+});
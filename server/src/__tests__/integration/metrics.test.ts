@@ -0,0 +1,166 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import twilio from 'twilio';
+import { resetMockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupWebhooks } from '../../webhooks';
+import { setupMetricsRoutes } from '../../routes/metrics.routes';
+import { captureRawBody } from '../../middleware/webhookSignature';
+import { metricsRegistry } from '../../services/metrics.service';
+import { hashToolSecret } from '../../services/organization.service';
+import { ElevenLabsResponder } from '../../services/smsResponder.service';
+import { HumanControlService } from '../../services/humanControl.service';
+import { addConnection, removeConnection } from '../../services/realtime.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const TWILIO_TOKEN = 'twilio-metrics-token';
+const BASE_URL = 'https://bici.example.com';
+const TOOL_SECRET = 'tsec_metrics';
+// Monday 2026-10-19, 11:00 in Vancouver: the store is open, so the hours question gets the hours
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+setupWebhooks(app);
+setupMetricsRoutes(app);
+
+let sequence = 0;
+
+// Every text gets its own MessageSid so the signature replay cache never matches
+const incomingSMS = (Body: string, signed: boolean = true) => {
+  const params = { From: PHONE, To: '+16045550000', Body, MessageSid: `SM-metrics-${++sequence}` };
+  const req = request(app).post('/webhooks/twilio/sms').type('form');
+  if (signed) req.set('X-Twilio-Signature', twilio.getExpectedTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/webhooks/twilio/sms`, params));
+  return req.send(params);
+};
+
+// Outcomes are recorded once the response has gone out
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+async function scrape(): Promise<string> {
+  const response = await request(app).get('/metrics');
+  expect(response.status).toBe(200);
+  expect(response.headers['content-type']).toContain('text/plain');
+  return response.text;
+}
+
+// The value of one series, e.g. value(text, 'bici_sms_replies_total{organization_id="org-1",responder="rules"}')
+function value(text: string, series: string): number | undefined {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('prometheus metrics', () => {
+  beforeAll(() => {
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.WEBHOOK_BASE_URL = BASE_URL;
+  });
+
+  beforeEach(() => {
+    metricsRegistry.resetMetrics();
+    mockCreateMessage.mockClear();
+    jest.restoreAllMocks();
+    delete process.env.METRICS_TOKEN;
+
+    resetMockDb({
+      organizations: [{
+        id: ORG_ID, name: 'BICI', phone_number: '+16045550000',
+        settings: { name: 'BICI', sms_responders: ['elevenlabs', 'rules'], elevenlabs_agent_id: 'agent-1' },
+        tool_secret_hash: hashToolSecret(TOOL_SECRET)
+      }],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', status: 'contacted', qualification_data: {} }],
+      conversations: [],
+      webhook_events: []
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('measures webhooks, their steps, SMS responders and texts per organization', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    jest.spyOn(ElevenLabsResponder.prototype, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(ElevenLabsResponder.prototype, 'respond').mockRejectedValue(new Error('Agent unavailable'));
+
+    expect((await incomingSMS('What are your hours?')).status).toBe(200);
+    expect((await incomingSMS('Hello?', false)).status).toBe(403);
+    await settle();
+
+    const text = await scrape();
+    expect(value(text, 'bici_webhook_duration_seconds_count{organization_id="org-1",source="twilio",endpoint="sms",status="200"}')).toBe(1);
+    expect(value(text, 'bici_webhook_duration_seconds_count{organization_id="unknown",source="twilio",endpoint="sms",status="403"}')).toBe(1);
+    expect(value(text, 'bici_webhook_step_duration_seconds_count{organization_id="org-1",source="twilio",endpoint="sms",step="store_message",outcome="completed"}')).toBe(1);
+    expect(value(text, 'bici_webhook_step_duration_seconds_count{organization_id="org-1",source="twilio",endpoint="sms",step="ai_reply",outcome="completed"}')).toBe(1);
+
+    // The agent failed, so the rules answered
+    expect(value(text, 'bici_sms_responder_duration_seconds_count{organization_id="org-1",responder="elevenlabs",outcome="failed"}')).toBe(1);
+    expect(value(text, 'bici_sms_responder_fallbacks_total{organization_id="org-1",responder="elevenlabs"}')).toBe(1);
+    expect(value(text, 'bici_sms_replies_total{organization_id="org-1",responder="rules"}')).toBe(1);
+    expect(value(text, 'bici_sms_messages_total{organization_id="org-1",template_type="store_hours",outcome="sent"}')).toBe(1);
+  });
+
+  it('labels webhooks only with verified organizations', async () => {
+    const checkStock = (body: any, secret?: string) => {
+      const req = request(app).post('/webhooks/elevenlabs/tools/check-stock');
+      if (secret) req.set('X-Bici-Tool-Secret', secret);
+      return req.send(body);
+    };
+
+    expect((await checkStock({ organization_id: 'made-up-1' })).status).toBe(401);
+    expect((await checkStock({ organization_id: 'made-up-2' }, TOOL_SECRET)).status).toBe(400);
+    await settle();
+
+    const text = await scrape();
+    expect(value(text, 'bici_webhook_duration_seconds_count{organization_id="unknown",source="elevenlabs",endpoint="tools/check-stock",status="401"}')).toBe(1);
+    expect(value(text, 'bici_webhook_duration_seconds_count{organization_id="org-1",source="elevenlabs",endpoint="tools/check-stock",status="400"}')).toBe(1);
+    expect(text).not.toContain('made-up');
+  });
+
+  it('reports staff-held conversations, event streams and Redis from their sources', async () => {
+    await new HumanControlService().claimConversation('lead-1', ORG_ID, { id: 'staff', name: 'Staff' });
+    const connections = [
+      await addConnection('client-1', { organizationId: ORG_ID, userId: 'staff' }, () => {}),
+      await addConnection('client-2', { organizationId: ORG_ID, userId: 'owner' }, () => {}),
+      await addConnection('client-3', { organizationId: 'org-2', userId: 'other' }, () => {})
+    ];
+
+    try {
+      const text = await scrape();
+      expect(value(text, 'bici_human_control_sessions{organization_id="org-1"}')).toBe(1);
+      expect(value(text, 'bici_realtime_connections{organization_id="org-1"}')).toBe(2);
+      expect(value(text, 'bici_realtime_connections{organization_id="org-2"}')).toBe(1);
+      expect(value(text, 'bici_redis_connected')).toBe(0);
+      expect(text).toContain('# TYPE bici_redis_cache_hits_total counter');
+      expect(text).toContain('# TYPE bici_process_cpu_seconds_total counter');
+    } finally {
+      connections.forEach(removeConnection);
+    }
+
+    expect(value(await scrape(), 'bici_realtime_connections{organization_id="org-1"}')).toBeUndefined();
+  });
+
+  it('requires METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret')).status).toBe(200);
+  });
+
+  it('refuses to serve metrics in production without METRICS_TOKEN', async () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect((await request(app).get('/metrics')).status).toBe(503);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { OrganizationService } from '../../services/organization.service';
+import { AppointmentService } from '../../services/appointment.service';
+import { AutomationRuleService } from '../../services/automationRule.service';
+import { ConsentService } from '../../services/consent.service';
+import { SMSAutomationService } from '../../services/sms.service';
+import { generateGreetingContext } from '../../utils/greeting.helper';
+import { describeStoreStatus } from '../../utils/business-hours.helper';
+import { Lead, Organization } from '../../types';
+
+// Second store, in Toronto, still using the original "9:00-18:00" hours strings
+const TORONTO: Organization = {
+  id: 'org-toronto',
+  name: 'Queen West Cycles',
+  phone_number: '+14165550100',
+  settings: {
+    address: '500 Queen St W, Toronto, ON',
+    timezone: 'America/Toronto',
+    phone: '+14165550199',
+    business_hours: {
+      monday: '10:00-19:00',
+      tuesday: '10:00-19:00',
+      wednesday: '10:00-19:00',
+      thursday: '10:00-19:00',
+      friday: '10:00-19:00',
+      saturday: '10:00-17:00',
+      sunday: 'closed'
+    }
+  }
+};
+
+// Monday 2026-10-19 at 09:30 Toronto / 06:30 Vancouver
+const NOW = new Date('2026-10-19T13:30:00Z');
+
+describe('OrganizationService', () => {
+  const service = new OrganizationService();
+
+  beforeEach(() => {
+    resetMockDb({ organizations: [{ ...TORONTO, settings: { ...TORONTO.settings } }] });
+  });
+
+  it('fills settings the organization leaves out with the defaults', async () => {
+    const settings = await service.getSettings(TORONTO.id);
+
+    expect(settings.name).toBe('Queen West Cycles');
+    expect(settings.spoken_name).toBe('Queen West Cycles');
+    expect(settings.timezone).toBe('America/Toronto');
+    expect(settings.twilio_phone_number).toBe('+14165550100');
+    expect(settings.business_hours.monday).toEqual({ open: '10:00', close: '19:00' });
+    expect(settings.business_hours.sunday).toEqual({ open: 'closed', close: 'closed' });
+    expect(settings.services).toEqual(service.getDefaultSettings().services);
+  });
+
+  it('uses the defaults for an unknown organization', async () => {
+    expect(await service.getSettings('missing-org')).toEqual(service.getDefaultSettings());
+  });
+
+  it('rejects malformed settings', () => {
+    expect(service.validateSettings({
+      timezone: 'Mars/Olympus',
+      transfer_number: '604-555-0100',
+      business_hours: { funday: '9:00-17:00', monday: '18:00-09:00' },
+      services: 'repairs',
+      color: 'red'
+    } as any)).toEqual([
+      'timezone must be an IANA timezone such as America/Vancouver',
+      'transfer_number must be in E.164 format (e.g., +17787193080)',
+      'business_hours.funday is not a day of the week',
+      'business_hours.monday must be "closed" or an open time before the close time (HH:MM)',
+      'services must be a list of strings',
+      'color is not a supported setting'
+    ]);
+    expect(service.validateSettings({ business_hours: { sunday: 'closed' }, transfer_number: '+16045550100' })).toEqual([]);
+  });
+
+  it('merges updates and mirrors the name and number onto the organization', async () => {
+    const settings = await service.updateSettings(TORONTO.id, {
+      name: 'Queen West Bikes',
+      twilio_phone_number: '+14165550111',
+      business_hours: { sunday: { open: '11:00', close: '16:00' } }
+    });
+
+    expect(settings!.business_hours.sunday).toEqual({ open: '11:00', close: '16:00' });
+    expect(settings!.business_hours.monday).toEqual({ open: '10:00', close: '19:00' });
+
+    const [row] = mockDb.organizations;
+    expect(row.name).toBe('Queen West Bikes');
+    expect(row.phone_number).toBe('+14165550111');
+    expect(row.settings.address).toBe('500 Queen St W, Toronto, ON');
+
+    expect(await service.updateSettings('missing-org', { name: 'Nobody' })).toBeNull();
+  });
+});
+
+describe('per-organization settings in customer-facing text', () => {
+  const lead = {
+    id: 'lead-toronto',
+    organization_id: TORONTO.id,
+    phone_number: '+14165551234',
+    customer_name: 'Alex',
+    status: 'new'
+  } as Lead;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(NOW);
+    resetMockDb({
+      organizations: [TORONTO],
+      leads: [lead],
+      appointments: [],
+      conversations: [],
+      sms_automation_log: []
+    });
+    mockCreateMessage.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends texts from the organization\'s number and names the store', async () => {
+    const smsService = new SMSAutomationService();
+    const store = await new OrganizationService().getSettings(TORONTO.id);
+
+    await smsService.sendSMS(lead.phone_number, 'Hello', TORONTO.id);
+
+    expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({ from: '+14165550100' }));
+    expect(smsService.getAppointmentOptionsMessage(store, ['Monday at 2:00 PM'])).toContain('Queen West Cycles');
+  });
+
+  it('offers appointment slots in the store\'s timezone and hours', async () => {
+    const [first] = await new AppointmentService().getAvailableSlots(TORONTO.id, { limit: 1 });
+
+    // 09:30 Toronto plus the two-hour booking lead time
+    expect(first.label).toBe('Monday, October 19 at 12:00 PM');
+    expect(first.start).toBe('2026-10-19T16:00:00.000Z');
+  });
+
+  it('renders automation templates with the store\'s details', async () => {
+    const results = await new AutomationRuleService().evaluateForLead([{
+      id: 'rule-hours',
+      organization_id: TORONTO.id,
+      name: 'store_hours',
+      enabled: true,
+      match: 'any',
+      conditions: [{ field: 'triggers', operator: 'contains', value: 'asked_hours' }],
+      template: '{{store_name}} is {{store_status}}',
+      delay_minutes: 0,
+      priority: 0,
+      cooldown_minutes: 60,
+      created_at: NOW.toISOString(),
+      updated_at: NOW.toISOString()
+    }], { classification: 'general', triggers: ['asked_hours'], leadStatus: 'new', keyPoints: [], nextSteps: [] }, lead, TORONTO.id);
+
+    expect(results[0].message).toBe('Queen West Cycles is currently closed. We\'ll be open today at 10:00');
+  });
+
+  it('applies quiet hours and greetings in the store\'s timezone', async () => {
+    const consentService = new ConsentService();
+    const store = await new OrganizationService().getSettings(TORONTO.id);
+
+    expect((await consentService.checkOutbound(lead.phone_number, TORONTO.id, { automated: true })).reason).toBe('quiet_hours');
+    jest.setSystemTime(new Date('2026-10-19T14:30:00Z'));
+    expect((await consentService.checkOutbound(lead.phone_number, TORONTO.id, { automated: true })).allowed).toBe(true);
+
+    const greeting = generateGreetingContext(store, lead);
+    expect(greeting.current_time).toBe('10:30 AM');
+    expect(greeting.store_is_open).toBe('true');
+    expect(describeStoreStatus(store)).toBe('Open now until 19:00 (current time: 10:30 AM ET)');
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: jest.fn() } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { resetMockDb } from '../helpers/supabase-mock';
+import { setupAPIRoutes } from '../../routes';
+import { UserService } from '../../services/user.service';
+import { addConnection, broadcastToClients, removeConnection } from '../../services/realtime.service';
+import { RealtimeEnvelope } from '../../types/events';
+
+const ORG_ID = 'org-1';
+const OTHER_ORG_ID = 'org-2';
+const PASSWORD = 'correct horse battery';
+
+const app = express();
+app.use(express.json());
+setupAPIRoutes(app);
+
+const transcript = (organizationId: string, leadId: string, message: string) => ({
+  type: 'live_transcript' as const,
+  organization_id: organizationId,
+  lead_id: leadId,
+  speaker: 'user' as const,
+  message,
+  conversation_id: 'conv-1',
+  is_final: true,
+  confidence: 0.9
+});
+
+const smsReceived = (organizationId: string, leadId: string, message: string) => ({
+  type: 'sms_received' as const,
+  organization_id: organizationId,
+  lead_id: leadId,
+  phone_number: '+16045551234',
+  message
+});
+
+describe('realtime event bus', () => {
+  const userService = new UserService();
+  const connectionIds: string[] = [];
+  let passwordHash: string;
+
+  // Opens a connection and collects what it is sent
+  async function connect(clientId: string, organizationId: string, options: { leadId?: string; lastEventId?: string; userId?: string } = {}) {
+    const received: RealtimeEnvelope[] = [];
+    connectionIds.push(await addConnection(clientId, {
+      organizationId,
+      userId: options.userId || 'staff',
+      leadId: options.leadId,
+      lastEventId: options.lastEventId
+    }, envelope => received.push(envelope)));
+    return received;
+  }
+
+  beforeAll(async () => {
+    passwordHash = await userService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(() => {
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', settings: {} }, { id: OTHER_ORG_ID, name: 'Other', settings: {} }],
+      users: [{ id: 'viewer', organization_id: ORG_ID, email: 'viewer@bici.cc', name: 'Viewer', role: 'read_only', active: true, password_hash: passwordHash }],
+      leads: [
+        { id: 'lead-1', organization_id: ORG_ID, phone_number: '+16045551234' },
+        { id: 'lead-other', organization_id: OTHER_ORG_ID, phone_number: '+16045559999' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    connectionIds.splice(0).forEach(removeConnection);
+  });
+
+  it('keeps events inside their organization', async () => {
+    const mine = await connect('client-a', ORG_ID);
+    const theirs = await connect('client-b', OTHER_ORG_ID);
+
+    await broadcastToClients(smsReceived(ORG_ID, 'lead-1', 'Is the Trek in stock?'));
+
+    expect(mine).toEqual([expect.objectContaining({ type: 'sms_received', message: 'Is the Trek in stock?', id: expect.any(String) })]);
+    expect(theirs).toEqual([]);
+    expect(await broadcastToClients({ type: 'test_event', organization_id: '', message: 'nobody' } as any)).toBeNull();
+  });
+
+  it('only sends live transcripts to connections following the lead', async () => {
+    const following = await connect('client-a', ORG_ID, { leadId: 'lead-1' });
+    const orgWide = await connect('client-b', ORG_ID);
+
+    await broadcastToClients(transcript(ORG_ID, 'lead-1', 'Hi, calling about a tune-up'));
+    expect(following.map(event => event.type)).toEqual(['live_transcript']);
+    expect(orgWide).toEqual([]);
+
+    const login = await request(app).post('/api/auth/login').send({ email: 'viewer@bici.cc', password: PASSWORD });
+    const subscribe = (leadId: string | null) => request(app)
+      .post('/api/stream/client-b/subscribe')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ lead_id: leadId });
+
+    // Other organizations' leads can't be followed
+    expect((await subscribe('lead-other')).status).toBe(404);
+
+    // Read-only users can follow a call; the change reaches only their connection
+    const viewerStream = await connect('client-b', ORG_ID, { userId: 'viewer' });
+    expect((await subscribe('lead-1')).status).toBe(200);
+    await broadcastToClients(transcript(ORG_ID, 'lead-1', 'Saturday morning works'));
+    expect(viewerStream.map(event => event.type === 'live_transcript' && event.message)).toEqual(['Saturday morning works']);
+    expect(orgWide).toEqual([]);
+
+    expect((await subscribe(null)).status).toBe(200);
+    await broadcastToClients(transcript(ORG_ID, 'lead-1', 'Thanks, bye'));
+    expect(viewerStream).toHaveLength(1);
+  });
+
+  it('replays what a reconnecting client missed after Last-Event-ID', async () => {
+    const first = await broadcastToClients(smsReceived(ORG_ID, 'lead-1', 'first'));
+    await broadcastToClients(smsReceived(OTHER_ORG_ID, 'lead-other', 'elsewhere'));
+    await broadcastToClients(transcript(ORG_ID, 'lead-1', 'live detail'));
+    const third = await broadcastToClients(smsReceived(ORG_ID, 'lead-1', 'second'));
+
+    const replayed = await connect('client-a', ORG_ID, { lastEventId: first!.id });
+    expect(replayed.map(event => event.type === 'sms_received' && event.message)).toEqual(['second']);
+    expect(replayed[0].id).toBe(third!.id);
+
+    // Following the lead replays its live detail too; unknown ids replay nothing
+    const following = await connect('client-b', ORG_ID, { lastEventId: first!.id, leadId: 'lead-1' });
+    expect(following.map(event => event.type)).toEqual(['live_transcript', 'sms_received']);
+    expect(await connect('client-c', ORG_ID, { lastEventId: 'not-an-id' })).toEqual([]);
+
+    await broadcastToClients(smsReceived(ORG_ID, 'lead-1', 'after reconnect'));
+    expect(replayed.map(event => event.type === 'sms_received' && event.message)).toEqual(['second', 'after reconnect']);
+  });
+});
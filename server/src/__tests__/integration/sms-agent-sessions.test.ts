@@ -0,0 +1,188 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import { AddressInfo } from 'net';
+import { IncomingMessage } from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { elevenLabsConfig } from '../../config/elevenlabs.config';
+import { respondersConfig } from '../../config/responders.config';
+import { smsConversations, SMSTurnFailedError } from '../../services/smsConversation.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+
+const sms = (Body: string) => request(app)
+  .post('/webhooks/twilio/sms')
+  .send({ From: PHONE, To: '+16045550000', Body, MessageSid: `SMin-${Body}` });
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+interface FakeSession {
+  url: string;
+  apiKey: string | undefined;
+  received: any[];
+  socket: WebSocket;
+}
+
+describe('ElevenLabs SMS sessions', () => {
+  let server: WebSocketServer;
+  let sessions: FakeSession[];
+  // What the fake agent answers to each user_message
+  let answer: (text: string) => string[];
+
+  const userMessages = () => sessions.flatMap(session => session.received.filter(m => m.type === 'user_message').map(m => m.text));
+  const sentTexts = () => mockCreateMessage.mock.calls.map(call => call[0].body);
+
+  beforeAll(async () => {
+    server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+
+    // Behaves like the ElevenLabs conversation socket: metadata, a greeting, then replies
+    server.on('connection', (socket: WebSocket, req: IncomingMessage) => {
+      const session: FakeSession = { url: req.url!, apiKey: req.headers['xi-api-key'] as string, received: [], socket };
+      sessions.push(session);
+      const conversationId = `conv-${sessions.length}`;
+
+      socket.on('message', async (data) => {
+        const message = JSON.parse(data.toString());
+        session.received.push(message);
+
+        if (message.type === 'conversation_initiation_client_data') {
+          socket.send(JSON.stringify({
+            type: 'conversation_initiation_metadata',
+            conversation_initiation_metadata_event: { conversation_id: conversationId }
+          }));
+          socket.send(JSON.stringify({ type: 'ping', ping_event: { event_id: 7 } }));
+          socket.send(JSON.stringify({ type: 'agent_response', agent_response_event: { agent_response: 'Hi! How can I help?' } }));
+        }
+
+        if (message.type === 'user_message') {
+          for (const part of answer(message.text)) {
+            await wait(20);
+            socket.send(JSON.stringify({ type: 'agent_response', agent_response_event: { agent_response: part } }));
+          }
+        }
+      });
+    });
+
+    elevenLabsConfig.wsBaseUrl = `ws://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    elevenLabsConfig.smsSessions = { idleSeconds: 60, coalesceMs: 300, replySettleMs: 100, replyTimeoutMs: 800, greetingWaitMs: 100 };
+    // Retry the agent right after a failed turn instead of sitting it out
+    respondersConfig.cooldownSeconds = 0;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    sessions = [];
+    answer = text => [`You said: ${text}`];
+    mockCreateMessage.mockClear();
+
+    resetMockDb({
+      organizations: [{ id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', elevenlabs_agent_id: 'agent-sms' } }],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', status: 'contacted' }],
+      conversations: [],
+      sms_automation_log: [],
+      sms_consent_log: []
+    });
+  });
+
+  afterEach(() => {
+    smsConversations.closeAll();
+    elevenLabsConfig.smsSessions.idleSeconds = 60;
+  });
+
+  it('keeps one session per lead and records its conversation id on the texts', async () => {
+    expect((await sms('Do you have the Trek FX 2 in a medium?')).text).toBe('Message processed');
+    expect((await sms('What about a large?')).text).toBe('Message processed');
+
+    // One socket, the lead's context sent once, the greeting skipped and pings answered
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].url).toBe('/v1/convai/conversation?agent_id=agent-sms');
+    expect(sessions[0].apiKey).toBe(elevenLabsConfig.apiKey);
+    expect(sessions[0].received.map(m => m.type)).toEqual(['conversation_initiation_client_data', 'pong', 'user_message', 'user_message']);
+    expect(sessions[0].received[0].dynamic_variables).toEqual(expect.objectContaining({ customer_name: 'Sam', channel: 'sms', lead_id: 'lead-1' }));
+    expect(sessions[0].received[1].event_id).toBe(7);
+    expect(sentTexts()).toEqual(['You said: Do you have the Trek FX 2 in a medium?', 'You said: What about a large?']);
+
+    const rows = mockDb.conversations as any[];
+    expect(rows.map(row => [row.sent_by, row.metadata?.elevenlabs_conversation_id])).toEqual([
+      ['user', 'conv-1'], ['agent', 'conv-1'], ['user', 'conv-1'], ['agent', 'conv-1']
+    ]);
+    expect(rows[0].metadata.message_sid).toBe('SMin-Do you have the Trek FX 2 in a medium?');
+  });
+
+  it('answers a burst of texts as one turn, in as many parts as the agent sends', async () => {
+    answer = () => ['Yes, we have both sizes.', 'Want me to hold one for you?'];
+
+    const first = Promise.resolve(sms('Is the Trek in stock?'));
+    await wait(60);
+    const second = Promise.resolve(sms('The blue one'));
+    const [a, b] = await Promise.all([first, second]);
+
+    expect([a.text, b.text]).toEqual(['Message processed', 'Message coalesced']);
+    expect(userMessages()).toEqual(['Is the Trek in stock?\nThe blue one']);
+    expect(sentTexts()).toEqual(['Yes, we have both sizes.', 'Want me to hold one for you?']);
+
+    // Both inbound texts point at the conversation that answered them
+    const inbound = (mockDb.conversations as any[]).filter(row => row.sent_by === 'user');
+    expect(inbound.map(row => row.metadata.elevenlabs_conversation_id)).toEqual(['conv-1', 'conv-1']);
+
+    const metrics = smsConversations.getMetrics();
+    expect(metrics.coalesced_texts).toBeGreaterThanOrEqual(1);
+    expect(metrics.multipart_replies).toBeGreaterThanOrEqual(1);
+    expect(metrics.latency_ms.reply.count).toBeGreaterThanOrEqual(1);
+    expect(metrics.latency_ms.connect.p95).toEqual(expect.any(Number));
+  });
+
+  it('opens a new session once the idle window passes', async () => {
+    elevenLabsConfig.smsSessions.idleSeconds = 0.5;
+
+    await sms('Hi');
+    await wait(800);
+    expect(smsConversations.getMetrics().active_sessions).toBe(0);
+
+    await sms('Still there?');
+    expect(sessions).toHaveLength(2);
+    expect(sessions[1].received[0].type).toBe('conversation_initiation_client_data');
+    expect((mockDb.conversations as any[]).slice(-1)[0].metadata.elevenlabs_conversation_id).toBe('conv-2');
+  });
+
+  it('fails a collecting turn when its session is closed, without reconnecting', async () => {
+    const reply = smsConversations.reply('lead-1', 'Can I talk to a person?', { agentId: 'agent-sms', dynamicVariables: async () => ({}) });
+    smsConversations.closeSession('lead-1');
+
+    await expect(reply).rejects.toBeInstanceOf(SMSTurnFailedError);
+    await expect(reply).rejects.toEqual(expect.objectContaining({ messages: ['Can I talk to a person?'] }));
+    await wait(400);
+    expect(sessions).toHaveLength(0);
+    expect(smsConversations.getMetrics().active_sessions).toBe(0);
+  });
+
+  it('falls back to a canned reply when the agent does not answer', async () => {
+    answer = () => [];
+
+    expect((await sms('Hello?')).text).toBe('Message processed');
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+    expect(sentTexts()[0]).toContain('Sam');
+
+    // The silent session is dropped so a late answer can't leak into the next turn
+    answer = text => [`You said: ${text}`];
+    await sms('Anyone?');
+    expect(sessions).toHaveLength(2);
+    expect(sentTexts()[1]).toBe('You said: Anyone?');
+  });
+});
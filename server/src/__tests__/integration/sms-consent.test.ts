@@ -0,0 +1,117 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+const mockCreateMessage = jest.fn(async (params: any) => ({ sid: `SM${Date.now()}`, status: 'queued', ...params }));
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: (params: any) => mockCreateMessage(params) } },
+  twilioConfig: { phoneNumber: '+16045550000' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { ConsentService } from '../../services/consent.service';
+import { SMSAutomationService } from '../../services/sms.service';
+import { Lead } from '../../types';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+
+const lead = {
+  id: 'lead-1',
+  organization_id: ORG_ID,
+  phone_number: PHONE,
+  phone_number_normalized: '16045551234',
+  status: 'new'
+} as Lead;
+
+// Monday 2026-10-19 at 10:00 and 22:00 Pacific
+const OPEN = new Date('2026-10-19T17:00:00Z');
+const AFTER_HOURS = new Date('2026-10-20T05:00:00Z');
+
+describe('SMS consent', () => {
+  const consentService = new ConsentService();
+  const smsService = new SMSAutomationService();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(OPEN);
+    resetMockDb({ leads: [lead], conversations: [], sms_automation_log: [], sms_consent_log: [] });
+    mockCreateMessage.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('recognizes carrier keywords only as whole messages', () => {
+    expect(consentService.detectKeyword('Stop')).toBe('stop');
+    expect(consentService.detectKeyword(' unsubscribe. ')).toBe('stop');
+    expect(consentService.detectKeyword('START')).toBe('start');
+    expect(consentService.detectKeyword('help')).toBe('help');
+    expect(consentService.detectKeyword('please stop the bike noise')).toBeNull();
+    // CANCEL belongs to appointment replies
+    expect(consentService.detectKeyword('CANCEL')).toBeNull();
+  });
+
+  it('records STOP in the ledger and blocks every later send', async () => {
+    const reply = await consentService.handleKeyword(lead, 'stop', 'STOP');
+
+    expect(reply).toContain('unsubscribed');
+    expect(mockDb.leads[0].sms_opted_out).toBe(true);
+    expect(mockDb.leads[0].sms_opt_out_source).toBe('sms_keyword');
+    expect(mockDb.sms_consent_log).toEqual([
+      expect.objectContaining({ lead_id: lead.id, action: 'opt_out', source: 'sms_keyword', keyword: 'STOP' })
+    ]);
+
+    const result = await smsService.sendSMS(PHONE, 'New e-bikes just landed!', ORG_ID);
+
+    expect(result).toEqual({ suppressed: true, reason: 'opted_out' });
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+    expect(mockDb.sms_automation_log).toEqual([
+      expect.objectContaining({ status: 'suppressed', trigger_reason: 'opted_out', lead_id: lead.id })
+    ]);
+  });
+
+  it('still delivers the STOP confirmation itself', async () => {
+    const reply = await consentService.handleKeyword(lead, 'stop', 'STOP');
+    await smsService.sendSMS(PHONE, reply, ORG_ID, { complianceReply: true });
+
+    expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE, body: reply }));
+  });
+
+  it('lets START resubscribe', async () => {
+    await consentService.handleKeyword(lead, 'stop', 'STOP');
+    await consentService.handleKeyword(lead, 'start', 'START');
+
+    expect(mockDb.leads[0].sms_opted_out).toBe(false);
+    expect(mockDb.sms_consent_log.map((row: any) => row.action)).toEqual(['opt_out', 'opt_in']);
+
+    const result = await smsService.sendSMS(PHONE, 'Your bike is ready for pickup', ORG_ID);
+    expect(result.suppressed).toBeUndefined();
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('holds automated texts outside store hours but not conversational replies', async () => {
+    jest.setSystemTime(AFTER_HOURS);
+
+    const automated = await smsService.sendSMS(PHONE, 'Thanks for calling BICI!', ORG_ID, { automated: true });
+    expect(automated).toEqual({ suppressed: true, reason: 'quiet_hours' });
+
+    await smsService.sendSMS(PHONE, 'Yes, we have that size in stock.', ORG_ID);
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('evaluates quiet hours in the lead timezone', () => {
+    // 10:00 Pacific is 13:00 in Toronto - open in both
+    expect(consentService.isQuietHours(undefined, OPEN)).toBe(false);
+    expect(consentService.isQuietHours('America/Toronto', OPEN)).toBe(false);
+
+    // 07:00 Pacific is 10:00 in Toronto
+    const earlyPacific = new Date('2026-10-19T14:00:00Z');
+    expect(consentService.isQuietHours(undefined, earlyPacific)).toBe(true);
+    expect(consentService.isQuietHours('America/Toronto', earlyPacific)).toBe(false);
+  });
+});
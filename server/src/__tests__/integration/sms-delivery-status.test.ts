@@ -0,0 +1,152 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+
+const mockCreateMessage = jest.fn(async (params: any) => ({ sid: 'SM-retry', status: 'queued', ...params }));
+
+jest.mock('../../config/twilio.config', () => ({
+  twilioClient: { messages: { create: (params: any) => mockCreateMessage(params) } },
+  twilioConfig: { phoneNumber: '+16045550000', smsStatusCallback: 'https://example.com/webhooks/twilio/sms/status' },
+  formatPhoneNumber: (s: string) => s,
+  normalizePhoneNumber: (s: string) => s.replace(/\D/g, '')
+}));
+
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+
+import { resetMockDb, mockDb, supabase } from '../helpers/supabase-mock';
+import { SMSDeliveryService } from '../../services/smsDelivery.service';
+import { jobQueue } from '../../services/jobQueue.service';
+import { registerJobHandlers } from '../../services/jobHandlers';
+import { broadcastToClients, broadcastLeadUpdate } from '../../services/realtime.service';
+
+const ORG_ID = 'org-1';
+
+const lead = {
+  id: 'lead-1',
+  organization_id: ORG_ID,
+  phone_number: '+16045551234',
+  phone_number_normalized: '16045551234',
+  status: 'contacted'
+};
+
+function sentMessage(sid: string, metadata: Record<string, any> = {}) {
+  return {
+    id: `conv-${sid}`,
+    organization_id: ORG_ID,
+    lead_id: lead.id,
+    content: 'Your bike is ready for pickup',
+    sent_by: 'agent',
+    type: 'sms',
+    metadata: { message_sid: sid, delivery_status: 'queued', ...metadata }
+  };
+}
+
+describe('SMSDeliveryService', () => {
+  const service = new SMSDeliveryService();
+
+  beforeAll(() => {
+    registerJobHandlers();
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2026-10-19T17:00:00Z'));
+    resetMockDb({
+      leads: [lead],
+      conversations: [sentMessage('SM1')],
+      sms_automation_log: [{ id: 'log-1', message_sid: 'SM1', status: 'sent' }]
+    });
+    mockCreateMessage.mockClear();
+    (broadcastToClients as jest.Mock).mockClear();
+    (broadcastLeadUpdate as jest.Mock).mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('writes the status to the conversation and automation log and broadcasts it', async () => {
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'delivered' });
+
+    expect(mockDb.conversations[0].metadata.delivery_status).toBe('delivered');
+    expect(mockDb.sms_automation_log[0].status).toBe('delivered');
+    expect(broadcastToClients).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'sms_status',
+      lead_id: lead.id,
+      conversation_id: 'conv-SM1',
+      status: 'delivered'
+    }));
+  });
+
+  it('fails the update when the automation log cannot be written', async () => {
+    const from = supabase.from;
+    const spy = jest.spyOn(supabase, 'from').mockImplementation((table: string) => table === 'sms_automation_log'
+      ? ({ update: () => ({ eq: async () => ({ data: null, error: { message: 'permission denied' } }) }) } as any)
+      : from(table));
+    try {
+      await expect(service.handleStatusUpdate({ messageSid: 'SM1', status: 'delivered' }))
+        .rejects.toThrow('update SMS automation log status');
+      expect(broadcastToClients).not.toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('ignores callbacks that arrive out of order', async () => {
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'delivered' });
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'sent' });
+
+    expect(mockDb.conversations[0].metadata.delivery_status).toBe('delivered');
+    expect(broadcastToClients).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed message once after a backoff', async () => {
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'undelivered', errorCode: '30008' });
+
+    expect(mockDb.conversations[0].metadata.delivery_error_code).toBe('30008');
+    expect(mockDb.conversations[0].metadata.retry_scheduled_at).toBeDefined();
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+
+    const [job] = await jobQueue.listPending({ leadId: lead.id });
+    expect(job.type).toBe('sms.retry');
+
+    jest.setSystemTime(Date.now() + 60 * 1000);
+    await jobQueue.processDueJobs();
+
+    expect(mockCreateMessage).toHaveBeenCalledWith(expect.objectContaining({
+      to: lead.phone_number,
+      body: 'Your bike is ready for pickup'
+    }));
+    const retry = mockDb.conversations.find((conv: any) => conv.metadata?.retry_of === 'SM1');
+    expect(retry).toBeDefined();
+    expect(mockDb.conversations[0].metadata.retried_as).toBe('SM-retry');
+    expect(broadcastLeadUpdate).not.toHaveBeenCalled();
+  });
+
+  it('flags the lead when the retry fails too', async () => {
+    mockDb.conversations.push(sentMessage('SM2', { retry_of: 'SM1' }));
+
+    await service.handleStatusUpdate({ messageSid: 'SM2', status: 'failed', errorCode: '30008' });
+
+    expect(mockDb.leads[0].sms_delivery_failed).toBe(true);
+    expect(mockDb.leads[0].sms_delivery_error_code).toBe('30008');
+    expect(broadcastLeadUpdate).toHaveBeenCalledWith(lead.id, expect.objectContaining({
+      updates: expect.objectContaining({ sms_delivery_failed: true })
+    }));
+  });
+
+  it('does not retry permanent carrier errors', async () => {
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'failed', errorCode: '30006' });
+
+    expect(await jobQueue.listPending({ leadId: lead.id })).toHaveLength(0);
+
+    expect(mockCreateMessage).not.toHaveBeenCalled();
+    expect(mockDb.leads[0].sms_delivery_failed).toBe(true);
+  });
+
+  it('clears the lead flag once a message is delivered again', async () => {
+    mockDb.leads[0].sms_delivery_failed = true;
+
+    await service.handleStatusUpdate({ messageSid: 'SM1', status: 'delivered' });
+
+    expect(mockDb.leads[0].sms_delivery_failed).toBe(false);
+  });
+});
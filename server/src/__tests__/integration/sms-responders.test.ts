@@ -0,0 +1,186 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { handleIncomingSMS } from '../../webhooks/twilio.webhook';
+import { elevenLabsConfig } from '../../config/elevenlabs.config';
+import { respondersConfig } from '../../config/responders.config';
+import { smsConversations } from '../../services/smsConversation.service';
+import { OrganizationService } from '../../services/organization.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const HOURS = { monday: '08:00-18:00', tuesday: '08:00-18:00', wednesday: '08:00-18:00', thursday: '08:00-18:00', friday: '08:00-18:00', saturday: '09:00-16:30', sunday: '09:00-16:30' };
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.post('/webhooks/twilio/sms', handleIncomingSMS);
+
+const sms = (Body: string) => request(app)
+  .post('/webhooks/twilio/sms')
+  .send({ From: PHONE, To: '+16045550000', Body, MessageSid: `SMin-${Body}` });
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SMS responders', () => {
+  let chatServer: http.Server;
+  let chatRequests: { headers: http.IncomingHttpHeaders; body: any }[];
+  // Status and body the fake chat endpoint answers with
+  let chatReply: { status: number; body: any };
+
+  const sentTexts = () => mockCreateMessage.mock.calls.map(call => call[0].body);
+  const rows = () => mockDb.conversations as any[];
+
+  const seed = (smsResponders: string[]) => resetMockDb({
+    organizations: [{
+      id: ORG_ID,
+      name: 'BICI',
+      phone_number: '+16045550000',
+      settings: {
+        name: 'BICI',
+        address: '1497 Adanac Street, Vancouver, BC',
+        phone: '+16045559000',
+        timezone: 'America/Vancouver',
+        business_hours: HOURS,
+        services: ['Tune-ups', 'Flat repairs'],
+        sms_responders: smsResponders
+      }
+    }],
+    leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam Lee', status: 'contacted' }],
+    conversations: [],
+    sms_automation_log: [],
+    sms_consent_log: []
+  });
+
+  beforeAll(async () => {
+    chatServer = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => (raw += chunk));
+      req.on('end', () => {
+        chatRequests.push({ headers: req.headers, body: JSON.parse(raw) });
+        res.writeHead(chatReply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(chatReply.body));
+      });
+    });
+    await new Promise<void>(resolve => chatServer.listen(0, '127.0.0.1', resolve));
+
+    // Nothing listens here, so the ElevenLabs agent is always unreachable
+    elevenLabsConfig.wsBaseUrl = 'ws://127.0.0.1:1';
+    elevenLabsConfig.smsSessions = { idleSeconds: 60, coalesceMs: 300, replySettleMs: 100, replyTimeoutMs: 800, greetingWaitMs: 100 };
+    respondersConfig.openai.baseUrl = `http://127.0.0.1:${(chatServer.address() as AddressInfo).port}/v1`;
+    respondersConfig.openai.apiKey = 'sk-local';
+    respondersConfig.openai.model = 'local-llama';
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => chatServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    chatRequests = [];
+    chatReply = { status: 200, body: { choices: [{ message: { role: 'assistant', content: 'The Trek FX 2 is in stock in medium.' } }] } };
+    respondersConfig.cooldownSeconds = 0;
+    mockCreateMessage.mockClear();
+  });
+
+  afterEach(() => {
+    smsConversations.closeAll();
+    jest.useRealTimers();
+  });
+
+  it('fails over from ElevenLabs to the chat endpoint and records who answered', async () => {
+    seed(['elevenlabs', 'openai', 'rules']);
+    rows().push({ id: 'earlier', organization_id: ORG_ID, lead_id: 'lead-1', content: 'Hi, do you sell hybrids?', sent_by: 'user', type: 'sms', timestamp: new Date(NOW.getTime() - 60000) });
+
+    expect((await sms('Is the Trek FX 2 in stock?')).text).toBe('Message processed');
+    expect(sentTexts()).toEqual(['The Trek FX 2 is in stock in medium.']);
+
+    const [chat] = chatRequests;
+    expect(chat.headers.authorization).toBe('Bearer sk-local');
+    expect(chat.body.model).toBe('local-llama');
+    expect(chat.body.messages[0]).toEqual({ role: 'system', content: expect.stringContaining('You are texting Sam Lee.') });
+    expect(chat.body.messages[0].content).toContain('Open now until 18:00');
+    expect(chat.body.messages.slice(1)).toEqual([
+      { role: 'user', content: 'Hi, do you sell hybrids?' },
+      { role: 'user', content: 'Is the Trek FX 2 in stock?' }
+    ]);
+
+    const [, inbound, outbound] = rows();
+    expect(inbound.metadata).toEqual(expect.objectContaining({ responder: 'openai', message_sid: 'SMin-Is the Trek FX 2 in stock?' }));
+    expect(outbound.metadata.responder).toBe('openai');
+  });
+
+  it('answers with rules when no AI responder is available', async () => {
+    seed(['elevenlabs', 'openai']);
+    chatReply = { status: 503, body: { error: 'model loading' } };
+
+    await sms('What are your hours today?');
+    await sms('Where are you located? I need a tune-up');
+    await sms('Do you price match?');
+
+    expect(sentTexts()).toEqual([
+      "Hi Sam! We're open now. Today's hours: 08:00 - 18:00. For anything else, call us at +16045559000.",
+      "Hi Sam! You'll find us at 1497 Adanac Street, Vancouver, BC. Our service team handles tune-ups, flat repairs. For anything else, call us at +16045559000.",
+      "Hi Sam! Thanks for your message! For the quickest help, please call us at +16045559000. Today's hours: 08:00 - 18:00."
+    ]);
+    expect(rows().filter(row => row.sent_by === 'agent').map(row => row.metadata.responder)).toEqual(['rules', 'rules', 'rules']);
+    expect(chatRequests).toHaveLength(3);
+  });
+
+  it('follows each organization\'s order and answers a failed burst in full', async () => {
+    seed(['openai', 'elevenlabs']);
+    await sms('Any e-bikes under $3000?');
+    expect(chatRequests).toHaveLength(1);
+    expect(smsConversations.getMetrics().active_sessions).toBe(0);
+
+    // ElevenLabs first: the texts it collected before failing all reach the chat model
+    seed(['elevenlabs', 'openai']);
+    chatRequests = [];
+    const first = Promise.resolve(sms('Can I bring my bike in'));
+    await wait(60);
+    const second = Promise.resolve(sms('for a brake adjustment?'));
+    const [a, b] = await Promise.all([first, second]);
+
+    expect([a.text, b.text]).toEqual(['Message processed', 'Message coalesced']);
+    expect(chatRequests).toHaveLength(1);
+    expect(chatRequests[0].body.messages.slice(-1)[0].content).toBe('Can I bring my bike in\nfor a brake adjustment?');
+    expect(sentTexts().slice(-1)).toEqual(['The Trek FX 2 is in stock in medium.']);
+  });
+
+  it('skips a responder that just failed', async () => {
+    seed(['elevenlabs', 'openai']);
+    respondersConfig.cooldownSeconds = 60;
+
+    await sms('Hello');
+    const opened = smsConversations.getMetrics().sessions_opened;
+    await sms('Hello again');
+
+    expect(smsConversations.getMetrics().sessions_opened).toBe(opened);
+    expect(rows().filter(row => row.sent_by === 'agent').map(row => row.metadata.responder)).toEqual(['openai', 'openai']);
+
+    jest.setSystemTime(NOW.getTime() + 61 * 1000);
+    await sms('Still there?');
+    expect(smsConversations.getMetrics().sessions_opened).toBeGreaterThan(opened);
+  });
+
+  it('validates the responder order in organization settings', () => {
+    const service = new OrganizationService();
+
+    expect(service.validateSettings({ sms_responders: ['openai', 'rules'] })).toEqual([]);
+    expect(service.validateSettings({ sms_responders: [] })).toEqual(['sms_responders must be a non-empty list of: elevenlabs, openai, rules']);
+    expect(service.validateSettings({ sms_responders: ['gpt'] as any })).toHaveLength(1);
+    expect(service.validateSettings({ sms_responders: ['rules', 'rules'] })).toEqual(['sms_responders must not repeat a responder']);
+    expect(service.resolveSettings({ id: ORG_ID, name: 'BICI', phone_number: '', settings: {} }).sms_responders).toEqual(['elevenlabs', 'rules']);
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock('../../config/supabase.config', () => require('../helpers/supabase-mock').supabaseConfigMock);
+jest.mock('../../config/twilio.config', () => require('../helpers/module-mocks').twilioConfigMock);
+jest.mock('../../services/realtime.service', () => require('../helpers/module-mocks').realtimeServiceMock);
+jest.mock('node-fetch', () => require('../helpers/module-mocks').nodeFetchMock);
+
+import express from 'express';
+import request from 'supertest';
+import twilio from 'twilio';
+import { resetMockDb, mockDb } from '../helpers/supabase-mock';
+import { mockCreateMessage } from '../helpers/module-mocks';
+import { setupAPIRoutes } from '../../routes';
+import { setupWebhooks } from '../../webhooks';
+import { captureRawBody, signElevenLabsPayload } from '../../middleware/webhookSignature';
+import { EnhancedSMSAutomationService } from '../../services/enhanced-sms.service';
+import { smsResponders } from '../../services/smsResponder.service';
+import { UserService } from '../../services/user.service';
+
+const ORG_ID = 'org-1';
+const PHONE = '+16045551234';
+const PASSWORD = 'correct horse battery';
+const SECRET = 'whsec_events_secret';
+const TWILIO_TOKEN = 'twilio-events-token';
+const BASE_URL = 'https://bici.example.com';
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+setupWebhooks(app);
+setupAPIRoutes(app);
+
+// Outcomes are recorded once the response has gone out
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const postCall = (payload: Record<string, any>) => {
+  const raw = JSON.stringify(payload);
+  return request(app)
+    .post('/webhooks/elevenlabs/post-call')
+    .set('Content-Type', 'application/json')
+    .set('ElevenLabs-Signature', signElevenLabsPayload(raw, SECRET))
+    .send(raw);
+};
+
+const incomingSMS = (params: Record<string, string>) => request(app)
+  .post('/webhooks/twilio/sms')
+  .type('form')
+  .set('X-Twilio-Signature', twilio.getExpectedTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/webhooks/twilio/sms`, params))
+  .send(params);
+
+const callPayload = (conversationId: string) => ({
+  type: 'post_call_transcription',
+  data: {
+    conversation_id: conversationId,
+    agent_id: 'agent-1',
+    transcript: [
+      { role: 'agent', message: 'Thanks for calling BICI!', time_in_call_secs: 0 },
+      { role: 'user', message: 'Do you have the Sirrus in medium?', time_in_call_secs: 5 }
+    ],
+    metadata: { phone_call: { external_number: PHONE, call_sid: 'CA1' }, start_time_unix_secs: NOW.getTime() / 1000 - 60, call_duration_secs: 45 },
+    analysis: { transcript_summary: 'Asked about Sirrus stock' },
+    conversation_initiation_client_data: { dynamic_variables: { organization_id: ORG_ID } }
+  }
+});
+
+describe('webhook events', () => {
+  const userService = new UserService();
+  let ownerToken: string;
+  let staffToken: string;
+
+  const events = () => mockDb.webhook_events as any[];
+  const api = (method: 'get' | 'post', path: string, token: string = ownerToken) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(() => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = SECRET;
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.WEBHOOK_BASE_URL = BASE_URL;
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'], now: NOW });
+    mockCreateMessage.mockClear();
+    jest.restoreAllMocks();
+
+    const passwordHash = await userService.hashPassword(PASSWORD);
+    resetMockDb({
+      organizations: [
+        { id: ORG_ID, name: 'BICI', phone_number: '+16045550000', settings: { name: 'BICI', sms_responders: ['rules'] } },
+        { id: 'org-2', name: 'Other', phone_number: '+16045559999', settings: { name: 'Other' } }
+      ],
+      users: [
+        { id: 'owner', organization_id: ORG_ID, email: 'owner@bici.cc', name: 'Owner', role: 'owner', active: true, password_hash: passwordHash },
+        { id: 'staff', organization_id: ORG_ID, email: 'staff@bici.cc', name: 'Staff', role: 'staff', active: true, password_hash: passwordHash }
+      ],
+      leads: [{ id: 'lead-1', organization_id: ORG_ID, phone_number: PHONE, phone_number_normalized: '16045551234', customer_name: 'Sam', status: 'contacted', qualification_data: {} }],
+      call_sessions: [
+        { id: 'call-1', organization_id: ORG_ID, lead_id: 'lead-1', elevenlabs_conversation_id: 'conv-1', status: 'active', started_at: NOW.toISOString() },
+        { id: 'call-2', organization_id: ORG_ID, lead_id: 'lead-1', elevenlabs_conversation_id: 'conv-2', status: 'active', started_at: NOW.toISOString() }
+      ],
+      conversations: [],
+      conversation_summaries: [],
+      webhook_events: [],
+      audit_log: []
+    });
+
+    ownerToken = (await request(app).post('/api/auth/login').send({ email: 'owner@bici.cc', password: PASSWORD })).body.token;
+    staffToken = (await request(app).post('/api/auth/login').send({ email: 'staff@bici.cc', password: PASSWORD })).body.token;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps a failed post-call and replays it without repeating completed steps', async () => {
+    const automation = jest.spyOn(EnhancedSMSAutomationService.prototype, 'triggerSmartAutomation')
+      .mockRejectedValueOnce(new Error('Twilio is down'))
+      .mockResolvedValue(undefined as any);
+
+    expect((await postCall(callPayload('conv-1'))).status).toBe(500);
+    await settle();
+
+    const [event] = events();
+    expect(event).toMatchObject({
+      organization_id: ORG_ID,
+      source: 'elevenlabs',
+      endpoint: 'post-call',
+      external_id: 'conv-1',
+      status: 'failed',
+      attempts: 1,
+      last_error: 'Twilio is down',
+      response_status: 500
+    });
+    expect(Object.keys(event.steps)).toEqual(['summary', 'transcript', 'memory']);
+    expect(mockDb.conversation_summaries).toHaveLength(1);
+    expect(mockDb.conversations).toHaveLength(2);
+
+    // Owners only, and only their organization's events
+    expect((await api('get', '/api/admin/webhook-events?status=failed', staffToken)).status).toBe(403);
+    expect((await api('get', '/api/admin/webhook-events?status=failed,lost')).status).toBe(400);
+    const listed = await api('get', '/api/admin/webhook-events?status=failed&source=elevenlabs');
+    expect(listed.status).toBe(200);
+    expect(listed.body).toEqual({ events: [expect.objectContaining({ id: event.id, status: 'failed' })], has_more: false });
+
+    const replayed = await api('post', `/api/admin/webhook-events/${event.id}/replay`);
+    expect(replayed.status).toBe(200);
+    expect(replayed.body.response).toEqual({ status: 200, body: { success: true } });
+    expect(replayed.body.event).toMatchObject({ id: event.id, status: 'processed', attempts: 2, last_error: null, response_status: 200 });
+    expect(Object.keys(events()[0].steps)).toEqual(['summary', 'transcript', 'memory', 'sms_automation']);
+
+    // The summary and turns were stored once; the failed follow-up ran again
+    expect(mockDb.conversation_summaries).toHaveLength(1);
+    expect(mockDb.conversations).toHaveLength(2);
+    expect(automation).toHaveBeenCalledTimes(2);
+    expect(mockDb.audit_log).toContainEqual(expect.objectContaining({
+      organization_id: ORG_ID,
+      user_id: 'owner',
+      action: 'webhook_event.replayed',
+      target_type: 'webhook_event',
+      target_id: event.id,
+      details: expect.objectContaining({ previous_status: 'failed', status: 'processed', response_status: 200 })
+    }));
+
+    // Processed events replay only when forced, and then every step is skipped
+    expect((await api('post', `/api/admin/webhook-events/${event.id}/replay`)).status).toBe(409);
+    const forced = await api('post', `/api/admin/webhook-events/${event.id}/replay`).send({ force: true });
+    expect(forced.status).toBe(200);
+    expect(forced.body.event.attempts).toBe(3);
+    expect(mockDb.conversation_summaries).toHaveLength(1);
+    expect(automation).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the caller\'s open call only within the call\'s organization', async () => {
+    const otherOrg = callPayload('conv-unknown');
+    otherOrg.data.conversation_initiation_client_data.dynamic_variables.organization_id = 'org-2';
+    expect((await postCall(otherOrg)).status).toBe(200);
+    expect((mockDb.call_sessions as any[]).map(session => session.status)).toEqual(['active', 'active']);
+
+    // The caller is matched however the number is formatted
+    const sameOrg = callPayload('conv-unknown');
+    sameOrg.data.metadata.phone_call.external_number = '(604) 555-1234';
+    expect((await postCall(sameOrg)).status).toBe(200);
+    expect((mockDb.call_sessions as any[]).filter(session => session.status === 'completed')).toHaveLength(1);
+  });
+
+  it('rejects payloads of the wrong shape and keeps them as invalid', async () => {
+    const response = await postCall({ type: 'post_call_transcription', data: { conversation_id: 42, transcript: 'hello' } });
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Invalid webhook payload',
+      details: ['data.conversation_id must be a string', 'data.transcript must be an array']
+    });
+
+    const sms = await incomingSMS({ From: PHONE, To: '+16045550000', MessageSid: 'SM-no-body' });
+    expect(sms.status).toBe(400);
+    expect(sms.text).toBe('Bad Request');
+    await settle();
+
+    expect(events().map(event => [event.source, event.status, event.validation_errors])).toEqual([
+      ['elevenlabs', 'invalid', ['data.conversation_id must be a string', 'data.transcript must be an array']],
+      ['twilio', 'invalid', ['Body is required']]
+    ]);
+    expect(events()[1].organization_id).toBe(ORG_ID);
+    expect(mockDb.conversations).toHaveLength(0);
+  });
+
+  it('replays an incoming text without storing it or replying twice', async () => {
+    jest.spyOn(smsResponders, 'reply').mockRejectedValueOnce(new Error('Responder timed out'));
+
+    expect((await incomingSMS({ From: PHONE, To: '+16045550000', Body: 'Are you open Sunday?', MessageSid: 'SM-in-1' })).status).toBe(500);
+    await settle();
+
+    const [event] = events();
+    expect(event).toMatchObject({ organization_id: ORG_ID, source: 'twilio', endpoint: 'sms', external_id: 'SM-in-1', status: 'failed', last_error: 'Responder timed out' });
+    expect((mockDb.conversations as any[]).filter(row => row.sent_by === 'user')).toHaveLength(1);
+
+    // Another organization can't see or replay it
+    await userService.createUser('org-2', { email: 'owner@other.cc', name: 'Other', role: 'owner', password: PASSWORD });
+    const otherToken = (await request(app).post('/api/auth/login').send({ email: 'owner@other.cc', password: PASSWORD })).body.token;
+    expect((await api('get', `/api/admin/webhook-events/${event.id}`, otherToken)).status).toBe(404);
+    expect((await api('post', `/api/admin/webhook-events/${event.id}/replay`, otherToken)).status).toBe(404);
+
+    const replayed = await api('post', `/api/admin/webhook-events/${event.id}/replay`);
+    expect(replayed.status).toBe(200);
+    expect(replayed.body.response).toEqual({ status: 200, body: 'Message processed' });
+    expect((mockDb.conversations as any[]).filter(row => row.sent_by === 'user')).toHaveLength(1);
+    expect(mockCreateMessage).toHaveBeenCalledTimes(1);
+
+    // An event still being processed isn't replayed alongside itself
+    (mockDb.webhook_events as any[]).push({ ...event, id: 'evt-busy', status: 'received', updated_at: NOW.toISOString(), steps: {} });
+    expect((await api('post', '/api/admin/webhook-events/evt-busy/replay')).status).toBe(409);
+  });
+});
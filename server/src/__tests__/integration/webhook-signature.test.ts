@@ -0,0 +1,141 @@
+import express from 'express';
+import request from 'supertest';
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { captureRawBody, verifyElevenLabsWebhook, verifyTwilioWebhook } from '../../middleware/webhookSignature';
+import { getRedisMonitoringService } from '../../services/redis.monitoring.service';
+
+const SECRET = 'whsec_test_secret';
+const TWILIO_TOKEN = 'twilio-test-token';
+const BASE_URL = 'https://bici.example.com';
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+app.post('/webhooks/elevenlabs/post-call', verifyElevenLabsWebhook('post-call'), (req, res) => res.json({ ok: true }));
+app.post('/webhooks/elevenlabs/conversation-initiation', verifyElevenLabsWebhook('conversation-initiation'), (req, res) => res.json({ ok: true }));
+app.post('/webhooks/twilio/sms', verifyTwilioWebhook, (req, res) => res.send('<Response/>'));
+
+function sign(body: string, timestamp: number = Math.floor(Date.now() / 1000), secret: string = SECRET) {
+  const hash = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v0=${hash}`;
+}
+
+function postCall(body: string, signature?: string) {
+  const req = request(app).post('/webhooks/elevenlabs/post-call').set('Content-Type', 'application/json');
+  if (signature) req.set('ElevenLabs-Signature', signature);
+  return req.send(body);
+}
+
+describe('webhook signature verification', () => {
+  const monitoring = getRedisMonitoringService();
+  let sequence = 0;
+
+  // Every test gets a distinct body so the replay cache never carries over
+  function payload() {
+    return JSON.stringify({ type: 'post_call_transcription', data: { conversation_id: `conv-${++sequence}` } });
+  }
+
+  beforeEach(() => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = SECRET;
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.WEBHOOK_BASE_URL = BASE_URL;
+    delete process.env.ELEVENLABS_UNSIGNED_WEBHOOKS;
+    delete process.env.WEBHOOK_TOLERANCE_SECONDS;
+    monitoring.resetMetrics();
+  });
+
+  it('accepts an ElevenLabs webhook signed over the raw body', async () => {
+    // Whitespace that JSON.stringify(req.body) would not reproduce
+    const body = payload().replace(':', ': ');
+    expect((await postCall(body, sign(body))).status).toBe(200);
+  });
+
+  it('rejects missing, forged and stale ElevenLabs signatures', async () => {
+    const body = payload();
+    const stale = Math.floor(Date.now() / 1000) - 31 * 60;
+
+    expect((await postCall(body)).status).toBe(403);
+    expect((await postCall(body, sign(body, undefined, 'wrong-secret'))).status).toBe(403);
+    expect((await postCall(body, sign(body, stale))).status).toBe(403);
+    expect((await postCall(body, 'sha256=abc')).status).toBe(403);
+
+    expect(monitoring.getActiveAlerts().map(alert => alert.id)).toEqual(expect.arrayContaining([
+      'webhook-rejected-elevenlabs-missing_signature',
+      'webhook-rejected-elevenlabs-invalid_signature',
+      'webhook-rejected-elevenlabs-stale_timestamp',
+      'webhook-rejected-elevenlabs-malformed_signature'
+    ]));
+  });
+
+  it('honours a configured timestamp window', async () => {
+    process.env.WEBHOOK_TOLERANCE_SECONDS = '60';
+    const body = payload();
+    expect((await postCall(body, sign(body, Math.floor(Date.now() / 1000) - 120))).status).toBe(403);
+  });
+
+  it('rejects a replayed ElevenLabs delivery', async () => {
+    const body = payload();
+    const signature = sign(body);
+
+    expect((await postCall(body, signature)).status).toBe(200);
+    expect((await postCall(body, signature)).status).toBe(409);
+    expect(monitoring.getActiveAlerts().map(alert => alert.id)).toContain('webhook-rejected-elevenlabs-replay');
+  });
+
+  it('fails closed when the webhook secret is not configured', async () => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = 'whsec_your_webhook_secret_here';
+    const body = payload();
+    expect((await postCall(body, sign(body, undefined, 'whsec_your_webhook_secret_here'))).status).toBe(403);
+  });
+
+  it('fails closed when WEBHOOK_BASE_URL is not configured', async () => {
+    delete process.env.WEBHOOK_BASE_URL;
+    const params = { From: '+16045551234', To: '+16045550000', Body: 'Hi', MessageSid: 'SM-no-base-url' };
+    // Signed for the URL the old code would have rebuilt from the missing variable
+    const signature = twilio.getExpectedTwilioSignature(TWILIO_TOKEN, 'undefined/webhooks/twilio/sms', params);
+
+    const res = await request(app).post('/webhooks/twilio/sms').type('form').set('X-Twilio-Signature', signature).send(params);
+
+    expect(res.status).toBe(403);
+    expect(monitoring.getActiveAlerts().map(alert => alert.id)).toContain('webhook-rejected-twilio-secret_not_configured');
+  });
+
+  it('only lets unsigned requests through on allowlisted endpoints', async () => {
+    const initiation = () => request(app)
+      .post('/webhooks/elevenlabs/conversation-initiation')
+      .send({ caller_id: '+16045551234', called_number: '+16045550000' });
+
+    expect((await initiation()).status).toBe(403);
+
+    process.env.ELEVENLABS_UNSIGNED_WEBHOOKS = 'conversation-initiation';
+    expect((await initiation()).status).toBe(200);
+    expect((await postCall(payload())).status).toBe(403);
+  });
+
+  it('verifies Twilio signatures even in development and rejects replays', async () => {
+    const previousEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    const params = { From: '+16045551234', To: '+16045550000', Body: 'Hi', MessageSid: 'SM-signed' };
+    const signature = twilio.getExpectedTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/webhooks/twilio/sms`, params);
+    const sms = (sig?: string) => {
+      const req = request(app).post('/webhooks/twilio/sms').type('form');
+      if (sig) req.set('X-Twilio-Signature', sig);
+      return req.send(params);
+    };
+
+    try {
+      expect((await sms()).status).toBe(403);
+      expect((await sms('bogus')).status).toBe(403);
+      expect((await sms(signature)).status).toBe(200);
+      expect((await sms(signature)).status).toBe(409);
+      expect(monitoring.getActiveAlerts().map(alert => alert.id)).toEqual(expect.arrayContaining([
+        'webhook-rejected-twilio-missing_signature',
+        'webhook-rejected-twilio-invalid_signature',
+        'webhook-rejected-twilio-replay'
+      ]));
+    } finally {
+      process.env.NODE_ENV = previousEnv;
+    }
+  });
+});
@@ -7,8 +7,10 @@ import { WebSocketServer } from 'ws';
 import { logger } from './utils/logger';
 import { setupWebhooks } from './webhooks';
 import { setupAPIRoutes } from './routes';
+import { setupMetricsRoutes } from './routes/metrics.routes';
 import { initializeServices } from './services';
 import { errorHandler } from './middleware/errorHandler';
+import { captureRawBody } from './middleware/webhookSignature';
 
 // Load environment variables
 dotenv.config();
@@ -18,6 +20,10 @@ const app: Express = express();
 const httpServer = createServer(app);
 const wss = new WebSocketServer({ server: httpServer });
 
+// Proxies in front of the app (1 on Render), so req.ip is the client's
+// address for the per-IP login lockout
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '0', 10));
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -26,9 +32,10 @@ app.use(cors({
   credentials: true
 }));
 
-// Increase body size limits for ElevenLabs webhooks with large transcripts
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Increase body size limits for ElevenLabs webhooks with large transcripts;
+// the raw body is kept for webhook signature verification
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Serve static files (dashboard)
 app.use(express.static(path.join(__dirname, '../public')));
@@ -112,6 +119,7 @@ initializeServices(wss);
 // Setup routes
 setupWebhooks(app);
 setupAPIRoutes(app);
+setupMetricsRoutes(app);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -131,6 +139,10 @@ httpServer.listen(PORT, () => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   
+  // Stop picking up jobs; pending ones stay in Redis for the next instance
+  const { jobQueue } = await import('./services/jobQueue.service');
+  jobQueue.stop();
+  
   // Close Redis connection
   try {
     const { closeRedisConnection } = await import('./config/redis.config');
@@ -149,6 +161,9 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT signal received: closing HTTP server');
   
+  const { jobQueue } = await import('./services/jobQueue.service');
+  jobQueue.stop();
+  
   // Close Redis connection
   try {
     const { closeRedisConnection } = await import('./config/redis.config');
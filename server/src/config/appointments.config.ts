@@ -0,0 +1,20 @@
+export interface AppointmentConfig {
+  dailyCapacity: number;      // Max bookings per day across all bays
+  concurrentBays: number;     // Bookings allowed in the same slot
+  slotMinutes: number;        // Length of one service slot
+  minLeadTimeMinutes: number; // Earliest a slot can be booked from now
+}
+
+function readInt(value: string | undefined, fallback: number): number {
+  const parsed = parseInt(value || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function getAppointmentConfig(): AppointmentConfig {
+  return {
+    dailyCapacity: readInt(process.env.APPOINTMENT_DAILY_CAPACITY, 8),
+    concurrentBays: readInt(process.env.APPOINTMENT_SERVICE_BAYS, 2),
+    slotMinutes: readInt(process.env.APPOINTMENT_SLOT_MINUTES, 60),
+    minLeadTimeMinutes: readInt(process.env.APPOINTMENT_MIN_LEAD_MINUTES, 120)
+  };
+}
@@ -0,0 +1,25 @@
+import { logger } from '../utils/logger';
+
+if (!process.env.JWT_SECRET) {
+  logger.error('Missing authentication configuration', {
+    hasJwtSecret: false
+  });
+  throw new Error('JWT_SECRET is required');
+}
+
+export const authConfig = {
+  jwtSecret: process.env.JWT_SECRET,
+
+  // How long a dashboard login stays valid
+  tokenTtl: process.env.AUTH_TOKEN_TTL || '12h',
+
+  // scrypt cost; raise together with memory limits
+  passwordHashCost: 16384,
+  minPasswordLength: 10,
+
+  // Failed logins allowed per email and per client IP before further
+  // attempts are refused until the window (from the first failure) ends
+  maxLoginFailuresPerEmail: 5,
+  maxLoginFailuresPerIp: 20,
+  loginFailureWindowSeconds: 15 * 60
+};
@@ -14,6 +14,19 @@ export const elevenLabsConfig = {
   agentId: process.env.ELEVENLABS_AGENT_ID!,
   phoneNumberId: process.env.ELEVENLABS_PHONE_NUMBER_ID!,
   webhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET!,
+  // Overridable so outbound dialing can run against a local stub
+  apiBaseUrl: process.env.ELEVENLABS_API_BASE_URL || 'https://api.elevenlabs.io',
+  // Overridable so SMS text sessions can run against a local stub
+  wsBaseUrl: process.env.ELEVENLABS_WS_URL || 'wss://api.elevenlabs.io',
+  
+  // SMS text sessions, kept open per lead between texts
+  smsSessions: {
+    idleSeconds: parseFloat(process.env.SMS_SESSION_IDLE_SECONDS || '600'),   // Closed after this long without a text
+    coalesceMs: parseInt(process.env.SMS_COALESCE_MS || '2500', 10),          // Texts this close together are one turn
+    replySettleMs: parseInt(process.env.SMS_REPLY_SETTLE_MS || '1200', 10),   // Quiet time that ends a multi-part reply
+    replyTimeoutMs: parseInt(process.env.SMS_REPLY_TIMEOUT_MS || '10000', 10), // Wait for the first part before falling back
+    greetingWaitMs: parseInt(process.env.SMS_GREETING_WAIT_MS || '2000', 10)  // Wait for the agent's greeting on a new session
+  },
   
   // API endpoints
   endpoints: {
@@ -32,8 +45,10 @@ export const elevenLabsConfig = {
   }
 };
 
-// Business hours configuration for BICI
-// Monday-Friday: 8am-6pm, Saturday-Sunday: 9am-4:30pm
+// Defaults for organizations whose settings leave these out.
+// Read per-organization values through OrganizationService.getSettings.
+
+// Business hours: Monday-Friday 8am-6pm, Saturday-Sunday 9am-4:30pm
 export const businessHours = {
   monday: { open: '08:00', close: '18:00' },
   tuesday: { open: '08:00', close: '18:00' },
@@ -44,9 +59,13 @@ export const businessHours = {
   sunday: { open: '09:00', close: '16:30' }
 };
 
+// Timezone businessHours are expressed in
+export const storeTimezone = process.env.STORE_TIMEZONE || 'America/Los_Angeles';
+
 // Store information - configurable via environment variables
 export const storeInfo = {
   name: process.env.STORE_NAME || 'BICI Bike Store',
+  spokenName: process.env.STORE_SPOKEN_NAME || 'Beechee',  // Phonetic name for the voice agent
   address: process.env.STORE_ADDRESS || '1497 Adanac Street, Vancouver, BC',  // Default BICI address
   phone: process.env.TWILIO_PHONE_NUMBER!,
   email: process.env.STORE_EMAIL || 'hello@bici.cc',
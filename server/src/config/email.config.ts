@@ -0,0 +1,37 @@
+import nodemailer, { Transporter } from 'nodemailer';
+
+export const emailConfig = {
+  // Any SMTP server or relay. Unset host means email is not configured and
+  // sends are suppressed; for local testing point it at a sink such as Mailpit.
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || ''
+  },
+  // Sender address; defaults to the organization's email setting
+  from: process.env.EMAIL_FROM || ''
+};
+
+export function isEmailConfigured(): boolean {
+  return !!emailConfig.smtp.host;
+}
+
+let transport: Transporter | null = null;
+
+/**
+ * SMTP transport, created on first use from emailConfig
+ */
+export function getEmailTransport(): Transporter {
+  if (!transport) {
+    const { host, port, secure, user, pass } = emailConfig.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user ? { auth: { user, pass } } : {})
+    });
+  }
+  return transport;
+}
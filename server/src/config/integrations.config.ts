@@ -0,0 +1,26 @@
+import { logger } from '../utils/logger';
+
+export interface IntegrationWebhookConfig {
+  max_attempts: number;         // Tries per event; the job queue doubles the wait between them from 30s
+  timeout_ms: number;           // Per request
+  response_body_chars: number;  // Of 2xx responses, kept in the delivery log
+}
+
+const DEFAULT_CONFIG: IntegrationWebhookConfig = {
+  max_attempts: 6,
+  timeout_ms: 10000,
+  response_body_chars: 1000
+};
+
+// INTEGRATION_WEBHOOKS_CONFIG is JSON merged over the defaults, e.g. {"max_attempts":4,"timeout_ms":5000}
+function readConfig(): IntegrationWebhookConfig {
+  if (!process.env.INTEGRATION_WEBHOOKS_CONFIG) return DEFAULT_CONFIG;
+  try {
+    return { ...DEFAULT_CONFIG, ...JSON.parse(process.env.INTEGRATION_WEBHOOKS_CONFIG) };
+  } catch (error) {
+    logger.error('Invalid INTEGRATION_WEBHOOKS_CONFIG, using defaults:', error);
+    return DEFAULT_CONFIG;
+  }
+}
+
+export const integrationWebhookConfig: IntegrationWebhookConfig = readConfig();
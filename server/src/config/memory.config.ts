@@ -0,0 +1,37 @@
+import { logger } from '../utils/logger';
+import { MemoryChannel } from '../types';
+
+export interface CustomerMemoryConfig {
+  // Estimated tokens of conversation context each channel may send
+  budgets: Record<MemoryChannel, number>;
+  recent_turns: number;          // Most recent messages considered for context
+  max_turn_chars: number;        // Longer messages are shortened in context
+  keep_recent_summaries: number; // Newest summaries kept out of the roll-up...
+  rollup_after: number;          // ...once a lead has more than this many
+  max_rollup_lines: number;      // Rolled-up conversations listed individually
+  max_service_history: number;   // Service visits remembered per lead
+}
+
+const DEFAULT_CONFIG: CustomerMemoryConfig = {
+  budgets: { voice: 1000, sms: 375, email: 750 },
+  recent_turns: 12,
+  max_turn_chars: 280,
+  keep_recent_summaries: 3,
+  rollup_after: 6,
+  max_rollup_lines: 10,
+  max_service_history: 5
+};
+
+// CUSTOMER_MEMORY_CONFIG is JSON merged over the defaults, e.g. {"budgets":{"sms":500},"recent_turns":8}
+function readConfig(): CustomerMemoryConfig {
+  if (!process.env.CUSTOMER_MEMORY_CONFIG) return DEFAULT_CONFIG;
+  try {
+    const overrides = JSON.parse(process.env.CUSTOMER_MEMORY_CONFIG);
+    return { ...DEFAULT_CONFIG, ...overrides, budgets: { ...DEFAULT_CONFIG.budgets, ...(overrides.budgets || {}) } };
+  } catch (error) {
+    logger.error('Invalid CUSTOMER_MEMORY_CONFIG, using defaults:', error);
+    return DEFAULT_CONFIG;
+  }
+}
+
+export const customerMemoryConfig: CustomerMemoryConfig = readConfig();
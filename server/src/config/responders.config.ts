@@ -0,0 +1,29 @@
+import { SMSResponderName } from '../types';
+
+export const SMS_RESPONDER_NAMES: SMSResponderName[] = ['elevenlabs', 'openai', 'rules'];
+
+function readOrder(value: string | undefined): SMSResponderName[] {
+  const names = (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter((name): name is SMSResponderName => SMS_RESPONDER_NAMES.includes(name as SMSResponderName));
+  return names.length ? names : ['elevenlabs', 'rules'];
+}
+
+export const respondersConfig = {
+  // Failover order for organizations that don't set sms_responders
+  defaultOrder: readOrder(process.env.SMS_RESPONDERS),
+  // A responder that just failed is skipped for this long
+  cooldownSeconds: parseInt(process.env.SMS_RESPONDER_COOLDOWN_SECONDS || '60', 10),
+
+  // Any OpenAI-compatible chat completions endpoint, e.g. a local model server.
+  // Unset base URL means the responder is not configured.
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || '',
+    apiKey: process.env.OPENAI_API_KEY || '',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS || '10000', 10),
+    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '200', 10),
+    historyMessages: 10   // Recent texts sent along as chat history
+  }
+};
@@ -0,0 +1,38 @@
+import { logger } from '../utils/logger';
+import { RetentionDataType } from '../types';
+
+export interface RetentionConfig {
+  // Days each kind of data is kept; null keeps it forever
+  windows: Record<RetentionDataType, number | null>;
+  purge_hour_utc: number;       // When the daily purge runs
+  redact_transcripts: boolean;  // Mask card numbers, emails and addresses before messages are stored
+}
+
+const DEFAULT_CONFIG: RetentionConfig = {
+  windows: {
+    conversations: 730,
+    conversation_summaries: 730,
+    call_transcripts: 365,
+    sms_automation_log: 365,
+    lead_score_history: 365,
+    webhook_events: 30,
+    integration_webhook_deliveries: 30,
+    inactive_leads: null
+  },
+  purge_hour_utc: 10,
+  redact_transcripts: true
+};
+
+// DATA_RETENTION_CONFIG is JSON merged over the defaults, e.g. {"windows":{"conversations":365,"inactive_leads":1095}}
+function readConfig(): RetentionConfig {
+  if (!process.env.DATA_RETENTION_CONFIG) return DEFAULT_CONFIG;
+  try {
+    const overrides = JSON.parse(process.env.DATA_RETENTION_CONFIG);
+    return { ...DEFAULT_CONFIG, ...overrides, windows: { ...DEFAULT_CONFIG.windows, ...(overrides.windows || {}) } };
+  } catch (error) {
+    logger.error('Invalid DATA_RETENTION_CONFIG, using defaults:', error);
+    return DEFAULT_CONFIG;
+  }
+}
+
+export const retentionConfig: RetentionConfig = readConfig();
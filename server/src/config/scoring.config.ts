@@ -0,0 +1,60 @@
+import { logger } from '../utils/logger';
+
+export interface LeadScoringWeights {
+  // ElevenLabs data collection answers, by value
+  purchase_timeline: Record<string, number>;
+  budget_range: Record<string, number>;
+  riding_experience: Record<string, number>;
+  // Engagement
+  per_call: number;             // Each completed call...
+  max_calls: number;            // ...counted up to this many
+  per_sms_reply: number;        // Each text or email from the customer...
+  max_sms_replies: number;      // ...counted up to this many
+  recency: { days: number; points: number }[]; // Last contact within `days`; first match wins
+  // ConversationAnalyzer triggers found in the customer's messages
+  keywords: Record<string, number>;
+  keyword_window_days: number;  // Only messages this recent count
+  // Score a lead needs for each automatic status
+  thresholds: { qualified: number; hot: number };
+}
+
+const DEFAULT_WEIGHTS: LeadScoringWeights = {
+  purchase_timeline: { immediate: 30, this_week: 25, this_month: 15, unsure: 3, just_browsing: 0 },
+  budget_range: { over_2000: 20, '1000_2000': 15, '500_1000': 10, under_500: 5 },
+  riding_experience: { beginner: 3, intermediate: 5, advanced: 5, returning_rider: 5 },
+  per_call: 5,
+  max_calls: 3,
+  per_sms_reply: 2,
+  max_sms_replies: 5,
+  recency: [{ days: 2, points: 10 }, { days: 7, points: 6 }, { days: 30, points: 2 }],
+  keywords: {
+    ready_to_buy: 20,
+    test_ride_interest: 10,
+    appointment_request: 8,
+    asked_price: 5,
+    urgent_need: 5,
+    budget_mentioned: 3,
+    comparison_shopping: 3
+  },
+  keyword_window_days: 30,
+  thresholds: { qualified: 35, hot: 65 }
+};
+
+// LEAD_SCORING_WEIGHTS is JSON merged over the defaults, e.g. {"per_call":8,"thresholds":{"hot":70}}
+function readWeights(): LeadScoringWeights {
+  if (!process.env.LEAD_SCORING_WEIGHTS) return DEFAULT_WEIGHTS;
+  try {
+    const overrides = JSON.parse(process.env.LEAD_SCORING_WEIGHTS);
+    const merged: any = { ...DEFAULT_WEIGHTS };
+    for (const [key, value] of Object.entries(overrides)) {
+      const current = (DEFAULT_WEIGHTS as any)[key];
+      merged[key] = current && typeof current === 'object' && !Array.isArray(current) ? { ...current, ...(value as object) } : value;
+    }
+    return merged;
+  } catch (error) {
+    logger.error('Invalid LEAD_SCORING_WEIGHTS, using defaults:', error);
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+export const leadScoringWeights: LeadScoringWeights = readWeights();
@@ -32,24 +32,5 @@ export const twilioConfig = {
   }
 };
 
-// Helper function to format phone numbers
-export function formatPhoneNumber(phone: string): string {
-  // Remove all non-numeric characters
-  const cleaned = phone.replace(/\D/g, '');
-  
-  // Add country code if missing
-  if (cleaned.length === 10) {
-    return `+1${cleaned}`;
-  } else if (cleaned.length === 11 && cleaned.startsWith('1')) {
-    return `+${cleaned}`;
-  }
-  
-  return phone;
-}
-
-// Helper function to normalize phone numbers for database storage
-export function normalizePhoneNumber(phone: string): string {
-  const formatted = formatPhoneNumber(phone);
-  // Remove + for storage
-  return formatted.replace(/^\+/, '');
-}
\ No newline at end of file
+// Phone helpers live in utils/phone.helper; re-exported for existing callers
+export { formatPhoneNumber, normalizePhoneNumber } from '../utils/phone.helper';
@@ -0,0 +1,53 @@
+import { Request, Response, NextFunction } from 'express';
+import { AuthService } from '../services/auth.service';
+import { UserRole } from '../types';
+import { logger } from '../utils/logger';
+
+const authService = new AuthService();
+
+/**
+ * Require a valid "Authorization: Bearer <token>" header. The signed-in
+ * user is available to handlers as `res.locals.user`.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await authService.verifyToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    res.locals.user = user;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+/**
+ * Only let the given roles through
+ */
+export function requireRole(...roles: UserRole[]) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (!roles.includes(res.locals.user?.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+/**
+ * Read-only users may look but not change anything
+ */
+export function blockReadOnlyWrites(req: Request, res: Response, next: NextFunction) {
+  if (res.locals.user?.role === 'read_only' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return res.status(403).json({ error: 'Read-only users cannot make changes' });
+  }
+  next();
+}
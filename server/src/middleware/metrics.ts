@@ -0,0 +1,20 @@
+import { Request, Response, NextFunction } from 'express';
+import { organizationLabel, webhookDuration } from '../services/metrics.service';
+import { WebhookSource } from '../types';
+
+/**
+ * Time a webhook route from arrival to response, rejected requests included.
+ * Put first, before signature verification.
+ */
+export function timeWebhook(source: WebhookSource, endpoint: string) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const endTimer = webhookDuration.startTimer();
+    res.on('finish', () => {
+      // Only verified sources: the stored event's store, or the one an agent
+      // tool secret resolved to. Request bodies would let callers invent labels.
+      const organizationId = res.locals.webhookEvent?.organization_id || res.locals.organizationId || null;
+      endTimer({ organization_id: organizationLabel(organizationId), source, endpoint, status: String(res.statusCode) });
+    });
+    next();
+  };
+}
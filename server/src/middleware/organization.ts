@@ -0,0 +1,30 @@
+import { Request, Response, NextFunction } from 'express';
+import { OrganizationService } from '../services/organization.service';
+import { logger } from '../utils/logger';
+
+const organizationService = new OrganizationService();
+
+/**
+ * Resolve the organization an API request acts for from the signed-in
+ * user (see authenticate). Handlers read `res.locals.organizationId`.
+ */
+export async function requireOrganization(req: Request, res: Response, next: NextFunction) {
+  const organizationId = res.locals.user?.organization_id;
+  if (!organizationId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const organization = await organizationService.getOrganization(organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.locals.organizationId = organization.id;
+    res.locals.organization = organization;
+    next();
+  } catch (error) {
+    logger.error('Error resolving organization:', error);
+    res.status(500).json({ error: 'Failed to resolve organization' });
+  }
+}
@@ -0,0 +1,39 @@
+import { Request, Response, NextFunction } from 'express';
+import { WebhookEventService } from '../services/webhookEvent.service';
+import { validateWebhookPayload } from '../webhooks/webhookSchemas';
+import { WebhookSource } from '../types';
+import { logger } from '../utils/logger';
+
+const webhookEventService = new WebhookEventService();
+
+/**
+ * Store a verified webhook before it's processed, reject payloads of the wrong
+ * shape, and record the outcome once the response is sent. Handlers report a
+ * caught error through `res.locals.webhookError`.
+ */
+export function trackWebhookEvent(source: WebhookSource, endpoint: string) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    // The replay CLI names the stored event it re-sends
+    const replayOf = typeof req.query.replay_of === 'string' ? req.query.replay_of : null;
+    const event = await webhookEventService.record(source, endpoint, req.body, replayOf);
+    const validationErrors = validateWebhookPayload(source, endpoint, req.body);
+
+    if (event) {
+      res.locals.webhookEvent = event;
+      res.on('finish', () => {
+        webhookEventService
+          .finish(event, { responseStatus: res.statusCode, error: res.locals.webhookError, validationErrors })
+          .catch(error => logger.error('Error finishing webhook event:', error));
+      });
+    }
+
+    if (validationErrors.length > 0) {
+      logger.warn(`Invalid ${source} webhook payload:`, { endpoint, event_id: event?.id, errors: validationErrors });
+      return source === 'twilio'
+        ? res.status(400).send('Bad Request')
+        : res.status(400).json({ error: 'Invalid webhook payload', details: validationErrors });
+    }
+
+    next();
+  };
+}
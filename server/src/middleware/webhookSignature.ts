@@ -0,0 +1,261 @@
+import { Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { redisService } from '../services/redis.service';
+import { getRedisMonitoringService } from '../services/redis.monitoring.service';
+import { OrganizationService } from '../services/organization.service';
+import { logger } from '../utils/logger';
+import { WebhookSource } from '../types';
+
+const PLACEHOLDER_SECRET = 'whsec_your_webhook_secret_here';
+const DEFAULT_TOLERANCE_SECONDS = 30 * 60;
+// Twilio and inbound mail requests carry no timestamp, so remember their signatures for a day
+const TWILIO_REPLAY_TTL_SECONDS = 24 * 60 * 60;
+const EMAIL_REPLAY_TTL_SECONDS = 24 * 60 * 60;
+
+const organizationService = new OrganizationService();
+
+/**
+ * Keep the exact bytes of the request body for signature checks. Pass as the
+ * `verify` option of express.json() and express.urlencoded().
+ */
+export function captureRawBody(req: Request, res: Response, buf: Buffer) {
+  (req as any).rawBody = buf;
+}
+
+function getToleranceSeconds(): number {
+  const tolerance = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '', 10);
+  return tolerance > 0 ? tolerance : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Endpoints ElevenLabs calls without a signature (e.g. conversation initiation
+ * for Twilio phone calls), as listed in ELEVENLABS_UNSIGNED_WEBHOOKS
+ */
+function getUnsignedAllowlist(): string[] {
+  return (process.env.ELEVENLABS_UNSIGNED_WEBHOOKS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse an ElevenLabs signature header of the form "t=<unix seconds>,v0=<hex>"
+ */
+export function parseElevenLabsSignature(header: string): { timestamp: number; signature: string } | null {
+  const parts: Record<string, string> = {};
+  for (const part of header.split(',')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key && rest.length > 0) parts[key] = rest.join('=');
+  }
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v0) return null;
+  return { timestamp, signature: parts.v0 };
+}
+
+/**
+ * ElevenLabs-Signature header for a raw body, as ElevenLabs would send it
+ */
+export function signElevenLabsPayload(rawBody: string, secret: string, timestamp: number = Math.floor(Date.now() / 1000)): string {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v0=${signature}`;
+}
+
+/**
+ * X-Email-Signature header for a raw body
+ */
+export function signEmailPayload(rawBody: string, secret: string): string {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function reject(
+  source: WebhookSource,
+  endpoint: string,
+  reason: string,
+  req: Request,
+  res: Response,
+  status: number = 403
+) {
+  const details = { endpoint, reason, ip: req.ip };
+  logger.warn(`Rejected ${source} webhook:`, details);
+  getRedisMonitoringService().raiseAlert(
+    `webhook-rejected-${source}-${reason}`,
+    'warning',
+    'high',
+    `Rejected ${source} webhook (${reason})`,
+    details
+  );
+
+  if (status === 409) {
+    return res.status(409).json({ error: 'Duplicate webhook' });
+  }
+  return source === 'twilio'
+    ? res.status(status).send('Forbidden')
+    : res.status(status).json({ error: 'Invalid signature' });
+}
+
+/**
+ * Verify the ElevenLabs-Signature header against the raw body, reject stale
+ * timestamps and replays. `endpoint` names the route for the unsigned allowlist.
+ */
+export function verifyElevenLabsWebhook(endpoint: string) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const header = (req.headers['elevenlabs-signature'] || req.headers['xi-signature']) as string | undefined;
+
+    if (!header) {
+      if (getUnsignedAllowlist().includes(endpoint)) {
+        logger.warn('Accepting unsigned ElevenLabs webhook on allowlisted endpoint', { endpoint });
+        return next();
+      }
+      return reject('elevenlabs', endpoint, 'missing_signature', req, res);
+    }
+
+    const secret = process.env.ELEVENLABS_WEBHOOK_SECRET;
+    if (!secret || secret === PLACEHOLDER_SECRET) {
+      logger.error('ELEVENLABS_WEBHOOK_SECRET is not configured - cannot verify webhooks');
+      return reject('elevenlabs', endpoint, 'secret_not_configured', req, res);
+    }
+
+    const rawBody: Buffer | undefined = (req as any).rawBody;
+    const parsed = parseElevenLabsSignature(header);
+    if (!parsed || !rawBody) {
+      return reject('elevenlabs', endpoint, 'malformed_signature', req, res);
+    }
+
+    const tolerance = getToleranceSeconds();
+    if (Math.abs(Date.now() / 1000 - parsed.timestamp) > tolerance) {
+      return reject('elevenlabs', endpoint, 'stale_timestamp', req, res);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${parsed.timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+    if (!safeEqual(parsed.signature, expected)) {
+      return reject('elevenlabs', endpoint, 'invalid_signature', req, res);
+    }
+
+    try {
+      if (await redisService.markWebhookSeen('elevenlabs', parsed.signature, tolerance)) {
+        return reject('elevenlabs', endpoint, 'replay', req, res, 409);
+      }
+    } catch (error) {
+      logger.error('Error checking ElevenLabs webhook replay:', error);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Authenticate an ElevenLabs agent server tool by the organization's tool
+ * secret in the X-Bici-Tool-Secret header. ElevenLabs does not sign tool
+ * calls, so the secret also decides the organization: the handlers read
+ * res.locals.organizationId and ignore any organization in the body.
+ */
+export function verifyAgentTool(endpoint: string) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const secret = req.headers['x-bici-tool-secret'] as string | undefined;
+    if (!secret) {
+      return reject('elevenlabs', endpoint, 'missing_secret', req, res, 401);
+    }
+
+    try {
+      const organization = await organizationService.getOrganizationByToolSecret(secret);
+      if (!organization) {
+        return reject('elevenlabs', endpoint, 'invalid_secret', req, res);
+      }
+      res.locals.organizationId = organization.id;
+    } catch (error) {
+      logger.error('Error checking agent tool secret:', error);
+      return res.status(500).json({ error: 'Failed to verify tool secret' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Verify the X-Twilio-Signature header against WEBHOOK_BASE_URL and reject replays
+ */
+export async function verifyTwilioWebhook(req: Request, res: Response, next: NextFunction) {
+  const endpoint = req.path;
+  const signature = req.headers['x-twilio-signature'] as string | undefined;
+  if (!signature) {
+    return reject('twilio', endpoint, 'missing_signature', req, res);
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    logger.error('TWILIO_AUTH_TOKEN is not configured - cannot verify webhooks');
+    return reject('twilio', endpoint, 'secret_not_configured', req, res);
+  }
+
+  // Twilio signs the public URL it called, which the app can't see behind a proxy
+  const baseUrl = process.env.WEBHOOK_BASE_URL;
+  if (!baseUrl) {
+    logger.error('WEBHOOK_BASE_URL is not configured - cannot verify Twilio webhooks');
+    return reject('twilio', endpoint, 'secret_not_configured', req, res);
+  }
+
+  const url = `${baseUrl}${req.originalUrl}`;
+  if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    return reject('twilio', endpoint, 'invalid_signature', req, res);
+  }
+
+  try {
+    if (await redisService.markWebhookSeen('twilio', signature, TWILIO_REPLAY_TTL_SECONDS)) {
+      return reject('twilio', endpoint, 'replay', req, res, 409);
+    }
+  } catch (error) {
+    logger.error('Error checking Twilio webhook replay:', error);
+  }
+
+  next();
+}
+
+/**
+ * Verify the X-Email-Signature header (hex HMAC-SHA256 of the raw body with
+ * EMAIL_WEBHOOK_SECRET, optionally prefixed "sha256=") and reject replays
+ */
+export async function verifyEmailWebhook(req: Request, res: Response, next: NextFunction) {
+  const endpoint = req.path;
+  const header = req.headers['x-email-signature'] as string | undefined;
+  if (!header) {
+    return reject('email', endpoint, 'missing_signature', req, res);
+  }
+
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('EMAIL_WEBHOOK_SECRET is not configured - cannot verify webhooks');
+    return reject('email', endpoint, 'secret_not_configured', req, res);
+  }
+
+  const rawBody: Buffer | undefined = (req as any).rawBody;
+  if (!rawBody) {
+    return reject('email', endpoint, 'malformed_signature', req, res);
+  }
+
+  const signature = header.trim().replace(/^sha256=/i, '').toLowerCase();
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  if (!safeEqual(signature, expected)) {
+    return reject('email', endpoint, 'invalid_signature', req, res);
+  }
+
+  try {
+    if (await redisService.markWebhookSeen('email', signature, EMAIL_REPLAY_TTL_SECONDS)) {
+      return reject('email', endpoint, 'replay', req, res, 409);
+    }
+  } catch (error) {
+    logger.error('Error checking email webhook replay:', error);
+  }
+
+  next();
+}
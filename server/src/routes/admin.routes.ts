@@ -2,21 +2,32 @@ import { Express, Request, Response } from 'express';
 import { HumanControlService } from '../services/humanControl.service';
 import { CallSessionService } from '../services/callSession.service';
 import { broadcastToClients } from '../services/realtime.service';
+import { jobQueue } from '../services/jobQueue.service';
+import { WebhookEventService } from '../services/webhookEvent.service';
+import { AuditService } from '../services/audit.service';
+import { requireRole } from '../middleware/auth';
 import { logger } from '../utils/logger';
 
 const humanControlService = new HumanControlService();
 const callSessionService = new CallSessionService();
+const webhookEventService = new WebhookEventService();
+const auditService = new AuditService();
+
+// A 'received' event younger than this may still be processing
+const IN_FLIGHT_MS = 5 * 60 * 1000;
 
 export function setupAdminRoutes(app: Express) {
+  app.use('/api/admin', requireRole('owner'));
+  
   // Clear all active sessions (for debugging/admin use)
   app.post('/api/admin/clear-sessions', async (req: Request, res: Response) => {
     try {
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
       
-      // Clear human control sessions from memory
-      const activeSessions = await humanControlService.getActiveSessions();
+      // Hand every human-held conversation back to the AI
+      const activeSessions = await humanControlService.getActiveSessions(organizationId);
       for (const session of activeSessions) {
-        await humanControlService.leaveConversation(session.lead_id);
+        await humanControlService.releaseConversation(session.lead_id, 'cleared');
       }
       
       // Clear stale call sessions from database
@@ -29,6 +40,7 @@ export function setupAdminRoutes(app: Express) {
       await supabase
         .from('human_control_sessions')
         .update({ ended_at: new Date() })
+        .eq('organization_id', organizationId)
         .is('ended_at', null);
       
       // Mark all active call sessions as completed
@@ -38,6 +50,7 @@ export function setupAdminRoutes(app: Express) {
           status: 'completed',
           ended_at: new Date()
         })
+        .eq('organization_id', organizationId)
         .in('status', ['initiated', 'active']);
       
       logger.info('Cleared all active sessions');
@@ -60,12 +73,12 @@ export function setupAdminRoutes(app: Express) {
   app.post('/api/admin/clear-lead-sessions/:leadId', async (req: Request, res: Response) => {
     try {
       const { leadId } = req.params;
+      const organizationId = res.locals.organizationId;
       
-      // Try to leave human control if active
-      try {
-        await humanControlService.leaveConversation(leadId);
-      } catch (e) {
-        // Session might not exist, that's ok
+      // Hand back to the AI if a staff member holds it
+      const session = await humanControlService.getSession(leadId);
+      if (session?.organization_id === organizationId) {
+        await humanControlService.releaseConversation(leadId, 'cleared');
       }
       
       // Clear from database
@@ -75,6 +88,7 @@ export function setupAdminRoutes(app: Express) {
         .from('human_control_sessions')
         .update({ ended_at: new Date() })
         .eq('lead_id', leadId)
+        .eq('organization_id', organizationId)
         .is('ended_at', null);
       
       await supabase
@@ -84,6 +98,7 @@ export function setupAdminRoutes(app: Express) {
           ended_at: new Date()
         })
         .eq('lead_id', leadId)
+        .eq('organization_id', organizationId)
         .in('status', ['initiated', 'active']);
       
       res.json({ success: true, message: `Sessions cleared for lead ${leadId}` });
@@ -93,20 +108,126 @@ export function setupAdminRoutes(app: Express) {
     }
   });
 
+  // List pending scheduled jobs (follow-up texts, retries, cache eviction)
+  app.get('/api/admin/jobs', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      
+      const jobs = await jobQueue.listPending({
+        organizationId,
+        leadId: req.query.lead_id as string,
+        type: req.query.type as string
+      });
+      
+      res.json(jobs);
+    } catch (error) {
+      logger.error('Error listing jobs:', error);
+      res.status(500).json({ error: 'Failed to list jobs' });
+    }
+  });
+  
+  // Cancel a pending job
+  app.delete('/api/admin/jobs/:id', async (req: Request, res: Response) => {
+    try {
+      const job = await jobQueue.getJob(req.params.id);
+      if (!job || job.organization_id !== res.locals.organizationId) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      
+      const cancelled = await jobQueue.cancel(job.id, 'admin');
+      if (!cancelled) {
+        return res.status(409).json({ error: `Job is ${job.status} and can no longer be cancelled` });
+      }
+      
+      res.json(cancelled);
+    } catch (error) {
+      logger.error('Error cancelling job:', error);
+      res.status(500).json({ error: 'Failed to cancel job' });
+    }
+  });
+
+  // Stored webhooks, e.g. ?status=failed,invalid&source=elevenlabs
+  app.get('/api/admin/webhook-events', async (req: Request, res: Response) => {
+    try {
+      const details = webhookEventService.validateQuery(req.query);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details });
+      }
+      
+      res.json(await webhookEventService.listEvents(res.locals.organizationId, req.query));
+    } catch (error) {
+      logger.error('Error listing webhook events:', error);
+      res.status(500).json({ error: 'Failed to list webhook events' });
+    }
+  });
+  
+  app.get('/api/admin/webhook-events/:id', async (req: Request, res: Response) => {
+    try {
+      const event = await webhookEventService.getEvent(req.params.id, res.locals.organizationId);
+      if (!event) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+      
+      res.json(event);
+    } catch (error) {
+      logger.error('Error getting webhook event:', error);
+      res.status(500).json({ error: 'Failed to get webhook event' });
+    }
+  });
+  
+  // Process a stored webhook again. Processed events need { force: true }.
+  app.post('/api/admin/webhook-events/:id/replay', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const event = await webhookEventService.getEvent(req.params.id, organizationId);
+      if (!event) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+      
+      // Loaded here so the API routes don't pull in every webhook handler
+      const { isReplayable, replayWebhookEvent } = await import('../webhooks');
+      if (!isReplayable(event)) {
+        return res.status(409).json({ error: `${event.source}/${event.endpoint} webhooks can't be replayed` });
+      }
+      if (event.status === 'processed' && req.body?.force !== true) {
+        return res.status(409).json({ error: 'Webhook event was already processed; pass force to replay it' });
+      }
+      if (event.status === 'received' && Date.now() - new Date(event.updated_at).getTime() < IN_FLIGHT_MS) {
+        return res.status(409).json({ error: 'Webhook event is still being processed' });
+      }
+      
+      const previousStatus = event.status;
+      const result = await replayWebhookEvent(event);
+      
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'webhook_event.replayed',
+        target_type: 'webhook_event',
+        target_id: event.id,
+        details: { source: event.source, endpoint: event.endpoint, previous_status: previousStatus, status: result.event.status, response_status: result.status }
+      });
+      
+      res.json({ event: result.event, response: { status: result.status, body: result.body } });
+    } catch (error) {
+      logger.error('Error replaying webhook event:', error);
+      res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+  });
+
   // Test broadcast functionality (for debugging)
   app.post('/api/admin/test-broadcast', async (req: Request, res: Response) => {
     try {
-      const { type = 'test_message', lead_id = 'test-lead-123', message = 'Broadcast test from admin' } = req.body;
+      const { lead_id, message = 'Broadcast test from admin' } = req.body;
       
-      broadcastToClients({
-        type,
+      await broadcastToClients({
+        type: 'test_event',
+        organization_id: res.locals.organizationId,
         lead_id,
-        message,
-        test: true,
-        timestamp: new Date().toISOString()
+        message
       });
       
-      logger.info('Test broadcast sent:', { type, lead_id, message });
+      logger.info('Test broadcast sent:', { lead_id, message });
       res.json({ success: true, message: 'Broadcast sent successfully' });
     } catch (error) {
       logger.error('Error sending test broadcast:', error);
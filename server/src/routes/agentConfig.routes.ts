@@ -0,0 +1,250 @@
+import { Express, Request, Response } from 'express';
+import {
+  AGENT_CONFIG_FIELDS,
+  AgentApiError,
+  AgentConfigConflictError,
+  AgentConfigService,
+  extractAgentFields
+} from '../services/agentConfig.service';
+import { AuditService } from '../services/audit.service';
+import { AgentConfigField, AgentConfigFields } from '../types';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const agentConfigService = new AgentConfigService();
+const auditService = new AuditService();
+
+// The organization's agent id, or a 400 when ElevenLabs isn't set up
+async function requireAgent(res: Response): Promise<string | null> {
+  const agentId = await agentConfigService.getAgentId(res.locals.organizationId);
+  if (!agentId) {
+    res.status(400).json({ error: 'Missing ElevenLabs configuration' });
+  }
+  return agentId;
+}
+
+function parseVersion(value: unknown): number | null {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+function sendError(res: Response, error: unknown, context: string, message: string) {
+  if (error instanceof AgentApiError) {
+    return res.status(502).json({ error: 'ElevenLabs API error', status: error.status, message: error.message });
+  }
+  if (error instanceof AgentConfigConflictError) {
+    return res.status(409).json({ error: 'Agent config changed since this edit started', latest_version: error.latestVersion });
+  }
+  logger.error(`Error ${context}:`, error);
+  res.status(500).json({ error: message });
+}
+
+export function setupAgentConfigRoutes(app: Express) {
+  // Managed fields of the agent as ElevenLabs has it now
+  app.get('/api/agent/config/live', async (req: Request, res: Response) => {
+    try {
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      const live = await agentConfigService.fetchLiveAgent(agentId);
+      res.json({ agent_id: agentId, fields: AGENT_CONFIG_FIELDS, config: extractAgentFields(live) });
+    } catch (error) {
+      sendError(res, error, 'fetching live agent config', 'Failed to fetch live agent config');
+    }
+  });
+
+  app.get('/api/agent/config/versions', async (req: Request, res: Response) => {
+    try {
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      res.json(await agentConfigService.listVersions(res.locals.organizationId, agentId));
+    } catch (error) {
+      sendError(res, error, 'fetching agent config versions', 'Failed to fetch agent config versions');
+    }
+  });
+
+  app.get('/api/agent/config/versions/:version', async (req: Request, res: Response) => {
+    try {
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      const version = parseVersion(req.params.version);
+      const found = version && await agentConfigService.getVersion(res.locals.organizationId, agentId, version);
+      if (!found) {
+        return res.status(404).json({ error: 'Agent config version not found' });
+      }
+      res.json(found);
+    } catch (error) {
+      sendError(res, error, 'fetching agent config version', 'Failed to fetch agent config version');
+    }
+  });
+
+  // Save a version. Send `config` with the fields to change, `agent` with a
+  // whole agent JSON (e.g. from agent_configs/) to import it, or neither to
+  // snapshot the live agent. `base_version` guards against overwriting
+  // someone else's save.
+  app.post('/api/agent/config/versions', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const { config, agent, note, base_version } = req.body;
+      if (config !== undefined && agent !== undefined) {
+        return res.status(400).json({ error: 'Invalid agent config', details: ['send either config or agent, not both'] });
+      }
+      if (base_version !== undefined && base_version !== null && !(Number.isInteger(base_version) && base_version >= 0)) {
+        return res.status(400).json({ error: 'Invalid agent config', details: ['base_version must be a version number'] });
+      }
+
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      let changes: Partial<AgentConfigFields>;
+      let source: 'edit' | 'import' | 'live';
+      if (agent !== undefined) {
+        if (!agent || typeof agent !== 'object' || !agent.conversation_config) {
+          return res.status(400).json({ error: 'Invalid agent config', details: ['agent must be an ElevenLabs agent with conversation_config'] });
+        }
+        changes = extractAgentFields(agent);
+        source = 'import';
+      } else if (config !== undefined) {
+        changes = config;
+        source = 'edit';
+      } else {
+        changes = extractAgentFields(await agentConfigService.fetchLiveAgent(agentId));
+        source = 'live';
+      }
+
+      // The live agent is recorded as it is, even where it wouldn't pass
+      const details = source === 'live' ? [] : agentConfigService.validateFields(changes, source === 'edit');
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid agent config', details });
+      }
+
+      const version = await agentConfigService.createVersion(res.locals.organizationId, agentId, changes, {
+        source,
+        note,
+        baseVersion: base_version,
+        user: res.locals.user
+      });
+
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'agent.config_version_created',
+        target_type: 'agent',
+        target_id: agentId,
+        details: { version: version.version, source, fields: Object.keys(changes) }
+      });
+      res.status(201).json(version);
+    } catch (error) {
+      sendError(res, error, 'saving agent config version', 'Failed to save agent config version');
+    }
+  });
+
+  // What deploying ?version= (default: the latest) would change on the live agent
+  app.get('/api/agent/config/diff', async (req: Request, res: Response) => {
+    try {
+      const requested = req.query.version === undefined ? undefined : parseVersion(req.query.version);
+      if (requested === null) {
+        return res.status(400).json({ error: 'version must be a positive integer' });
+      }
+
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      const version = await agentConfigService.getVersion(res.locals.organizationId, agentId, requested);
+      if (!version) {
+        return res.status(404).json({ error: 'Agent config version not found' });
+      }
+
+      const changes = await agentConfigService.diffWithLive(agentId, version);
+      res.json({ agent_id: agentId, version: version.version, in_sync: changes.length === 0, changes });
+    } catch (error) {
+      sendError(res, error, 'diffing agent config', 'Failed to diff agent config');
+    }
+  });
+
+  // Deploy a version, or only the listed `fields` of it
+  app.post('/api/agent/config/deploy', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const { fields = AGENT_CONFIG_FIELDS } = req.body;
+      const versionNumber = parseVersion(req.body.version);
+      const details: string[] = [];
+      if (!versionNumber) details.push('version must be a positive integer');
+      if (!Array.isArray(fields) || fields.length === 0) {
+        details.push('fields must be a non-empty list');
+      } else {
+        const unknown = fields.filter((field: string) => !AGENT_CONFIG_FIELDS.includes(field as AgentConfigField));
+        if (unknown.length > 0) details.push(`unknown fields: ${unknown.join(', ')}`);
+      }
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid deploy', details });
+      }
+
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      const version = await agentConfigService.getVersion(res.locals.organizationId, agentId, versionNumber!);
+      if (!version) {
+        return res.status(404).json({ error: 'Agent config version not found' });
+      }
+
+      const result = await agentConfigService.deploy(res.locals.organizationId, agentId, version, fields);
+      if (result.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid agent config', details: result.errors });
+      }
+
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'agent.config_deployed',
+        target_type: 'agent',
+        target_id: agentId,
+        details: { version: version.version, fields, changed: result.changes.map(change => change.field) }
+      });
+      res.json({ version: version.version, changes: result.changes });
+    } catch (error) {
+      sendError(res, error, 'deploying agent config', 'Failed to deploy agent config');
+    }
+  });
+
+  // Restore an earlier version: saved as a new version, then deployed in full
+  app.post('/api/agent/config/rollback', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const versionNumber = parseVersion(req.body.version);
+      if (!versionNumber) {
+        return res.status(400).json({ error: 'Invalid rollback', details: ['version must be a positive integer'] });
+      }
+
+      const agentId = await requireAgent(res);
+      if (!agentId) return;
+
+      const target = await agentConfigService.getVersion(res.locals.organizationId, agentId, versionNumber);
+      if (!target) {
+        return res.status(404).json({ error: 'Agent config version not found' });
+      }
+
+      const version = await agentConfigService.createVersion(res.locals.organizationId, agentId, target.config, {
+        source: 'rollback',
+        note: req.body.note || `Rollback to version ${target.version}`,
+        rolledBackFrom: target.version,
+        user: res.locals.user
+      });
+      const result = await agentConfigService.deploy(res.locals.organizationId, agentId, version);
+      if (result.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid agent config', details: result.errors, version: version.version });
+      }
+
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'agent.config_rolled_back',
+        target_type: 'agent',
+        target_id: agentId,
+        details: { version: version.version, restored: target.version, changed: result.changes.map(change => change.field) }
+      });
+      res.json({ version: version.version, restored: target.version, changes: result.changes });
+    } catch (error) {
+      sendError(res, error, 'rolling back agent config', 'Failed to roll back agent config');
+    }
+  });
+}
@@ -0,0 +1,152 @@
+import { Express, Request, Response } from 'express';
+import { AppointmentService } from '../services/appointment.service';
+import { LeadService } from '../services/lead.service';
+import { logger } from '../utils/logger';
+
+const appointmentService = new AppointmentService();
+const leadService = new LeadService();
+
+// Errors thrown by AppointmentService for bad input rather than server failure
+function isBookingConflict(error: unknown): boolean {
+  const message = error instanceof Error ? error.message : '';
+  return /not available|Invalid appointment time|no longer active/.test(message);
+}
+
+// Appointments and leads of another organization are reported as not found
+async function getOrganizationAppointment(appointmentId: string, organizationId: string) {
+  const appointment = await appointmentService.getAppointment(appointmentId);
+  return appointment && appointment.organization_id === organizationId ? appointment : null;
+}
+
+export function setupAppointmentRoutes(app: Express) {
+  app.get('/api/appointments', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const { from, to, status, lead_id } = req.query;
+
+      const appointments = await appointmentService.listAppointments(organizationId, {
+        from: from as string,
+        to: to as string,
+        status: status as string,
+        leadId: lead_id as string
+      });
+
+      res.json(appointments);
+    } catch (error) {
+      logger.error('Error fetching appointments:', error);
+      res.status(500).json({ error: 'Failed to fetch appointments' });
+    }
+  });
+
+  app.get('/api/appointments/slots', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const days = parseInt(req.query.days as string, 10) || 7;
+      const limit = parseInt(req.query.limit as string, 10) || undefined;
+
+      const slots = await appointmentService.getAvailableSlots(organizationId, {
+        days: Math.min(days, 31),
+        limit
+      });
+
+      res.json(slots);
+    } catch (error) {
+      logger.error('Error fetching appointment slots:', error);
+      res.status(500).json({ error: 'Failed to fetch appointment slots' });
+    }
+  });
+
+  app.get('/api/appointments/:id', async (req: Request, res: Response) => {
+    try {
+      const appointment = await getOrganizationAppointment(req.params.id, res.locals.organizationId);
+      if (!appointment) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+      res.json(appointment);
+    } catch (error) {
+      logger.error('Error fetching appointment:', error);
+      res.status(500).json({ error: 'Failed to fetch appointment' });
+    }
+  });
+
+  app.post('/api/appointments', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const { lead_id, scheduled_at, service_type, notes } = req.body;
+
+      if (!lead_id || !scheduled_at) {
+        return res.status(400).json({ error: 'lead_id and scheduled_at are required' });
+      }
+
+      const lead = await leadService.getLead(lead_id);
+      if (!lead || lead.organization_id !== organizationId) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const appointment = await appointmentService.bookAppointment({
+        organization_id: organizationId,
+        lead_id,
+        scheduled_at,
+        service_type,
+        notes,
+        source: 'dashboard'
+      });
+
+      res.status(201).json(appointment);
+    } catch (error) {
+      if (isBookingConflict(error)) {
+        return res.status(409).json({ error: (error as Error).message });
+      }
+      logger.error('Error booking appointment:', error);
+      res.status(500).json({ error: 'Failed to book appointment' });
+    }
+  });
+
+  app.patch('/api/appointments/:id', async (req: Request, res: Response) => {
+    try {
+      const { scheduled_at, service_type, notes, status } = req.body;
+
+      const existing = await getOrganizationAppointment(req.params.id, res.locals.organizationId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+
+      let appointment = existing;
+      if (scheduled_at && new Date(scheduled_at).getTime() !== new Date(existing.scheduled_at).getTime()) {
+        appointment = await appointmentService.rescheduleAppointment(existing.id, scheduled_at);
+      }
+
+      const updates: Record<string, any> = {};
+      if (service_type !== undefined) updates.service_type = service_type;
+      if (notes !== undefined) updates.notes = notes;
+      if (status === 'completed' || status === 'no_show') updates.status = status;
+
+      if (Object.keys(updates).length > 0) {
+        appointment = await appointmentService.updateAppointment(existing.id, updates);
+      }
+
+      res.json(appointment);
+    } catch (error) {
+      if (isBookingConflict(error)) {
+        return res.status(409).json({ error: (error as Error).message });
+      }
+      logger.error('Error updating appointment:', error);
+      res.status(500).json({ error: 'Failed to update appointment' });
+    }
+  });
+
+  app.delete('/api/appointments/:id', async (req: Request, res: Response) => {
+    try {
+      const existing = await getOrganizationAppointment(req.params.id, res.locals.organizationId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+
+      const appointment = await appointmentService.cancelAppointment(existing.id, req.body?.reason || 'dashboard');
+      res.json(appointment);
+    } catch (error) {
+      logger.error('Error cancelling appointment:', error);
+      res.status(500).json({ error: 'Failed to cancel appointment' });
+    }
+  });
+}
@@ -0,0 +1,38 @@
+import { Express, Request, Response } from 'express';
+import { AuthService, LoginLockedError } from '../services/auth.service';
+import { AuditService } from '../services/audit.service';
+import { logger } from '../utils/logger';
+
+const authService = new AuthService();
+const auditService = new AuditService();
+
+export function setupAuthRoutes(app: Express) {
+  // Exchange email and password for a bearer token
+  app.post('/api/auth/login', async (req: Request, res: Response) => {
+    try {
+      const { email, password } = req.body || {};
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'email and password are required' });
+      }
+
+      const session = await authService.login(email, password, req.ip);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      await auditService.record({
+        organization_id: session.user.organization_id,
+        user: session.user,
+        action: 'auth.login'
+      });
+      res.json(session);
+    } catch (error) {
+      if (error instanceof LoginLockedError) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+        return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+      }
+      logger.error('Error logging in:', error);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+}
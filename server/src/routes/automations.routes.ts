@@ -0,0 +1,155 @@
+import { Express, Request, Response } from 'express';
+import {
+  AutomationRuleService,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  TEMPLATE_VARIABLES
+} from '../services/automationRule.service';
+import { LeadService } from '../services/lead.service';
+import { AutomationRule } from '../types';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const automationRuleService = new AutomationRuleService();
+const leadService = new LeadService();
+
+export function setupAutomationRoutes(app: Express) {
+  app.get('/api/automations', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const rules = await automationRuleService.listRules(organizationId);
+      res.json(rules);
+    } catch (error) {
+      logger.error('Error fetching automation rules:', error);
+      res.status(500).json({ error: 'Failed to fetch automation rules' });
+    }
+  });
+
+  // Options for the dashboard editor
+  app.get('/api/automations/schema', (req: Request, res: Response) => {
+    res.json({
+      fields: CONDITION_FIELDS,
+      operators: CONDITION_OPERATORS,
+      variables: TEMPLATE_VARIABLES
+    });
+  });
+
+  // Evaluate rules against a stored call without sending anything.
+  // Pass `rules` to try unsaved edits; otherwise the saved rules are used
+  // (disabled ones are reported but never counted as sending).
+  app.post('/api/automations/dry-run', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const { call_session_id, rules } = req.body;
+
+      if (!call_session_id) {
+        return res.status(400).json({ error: 'call_session_id is required' });
+      }
+
+      let candidateRules: AutomationRule[];
+      if (Array.isArray(rules)) {
+        const details = rules.flatMap((rule: AutomationRule, i: number) =>
+          automationRuleService.validateRule(rule).map(message => `rules[${i}]: ${message}`)
+        );
+        if (details.length > 0) {
+          return res.status(400).json({ error: 'Invalid automation rules', details });
+        }
+        candidateRules = rules.map((rule: AutomationRule, i: number) => ({
+          ...rule,
+          id: rule.id || `draft-${i}`,
+          match: rule.match || 'all',
+          delay_minutes: rule.delay_minutes ?? 0,
+          priority: rule.priority ?? 0,
+          cooldown_minutes: rule.cooldown_minutes ?? 60,
+          enabled: rule.enabled ?? true
+        }));
+      } else {
+        candidateRules = await automationRuleService.listRules(organizationId);
+      }
+
+      const stored = await automationRuleService.getStoredInsights(call_session_id, organizationId);
+      if (!stored) {
+        return res.status(404).json({ error: 'Call session not found' });
+      }
+
+      const lead = stored.session.lead_id ? await leadService.getLead(stored.session.lead_id) : null;
+      const results = await automationRuleService.evaluateForLead(candidateRules, stored.insights, lead, organizationId);
+
+      res.json({
+        call_session_id,
+        lead_id: stored.session.lead_id || null,
+        insights: stored.insights,
+        results,
+        would_send: results.filter(result => result.matched && !result.skipped_reason)
+      });
+    } catch (error) {
+      logger.error('Error running automation dry run:', error);
+      res.status(500).json({ error: 'Failed to run automation dry run' });
+    }
+  });
+
+  app.get('/api/automations/:id', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const rule = await automationRuleService.getRule(req.params.id, organizationId);
+      if (!rule) {
+        return res.status(404).json({ error: 'Automation rule not found' });
+      }
+      res.json(rule);
+    } catch (error) {
+      logger.error('Error fetching automation rule:', error);
+      res.status(500).json({ error: 'Failed to fetch automation rule' });
+    }
+  });
+
+  app.post('/api/automations', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = automationRuleService.validateRule(req.body);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid automation rule', details });
+      }
+
+      const rule = await automationRuleService.createRule(organizationId, req.body);
+      res.status(201).json(rule);
+    } catch (error) {
+      logger.error('Error creating automation rule:', error);
+      res.status(500).json({ error: 'Failed to create automation rule' });
+    }
+  });
+
+  app.patch('/api/automations/:id', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = automationRuleService.validateRule(req.body, true);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid automation rule', details });
+      }
+
+      const rule = await automationRuleService.updateRule(req.params.id, organizationId, req.body);
+      if (!rule) {
+        return res.status(404).json({ error: 'Automation rule not found' });
+      }
+      res.json(rule);
+    } catch (error) {
+      logger.error('Error updating automation rule:', error);
+      res.status(500).json({ error: 'Failed to update automation rule' });
+    }
+  });
+
+  app.delete('/api/automations/:id', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const deleted = await automationRuleService.deleteRule(req.params.id, organizationId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Automation rule not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting automation rule:', error);
+      res.status(500).json({ error: 'Failed to delete automation rule' });
+    }
+  });
+}
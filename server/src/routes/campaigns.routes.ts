@@ -0,0 +1,158 @@
+import { Express, Request, Response } from 'express';
+import { CampaignService } from '../services/campaign.service';
+import { AuditService } from '../services/audit.service';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const campaignService = new CampaignService();
+const auditService = new AuditService();
+
+export function setupCampaignRoutes(app: Express) {
+  app.get('/api/campaigns', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const campaigns = await campaignService.listCampaigns(organizationId);
+      const withProgress = await Promise.all(campaigns.map(async campaign => ({
+        ...campaign,
+        progress: await campaignService.getProgress(campaign.id)
+      })));
+      res.json(withProgress);
+    } catch (error) {
+      logger.error('Error fetching campaigns:', error);
+      res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+  });
+
+  // How many leads a segment would call, before creating the campaign
+  app.post('/api/campaigns/preview', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const segment = req.body.segment || {};
+
+      const details = campaignService.validateCampaign({ name: 'preview', purpose: 'preview', segment });
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid segment', details });
+      }
+
+      const leads = await campaignService.findSegmentLeads(organizationId, segment);
+      res.json({
+        count: leads.length,
+        leads: leads.slice(0, 20).map(lead => ({
+          id: lead.id,
+          customer_name: lead.customer_name,
+          phone_number: lead.phone_number,
+          status: lead.status,
+          last_contact_at: lead.last_contact_at
+        }))
+      });
+    } catch (error) {
+      logger.error('Error previewing campaign segment:', error);
+      res.status(500).json({ error: 'Failed to preview campaign segment' });
+    }
+  });
+
+  app.get('/api/campaigns/:id', async (req: Request, res: Response) => {
+    try {
+      const campaign = await campaignService.getCampaign(req.params.id, res.locals.organizationId);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      res.json({ ...campaign, progress: await campaignService.getProgress(campaign.id) });
+    } catch (error) {
+      logger.error('Error fetching campaign:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+  });
+
+  app.get('/api/campaigns/:id/results', async (req: Request, res: Response) => {
+    try {
+      const campaign = await campaignService.getCampaign(req.params.id, res.locals.organizationId);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      res.json(await campaignService.listResults(campaign.id));
+    } catch (error) {
+      logger.error('Error fetching campaign results:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign results' });
+    }
+  });
+
+  app.post('/api/campaigns', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = campaignService.validateCampaign(req.body);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid campaign', details });
+      }
+
+      const campaign = await campaignService.createCampaign(organizationId, req.body, res.locals.user?.id);
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'campaign.created',
+        target_type: 'campaign',
+        target_id: campaign.id,
+        details: { name: campaign.name, segment: campaign.segment }
+      });
+      res.status(201).json(campaign);
+    } catch (error) {
+      logger.error('Error creating campaign:', error);
+      res.status(500).json({ error: 'Failed to create campaign' });
+    }
+  });
+
+  // Starts a draft, or resumes a paused campaign
+  app.post('/api/campaigns/:id/start', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const campaign = await campaignService.getCampaign(req.params.id, organizationId);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (!['draft', 'paused'].includes(campaign.status)) {
+        return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+      }
+
+      const started = await campaignService.start(campaign);
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: campaign.status === 'draft' ? 'campaign.started' : 'campaign.resumed',
+        target_type: 'campaign',
+        target_id: campaign.id
+      });
+      res.json({ ...started, progress: await campaignService.getProgress(started.id) });
+    } catch (error) {
+      logger.error('Error starting campaign:', error);
+      res.status(500).json({ error: 'Failed to start campaign' });
+    }
+  });
+
+  // Stops dialing new leads; calls already ringing still report their outcome
+  app.post('/api/campaigns/:id/pause', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const campaign = await campaignService.getCampaign(req.params.id, organizationId);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'running') {
+        return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+      }
+
+      const paused = await campaignService.pause(campaign);
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'campaign.paused',
+        target_type: 'campaign',
+        target_id: campaign.id
+      });
+      res.json(paused);
+    } catch (error) {
+      logger.error('Error pausing campaign:', error);
+      res.status(500).json({ error: 'Failed to pause campaign' });
+    }
+  });
+}
@@ -2,18 +2,22 @@ import { Express, Request, Response } from 'express';
 import { LeadService } from '../services/lead.service';
 import { ConversationService } from '../services/conversation.service';
 import { SMSAutomationService } from '../services/sms.service';
+import { requireRole } from '../middleware/auth';
 import { logger } from '../utils/logger';
+import { normalizePhoneNumber } from '../utils/phone.helper';
 
 const leadService = new LeadService();
 const conversationService = new ConversationService();
 const smsService = new SMSAutomationService();
 
 export function setupDebugRoutes(app: Express) {
+  app.use('/api/debug', requireRole('owner'));
+  
   // Test SMS functionality
   app.post('/api/debug/test-sms', async (req: Request, res: Response) => {
     try {
       const { phoneNumber, message } = req.body;
-      const organizationId = 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
       
       logger.info('DEBUG: Testing SMS functionality:', { phoneNumber, message });
       
@@ -21,7 +25,7 @@ export function setupDebugRoutes(app: Express) {
       const lead = await leadService.findLeadByPhone(phoneNumber, organizationId);
       logger.info('DEBUG: Lead lookup result:', { 
         phone: phoneNumber,
-        normalized: phoneNumber.replace(/\D/g, ''),
+        normalized: normalizePhoneNumber(phoneNumber),
         found: !!lead,
         lead_id: lead?.id 
       });
@@ -74,14 +78,14 @@ export function setupDebugRoutes(app: Express) {
   app.get('/api/debug/lead/:phone', async (req: Request, res: Response) => {
     try {
       const { phone } = req.params;
-      const organizationId = 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
       
       const lead = await leadService.findLeadByPhone(phone, organizationId);
       const conversations = lead ? await conversationService.getRecentConversations(lead.id, 10) : [];
       
       res.json({
         phone_searched: phone,
-        normalized: phone.replace(/\D/g, ''),
+        normalized: normalizePhoneNumber(phone),
         lead_found: !!lead,
         lead: lead,
         conversation_count: conversations.length,
@@ -0,0 +1,285 @@
+import { Express, Request, Response } from 'express';
+import { HumanControlService } from '../services/humanControl.service';
+import { LeadService } from '../services/lead.service';
+import { UserService } from '../services/user.service';
+import { AuditService } from '../services/audit.service';
+import { HumanControlSession, User } from '../types';
+import { logger } from '../utils/logger';
+
+const humanControlService = new HumanControlService();
+const leadService = new LeadService();
+const userService = new UserService();
+const auditService = new AuditService();
+
+// Leads belonging to another organization are treated as not found
+async function getOrganizationLead(leadId: string, organizationId: string) {
+  const lead = leadId ? await leadService.getLead(leadId) : null;
+  return lead && lead.organization_id === organizationId ? lead : null;
+}
+
+// Only the staff member holding a conversation, or an owner, may act on it
+function canManage(session: HumanControlSession, user: User): boolean {
+  return session.agent_user_id === user?.id || user?.role === 'owner';
+}
+
+export function setupHumanControlRoutes(app: Express) {
+  // Conversations waiting for a person, oldest first
+  app.get('/api/human-control/queue', async (req: Request, res: Response) => {
+    try {
+      res.json(await humanControlService.listEscalations(res.locals.organizationId));
+    } catch (error) {
+      logger.error('Error fetching handoff queue:', error);
+      res.status(500).json({ error: 'Failed to fetch handoff queue' });
+    }
+  });
+
+  app.get('/api/human-control/sessions', async (req: Request, res: Response) => {
+    try {
+      res.json(await humanControlService.getActiveSessions(res.locals.organizationId));
+    } catch (error) {
+      logger.error('Error fetching human control sessions:', error);
+      res.status(500).json({ error: 'Failed to fetch human control sessions' });
+    }
+  });
+
+  // Staff a conversation can be transferred to
+  app.get('/api/human-control/agents', async (req: Request, res: Response) => {
+    try {
+      const users = await userService.listUsers(res.locals.organizationId);
+      res.json(users
+        .filter(user => user.active && user.role !== 'read_only')
+        .map(user => ({ id: user.id, name: user.name, role: user.role })));
+    } catch (error) {
+      logger.error('Error fetching agents:', error);
+      res.status(500).json({ error: 'Failed to fetch agents' });
+    }
+  });
+
+  app.get('/api/human-control/:leadId', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const lead = await getOrganizationLead(req.params.leadId, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      res.json({
+        session: await humanControlService.getSession(lead.id),
+        escalation: await humanControlService.getEscalation(organizationId, lead.id)
+      });
+    } catch (error) {
+      logger.error('Error fetching human control state:', error);
+      res.status(500).json({ error: 'Failed to fetch human control state' });
+    }
+  });
+
+  // Customer texts received since the holder last collected them
+  app.get('/api/human-control/:leadId/messages', async (req: Request, res: Response) => {
+    try {
+      const lead = await getOrganizationLead(req.params.leadId, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const session = await humanControlService.getSession(lead.id);
+      if (!session) {
+        return res.status(404).json({ error: 'No active human control session' });
+      }
+      if (session.agent_user_id !== res.locals.user?.id) {
+        return res.status(403).json({ error: `Conversation is assigned to ${session.agent_name}` });
+      }
+
+      res.json(await humanControlService.takeQueuedMessages(lead.id));
+    } catch (error) {
+      logger.error('Error fetching queued messages:', error);
+      res.status(500).json({ error: 'Failed to fetch queued messages' });
+    }
+  });
+
+  // Take over a conversation as the signed-in user ("join" is the older name)
+  const claim = async (req: Request, res: Response) => {
+    try {
+      const { leadId } = req.body;
+      const organizationId = res.locals.organizationId;
+      const user = res.locals.user;
+
+      const lead = await getOrganizationLead(leadId, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const result = await humanControlService.claimConversation(leadId, organizationId, user);
+      if (!result) {
+        const holder = await humanControlService.getSession(leadId);
+        return res.status(409).json({
+          error: 'Conversation already under human control',
+          agent_name: holder?.agent_name
+        });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user,
+        action: 'human_control.joined',
+        target_type: 'lead',
+        target_id: leadId,
+        details: { session_id: result.session.id, escalation_reason: result.session.escalation_reason }
+      });
+      res.json({ success: true, session: result.session, messages: result.messages });
+    } catch (error) {
+      logger.error('Error joining conversation:', error);
+      res.status(500).json({ error: 'Failed to join conversation' });
+    }
+  };
+  app.post('/api/human-control/claim', claim);
+  app.post('/api/human-control/join', claim);
+
+  // Hand the conversation back to the AI ("leave" is the older name)
+  const release = async (req: Request, res: Response) => {
+    try {
+      const { leadId } = req.body;
+      const organizationId = res.locals.organizationId;
+
+      const lead = await getOrganizationLead(leadId, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const session = await humanControlService.getSession(leadId);
+      if (!session) {
+        return res.status(404).json({ error: 'No active human control session' });
+      }
+      if (!canManage(session, res.locals.user)) {
+        return res.status(403).json({ error: `Conversation is assigned to ${session.agent_name}` });
+      }
+
+      await humanControlService.releaseConversation(leadId);
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'human_control.left',
+        target_type: 'lead',
+        target_id: leadId,
+        details: { session_id: session.id, agent_name: session.agent_name }
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error leaving conversation:', error);
+      res.status(500).json({ error: 'Failed to leave conversation' });
+    }
+  };
+  app.post('/api/human-control/release', release);
+  app.post('/api/human-control/leave', release);
+
+  app.post('/api/human-control/transfer', async (req: Request, res: Response) => {
+    try {
+      const { leadId, userId } = req.body;
+      const organizationId = res.locals.organizationId;
+
+      const lead = await getOrganizationLead(leadId, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const session = await humanControlService.getSession(leadId);
+      if (!session) {
+        return res.status(404).json({ error: 'No active human control session' });
+      }
+      if (!canManage(session, res.locals.user)) {
+        return res.status(403).json({ error: `Conversation is assigned to ${session.agent_name}` });
+      }
+
+      const target = userId ? await userService.getUser(userId) : null;
+      if (!target || target.organization_id !== organizationId || !target.active || target.role === 'read_only') {
+        return res.status(400).json({ error: 'Invalid transfer', details: ['userId must be an active owner or staff member'] });
+      }
+      if (target.id === session.agent_user_id) {
+        return res.status(400).json({ error: 'Invalid transfer', details: [`${target.name} already has this conversation`] });
+      }
+
+      const transferred = await humanControlService.transferConversation(leadId, { id: target.id, name: target.name });
+      if (!transferred) {
+        return res.status(404).json({ error: 'No active human control session' });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'human_control.transferred',
+        target_type: 'lead',
+        target_id: leadId,
+        details: { from: session.agent_name, to: target.name, session_id: transferred.id }
+      });
+      res.json({ success: true, session: transferred });
+    } catch (error) {
+      logger.error('Error transferring conversation:', error);
+      res.status(500).json({ error: 'Failed to transfer conversation' });
+    }
+  });
+
+  // Take a conversation out of the queue and leave it with the AI
+  app.post('/api/human-control/queue/:leadId/dismiss', async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const { leadId } = req.params;
+
+      if (!(await humanControlService.dismissEscalation(organizationId, leadId))) {
+        return res.status(404).json({ error: 'Conversation is not waiting for a person' });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'human_control.dismissed',
+        target_type: 'lead',
+        target_id: leadId
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error dismissing handoff:', error);
+      res.status(500).json({ error: 'Failed to dismiss handoff' });
+    }
+  });
+
+  app.post('/api/human-control/send-message', async (req: Request, res: Response) => {
+    try {
+      const { leadId, message, phoneNumber, channel = 'sms' } = req.body;
+      const organizationId = res.locals.organizationId;
+      if (channel !== 'sms' && channel !== 'email') {
+        return res.status(400).json({ error: 'channel must be sms or email' });
+      }
+
+      const lead = await getOrganizationLead(leadId, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const session = await humanControlService.getSession(leadId);
+      if (!session) {
+        return res.status(404).json({ error: 'No active human control session' });
+      }
+      if (session.agent_user_id !== res.locals.user?.id) {
+        return res.status(403).json({ error: `Conversation is assigned to ${session.agent_name}` });
+      }
+
+      const result = await humanControlService.sendHumanMessage(leadId, message, phoneNumber, channel);
+      if (result?.suppressed) {
+        return res.status(403).json({ error: channel === 'email' ? 'Email not sent' : 'SMS not sent', reason: result.reason });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'human_control.message_sent',
+        target_type: 'lead',
+        target_id: leadId,
+        details: { channel }
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error sending human message:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  });
+}
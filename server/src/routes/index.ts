@@ -1,34 +1,122 @@
 import { Express, Request, Response } from 'express';
-import { setupSSEConnection, getCachedDashboardStats, getCachedDashboardLeads, invalidateDashboardCache } from '../services/realtime.service';
-import { HumanControlService } from '../services/humanControl.service';
+import { setupSSEConnection, setClientSubscription, getCachedDashboardLeads, invalidateDashboardCache, broadcastLeadUpdate } from '../services/realtime.service';
 import { LeadService } from '../services/lead.service';
 import { ConversationService } from '../services/conversation.service';
 import { CallSessionService } from '../services/callSession.service';
 import { SMSAutomationService } from '../services/sms.service';
-import { elevenLabsConfig } from '../config/elevenlabs.config';
+import { ConsentService } from '../services/consent.service';
+import { AuthService } from '../services/auth.service';
+import { AuditService } from '../services/audit.service';
+import { AnalyticsService } from '../services/analytics.service';
+import { OutboundCallService } from '../services/outboundCall.service';
+import { LeadScoringService, LEAD_STATUS_ORDER } from '../services/leadScoring.service';
+import { LeadMergeService } from '../services/leadMerge.service';
+import { HumanControlService } from '../services/humanControl.service';
+import { ConversationSearchService } from '../services/conversationSearch.service';
+import { CustomerMemoryService, CUSTOMER_FACT_CATEGORIES, FACT_CATEGORIES, MEMORY_CHANNELS } from '../services/customerMemory.service';
+import { EmailService } from '../services/email.service';
+import { requireOrganization } from '../middleware/organization';
+import { authenticate, blockReadOnlyWrites, requireRole } from '../middleware/auth';
 import { logger } from '../utils/logger';
+import { isValidEmail } from '../utils/email.helper';
+import { maskPhoneNumber } from '../utils/redaction.helper';
+import { CustomerFactCategory, Lead, MemoryChannel } from '../types';
 import { setupDebugRoutes } from './debug.routes';
 import { setupAdminRoutes } from './admin.routes';
+import { setupAppointmentRoutes } from './appointments.routes';
+import { setupAutomationRoutes } from './automations.routes';
+import { setupAgentConfigRoutes } from './agentConfig.routes';
+import { setupCampaignRoutes } from './campaigns.routes';
+import { setupIntegrationRoutes } from './integrations.routes';
+import { setupPrivacyRoutes } from './privacy.routes';
+import { setupHumanControlRoutes } from './humanControl.routes';
+import { setupOrganizationRoutes } from './organization.routes';
+import { setupAuthRoutes } from './auth.routes';
+import { setupUserRoutes } from './users.routes';
+import { monitoringRoutes } from './monitoring.routes';
 
-const humanControlService = new HumanControlService();
 const leadService = new LeadService();
 const conversationService = new ConversationService();
 const callSessionService = new CallSessionService();
 const smsService = new SMSAutomationService();
+const consentService = new ConsentService();
+const authService = new AuthService();
+const auditService = new AuditService();
+const analyticsService = new AnalyticsService();
+const outboundCallService = new OutboundCallService();
+const leadScoringService = new LeadScoringService();
+const leadMergeService = new LeadMergeService();
+const humanControlService = new HumanControlService();
+const conversationSearchService = new ConversationSearchService();
+const customerMemoryService = new CustomerMemoryService();
+const emailService = new EmailService();
+
+const CONTACT_PREFERENCES: Lead['qualification_data']['contact_preference'][] = ['phone', 'sms', 'email'];
+
+// Leads belonging to another organization are treated as not found
+async function getOrganizationLead(leadId: string, organizationId: string) {
+  const lead = leadId ? await leadService.getLead(leadId) : null;
+  return lead && lead.organization_id === organizationId ? lead : null;
+}
 
 export function setupAPIRoutes(app: Express) {
   logger.info('Setting up API routes');
   
-  // SSE endpoint for real-time updates
-  app.get('/api/stream/:clientId', (req: Request, res: Response) => {
-    const { clientId } = req.params;
-    setupSSEConnection(clientId, res);
+  // Login is the only API route that doesn't need a token
+  setupAuthRoutes(app);
+  
+  // SSE endpoint for real-time updates. EventSource can't send headers,
+  // so the token comes in the access_token query parameter.
+  app.get('/api/stream/:clientId', async (req: Request, res: Response) => {
+    try {
+      const user = await authService.verifyToken(String(req.query.access_token || ''));
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      
+      // EventSource resends the last id it saw when it reconnects
+      const lastEventId = req.get('Last-Event-ID') || (req.query.last_event_id ? String(req.query.last_event_id) : undefined);
+      
+      const { clientId } = req.params;
+      await setupSSEConnection(clientId, res, {
+        organizationId: user.organization_id,
+        userId: user.id,
+        lastEventId
+      });
+    } catch (error) {
+      logger.error('Error opening event stream:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to open event stream' });
+      }
+    }
+  });
+  
+  // Follow one lead's live call detail on a stream (lead_id null to stop).
+  // Read-only users watch calls too, so this sits outside the write block.
+  app.post('/api/stream/:clientId/subscribe', authenticate, requireOrganization, async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const leadId = req.body.lead_id || null;
+      
+      if (leadId && !(await getOrganizationLead(leadId, organizationId))) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      await setClientSubscription(req.params.clientId, organizationId, res.locals.user.id, leadId);
+      res.json({ success: true, lead_id: leadId });
+    } catch (error) {
+      logger.error('Error updating stream subscription:', error);
+      res.status(500).json({ error: 'Failed to update stream subscription' });
+    }
   });
   
+  // Every API route below needs a signed-in user and acts for their organization
+  app.use('/api', authenticate, requireOrganization, blockReadOnlyWrites);
+  
   // Lead management endpoints
   app.get('/api/leads', async (req: Request, res: Response) => {
     try {
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
       
       logger.info('Fetching leads for organization:', { organizationId });
       
@@ -43,9 +131,19 @@ export function setupAPIRoutes(app: Express) {
     }
   });
   
+  // Pairs of leads that look like the same customer (registered before /:id)
+  app.get('/api/leads/duplicates', async (req: Request, res: Response) => {
+    try {
+      res.json(await leadMergeService.findDuplicates(res.locals.organizationId));
+    } catch (error) {
+      logger.error('Error finding duplicate leads:', error);
+      res.status(500).json({ error: 'Failed to find duplicate leads' });
+    }
+  });
+  
   app.get('/api/leads/:id', async (req: Request, res: Response) => {
     try {
-      const lead = await leadService.getLead(req.params.id);
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
       if (!lead) {
         return res.status(404).json({ error: 'Lead not found' });
       }
@@ -56,265 +154,384 @@ export function setupAPIRoutes(app: Express) {
     }
   });
   
-  // Conversation endpoints
-  app.get('/api/conversations/:leadId', async (req: Request, res: Response) => {
+  // SMS consent endpoints
+  app.get('/api/leads/:id/sms-consent', async (req: Request, res: Response) => {
     try {
-      const conversations = await conversationService.getRecentConversations(req.params.leadId, 50);
-      res.json(conversations);
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const history = await consentService.getConsentHistory(lead.id);
+      res.json({
+        opted_out: !!lead.sms_opted_out,
+        opted_out_at: lead.sms_opted_out_at || null,
+        source: lead.sms_opt_out_source || null,
+        history
+      });
     } catch (error) {
-      logger.error('Error fetching conversations:', error);
-      res.status(500).json({ error: 'Failed to fetch conversations' });
+      logger.error('Error fetching SMS consent:', error);
+      res.status(500).json({ error: 'Failed to fetch SMS consent' });
     }
   });
   
-  // Human control endpoints
-  app.post('/api/human-control/join', async (req: Request, res: Response) => {
+  app.post('/api/leads/:id/sms-consent', async (req: Request, res: Response) => {
     try {
-      const { leadId, agentName } = req.body;
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const { opted_out } = req.body;
+      if (typeof opted_out !== 'boolean') {
+        return res.status(400).json({ error: 'opted_out must be a boolean' });
+      }
+      
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
       
-      const session = await humanControlService.joinConversation(
-        leadId,
-        agentName || 'Agent',
-        organizationId
-      );
+      const updated = opted_out
+        ? await consentService.optOut(lead, 'dashboard')
+        : await consentService.optIn(lead, 'dashboard');
       
-      res.json({ success: true, session });
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: opted_out ? 'sms_consent.opted_out' : 'sms_consent.opted_in',
+        target_type: 'lead',
+        target_id: lead.id
+      });
+      res.json(updated);
     } catch (error) {
-      logger.error('Error joining conversation:', error);
-      res.status(500).json({ error: 'Failed to join conversation' });
+      logger.error('Error updating SMS consent:', error);
+      res.status(500).json({ error: 'Failed to update SMS consent' });
     }
   });
   
-  app.post('/api/human-control/leave', async (req: Request, res: Response) => {
+  // Lead score endpoints
+  app.get('/api/leads/:id/score', async (req: Request, res: Response) => {
     try {
-      const { leadId } = req.body;
-      await humanControlService.leaveConversation(leadId);
-      res.json({ success: true });
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const history = await leadScoringService.getHistory(lead.id);
+      res.json({
+        score: lead.lead_score ?? null,
+        status: lead.status,
+        factors: lead.score_factors || [],
+        scored_at: lead.scored_at || null,
+        history
+      });
     } catch (error) {
-      logger.error('Error leaving conversation:', error);
-      res.status(500).json({ error: 'Failed to leave conversation' });
+      logger.error('Error fetching lead score:', error);
+      res.status(500).json({ error: 'Failed to fetch lead score' });
     }
   });
   
-  app.post('/api/human-control/send-message', async (req: Request, res: Response) => {
+  // Staff may move a lead to any status, including backwards
+  app.put('/api/leads/:id/status', async (req: Request, res: Response) => {
     try {
-      const { leadId, message, phoneNumber } = req.body;
-      await humanControlService.sendHumanMessage(leadId, message, phoneNumber);
-      res.json({ success: true });
+      const { status, reason } = req.body;
+      const errors: string[] = [];
+      if (!LEAD_STATUS_ORDER.includes(status)) {
+        errors.push(`status must be one of: ${LEAD_STATUS_ORDER.join(', ')}`);
+      }
+      if (reason !== undefined && typeof reason !== 'string') {
+        errors.push('reason must be a string');
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid status', details: errors });
+      }
+      
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const updated = await leadScoringService.overrideStatus(lead, status, res.locals.user, reason);
+      
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'lead.status_overridden',
+        target_type: 'lead',
+        target_id: lead.id,
+        details: { from: lead.status, to: status, reason: reason || null }
+      });
+      res.json(updated);
     } catch (error) {
-      logger.error('Error sending human message:', error);
-      res.status(500).json({ error: 'Failed to send message' });
+      logger.error('Error updating lead status:', error);
+      res.status(500).json({ error: 'Failed to update lead status' });
     }
   });
   
-  // Outbound call endpoint
-  app.post('/api/elevenlabs/outbound-call', async (req: Request, res: Response) => {
+  // Customer memory: facts, the summary roll-up and the context a channel would get
+  app.get('/api/leads/:id/memory', async (req: Request, res: Response) => {
     try {
-      const { phoneNumber, leadId } = req.body;
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const channel = (req.query.channel || 'voice') as MemoryChannel;
+      if (!MEMORY_CHANNELS.includes(channel)) {
+        return res.status(400).json({ error: `channel must be one of: ${MEMORY_CHANNELS.join(', ')}` });
+      }
       
-      if (!phoneNumber) {
-        return res.status(400).json({ error: 'phoneNumber is required' });
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
       }
       
-      logger.info('🚀 Initiating outbound call to:', phoneNumber, 'for lead:', leadId);
+      const [facts, rollup, context] = await Promise.all([
+        customerMemoryService.getFacts(lead.id),
+        customerMemoryService.getRollup(lead.id),
+        customerMemoryService.buildContext(lead.id, channel)
+      ]);
+      res.json({ facts, rollup, context });
+    } catch (error) {
+      logger.error('Error fetching customer memory:', error);
+      res.status(500).json({ error: 'Failed to fetch customer memory' });
+    }
+  });
+  
+  // Staff add or correct a fact; automatic extraction won't overwrite it
+  app.put('/api/leads/:id/memory/facts/:key', async (req: Request, res: Response) => {
+    try {
+      const { key } = req.params;
+      const { value } = req.body;
+      const category: CustomerFactCategory = req.body.category || FACT_CATEGORIES[key] || (key.startsWith('service:') ? 'service' : undefined);
+      const errors: string[] = [];
+      if (!/^[a-z][a-z0-9_]*(:[\w-]+)?$/.test(key) || key.length > 100) {
+        errors.push('key must be lowercase letters, digits and underscores, optionally followed by :id');
+      }
+      if (typeof value !== 'string' || !value.trim() || value.length > 300) {
+        errors.push('value must be a non-empty string of at most 300 characters');
+      }
+      if (!CUSTOMER_FACT_CATEGORIES.includes(category)) {
+        errors.push(`category must be one of: ${CUSTOMER_FACT_CATEGORIES.join(', ')}`);
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid fact', details: errors });
+      }
       
-      // Check required environment variables
-      if (!elevenLabsConfig.apiKey || !elevenLabsConfig.agentId || !elevenLabsConfig.phoneNumberId) {
-        logger.error('❌ ElevenLabs configuration missing');
-        return res.status(500).json({ 
-          error: 'ElevenLabs not properly configured',
-          missing: {
-            apiKey: !elevenLabsConfig.apiKey,
-            agentId: !elevenLabsConfig.agentId,
-            phoneNumberId: !elevenLabsConfig.phoneNumberId
-          }
-        });
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
       }
       
-      // Get lead data if leadId provided
-      let lead = null;
-      let conversationContext = '';
-      let previousSummary = null;
-      let previousSummaryObj = null;
+      const fact = await customerMemoryService.setFact(lead, key, value.trim(), category, res.locals.user);
       
-      if (leadId) {
-        lead = await leadService.getLead(leadId);
-        if (lead) {
-          // Import the buildConversationContext function to get proper context
-          const { buildConversationContext } = await import('../webhooks/elevenlabs.webhook');
-          conversationContext = await buildConversationContext(leadId);
-          
-          // Also get the most recent summary for a brief overview
-          const summaries = await conversationService.getAllSummaries(leadId);
-          if (summaries && summaries.length > 0) {
-            previousSummaryObj = summaries[0];
-            previousSummary = summaries[0].summary;
-          } else {
-            previousSummary = 'No previous interactions';
-          }
-        }
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'customer_memory.fact_set',
+        target_type: 'lead',
+        target_id: lead.id,
+        details: { key, value: fact.value }
+      });
+      res.json(fact);
+    } catch (error) {
+      logger.error('Error saving customer fact:', error);
+      res.status(500).json({ error: 'Failed to save customer fact' });
+    }
+  });
+  
+  app.delete('/api/leads/:id/memory/facts/:key', async (req: Request, res: Response) => {
+    try {
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      if (!await customerMemoryService.deleteFact(lead.id, req.params.key)) {
+        return res.status(404).json({ error: 'Fact not found' });
+      }
+      
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'customer_memory.fact_deleted',
+        target_type: 'lead',
+        target_id: lead.id,
+        details: { key: req.params.key }
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting customer fact:', error);
+      res.status(500).json({ error: 'Failed to delete customer fact' });
+    }
+  });
+  
+  // Merges duplicate_id into this lead; the duplicate is deleted
+  app.post('/api/leads/:id/merge', async (req: Request, res: Response) => {
+    try {
+      const { duplicate_id } = req.body;
+      if (!duplicate_id || typeof duplicate_id !== 'string') {
+        return res.status(400).json({ error: 'duplicate_id is required' });
+      }
+      if (duplicate_id === req.params.id) {
+        return res.status(400).json({ error: 'A lead cannot be merged into itself' });
       }
       
-      // Get current Pacific time for the agent
-      const getCurrentPacificTime = () => {
-        const now = new Date();
-        const pacificTime = new Date(now.toLocaleString("en-US", { timeZone: "America/Los_Angeles" }));
-        const hours = pacificTime.getHours();
-        const minutes = pacificTime.getMinutes();
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        const displayHours = hours % 12 || 12;
-        const timeString = `${displayHours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
-        const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][pacificTime.getDay()];
-        return { timeString, dayOfWeek, pacificTime };
-      };
-      
-      const { timeString: currentTime, dayOfWeek, pacificTime } = getCurrentPacificTime();
-      
-      // Dynamic business hours based on current time
-      const getBusinessHoursMessage = () => {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const today = days[pacificTime.getDay()];
-        const hours = { open: '09:00', close: '18:00' }; // Default hours
-        
-        const currentHour = pacificTime.getHours();
-        const currentMinute = pacificTime.getMinutes();
-        const currentTimeNum = currentHour * 100 + currentMinute;
-        
-        if (currentTimeNum >= 900 && currentTimeNum < 1800) {
-          return `Open now until 6:00 PM (current time: ${currentTime} PT)`;
-        } else if (currentTimeNum < 900) {
-          return `Opens at 9:00 AM today (current time: ${currentTime} PT)`;
-        } else {
-          return `Closed for today. Opens tomorrow at 9:00 AM (current time: ${currentTime} PT)`;
+      const organizationId = res.locals.organizationId;
+      const [survivor, duplicate] = await Promise.all([
+        getOrganizationLead(req.params.id, organizationId),
+        getOrganizationLead(duplicate_id, organizationId)
+      ]);
+      if (!survivor || !duplicate) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      // A conversation someone is working on or waiting for stays as it is
+      for (const lead of [survivor, duplicate]) {
+        if (await humanControlService.isUnderHumanControl(lead.id) || await humanControlService.getEscalation(organizationId, lead.id)) {
+          return res.status(409).json({ error: 'Lead is in a human handoff; finish it before merging' });
         }
-      };
+      }
       
-      // Import greeting helper for outbound-specific greetings
-      const { generateGreetingContext } = await import('../utils/greeting.helper');
+      const result = await leadMergeService.mergeLeads(survivor, duplicate, res.locals.user);
       
-      // Log the summary object for debugging
-      logger.info('Generating outbound greeting with summary:', {
-        hasSummary: !!previousSummaryObj,
-        classification: previousSummaryObj?.call_classification,
-        summaryText: previousSummaryObj?.summary?.substring(0, 100)
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'lead.merged',
+        target_type: 'lead',
+        target_id: survivor.id,
+        details: { merged_lead_id: duplicate.id, merged_phone_number: maskPhoneNumber(duplicate.phone_number), moved: result.moved }
       });
+      res.json(result);
+    } catch (error) {
+      logger.error('Error merging leads:', error);
+      res.status(500).json({ error: 'Failed to merge leads' });
+    }
+  });
+  
+  // Email address and how automated messages reach the customer
+  app.patch('/api/leads/:id/contact', async (req: Request, res: Response) => {
+    try {
+      const { email, contact_preference } = req.body;
+      const errors: string[] = [];
+      if (email !== undefined && email !== null && email !== '' && !isValidEmail(email)) {
+        errors.push('email must be an email address');
+      }
+      if (contact_preference !== undefined && !CONTACT_PREFERENCES.includes(contact_preference)) {
+        errors.push(`contact_preference must be one of: ${CONTACT_PREFERENCES.join(', ')}`);
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid contact details', details: errors });
+      }
       
-      // Generate outbound-specific greeting context
-      const greetingContext = generateGreetingContext(lead, true, previousSummaryObj);
+      const lead = await getOrganizationLead(req.params.id, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
       
-      // Log the generated greeting
-      logger.info('Generated outbound greeting:', {
-        greeting_opener: greetingContext.greeting_opener,
-        greeting_variation: greetingContext.greeting_variation
-      });
+      const updates: Partial<Lead> = {};
+      if (email !== undefined) {
+        updates.email = email ? email.trim().toLowerCase() : null;
+      }
+      if (contact_preference !== undefined) {
+        updates.qualification_data = { ...(lead.qualification_data || {}), contact_preference } as Lead['qualification_data'];
+      }
+      const preference = contact_preference ?? lead.qualification_data?.contact_preference;
+      const address = email !== undefined ? updates.email : lead.email;
+      if (preference === 'email' && !address) {
+        return res.status(400).json({ error: 'Invalid contact details', details: ['an email address is required to prefer email'] });
+      }
       
-      // Build client data that will be passed to the conversation initiation webhook
-      const clientData = {
-        lead_id: leadId,
-        customer_phone: phoneNumber,
-        initiated_by: 'agent',
-        timestamp: new Date().toISOString(),
-        // Add dynamic variables directly since webhook won't be called for outbound
-        dynamic_variables: {
-          customer_name: lead?.customer_name || '',
-          customer_phone: phoneNumber,
-          lead_status: lead?.status || 'new',
-          conversation_context: conversationContext || 'This is the first interaction with this customer.',
-          previous_summary: previousSummary || 'No previous interactions',
-          bike_interest: JSON.stringify(lead?.bike_interest || {}),
-          organization_name: 'BICI Bike Store',
-          organization_id: organizationId,
-          location_address: '1497 Adanac Street, Vancouver, BC',
-          business_hours: getBusinessHoursMessage(),
-          current_time: currentTime,
-          current_day: dayOfWeek,
-          current_datetime: `${dayOfWeek} ${currentTime} Pacific Time`,
-          has_customer_name: lead?.customer_name ? 'true' : 'false',
-          // Add all greeting context variables for outbound calls
-          ...greetingContext
-        }
-      };
-      
-      // Use the correct Twilio outbound call endpoint
-      const callPayload = {
-        agent_id: elevenLabsConfig.agentId,
-        agent_phone_number_id: elevenLabsConfig.phoneNumberId,
-        to_number: phoneNumber,
-        conversation_initiation_client_data: clientData
-      };
-      
-      logger.info('📞 Making ElevenLabs API call with payload:', {
-        agent_id: callPayload.agent_id,
-        agent_phone_number_id: callPayload.agent_phone_number_id,
-        to_number: callPayload.to_number,
-        has_client_data: !!callPayload.conversation_initiation_client_data
+      const updated = await leadService.updateLead(lead.id, updates);
+      broadcastLeadUpdate(lead.id, {
+        organization_id: lead.organization_id,
+        updates: { email: updated.email, qualification_data: updated.qualification_data }
       });
       
-      // Use the Twilio outbound endpoint
-      const response = await fetch('https://api.elevenlabs.io/v1/convai/twilio/outbound-call', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'xi-api-key': elevenLabsConfig.apiKey
-        },
-        body: JSON.stringify(callPayload)
+      await auditService.record({
+        organization_id: res.locals.organizationId,
+        user: res.locals.user,
+        action: 'lead.contact_updated',
+        target_type: 'lead',
+        target_id: lead.id,
+        details: {
+          ...(email !== undefined ? { email: { from: lead.email || null, to: updates.email || null } } : {}),
+          ...(contact_preference !== undefined ? { contact_preference: { from: lead.qualification_data?.contact_preference || null, to: contact_preference } } : {})
+        }
       });
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating lead contact details:', error);
+      res.status(500).json({ error: 'Failed to update contact details' });
+    }
+  });
+  
+  // Conversation endpoints
+  app.get('/api/conversations/:leadId', async (req: Request, res: Response) => {
+    try {
+      const lead = await getOrganizationLead(req.params.leadId, res.locals.organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
       
-      let result;
-      try {
-        result = await response.json();
-      } catch (parseError) {
-        logger.error('❌ Failed to parse ElevenLabs response:', parseError);
-        const responseText = await response.text();
-        return res.status(500).json({ 
-          error: 'Invalid response from ElevenLabs',
-          response_text: responseText.substring(0, 500)
-        });
-      }
-      
-      logger.info('📡 ElevenLabs API response status:', response.status);
-      logger.info('📡 ElevenLabs API response:', result);
-      
-      if (!response.ok) {
-        logger.error('❌ ElevenLabs API error:', {
-          status: response.status,
-          statusText: response.statusText,
-          response: result
-        });
-        
-        let errorMessage = 'Failed to initiate call';
-        if (response.status === 401) {
-          errorMessage = 'Invalid ElevenLabs API key';
-        } else if (response.status === 400) {
-          errorMessage = 'Invalid request parameters';
-        } else if (response.status === 404) {
-          errorMessage = 'Agent or phone number not found';
+      // ?around=<conversation id> opens the history at a search result instead of the latest messages
+      if (typeof req.query.around === 'string') {
+        const window = await conversationService.getConversationsAround(req.params.leadId, req.query.around, 50);
+        if (!window) {
+          return res.status(404).json({ error: 'Conversation not found' });
         }
-        
-        return res.status(response.status).json({ 
-          error: errorMessage,
-          details: result
-        });
-      }
-      
-      // Create call session if we have a lead
-      if (leadId && result.conversation_id) {
-        try {
-          await callSessionService.createSession({
-            organization_id: organizationId,
-            lead_id: leadId,
-            elevenlabs_conversation_id: result.conversation_id,
-            status: 'initiated',
-            call_type: 'outbound'
-          });
-        } catch (sessionError) {
-          logger.error('Failed to create call session:', sessionError);
-          // Don't fail the request, call was still initiated
+        return res.json(window);
+      }
+      
+      const conversations = await conversationService.getRecentConversations(req.params.leadId, 50);
+      res.json(conversations);
+    } catch (error) {
+      logger.error('Error fetching conversations:', error);
+      res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+  });
+  
+  // Search messages and summaries: ?q= with channel, classification, sender, status, from and to filters
+  app.get('/api/search/conversations', async (req: Request, res: Response) => {
+    try {
+      const details = conversationSearchService.validate(req.query);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid search', details });
+      }
+      
+      res.json(await conversationSearchService.search(res.locals.organizationId, req.query));
+    } catch (error) {
+      logger.error('Error searching conversations:', error);
+      res.status(500).json({ error: 'Failed to search conversations' });
+    }
+  });
+  
+  // Outbound call endpoint
+  app.post('/api/elevenlabs/outbound-call', async (req: Request, res: Response) => {
+    try {
+      const { phoneNumber, leadId } = req.body;
+      const organizationId = res.locals.organizationId;
+      
+      if (!phoneNumber) {
+        return res.status(400).json({ error: 'phoneNumber is required' });
+      }
+      
+      logger.info('🚀 Initiating outbound call to:', phoneNumber, 'for lead:', leadId);
+      
+      let lead = null;
+      if (leadId) {
+        lead = await getOrganizationLead(leadId, organizationId);
+        if (!lead) {
+          return res.status(404).json({ error: 'Lead not found' });
         }
       }
       
+      const result = await outboundCallService.placeCall({ organizationId, phoneNumber, lead });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error, details: result.details });
+      }
+      
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'call.outbound_started',
+        target_type: leadId ? 'lead' : 'phone_number',
+        target_id: leadId || maskPhoneNumber(phoneNumber),
+        details: { to: maskPhoneNumber(phoneNumber), conversation_id: result.conversation_id }
+      });
+      
       res.json({ 
         success: true, 
         conversation_id: result.conversation_id,
@@ -337,7 +554,7 @@ export function setupAPIRoutes(app: Express) {
       
       // Get active session for the lead
       const session = await callSessionService.getActiveSession(leadId);
-      if (!session || !session.elevenlabs_conversation_id) {
+      if (!session || !session.elevenlabs_conversation_id || session.organization_id !== res.locals.organizationId) {
         return res.status(404).json({ error: 'No active call session' });
       }
       
@@ -375,9 +592,22 @@ export function setupAPIRoutes(app: Express) {
   app.post('/api/sms/send', async (req: Request, res: Response) => {
     try {
       const { phoneNumber, message } = req.body;
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
+      
+      const result = await smsService.sendSMS(phoneNumber, message, organizationId);
+      if (result?.suppressed) {
+        return res.status(403).json({ error: 'SMS not sent', reason: result.reason });
+      }
       
-      await smsService.sendSMS(phoneNumber, message, organizationId);
+      // The text itself is kept with the conversation, where erasure can find it
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'sms.sent',
+        target_type: 'phone_number',
+        target_id: maskPhoneNumber(phoneNumber),
+        details: { message_sid: result?.sid }
+      });
       res.json({ success: true });
     } catch (error) {
       logger.error('Error sending SMS:', error);
@@ -385,19 +615,58 @@ export function setupAPIRoutes(app: Express) {
     }
   });
   
-  // Dashboard stats endpoint
-  app.get('/api/dashboard/stats', async (req: Request, res: Response) => {
+  // Email a lead, threaded onto their last email unless a subject is given
+  app.post('/api/leads/:id/email', async (req: Request, res: Response) => {
     try {
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const { message, subject } = req.body;
+      const errors: string[] = [];
+      if (!message || typeof message !== 'string' || !message.trim()) {
+        errors.push('message is required');
+      }
+      if (subject !== undefined && (typeof subject !== 'string' || !subject.trim())) {
+        errors.push('subject must be a non-empty string');
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: 'Invalid email', details: errors });
+      }
       
-      // Try cached dashboard stats first
-      const stats = await getCachedDashboardStats(organizationId);
+      const organizationId = res.locals.organizationId;
+      const lead = await getOrganizationLead(req.params.id, organizationId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
       
-      if (stats) {
-        res.json(stats);
-      } else {
-        res.status(500).json({ error: 'Failed to fetch stats' });
+      const result = await emailService.replyToLead(lead, message.trim(), { subject: subject?.trim() });
+      if (result.suppressed) {
+        return res.status(403).json({ error: 'Email not sent', reason: result.reason });
+      }
+      
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'email.sent',
+        target_type: 'lead',
+        target_id: lead.id,
+        details: { subject: subject || null, message_id: result.messageId }
+      });
+      res.json({ success: true, conversation_id: result.conversation_id });
+    } catch (error) {
+      logger.error('Error sending email:', error);
+      res.status(500).json({ error: 'Failed to send email' });
+    }
+  });
+  
+  // Dashboard stats for ?from=&to= (ISO dates) or the last ?days= (default 30)
+  app.get('/api/dashboard/stats', async (req: Request, res: Response) => {
+    try {
+      const details = analyticsService.validateRange(req.query);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid date range', details });
       }
+
+      const range = analyticsService.resolveRange(req.query);
+      const stats = await analyticsService.getDashboardStats(res.locals.organizationId, range);
+      res.json(stats);
     } catch (error) {
       logger.error('Error fetching dashboard stats:', error);
       res.status(500).json({ error: 'Failed to fetch stats' });
@@ -405,9 +674,9 @@ export function setupAPIRoutes(app: Express) {
   });
   
   // Cache invalidation endpoint for dashboard (admin use)
-  app.post('/api/dashboard/invalidate-cache', async (req: Request, res: Response) => {
+  app.post('/api/dashboard/invalidate-cache', requireRole('owner'), async (req: Request, res: Response) => {
     try {
-      const organizationId = req.headers['x-organization-id'] as string || 'b0c1b1c1-0000-0000-0000-000000000001';
+      const organizationId = res.locals.organizationId;
       
       await invalidateDashboardCache(organizationId);
       
@@ -418,204 +687,41 @@ export function setupAPIRoutes(app: Express) {
     }
   });
   
-  // Transfer number management endpoints
-  // Get current transfer number
-  app.get('/api/agent/transfer-number', async (req: Request, res: Response) => {
-    try {
-      const axios = (await import('axios')).default;
-      const agentId = process.env.ELEVENLABS_AGENT_ID;
-      const apiKey = process.env.ELEVENLABS_API_KEY;
-
-      if (!agentId || !apiKey) {
-        return res.status(400).json({
-          error: 'Missing ElevenLabs configuration'
-        });
-      }
-
-      // Get current agent configuration from ElevenLabs
-      const currentAgentResponse = await axios.get(`https://api.elevenlabs.io/v1/convai/agents/${agentId}`, {
-        headers: { 'xi-api-key': apiKey }
-      });
-
-      const currentConfig = currentAgentResponse.data;
-
-      // Find transfer tool in the tools array
-      const currentTools = currentConfig.conversation_config?.agent?.prompt?.tools || [];
-      const transferTool = currentTools.find((tool: any) => tool.name === 'transfer_to_number');
-
-      const transferNumber = transferTool?.params?.transfers?.[0]?.phone_number || 'Not configured';
-
-      res.json({
-        success: true,
-        current_transfer_number: transferNumber
-      });
-    } catch (error) {
-      logger.error('Error fetching transfer number:', error);
-      res.status(500).json({ error: 'Failed to fetch transfer number' });
-    }
-  });
-
-  // Update transfer number
-  app.post('/api/agent/update-transfer-number', async (req: Request, res: Response) => {
-    try {
-      const { phone_number } = req.body;
-      const axios = (await import('axios')).default;
-      const fs = (await import('fs')).default;
-      const path = (await import('path')).default;
-
-      if (!phone_number) {
-        return res.status(400).json({
-          error: 'Phone number is required'
-        });
-      }
-
-      // Validate E.164 format
-      const e164Regex = /^\+[1-9]\d{1,14}$/;
-      if (!e164Regex.test(phone_number)) {
-        return res.status(400).json({
-          error: 'Phone number must be in E.164 format (e.g., +17787193080)'
-        });
-      }
-
-      const agentId = process.env.ELEVENLABS_AGENT_ID;
-      const apiKey = process.env.ELEVENLABS_API_KEY;
-
-      if (!agentId || !apiKey) {
-        return res.status(400).json({
-          error: 'Missing ElevenLabs configuration'
-        });
-      }
-
-      logger.info(`📞 Updating transfer number via ElevenLabs PATCH API to: ${phone_number}`);
-
-      // Get current agent configuration from ElevenLabs
-      const currentAgentResponse = await axios.get(`https://api.elevenlabs.io/v1/convai/agents/${agentId}`, {
-        headers: { 'xi-api-key': apiKey }
-      });
+  // Versioned ElevenLabs agent configuration: diff, deploy and rollback
+  setupAgentConfigRoutes(app);
 
-      const currentConfig = currentAgentResponse.data;
+  // Human takeover, handoff queue and transfers
+  setupHumanControlRoutes(app);
 
-      // Find and update transfer_to_number tool in agent.prompt.tools array
-      const currentTools = currentConfig.conversation_config?.agent?.prompt?.tools || [];
-      const transferToolIndex = currentTools.findIndex((tool: any) => tool.name === 'transfer_to_number');
-
-      if (transferToolIndex === -1) {
-        return res.status(500).json({
-          error: 'Transfer tool not found in live agent',
-          message: 'transfer_to_number tool not found in agent.prompt.tools array'
-        });
-      }
-
-      const currentTransferTool = currentTools[transferToolIndex];
-      const previousNumber = currentTransferTool.params?.transfers?.[0]?.phone_number || 'none';
-
-      logger.info(`📞 Found transfer tool in agent.prompt.tools array`);
-      logger.info(`📞 Current transfer number: ${previousNumber}`);
-
-      // Create updated tools array with new transfer number
-      const updatedTools = [...currentTools];
-      updatedTools[transferToolIndex] = {
-        ...currentTransferTool,
-        params: {
-          ...currentTransferTool.params,
-          transfers: [{
-            ...currentTransferTool.params.transfers[0],
-            phone_number: phone_number,
-            transfer_destination: {
-              ...currentTransferTool.params.transfers[0].transfer_destination,
-              phone_number: phone_number
-            }
-          }]
-        }
-      };
+  // Setup debug routes
+  setupDebugRoutes(app);
 
-      const patchPayload = {
-        conversation_config: {
-          ...currentConfig.conversation_config,
-          agent: {
-            ...currentConfig.conversation_config.agent,
-            prompt: {
-              ...currentConfig.conversation_config.agent.prompt,
-              tools: updatedTools
-            }
-          }
-        }
-      };
+  // Setup admin routes
+  setupAdminRoutes(app);
 
-      // Update agent via PATCH API
-      const patchResponse = await axios.patch(`https://api.elevenlabs.io/v1/convai/agents/${agentId}`,
-        patchPayload,
-        {
-          headers: {
-            'xi-api-key': apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+  // Setup appointment routes
+  setupAppointmentRoutes(app);
 
-      logger.info('✅ Transfer number updated successfully via PATCH API');
-      logger.info(`✅ Response status: ${patchResponse.status}`);
+  // Setup automation rule routes
+  setupAutomationRoutes(app);
 
-      // Update local agent config files
-      try {
-        const configFiles = [
-          '/Users/divhit/bici/agent_configs/ryder_-_bici_ai_teammate.json',
-          '/Users/divhit/bici/agent_configs/bike_agent.json',
-          '/Users/divhit/bici/agent_configs/sales_agent.json'
-        ];
+  // Setup outbound call campaign routes
+  setupCampaignRoutes(app);
 
-        for (const configPath of configFiles) {
-          if (fs.existsSync(configPath)) {
-            const localConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  // Outbound webhooks to the organization's CRM or POS
+  setupIntegrationRoutes(app);
 
-            // Update built_in_tools section in local config (different structure than live API)
-            if (localConfig.conversation_config?.agent?.built_in_tools?.transfer_to_number) {
-              localConfig.conversation_config.agent.built_in_tools.transfer_to_number.params.transfers[0].phone_number = phone_number;
-              localConfig.conversation_config.agent.built_in_tools.transfer_to_number.params.transfers[0].transfer_destination.phone_number = phone_number;
-              fs.writeFileSync(configPath, JSON.stringify(localConfig, null, 4));
-              logger.info(`📝 Updated local config: ${path.basename(configPath)}`);
-            }
-          }
-        }
-      } catch (localUpdateError) {
-        logger.warn('⚠️ Could not update local config files, but live agent is updated:', localUpdateError);
-      }
+  // Data retention and per-customer erasure
+  setupPrivacyRoutes(app);
 
-      res.json({
-        success: true,
-        message: 'Transfer phone number updated and deployed immediately via ElevenLabs PATCH API',
-        previous_number: previousNumber,
-        new_number: phone_number,
-        api_response: patchResponse.status,
-        updated_at: patchResponse.data?.metadata?.updated_at_unix_secs || Date.now(),
-        timestamp: new Date().toISOString()
-      });
-
-    } catch (error) {
-      logger.error('Transfer number update error:', error);
-
-      // Enhanced error reporting for API issues
-      if (error && typeof error === 'object' && 'response' in error) {
-        const axiosError = error as any;
-        return res.status(500).json({
-          error: 'ElevenLabs API error',
-          status: axiosError.response?.status,
-          message: axiosError.response?.data?.message || 'Unknown API error'
-        });
-      }
-
-      res.status(500).json({
-        error: 'Failed to update transfer number',
-        message: error instanceof Error ? error.message : 'Unknown error'
-      });
-    }
-  });
-
-  // Setup debug routes
-  setupDebugRoutes(app);
+  // Setup organization settings routes
+  setupOrganizationRoutes(app);
+  
+  // Users and audit log
+  setupUserRoutes(app);
 
-  // Setup admin routes
-  setupAdminRoutes(app);
+  // Redis health and alerts, including rejected webhooks
+  app.use('/api/monitoring', requireRole('owner'), monitoringRoutes);
 
   logger.info('API routes configured');
 }
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { Express, Request, Response } from 'express';
+import { IntegrationWebhookService } from '../services/integrationWebhook.service';
+import { AuditService } from '../services/audit.service';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const integrationWebhookService = new IntegrationWebhookService();
+const auditService = new AuditService();
+
+// Outbound webhooks hold signing secrets, so only owners see or change them
+export function setupIntegrationRoutes(app: Express) {
+  app.get('/api/integrations/webhooks', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const webhooks = await integrationWebhookService.listWebhooks(res.locals.organizationId);
+      res.json(webhooks);
+    } catch (error) {
+      logger.error('Error fetching integration webhooks:', error);
+      res.status(500).json({ error: 'Failed to fetch integration webhooks' });
+    }
+  });
+
+  app.post('/api/integrations/webhooks', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = await integrationWebhookService.validateWebhook(req.body || {});
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook', details });
+      }
+
+      const webhook = await integrationWebhookService.createWebhook(organizationId, req.body);
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'integration_webhook.created',
+        target_type: 'integration_webhook',
+        target_id: webhook.id,
+        details: { url: webhook.url, events: webhook.events }
+      });
+      res.status(201).json(webhook);
+    } catch (error) {
+      logger.error('Error creating integration webhook:', error);
+      res.status(500).json({ error: 'Failed to create integration webhook' });
+    }
+  });
+
+  // `rotate_secret: true` issues a new signing secret
+  app.patch('/api/integrations/webhooks/:id', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = await integrationWebhookService.validateWebhook(req.body || {}, true);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook', details });
+      }
+
+      const webhook = await integrationWebhookService.updateWebhook(req.params.id, organizationId, req.body);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'integration_webhook.updated',
+        target_type: 'integration_webhook',
+        target_id: webhook.id,
+        details: {
+          fields: Object.keys(req.body).filter(key => ['name', 'url', 'events', 'active'].includes(key)),
+          secret_rotated: !!req.body.rotate_secret
+        }
+      });
+      res.json(webhook);
+    } catch (error) {
+      logger.error('Error updating integration webhook:', error);
+      res.status(500).json({ error: 'Failed to update integration webhook' });
+    }
+  });
+
+  app.delete('/api/integrations/webhooks/:id', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const deleted = await integrationWebhookService.deleteWebhook(req.params.id, organizationId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'integration_webhook.deleted',
+        target_type: 'integration_webhook',
+        target_id: req.params.id
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting integration webhook:', error);
+      res.status(500).json({ error: 'Failed to delete integration webhook' });
+    }
+  });
+
+  // Delivery log, newest first
+  app.get('/api/integrations/webhooks/:id/deliveries', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'limit must be between 1 and 100' });
+      }
+
+      const webhook = await integrationWebhookService.getWebhook(req.params.id, organizationId);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json(await integrationWebhookService.listDeliveries(webhook.id, organizationId, limit));
+    } catch (error) {
+      logger.error('Error fetching integration webhook deliveries:', error);
+      res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+  });
+
+  // Sends once, right away, and answers with the logged delivery
+  app.post('/api/integrations/webhooks/:id/test', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const webhook = await integrationWebhookService.getWebhook(req.params.id, res.locals.organizationId);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json(await integrationWebhookService.sendTest(webhook));
+    } catch (error) {
+      logger.error('Error sending test webhook:', error);
+      res.status(500).json({ error: 'Failed to send test event' });
+    }
+  });
+}
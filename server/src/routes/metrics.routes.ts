@@ -0,0 +1,36 @@
+import { Express, Request, Response } from 'express';
+import crypto from 'crypto';
+import { metricsRegistry } from '../services/metrics.service';
+import { logger } from '../utils/logger';
+
+// With METRICS_TOKEN set, scrapers send it as a bearer token. It is required
+// in production; elsewhere the endpoint is open without it.
+function authorized(req: Request): boolean {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return process.env.NODE_ENV !== 'production';
+
+  const presented = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+export function setupMetricsRoutes(app: Express) {
+  // Prometheus text format
+  app.get('/metrics', async (req: Request, res: Response) => {
+    if (!authorized(req)) {
+      if (!process.env.METRICS_TOKEN) {
+        logger.error('METRICS_TOKEN is not configured - refusing to serve /metrics in production');
+        return res.status(503).json({ error: 'Metrics token not configured' });
+      }
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    try {
+      res.set('Content-Type', metricsRegistry.contentType);
+      res.send(await metricsRegistry.metrics());
+    } catch (error) {
+      logger.error('Error collecting metrics:', error);
+      res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+  });
+}
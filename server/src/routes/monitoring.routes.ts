@@ -7,6 +7,7 @@ import { Router } from 'express';
 import { getRedisMonitoringService } from '../services/redis.monitoring.service';
 import { RedisConfig } from '../config/redis.config';
 import { RedisService } from '../services/redis.service';
+import { smsConversations } from '../services/smsConversation.service';
 import { logger } from '../utils/logger';
 
 const router = Router();
@@ -331,6 +332,14 @@ router.get('/webhook/health', (req, res) => {
   });
 });
 
+// ElevenLabs SMS sessions: open sessions, turn counters and reply latency
+router.get('/sms-sessions', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...smsConversations.getMetrics()
+  });
+});
+
 // Export for integration with main app
 export { router as monitoringRoutes };
 
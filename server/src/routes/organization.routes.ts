@@ -0,0 +1,54 @@
+import { Express, Request, Response } from 'express';
+import { OrganizationService } from '../services/organization.service';
+import { AuditService } from '../services/audit.service';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const organizationService = new OrganizationService();
+const auditService = new AuditService();
+
+export function setupOrganizationRoutes(app: Express) {
+  // Resolved settings, with defaults filled in for anything not stored
+  app.get('/api/organization/settings', async (req: Request, res: Response) => {
+    try {
+      const organization = res.locals.organization;
+      res.json({
+        organization_id: organization.id,
+        settings: organizationService.resolveSettings(organization),
+        stored: organization.settings || {}
+      });
+    } catch (error) {
+      logger.error('Error fetching organization settings:', error);
+      res.status(500).json({ error: 'Failed to fetch organization settings' });
+    }
+  });
+
+  app.patch('/api/organization/settings', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = organizationService.validateSettings(req.body || {});
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid organization settings', details });
+      }
+
+      const settings = await organizationService.updateSettings(organizationId, req.body);
+      if (!settings) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'organization.settings_updated',
+        target_type: 'organization',
+        target_id: organizationId,
+        details: { changes: req.body }
+      });
+      res.json({ organization_id: organizationId, settings });
+    } catch (error) {
+      logger.error('Error updating organization settings:', error);
+      res.status(500).json({ error: 'Failed to update organization settings' });
+    }
+  });
+}
@@ -0,0 +1,60 @@
+import { Express, Request, Response } from 'express';
+import { RetentionService } from '../services/retention.service';
+import { AuditService } from '../services/audit.service';
+import { retentionConfig } from '../config/retention.config';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+import { toE164 } from '../utils/phone.helper';
+
+const retentionService = new RetentionService();
+const auditService = new AuditService();
+
+// Retention and erasure remove customer data for good, so only owners use them
+export function setupPrivacyRoutes(app: Express) {
+  // The policy in force and what the last purge removed
+  app.get('/api/privacy/retention', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const [lastPurge] = await auditService.list(res.locals.organizationId, { action: 'retention.purged', limit: 1 });
+      res.json({ ...retentionConfig, last_purge: lastPurge || null });
+    } catch (error) {
+      logger.error('Error fetching retention policy:', error);
+      res.status(500).json({ error: 'Failed to fetch retention policy' });
+    }
+  });
+
+  // Runs now what the daily purge would, for this organization only
+  app.post('/api/privacy/retention/purge', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      res.json(await retentionService.purgeExpired(res.locals.organizationId, res.locals.user));
+    } catch (error) {
+      logger.error('Error running retention purge:', error);
+      res.status(500).json({ error: 'Failed to purge expired data' });
+    }
+  });
+
+  // Answers with the report of what was deleted, also kept in the audit log
+  app.post('/api/privacy/erasure', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+      const phoneNumber = req.body?.phone_number;
+      if (typeof phoneNumber !== 'string' || !toE164(phoneNumber)) {
+        return res.status(400).json({ error: 'phone_number must be a phone number' });
+      }
+
+      const report = await retentionService.eraseCustomer(organizationId, phoneNumber);
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'customer.erased',
+        target_type: 'customer',
+        target_id: report.phone_number,
+        details: { ...report }
+      });
+      res.json(report);
+    } catch (error) {
+      logger.error('Error erasing customer data:', error);
+      res.status(500).json({ error: 'Failed to erase customer data' });
+    }
+  });
+}
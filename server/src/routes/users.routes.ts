@@ -0,0 +1,109 @@
+import { Express, Request, Response } from 'express';
+import { UserService } from '../services/user.service';
+import { AuditService } from '../services/audit.service';
+import { requireRole } from '../middleware/auth';
+import { logger } from '../utils/logger';
+
+const userService = new UserService();
+const auditService = new AuditService();
+
+export function setupUserRoutes(app: Express) {
+  // The signed-in user
+  app.get('/api/auth/me', (req: Request, res: Response) => {
+    res.json({ user: res.locals.user });
+  });
+
+  app.get('/api/users', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const users = await userService.listUsers(res.locals.organizationId);
+      res.json(users);
+    } catch (error) {
+      logger.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  app.post('/api/users', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = userService.validateUser(req.body || {});
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details });
+      }
+      if (await userService.getUserByEmail(req.body.email)) {
+        return res.status(409).json({ error: 'A user with this email already exists' });
+      }
+
+      const user = await userService.createUser(organizationId, req.body);
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'user.created',
+        target_type: 'user',
+        target_id: user.id,
+        details: { email: user.email, role: user.role }
+      });
+      res.status(201).json(user);
+    } catch (error) {
+      logger.error('Error creating user:', error);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  app.patch('/api/users/:id', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const organizationId = res.locals.organizationId;
+
+      const details = userService.validateUser(req.body || {}, true);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details });
+      }
+
+      // An owner demoting or deactivating themselves could lock everyone out
+      if (req.params.id === res.locals.user.id && (req.body.role !== undefined || req.body.active !== undefined)) {
+        return res.status(400).json({ error: 'You cannot change your own role or deactivate yourself' });
+      }
+
+      const user = await userService.updateUser(organizationId, req.params.id, req.body);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await auditService.record({
+        organization_id: organizationId,
+        user: res.locals.user,
+        action: 'user.updated',
+        target_type: 'user',
+        target_id: user.id,
+        details: {
+          fields: Object.keys(req.body).map(field => field === 'password' ? 'password (reset)' : field),
+          role: user.role,
+          active: user.active
+        }
+      });
+      res.json(user);
+    } catch (error) {
+      logger.error('Error updating user:', error);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  // Who sent which message, joined which conversation, changed which setting
+  app.get('/api/audit-log', requireRole('owner'), async (req: Request, res: Response) => {
+    try {
+      const { action, user_id, target_id, limit } = req.query;
+      const entries = await auditService.list(res.locals.organizationId, {
+        action: action as string,
+        user_id: user_id as string,
+        target_id: target_id as string,
+        limit: Math.min(parseInt(limit as string, 10) || 100, 500)
+      });
+      res.json(entries);
+    } catch (error) {
+      logger.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env tsx
+
+/**
+ * Create a dashboard user, e.g. the first owner of a new store:
+ *
+ *   npm run user:create -- <organization-id> <email> "<name>" [owner|staff|read_only]
+ *
+ * The password is read from NEW_USER_PASSWORD or prompted for.
+ */
+
+import dotenv from 'dotenv';
+import readline from 'readline';
+
+dotenv.config();
+
+async function prompt(question: string): Promise<string> {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function createUser() {
+  const [organizationId, email, name, role = 'owner'] = process.argv.slice(2);
+  if (!organizationId || !email || !name) {
+    console.error('Usage: npm run user:create -- <organization-id> <email> "<name>" [owner|staff|read_only]');
+    process.exit(1);
+  }
+
+  // Imported after dotenv so the config modules see the environment
+  const { UserService } = await import('../services/user.service');
+  const { OrganizationService } = await import('../services/organization.service');
+  const userService = new UserService();
+
+  if (!(await new OrganizationService().getOrganization(organizationId))) {
+    console.error(`❌ Organization ${organizationId} not found`);
+    process.exit(1);
+  }
+
+  const password = process.env.NEW_USER_PASSWORD || await prompt('Password: ');
+  const input = { email, name, role: role as any, password };
+
+  const errors = userService.validateUser(input);
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.join('\n❌ ')}`);
+    process.exit(1);
+  }
+  if (await userService.getUserByEmail(email)) {
+    console.error(`❌ A user with email ${email} already exists`);
+    process.exit(1);
+  }
+
+  const user = await userService.createUser(organizationId, input);
+  console.log(`✅ Created ${user.role} ${user.email} (${user.id})`);
+  process.exit(0);
+}
+
+createUser().catch(error => {
+  console.error('❌ Failed to create user:', error);
+  process.exit(1);
+});
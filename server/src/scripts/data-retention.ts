@@ -0,0 +1,66 @@
+#!/usr/bin/env tsx
+
+/**
+ * Erase a customer or purge expired data without the dashboard:
+ *
+ *   npm run customer:erase -- <organization-id> <phone-number>
+ *   npm run retention:purge [-- <organization-id>]
+ *
+ * Erasure prints the same report as POST /api/privacy/erasure. A purge
+ * without an organization runs the daily job for every store.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function run() {
+  const [command, organizationId, phoneNumber] = process.argv.slice(2);
+
+  // Imported after dotenv so the config modules see the environment
+  const { RetentionService } = await import('../services/retention.service');
+  const { AuditService } = await import('../services/audit.service');
+  const { OrganizationService } = await import('../services/organization.service');
+  const retentionService = new RetentionService();
+
+  if (organizationId && !(await new OrganizationService().getOrganization(organizationId))) {
+    console.error(`❌ Organization ${organizationId} not found`);
+    process.exit(1);
+  }
+
+  if (command === 'erase') {
+    if (!organizationId || !phoneNumber) {
+      console.error('Usage: npm run customer:erase -- <organization-id> <phone-number>');
+      process.exit(1);
+    }
+
+    const report = await retentionService.eraseCustomer(organizationId, phoneNumber);
+    await new AuditService().record({
+      organization_id: organizationId,
+      action: 'customer.erased',
+      target_type: 'customer',
+      target_id: report.phone_number,
+      details: { ...report, source: 'cli' }
+    });
+    console.log(JSON.stringify(report, null, 2));
+    console.log(`✅ Erased ${report.lead_ids.length} lead(s) for ${report.phone_number}`);
+  } else if (command === 'purge') {
+    const reports = organizationId
+      ? [await retentionService.purgeExpired(organizationId)]
+      : await retentionService.runScheduledPurge();
+    for (const report of reports) {
+      console.log(`${report.organization_id}  ${JSON.stringify(report.purged)}`);
+    }
+    console.log(`✅ Purged expired data for ${reports.length} organization(s)`);
+  } else {
+    console.error('Usage: tsx src/scripts/data-retention.ts erase <organization-id> <phone-number> | purge [organization-id]');
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+run().catch(error => {
+  console.error('❌ Failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env tsx
+
+/**
+ * Re-send a webhook payload to a running server, signed the way the sender
+ * would sign it, for debugging:
+ *
+ *   npm run webhooks:replay -- <event-id> [--url http://localhost:3001]
+ *   npm run webhooks:replay -- --file payload.json --endpoint elevenlabs/post-call [--url ...]
+ *   npm run webhooks:replay -- --failed [--limit 20]
+ *
+ * Stored events are re-sent with ?replay_of=<id>, so steps the original
+ * already completed are skipped. --failed lists failed and invalid events.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+dotenv.config();
+
+function option(args: string[], name: string): string | undefined {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function replayWebhook() {
+  const args = process.argv.slice(2);
+  const baseUrl = option(args, 'url') || `http://localhost:${process.env.PORT || 3001}`;
+
+  // Imported after dotenv so the config modules see the environment
+  const { WebhookEventService, WEBHOOK_SOURCES } = await import('../services/webhookEvent.service');
+  const { signElevenLabsPayload, signEmailPayload } = await import('../middleware/webhookSignature');
+  const twilio = (await import('twilio')).default;
+  const fetch = (await import('node-fetch')).default;
+  const webhookEventService = new WebhookEventService();
+
+  if (args.includes('--failed')) {
+    const limit = option(args, 'limit') || '20';
+    const { events } = await webhookEventService.listEvents(null, { status: 'failed,invalid', limit });
+    for (const event of events) {
+      console.log(`${event.id}  ${event.received_at}  ${event.source}/${event.endpoint}  ${event.status} x${event.attempts}  ${event.last_error || ''}`);
+    }
+    console.log(`✅ ${events.length} failed event(s)`);
+    process.exit(0);
+  }
+
+  let source: string;
+  let endpoint: string;
+  let payload: Record<string, any>;
+  let replayOf: string | null = null;
+
+  const file = option(args, 'file');
+  if (file) {
+    const route = option(args, 'endpoint') || '';
+    source = route.split('/')[0];
+    endpoint = route.slice(source.length + 1);
+    payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else if (args[0] && !args[0].startsWith('--')) {
+    const event = await webhookEventService.getEvent(args[0], null);
+    if (!event) {
+      console.error(`❌ Webhook event ${args[0]} not found`);
+      process.exit(1);
+    }
+    ({ source, endpoint, payload } = event);
+    replayOf = event.id;
+  } else {
+    console.error('Usage: npm run webhooks:replay -- <event-id> | --file <payload.json> --endpoint <source>/<endpoint> | --failed [--url <server>]');
+    process.exit(1);
+  }
+
+  if (!WEBHOOK_SOURCES.includes(source as any) || !endpoint) {
+    console.error(`❌ --endpoint must be <source>/<endpoint>, with source one of: ${WEBHOOK_SOURCES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const path = `/webhooks/${source}/${endpoint}${replayOf ? `?replay_of=${encodeURIComponent(replayOf)}` : ''}`;
+  const headers: Record<string, string> = {};
+  let body: string;
+
+  if (source === 'twilio') {
+    // Twilio posts forms and signs the public URL with the parameters
+    body = new URLSearchParams(payload).toString();
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN || '', `${process.env.WEBHOOK_BASE_URL}${path}`, payload);
+  } else {
+    body = JSON.stringify(payload);
+    headers['Content-Type'] = 'application/json';
+    if (source === 'elevenlabs' && process.env.ELEVENLABS_WEBHOOK_SECRET) {
+      headers['ElevenLabs-Signature'] = signElevenLabsPayload(body, process.env.ELEVENLABS_WEBHOOK_SECRET);
+    }
+    if (source === 'email' && process.env.EMAIL_WEBHOOK_SECRET) {
+      headers['X-Email-Signature'] = signEmailPayload(body, process.env.EMAIL_WEBHOOK_SECRET);
+    }
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body });
+  const text = await response.text();
+  const mark = response.ok ? '✅' : '❌';
+  console.log(`${mark} ${response.status} from POST ${baseUrl}${path}`);
+  if (text) console.log(text);
+  process.exit(response.ok ? 0 : 1);
+}
+
+replayWebhook().catch(error => {
+  console.error('❌ Failed to replay webhook:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env tsx
+
+/**
+ * Issue a new secret for the organization's ElevenLabs agent tools:
+ *
+ *   npm run tools:secret -- <organization-id>
+ *
+ * Put the printed value in the X-Bici-Tool-Secret header of every server tool
+ * (see tools.json). The previous secret stops working immediately.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function rotateToolSecret() {
+  const [organizationId] = process.argv.slice(2);
+  if (!organizationId) {
+    console.error('Usage: npm run tools:secret -- <organization-id>');
+    process.exit(1);
+  }
+
+  // Imported after dotenv so the config modules see the environment
+  const { OrganizationService } = await import('../services/organization.service');
+  const organizationService = new OrganizationService();
+
+  if (!(await organizationService.getOrganization(organizationId))) {
+    console.error(`❌ Organization ${organizationId} not found`);
+    process.exit(1);
+  }
+
+  const secret = await organizationService.rotateToolSecret(organizationId);
+  console.log('✅ New agent tool secret (shown once):');
+  console.log(secret);
+  process.exit(0);
+}
+
+rotateToolSecret().catch(error => {
+  console.error('❌ Failed to rotate tool secret:', error);
+  process.exit(1);
+});
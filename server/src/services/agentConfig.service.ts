@@ -0,0 +1,409 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { elevenLabsConfig } from '../config/elevenlabs.config';
+import { AgentConfigChange, AgentConfigField, AgentConfigFields, AgentConfigVersion, User } from '../types';
+import { logger } from '../utils/logger';
+import { OrganizationService } from './organization.service';
+
+const organizationService = new OrganizationService();
+
+export const AGENT_CONFIG_FIELDS: AgentConfigField[] = ['prompt', 'first_message', 'tools', 'transfer_numbers', 'data_collection'];
+
+const DATA_COLLECTION_TYPES = ['string', 'boolean', 'integer', 'number'];
+const E164 = /^\+[1-9]\d{1,14}$/;
+const TRANSFER_TOOL = 'transfer_to_number';
+
+// Used for transfer numbers added past the ones the live tool already has
+const DEFAULT_TRANSFER = {
+  condition: 'When the customer asks for a person, transfer immediately',
+  transfer_type: 'conference'
+};
+
+/**
+ * The ElevenLabs API refused a request; `status` is its HTTP status
+ */
+export class AgentApiError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+    this.name = 'AgentApiError';
+  }
+}
+
+/**
+ * Another version was saved since the one an edit started from
+ */
+export class AgentConfigConflictError extends Error {
+  constructor(public latestVersion: number) {
+    super(`Version ${latestVersion} was saved since`);
+    this.name = 'AgentConfigConflictError';
+  }
+}
+
+// JSON with sorted keys, so key order never shows up as a change
+function stableStringify(value: any): string {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function transferNumber(transfer: any): string | undefined {
+  return transfer?.transfer_destination?.phone_number || transfer?.phone_number;
+}
+
+/**
+ * The managed fields of an agent as the ElevenLabs API returns it, or as the
+ * convai CLI writes it to agent_configs/*.json (tools under built_in_tools)
+ */
+export function extractAgentFields(agent: any): AgentConfigFields {
+  const agentConfig = agent?.conversation_config?.agent || {};
+  const prompt = agentConfig.prompt || {};
+  const tools: any[] = Array.isArray(prompt.tools) && prompt.tools.length > 0
+    ? prompt.tools
+    : Object.values(prompt.built_in_tools || agentConfig.built_in_tools || {}).filter(Boolean);
+
+  const transferTool = tools.find(tool => tool.name === TRANSFER_TOOL);
+  const { transfers, ...transferParams } = transferTool?.params || {};
+
+  return {
+    prompt: prompt.prompt || '',
+    first_message: agentConfig.first_message || '',
+    tools: tools.map(tool => (tool === transferTool ? { ...tool, params: transferParams } : tool)),
+    transfer_numbers: (transfers || []).map(transferNumber).filter(Boolean),
+    data_collection: agent?.platform_settings?.data_collection || {}
+  };
+}
+
+/**
+ * Tools as ElevenLabs expects them, with the transfer destinations put back
+ * into transfer_to_number. Conditions and transfer types of existing
+ * destinations are kept by position.
+ */
+function toolsWithTransfers(tools: Record<string, any>[], numbers: string[], liveTools: any[]): Record<string, any>[] {
+  const liveTransfers: any[] = liveTools.find(tool => tool.name === TRANSFER_TOOL)?.params?.transfers || [];
+
+  return tools.map(tool => {
+    if (tool.name !== TRANSFER_TOOL) return tool;
+    const transfers = numbers.map((number, i) => {
+      const template = liveTransfers[i] || liveTransfers[0] || DEFAULT_TRANSFER;
+      return {
+        ...template,
+        phone_number: number,
+        transfer_destination: { ...(template.transfer_destination || {}), type: 'phone', phone_number: number }
+      };
+    });
+    return { ...tool, params: { ...(tool.params || {}), transfers } };
+  });
+}
+
+/**
+ * PATCH body that sets `fields` on the live agent and leaves the rest as it is
+ */
+export function buildAgentPatch(live: any, fields: AgentConfigFields): Record<string, any> {
+  const conversationConfig = live?.conversation_config || {};
+  const agentConfig = conversationConfig.agent || {};
+  const prompt = agentConfig.prompt || {};
+
+  return {
+    conversation_config: {
+      ...conversationConfig,
+      agent: {
+        ...agentConfig,
+        first_message: fields.first_message,
+        prompt: {
+          ...prompt,
+          prompt: fields.prompt,
+          tools: toolsWithTransfers(fields.tools, fields.transfer_numbers, prompt.tools || [])
+        }
+      }
+    },
+    platform_settings: {
+      data_collection: fields.data_collection
+    }
+  };
+}
+
+/**
+ * Fields whose values differ, as { field, live, version }
+ */
+export function diffAgentFields(live: AgentConfigFields, version: AgentConfigFields): AgentConfigChange[] {
+  return AGENT_CONFIG_FIELDS
+    .filter(field => stableStringify(live[field]) !== stableStringify(version[field]))
+    .map(field => ({ field, live: live[field], version: version[field] }));
+}
+
+/**
+ * Versioned configuration for each organization's ElevenLabs agent. Edits
+ * are saved as numbered versions in agent_config_versions and only reach the
+ * live agent when a version (or some of its fields) is deployed.
+ */
+export class AgentConfigService {
+  /**
+   * Problems with a set of fields; `partial` allows leaving fields out
+   */
+  validateFields(fields: Partial<Record<string, any>>, partial = false): string[] {
+    const errors: string[] = [];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return ['config must be an object'];
+    }
+
+    for (const key of Object.keys(fields)) {
+      if (!AGENT_CONFIG_FIELDS.includes(key as AgentConfigField)) {
+        errors.push(`unknown field: ${key}`);
+      }
+    }
+    if (!partial) {
+      for (const field of AGENT_CONFIG_FIELDS) {
+        if (fields[field] === undefined) errors.push(`${field} is required`);
+      }
+    }
+
+    const { prompt, first_message, tools, transfer_numbers, data_collection } = fields;
+
+    if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+      errors.push('prompt must be a non-empty string');
+    }
+    if (first_message !== undefined && typeof first_message !== 'string') {
+      errors.push('first_message must be a string');
+    }
+
+    if (tools !== undefined) {
+      if (!Array.isArray(tools)) {
+        errors.push('tools must be an array');
+      } else {
+        const names = new Set<string>();
+        tools.forEach((tool, i) => {
+          if (!tool || typeof tool !== 'object' || typeof tool.name !== 'string' || !tool.name || typeof tool.type !== 'string' || !tool.type) {
+            errors.push(`tools[${i}] needs a name and a type`);
+          } else if (names.has(tool.name)) {
+            errors.push(`tools[${i}]: ${tool.name} is listed more than once`);
+          } else {
+            names.add(tool.name);
+          }
+        });
+      }
+    }
+
+    if (transfer_numbers !== undefined) {
+      if (!Array.isArray(transfer_numbers)) {
+        errors.push('transfer_numbers must be an array');
+      } else {
+        transfer_numbers.forEach((number, i) => {
+          if (typeof number !== 'string' || !E164.test(number)) {
+            errors.push(`transfer_numbers[${i}] must be in E.164 format (e.g., +17787193080)`);
+          }
+        });
+        if (new Set(transfer_numbers).size !== transfer_numbers.length) {
+          errors.push('transfer_numbers must not repeat a number');
+        }
+      }
+    }
+
+    // Without the tool there is nothing to put the numbers in
+    if (Array.isArray(tools) && Array.isArray(transfer_numbers) && transfer_numbers.length > 0 &&
+        !tools.some(tool => tool?.name === TRANSFER_TOOL)) {
+      errors.push(`transfer_numbers need a ${TRANSFER_TOOL} tool`);
+    }
+
+    if (data_collection !== undefined) {
+      if (!data_collection || typeof data_collection !== 'object' || Array.isArray(data_collection)) {
+        errors.push('data_collection must be an object');
+      } else {
+        for (const [name, item] of Object.entries<any>(data_collection)) {
+          if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            errors.push(`data_collection.${name}: names use lowercase letters, digits and underscores`);
+          }
+          if (!item || !DATA_COLLECTION_TYPES.includes(item.type)) {
+            errors.push(`data_collection.${name}.type must be one of: ${DATA_COLLECTION_TYPES.join(', ')}`);
+          }
+          if (!item || typeof item.description !== 'string' || !item.description.trim()) {
+            errors.push(`data_collection.${name}.description is required`);
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  async getAgentId(organizationId: string): Promise<string | null> {
+    const settings = await organizationService.getSettings(organizationId);
+    return elevenLabsConfig.apiKey && settings.elevenlabs_agent_id ? settings.elevenlabs_agent_id : null;
+  }
+
+  /**
+   * The agent as ElevenLabs has it now
+   */
+  async fetchLiveAgent(agentId: string): Promise<any> {
+    return this.request('GET', agentId);
+  }
+
+  async listVersions(organizationId: string, agentId: string): Promise<AgentConfigVersion[]> {
+    try {
+      const { data, error } = await supabase
+        .from('agent_config_versions')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('agent_id', agentId)
+        .order('version', { ascending: false });
+
+      if (error) {
+        handleSupabaseError(error, 'list agent config versions');
+      }
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing agent config versions:', error);
+      throw error;
+    }
+  }
+
+  async getVersion(organizationId: string, agentId: string, version?: number): Promise<AgentConfigVersion | null> {
+    let query = supabase
+      .from('agent_config_versions')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('agent_id', agentId);
+    query = version === undefined ? query.order('version', { ascending: false }) : query.eq('version', version);
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      handleSupabaseError(error, 'get agent config version');
+    }
+    return data?.[0] || null;
+  }
+
+  /**
+   * Save a new version. Fields left out are carried over from the latest
+   * version, or from the live agent when there is none yet. Pass
+   * `baseVersion` to refuse the save if someone else saved in between.
+   */
+  async createVersion(
+    organizationId: string,
+    agentId: string,
+    changes: Partial<AgentConfigFields>,
+    options: {
+      source: AgentConfigVersion['source'];
+      note?: string | null;
+      baseVersion?: number | null;
+      rolledBackFrom?: number | null;
+      user?: Pick<User, 'id' | 'name'> | null;
+    }
+  ): Promise<AgentConfigVersion> {
+    const latest = await this.getVersion(organizationId, agentId);
+    if (options.baseVersion != null && (latest?.version ?? 0) !== options.baseVersion) {
+      throw new AgentConfigConflictError(latest?.version ?? 0);
+    }
+
+    const base = latest ? latest.config : extractAgentFields(await this.fetchLiveAgent(agentId));
+    const { data, error } = await supabase
+      .from('agent_config_versions')
+      .insert({
+        organization_id: organizationId,
+        agent_id: agentId,
+        version: (latest?.version ?? 0) + 1,
+        config: { ...base, ...changes },
+        source: options.source,
+        note: options.note || null,
+        rolled_back_from: options.rolledBackFrom ?? null,
+        created_by: options.user?.id || null,
+        created_by_name: options.user?.name || null,
+        created_at: new Date()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (organization, agent, version): a save raced this one
+      if (error.code === '23505') throw new AgentConfigConflictError((latest?.version ?? 0) + 1);
+      handleSupabaseError(error, 'create agent config version');
+    }
+
+    logger.info('Saved agent config version:', { organizationId, agentId, version: data.version, source: options.source });
+    return data;
+  }
+
+  /**
+   * What deploying `version` would change on the live agent
+   */
+  async diffWithLive(agentId: string, version: AgentConfigVersion): Promise<AgentConfigChange[]> {
+    const live = extractAgentFields(await this.fetchLiveAgent(agentId));
+    return diffAgentFields(live, version.config);
+  }
+
+  /**
+   * Push some or all fields of a version to the live agent; fields that
+   * already match are left alone. Nothing is sent when the agent that would
+   * result is invalid, e.g. transfer numbers without the transfer tool.
+   */
+  async deploy(
+    organizationId: string,
+    agentId: string,
+    version: AgentConfigVersion,
+    fields: AgentConfigField[] = AGENT_CONFIG_FIELDS
+  ): Promise<{ changes: AgentConfigChange[]; errors: string[] }> {
+    const liveAgent = await this.fetchLiveAgent(agentId);
+    const live = extractAgentFields(liveAgent);
+    const changes = diffAgentFields(live, version.config).filter(change => fields.includes(change.field));
+
+    const target: AgentConfigFields = { ...live };
+    for (const { field } of changes) {
+      (target as any)[field] = version.config[field];
+    }
+    const errors = this.validateFields(target);
+    if (errors.length > 0) {
+      return { changes, errors };
+    }
+
+    if (changes.length > 0) {
+      await this.request('PATCH', agentId, buildAgentPatch(liveAgent, target));
+    }
+
+    const { error } = await supabase
+      .from('agent_config_versions')
+      .update({ deployed_at: new Date(), deployed_fields: fields })
+      .eq('id', version.id);
+    if (error) {
+      handleSupabaseError(error, 'mark agent config version deployed');
+    }
+
+    // Settings keep the first destination, as the transfer number setting
+    if (changes.some(change => change.field === 'transfer_numbers') && target.transfer_numbers[0]) {
+      await organizationService.updateSettings(organizationId, { transfer_number: target.transfer_numbers[0] });
+    }
+
+    logger.info('Deployed agent config version:', {
+      organizationId,
+      agentId,
+      version: version.version,
+      changed: changes.map(change => change.field)
+    });
+    return { changes, errors: [] };
+  }
+
+  private async request(method: 'GET' | 'PATCH', agentId: string, body?: Record<string, any>): Promise<any> {
+    const response = await fetch(`${elevenLabsConfig.apiBaseUrl}/v1/convai/agents/${encodeURIComponent(agentId)}`, {
+      method,
+      headers: {
+        'xi-api-key': elevenLabsConfig.apiKey,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let result: any = null;
+    try {
+      result = text ? JSON.parse(text) : null;
+    } catch {
+      result = null;
+    }
+
+    if (!response.ok) {
+      const detail = result?.detail;
+      const message = typeof detail === 'string' ? detail : detail?.message || result?.message || response.statusText;
+      logger.error('ElevenLabs agent API error:', { method, agentId, status: response.status, message });
+      throw new AgentApiError(response.status, message || 'Unknown API error');
+    }
+    return result;
+  }
+}
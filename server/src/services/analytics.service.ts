@@ -0,0 +1,210 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { logger } from '../utils/logger';
+import { redisService } from './redis.service';
+import { CallSessionService } from './callSession.service';
+import { HumanControlService } from './humanControl.service';
+import { Lead } from '../types';
+
+export interface DateRange {
+  from: string;
+  to: string;
+  key: string; // Cache field for this range
+}
+
+export interface DashboardStats {
+  range: { from: string; to: string };
+  total_leads: number;
+  total_calls: number;
+  total_conversations: number;
+  active_sessions: number;
+  hot_leads: number;
+  leads_by_status: Record<string, number>;
+  calls_by_classification: Record<string, number>;
+  average_call_duration_seconds: number | null;
+  sms: { sent: number; delivered: number; failed: number; delivery_rate: number | null };
+  conversion: { leads: number; customers: number; rate: number | null };
+}
+
+export interface RangeQuery {
+  from?: any;
+  to?: any;
+  days?: any;
+}
+
+const LEAD_STATUSES: Lead['status'][] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+const CALL_CLASSIFICATIONS = ['sales', 'support', 'service', 'general'];
+const OUTBOUND_SENDERS = ['agent', 'human_agent', 'system'];
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const callSessionService = new CallSessionService();
+const humanControlService = new HumanControlService();
+
+/**
+ * Dashboard analytics for one organization over a date range. Everything is
+ * counted for records created in the range, except active_sessions (right now).
+ */
+export class AnalyticsService {
+  /**
+   * Problems with ?from=&to= or ?days= (ISO dates; days defaults to 30)
+   */
+  validateRange(query: RangeQuery): string[] {
+    const errors: string[] = [];
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    if (from && isNaN(from.getTime())) errors.push('from must be an ISO date');
+    if (to && isNaN(to.getTime())) errors.push('to must be an ISO date');
+    if (query.days !== undefined && !(parseInt(query.days, 10) > 0)) errors.push('days must be a positive number');
+    if (errors.length > 0) return errors;
+
+    const range = this.resolveRange(query);
+    if (range.from > range.to) errors.push('from must be before to');
+    if (new Date(range.to).getTime() - new Date(range.from).getTime() > MAX_DAYS * DAY_MS) {
+      errors.push(`range cannot be longer than ${MAX_DAYS} days`);
+    }
+    return errors;
+  }
+
+  resolveRange(query: RangeQuery): DateRange {
+    const days = Math.min(parseInt(query.days, 10) || DEFAULT_DAYS, MAX_DAYS);
+
+    if (!query.from && !query.to) {
+      const now = Date.now();
+      return {
+        from: new Date(now - days * DAY_MS).toISOString(),
+        to: new Date(now).toISOString(),
+        key: `days:${days}`
+      };
+    }
+
+    // A bare date for `to` means the whole day
+    const to = query.to ? new Date(query.to) : new Date();
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - days * DAY_MS);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      key: `${from.toISOString()}|${query.to ? to.toISOString() : 'now'}`
+    };
+  }
+
+  /**
+   * Stats for the range, from the Redis cache when fresh
+   */
+  async getDashboardStats(organizationId: string, range: DateRange): Promise<DashboardStats> {
+    const cached = await redisService.getCachedDashboardStats(organizationId, range.key);
+    if (cached) {
+      logger.debug('Dashboard stats cache hit for org:', { organizationId, range: range.key });
+      return cached;
+    }
+
+    const stats = await this.computeStats(organizationId, range);
+    await redisService.cacheDashboardStats(organizationId, stats, range.key);
+    return stats;
+  }
+
+  /**
+   * Counted by the database: PostgREST returns at most 1000 rows, so nothing
+   * here may depend on fetching the rows themselves
+   */
+  private async computeStats(organizationId: string, range: DateRange): Promise<DashboardStats> {
+    await callSessionService.cleanupStaleSessions(organizationId);
+
+    const leads = (query: any) => query
+      .eq('organization_id', organizationId)
+      .gte('created_at', range.from)
+      .lte('created_at', range.to);
+    const calls = (query: any) => query
+      .eq('organization_id', organizationId)
+      .gte('started_at', range.from)
+      .lte('started_at', range.to);
+    const conversations = (query: any) => query
+      .eq('organization_id', organizationId)
+      .gte('timestamp', range.from)
+      .lte('timestamp', range.to);
+    const outboundSMS = (query: any) => conversations(query)
+      .eq('type', 'sms')
+      .in('sent_by', OUTBOUND_SENDERS);
+
+    const [
+      totalLeads,
+      leadCounts,
+      totalCalls,
+      callCounts,
+      unclassifiedCalls,
+      averageDuration,
+      totalConversations,
+      smsSent,
+      smsDelivered,
+      smsFailed,
+      activeCalls,
+      humanSessions
+    ] = await Promise.all([
+      countRows('leads', 'count leads', leads),
+      Promise.all(LEAD_STATUSES.map(status =>
+        countRows('leads', 'count leads by status', query => leads(query).eq('status', status))
+      )),
+      countRows('call_sessions', 'count calls', calls),
+      Promise.all(CALL_CLASSIFICATIONS.map(classification =>
+        countRows('call_sessions', 'count calls by classification', query => calls(query).eq('classification', classification))
+      )),
+      countRows('call_sessions', 'count unclassified calls', query => calls(query).is('classification', null)),
+      supabase.rpc('average_call_duration', { p_organization_id: organizationId, p_from: range.from, p_to: range.to }),
+      countRows('conversations', 'count conversations', conversations),
+      countRows('conversations', 'count SMS', outboundSMS),
+      countRows('conversations', 'count delivered SMS', query => outboundSMS(query).eq('metadata->>delivery_status', 'delivered')),
+      countRows('conversations', 'count failed SMS', query => outboundSMS(query).in('metadata->>delivery_status', ['failed', 'undelivered'])),
+      countRows('call_sessions', 'count active calls', query => query
+        .eq('organization_id', organizationId)
+        .in('status', ['initiated', 'active'])),
+      humanControlService.getActiveSessions(organizationId)
+    ]);
+
+    if (averageDuration.error) handleSupabaseError(averageDuration.error, 'average call duration');
+
+    const leadsByStatus = Object.fromEntries(LEAD_STATUSES.map((status, index) => [status, leadCounts[index]]));
+    const callsByClassification = {
+      ...Object.fromEntries(CALL_CLASSIFICATIONS.map((classification, index) => [classification, callCounts[index]])),
+      unclassified: unclassifiedCalls
+    };
+
+    return {
+      range: { from: range.from, to: range.to },
+      total_leads: totalLeads,
+      total_calls: totalCalls,
+      total_conversations: totalConversations,
+      active_sessions: humanSessions.length + activeCalls,
+      hot_leads: leadsByStatus.hot,
+      leads_by_status: leadsByStatus,
+      calls_by_classification: callsByClassification,
+      average_call_duration_seconds: averageDuration.data == null ? null : Math.round(Number(averageDuration.data)),
+      sms: {
+        sent: smsSent,
+        delivered: smsDelivered,
+        failed: smsFailed,
+        delivery_rate: ratio(smsDelivered, smsDelivered + smsFailed)
+      },
+      conversion: {
+        leads: totalLeads,
+        customers: leadsByStatus.customer,
+        rate: ratio(leadsByStatus.customer, totalLeads)
+      }
+    };
+  }
+}
+
+// Rows matching the filters, counted without fetching them
+async function countRows(table: string, context: string, filter: (query: any) => any): Promise<number> {
+  const { count, error } = await filter(supabase.from(table).select('id', { count: 'exact', head: true }));
+  if (error) handleSupabaseError(error, context);
+  return count || 0;
+}
+
+function ratio(part: number, whole: number): number | null {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
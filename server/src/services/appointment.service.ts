@@ -0,0 +1,538 @@
+import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { getAppointmentConfig } from '../config/appointments.config';
+import { Appointment, AppointmentSlot, Lead, OrganizationSettings } from '../types';
+import { getHoursForDay } from '../utils/business-hours.helper';
+import { logger } from '../utils/logger';
+import { v4 as uuidv4 } from 'uuid';
+import { SMSAutomationService } from './sms.service';
+import { EmailService } from './email.service';
+import { broadcastToClients } from './realtime.service';
+import { redisService } from './redis.service';
+import { OrganizationService } from './organization.service';
+
+const smsService = new SMSAutomationService();
+const emailService = new EmailService();
+const organizationService = new OrganizationService();
+
+// Statuses that occupy a service bay
+const ACTIVE_STATUSES: Appointment['status'][] = ['scheduled'];
+
+// RESCHEDULE offers expire with the Redis copy
+const OFFER_TTL_MS = 30 * 60 * 1000;
+
+export interface BookAppointmentInput {
+  organization_id: string;
+  lead_id: string;
+  scheduled_at: string;
+  service_type?: string;
+  notes?: string;
+  source?: Appointment['source'];
+}
+
+export interface SMSReplyResult {
+  handled: boolean;
+  reply?: string;
+}
+
+export class AppointmentService {
+  private config = getAppointmentConfig();
+
+  /**
+   * List open service-bay slots honoring the organization's hours and daily capacity
+   */
+  async getAvailableSlots(
+    organizationId: string,
+    options: { from?: Date; days?: number; limit?: number } = {}
+  ): Promise<AppointmentSlot[]> {
+    const store = await organizationService.getSettings(organizationId);
+    const from = options.from || new Date();
+    const days = options.days || 7;
+    const dates = this.getLocalDates(store.timezone, from, days);
+
+    const windowStart = fromZonedTime(`${dates[0]}T00:00:00`, store.timezone);
+    const windowEnd = fromZonedTime(`${this.getLocalDates(store.timezone, from, days + 1)[days]}T00:00:00`, store.timezone);
+    const booked = await this.getActiveAppointmentsBetween(organizationId, windowStart, windowEnd);
+
+    const slots: AppointmentSlot[] = [];
+    for (const date of dates) {
+      slots.push(...this.buildSlotsForDate(store, date, booked));
+      if (options.limit && slots.length >= options.limit) {
+        return slots.slice(0, options.limit);
+      }
+    }
+
+    return slots;
+  }
+
+  async isSlotAvailable(organizationId: string, start: Date, excludeAppointmentId?: string): Promise<boolean> {
+    const store = await organizationService.getSettings(organizationId);
+    const date = formatInTimeZone(start, store.timezone, 'yyyy-MM-dd');
+    const dayStart = fromZonedTime(`${date}T00:00:00`, store.timezone);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const booked = (await this.getActiveAppointmentsBetween(organizationId, dayStart, dayEnd))
+      .filter(appt => appt.id !== excludeAppointmentId);
+
+    return this.buildSlotsForDate(store, date, booked).some(slot => new Date(slot.start).getTime() === start.getTime());
+  }
+
+  async bookAppointment(input: BookAppointmentInput): Promise<Appointment> {
+    try {
+      const start = new Date(input.scheduled_at);
+      if (isNaN(start.getTime())) {
+        throw new Error('Invalid appointment time');
+      }
+
+      if (!(await this.isSlotAvailable(input.organization_id, start))) {
+        throw new Error('Requested slot is not available');
+      }
+
+      const appointment = {
+        id: uuidv4(),
+        organization_id: input.organization_id,
+        lead_id: input.lead_id,
+        scheduled_at: start.toISOString(),
+        duration_minutes: this.config.slotMinutes,
+        service_type: input.service_type || 'general_service',
+        status: 'scheduled',
+        source: input.source || 'dashboard',
+        notes: input.notes,
+        metadata: {}
+      };
+
+      const data = await this.saveIfSlotFree(appointment);
+      if (!data) {
+        throw new Error('Requested slot is not available');
+      }
+
+      logger.info('Appointment booked:', {
+        id: data.id,
+        lead_id: data.lead_id,
+        scheduled_at: data.scheduled_at
+      });
+
+      await this.sendConfirmation(data);
+
+      broadcastToClients({
+        type: 'appointment_updated',
+        organization_id: data.organization_id,
+        lead_id: data.lead_id,
+        appointment: data,
+        action: 'booked'
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error booking appointment:', error);
+      throw error;
+    }
+  }
+
+  async rescheduleAppointment(appointmentId: string, scheduledAt: string): Promise<Appointment> {
+    try {
+      const existing = await this.getAppointment(appointmentId);
+      if (!existing || existing.status !== 'scheduled') {
+        throw new Error('Appointment not found or no longer active');
+      }
+
+      const start = new Date(scheduledAt);
+      if (isNaN(start.getTime()) || !(await this.isSlotAvailable(existing.organization_id, start, existing.id))) {
+        throw new Error('Requested slot is not available');
+      }
+
+      const { reschedule_offer, ...metadata } = existing.metadata || {};
+      const data = await this.saveIfSlotFree({
+        ...existing,
+        scheduled_at: start.toISOString(),
+        metadata: {
+          ...metadata,
+          previous_scheduled_at: existing.scheduled_at,
+          reschedule_count: (existing.metadata?.reschedule_count || 0) + 1
+        }
+      });
+      if (!data) {
+        throw new Error('Requested slot is not available');
+      }
+
+      await this.sendConfirmation(data);
+
+      broadcastToClients({
+        type: 'appointment_updated',
+        organization_id: data.organization_id,
+        lead_id: data.lead_id,
+        appointment: data,
+        action: 'rescheduled'
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error rescheduling appointment:', error);
+      throw error;
+    }
+  }
+
+  async cancelAppointment(appointmentId: string, reason?: string): Promise<Appointment> {
+    try {
+      const existing = await this.getAppointment(appointmentId);
+      if (!existing) {
+        throw new Error('Appointment not found');
+      }
+
+      const data = await this.updateAppointment(appointmentId, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        metadata: { ...(existing.metadata || {}), cancel_reason: reason || 'unspecified' }
+      });
+
+      broadcastToClients({
+        type: 'appointment_updated',
+        organization_id: data.organization_id,
+        lead_id: data.lead_id,
+        appointment: data,
+        action: 'cancelled'
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error cancelling appointment:', error);
+      throw error;
+    }
+  }
+
+  async updateAppointment(appointmentId: string, updates: Partial<Appointment>): Promise<Appointment> {
+    const { data, error } = await supabase
+      .from('appointments')
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', appointmentId)
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'update appointment');
+    }
+
+    logger.info('Updated appointment:', { id: appointmentId, status: data?.status });
+    return data;
+  }
+
+  async getAppointment(appointmentId: string): Promise<Appointment | null> {
+    try {
+      const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('id', appointmentId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        handleSupabaseError(error, 'get appointment');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error getting appointment:', error);
+      throw error;
+    }
+  }
+
+  async listAppointments(
+    organizationId: string,
+    filters: { from?: string; to?: string; status?: string; leadId?: string } = {}
+  ): Promise<Appointment[]> {
+    try {
+      let query = supabase
+        .from('appointments')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+      if (filters.from) query = query.gte('scheduled_at', filters.from);
+      if (filters.to) query = query.lt('scheduled_at', filters.to);
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.leadId) query = query.eq('lead_id', filters.leadId);
+
+      const { data, error } = await query.order('scheduled_at', { ascending: true });
+
+      if (error) {
+        handleSupabaseError(error, 'list appointments');
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing appointments:', error);
+      throw error;
+    }
+  }
+
+  async getUpcomingForLead(leadId: string): Promise<Appointment | null> {
+    try {
+      const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('lead_id', leadId)
+        .in('status', ACTIVE_STATUSES)
+        .gte('scheduled_at', new Date().toISOString())
+        .order('scheduled_at', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        handleSupabaseError(error, 'get upcoming appointment');
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error('Error getting upcoming appointment:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the next open slots for a lead who asked to come in and remember
+   * them, so a numbered reply books the pick (handleSMSReply). Returns null
+   * when the lead already has an upcoming booking.
+   */
+  async offerSlots(lead: Lead): Promise<AppointmentSlot[] | null> {
+    if (await this.getUpcomingForLead(lead.id)) {
+      return null;
+    }
+
+    const slots = await this.getAvailableSlots(lead.organization_id, { limit: 3 });
+    if (slots.length > 0) {
+      await redisService.cacheAppointmentOffer(lead.id, {
+        slots: slots.map(slot => slot.start),
+        offered_at: new Date().toISOString()
+      });
+    }
+    return slots;
+  }
+
+  /**
+   * Act on CANCEL / RESCHEDULE replies (and the numbered slot pick that follows
+   * an offer) before the message reaches the AI
+   */
+  async handleSMSReply(lead: Lead, body: string): Promise<SMSReplyResult> {
+    const keyword = (body || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    if (keyword === 'CANCEL') {
+      const upcoming = await this.getUpcomingForLead(lead.id);
+      if (!upcoming) return { handled: false };
+
+      await this.cancelAppointment(upcoming.id, 'customer_sms');
+      await redisService.removeCachedAppointmentOffer(lead.id);
+      const store = await organizationService.getSettings(lead.organization_id);
+      const { date, time } = this.formatForCustomer(upcoming.scheduled_at, store.timezone);
+      return {
+        handled: true,
+        reply: smsService.getAppointmentCancelledMessage(store, date, time)
+      };
+    }
+
+    if (keyword === 'RESCHEDULE') {
+      const upcoming = await this.getUpcomingForLead(lead.id);
+      if (!upcoming) return { handled: false };
+
+      const slots = (await this.getAvailableSlots(lead.organization_id, { limit: 4 }))
+        .filter(slot => slot.start !== new Date(upcoming.scheduled_at).toISOString())
+        .slice(0, 3);
+      const store = await organizationService.getSettings(lead.organization_id);
+
+      if (slots.length === 0) {
+        return { handled: true, reply: smsService.getAppointmentOptionsMessage(store, []) };
+      }
+
+      // Offer lives in Redis with a copy on the appointment so a pick still
+      // resolves when Redis is unavailable
+      const offer = {
+        appointment_id: upcoming.id,
+        slots: slots.map(slot => slot.start),
+        offered_at: new Date().toISOString()
+      };
+      await redisService.cacheAppointmentOffer(lead.id, offer);
+      await this.updateAppointment(upcoming.id, {
+        metadata: { ...(upcoming.metadata || {}), reschedule_offer: offer }
+      });
+
+      return {
+        handled: true,
+        reply: smsService.getAppointmentOptionsMessage(store, slots.map(slot => slot.label), true)
+      };
+    }
+
+    if (/^[1-9]$/.test(keyword)) {
+      const offer = await redisService.getCachedAppointmentOffer(lead.id) || await this.getStoredOffer(lead.id);
+      const picked = offer?.slots?.[parseInt(keyword, 10) - 1];
+      if (!picked) return { handled: false };
+
+      try {
+        // A RESCHEDULE offer moves the booking; a first offer makes one
+        if (offer.appointment_id) {
+          await this.rescheduleAppointment(offer.appointment_id, picked);
+        } else {
+          await this.bookAppointment({
+            organization_id: lead.organization_id,
+            lead_id: lead.id,
+            scheduled_at: picked,
+            source: 'sms'
+          });
+        }
+        await redisService.removeCachedAppointmentOffer(lead.id);
+        // Confirmation SMS is sent by bookAppointment / rescheduleAppointment
+        return { handled: true };
+      } catch (error) {
+        logger.warn('Offered slot could not be booked:', { leadId: lead.id, picked });
+        return {
+          handled: true,
+          reply: 'Sorry, that time was just taken. Reply RESCHEDULE to see the latest openings.'
+        };
+      }
+    }
+
+    return { handled: false };
+  }
+
+  /**
+   * Format an appointment time for customer-facing messages in store time
+   */
+  formatForCustomer(scheduledAt: string, timezone: string): { date: string; time: string } {
+    const start = new Date(scheduledAt);
+    return {
+      date: formatInTimeZone(start, timezone, 'EEEE, MMMM d'),
+      time: formatInTimeZone(start, timezone, 'h:mm a')
+    };
+  }
+
+  private async getStoredOffer(leadId: string): Promise<any | null> {
+    const upcoming = await this.getUpcomingForLead(leadId);
+    const offer = upcoming?.metadata?.reschedule_offer;
+    if (!offer || Date.now() - new Date(offer.offered_at).getTime() > OFFER_TTL_MS) {
+      return null;
+    }
+    return offer;
+  }
+
+  private async sendConfirmation(appointment: Appointment): Promise<void> {
+    try {
+      const { data: lead } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('id', appointment.lead_id)
+        .single();
+
+      if (!lead?.phone_number) {
+        logger.warn('No phone number for appointment confirmation:', { appointmentId: appointment.id });
+        return;
+      }
+
+      const store = await organizationService.getSettings(appointment.organization_id);
+      const { date, time } = this.formatForCustomer(appointment.scheduled_at, store.timezone);
+
+      // Leads who prefer email get it there, falling back to a text if it can't be sent
+      if (emailService.prefersEmail(lead)) {
+        const result = await emailService.sendAppointmentConfirmation(lead, date, time);
+        if (!result.suppressed) return;
+        logger.warn('Appointment confirmation email not sent, texting instead:', { appointmentId: appointment.id, reason: result.reason });
+      }
+      await smsService.sendAppointmentConfirmation(lead.phone_number, date, time, appointment.organization_id);
+    } catch (error) {
+      // A failed text should not undo the booking
+      logger.error('Error sending appointment confirmation:', error);
+    }
+  }
+
+  /**
+   * Insert a booking, or move an existing one, only while its slot has a free
+   * bay and its day is under capacity. The check and the write happen in one
+   * database call under a lock per organization and day
+   * (database/020_appointment_booking.sql), so two channels booking the last
+   * bay at once can't both get it. Returns null when the slot is full.
+   */
+  private async saveIfSlotFree(appointment: Record<string, any>): Promise<Appointment | null> {
+    const store = await organizationService.getSettings(appointment.organization_id);
+    const date = formatInTimeZone(new Date(appointment.scheduled_at), store.timezone, 'yyyy-MM-dd');
+    const dayStart = fromZonedTime(`${date}T00:00:00`, store.timezone);
+
+    const { data, error } = await supabase.rpc('book_appointment_slot', {
+      p_appointment: appointment,
+      p_day_start: dayStart.toISOString(),
+      p_day_end: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+      p_concurrent_bays: this.config.concurrentBays,
+      p_daily_capacity: this.config.dailyCapacity
+    });
+
+    if (error) {
+      handleSupabaseError(error, 'book appointment slot');
+    }
+
+    return data?.[0] || null;
+  }
+
+  private async getActiveAppointmentsBetween(organizationId: string, from: Date, to: Date): Promise<Appointment[]> {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .in('status', ACTIVE_STATUSES)
+      .gte('scheduled_at', from.toISOString())
+      .lt('scheduled_at', to.toISOString());
+
+    if (error) {
+      handleSupabaseError(error, 'get booked appointments');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Store-local calendar dates starting at `from`. Anchored at UTC noon so
+   * DST transitions never skip or repeat a day.
+   */
+  private getLocalDates(timezone: string, from: Date, days: number): string[] {
+    const [year, month, day] = formatInTimeZone(from, timezone, 'yyyy-MM-dd').split('-').map(Number);
+    const dates: string[] = [];
+    for (let i = 0; i < days; i++) {
+      dates.push(new Date(Date.UTC(year, month - 1, day + i, 12)).toISOString().slice(0, 10));
+    }
+    return dates;
+  }
+
+  private buildSlotsForDate(store: OrganizationSettings, date: string, booked: Appointment[]): AppointmentSlot[] {
+    const hours = getHoursForDay(store, new Date(`${date}T12:00:00Z`).getUTCDay());
+    if (hours.open === 'closed') {
+      return [];
+    }
+
+    const dayBookings = booked.filter(appt =>
+      formatInTimeZone(new Date(appt.scheduled_at), store.timezone, 'yyyy-MM-dd') === date
+    );
+    if (dayBookings.length >= this.config.dailyCapacity) {
+      return [];
+    }
+
+    const slotMs = this.config.slotMinutes * 60 * 1000;
+    const earliest = Date.now() + this.config.minLeadTimeMinutes * 60 * 1000;
+    const open = fromZonedTime(`${date}T${hours.open}:00`, store.timezone).getTime();
+    const close = fromZonedTime(`${date}T${hours.close}:00`, store.timezone).getTime();
+
+    const slots: AppointmentSlot[] = [];
+    for (let start = open; start + slotMs <= close; start += slotMs) {
+      if (start < earliest) continue;
+
+      const overlapping = dayBookings.filter(appt => {
+        const apptStart = new Date(appt.scheduled_at).getTime();
+        const apptEnd = apptStart + (appt.duration_minutes || this.config.slotMinutes) * 60 * 1000;
+        return apptStart < start + slotMs && apptEnd > start;
+      }).length;
+
+      if (overlapping >= this.config.concurrentBays) continue;
+
+      const startDate = new Date(start);
+      slots.push({
+        start: startDate.toISOString(),
+        end: new Date(start + slotMs).toISOString(),
+        date,
+        label: formatInTimeZone(startDate, store.timezone, "EEEE, MMMM d 'at' h:mm a"),
+        remaining: this.config.concurrentBays - overlapping
+      });
+    }
+
+    return slots;
+  }
+}
@@ -0,0 +1,68 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { AuditLogEntry, User } from '../types';
+import { logger } from '../utils/logger';
+
+export interface AuditEvent {
+  organization_id: string;
+  user?: Pick<User, 'id' | 'name'> | null;
+  action: string;
+  target_type?: string;
+  target_id?: string;
+  details?: Record<string, any>;
+}
+
+/**
+ * Who did what from the dashboard. Recording never fails the request
+ * it describes; a write error is logged instead.
+ */
+export class AuditService {
+  async record(event: AuditEvent): Promise<void> {
+    try {
+      const { error } = await supabase
+        .from('audit_log')
+        .insert({
+          organization_id: event.organization_id,
+          user_id: event.user?.id || null,
+          user_name: event.user?.name || null,
+          action: event.action,
+          target_type: event.target_type || null,
+          target_id: event.target_id || null,
+          details: event.details || {}
+        });
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Failed to write audit log entry:', { action: event.action, error });
+    }
+  }
+
+  async list(
+    organizationId: string,
+    filters: { action?: string; user_id?: string; target_id?: string; limit?: number } = {}
+  ): Promise<AuditLogEntry[]> {
+    try {
+      let query = supabase
+        .from('audit_log')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+      if (filters.action) query = query.eq('action', filters.action);
+      if (filters.user_id) query = query.eq('user_id', filters.user_id);
+      if (filters.target_id) query = query.eq('target_id', filters.target_id);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(filters.limit || 100);
+
+      if (error) {
+        handleSupabaseError(error, 'list audit log');
+      }
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing audit log:', error);
+      throw error;
+    }
+  }
+}
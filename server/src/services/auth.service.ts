@@ -0,0 +1,95 @@
+import jwt from 'jsonwebtoken';
+import { authConfig } from '../config/auth.config';
+import { User } from '../types';
+import { logger } from '../utils/logger';
+import { redisService } from './redis.service';
+import { UserService } from './user.service';
+
+const userService = new UserService();
+
+interface TokenClaims {
+  sub: string;
+  org: string;
+  role: User['role'];
+}
+
+/**
+ * Too many failed logins for the email or the client IP; retry after
+ * `retryAfterSeconds`
+ */
+export class LoginLockedError extends Error {
+  constructor(public retryAfterSeconds: number) {
+    super('Too many failed login attempts');
+    this.name = 'LoginLockedError';
+  }
+}
+
+/**
+ * Dashboard login. Tokens are signed JWTs; every request re-reads the user
+ * so a deactivated account or changed role takes effect immediately.
+ */
+export class AuthService {
+  /**
+   * Throws LoginLockedError while the email or IP is locked out, even for
+   * the right password, so guessing can't continue through the lockout
+   */
+  async login(email: string, password: string, ip: string = 'unknown'): Promise<{ token: string; user: User } | null> {
+    const subjects = { email: `email:${email.trim().toLowerCase()}`, ip: `ip:${ip}` };
+    await this.checkLockout(subjects);
+
+    const user = await userService.getUserByEmail(email);
+    const valid = await userService.verifyPassword(password, user?.password_hash);
+
+    if (!user || !valid || !user.active) {
+      logger.warn('Failed login attempt:', { email, ip, reason: !user ? 'unknown_email' : !valid ? 'bad_password' : 'inactive' });
+      await Promise.all([
+        redisService.recordLoginFailure(subjects.email, authConfig.loginFailureWindowSeconds),
+        redisService.recordLoginFailure(subjects.ip, authConfig.loginFailureWindowSeconds)
+      ]);
+      return null;
+    }
+
+    await redisService.clearLoginFailures(subjects.email);
+    await userService.recordLogin(user.id);
+    return { token: this.issueToken(user), user: userService.toPublicUser(user) };
+  }
+
+  private async checkLockout(subjects: { email: string; ip: string }): Promise<void> {
+    const [email, ip] = await Promise.all([
+      redisService.getLoginFailures(subjects.email),
+      redisService.getLoginFailures(subjects.ip)
+    ]);
+    const lockedFor = Math.max(
+      email.count >= authConfig.maxLoginFailuresPerEmail ? email.ttlSeconds : 0,
+      ip.count >= authConfig.maxLoginFailuresPerIp ? ip.ttlSeconds : 0
+    );
+    if (lockedFor > 0) {
+      logger.warn('Login refused during lockout:', { ...subjects, retryAfterSeconds: lockedFor });
+      throw new LoginLockedError(lockedFor);
+    }
+  }
+
+  issueToken(user: User): string {
+    const claims: TokenClaims = { sub: user.id, org: user.organization_id, role: user.role };
+    return jwt.sign(claims, authConfig.jwtSecret, { expiresIn: authConfig.tokenTtl } as jwt.SignOptions);
+  }
+
+  /**
+   * The active user a token was issued to, or null for a bad, expired or revoked token
+   */
+  async verifyToken(token: string): Promise<User | null> {
+    let claims: TokenClaims;
+    try {
+      claims = jwt.verify(token, authConfig.jwtSecret) as unknown as TokenClaims;
+    } catch (error) {
+      logger.debug('Rejected auth token:', { error: (error as Error).message });
+      return null;
+    }
+
+    const user = await userService.getUser(claims.sub);
+    if (!user || !user.active || user.organization_id !== claims.org) {
+      return null;
+    }
+    return userService.toPublicUser(user);
+  }
+}
@@ -0,0 +1,419 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import {
+  AutomationCondition,
+  AutomationConditionField,
+  AutomationConditionOperator,
+  AutomationRule,
+  AutomationRuleResult,
+  ConversationInsights,
+  Lead,
+  OrganizationSettings
+} from '../types';
+import {
+  getNextOpenTime,
+  getHoursForDay,
+  getLocalTime,
+  getTodaysHours,
+  getWeeklyHours,
+  isStoreOpen
+} from '../utils/business-hours.helper';
+import { logger } from '../utils/logger';
+import { v4 as uuidv4 } from 'uuid';
+import { redisService } from './redis.service';
+import { jobQueue } from './jobQueue.service';
+import { OrganizationService } from './organization.service';
+
+const organizationService = new OrganizationService();
+
+export const CONDITION_FIELDS: AutomationConditionField[] = [
+  'triggers',
+  'classification',
+  'purchaseIntent',
+  'followUpNeeded',
+  'sentiment',
+  'leadStatus',
+  'purchaseTimeline',
+  'budgetRange',
+  'ridingExperience',
+  'appointmentScheduled'
+];
+
+export const CONDITION_OPERATORS: AutomationConditionOperator[] = ['contains', 'equals', 'not_equals', 'in', 'gte', 'lte', 'exists'];
+
+export const TEMPLATE_VARIABLES = [
+  'customer_name',
+  'store_name',
+  'store_address',
+  'store_phone',
+  'store_website',
+  'todays_hours',
+  'weekly_hours',
+  'store_status',
+  'maps_link',
+  'apple_maps_link',
+  'classification',
+  'bike_type',
+  'product_links'
+];
+
+// Values ElevenLabs uses for "no follow-up" in follow_up_needed
+const NO_FOLLOW_UP = ['none', 'no', 'false', 'no follow-up needed'];
+
+export type AutomationRuleInput = Partial<Pick<AutomationRule,
+  'name' | 'enabled' | 'match' | 'conditions' | 'template' | 'delay_minutes' | 'priority' | 'cooldown_minutes'
+>>;
+
+/**
+ * Per-organization SMS automation rules evaluated against call insights.
+ * Rules live in the automation_rules table so wording and conditions can
+ * change without a deploy.
+ */
+export class AutomationRuleService {
+  async listRules(organizationId: string): Promise<AutomationRule[]> {
+    try {
+      const { data, error } = await supabase
+        .from('automation_rules')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('priority', { ascending: false });
+
+      if (error) {
+        handleSupabaseError(error, 'list automation rules');
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing automation rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enabled rules in evaluation order, cached per organization
+   */
+  async getActiveRules(organizationId: string): Promise<AutomationRule[]> {
+    const cached = await redisService.getCachedAutomationRules(organizationId);
+    if (cached) {
+      return cached;
+    }
+
+    const rules = (await this.listRules(organizationId)).filter(rule => rule.enabled);
+    await redisService.cacheAutomationRules(organizationId, rules);
+    return rules;
+  }
+
+  async getRule(ruleId: string, organizationId: string): Promise<AutomationRule | null> {
+    try {
+      const { data, error } = await supabase
+        .from('automation_rules')
+        .select('*')
+        .eq('id', ruleId)
+        .eq('organization_id', organizationId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        handleSupabaseError(error, 'get automation rule');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error getting automation rule:', error);
+      throw error;
+    }
+  }
+
+  async createRule(organizationId: string, input: AutomationRuleInput): Promise<AutomationRule> {
+    const now = new Date().toISOString();
+    const rule = {
+      id: uuidv4(),
+      organization_id: organizationId,
+      name: input.name!.trim(),
+      enabled: input.enabled ?? true,
+      match: input.match || 'all',
+      conditions: input.conditions || [],
+      template: input.template!,
+      delay_minutes: input.delay_minutes ?? 0,
+      priority: input.priority ?? 0,
+      cooldown_minutes: input.cooldown_minutes ?? 60,
+      created_at: now,
+      updated_at: now
+    };
+
+    const { data, error } = await supabase
+      .from('automation_rules')
+      .insert(rule)
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'create automation rule');
+    }
+
+    await redisService.invalidateAutomationRules(organizationId);
+    logger.info('Created automation rule:', { id: data.id, name: data.name, organizationId });
+    return data;
+  }
+
+  async updateRule(ruleId: string, organizationId: string, input: AutomationRuleInput): Promise<AutomationRule | null> {
+    const updates: Record<string, any> = { updated_at: new Date().toISOString() };
+    for (const key of ['name', 'enabled', 'match', 'conditions', 'template', 'delay_minutes', 'priority', 'cooldown_minutes'] as const) {
+      if (input[key] !== undefined) updates[key] = input[key];
+    }
+
+    const { data, error } = await supabase
+      .from('automation_rules')
+      .update(updates)
+      .eq('id', ruleId)
+      .eq('organization_id', organizationId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'update automation rule');
+    }
+
+    await redisService.invalidateAutomationRules(organizationId);
+    return data;
+  }
+
+  async deleteRule(ruleId: string, organizationId: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from('automation_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('organization_id', organizationId)
+      .select();
+
+    if (error) {
+      handleSupabaseError(error, 'delete automation rule');
+    }
+
+    await redisService.invalidateAutomationRules(organizationId);
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Validation errors for a rule; empty when the rule is usable.
+   * Partial inputs (updates) only check the fields they contain.
+   */
+  validateRule(input: AutomationRuleInput, partial: boolean = false): string[] {
+    const errors: string[] = [];
+
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+    }
+
+    if (!partial || input.template !== undefined) {
+      if (typeof input.template !== 'string' || !input.template.trim()) {
+        errors.push('template is required');
+      } else {
+        for (const variable of this.getTemplateVariables(input.template)) {
+          if (!TEMPLATE_VARIABLES.includes(variable)) errors.push(`unknown template variable {{${variable}}}`);
+        }
+      }
+    }
+
+    if (input.match !== undefined && !['all', 'any'].includes(input.match)) {
+      errors.push('match must be "all" or "any"');
+    }
+
+    for (const key of ['delay_minutes', 'priority', 'cooldown_minutes'] as const) {
+      const value = input[key];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || (key !== 'priority' && value < 0))) {
+        errors.push(`${key} must be ${key === 'priority' ? 'a number' : 'a non-negative number'}`);
+      }
+    }
+
+    if (input.conditions !== undefined) {
+      if (!Array.isArray(input.conditions)) {
+        errors.push('conditions must be an array');
+      } else {
+        input.conditions.forEach((condition, i) => {
+          if (!CONDITION_FIELDS.includes(condition?.field)) errors.push(`conditions[${i}].field is not supported`);
+          if (!CONDITION_OPERATORS.includes(condition?.operator)) errors.push(`conditions[${i}].operator is not supported`);
+          if (condition?.operator !== 'exists' && (condition?.value === undefined || condition?.value === '')) {
+            errors.push(`conditions[${i}].value is required`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate rules against call insights. Every rule is reported; matched
+   * rules carry the message rendered with the store's details.
+   */
+  evaluate(
+    rules: AutomationRule[],
+    insights: ConversationInsights,
+    lead?: Partial<Lead> | null,
+    store: OrganizationSettings = organizationService.getDefaultSettings()
+  ): AutomationRuleResult[] {
+    const variables = this.buildVariables(insights, lead, store);
+
+    return [...rules]
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+      .map(rule => {
+        const result: AutomationRuleResult = {
+          rule_id: rule.id,
+          name: rule.name,
+          priority: rule.priority || 0,
+          matched: this.matchesRule(rule, insights)
+        };
+
+        if (rule.enabled === false) {
+          result.skipped_reason = 'disabled';
+        }
+        if (result.matched) {
+          result.message = this.renderTemplate(rule.template, variables);
+          result.delay_minutes = rule.delay_minutes || 0;
+        }
+        return result;
+      });
+  }
+
+  /**
+   * Evaluate and also mark rules still cooling down for this lead
+   */
+  async evaluateForLead(
+    rules: AutomationRule[],
+    insights: ConversationInsights,
+    lead: Partial<Lead> | null,
+    organizationId: string
+  ): Promise<AutomationRuleResult[]> {
+    const store = await organizationService.getSettings(organizationId);
+    const results = this.evaluate(rules, insights, lead, store);
+    if (!lead?.id) return results;
+
+    for (const result of results) {
+      if (result.matched && !result.skipped_reason && await jobQueue.isKeyHeld(this.getCooldownKey(lead.id, result.rule_id))) {
+        result.skipped_reason = 'cooldown';
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Insights for a stored call. Calls processed before insights were saved
+   * are re-derived from the stored ElevenLabs analysis.
+   */
+  async getStoredInsights(sessionId: string, organizationId: string): Promise<{ session: any; insights: ConversationInsights } | null> {
+    const { data: session, error } = await supabase
+      .from('call_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      handleSupabaseError(error, 'get call session for dry run');
+    }
+    if (!session) return null;
+
+    if (session.metadata?.insights) {
+      return { session, insights: session.metadata.insights };
+    }
+
+    const { processTranscript } = await import('../webhooks/elevenlabs.webhook');
+    const insights = await processTranscript(session.metadata?.transcript || session.transcript || '', session.metadata?.elevenlabs_analysis);
+    return { session, insights };
+  }
+
+  // Held while a rule's message is pending and for its cooldown afterwards
+  getCooldownKey(leadId: string, ruleId: string): string {
+    return `${leadId}:automation:${ruleId}`;
+  }
+
+  matchesRule(rule: AutomationRule, insights: ConversationInsights): boolean {
+    const conditions = rule.conditions || [];
+    if (conditions.length === 0) return false;
+
+    return rule.match === 'any'
+      ? conditions.some(condition => this.matchesCondition(condition, insights))
+      : conditions.every(condition => this.matchesCondition(condition, insights));
+  }
+
+  renderTemplate(template: string, variables: Record<string, string>): string {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? match);
+  }
+
+  private matchesCondition(condition: AutomationCondition, insights: ConversationInsights): boolean {
+    const actual = this.readField(insights, condition.field);
+    const expected = Array.isArray(condition.value) ? condition.value : [condition.value];
+    const text = (value: any) => String(value ?? '').toLowerCase();
+
+    switch (condition.operator) {
+      case 'exists':
+        return Array.isArray(actual) ? actual.length > 0 : actual !== undefined && actual !== null && actual !== '';
+      case 'contains': {
+        const haystack = Array.isArray(actual) ? actual.map(text) : [text(actual)];
+        return expected.some(value => haystack.some(item => item.includes(text(value))));
+      }
+      case 'equals':
+      case 'in': {
+        const values = Array.isArray(actual) ? actual.map(text) : [text(actual)];
+        return expected.some(value => values.includes(text(value)));
+      }
+      case 'not_equals': {
+        const values = Array.isArray(actual) ? actual.map(text) : [text(actual)];
+        return !expected.some(value => values.includes(text(value)));
+      }
+      case 'gte':
+        return actual !== undefined && actual !== null && Number(actual) >= Number(condition.value);
+      case 'lte':
+        return actual !== undefined && actual !== null && Number(actual) <= Number(condition.value);
+      default:
+        return false;
+    }
+  }
+
+  private readField(insights: ConversationInsights, field: AutomationConditionField): any {
+    const value = (insights as any)[field];
+
+    if (field === 'triggers') {
+      return Array.isArray(value) ? value : typeof value === 'string' && value ? [value] : [];
+    }
+    if (field === 'followUpNeeded' && typeof value === 'string' && NO_FOLLOW_UP.includes(value.toLowerCase())) {
+      return undefined;
+    }
+    return value;
+  }
+
+  private getTemplateVariables(template: string): string[] {
+    return Array.from(template.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]);
+  }
+
+  private buildVariables(
+    insights: ConversationInsights,
+    lead: Partial<Lead> | null | undefined,
+    store: OrganizationSettings
+  ): Record<string, string> {
+    const encodedAddress = encodeURIComponent(store.address);
+    const closingTime = getHoursForDay(store, getLocalTime(store).day).close;
+
+    return {
+      customer_name: lead?.customer_name || insights.customerName || 'there',
+      store_name: store.name,
+      store_address: store.address,
+      store_phone: store.phone || '',
+      store_website: store.website,
+      todays_hours: getTodaysHours(store),
+      weekly_hours: getWeeklyHours(store),
+      store_status: isStoreOpen(store)
+        ? `open now until ${closingTime}`
+        : `currently closed. We'll be open ${getNextOpenTime(store)}`,
+      maps_link: `https://maps.google.com/?q=${encodedAddress}`,
+      apple_maps_link: `https://maps.apple.com/?address=${encodedAddress}`,
+      classification: insights.classification || 'general',
+      bike_type: insights.bikePreferences?.type || 'bike',
+      // Products the agent looked up during the call, one "title: url" per line
+      product_links: (lead?.product_matches || [])
+        .filter(match => match.url)
+        .slice(0, 3)
+        .map(match => `${match.title}: ${match.url}`)
+        .join('\n')
+    };
+  }
+}
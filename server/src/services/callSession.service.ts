@@ -1,8 +1,11 @@
 import { supabase, handleSupabaseError } from '../config/supabase.config';
 import { CallSession } from '../types';
 import { logger } from '../utils/logger';
+import { normalizePhoneNumber } from '../utils/phone.helper';
 import { v4 as uuidv4 } from 'uuid';
 import { redisService } from './redis.service';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
 
 export class CallSessionService {
   async createSession(sessionData: Partial<CallSession>): Promise<CallSession> {
@@ -242,15 +245,20 @@ export class CallSessionService {
     }
   }
 
-  async updateRecentSessionByPhone(phoneNumber: string, updates: Partial<CallSession>): Promise<CallSession | null> {
+  async updateRecentSessionByPhone(
+    phoneNumber: string,
+    organizationId: string,
+    updates: Partial<CallSession>
+  ): Promise<CallSession | null> {
     try {
       logger.info('Looking for recent call session by phone:', phoneNumber);
       
-      // Find the most recent session for this phone number that's still active/initiated
+      // Find the organization's most recent session for this phone number that's still active/initiated
       const { data: recentSession, error: findError } = await supabase
         .from('call_sessions')
         .select('*, leads!inner(*)')
-        .eq('leads.phone_number', phoneNumber)
+        .eq('organization_id', organizationId)
+        .eq('leads.phone_number_normalized', normalizePhoneNumber(phoneNumber))
         .in('status', ['initiated', 'active'])
         .order('started_at', { ascending: false })
         .limit(1)
@@ -281,9 +289,13 @@ export class CallSessionService {
         
         // If session is completed, remove from cache after a short delay
         if (updates.status === 'completed') {
-          setTimeout(async () => {
-            await redisService.removeCachedCallSession(data.id, data);
-          }, 30000); // 30 second delay
+          await jobQueue.schedule({
+            type: JOB_TYPES.EVICT_CALL_SESSION,
+            delayMs: 30000, // 30 second delay
+            idempotencyKey: `call_session:${data.id}:evict`,
+            idempotencyTtlSeconds: 300,
+            payload: { sessionId: data.id, session: data }
+          });
         }
         
         logger.info('Updated recent call session:', { 
@@ -0,0 +1,513 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { CallOutcome, CallSession, Campaign, CampaignLead, CampaignProgress, CampaignSegment, Lead, OrganizationSettings } from '../types';
+import { isStoreOpen } from '../utils/business-hours.helper';
+import { logger } from '../utils/logger';
+import { toE164 } from '../utils/phone.helper';
+import { v4 as uuidv4 } from 'uuid';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
+import { LeadService } from './lead.service';
+import { CallSessionService } from './callSession.service';
+import { OrganizationService } from './organization.service';
+import { OutboundCallService } from './outboundCall.service';
+import { broadcastToClients } from './realtime.service';
+
+export type CampaignInput = Partial<Pick<Campaign,
+  'name' | 'purpose' | 'segment' | 'max_concurrent' | 'pacing_seconds' | 'max_attempts' | 'retry_delay_minutes'
+>>;
+
+const LEAD_STATUSES: Lead['status'][] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+const BIKE_TYPES = ['road', 'mountain', 'hybrid', 'e-bike'];
+const CAMPAIGN_LEAD_STATUSES: CampaignLead['status'][] = ['pending', 'calling', 'retry', 'completed', 'failed', 'skipped'];
+const OPEN_STATUSES: CampaignLead['status'][] = ['pending', 'retry', 'calling'];
+
+// Outcomes worth another try while attempts remain
+const RETRYABLE_OUTCOMES: CallOutcome[] = ['no_answer', 'busy'];
+
+const CLOSED_RECHECK_MS = 15 * 60 * 1000;
+// Calls still without an outcome after this long are written off
+const CALL_OUTCOME_TIMEOUT_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const leadService = new LeadService();
+const callSessionService = new CallSessionService();
+const organizationService = new OrganizationService();
+const outboundCallService = new OutboundCallService();
+
+/**
+ * Outbound call campaigns: a lead segment dialed by a runner job that keeps to
+ * the store's hours and a concurrency limit, skips opted-out leads and redials
+ * no-answers later. Each attempt's outcome lands on its call session.
+ */
+export class CampaignService {
+  async listCampaigns(organizationId: string): Promise<Campaign[]> {
+    try {
+      const { data, error } = await supabase
+        .from('campaigns')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        handleSupabaseError(error, 'list campaigns');
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing campaigns:', error);
+      throw error;
+    }
+  }
+
+  async getCampaign(campaignId: string, organizationId: string): Promise<Campaign | null> {
+    const campaign = await this.getCampaignById(campaignId);
+    return campaign && campaign.organization_id === organizationId ? campaign : null;
+  }
+
+  async createCampaign(organizationId: string, input: CampaignInput, userId?: string): Promise<Campaign> {
+    const now = new Date().toISOString();
+    const campaign = {
+      id: uuidv4(),
+      organization_id: organizationId,
+      name: input.name!.trim(),
+      purpose: input.purpose!.trim(),
+      segment: input.segment || {},
+      status: 'draft',
+      max_concurrent: input.max_concurrent ?? 2,
+      pacing_seconds: input.pacing_seconds ?? 60,
+      max_attempts: input.max_attempts ?? 3,
+      retry_delay_minutes: input.retry_delay_minutes ?? 120,
+      created_by: userId || null,
+      created_at: now,
+      updated_at: now
+    };
+
+    const { data, error } = await supabase
+      .from('campaigns')
+      .insert(campaign)
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'create campaign');
+    }
+
+    logger.info('Created campaign:', { id: data.id, name: data.name, organizationId });
+    return data;
+  }
+
+  /**
+   * Validation errors for a new campaign; empty when it can be created
+   */
+  validateCampaign(input: CampaignInput): string[] {
+    const errors: string[] = [];
+
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+    if (typeof input.purpose !== 'string' || !input.purpose.trim()) {
+      errors.push('purpose is required');
+    } else if (input.purpose.length > 200) {
+      errors.push('purpose must be 200 characters or less');
+    }
+
+    const segment = input.segment;
+    if (segment !== undefined) {
+      if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+        errors.push('segment must be an object');
+      } else {
+        if (segment.statuses !== undefined && (!Array.isArray(segment.statuses) || segment.statuses.some(status => !LEAD_STATUSES.includes(status)))) {
+          errors.push(`segment.statuses must be a list of ${LEAD_STATUSES.join(', ')}`);
+        }
+        if (segment.bike_type !== undefined && !BIKE_TYPES.includes(segment.bike_type)) {
+          errors.push(`segment.bike_type must be one of ${BIKE_TYPES.join(', ')}`);
+        }
+        if (segment.no_contact_days !== undefined && !isWholeNumber(segment.no_contact_days, 1)) {
+          errors.push('segment.no_contact_days must be a positive whole number');
+        }
+      }
+    }
+
+    const limits: [keyof CampaignInput, number, number][] = [
+      ['max_concurrent', 1, 10],
+      ['pacing_seconds', 0, 3600],
+      ['max_attempts', 1, 5],
+      ['retry_delay_minutes', 1, 7 * 24 * 60]
+    ];
+    for (const [key, min, max] of limits) {
+      const value = input[key];
+      if (value !== undefined && !(isWholeNumber(value, min) && (value as number) <= max)) {
+        errors.push(`${key} must be a whole number from ${min} to ${max}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Leads a segment would call right now. Opted-out leads and web visitors
+   * without a phone number are never included.
+   */
+  async findSegmentLeads(organizationId: string, segment: CampaignSegment = {}): Promise<Lead[]> {
+    let query = supabase
+      .from('leads')
+      .select('*')
+      .eq('organization_id', organizationId);
+
+    if (segment.statuses?.length) {
+      query = query.in('status', segment.statuses);
+    }
+    if (segment.bike_type) {
+      query = query.eq('bike_interest->>type', segment.bike_type);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) {
+      handleSupabaseError(error, 'find campaign segment leads');
+    }
+
+    const cutoff = segment.no_contact_days ? Date.now() - segment.no_contact_days * DAY_MS : null;
+    return (data || []).filter((lead: Lead) => {
+      if (lead.sms_opted_out) return false;
+      // Web-call and email-only leads have placeholders instead of numbers
+      if (!toE164(lead.phone_number)) return false;
+      if (cutoff !== null) {
+        const lastContact = lead.last_contact_at || lead.created_at;
+        if (lastContact && new Date(lastContact).getTime() > cutoff) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Start or resume a campaign. Drafts enroll their segment first.
+   */
+  async start(campaign: Campaign): Promise<Campaign> {
+    if (campaign.status === 'draft') {
+      const leads = await this.findSegmentLeads(campaign.organization_id, campaign.segment);
+      if (leads.length > 0) {
+        const now = new Date().toISOString();
+        const { error } = await supabase.from('campaign_leads').insert(leads.map(lead => ({
+          id: uuidv4(),
+          campaign_id: campaign.id,
+          organization_id: campaign.organization_id,
+          lead_id: lead.id,
+          status: 'pending',
+          attempts: 0,
+          created_at: now,
+          updated_at: now
+        })));
+        if (error) {
+          handleSupabaseError(error, 'enroll campaign leads');
+        }
+      }
+      logger.info('Enrolled campaign leads:', { campaignId: campaign.id, count: leads.length });
+    }
+
+    const now = new Date().toISOString();
+    const started = await this.updateCampaign(campaign.id, {
+      status: 'running',
+      run_id: uuidv4(),
+      started_at: campaign.started_at || now
+    });
+
+    await this.scheduleTick(started, 0);
+    await this.broadcastProgress(started);
+    return started;
+  }
+
+  async pause(campaign: Campaign): Promise<Campaign> {
+    const paused = await this.updateCampaign(campaign.id, { status: 'paused', run_id: null });
+    await this.broadcastProgress(paused);
+    return paused;
+  }
+
+  /**
+   * One round of the runner: write off stuck calls, dial as many due leads as
+   * the concurrency limit allows, then schedule the next round or finish.
+   */
+  async runTick(campaignId: string, runId: string): Promise<void> {
+    const campaign = await this.getCampaignById(campaignId);
+    if (!campaign || campaign.status !== 'running' || campaign.run_id !== runId) {
+      logger.info('Campaign runner stopped:', { campaignId, status: campaign?.status });
+      return;
+    }
+
+    await this.expireStaleCalls(campaign);
+
+    const settings = await organizationService.getSettings(campaign.organization_id);
+    if (!isStoreOpen(settings)) {
+      logger.info('Store closed, campaign waiting:', { campaignId });
+      await this.scheduleTick(campaign, CLOSED_RECHECK_MS);
+      return;
+    }
+
+    const open = await this.getCampaignLeads(campaign.id, OPEN_STATUSES);
+    const calling = open.filter(row => row.status === 'calling').length;
+    const now = Date.now();
+    const due = open
+      .filter(row => row.status !== 'calling')
+      .filter(row => !row.next_attempt_at || new Date(row.next_attempt_at).getTime() <= now)
+      .slice(0, Math.max(campaign.max_concurrent - calling, 0));
+
+    for (const row of due) {
+      await this.dialLead(campaign, row, settings);
+    }
+
+    const remaining = await this.getCampaignLeads(campaign.id, OPEN_STATUSES);
+    if (remaining.length === 0) {
+      const completed = await this.updateCampaign(campaign.id, {
+        status: 'completed',
+        run_id: null,
+        completed_at: new Date().toISOString()
+      });
+      logger.info('Campaign completed:', { campaignId });
+      await this.broadcastProgress(completed);
+      return;
+    }
+
+    await this.scheduleTick(campaign, campaign.pacing_seconds * 1000);
+    if (due.length > 0) {
+      await this.broadcastProgress(campaign);
+    }
+  }
+
+  /**
+   * Record how a campaign call ended, on the call session and the campaign lead
+   */
+  async recordCallOutcome(session: CallSession, outcome: CallOutcome): Promise<void> {
+    if (!session.campaign_id) return;
+
+    const { error } = await supabase
+      .from('call_sessions')
+      .update({ outcome })
+      .eq('id', session.id);
+    if (error) {
+      handleSupabaseError(error, 'record call outcome');
+    }
+
+    const { data: row, error: rowError } = await supabase
+      .from('campaign_leads')
+      .select('*')
+      .eq('call_session_id', session.id)
+      .maybeSingle();
+    if (rowError) {
+      handleSupabaseError(rowError, 'get campaign lead for call');
+    }
+
+    const campaign = await this.getCampaignById(session.campaign_id);
+    if (!row || row.status !== 'calling' || !campaign) return;
+
+    await this.applyOutcome(campaign, row, outcome);
+    await this.broadcastProgress(campaign);
+  }
+
+  async getProgress(campaignId: string): Promise<CampaignProgress> {
+    const rows = await this.getCampaignLeads(campaignId);
+    const byStatus = Object.fromEntries(CAMPAIGN_LEAD_STATUSES.map(status => [status, 0])) as CampaignProgress['by_status'];
+    const byOutcome: Record<string, number> = {};
+
+    for (const row of rows) {
+      byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+      if (row.outcome) byOutcome[row.outcome] = (byOutcome[row.outcome] || 0) + 1;
+    }
+
+    return { total: rows.length, by_status: byStatus, by_outcome: byOutcome };
+  }
+
+  /**
+   * Per-lead results with the lead's name and number for the dashboard
+   */
+  async listResults(campaignId: string): Promise<Array<CampaignLead & { lead: Partial<Lead> | null }>> {
+    const rows = await this.getCampaignLeads(campaignId);
+    if (rows.length === 0) return [];
+
+    const { data: leads, error } = await supabase
+      .from('leads')
+      .select('id, customer_name, phone_number, status')
+      .in('id', rows.map(row => row.lead_id));
+    if (error) {
+      handleSupabaseError(error, 'get campaign result leads');
+    }
+
+    const byId = new Map((leads || []).map((lead: Partial<Lead>) => [lead.id, lead]));
+    return rows.map(row => ({ ...row, lead: byId.get(row.lead_id) || null }));
+  }
+
+  private async dialLead(campaign: Campaign, row: CampaignLead, settings: OrganizationSettings): Promise<void> {
+    const lead = await leadService.getLead(row.lead_id);
+    if (!lead || lead.sms_opted_out) {
+      await this.updateCampaignLead(row, { status: 'skipped', outcome: 'opted_out' });
+      return;
+    }
+
+    // Someone's already on the phone with them; try again later
+    if (await callSessionService.getActiveSession(lead.id)) {
+      await this.updateCampaignLead(row, {
+        next_attempt_at: new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000).toISOString()
+      });
+      return;
+    }
+
+    // Claiming by status keeps two runners from dialing the same lead
+    const claimed = await this.updateCampaignLead(row, {
+      status: 'calling',
+      attempts: row.attempts + 1,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: null,
+      last_error: null
+    });
+    if (!claimed) return;
+
+    try {
+      const result = await outboundCallService.placeCall({
+        organizationId: campaign.organization_id,
+        phoneNumber: lead.phone_number,
+        lead,
+        purpose: campaign.purpose,
+        campaignId: campaign.id,
+        settings
+      });
+
+      if (!result.success) {
+        // Rate limits and ElevenLabs outages are worth another try
+        const retryable = result.status === 429 || result.status >= 500;
+        await this.applyOutcome(campaign, claimed, 'failed', result.error, retryable);
+        return;
+      }
+
+      await this.updateCampaignLead(claimed, {
+        call_session_id: result.session?.id || null,
+        conversation_id: result.conversation_id || null
+      });
+      logger.info('Campaign call placed:', { campaignId: campaign.id, leadId: lead.id, conversationId: result.conversation_id });
+    } catch (error) {
+      logger.error('Error placing campaign call:', error);
+      await this.applyOutcome(campaign, claimed, 'failed', error instanceof Error ? error.message : String(error), true);
+    }
+  }
+
+  private async applyOutcome(
+    campaign: Campaign,
+    row: CampaignLead,
+    outcome: CallOutcome,
+    error?: string,
+    retryable: boolean = RETRYABLE_OUTCOMES.includes(outcome)
+  ): Promise<void> {
+    const retry = retryable && row.attempts < campaign.max_attempts;
+    let status: CampaignLead['status'] = 'failed';
+    if (retry) {
+      status = 'retry';
+    } else if (outcome === 'answered' || outcome === 'voicemail') {
+      status = 'completed';
+    }
+
+    await this.updateCampaignLead(row, {
+      status,
+      outcome,
+      last_error: error || null,
+      next_attempt_at: retry
+        ? new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000).toISOString()
+        : null
+    });
+    logger.info('Campaign call outcome:', { campaignId: campaign.id, leadId: row.lead_id, outcome, status });
+  }
+
+  private async expireStaleCalls(campaign: Campaign): Promise<void> {
+    const cutoff = Date.now() - CALL_OUTCOME_TIMEOUT_MS;
+    for (const row of await this.getCampaignLeads(campaign.id, ['calling'])) {
+      if (row.last_attempt_at && new Date(row.last_attempt_at).getTime() < cutoff) {
+        await this.applyOutcome(campaign, row, 'failed', 'No call outcome received', false);
+      }
+    }
+  }
+
+  private async scheduleTick(campaign: Campaign, delayMs: number): Promise<void> {
+    await jobQueue.schedule({
+      type: JOB_TYPES.CAMPAIGN_TICK,
+      delayMs,
+      organizationId: campaign.organization_id,
+      payload: { campaignId: campaign.id, runId: campaign.run_id }
+    });
+  }
+
+  private async getCampaignById(campaignId: string): Promise<Campaign | null> {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .select('*')
+      .eq('id', campaignId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      handleSupabaseError(error, 'get campaign');
+    }
+
+    return data;
+  }
+
+  private async updateCampaign(campaignId: string, updates: Partial<Campaign>): Promise<Campaign> {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', campaignId)
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'update campaign');
+    }
+
+    return data;
+  }
+
+  private async getCampaignLeads(campaignId: string, statuses?: CampaignLead['status'][]): Promise<CampaignLead[]> {
+    let query = supabase
+      .from('campaign_leads')
+      .select('*')
+      .eq('campaign_id', campaignId);
+
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) {
+      handleSupabaseError(error, 'get campaign leads');
+    }
+
+    return data || [];
+  }
+
+  // Only applies while the row is still in the status it was read in
+  private async updateCampaignLead(row: CampaignLead, updates: Partial<CampaignLead>): Promise<CampaignLead | null> {
+    const { data, error } = await supabase
+      .from('campaign_leads')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'update campaign lead');
+    }
+
+    return data;
+  }
+
+  private async broadcastProgress(campaign: Campaign): Promise<void> {
+    try {
+      broadcastToClients({
+        type: 'campaign_updated',
+        organization_id: campaign.organization_id,
+        campaign_id: campaign.id,
+        status: campaign.status,
+        progress: await this.getProgress(campaign.id)
+      });
+    } catch (error) {
+      logger.error('Error broadcasting campaign progress:', error);
+    }
+  }
+}
+
+function isWholeNumber(value: any, min: number): boolean {
+  return typeof value === 'number' && Number.isInteger(value) && value >= min;
+}
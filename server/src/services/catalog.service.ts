@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger';
+import { redisService } from './redis.service';
+import { LeadService } from './lead.service';
+import {
+  ShopifyStorefrontMCPService,
+  normalizeCatalogResult,
+  normalizeProductDetails
+} from './shopify.storefront.mcp.service';
+import { Lead, ProductMatch } from '../types';
+
+export interface BikeSearch {
+  type?: string;
+  size?: string;
+  query?: string;
+  budget_min?: number;
+  budget_max?: number;
+  limit?: number;
+}
+
+export interface CatalogProduct {
+  product_id: string;
+  title: string;
+  url?: string;
+  image_url?: string;
+  price_min?: string;
+  price_max?: string;
+  currency?: string;
+  in_stock?: boolean;
+}
+
+// Our own tools plus the Storefront MCP tools the agent may call directly
+const CATALOG_TOOLS = [
+  'search_bikes',
+  'check_stock',
+  'search_shop_catalog',
+  'search_shop_policies_and_faqs',
+  'get_product_details'
+];
+
+const MAX_SPOKEN_RESULTS = 3;
+const MAX_LEAD_MATCHES = 10;
+const UNAVAILABLE_MESSAGE = "I can't check our inventory right now, but the team can confirm stock by text or when you visit.";
+
+const leadService = new LeadService();
+
+/**
+ * Shopify catalog lookups for the voice agent: bike searches filtered by the
+ * lead's budget and stock checks, answered in sentences the agent can read out.
+ */
+export class CatalogService {
+  private mcp = new ShopifyStorefrontMCPService();
+
+  isEnabled(): boolean {
+    return this.mcp.isEnabled();
+  }
+
+  handlesTool(name: string): boolean {
+    return CATALOG_TOOLS.includes(name);
+  }
+
+  /**
+   * Search bikes by type, size and budget. Without an explicit budget the
+   * lead's bike_interest budget applies.
+   */
+  async searchBikes(search: BikeSearch, lead?: Lead | null): Promise<{ products: CatalogProduct[]; message: string }> {
+    if (!this.isEnabled()) {
+      return { products: [], message: UNAVAILABLE_MESSAGE };
+    }
+
+    const budget = {
+      min: toNumber(search.budget_min) ?? lead?.bike_interest?.budget?.min,
+      max: toNumber(search.budget_max) ?? lead?.bike_interest?.budget?.max
+    };
+    const type = search.type || lead?.bike_interest?.type;
+    const size = search.size || lead?.bike_interest?.size;
+    const query = [search.query, type ? `${type} bike` : 'bike'].filter(Boolean).join(' ');
+
+    const args: Record<string, any> = {
+      query,
+      context: `Customer on a phone call looking for a ${type || ''} bike${size ? ` in size ${size}` : ''}`.replace(/\s+/g, ' '),
+      limit: 20
+    };
+    if (budget.max) {
+      args.filters = [{ price: { max: budget.max } }];
+    }
+
+    let catalog;
+    try {
+      catalog = await this.searchCatalog(args);
+    } catch (error) {
+      // The agent is mid-call; answer with something it can say instead of failing the tool
+      logger.error('Error searching Shopify catalog:', error);
+      return { products: [], message: UNAVAILABLE_MESSAGE };
+    }
+    const products = catalog.products
+      .filter((product: CatalogProduct) => withinBudget(product, budget))
+      .slice(0, Math.min(search.limit || 5, 10));
+
+    return { products, message: this.summarizeSearch(products, type, budget.max) };
+  }
+
+  /**
+   * Stock for one product, optionally for a specific size
+   */
+  async checkStock(productId: string, size?: string): Promise<{ product: any | null; message: string }> {
+    if (!this.isEnabled()) {
+      return { product: null, message: UNAVAILABLE_MESSAGE };
+    }
+
+    let product = await redisService.getCachedCatalogProduct(productId);
+    if (!product) {
+      let result;
+      try {
+        result = await this.mcp.callTool('get_product_details', { product_id: productId });
+      } catch (error) {
+        logger.error('Error getting Shopify product details:', error);
+        return { product: null, message: UNAVAILABLE_MESSAGE };
+      }
+      product = normalizeProductDetails(result);
+      if (product) {
+        await redisService.cacheCatalogProduct(productId, product);
+      }
+    }
+
+    if (!product) {
+      return { product: null, message: "I couldn't find that product in our catalog." };
+    }
+    return { product, message: this.summarizeStock(product, size) };
+  }
+
+  /**
+   * Run a tool the agent requested through a client_tool_call event. Our own
+   * tools get voice summaries; other Storefront MCP tools pass straight through.
+   */
+  async runTool(name: string, args: Record<string, any> = {}, lead?: Lead | null): Promise<any> {
+    switch (name) {
+      case 'search_bikes':
+        return this.searchBikes(args, lead);
+      case 'check_stock':
+        return this.checkStock(args.product_id, args.size);
+      case 'search_shop_catalog':
+        return this.searchCatalog(args);
+      default:
+        if (!this.handlesTool(name)) throw new Error(`Unknown catalog tool: ${name}`);
+        return this.mcp.callTool(name, args);
+    }
+  }
+
+  /**
+   * Remember the products the agent talked about so follow-up texts can link them
+   */
+  async attachMatches(lead: Lead, products: CatalogProduct[], source: ProductMatch['source']): Promise<void> {
+    if (products.length === 0) return;
+
+    const matchedAt = new Date().toISOString();
+    const matches: ProductMatch[] = products.map(product => ({
+      product_id: product.product_id,
+      title: product.title,
+      url: product.url,
+      image_url: product.image_url,
+      price_min: product.price_min,
+      price_max: product.price_max,
+      currency: product.currency,
+      in_stock: product.in_stock,
+      source,
+      matched_at: matchedAt
+    }));
+    const ids = new Set(matches.map(match => match.product_id));
+    const previous = (lead.product_matches || []).filter(match => !ids.has(match.product_id));
+
+    await leadService.updateLead(lead.id, {
+      product_matches: [...matches, ...previous].slice(0, MAX_LEAD_MATCHES)
+    });
+  }
+
+  private async searchCatalog(args: Record<string, any>) {
+    const searchKey = crypto.createHash('sha1').update(JSON.stringify(args)).digest('hex');
+    const cached = await redisService.getCachedCatalogSearch(searchKey);
+    if (cached) {
+      logger.debug('Catalog search cache hit', { query: args.query });
+      return cached;
+    }
+
+    const result = normalizeCatalogResult(await this.mcp.callTool('search_shop_catalog', args));
+    await redisService.cacheCatalogSearch(searchKey, result);
+    return result;
+  }
+
+  private summarizeSearch(products: CatalogProduct[], type?: string, budgetMax?: number): string {
+    const what = `${type ? `${type} ` : ''}bikes${budgetMax ? ` under ${formatPrice(budgetMax)}` : ''}`;
+    if (products.length === 0) {
+      return `I couldn't find any ${what} in our online catalog right now. The team can check what's on the floor.`;
+    }
+
+    const spoken = products.slice(0, MAX_SPOKEN_RESULTS).map(product => {
+      const price = toNumber(product.price_min);
+      const stock = product.in_stock === false ? ', currently out of stock' : '';
+      return `${product.title}${price ? ` at ${formatPrice(price)}` : ''}${stock}`;
+    });
+    const more = products.length > spoken.length ? ` and ${products.length - spoken.length} more` : '';
+    return `I found ${products.length} ${what}: ${spoken.join('; ')}${more}. I can text you the links.`;
+  }
+
+  private summarizeStock(product: any, size?: string): string {
+    const available = (product.variants || []).filter((variant: any) => variant.available);
+    const availableTitles = available.map((variant: any) => variant.title).filter((title: string) => title && title !== 'Default Title');
+
+    if (available.length === 0 && product.in_stock !== true) {
+      return `${product.title} is currently out of stock online.`;
+    }
+    if (size) {
+      const wanted = size.toLowerCase();
+      const match = availableTitles.find((title: string) => title.toLowerCase().split(/[\s/]+/).includes(wanted));
+      if (match) {
+        return `${product.title} is in stock in size ${size}.`;
+      }
+      return `${product.title} isn't in stock in size ${size}${availableTitles.length > 0 ? `, but we have ${availableTitles.join(', ')}` : ''}.`;
+    }
+    return availableTitles.length > 0
+      ? `${product.title} is in stock in ${availableTitles.join(', ')}.`
+      : `${product.title} is in stock.`;
+  }
+}
+
+function toNumber(value: any): number | undefined {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+function withinBudget(product: CatalogProduct, budget: { min?: number; max?: number }): boolean {
+  const low = toNumber(product.price_min);
+  const high = toNumber(product.price_max) ?? low;
+  if (budget.max && low !== undefined && low > budget.max) return false;
+  if (budget.min && high !== undefined && high < budget.min) return false;
+  return true;
+}
+
+function formatPrice(amount: number): string {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
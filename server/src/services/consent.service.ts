@@ -0,0 +1,200 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { Lead, OrganizationSettings } from '../types';
+import { DAY_NAMES } from '../utils/business-hours.helper';
+import { logger } from '../utils/logger';
+import { LeadService } from './lead.service';
+import { OrganizationService } from './organization.service';
+import { broadcastToClients } from './realtime.service';
+
+const leadService = new LeadService();
+const organizationService = new OrganizationService();
+
+export type ConsentKeyword = 'stop' | 'start' | 'help';
+export type ConsentSource = 'sms_keyword' | 'dashboard' | 'api';
+
+export interface OutboundCheck {
+  allowed: boolean;
+  reason?: 'opted_out' | 'quiet_hours';
+  lead?: Lead | null;
+}
+
+// CANCEL is deliberately not a STOP keyword here: appointment texts ask
+// customers to "Reply CANCEL" and AppointmentService handles that reply
+const KEYWORDS: Record<ConsentKeyword, string[]> = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT', 'OPTOUT', 'REVOKE'],
+  start: ['START', 'UNSTOP', 'SUBSCRIBE'],
+  help: ['HELP', 'INFO']
+};
+
+export class ConsentService {
+  /**
+   * Match a whole inbound message against the carrier keywords
+   */
+  detectKeyword(body: string): ConsentKeyword | null {
+    const word = (body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+    for (const [keyword, words] of Object.entries(KEYWORDS)) {
+      if (words.includes(word)) return keyword as ConsentKeyword;
+    }
+    return null;
+  }
+
+  /**
+   * Apply a STOP/START/HELP keyword and return the reply to send
+   */
+  async handleKeyword(lead: Lead, keyword: ConsentKeyword, body: string): Promise<string> {
+    const store = await organizationService.getSettings(lead.organization_id);
+
+    switch (keyword) {
+      case 'stop':
+        await this.optOut(lead, 'sms_keyword', body.trim().toUpperCase());
+        return `You've been unsubscribed from ${store.name} texts and will receive no further messages. Reply START to resubscribe.`;
+      case 'start':
+        await this.optIn(lead, 'sms_keyword', body.trim().toUpperCase());
+        return `You're resubscribed to ${store.name} texts. Reply HELP for help or STOP to unsubscribe. Msg & data rates may apply.`;
+      case 'help':
+      default:
+        return `${store.name}: for help call ${store.phone} or email ${store.email}. Reply STOP to unsubscribe. Msg & data rates may apply.`;
+    }
+  }
+
+  async optOut(lead: Lead, source: ConsentSource, keyword?: string): Promise<Lead> {
+    const updated = await leadService.updateLead(lead.id, {
+      sms_opted_out: true,
+      sms_opted_out_at: new Date().toISOString(),
+      sms_opt_out_source: source
+    });
+
+    await this.recordConsentEvent(lead, 'opt_out', source, keyword);
+    logger.info('Lead opted out of SMS:', { lead_id: lead.id, source, keyword });
+
+    broadcastToClients({
+      type: 'sms_consent_changed',
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      opted_out: true,
+      source
+    });
+
+    return updated;
+  }
+
+  async optIn(lead: Lead, source: ConsentSource, keyword?: string): Promise<Lead> {
+    const updated = await leadService.updateLead(lead.id, {
+      sms_opted_out: false,
+      sms_opted_out_at: null,
+      sms_opt_out_source: null
+    });
+
+    await this.recordConsentEvent(lead, 'opt_in', source, keyword);
+    logger.info('Lead opted in to SMS:', { lead_id: lead.id, source, keyword });
+
+    broadcastToClients({
+      type: 'sms_consent_changed',
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      opted_out: false,
+      source
+    });
+
+    return updated;
+  }
+
+  /**
+   * Consent ledger for a lead, newest first
+   */
+  async getConsentHistory(leadId: string): Promise<any[]> {
+    const { data, error } = await supabase
+      .from('sms_consent_log')
+      .select('*')
+      .eq('lead_id', leadId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      handleSupabaseError(error, 'get consent history');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Gate for every outbound text. Opt-outs block everything; quiet hours
+   * only block automated messages.
+   */
+  async checkOutbound(to: string, organizationId: string, options: { automated?: boolean } = {}): Promise<OutboundCheck> {
+    const lead = await leadService.findLeadByPhone(to, organizationId);
+
+    if (lead?.sms_opted_out) {
+      return { allowed: false, reason: 'opted_out', lead };
+    }
+
+    if (options.automated) {
+      const store = await organizationService.getSettings(organizationId);
+      if (this.isQuietHours(lead?.timezone, new Date(), store)) {
+        return { allowed: false, reason: 'quiet_hours', lead };
+      }
+    }
+
+    return { allowed: true, lead };
+  }
+
+  /**
+   * True outside the store's hours in the given timezone (store timezone by default)
+   */
+  isQuietHours(
+    timezone?: string,
+    at: Date = new Date(),
+    store: Pick<OrganizationSettings, 'timezone' | 'business_hours'> = organizationService.getDefaultSettings()
+  ): boolean {
+    const tz = timezone || store.timezone;
+    const dayName = DAY_NAMES[parseInt(formatInTimeZone(at, tz, 'i'), 10) % 7];
+    const hours = store.business_hours[dayName];
+
+    if (!hours || hours.open === 'closed') return true;
+
+    const current = formatInTimeZone(at, tz, 'HH:mm');
+    return current < hours.open || current >= hours.close;
+  }
+
+  /**
+   * Record a blocked send in sms_automation_log
+   */
+  async logSuppression(to: string, organizationId: string, message: string, reason: string, leadId?: string): Promise<void> {
+    logger.warn('Outbound SMS suppressed:', { to, organizationId, reason, lead_id: leadId });
+
+    try {
+      await supabase
+        .from('sms_automation_log')
+        .insert({
+          organization_id: organizationId,
+          lead_id: leadId,
+          phone_number: to,
+          message_content: message,
+          template_type: 'suppressed',
+          trigger_reason: reason,
+          sent_at: new Date(),
+          status: 'suppressed'
+        });
+    } catch (error) {
+      logger.error('Error logging SMS suppression:', error);
+    }
+  }
+
+  private async recordConsentEvent(lead: Lead, action: 'opt_out' | 'opt_in', source: ConsentSource, keyword?: string): Promise<void> {
+    const { error } = await supabase
+      .from('sms_consent_log')
+      .insert({
+        organization_id: lead.organization_id,
+        lead_id: lead.id,
+        phone_number: lead.phone_number,
+        action,
+        source,
+        keyword,
+        created_at: new Date()
+      });
+
+    if (error) {
+      handleSupabaseError(error, 'record consent event');
+    }
+  }
+}
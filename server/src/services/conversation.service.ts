@@ -1,9 +1,23 @@
 import { supabase, handleSupabaseError } from '../config/supabase.config';
 import { Conversation } from '../types';
 import { logger } from '../utils/logger';
+import { normalizePhoneNumber } from '../utils/phone.helper';
 import { v4 as uuidv4 } from 'uuid';
 import { broadcastToClients } from './realtime.service';
 import { redisService } from './redis.service';
+import { retentionConfig } from '../config/retention.config';
+import { redactValue } from '../utils/redaction.helper';
+
+// Card numbers, emails and addresses are masked in what's kept of a conversation
+export function redactForStorage<T>(value: T): T {
+  return retentionConfig.redact_transcripts ? redactValue(value) : value;
+}
+
+// Call transcripts and what customers write are redacted before they're stored;
+// texts and emails the store sends are left as written
+function storedContent(data: Partial<Conversation>): string | undefined {
+  return data.type === 'voice' || data.sent_by === 'user' ? redactForStorage(data.content) : data.content;
+}
 
 export class ConversationService {
   private conversationCache = new Map<string, Conversation[]>();
@@ -13,6 +27,7 @@ export class ConversationService {
       const conversation = {
         id: uuidv4(),
         ...data,
+        content: storedContent(data),
         timestamp: new Date()
       };
       
@@ -43,6 +58,13 @@ export class ConversationService {
           logger.warn('Failed to invalidate cache after storing conversation:', redisError);
         }
       }
+      if (data.organization_id) {
+        try {
+          await redisService.invalidateDashboardCache(data.organization_id);
+        } catch (redisError) {
+          logger.warn('Failed to invalidate cache after storing conversation:', redisError);
+        }
+      }
       
       logger.info('Stored conversation:', { 
         id: stored.id, 
@@ -53,6 +75,7 @@ export class ConversationService {
       // Broadcast real-time update (preserve existing SSE behavior)
       broadcastToClients({
         type: 'conversation_added',
+        organization_id: data.organization_id,
         lead_id: data.lead_id,
         conversation: stored,
         sent_by: data.sent_by,
@@ -66,6 +89,25 @@ export class ConversationService {
     }
   }
   
+  /**
+   * Merge fields into a stored conversation's metadata
+   */
+  async updateMetadata(conversation: Conversation, metadata: Record<string, any>): Promise<void> {
+    try {
+      const { error } = await supabase
+        .from('conversations')
+        .update({ metadata: { ...(conversation.metadata || {}), ...metadata } })
+        .eq('id', conversation.id);
+      
+      if (error) {
+        handleSupabaseError(error, 'update conversation metadata');
+      }
+    } catch (error) {
+      logger.error('Error updating conversation metadata:', error);
+      throw error;
+    }
+  }
+  
   async getRecentConversations(leadId: string, limit: number = 6): Promise<Conversation[]> {
     try {
       // Try to get cached conversations first (2 minute TTL for recent messages)
@@ -113,7 +155,54 @@ export class ConversationService {
       return [];
     }
   }
-  
+
+  /**
+   * Up to `limit` messages in chronological order with `conversationId` in the
+   * middle, or null when the lead has no such message
+   */
+  async getConversationsAround(leadId: string, conversationId: string, limit: number = 50): Promise<Conversation[] | null> {
+    try {
+      const { data: target, error } = await supabase
+        .from('conversations')
+        .select('*')
+        .eq('id', conversationId)
+        .eq('lead_id', leadId)
+        .maybeSingle();
+
+      if (error) {
+        handleSupabaseError(error, 'get conversation');
+      }
+      if (!target) return null;
+
+      const half = Math.floor(limit / 2);
+      const [{ data: before, error: beforeError }, { data: after, error: afterError }] = await Promise.all([
+        supabase
+          .from('conversations')
+          .select('*')
+          .eq('lead_id', leadId)
+          .lt('timestamp', target.timestamp)
+          .order('timestamp', { ascending: false })
+          .limit(half),
+        supabase
+          .from('conversations')
+          .select('*')
+          .eq('lead_id', leadId)
+          .gte('timestamp', target.timestamp)
+          .order('timestamp', { ascending: true })
+          .limit(limit - half)
+      ]);
+
+      if (beforeError || afterError) {
+        handleSupabaseError(beforeError || afterError, 'get conversations around message');
+      }
+
+      return [...(before || []).reverse(), ...(after || [])];
+    } catch (error) {
+      logger.error('Error getting conversations around message:', error);
+      throw error;
+    }
+  }
+
   async getConversationCount(leadId: string): Promise<number> {
     try {
       const { count, error } = await supabase
@@ -139,7 +228,7 @@ export class ConversationService {
         .from('conversations')
         .select('*')
         .eq('organization_id', organizationId)
-        .eq('phone_number_normalized', phoneNumber.replace(/\D/g, ''))
+        .eq('phone_number_normalized', normalizePhoneNumber(phoneNumber))
         .order('timestamp', { ascending: true });
       
       if (error) {
@@ -161,9 +250,9 @@ export class ConversationService {
         organization_id: summaryData.organization_id,
         lead_id: summaryData.lead_id,
         phone_number: summaryData.phone_number,
-        summary: summaryData.summary,
-        key_points: summaryData.key_points,
-        next_steps: summaryData.next_steps,
+        summary: redactForStorage(summaryData.summary),
+        key_points: redactForStorage(summaryData.key_points),
+        next_steps: redactForStorage(summaryData.next_steps),
         sentiment_score: summaryData.sentiment_score,
         call_classification: summaryData.call_classification,
         conversation_type: summaryData.conversation_type, // Track if it's voice or sms
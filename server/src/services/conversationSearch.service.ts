@@ -0,0 +1,255 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { logger } from '../utils/logger';
+import { ConversationSearchResponse, ConversationSearchResult, Lead } from '../types';
+import { LEAD_STATUS_ORDER } from './leadScoring.service';
+
+export interface ConversationSearchQuery {
+  q?: any;
+  channel?: any;
+  classification?: any;
+  sender?: any;
+  status?: any;     // One lead status or several, comma separated
+  from?: any;
+  to?: any;
+  limit?: any;
+  offset?: any;
+}
+
+const CHANNELS = ['voice', 'sms', 'email'];
+const CALL_CLASSIFICATIONS = ['sales', 'support', 'service', 'general'];
+const SENDERS = ['user', 'agent', 'human_agent', 'system'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_OFFSET = 500;
+const MIN_QUERY_LENGTH = 2;
+// Characters of context kept either side of the first match
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 160;
+
+type SearchRow = Omit<ConversationSearchResult, 'lead' | 'snippet' | 'highlights'> & { text: string };
+
+/**
+ * Full-text search over conversation messages and call/SMS summaries, using
+ * Postgres websearch syntax ("rad power" -trade). Newest matches first.
+ */
+export class ConversationSearchService {
+  /**
+   * Problems with the search parameters
+   */
+  validate(query: ConversationSearchQuery): string[] {
+    const errors: string[] = [];
+    const text = typeof query.q === 'string' ? query.q.trim() : '';
+
+    if (text.length < MIN_QUERY_LENGTH) errors.push(`q must be at least ${MIN_QUERY_LENGTH} characters`);
+    if (query.channel !== undefined && !CHANNELS.includes(query.channel)) {
+      errors.push(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    if (query.classification !== undefined && !CALL_CLASSIFICATIONS.includes(query.classification)) {
+      errors.push(`classification must be one of: ${CALL_CLASSIFICATIONS.join(', ')}`);
+    }
+    if (query.sender !== undefined && !SENDERS.includes(query.sender)) {
+      errors.push(`sender must be one of: ${SENDERS.join(', ')}`);
+    }
+    if (query.status !== undefined && !statusList(query.status).every(status => LEAD_STATUS_ORDER.includes(status as Lead['status']))) {
+      errors.push(`status must be one or more of: ${LEAD_STATUS_ORDER.join(', ')}`);
+    }
+    if (query.from !== undefined && isNaN(new Date(query.from).getTime())) errors.push('from must be an ISO date');
+    if (query.to !== undefined && isNaN(new Date(query.to).getTime())) errors.push('to must be an ISO date');
+    if (query.limit !== undefined && !(parseInt(query.limit, 10) > 0)) errors.push('limit must be a positive number');
+    if (query.offset !== undefined && !(parseInt(query.offset, 10) >= 0 && parseInt(query.offset, 10) <= MAX_OFFSET)) {
+      errors.push(`offset must be between 0 and ${MAX_OFFSET}`);
+    }
+    return errors;
+  }
+
+  async search(organizationId: string, query: ConversationSearchQuery): Promise<ConversationSearchResponse> {
+    try {
+      const text = String(query.q).trim();
+      const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+      const offset = parseInt(query.offset, 10) || 0;
+
+      // Lead status is filtered through an inner join on the lead in each query
+      const statuses = query.status !== undefined ? statusList(query.status) : null;
+
+      // Each source can contribute the whole page, so both fetch past the offset and are merged
+      const window = offset + limit + 1;
+      const [messages, summaries] = await Promise.all([
+        this.searchMessages(organizationId, text, query, statuses, window),
+        // Summaries aren't sent by anyone
+        query.sender !== undefined ? Promise.resolve([]) : this.searchSummaries(organizationId, text, query, statuses, window)
+      ]);
+
+      const rows = [...messages, ...summaries]
+        .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+      const page = rows.slice(offset, offset + limit);
+      const leads = await this.getLeads(page.map(row => row.lead_id).filter((id): id is string => !!id));
+      const terms = searchTerms(text);
+
+      return {
+        results: page.map(({ text: content, ...row }) => ({
+          ...row,
+          lead: (row.lead_id && leads.get(row.lead_id)) || null,
+          ...buildSnippet(content, terms)
+        })),
+        has_more: rows.length > offset + limit
+      };
+    } catch (error) {
+      logger.error('Error searching conversations:', error);
+      throw error;
+    }
+  }
+
+  private async searchMessages(
+    organizationId: string,
+    text: string,
+    query: ConversationSearchQuery,
+    statuses: string[] | null,
+    window: number
+  ): Promise<SearchRow[]> {
+    let request = supabase
+      .from('conversations')
+      .select(`id, lead_id, content, sent_by, type, call_classification, timestamp${statuses ? ', leads!inner(status)' : ''}`)
+      .eq('organization_id', organizationId)
+      .textSearch('content', text, { type: 'websearch', config: 'english' });
+
+    if (query.channel !== undefined) request = request.eq('type', query.channel);
+    if (query.classification !== undefined) request = request.eq('call_classification', query.classification);
+    if (query.sender !== undefined) request = request.eq('sent_by', query.sender);
+    if (query.from !== undefined) request = request.gte('timestamp', new Date(query.from).toISOString());
+    if (query.to !== undefined) request = request.lte('timestamp', endOf(query.to));
+    if (statuses) request = request.in('leads.status', statuses);
+
+    const { data, error } = await request
+      .order('timestamp', { ascending: false })
+      .limit(window);
+
+    if (error) {
+      handleSupabaseError(error, 'search conversations');
+    }
+
+    return (data || []).map((row: any) => ({
+      kind: 'message' as const,
+      id: row.id,
+      lead_id: row.lead_id || null,
+      channel: row.type,
+      sent_by: row.sent_by,
+      call_classification: row.call_classification || null,
+      timestamp: row.timestamp,
+      text: row.content
+    }));
+  }
+
+  private async searchSummaries(
+    organizationId: string,
+    text: string,
+    query: ConversationSearchQuery,
+    statuses: string[] | null,
+    window: number
+  ): Promise<SearchRow[]> {
+    let request = supabase
+      .from('conversation_summaries')
+      .select(`id, lead_id, summary, conversation_type, call_classification, created_at${statuses ? ', leads!inner(status)' : ''}`)
+      .eq('organization_id', organizationId)
+      .textSearch('summary', text, { type: 'websearch', config: 'english' });
+
+    if (query.channel !== undefined) request = request.eq('conversation_type', query.channel);
+    if (query.classification !== undefined) request = request.eq('call_classification', query.classification);
+    if (query.from !== undefined) request = request.gte('created_at', new Date(query.from).toISOString());
+    if (query.to !== undefined) request = request.lte('created_at', endOf(query.to));
+    if (statuses) request = request.in('leads.status', statuses);
+
+    const { data, error } = await request
+      .order('created_at', { ascending: false })
+      .limit(window);
+
+    if (error) {
+      handleSupabaseError(error, 'search conversation summaries');
+    }
+
+    return (data || []).map((row: any) => ({
+      kind: 'summary' as const,
+      id: row.id,
+      lead_id: row.lead_id || null,
+      channel: row.conversation_type || 'voice',
+      sent_by: null,
+      call_classification: row.call_classification || null,
+      timestamp: row.created_at,
+      text: row.summary
+    }));
+  }
+
+  private async getLeads(ids: string[]): Promise<Map<string, NonNullable<ConversationSearchResult['lead']>>> {
+    const leads = new Map<string, NonNullable<ConversationSearchResult['lead']>>();
+    if (ids.length === 0) return leads;
+
+    const { data, error } = await supabase
+      .from('leads')
+      .select('id, customer_name, phone_number, status')
+      .in('id', Array.from(new Set(ids)));
+
+    if (error) {
+      handleSupabaseError(error, 'get search result leads');
+    }
+
+    for (const lead of data || []) {
+      leads.set(lead.id, { id: lead.id, customer_name: lead.customer_name, phone_number: lead.phone_number, status: lead.status });
+    }
+    return leads;
+  }
+}
+
+function statusList(status: any): string[] {
+  return String(status).split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// A bare date for `to` means the whole day
+function endOf(to: string): string {
+  const date = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) date.setUTCHours(23, 59, 59, 999);
+  return date.toISOString();
+}
+
+// Words the query requires: quotes dropped, "or" and -excluded words skipped
+function searchTerms(text: string): string[] {
+  return text
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-') && word.toLowerCase() !== 'or')
+    .flatMap(word => word.toLowerCase().split(/[^a-z0-9]+/))
+    .filter(word => word.length >= 2)
+    .map(stem);
+}
+
+// Close enough to the english stemmer for highlighting: "bikes" and "biking" both mark "bike..."
+function stem(word: string): string {
+  const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+}
+
+/**
+ * Up to SNIPPET_LENGTH characters around the first match, with the position
+ * of every matched word in it
+ */
+export function buildSnippet(content: string, terms: string[]): Pick<ConversationSearchResult, 'snippet' | 'highlights'> {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})[a-z0-9]*`, 'gi') : null;
+
+  const first = pattern ? text.search(pattern) : -1;
+  let start = Math.max(0, first - SNIPPET_CONTEXT);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights: [number, number][] = [];
+  if (pattern) {
+    const body = text.slice(start, end);
+    for (const match of body.matchAll(pattern)) {
+      highlights.push([match.index! + prefix.length, match.index! + prefix.length + match[0].length]);
+    }
+  }
+  return { snippet, highlights };
+}
@@ -0,0 +1,637 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { customerMemoryConfig, CustomerMemoryConfig } from '../config/memory.config';
+import {
+  ConversationContext,
+  ConversationInsights,
+  CustomerFact,
+  CustomerFactCategory,
+  CustomerMemoryRollup,
+  Lead,
+  MemoryChannel,
+  User
+} from '../types';
+import { logger } from '../utils/logger';
+import { redisService } from './redis.service';
+
+export const MEMORY_CHANNELS: MemoryChannel[] = ['voice', 'sms', 'email'];
+
+// Facts are listed in this order, so the most useful survive a tight budget
+export const CUSTOMER_FACT_CATEGORIES: CustomerFactCategory[] = ['bike', 'fit', 'purchase', 'preference', 'service'];
+
+export const FACT_LABELS: Record<string, string> = {
+  bike_owned: 'Rides',
+  bike_interest: 'Interested in',
+  riding_use: 'Rides for',
+  frame_size: 'Frame size',
+  rider_height: 'Height',
+  budget: 'Budget',
+  purchase_timeline: 'Buying',
+  riding_experience: 'Experience',
+  contact_preference: 'Contact',
+  contact_time: 'Best time'
+};
+
+export const FACT_CATEGORIES: Record<string, CustomerFactCategory> = {
+  bike_owned: 'bike',
+  bike_interest: 'bike',
+  riding_use: 'bike',
+  frame_size: 'fit',
+  rider_height: 'fit',
+  budget: 'purchase',
+  purchase_timeline: 'purchase',
+  riding_experience: 'preference',
+  contact_preference: 'preference',
+  contact_time: 'preference'
+};
+
+const BUDGET_RANGES: Record<string, string> = {
+  under_500: 'Under $500',
+  '500_1000': '$500-1,000',
+  '1000_2000': '$1,000-2,000',
+  over_2000: 'Over $2,000'
+};
+
+const TIMELINES: Record<string, string> = {
+  immediate: 'Right away',
+  this_week: 'This week',
+  this_month: 'This month',
+  just_browsing: 'Just browsing'
+};
+
+const BRANDS = [
+  'trek', 'specialized', 'giant', 'liv', 'cannondale', 'santa cruz', 'rad power', 'norco', 'rocky mountain', 'brompton',
+  'cervelo', 'bianchi', 'scott', 'kona', 'marin', 'surly', 'pivot', 'yeti', 'devinci', 'gazelle', 'riese', 'tern', 'aventon'
+];
+
+const RIDING_USES: [RegExp, string][] = [
+  [/\bcommut/i, 'commuting'],
+  [/\b(?:trail riding|mountain biking|single ?track)\b/i, 'trail riding'],
+  [/\bgravel\b/i, 'gravel'],
+  [/\b(?:racing|races|crit)\b/i, 'racing'],
+  [/\b(?:touring|bikepacking)\b/i, 'touring'],
+  [/\b(?:errands|groceries|kids to school)\b/i, 'errands and carrying kids or cargo'],
+  [/\b(?:fitness|exercise|get in shape)\b/i, 'fitness']
+];
+
+export interface FactCandidate {
+  key: string;
+  category: CustomerFactCategory;
+  value: string;
+}
+
+export interface RememberInput {
+  source: 'call' | 'sms' | 'email';
+  sourceId?: string;
+  insights?: ConversationInsights;
+  messages?: string[];          // The customer's own words from this conversation
+  summary?: { id: string; summary: string; call_classification?: string; created_at: string | Date };
+}
+
+export interface ContextSection {
+  name: string;
+  heading: string;
+  entries: string[];            // In priority order, most important first
+  position: number;             // Where the section appears in the text
+  chronological?: boolean;      // Print the kept entries oldest first
+}
+
+const FIRST_INTERACTION = 'This is the first interaction with this customer.';
+const CONTEXT_FOOTER = "Continue naturally from the most recent messages and don't ask for anything already known above.";
+
+/**
+ * Rough token count for a prompt: about four characters per token for English
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function shorten(text: string, max: number): string {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatMoney(raw: string): string {
+  const amount = /k$/i.test(raw) ? parseFloat(raw) * 1000 : parseFloat(raw.replace(/,/g, ''));
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+export function timeAgo(timestamp: string | Date, now = Date.now()): string {
+  const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ago`;
+  if (hours > 0) return `${hours}h ago`;
+  if (minutes > 0) return `${minutes}m ago`;
+  return 'just now';
+}
+
+/**
+ * Facts found in a conversation: ElevenLabs data collection answers first,
+ * then the customer's own words, so a later candidate for the same key wins.
+ */
+export function extractFacts(input: Pick<RememberInput, 'insights' | 'messages' | 'summary'>): FactCandidate[] {
+  const facts: FactCandidate[] = [];
+  const add = (key: string, value: string) => facts.push({ key, category: FACT_CATEGORIES[key], value });
+  const { insights } = input;
+
+  if (insights?.bikePreferences?.type) add('bike_interest', `${insights.bikePreferences.type} bike`);
+  if (insights?.budgetRange && BUDGET_RANGES[insights.budgetRange]) add('budget', BUDGET_RANGES[insights.budgetRange]);
+  if (insights?.purchaseTimeline && TIMELINES[insights.purchaseTimeline]) add('purchase_timeline', TIMELINES[insights.purchaseTimeline]);
+  if (insights?.ridingExperience && insights.ridingExperience !== 'unsure') {
+    add('riding_experience', capitalize(insights.ridingExperience.replace(/_/g, ' ')));
+  }
+
+  for (const message of input.messages || []) {
+    const text = message.replace(/\s+/g, ' ');
+
+    const owned = text.match(/\b(?:i (?:have|own|ride|bought)|my (?:current )?bike is)\s+(?:a |an |the )?([a-z0-9][\w '-]{1,40}?)(?=[.,!?;]|$| and | but | from | that | which )/i);
+    if (owned) {
+      const bike = owned[1].trim();
+      const lower = bike.toLowerCase();
+      if (BRANDS.some(brand => lower.includes(brand)) || /\b(?:e-?bike|bike)$/.test(lower)) add('bike_owned', bike);
+    }
+
+    const interest = text.match(/\blooking for (?:a |an )?((?:[\w-]+ ){0,2}(?:e-?bike|bike))\b/i);
+    if (interest) add('bike_interest', interest[1].toLowerCase());
+
+    const use = RIDING_USES.find(([pattern]) => pattern.test(text));
+    if (use) add('riding_use', use[1]);
+
+    const size = text.match(/\b(?:frame size|size)(?: is)? (xx?s|xx?l|s|m|l|small|medium|large|\d{2} ?cm|\d{2}(?:\.\d)?(?: ?in(?:ch(?:es)?)?|"))(?![\w-])/i)
+      || text.match(/\b(\d{2} ?cm) frame\b/i);
+    if (size) add('frame_size', size[1].length <= 3 && !/\d/.test(size[1]) ? size[1].toUpperCase() : size[1]);
+
+    const feet = text.match(/\b(?:i'?m|i am)\s+(\d)\s?(?:'|ft|foot|feet)\s?(\d{1,2})?/i);
+    const metric = text.match(/\b(?:i'?m|i am)\s+(1[4-9]\d|20\d)\s?cm\b/i);
+    if (feet) add('rider_height', `${feet[1]}'${feet[2] ? `${feet[2]}"` : ''}`);
+    else if (metric) add('rider_height', `${metric[1]} cm`);
+
+    const budget = text.match(/\b(budget(?: is| of)?|spend(?:ing)?|under|around|about|up to|max(?:imum)?(?: of)?)\s+(?:is |of |about |around )?\$ ?(\d[\d,]*(?:\.\d+)?k?)/i);
+    if (budget) {
+      const prefix = /under|up to|max/i.test(budget[1]) ? 'Up to' : 'About';
+      add('budget', `${prefix} ${formatMoney(budget[2])}`);
+    }
+
+    if (/\b(?:text|txt) me\b|\bprefer (?:to )?text|\btexting is (?:better|easier)\b/i.test(text)) add('contact_preference', 'Prefers text');
+    else if (/\bemail me\b|\bprefer (?:an )?email/i.test(text)) add('contact_preference', 'Prefers email');
+    else if (/\bprefer (?:a )?(?:phone )?call|\bcalling is better\b/i.test(text)) add('contact_preference', 'Prefers phone calls');
+
+    const when = text.match(/\b(?:call|text|reach|contact) me (after|before|in the|on) ([^.,!?;]{2,24})/i);
+    if (when) add('contact_time', `${capitalize(when[1].toLowerCase())} ${when[2].trim()}`);
+  }
+
+  // Each service conversation is one visit in the service history
+  const { summary } = input;
+  if (summary && summary.call_classification === 'service' && summary.summary) {
+    const date = new Date(summary.created_at).toISOString().slice(0, 10);
+    facts.push({ key: `service:${summary.id}`, category: 'service', value: `${date}: ${shorten(summary.summary, 160)}` });
+  }
+
+  return facts;
+}
+
+/**
+ * Fold summaries (oldest first) into a lead's roll-up
+ */
+export function mergeRollup(
+  rollup: CustomerMemoryRollup | null,
+  summaries: any[],
+  lead: Pick<Lead, 'id' | 'organization_id'>,
+  config: CustomerMemoryConfig = customerMemoryConfig
+): CustomerMemoryRollup {
+  const newest = [...summaries].reverse();
+  const lines = [
+    ...newest.map(summary => {
+      const date = new Date(summary.created_at).toISOString().slice(0, 10);
+      const kind = (summary.call_classification || 'general').toUpperCase();
+      return `${date} ${kind} (${summary.conversation_type || 'voice'}): ${shorten(summary.summary || '', 160)}`;
+    }),
+    ...(rollup?.summary ? rollup.summary.split('\n') : [])
+  ].slice(0, config.max_rollup_lines);
+
+  const keyPoints: string[] = [];
+  for (const point of [...newest.flatMap(summary => summary.key_points || []), ...(rollup?.key_points || [])]) {
+    if (point && !keyPoints.some(existing => existing.toLowerCase() === String(point).toLowerCase())) keyPoints.push(String(point));
+  }
+
+  return {
+    lead_id: lead.id,
+    organization_id: lead.organization_id,
+    summary: lines.join('\n'),
+    key_points: keyPoints.slice(0, 12),
+    summary_count: (rollup?.summary_count || 0) + summaries.length,
+    covers_from: rollup?.covers_from || new Date(summaries[0].created_at).toISOString(),
+    covers_to: new Date(summaries[summaries.length - 1].created_at).toISOString(),
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Fit sections into a token budget. Sections are filled in the order given
+ * and each entry goes in whole or not at all; once an entry doesn't fit, the
+ * rest of its section is dropped so what's kept stays contiguous.
+ */
+export function assembleContext(sections: ContextSection[], budget: number, footer = CONTEXT_FOOTER) {
+  const included: Record<string, number> = {};
+  const dropped: Record<string, number> = {};
+  const kept = new Map<string, string[]>();
+  let used = estimateTokens(footer);
+
+  for (const section of sections) {
+    const entries: string[] = [];
+    for (const [index, entry] of section.entries.entries()) {
+      const cost = estimateTokens(`${entry}\n`) + (entries.length === 0 ? estimateTokens(`${section.heading}\n\n`) : 0);
+      if (used + cost > budget) {
+        dropped[section.name] = section.entries.length - index;
+        break;
+      }
+      used += cost;
+      entries.push(entry);
+    }
+    included[section.name] = entries.length;
+    if (entries.length > 0) kept.set(section.name, section.chronological ? entries.reverse() : entries);
+  }
+
+  const text = [...sections]
+    .sort((a, b) => a.position - b.position)
+    .filter(section => kept.has(section.name))
+    .map(section => `${section.heading}\n${kept.get(section.name)!.join('\n')}`)
+    .concat(footer)
+    .join('\n\n');
+
+  return { text, tokens: estimateTokens(text), included, dropped };
+}
+
+/**
+ * Long-term memory per customer: facts pulled from each conversation, older
+ * summaries rolled up, and a conversation context built from both under a
+ * per-channel budget.
+ */
+export class CustomerMemoryService {
+  constructor(private config: CustomerMemoryConfig = customerMemoryConfig) {}
+
+  async getFacts(leadId: string): Promise<CustomerFact[]> {
+    const { data, error } = await supabase
+      .from('customer_facts')
+      .select('*')
+      .eq('lead_id', leadId);
+
+    if (error) {
+      handleSupabaseError(error, 'get customer facts');
+    }
+    return this.sortFacts(data || []);
+  }
+
+  async getRollup(leadId: string): Promise<CustomerMemoryRollup | null> {
+    const { data, error } = await supabase
+      .from('customer_memory_rollups')
+      .select('*')
+      .eq('lead_id', leadId)
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'get customer memory rollup');
+    }
+    return data || null;
+  }
+
+  /**
+   * Store facts from a conversation. Staff-entered facts are never
+   * overwritten automatically. Returns the keys that changed.
+   */
+  async recordFacts(lead: Lead, candidates: FactCandidate[], source: CustomerFact['source'], sourceId?: string): Promise<string[]> {
+    if (candidates.length === 0) return [];
+
+    const latest = new Map<string, FactCandidate>();
+    candidates.forEach(candidate => latest.set(candidate.key, candidate));
+
+    const existing = new Map((await this.getFacts(lead.id)).map(fact => [fact.key, fact]));
+    const now = new Date().toISOString();
+    const changed: string[] = [];
+
+    for (const candidate of latest.values()) {
+      const current = existing.get(candidate.key);
+      if (current && (current.source === 'manual' || current.value === candidate.value)) continue;
+
+      const { error } = current
+        ? await supabase
+          .from('customer_facts')
+          .update({ value: candidate.value, category: candidate.category, source, source_id: sourceId || null, updated_at: now })
+          .eq('id', current.id)
+        : await supabase
+          .from('customer_facts')
+          .insert({
+            organization_id: lead.organization_id,
+            lead_id: lead.id,
+            key: candidate.key,
+            category: candidate.category,
+            value: candidate.value,
+            source,
+            source_id: sourceId || null,
+            created_at: now,
+            updated_at: now
+          });
+
+      if (error) {
+        handleSupabaseError(error, 'save customer fact');
+      }
+      changed.push(candidate.key);
+    }
+
+    if (changed.some(key => key.startsWith('service:'))) {
+      await this.pruneServiceHistory(lead.id);
+    }
+    return changed;
+  }
+
+  /**
+   * Staff add or correct a fact by hand
+   */
+  async setFact(lead: Lead, key: string, value: string, category: CustomerFactCategory, user?: Pick<User, 'id'>): Promise<CustomerFact> {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('customer_facts')
+      .upsert({
+        organization_id: lead.organization_id,
+        lead_id: lead.id,
+        key,
+        category,
+        value,
+        source: 'manual',
+        source_id: null,
+        updated_by: user?.id || null,
+        updated_at: now
+      }, { onConflict: 'lead_id,key' })
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'set customer fact');
+    }
+    await this.clearContextCache(lead.id);
+    return data;
+  }
+
+  async deleteFact(leadId: string, key: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from('customer_facts')
+      .delete()
+      .eq('lead_id', leadId)
+      .eq('key', key)
+      .select('id');
+
+    if (error) {
+      handleSupabaseError(error, 'delete customer fact');
+    }
+    await this.clearContextCache(leadId);
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Update a lead's memory after a call, text or email. Never throws: memory
+   * is best effort and mustn't hold up the webhook that finished the conversation.
+   */
+  async rememberConversation(lead: Lead, input: RememberInput): Promise<void> {
+    try {
+      const changed = await this.recordFacts(lead, extractFacts(input), input.source, input.sourceId);
+      const rolledUp = input.summary ? await this.rollUpSummaries(lead) : false;
+
+      if (changed.length > 0 || rolledUp) {
+        logger.info('Customer memory updated:', { lead_id: lead.id, source: input.source, facts: changed, rolled_up: rolledUp });
+        await this.clearContextCache(lead.id);
+      }
+    } catch (error) {
+      logger.error('Error updating customer memory:', error);
+    }
+  }
+
+  /**
+   * Once a lead has more than `rollup_after` summaries past its roll-up, fold
+   * all but the newest `keep_recent_summaries` into it
+   */
+  async rollUpSummaries(lead: Pick<Lead, 'id' | 'organization_id'>): Promise<boolean> {
+    const rollup = await this.getRollup(lead.id);
+    const summaries = await this.getSummariesAfter(lead.id, rollup?.covers_to || null);
+    if (summaries.length <= this.config.rollup_after) return false;
+
+    const toRollUp = summaries.slice(0, summaries.length - this.config.keep_recent_summaries);
+    const { error } = await supabase
+      .from('customer_memory_rollups')
+      .upsert(mergeRollup(rollup, toRollUp, lead, this.config), { onConflict: 'lead_id' });
+
+    if (error) {
+      handleSupabaseError(error, 'save customer memory rollup');
+    }
+    return true;
+  }
+
+  /**
+   * Combine a duplicate lead's memory into the survivor's. The survivor's
+   * facts win; the roll-up is rebuilt from the combined summaries.
+   */
+  async mergeMemory(survivor: Pick<Lead, 'id' | 'organization_id'>, duplicateId: string): Promise<void> {
+    const survivorKeys = new Set((await this.getFacts(survivor.id)).map(fact => fact.key));
+    for (const fact of await this.getFacts(duplicateId)) {
+      const { error } = survivorKeys.has(fact.key)
+        ? await supabase.from('customer_facts').delete().eq('id', fact.id)
+        : await supabase.from('customer_facts').update({ lead_id: survivor.id }).eq('id', fact.id);
+      if (error) {
+        handleSupabaseError(error, 'merge customer facts');
+      }
+    }
+
+    const { error } = await supabase
+      .from('customer_memory_rollups')
+      .delete()
+      .in('lead_id', [survivor.id, duplicateId]);
+    if (error) {
+      handleSupabaseError(error, 'reset customer memory rollups');
+    }
+    await this.rollUpSummaries(survivor);
+    await this.clearContextCache(survivor.id);
+  }
+
+  /**
+   * Conversation context for the agent, within the channel's budget. In
+   * priority order: facts, the latest turns, recent summaries, the roll-up,
+   * then engagement stats.
+   */
+  async buildContext(leadId: string, channel: MemoryChannel): Promise<ConversationContext> {
+    const budget = this.config.budgets[channel];
+    const [facts, rollup, turns] = await Promise.all([
+      this.getFacts(leadId),
+      this.getRollup(leadId),
+      this.getRecentTurns(leadId)
+    ]);
+    const summaries = (await this.getSummariesAfter(leadId, rollup?.covers_to || null)).reverse();
+
+    if (facts.length === 0 && turns.length === 0 && summaries.length === 0 && !rollup) {
+      return { channel, text: FIRST_INTERACTION, tokens: estimateTokens(FIRST_INTERACTION), budget, included: {}, dropped: {} };
+    }
+
+    const now = Date.now();
+    const sections: ContextSection[] = [
+      {
+        name: 'facts',
+        heading: 'WHAT WE KNOW ABOUT THIS CUSTOMER:',
+        position: 0,
+        entries: facts.map(fact => fact.category === 'service'
+          ? `- Service visit ${fact.value}`
+          : `- ${FACT_LABELS[fact.key] || capitalize(fact.key.replace(/_/g, ' '))}: ${fact.value}`)
+      },
+      {
+        name: 'recent_turns',
+        heading: 'MOST RECENT MESSAGES (oldest first):',
+        position: 4,
+        chronological: true,
+        entries: [...turns].reverse().map(turn => {
+          const speaker = turn.sent_by === 'user' ? 'CUSTOMER' : turn.sent_by === 'human_agent' ? 'STAFF' : 'AGENT';
+          return `${speaker} (${turn.type || 'sms'}, ${timeAgo(turn.timestamp, now)}): "${shorten(turn.content, this.config.max_turn_chars)}"`;
+        })
+      },
+      {
+        name: 'summaries',
+        heading: 'RECENT CONVERSATIONS (newest first):',
+        position: 3,
+        entries: summaries.map(summary => {
+          let entry = `- ${timeAgo(summary.created_at, now)}, ${(summary.call_classification || 'general').toUpperCase()} (${summary.conversation_type || 'voice'}): ${shorten(summary.summary || '', 240)}`;
+          if (summary.key_points?.length) entry += ` Key points: ${summary.key_points.join('; ')}.`;
+          if (summary.next_steps?.length) entry += ` Follow-ups: ${summary.next_steps.join('; ')}.`;
+          return entry;
+        })
+      },
+      {
+        name: 'rollup',
+        heading: `EARLIER HISTORY (${rollup?.summary_count || 0} older conversations):`,
+        position: 2,
+        entries: rollup
+          ? [
+            ...(rollup.key_points.length ? [`- Key points: ${rollup.key_points.join('; ')}`] : []),
+            ...rollup.summary.split('\n').filter(Boolean).map(line => `- ${line}`)
+          ]
+          : []
+      },
+      {
+        name: 'engagement',
+        heading: 'ENGAGEMENT:',
+        position: 1,
+        entries: this.describeEngagement(turns, summaries.length + (rollup?.summary_count || 0), now)
+      }
+    ];
+
+    const assembled = assembleContext(sections, budget);
+    return { channel, budget, ...assembled };
+  }
+
+  private describeEngagement(turns: any[], conversations: number, now: number): string[] {
+    const entries = [`- ${conversations} past ${conversations === 1 ? 'conversation' : 'conversations'}`];
+    const last = turns[turns.length - 1];
+    if (last) entries.push(`- Last contact ${timeAgo(last.timestamp, now)} by ${last.type || 'sms'}`);
+
+    const customer = turns.filter(turn => turn.sent_by === 'user');
+    if (customer.length > 0) {
+      const average = customer.reduce((sum, turn) => sum + (turn.content || '').length, 0) / customer.length;
+      entries.push(`- Writes ${average > 100 ? 'in detail' : average > 50 ? 'conversationally' : 'briefly'}; match their style`);
+    }
+    return entries;
+  }
+
+  private async getRecentTurns(leadId: string): Promise<any[]> {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('lead_id', leadId)
+      .order('timestamp', { ascending: false })
+      .limit(this.config.recent_turns);
+
+    if (error) {
+      handleSupabaseError(error, 'get recent turns for context');
+    }
+    return (data || []).reverse();
+  }
+
+  // Summaries not yet rolled up, oldest first
+  private async getSummariesAfter(leadId: string, after: string | null): Promise<any[]> {
+    let query = supabase
+      .from('conversation_summaries')
+      .select('*')
+      .eq('lead_id', leadId);
+    if (after) query = query.gt('created_at', after);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) {
+      handleSupabaseError(error, 'get summaries for customer memory');
+    }
+    return data || [];
+  }
+
+  private async pruneServiceHistory(leadId: string): Promise<void> {
+    const visits = (await this.getFacts(leadId)).filter(fact => fact.category === 'service');
+    const stale = visits.slice(this.config.max_service_history);
+    if (stale.length === 0) return;
+
+    const { error } = await supabase
+      .from('customer_facts')
+      .delete()
+      .in('id', stale.map(fact => fact.id));
+    if (error) {
+      handleSupabaseError(error, 'prune service history');
+    }
+  }
+
+  private sortFacts(facts: CustomerFact[]): CustomerFact[] {
+    return [...facts].sort((a, b) =>
+      CUSTOMER_FACT_CATEGORIES.indexOf(a.category) - CUSTOMER_FACT_CATEGORIES.indexOf(b.category)
+      || String(b.updated_at).localeCompare(String(a.updated_at))
+      || a.key.localeCompare(b.key));
+  }
+
+  private async clearContextCache(leadId: string): Promise<void> {
+    try {
+      await redisService.clearLeadCache(leadId);
+    } catch (redisError) {
+      logger.warn('Failed to clear context cache after memory update:', redisError);
+    }
+  }
+}
+
+const customerMemoryService = new CustomerMemoryService();
+
+/**
+ * Context string for a lead's next conversation on `channel`, cached briefly
+ * per channel
+ */
+export async function buildConversationContext(leadId: string, channel: MemoryChannel = 'voice'): Promise<string> {
+  let cached: Record<string, string> = {};
+  try {
+    const stored = await redisService.getCachedContext(leadId);
+    if (stored && typeof stored === 'object') cached = stored;
+    if (cached[channel]) {
+      logger.debug(`Context cache hit for lead ${leadId}`, { channel });
+      return cached[channel];
+    }
+  } catch (redisError) {
+    logger.warn('Context cache error, building fresh context:', redisError);
+  }
+
+  const context = await customerMemoryService.buildContext(leadId, channel);
+  logger.debug('Built conversation context:', {
+    lead_id: leadId,
+    channel,
+    tokens: context.tokens,
+    budget: context.budget,
+    dropped: context.dropped
+  });
+
+  try {
+    await redisService.cacheContext(leadId, { ...cached, [channel]: context.text });
+  } catch (redisError) {
+    logger.warn('Failed to cache context, continuing:', redisError);
+  }
+  return context.text;
+}
@@ -0,0 +1,218 @@
+import { emailConfig, getEmailTransport, isEmailConfigured } from '../config/email.config';
+import { Conversation, Lead, OrganizationSettings } from '../types';
+import { escapeHtml, isValidEmail, replySubject, textToHtml } from '../utils/email.helper';
+import { logger } from '../utils/logger';
+import { supabase } from '../config/supabase.config';
+import { ConversationService } from './conversation.service';
+import { LeadService } from './lead.service';
+import { OrganizationService } from './organization.service';
+import { broadcastToClients } from './realtime.service';
+
+const conversationService = new ConversationService();
+const leadService = new LeadService();
+const organizationService = new OrganizationService();
+
+export interface EmailContent {
+  subject: string;
+  text: string; // Plain text body; the HTML part is rendered from it
+}
+
+export interface SendEmailOptions {
+  leadId?: string;          // Otherwise the lead is looked up by address
+  sentBy?: 'agent' | 'human_agent';
+  inReplyTo?: string | null; // Message-ID of the email being answered
+  references?: string[];
+  metadata?: Record<string, any>; // Merged into the stored conversation metadata
+}
+
+export interface SendEmailResult {
+  suppressed: boolean;
+  reason?: 'email_not_configured' | 'invalid_address'; // Why a suppressed email wasn't sent
+  messageId?: string;
+  conversation_id?: string;
+}
+
+// Same messages as the SMS automation templates, with room to breathe
+const automationTemplates = {
+  appointment_confirmation: (store: OrganizationSettings, date: string, time: string): EmailContent => ({
+    subject: `Your ${store.name} service appointment is confirmed`,
+    text: `Your service appointment at ${store.name} is confirmed for ${date} at ${time}.\n\nPlease bring your bike 15 minutes early for check-in. To cancel, reply CANCEL to this email or call us at ${store.phone}.`
+  }),
+
+  appointment_options: (store: OrganizationSettings, slots: string[]): EmailContent => ({
+    subject: `Service appointments at ${store.name}`,
+    text: `Happy to get your bike in! Our next openings at ${store.name} are:\n\n${slots.map((slot, i) => `${i + 1}) ${slot}`).join('\n')}\n\nReply with the number that works for you or call ${store.phone}.`
+  }),
+
+  appointment_cancelled: (store: OrganizationSettings, date: string, time: string): EmailContent => ({
+    subject: `Your ${store.name} service appointment was cancelled`,
+    text: `Your ${store.name} service appointment on ${date} at ${time} has been cancelled.\n\nReply RESCHEDULE to this email or call ${store.phone} to book a new time.`
+  }),
+
+  escalation_notification: (store: OrganizationSettings): EmailContent => ({
+    subject: `We got your message`,
+    text: `We've received your message and one of our team members will get back to you shortly. For immediate assistance, call ${store.phone}.`
+  }),
+
+  service_info: (store: OrganizationSettings): EmailContent => ({
+    subject: `Services at ${store.name}`,
+    text: `${store.name} offers: ${store.services.join(', ')}.\n\nCall us at ${store.phone} to learn more!`
+  }),
+
+  // Automation rule messages are written for texts; email gives them a subject
+  follow_up: (store: OrganizationSettings, message: string): EmailContent => ({
+    subject: `Following up from ${store.name}`,
+    text: message
+  })
+};
+
+export type EmailTemplateName = keyof typeof automationTemplates;
+
+export class EmailService {
+  /**
+   * Send an email over SMTP and store it in the lead's conversation.
+   * Resolves with `{ suppressed: true, reason }` when it can't be sent.
+   */
+  async sendEmail(to: string, content: EmailContent, organizationId: string, options: SendEmailOptions = {}): Promise<SendEmailResult> {
+    try {
+      if (!isEmailConfigured()) {
+        logger.warn('Email not sent, SMTP_HOST is not configured:', { to });
+        return { suppressed: true, reason: 'email_not_configured' };
+      }
+      if (!isValidEmail(to)) {
+        return { suppressed: true, reason: 'invalid_address' };
+      }
+
+      const address = to.trim().toLowerCase();
+      const store = await organizationService.getSettings(organizationId);
+      const lead = options.leadId
+        ? await leadService.getLead(options.leadId)
+        : await leadService.findLeadByEmail(address, organizationId);
+      const references = options.inReplyTo ? [...(options.references || []), options.inReplyTo] : [];
+
+      const info = await getEmailTransport().sendMail({
+        from: { name: store.name, address: emailConfig.from || store.email },
+        to: address,
+        subject: content.subject,
+        text: content.text,
+        html: this.renderHtml(content.text, store),
+        ...(options.inReplyTo ? { inReplyTo: options.inReplyTo, references } : {})
+      });
+
+      logger.info('Email sent successfully:', { to: address, messageId: info.messageId });
+
+      const conversation = await conversationService.storeConversation({
+        organization_id: organizationId,
+        lead_id: lead?.id,
+        phone_number_normalized: lead?.phone_number_normalized,
+        content: content.text,
+        sent_by: options.sentBy || 'agent',
+        type: 'email',
+        metadata: {
+          ...(options.metadata || {}),
+          email_message_id: info.messageId,
+          subject: content.subject,
+          to: address,
+          ...(options.inReplyTo ? { in_reply_to: options.inReplyTo, references } : {})
+        }
+      });
+
+      if (lead) {
+        broadcastToClients({
+          type: 'email_sent',
+          organization_id: organizationId,
+          lead_id: lead.id,
+          email: address,
+          subject: content.subject,
+          message: content.text,
+          conversation_id: conversation.id
+        });
+      }
+
+      return { suppressed: false, messageId: info.messageId, conversation_id: conversation.id };
+    } catch (error) {
+      logger.error('Error sending email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Email a lead, threaded onto the last email they sent unless a new
+   * subject starts a thread of its own
+   */
+  async replyToLead(
+    lead: Lead,
+    text: string,
+    options: Omit<SendEmailOptions, 'leadId' | 'inReplyTo' | 'references'> & { subject?: string } = {}
+  ): Promise<SendEmailResult> {
+    const { subject, ...sendOptions } = options;
+    const last = subject ? null : await this.getLatestInbound(lead.id);
+    const store = last ? null : await organizationService.getSettings(lead.organization_id);
+
+    return this.sendEmail(
+      lead.email || '',
+      { subject: subject || (last ? replySubject(last.metadata?.subject) : `A message from ${store!.name}`), text },
+      lead.organization_id,
+      {
+        ...sendOptions,
+        leadId: lead.id,
+        inReplyTo: last?.metadata?.email_message_id || null,
+        references: last?.metadata?.references || []
+      }
+    );
+  }
+
+  /**
+   * Whether automated messages to this lead should go by email instead of text
+   */
+  prefersEmail(lead: Pick<Lead, 'email' | 'qualification_data'>): boolean {
+    return lead.qualification_data?.contact_preference === 'email' && isValidEmail(lead.email);
+  }
+
+  render<K extends EmailTemplateName>(name: K, ...args: Parameters<typeof automationTemplates[K]>): EmailContent {
+    return (automationTemplates[name] as (...templateArgs: any[]) => EmailContent)(...args);
+  }
+
+  /**
+   * Send the appointment_confirmation template
+   */
+  async sendAppointmentConfirmation(lead: Lead, date: string, time: string): Promise<SendEmailResult> {
+    const store = await organizationService.getSettings(lead.organization_id);
+    return this.sendEmail(
+      lead.email || '',
+      this.render('appointment_confirmation', store, date, time),
+      lead.organization_id,
+      { leadId: lead.id, metadata: { template_type: 'appointment_confirmation' } }
+    );
+  }
+
+  // The customer's most recent email, which replies thread onto
+  private async getLatestInbound(leadId: string): Promise<Conversation | null> {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('lead_id', leadId)
+      .eq('type', 'email')
+      .eq('sent_by', 'user')
+      .order('timestamp', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.warn('Failed to find the email to reply to:', { lead_id: leadId, error: error.message });
+    }
+    return data?.[0] || null;
+  }
+
+  // Branded HTML part; mail clients that prefer text get the plain body
+  private renderHtml(text: string, store: OrganizationSettings): string {
+    return [
+      '<!DOCTYPE html>',
+      '<html><body style="margin:0;padding:24px;background:#f5f5f5;font-family:Helvetica,Arial,sans-serif;color:#111;line-height:1.5;">',
+      '<div style="max-width:560px;margin:0 auto;background:#ffffff;padding:24px;border-radius:8px;">',
+      textToHtml(text),
+      `<p style="margin-top:32px;font-size:12px;color:#666;">${[store.name, store.address, store.phone, store.website].filter(Boolean).map(escapeHtml).join(' &middot; ')}</p>`,
+      '</div>',
+      '</body></html>'
+    ].join('\n');
+  }
+}
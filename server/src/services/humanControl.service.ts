@@ -1,278 +1,497 @@
 import { supabase } from '../config/supabase.config';
 import { ConversationService } from './conversation.service';
 import { SMSAutomationService } from './sms.service';
+import { EmailService } from './email.service';
+import { LeadService } from './lead.service';
 import { logger } from '../utils/logger';
 import { v4 as uuidv4 } from 'uuid';
 import { redisService } from './redis.service';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
+import { broadcastToClients } from './realtime.service';
+import { IntegrationWebhookService } from './integrationWebhook.service';
+import { smsConversations } from './smsConversation.service';
+import { getNextOpenTime, isStoreOpen } from '../utils/business-hours.helper';
+import { normalizePhoneNumber } from '../utils/phone.helper';
+import {
+  ConversationInsights,
+  Escalation,
+  EscalationReason,
+  HumanControlSession,
+  Lead,
+  MessageChannel,
+  OrganizationSettings,
+  QueuedCustomerMessage
+} from '../types';
 
 const conversationService = new ConversationService();
 const smsService = new SMSAutomationService();
+const emailService = new EmailService();
+const leadService = new LeadService();
+const integrationWebhookService = new IntegrationWebhookService();
 
-interface HumanControlSession {
-  id: string;
-  lead_id: string;
-  agent_name: string;
-  organization_id: string;
-  started_at: Date;
-  message_queue: string[];
+// Minutes without a staff reply before the AI takes the conversation back
+const HANDBACK_IDLE_MINUTES = parseInt(process.env.HUMAN_CONTROL_IDLE_MINUTES || '15', 10);
+
+// Below the "Neutral" band of the summary sentiment score (0-1)
+const NEGATIVE_SENTIMENT_THRESHOLD = 0.3;
+
+// "Can I talk to a person", "real human please", or just "agent"
+const HUMAN_REQUEST = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|some)?\s*(real\s+)?(person|human|someone|somebody|staff|agent|representative|manager|employee)\b/i,
+  /\b(real|actual|live)\s+(person|human)\b/i,
+  /\bhuman\s+(please|agent|being)\b/i,
+  /^\s*(human|agent|representative|operator)\s*[.!?]*\s*$/i
+];
+
+export interface StaffMember {
+  id?: string | null;
+  name: string;
+}
+
+export interface ClaimResult {
+  session: HumanControlSession;
+  messages: QueuedCustomerMessage[];
 }
 
+export type HandoffQueueEntry = Escalation & { queued_messages: number };
+
+/**
+ * Staff takeover of customer conversations. Sessions, the handoff queue and
+ * customer texts waiting for a person live in Redis so every instance sees
+ * the same state.
+ */
 export class HumanControlService {
-  private activeSessions = new Map<string, HumanControlSession>();
-  private isInitialized = false;
-  
+  async getSession(leadId: string): Promise<HumanControlSession | null> {
+    return redisService.getCachedHumanSession(leadId);
+  }
+
+  async isUnderHumanControl(leadId: string): Promise<boolean> {
+    return !!(await this.getSession(leadId));
+  }
+
   /**
-   * Initialize service by restoring sessions from Redis
+   * Whether a customer message asks for a person instead of the AI
    */
-  private async initializeIfNeeded(): Promise<void> {
-    if (this.isInitialized) {
-      return;
-    }
-    
-    try {
-      // Restore sessions from Redis cache
-      const cachedLeadIds = await redisService.getCachedHumanSessionLeads();
-      
-      for (const leadId of cachedLeadIds) {
-        const cachedSession = await redisService.getCachedHumanSession(leadId);
-        if (cachedSession) {
-          // Restore to in-memory map
-          this.activeSessions.set(leadId, {
-            ...cachedSession,
-            started_at: new Date(cachedSession.started_at)
-          });
-          logger.info('Restored human control session from cache:', { leadId, sessionId: cachedSession.id });
-        }
-      }
-      
-      if (cachedLeadIds.length > 0) {
-        logger.info(`Restored ${cachedLeadIds.length} human control sessions from Redis cache`);
-      }
-      
-      this.isInitialized = true;
-    } catch (error) {
-      logger.error('Error initializing human control service from cache:', error);
-      this.isInitialized = true; // Continue even if cache restore fails
+  isHumanRequest(message: string): boolean {
+    return HUMAN_REQUEST.some(pattern => pattern.test(message || ''));
+  }
+
+  /**
+   * Why a finished call should wait for a person, if it should
+   */
+  escalationReasonFor(insights: Pick<ConversationInsights, 'classification' | 'sentiment'>, customerTurns: string[] = []): EscalationReason | null {
+    if (customerTurns.some(turn => this.isHumanRequest(turn))) return 'asked_for_human';
+    if (insights.classification === 'support') return 'support_call';
+    if ((insights.sentiment || 0.5) < NEGATIVE_SENTIMENT_THRESHOLD) return 'negative_sentiment';
+    return null;
+  }
+
+  /**
+   * Reply sent when a customer asks for a person over SMS or email
+   */
+  humanRequestReply(settings: OrganizationSettings, channel: MessageChannel = 'sms'): string {
+    const when = isStoreOpen(settings) ? 'shortly' : `when we open ${getNextOpenTime(settings)}`;
+    const how = channel === 'email' ? 'reply to this email' : 'text you here';
+    return `Thanks! I've asked someone from the ${settings.name} team to take over. They'll ${how} ${when}.`;
+  }
+
+  /**
+   * Put a conversation in the handoff queue. Returns false when it is
+   * already waiting or a staff member already has it.
+   */
+  async escalate(lead: Lead, reason: EscalationReason, details?: string): Promise<boolean> {
+    if (await this.isUnderHumanControl(lead.id)) return false;
+
+    const escalation: Escalation = {
+      lead_id: lead.id,
+      organization_id: lead.organization_id,
+      reason,
+      details: details?.substring(0, 500),
+      customer_name: lead.customer_name || null,
+      phone_number: lead.phone_number,
+      created_at: new Date().toISOString()
+    };
+
+    const added = await redisService.addEscalation(lead.organization_id, lead.id, escalation);
+    if (!added) return false;
+
+    logger.info('Conversation queued for a human:', { lead_id: lead.id, reason });
+    broadcastToClients({
+      type: 'handoff_queued',
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      reason
+    });
+    return true;
+  }
+
+  /**
+   * Waiting conversations, oldest first
+   */
+  async listEscalations(organizationId: string): Promise<HandoffQueueEntry[]> {
+    const escalations: Escalation[] = await redisService.getEscalations(organizationId);
+    const entries = await Promise.all(escalations.map(async escalation => ({
+      ...escalation,
+      queued_messages: await redisService.countHumanQueueMessages(escalation.lead_id)
+    })));
+    return entries.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async getEscalation(organizationId: string, leadId: string): Promise<Escalation | null> {
+    return redisService.getEscalation(organizationId, leadId);
+  }
+
+  /**
+   * Leave a waiting conversation with the AI
+   */
+  async dismissEscalation(organizationId: string, leadId: string): Promise<boolean> {
+    const removed = await redisService.removeEscalation(organizationId, leadId);
+    if (removed) {
+      broadcastToClients({ type: 'handoff_dismissed', organization_id: organizationId, lead_id: leadId });
     }
+    return removed;
   }
 
-  async isUnderHumanControl(leadId: string): Promise<boolean> {
-    await this.initializeIfNeeded();
-    return this.activeSessions.has(leadId);
+  /**
+   * The customer asked for a person and nobody has picked it up yet, so the
+   * AI stays quiet and their texts wait for the staff member who claims it
+   */
+  async isWaitingForHuman(organizationId: string, leadId: string): Promise<boolean> {
+    const escalation = await this.getEscalation(organizationId, leadId);
+    return escalation?.reason === 'asked_for_human';
   }
-  
-  async joinConversation(
-    leadId: string,
-    agentName: string,
-    organizationId: string
-  ): Promise<HumanControlSession> {
+
+  /**
+   * Take over a conversation. Returns null when another staff member holds
+   * it; claiming one you already hold just collects the waiting messages.
+   */
+  async claimConversation(leadId: string, organizationId: string, agent: StaffMember): Promise<ClaimResult | null> {
     try {
-      await this.initializeIfNeeded();
-      
-      // Check if already under control
-      if (this.activeSessions.has(leadId)) {
-        throw new Error('Conversation already under human control');
+      const existing = await this.getSession(leadId);
+      if (existing) {
+        if (!agent.id || existing.agent_user_id !== agent.id) return null;
+        return { session: await this.touch(existing), messages: await this.takeQueuedMessages(leadId) };
       }
-      
-      // Create session
+
+      const escalation = await this.getEscalation(organizationId, leadId);
+      const now = new Date().toISOString();
       const session: HumanControlSession = {
         id: uuidv4(),
         lead_id: leadId,
-        agent_name: agentName,
         organization_id: organizationId,
-        started_at: new Date(),
-        message_queue: []
+        agent_name: agent.name,
+        agent_user_id: agent.id || null,
+        escalation_reason: escalation?.reason || null,
+        messages_handled: 0,
+        started_at: now,
+        last_activity_at: now
       };
-      
-      // Store in memory (primary storage)
-      this.activeSessions.set(leadId, session);
-      
-      // Store in Redis for persistence across server restarts
-      await redisService.cacheHumanSession(leadId, session);
-      
-      // Store in database
-      await supabase
-        .from('human_control_sessions')
-        .insert({
-          id: session.id,
-          lead_id: leadId,
-          agent_name: agentName,
-          organization_id: organizationId,
-          started_at: session.started_at
-        });
-      
-      // Add system message
-      await conversationService.storeConversation({
+
+      if (!(await redisService.claimHumanSession(leadId, session))) {
+        return null;
+      }
+      await redisService.removeEscalation(organizationId, leadId);
+
+      // Pending automated texts would talk over the human agent
+      await jobQueue.cancelForLead(leadId, 'human_takeover');
+      // When the AI resumes it starts a session that has seen the staff replies
+      smsConversations.closeSession(leadId);
+
+      await this.insertSessionRow(session);
+      await this.addSystemMessage(organizationId, leadId, `${agent.name} has joined the conversation`);
+      await this.scheduleHandback(session);
+
+      const messages = await this.takeQueuedMessages(leadId);
+
+      logger.info('Human control session started:', {
+        sessionId: session.id,
+        leadId,
+        agentName: agent.name,
+        queuedMessages: messages.length
+      });
+      broadcastToClients({
+        type: 'human_control_claimed',
         organization_id: organizationId,
         lead_id: leadId,
-        phone_number_normalized: '',
-        content: `${agentName} has joined the conversation`,
-        sent_by: 'system',
-        type: 'system'  // Use 'system' for system messages
+        agent_name: agent.name,
+        agent_user_id: session.agent_user_id
+      });
+      await integrationWebhookService.dispatch(organizationId, 'human_control.started', {
+        lead_id: leadId,
+        session_id: session.id,
+        agent_name: agent.name,
+        agent_user_id: session.agent_user_id || null,
+        escalation_reason: session.escalation_reason || null
+      });
+
+      return { session, messages };
+    } catch (error) {
+      logger.error('Error claiming conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a conversation to another staff member. Waiting customer messages
+   * stay queued for the new holder.
+   */
+  async transferConversation(leadId: string, to: StaffMember): Promise<HumanControlSession | null> {
+    try {
+      const current = await this.getSession(leadId);
+      if (!current) return null;
+
+      const now = new Date().toISOString();
+      const session: HumanControlSession = {
+        ...current,
+        id: uuidv4(),
+        agent_name: to.name,
+        agent_user_id: to.id || null,
+        messages_handled: 0,
+        started_at: now,
+        last_activity_at: now
+      };
+
+      await redisService.cacheHumanSession(leadId, session);
+      await this.endSessionRow(current, 'transferred');
+      await this.insertSessionRow(session);
+      await this.addSystemMessage(
+        session.organization_id,
+        leadId,
+        `${current.agent_name} transferred the conversation to ${to.name}`
+      );
+      await this.scheduleHandback(session);
+
+      logger.info('Human control session transferred:', {
+        leadId,
+        from: current.agent_name,
+        to: to.name
       });
-      
-      logger.info('Human control session started:', { 
-        sessionId: session.id, 
-        leadId, 
-        agentName 
+      broadcastToClients({
+        type: 'human_control_transferred',
+        organization_id: session.organization_id,
+        lead_id: leadId,
+        from_agent: current.agent_name,
+        agent_name: to.name,
+        agent_user_id: session.agent_user_id
       });
-      
+
       return session;
     } catch (error) {
-      logger.error('Error joining conversation:', error);
+      logger.error('Error transferring conversation:', error);
       throw error;
     }
   }
-  
-  async leaveConversation(leadId: string): Promise<void> {
+
+  /**
+   * Give the conversation back to the AI. Returns the ended session, or null
+   * when there was none (or another instance released it first).
+   */
+  async releaseConversation(
+    leadId: string,
+    reason: 'released' | 'inactivity' | 'cleared' = 'released'
+  ): Promise<HumanControlSession | null> {
     try {
-      await this.initializeIfNeeded();
-      
-      const session = this.activeSessions.get(leadId);
-      if (!session) {
-        throw new Error('No active human control session');
+      const session = await this.getSession(leadId);
+      if (!session) return null;
+
+      if (!(await redisService.removeCachedHumanSession(leadId))) {
+        return null;
       }
-      
-      // Update database
-      await supabase
-        .from('human_control_sessions')
-        .update({
-          ended_at: new Date()
-        })
-        .eq('id', session.id);
-      
-      // Add system message
-      await conversationService.storeConversation({
+      // Anything still queued is in the conversation history already
+      await redisService.takeHumanQueueMessages(leadId);
+
+      await this.endSessionRow(session, reason);
+      await this.addSystemMessage(
+        session.organization_id,
+        leadId,
+        reason === 'inactivity'
+          ? `AI assistant has resumed control after ${HANDBACK_IDLE_MINUTES} minutes without a reply from ${session.agent_name}`
+          : 'AI assistant has resumed control'
+      );
+
+      logger.info('Human control session ended:', {
+        sessionId: session.id,
+        leadId,
+        reason
+      });
+      broadcastToClients({
+        type: 'human_control_released',
         organization_id: session.organization_id,
         lead_id: leadId,
-        phone_number_normalized: '',
-        content: 'AI assistant has resumed control',
-        sent_by: 'system',
-        type: 'system'  // Use 'system' for system messages
-      });
-      
-      // Remove from memory (primary storage)
-      this.activeSessions.delete(leadId);
-      
-      // Remove from Redis cache
-      await redisService.removeCachedHumanSession(leadId);
-      
-      logger.info('Human control session ended:', { 
-        sessionId: session.id, 
-        leadId 
+        agent_name: session.agent_name,
+        reason
       });
+
+      return session;
     } catch (error) {
       logger.error('Error leaving conversation:', error);
       throw error;
     }
   }
-  
+
+  /**
+   * Send a staff member's message by text, or by email threaded onto the
+   * customer's last email
+   */
   async sendHumanMessage(
     leadId: string,
     message: string,
-    phoneNumber: string
-  ): Promise<void> {
+    phoneNumber: string,
+    channel: MessageChannel = 'sms'
+  ): Promise<any> {
     try {
-      await this.initializeIfNeeded();
-      
-      const session = this.activeSessions.get(leadId);
+      const session = await this.getSession(leadId);
       if (!session) {
         throw new Error('No active human control session');
       }
-      
-      // Send SMS
-      await smsService.sendSMS(phoneNumber, message, session.organization_id);
-      
-      // Store as human agent message
-      await conversationService.storeConversation({
-        organization_id: session.organization_id,
-        lead_id: leadId,
-        phone_number_normalized: phoneNumber.replace(/\D/g, ''),
-        content: message,
-        sent_by: 'human_agent',
-        type: 'sms'
-      });
-      
-      // Update session in database
+
+      let result: any;
+      if (channel === 'email') {
+        const lead = await leadService.getLead(leadId);
+        if (!lead) {
+          throw new Error('Lead not found');
+        }
+        result = await emailService.replyToLead(lead, message, { sentBy: 'human_agent' });
+      } else {
+        result = await smsService.sendSMS(phoneNumber, message, session.organization_id);
+      }
+      if (result?.suppressed) {
+        logger.warn('Human message not sent:', { leadId, channel, reason: result.reason });
+        return result;
+      }
+
+      // Store as human agent message (emails are stored as such when sent)
+      if (channel === 'sms') {
+        await conversationService.storeConversation({
+          organization_id: session.organization_id,
+          lead_id: leadId,
+          phone_number_normalized: normalizePhoneNumber(phoneNumber),
+          content: message,
+          sent_by: 'human_agent',
+          type: 'sms'
+        });
+      }
+
+      const updated = await this.touch({ ...session, messages_handled: (session.messages_handled || 0) + 1 });
       await supabase
         .from('human_control_sessions')
-        .update({
-          messages_handled: session.message_queue.length + 1
-        })
+        .update({ messages_handled: updated.messages_handled })
         .eq('id', session.id);
-      
-      // Update session in Redis (sync with any changes)
-      await redisService.cacheHumanSession(leadId, session);
-      
-      logger.info('Human message sent:', { 
-        sessionId: session.id, 
-        leadId 
+
+      logger.info('Human message sent:', {
+        sessionId: session.id,
+        leadId
       });
+
+      return result;
     } catch (error) {
       logger.error('Error sending human message:', error);
       throw error;
     }
   }
-  
+
   async queueMessage(leadId: string, message: string): Promise<void> {
-    await this.initializeIfNeeded();
-    
-    const session = this.activeSessions.get(leadId);
-    if (session) {
-      session.message_queue.push(message);
-      
-      // Update Redis cache with new queue
-      await redisService.cacheHumanSession(leadId, session);
-      
-      logger.info('Message queued for human agent:', { 
-        sessionId: session.id, 
-        queueLength: session.message_queue.length 
-      });
-    }
+    const queued: QueuedCustomerMessage = { content: message, received_at: new Date().toISOString() };
+    await redisService.pushHumanQueueMessage(leadId, queued);
+    logger.info('Message queued for human agent:', { leadId });
   }
-  
-  async getQueuedMessages(leadId: string): Promise<string[]> {
-    await this.initializeIfNeeded();
-    
-    const session = this.activeSessions.get(leadId);
-    if (session) {
-      const messages = [...session.message_queue];
-      session.message_queue = [];
-      
-      // Update Redis cache with cleared queue
-      await redisService.cacheHumanSession(leadId, session);
-      
-      return messages;
+
+  /**
+   * Collect the customer texts waiting for the staff member
+   */
+  async takeQueuedMessages(leadId: string): Promise<QueuedCustomerMessage[]> {
+    return redisService.takeHumanQueueMessages(leadId);
+  }
+
+  /**
+   * Job handler: return an idle conversation to the AI, or check again
+   * when the session could next go idle
+   */
+  async handBackIfIdle(leadId: string, sessionId: string): Promise<void> {
+    const session = await this.getSession(leadId);
+    if (!session || session.id !== sessionId) return;
+
+    const idleUntil = new Date(session.last_activity_at).getTime() + HANDBACK_IDLE_MINUTES * 60 * 1000;
+    if (idleUntil > Date.now()) {
+      await this.scheduleHandback(session, new Date(idleUntil));
+      return;
     }
-    return [];
+
+    await this.releaseConversation(leadId, 'inactivity');
   }
-  
-  async getActiveSessions(): Promise<HumanControlSession[]> {
-    await this.initializeIfNeeded();
-    return Array.from(this.activeSessions.values());
+
+  async getActiveSessions(organizationId?: string): Promise<HumanControlSession[]> {
+    const sessions: HumanControlSession[] = [];
+    for (const leadId of await redisService.getCachedHumanSessionLeads()) {
+      const session = await this.getSession(leadId);
+      if (session && (!organizationId || session.organization_id === organizationId)) {
+        sessions.push(session);
+      }
+    }
+    return sessions;
   }
-  
+
   async clearAllSessions(): Promise<void> {
-    await this.initializeIfNeeded();
-    
-    // Clear all sessions from memory
-    const sessions = Array.from(this.activeSessions.values());
-    for (const session of sessions) {
+    for (const session of await this.getActiveSessions()) {
       try {
-        await this.leaveConversation(session.lead_id);
+        await this.releaseConversation(session.lead_id, 'cleared');
       } catch (error) {
         logger.error('Error clearing session:', error);
       }
     }
-    // Force clear the map and Redis cache
-    this.activeSessions.clear();
-    
-    // Clear all cached sessions from Redis
-    const cachedLeadIds = await redisService.getCachedHumanSessionLeads();
-    for (const leadId of cachedLeadIds) {
-      await redisService.removeCachedHumanSession(leadId);
-    }
-    
-    logger.info('All human control sessions cleared from memory and cache');
+    logger.info('All human control sessions cleared');
+  }
+
+  private async touch(session: HumanControlSession): Promise<HumanControlSession> {
+    const updated = { ...session, last_activity_at: new Date().toISOString() };
+    await redisService.cacheHumanSession(session.lead_id, updated);
+    return updated;
+  }
+
+  private async scheduleHandback(session: HumanControlSession, runAt?: Date): Promise<void> {
+    await jobQueue.schedule({
+      type: JOB_TYPES.HUMAN_HANDBACK,
+      payload: { leadId: session.lead_id, sessionId: session.id },
+      runAt: runAt || new Date(Date.now() + HANDBACK_IDLE_MINUTES * 60 * 1000),
+      leadId: session.lead_id,
+      organizationId: session.organization_id
+    });
   }
-}
\ No newline at end of file
+
+  private async insertSessionRow(session: HumanControlSession): Promise<void> {
+    await supabase
+      .from('human_control_sessions')
+      .insert({
+        id: session.id,
+        lead_id: session.lead_id,
+        organization_id: session.organization_id,
+        agent_name: session.agent_name,
+        agent_user_id: session.agent_user_id,
+        reason: session.escalation_reason,
+        started_at: session.started_at
+      });
+  }
+
+  private async endSessionRow(session: HumanControlSession, reason: string): Promise<void> {
+    await supabase
+      .from('human_control_sessions')
+      .update({
+        ended_at: new Date(),
+        end_reason: reason,
+        messages_handled: session.messages_handled || 0
+      })
+      .eq('id', session.id);
+  }
+
+  private async addSystemMessage(organizationId: string, leadId: string, content: string): Promise<void> {
+    await conversationService.storeConversation({
+      organization_id: organizationId,
+      lead_id: leadId,
+      phone_number_normalized: '',
+      content,
+      sent_by: 'system',
+      type: 'system'  // Use 'system' for system messages
+    });
+  }
+}
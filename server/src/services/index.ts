@@ -1,6 +1,59 @@
-import { WebSocketServer } from 'ws';
+import { WebSocket, WebSocketServer } from 'ws';
 import { logger } from '../utils/logger';
 import { redisService } from './redis.service';
+import { jobQueue } from './jobQueue.service';
+import { registerJobHandlers } from './jobHandlers';
+import { AuthService } from './auth.service';
+import { LeadService } from './lead.service';
+import { RetentionService } from './retention.service';
+import { addConnection, removeConnection, setConnectionLead } from './realtime.service';
+import { RealtimeClientMessage } from '../types/events';
+
+const authService = new AuthService();
+const leadService = new LeadService();
+const retentionService = new RetentionService();
+
+/**
+ * Subscribe a WebSocket to its user's organization events, and to one
+ * lead's live call detail when lead_id is given. Subscribing again only
+ * moves the lead.
+ */
+async function subscribeWebSocket(
+  ws: WebSocket,
+  message: Extract<RealtimeClientMessage, { type: 'subscribe' }>,
+  connectionId: string | null
+): Promise<string | null> {
+  const user = await authService.verifyToken(String(message.token || ''));
+  if (!user) {
+    ws.send(JSON.stringify({ type: 'error', error: 'Authentication required' }));
+    return connectionId;
+  }
+
+  const leadId = message.lead_id || null;
+  if (leadId) {
+    const lead = await leadService.getLead(leadId);
+    if (!lead || lead.organization_id !== user.organization_id) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Lead not found' }));
+      return connectionId;
+    }
+  }
+
+  if (connectionId) {
+    setConnectionLead(connectionId, leadId);
+  } else {
+    connectionId = await addConnection(`ws_${user.id}`, {
+      organizationId: user.organization_id,
+      userId: user.id,
+      leadId,
+      lastEventId: message.last_event_id
+    }, envelope => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(envelope));
+    });
+  }
+
+  ws.send(JSON.stringify({ type: 'subscribed', lead_id: leadId }));
+  return connectionId;
+}
 
 export function initializeServices(wss: WebSocketServer) {
   logger.info('Initializing services');
@@ -23,14 +76,24 @@ export function initializeServices(wss: WebSocketServer) {
     logger.error('❌ Failed to initialize Redis service:', error);
   }
   
+  // Start the delayed job worker
+  registerJobHandlers();
+  jobQueue.start();
+
+  // The daily retention purge schedules its next run; this starts the chain
+  retentionService.schedulePurge().catch(error => {
+    logger.error('Failed to schedule retention purge:', error);
+  });
+  
   // WebSocket connection handler
   wss.on('connection', (ws) => {
     logger.info('New WebSocket connection established');
+    let connectionId: string | null = null;
     
-    ws.on('message', (message) => {
+    ws.on('message', async (message) => {
       try {
-        const data = JSON.parse(message.toString());
-        logger.debug('WebSocket message received:', data);
+        const data = JSON.parse(message.toString()) as RealtimeClientMessage;
+        logger.debug('WebSocket message received:', { type: data.type });
         
         // Handle different message types
         switch (data.type) {
@@ -38,10 +101,14 @@ export function initializeServices(wss: WebSocketServer) {
             ws.send(JSON.stringify({ type: 'pong' }));
             break;
           case 'subscribe':
-            // Handle subscription to specific channels
+            connectionId = await subscribeWebSocket(ws, data, connectionId);
+            break;
+          case 'unsubscribe':
+            if (connectionId) removeConnection(connectionId);
+            connectionId = null;
             break;
           default:
-            logger.warn('Unknown WebSocket message type:', data.type);
+            logger.warn('Unknown WebSocket message type:', (data as any).type);
         }
       } catch (error) {
         logger.error('Error processing WebSocket message:', error);
@@ -49,6 +116,7 @@ export function initializeServices(wss: WebSocketServer) {
     });
     
     ws.on('close', () => {
+      if (connectionId) removeConnection(connectionId);
       logger.info('WebSocket connection closed');
     });
     
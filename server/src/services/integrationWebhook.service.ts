@@ -0,0 +1,468 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { integrationWebhookConfig } from '../config/integrations.config';
+import {
+  IntegrationDeliveryStatus,
+  IntegrationEventBody,
+  IntegrationEventPayloads,
+  IntegrationEventType,
+  IntegrationLead,
+  IntegrationWebhook,
+  IntegrationWebhookDelivery,
+  Lead
+} from '../types';
+import { toE164 } from '../utils/phone.helper';
+import { checkPublicUrl } from '../utils/url.helper';
+import { logger } from '../utils/logger';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
+
+export const INTEGRATION_EVENTS: IntegrationEventType[] = [
+  'lead.created',
+  'lead.status_changed',
+  'call.completed',
+  'sms.received',
+  'human_control.started'
+];
+
+export type IntegrationWebhookInput = Partial<Pick<IntegrationWebhook, 'name' | 'url' | 'events' | 'active'>>;
+
+// One POST to an integration
+interface AttemptResult {
+  ok: boolean;
+  response_status: number | null;
+  response_body: string | null;
+  error: string | null;
+  duration_ms: number;
+}
+
+/**
+ * A lead as integrations see it
+ */
+export function integrationLead(lead: Lead): IntegrationLead {
+  return {
+    id: lead.id,
+    customer_name: lead.customer_name || null,
+    phone_number: toE164(lead.phone_number),
+    email: lead.email || null,
+    status: lead.status,
+    lead_score: lead.lead_score ?? null
+  };
+}
+
+/**
+ * X-Bici-Signature header for a raw body: the HMAC-SHA256 of
+ * "<timestamp>.<body>" with the webhook's secret
+ */
+export function signIntegrationPayload(rawBody: string, secret: string, timestamp: number = Math.floor(Date.now() / 1000)): string {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Outbound webhooks to an organization's CRM or POS. Each event becomes a
+ * delivery row and a job; failed attempts are retried by the job queue with
+ * exponential backoff, and every attempt is kept in the delivery log.
+ */
+export class IntegrationWebhookService {
+  async listWebhooks(organizationId: string): Promise<IntegrationWebhook[]> {
+    try {
+      const { data, error } = await supabase
+        .from('integration_webhooks')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        handleSupabaseError(error, 'list integration webhooks');
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error listing integration webhooks:', error);
+      throw error;
+    }
+  }
+
+  async getWebhook(webhookId: string, organizationId: string): Promise<IntegrationWebhook | null> {
+    const { data, error } = await supabase
+      .from('integration_webhooks')
+      .select('*')
+      .eq('id', webhookId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'get integration webhook');
+    }
+
+    return data;
+  }
+
+  async createWebhook(organizationId: string, input: IntegrationWebhookInput): Promise<IntegrationWebhook> {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('integration_webhooks')
+      .insert({
+        id: uuidv4(),
+        organization_id: organizationId,
+        name: input.name!.trim(),
+        url: input.url!.trim(),
+        secret: this.generateSecret(),
+        events: input.events || [],
+        active: input.active ?? true,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'create integration webhook');
+    }
+
+    logger.info('Created integration webhook:', { id: data.id, events: data.events, organizationId });
+    return data;
+  }
+
+  /**
+   * Update a webhook; `rotate_secret` issues a new signing secret
+   */
+  async updateWebhook(
+    webhookId: string,
+    organizationId: string,
+    input: IntegrationWebhookInput & { rotate_secret?: boolean }
+  ): Promise<IntegrationWebhook | null> {
+    const updates: Record<string, any> = { updated_at: new Date().toISOString() };
+    for (const key of ['name', 'url', 'events', 'active'] as const) {
+      if (input[key] !== undefined) updates[key] = typeof input[key] === 'string' ? (input[key] as string).trim() : input[key];
+    }
+    if (input.rotate_secret) updates.secret = this.generateSecret();
+
+    const { data, error } = await supabase
+      .from('integration_webhooks')
+      .update(updates)
+      .eq('id', webhookId)
+      .eq('organization_id', organizationId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'update integration webhook');
+    }
+
+    return data;
+  }
+
+  async deleteWebhook(webhookId: string, organizationId: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from('integration_webhooks')
+      .delete()
+      .eq('id', webhookId)
+      .eq('organization_id', organizationId)
+      .select();
+
+    if (error) {
+      handleSupabaseError(error, 'delete integration webhook');
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Validation errors for a webhook; partial inputs (updates) only check
+   * the fields they contain. The URL's host is resolved and must not point
+   * at a private, loopback or link-local address.
+   */
+  async validateWebhook(input: IntegrationWebhookInput, partial: boolean = false): Promise<string[]> {
+    const errors: string[] = [];
+
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+    }
+
+    if (!partial || input.url !== undefined) {
+      let url: URL | null = null;
+      try {
+        url = typeof input.url === 'string' ? new URL(input.url.trim()) : null;
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url must be an http or https URL');
+      } else if (url.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+        errors.push('url must use https');
+      } else {
+        const blocked = await checkPublicUrl(url.toString());
+        if (blocked) errors.push(blocked);
+      }
+    }
+
+    if (!partial || input.events !== undefined) {
+      if (!Array.isArray(input.events) || input.events.length === 0) {
+        errors.push('events must list at least one event');
+      } else {
+        for (const event of input.events) {
+          if (!INTEGRATION_EVENTS.includes(event)) errors.push(`unknown event ${event}`);
+        }
+      }
+    }
+
+    if (input.active !== undefined && typeof input.active !== 'boolean') {
+      errors.push('active must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Newest deliveries first
+   */
+  async listDeliveries(webhookId: string, organizationId: string, limit: number = 50): Promise<IntegrationWebhookDelivery[]> {
+    const { data, error } = await supabase
+      .from('integration_webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      handleSupabaseError(error, 'list integration webhook deliveries');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it. With a
+   * dedupe key, a webhook that already has the event for that key is
+   * skipped, so replayed inbound webhooks don't send it twice. Never throws;
+   * resolves to the number of deliveries queued.
+   */
+  async dispatch<E extends IntegrationEventType>(
+    organizationId: string,
+    event: E,
+    data: IntegrationEventPayloads[E],
+    dedupeKey?: string
+  ): Promise<number> {
+    if (!organizationId) return 0;
+
+    try {
+      const webhooks = (await this.listWebhooks(organizationId))
+        .filter(webhook => webhook.active && webhook.events?.includes(event));
+
+      let queued = 0;
+      for (const webhook of webhooks) {
+        if (dedupeKey && await this.hasDelivery(webhook.id, event, dedupeKey)) continue;
+
+        const delivery = await this.createDelivery(webhook, event, data, dedupeKey);
+        await jobQueue.schedule({
+          type: JOB_TYPES.DELIVER_INTEGRATION_WEBHOOK,
+          payload: { deliveryId: delivery.id },
+          organizationId,
+          maxAttempts: integrationWebhookConfig.max_attempts
+        });
+        queued++;
+      }
+
+      if (queued > 0) {
+        logger.info('Integration event queued:', { event, organizationId, webhooks: queued });
+      }
+      return queued;
+    } catch (error) {
+      logger.error('Error dispatching integration event:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * One delivery attempt, run by the job queue. Throws when the attempt
+   * failed so the queue retries it.
+   */
+  async deliver(deliveryId: string, attempt: number, maxAttempts: number): Promise<void> {
+    const delivery = await this.getDelivery(deliveryId);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') return;
+
+    const webhook = await this.getWebhook(delivery.webhook_id, delivery.organization_id);
+    if (!webhook || !webhook.active) {
+      await this.updateDelivery(delivery.id, { status: 'failed', error: 'Webhook deleted or disabled' });
+      return;
+    }
+
+    const result = await this.post(webhook, delivery);
+    await this.recordAttempt(delivery, attempt, result, attempt >= maxAttempts);
+
+    if (!result.ok) {
+      throw new Error(`Integration webhook delivery failed: ${result.error}`);
+    }
+  }
+
+  /**
+   * Send a test event right away, once, whether or not the webhook is
+   * active or subscribed to anything
+   */
+  async sendTest(webhook: IntegrationWebhook): Promise<IntegrationWebhookDelivery> {
+    const delivery = await this.createDelivery(webhook, 'test', { message: `Test event for ${webhook.name}` });
+    const result = await this.post(webhook, delivery);
+    return this.recordAttempt(delivery, 1, result, true);
+  }
+
+  private generateSecret(): string {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  private async hasDelivery(webhookId: string, event: string, dedupeKey: string): Promise<boolean> {
+    const { data, error } = await supabase
+      .from('integration_webhook_deliveries')
+      .select('id')
+      .eq('webhook_id', webhookId)
+      .eq('event', event)
+      .eq('dedupe_key', dedupeKey)
+      .limit(1);
+
+    if (error) {
+      handleSupabaseError(error, 'find integration webhook delivery');
+    }
+
+    return (data || []).length > 0;
+  }
+
+  private async createDelivery<E extends keyof IntegrationEventPayloads>(
+    webhook: IntegrationWebhook,
+    event: E,
+    data: IntegrationEventPayloads[E],
+    dedupeKey?: string
+  ): Promise<IntegrationWebhookDelivery> {
+    const now = new Date().toISOString();
+    const id = uuidv4();
+    const payload: IntegrationEventBody<E> = {
+      id,
+      event,
+      organization_id: webhook.organization_id,
+      created_at: now,
+      data
+    };
+
+    const { data: delivery, error } = await supabase
+      .from('integration_webhook_deliveries')
+      .insert({
+        id,
+        webhook_id: webhook.id,
+        organization_id: webhook.organization_id,
+        event,
+        dedupe_key: dedupeKey || null,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'create integration webhook delivery');
+    }
+
+    return delivery;
+  }
+
+  private async getDelivery(deliveryId: string): Promise<IntegrationWebhookDelivery | null> {
+    const { data, error } = await supabase
+      .from('integration_webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      handleSupabaseError(error, 'get integration webhook delivery');
+    }
+
+    return data;
+  }
+
+  private async updateDelivery(deliveryId: string, updates: Partial<IntegrationWebhookDelivery>): Promise<IntegrationWebhookDelivery> {
+    const { data, error } = await supabase
+      .from('integration_webhook_deliveries')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', deliveryId)
+      .select()
+      .single();
+
+    if (error) {
+      handleSupabaseError(error, 'update integration webhook delivery');
+    }
+
+    return data;
+  }
+
+  private async recordAttempt(
+    delivery: IntegrationWebhookDelivery,
+    attempt: number,
+    result: AttemptResult,
+    finalAttempt: boolean
+  ): Promise<IntegrationWebhookDelivery> {
+    const status: IntegrationDeliveryStatus = result.ok ? 'delivered' : finalAttempt ? 'failed' : 'retrying';
+    if (!result.ok) {
+      logger.warn('Integration webhook delivery failed:', { id: delivery.id, event: delivery.event, attempt, status, error: result.error });
+    }
+
+    return this.updateDelivery(delivery.id, {
+      status,
+      attempts: attempt,
+      response_status: result.response_status,
+      // Failed responses keep only their status; error pages can echo anything
+      response_body: result.ok ? result.response_body : null,
+      error: result.error,
+      duration_ms: result.duration_ms,
+      ...(result.ok ? { delivered_at: new Date().toISOString() } : {})
+    });
+  }
+
+  // Any 2xx is delivered; redirects are not followed. The host is resolved
+  // again before every attempt, since DNS can change after the URL was saved.
+  private async post(webhook: IntegrationWebhook, delivery: IntegrationWebhookDelivery): Promise<AttemptResult> {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    const blocked = await checkPublicUrl(webhook.url);
+    if (blocked) {
+      return { ok: false, response_status: null, response_body: null, error: blocked, duration_ms: Date.now() - startedAt };
+    }
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BICI-Webhooks/1.0',
+          'X-Bici-Event': delivery.event,
+          'X-Bici-Delivery': delivery.id,
+          'X-Bici-Signature': signIntegrationPayload(body, webhook.secret)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(integrationWebhookConfig.timeout_ms)
+      });
+      const text = (await response.text()).slice(0, integrationWebhookConfig.response_body_chars);
+
+      return {
+        ok: response.ok,
+        response_status: response.status,
+        response_body: text || null,
+        error: response.ok ? null : `Responded ${response.status}`,
+        duration_ms: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        response_status: null,
+        response_body: null,
+        error: error instanceof Error ? error.message : String(error),
+        duration_ms: Date.now() - startedAt
+      };
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { logger } from '../utils/logger';
+import { jobQueue } from './jobQueue.service';
+import { redisService } from './redis.service';
+
+// Job types shared by the services that schedule them
+export const JOB_TYPES = {
+  SEND_SMS: 'sms.send',
+  SEND_EMAIL: 'email.send',
+  RETRY_SMS: 'sms.retry',
+  EVICT_CALL_SESSION: 'cache.evict_call_session',
+  CAMPAIGN_TICK: 'campaign.tick',
+  HUMAN_HANDBACK: 'human_control.handback',
+  DELIVER_INTEGRATION_WEBHOOK: 'integration_webhook.deliver',
+  RETENTION_PURGE: 'retention.purge'
+} as const;
+
+/**
+ * Register handlers for every job type. Services are imported lazily so this
+ * module can be loaded from anywhere without import cycles.
+ */
+export function registerJobHandlers(): void {
+  jobQueue.registerHandler(JOB_TYPES.SEND_SMS, async (payload) => {
+    const smsService = new (await import('./sms.service')).SMSAutomationService();
+    const result = await smsService.sendSMS(payload.to, payload.message, payload.organizationId, payload.options || {});
+
+    if (result?.suppressed) {
+      logger.info('Scheduled SMS suppressed:', { to: payload.to, reason: result.reason });
+    }
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.SEND_EMAIL, async (payload) => {
+    const emailService = new (await import('./email.service')).EmailService();
+    const result = await emailService.sendEmail(payload.to, payload.content, payload.organizationId, payload.options || {});
+
+    if (result.suppressed) {
+      logger.info('Scheduled email suppressed:', { to: payload.to, reason: result.reason });
+    }
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.RETRY_SMS, async (payload) => {
+    const deliveryService = new (await import('./smsDelivery.service')).SMSDeliveryService();
+    await deliveryService.retryMessage(payload.conversation, payload.messageSid);
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.EVICT_CALL_SESSION, async (payload) => {
+    await redisService.removeCachedCallSession(payload.sessionId, payload.session);
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.CAMPAIGN_TICK, async (payload) => {
+    const campaignService = new (await import('./campaign.service')).CampaignService();
+    await campaignService.runTick(payload.campaignId, payload.runId);
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.HUMAN_HANDBACK, async (payload) => {
+    const humanControlService = new (await import('./humanControl.service')).HumanControlService();
+    await humanControlService.handBackIfIdle(payload.leadId, payload.sessionId);
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.DELIVER_INTEGRATION_WEBHOOK, async (payload, job) => {
+    const integrationWebhookService = new (await import('./integrationWebhook.service')).IntegrationWebhookService();
+    await integrationWebhookService.deliver(payload.deliveryId, job.attempts, job.max_attempts);
+  });
+
+  jobQueue.registerHandler(JOB_TYPES.RETENTION_PURGE, async () => {
+    const retentionService = new (await import('./retention.service')).RetentionService();
+    await retentionService.runScheduledPurge();
+  });
+}
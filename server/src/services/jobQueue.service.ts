@@ -0,0 +1,312 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger';
+import { JobCancelReason, ScheduledJob } from '../types';
+import { redisService } from './redis.service';
+
+export type JobHandler = (payload: Record<string, any>, job: ScheduledJob) => Promise<void>;
+
+export interface ScheduleJobInput {
+  type: string;
+  payload: Record<string, any>;
+  delayMs?: number;
+  runAt?: Date;
+  leadId?: string;
+  organizationId?: string;
+  idempotencyKey?: string;
+  idempotencyTtlSeconds?: number;
+  maxAttempts?: number;
+  cancelOn?: JobCancelReason[];
+}
+
+const POLL_INTERVAL_MS = 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+// How long a worker may hold a job before another instance assumes it died
+const JOB_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Durable scheduler for delayed work (follow-up texts, retries, cache eviction).
+ * Jobs live in Redis so they survive restarts and redeploys; without Redis they
+ * fall back to memory through RedisService.
+ */
+export class JobQueueService {
+  private handlers = new Map<string, JobHandler>();
+  private timer: NodeJS.Timeout | null = null;
+  private processing = false;
+
+  registerHandler(type: string, handler: JobHandler): void {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job. When the idempotency key is already held, the existing
+   * job is returned instead of creating a duplicate.
+   */
+  async schedule(input: ScheduleJobInput): Promise<ScheduledJob> {
+    const now = Date.now();
+    const runAt = input.runAt ? input.runAt.getTime() : now + (input.delayMs || 0);
+
+    const job: ScheduledJob = {
+      id: uuidv4(),
+      type: input.type,
+      payload: input.payload,
+      run_at: new Date(runAt).toISOString(),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: input.maxAttempts || 3,
+      lead_id: input.leadId,
+      organization_id: input.organizationId,
+      idempotency_key: input.idempotencyKey,
+      cancel_on: input.cancelOn || [],
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString()
+    };
+
+    if (job.idempotency_key) {
+      const existingId = await redisService.reserveJobKey(
+        job.idempotency_key,
+        job.id,
+        input.idempotencyTtlSeconds || DEFAULT_IDEMPOTENCY_TTL_SECONDS
+      );
+      if (existingId) {
+        const existing = await redisService.getJob(existingId);
+        logger.info('Skipping duplicate job:', { type: job.type, idempotencyKey: job.idempotency_key, existingId });
+        if (existing) return existing;
+      }
+    }
+
+    await redisService.saveJob(job);
+    await redisService.scheduleJob(job.id, runAt);
+    if (job.lead_id) {
+      await redisService.addLeadJob(job.lead_id, job.id);
+    }
+
+    logger.info('Job scheduled:', { id: job.id, type: job.type, runAt: job.run_at, leadId: job.lead_id });
+    return job;
+  }
+
+  async cancel(jobId: string, reason: string = 'cancelled'): Promise<ScheduledJob | null> {
+    const job = await redisService.getJob(jobId);
+    if (!job || job.status !== 'pending') {
+      return null;
+    }
+
+    // Losing the unschedule race means a worker already picked it up
+    if (!(await redisService.unscheduleJob(jobId))) {
+      return null;
+    }
+
+    const cancelled: ScheduledJob = {
+      ...job,
+      status: 'cancelled',
+      cancel_reason: reason,
+      updated_at: new Date().toISOString()
+    };
+    await redisService.saveJob(cancelled);
+    await this.releaseJob(cancelled);
+
+    logger.info('Job cancelled:', { id: jobId, type: job.type, reason });
+    return cancelled;
+  }
+
+  /**
+   * Cancel a lead's pending jobs that opted into this cancel reason
+   */
+  async cancelForLead(leadId: string, reason: JobCancelReason): Promise<ScheduledJob[]> {
+    const cancelled: ScheduledJob[] = [];
+
+    for (const jobId of await redisService.getLeadJobIds(leadId)) {
+      const job = await redisService.getJob(jobId);
+      if (!job) {
+        await redisService.removeLeadJob(leadId, jobId);
+        continue;
+      }
+      if (job.status !== 'pending' || !job.cancel_on?.includes(reason)) continue;
+
+      const result = await this.cancel(jobId, reason);
+      if (result) cancelled.push(result);
+    }
+
+    if (cancelled.length > 0) {
+      logger.info('Cancelled jobs for lead:', { leadId, reason, count: cancelled.length });
+    }
+    return cancelled;
+  }
+
+  async getJob(jobId: string): Promise<ScheduledJob | null> {
+    return redisService.getJob(jobId);
+  }
+
+  /**
+   * Whether an idempotency key is still reserved (pending job or unexpired TTL)
+   */
+  async isKeyHeld(idempotencyKey: string): Promise<boolean> {
+    return !!(await redisService.getJobKey(idempotencyKey));
+  }
+
+  /**
+   * Pending jobs in run order
+   */
+  async listPending(filters: { leadId?: string; organizationId?: string; type?: string } = {}): Promise<ScheduledJob[]> {
+    const jobs: ScheduledJob[] = [];
+    for (const jobId of await redisService.getScheduledJobIds()) {
+      const job = await redisService.getJob(jobId);
+      if (!job) continue;
+      if (filters.leadId && job.lead_id !== filters.leadId) continue;
+      if (filters.organizationId && job.organization_id && job.organization_id !== filters.organizationId) continue;
+      if (filters.type && job.type !== filters.type) continue;
+      jobs.push(job);
+    }
+    return jobs;
+  }
+
+  /**
+   * Run every job that is due. Safe to call from several instances at once.
+   */
+  async processDueJobs(): Promise<number> {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let processed = 0;
+    try {
+      await this.recoverExpiredLeases();
+
+      const dueIds = await redisService.getDueJobIds(Date.now());
+      for (const jobId of dueIds) {
+        if (!(await redisService.claimJob(jobId, Date.now() + JOB_LEASE_MS))) continue;
+
+        const job = await redisService.getJob(jobId);
+        if (!job || job.status !== 'pending') {
+          await redisService.releaseJobLease(jobId);
+          continue;
+        }
+
+        await this.runJob(job);
+        processed++;
+      }
+    } catch (error) {
+      logger.error('Error processing due jobs:', error);
+    } finally {
+      this.processing = false;
+    }
+
+    return processed;
+  }
+
+  start(intervalMs: number = POLL_INTERVAL_MS): void {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueJobs();
+    }, intervalMs);
+    this.timer.unref?.();
+
+    logger.info('Job queue started', { intervalMs, handlers: Array.from(this.handlers.keys()) });
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Put back jobs whose worker stopped (crash, redeploy) before finishing.
+   * The lost run counts as an attempt, so a job that keeps killing its
+   * worker ends up failed instead of looping.
+   */
+  private async recoverExpiredLeases(): Promise<void> {
+    for (const jobId of await redisService.getExpiredJobLeases(Date.now())) {
+      const job: ScheduledJob | null = await redisService.getJob(jobId);
+
+      if (job && (job.status === 'running' || job.status === 'pending')) {
+        const message = 'Worker stopped before the job finished';
+        if (job.attempts < job.max_attempts) {
+          await redisService.saveJob({
+            ...job,
+            status: 'pending',
+            run_at: new Date().toISOString(),
+            last_error: message,
+            updated_at: new Date().toISOString()
+          });
+          await redisService.scheduleJob(job.id, Date.now());
+          logger.warn('Requeued job after expired lease:', { id: job.id, type: job.type, attempts: job.attempts });
+        } else {
+          const failed: ScheduledJob = { ...job, status: 'failed', last_error: message, updated_at: new Date().toISOString() };
+          await redisService.saveJob(failed);
+          await this.releaseJob(failed);
+          logger.error('Job failed permanently after expired lease:', { id: job.id, type: job.type, attempts: job.attempts });
+        }
+      }
+
+      await redisService.releaseJobLease(jobId);
+    }
+  }
+
+  private async runJob(job: ScheduledJob): Promise<void> {
+    const handler = this.handlers.get(job.type);
+    const attempt: ScheduledJob = {
+      ...job,
+      status: 'running',
+      attempts: job.attempts + 1,
+      updated_at: new Date().toISOString()
+    };
+    await redisService.saveJob(attempt);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      await handler(job.payload, attempt);
+
+      await redisService.saveJob({ ...attempt, status: 'completed', updated_at: new Date().toISOString() });
+      if (attempt.lead_id) {
+        await redisService.removeLeadJob(attempt.lead_id, attempt.id);
+      }
+      logger.info('Job completed:', { id: job.id, type: job.type, attempts: attempt.attempts });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+
+      if (attempt.attempts < attempt.max_attempts) {
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt.attempts - 1);
+        const runAt = Date.now() + delay;
+        await redisService.saveJob({
+          ...attempt,
+          status: 'pending',
+          run_at: new Date(runAt).toISOString(),
+          last_error: message,
+          updated_at: new Date().toISOString()
+        });
+        await redisService.scheduleJob(attempt.id, runAt);
+        logger.warn('Job failed, retrying:', { id: job.id, type: job.type, attempt: attempt.attempts, delayMs: delay, error: message });
+      } else {
+        const failed: ScheduledJob = {
+          ...attempt,
+          status: 'failed',
+          last_error: message,
+          updated_at: new Date().toISOString()
+        };
+        await redisService.saveJob(failed);
+        await this.releaseJob(failed);
+        logger.error('Job failed permanently:', { id: job.id, type: job.type, attempts: attempt.attempts, error: message });
+      }
+    } finally {
+      await redisService.releaseJobLease(job.id);
+    }
+  }
+
+  // Free the idempotency key and lead index so the work can be rescheduled
+  private async releaseJob(job: ScheduledJob): Promise<void> {
+    if (job.idempotency_key) {
+      await redisService.releaseJobKey(job.idempotency_key);
+    }
+    if (job.lead_id) {
+      await redisService.removeLeadJob(job.lead_id, job.id);
+    }
+  }
+}
+
+// Export singleton instance
+export const jobQueue = new JobQueueService();
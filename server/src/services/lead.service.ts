@@ -1,9 +1,13 @@
 import { supabase, handleSupabaseError } from '../config/supabase.config';
-import { normalizePhoneNumber } from '../config/twilio.config';
+import { normalizePhoneNumber } from '../utils/phone.helper';
+import { escapeLike } from '../utils/email.helper';
 import { Lead, Organization } from '../types';
 import { logger } from '../utils/logger';
 import { v4 as uuidv4 } from 'uuid';
 import { redisService } from './redis.service';
+import { IntegrationWebhookService, integrationLead } from './integrationWebhook.service';
+
+const integrationWebhookService = new IntegrationWebhookService();
 
 export class LeadService {
   async findOrCreateLead(phoneNumber: string, organizationId: string): Promise<Lead> {
@@ -68,14 +72,17 @@ export class LeadService {
       
       logger.info('Created new lead:', { id: createdLead.id, phone: phoneNumber });
       
-      // Cache the newly created lead
+      // Cache the newly created lead; dashboard counts and lists now differ
       try {
         const cacheKey = `${normalized}:${organizationId}`;
         await redisService.cacheLead(cacheKey, createdLead);
+        await redisService.invalidateDashboardCache(organizationId);
       } catch (redisError) {
         logger.warn('Failed to cache new lead, continuing:', redisError);
       }
       
+      await integrationWebhookService.dispatch(organizationId, 'lead.created', { lead: integrationLead(createdLead) });
+      
       return createdLead;
     } catch (error) {
       logger.error('Error in findOrCreateLead:', error);
@@ -108,6 +115,7 @@ export class LeadService {
           await redisService.invalidateLeadCache(cacheKey);
           // Also clear all related cache entries for this lead
           await redisService.clearLeadCache(leadId, data.phone_number_normalized);
+          await redisService.invalidateDashboardCache(data.organization_id);
         } catch (redisError) {
           logger.warn('Failed to invalidate lead cache after update:', redisError);
         }
@@ -141,7 +149,7 @@ export class LeadService {
   
   async findLeadByPhone(phoneNumber: string, organizationId: string): Promise<Lead | null> {
     try {
-      const normalized = phoneNumber.replace(/\D/g, '');
+      const normalized = normalizePhoneNumber(phoneNumber);
       
       // Check cache first
       try {
@@ -183,6 +191,66 @@ export class LeadService {
     }
   }
 
+  /**
+   * Oldest lead with this email address, ignoring case
+   */
+  async findLeadByEmail(email: string, organizationId: string): Promise<Lead | null> {
+    const { data, error } = await supabase
+      .from('leads')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .ilike('email', escapeLike(email.trim()))
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      handleSupabaseError(error, 'find lead by email');
+    }
+    return data?.[0] || null;
+  }
+
+  /**
+   * Lead for an inbound email. Customers who have only ever emailed get a
+   * lead keyed by an "email-" placeholder in place of a phone number.
+   */
+  async findOrCreateLeadByEmail(email: string, organizationId: string, name?: string): Promise<Lead> {
+    try {
+      const existing = await this.findLeadByEmail(email, organizationId);
+      if (existing) return existing;
+
+      const placeholder = `email-${uuidv4().replace(/-/g, '').slice(0, 8)}`;
+      const { data: createdLead, error } = await supabase
+        .from('leads')
+        .insert({
+          id: uuidv4(),
+          organization_id: organizationId,
+          phone_number: placeholder,
+          phone_number_normalized: placeholder,
+          email: email.trim().toLowerCase(),
+          customer_name: name || null,
+          status: 'new',
+          sentiment: 'neutral',
+          qualification_data: { contact_preference: 'email' },
+          created_at: new Date(),
+          updated_at: new Date()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        handleSupabaseError(error, 'create lead from email');
+      }
+
+      logger.info('Created new lead from email:', { id: createdLead.id, email });
+      await redisService.invalidateDashboardCache(organizationId);
+      await integrationWebhookService.dispatch(organizationId, 'lead.created', { lead: integrationLead(createdLead) });
+      return createdLead;
+    } catch (error) {
+      logger.error('Error in findOrCreateLeadByEmail:', error);
+      throw error;
+    }
+  }
+
   async getOrganizationByPhone(phoneNumber: string): Promise<Organization | null> {
     const normalized = normalizePhoneNumber(phoneNumber);
     
@@ -230,28 +298,16 @@ export class LeadService {
         handleSupabaseError(error, 'get organization by phone');
       }
       
-      // If not found by exact or normalized match, return default organization
       if (!foundOrg) {
-        const { data: defaultOrg, error: defaultError } = await supabase
-          .from('organizations')
-          .select('*')
-          .eq('id', 'b0c1b1c1-0000-0000-0000-000000000001')
-          .single();
-        
-        if (defaultError) {
-          handleSupabaseError(defaultError, 'get default organization');
-        }
-        
-        foundOrg = defaultOrg;
+        logger.warn('No organization uses this phone number', { phoneNumber });
+        return null;
       }
-      
-      // Cache the result (including default org)
-      if (foundOrg) {
-        try {
-          await redisService.cacheOrganization(phoneNumber, foundOrg);
-        } catch (redisError) {
-          logger.warn('Failed to cache organization, continuing:', redisError);
-        }
+
+      // Cache the result
+      try {
+        await redisService.cacheOrganization(phoneNumber, foundOrg);
+      } catch (redisError) {
+        logger.warn('Failed to cache organization, continuing:', redisError);
       }
       
       return foundOrg;
@@ -322,4 +378,4 @@ export class LeadService {
   getCacheStatus(): { enabled: boolean; connected: boolean } {
     return redisService.getStatus();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,278 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { Lead, LeadDuplicate, LeadDuplicateReason, LeadMergeResult, User } from '../types';
+import { normalizePhoneNumber, toE164 } from '../utils/phone.helper';
+import { logger } from '../utils/logger';
+import { CustomerMemoryService } from './customerMemory.service';
+import { LeadService } from './lead.service';
+import { LeadScoringService, LEAD_STATUS_ORDER } from './leadScoring.service';
+import { broadcastToClients } from './realtime.service';
+import { redisService } from './redis.service';
+import { smsConversations } from './smsConversation.service';
+
+const leadService = new LeadService();
+const leadScoringService = new LeadScoringService();
+const customerMemoryService = new CustomerMemoryService();
+
+// Tables whose rows follow a lead when it is merged into another
+const LEAD_TABLES = [
+  'conversations',
+  'conversation_summaries',
+  'call_sessions',
+  'human_control_sessions',
+  'appointments',
+  'sms_automation_log',
+  'sms_consent_log',
+  'lead_score_history'
+];
+
+// Names at least this similar (0-1) are flagged as possible duplicates
+const NAME_SIMILARITY = 0.85;
+const MAX_PRODUCT_MATCHES = 10;
+
+/**
+ * Finds leads that are probably the same customer and merges them: the
+ * duplicate's history moves to the surviving lead and the duplicate is removed.
+ */
+export class LeadMergeService {
+  async findDuplicates(organizationId: string): Promise<LeadDuplicate[]> {
+    try {
+      const { data, error } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        handleSupabaseError(error, 'find duplicate leads');
+      }
+
+      const leads: Lead[] = data || [];
+      const pairs = new Map<string, LeadDuplicate>();
+      const flag = (a: Lead, b: Lead, reason: LeadDuplicateReason) => {
+        const key = `${a.id}:${b.id}`;
+        const pair = pairs.get(key) || { leads: [a, b] as [Lead, Lead], reasons: [], confidence: 'medium' as const };
+        if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+        pair.confidence = pair.reasons.some(r => r !== 'name') ? 'high' : 'medium';
+        pairs.set(key, pair);
+      };
+
+      // Leads come oldest first, so each pair is (older, newer)
+      const byPhone = groupBy(leads, lead => toE164(lead.phone_number) || toE164(lead.phone_number_normalized));
+      const byEmail = groupBy(leads, lead => lead.email?.trim().toLowerCase() || null);
+      // Only names that start alike are compared, which keeps this from being quadratic in practice
+      const byInitial = groupBy(leads, lead => normalizeName(lead.customer_name)?.charAt(0) || null);
+
+      forEachPair(byPhone, (a, b) => flag(a, b, 'phone'));
+      forEachPair(byEmail, (a, b) => flag(a, b, 'email'));
+      forEachPair(byInitial, (a, b) => {
+        if (nameSimilarity(normalizeName(a.customer_name)!, normalizeName(b.customer_name)!) >= NAME_SIMILARITY) {
+          flag(a, b, 'name');
+        }
+      });
+
+      return Array.from(pairs.values())
+        .sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'high' ? -1 : 1));
+    } catch (error) {
+      logger.error('Error finding duplicate leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move everything belonging to `duplicate` onto `survivor`, fill in what the
+   * survivor is missing, then delete the duplicate. Both must be in the same
+   * organization; the caller checks that neither is held by staff.
+   */
+  async mergeLeads(survivor: Lead, duplicate: Lead, user?: Pick<User, 'id' | 'name'>): Promise<LeadMergeResult> {
+    try {
+      smsConversations.closeSession(duplicate.id);
+
+      const moved: Record<string, number> = {};
+      for (const table of LEAD_TABLES) {
+        const { data, error } = await supabase
+          .from(table)
+          .update({ lead_id: survivor.id })
+          .eq('lead_id', duplicate.id)
+          .select('id');
+
+        if (error) {
+          handleSupabaseError(error, `move ${table} to merged lead`);
+        }
+        moved[table] = (data || []).length;
+      }
+      moved.campaign_leads = await this.moveCampaignLeads(survivor.id, duplicate.id);
+      // Facts would go with the duplicate's row, so they're combined first
+      await customerMemoryService.mergeMemory(survivor, duplicate.id);
+
+      // Deleted before the survivor is updated: both may share the normalized phone
+      const { error: deleteError } = await supabase
+        .from('leads')
+        .delete()
+        .eq('id', duplicate.id);
+
+      if (deleteError) {
+        handleSupabaseError(deleteError, 'delete merged lead');
+      }
+
+      const updated = await leadService.updateLead(survivor.id, mergedFields(survivor, duplicate));
+
+      const { error: logError } = await supabase
+        .from('lead_merges')
+        .insert({
+          organization_id: survivor.organization_id,
+          lead_id: survivor.id,
+          merged_lead_id: duplicate.id,
+          merged_lead: duplicate,
+          moved,
+          merged_by: user?.id || null,
+          created_at: new Date().toISOString()
+        });
+
+      if (logError) {
+        logger.warn('Failed to record lead merge:', logError);
+      }
+
+      await this.clearCaches(duplicate);
+      await this.clearCaches(survivor);
+      await redisService.invalidateDashboardCache(survivor.organization_id);
+
+      logger.info('Merged leads:', { lead_id: survivor.id, merged_lead_id: duplicate.id, moved });
+
+      broadcastToClients({
+        type: 'lead_merged',
+        organization_id: survivor.organization_id,
+        lead_id: survivor.id,
+        merged_lead_id: duplicate.id
+      });
+
+      // Calls and texts from both leads now count toward one score
+      let lead = updated;
+      try {
+        lead = (await leadScoringService.rescore(survivor.id, 'recalculated'))?.lead || updated;
+      } catch (error) {
+        logger.warn('Failed to rescore merged lead:', { lead_id: survivor.id, error: (error as Error).message });
+      }
+
+      return { lead, merged_lead_id: duplicate.id, moved };
+    } catch (error) {
+      logger.error('Error merging leads:', error);
+      throw error;
+    }
+  }
+
+  // A campaign can list a lead once; the duplicate's entry is dropped where the survivor has one
+  private async moveCampaignLeads(survivorId: string, duplicateId: string): Promise<number> {
+    const { data, error } = await supabase
+      .from('campaign_leads')
+      .select('id, campaign_id, lead_id')
+      .in('lead_id', [survivorId, duplicateId]);
+
+    if (error) {
+      handleSupabaseError(error, 'get campaign leads');
+    }
+
+    const rows: { id: string; campaign_id: string; lead_id: string }[] = data || [];
+    const survivorCampaigns = new Set(rows.filter(row => row.lead_id === survivorId).map(row => row.campaign_id));
+    const toMove = rows.filter(row => row.lead_id === duplicateId && !survivorCampaigns.has(row.campaign_id));
+
+    for (const row of toMove) {
+      const { error: moveError } = await supabase
+        .from('campaign_leads')
+        .update({ lead_id: survivorId })
+        .eq('id', row.id);
+
+      if (moveError) {
+        handleSupabaseError(moveError, 'move campaign lead to merged lead');
+      }
+    }
+    return toMove.length;
+  }
+
+  // Lookups by either lead's old phone key and their cached context would be stale
+  private async clearCaches(lead: Lead): Promise<void> {
+    const keys = new Set([lead.phone_number_normalized, normalizePhoneNumber(lead.phone_number)].filter(Boolean));
+    for (const key of keys) {
+      await redisService.invalidateLeadCache(`${key}:${lead.organization_id}`);
+    }
+    await redisService.clearLeadCache(lead.id);
+  }
+}
+
+// The survivor's values win; the duplicate fills in what the survivor lacks
+function mergedFields(survivor: Lead, duplicate: Lead): Partial<Lead> {
+  const later = (a?: Date | string | null, b?: Date | string | null) =>
+    !a ? b : !b ? a : new Date(a).getTime() >= new Date(b).getTime() ? a : b;
+  const furtherStatus = LEAD_STATUS_ORDER.indexOf(duplicate.status) > LEAD_STATUS_ORDER.indexOf(survivor.status)
+    ? duplicate.status
+    : survivor.status;
+
+  const productMatches = [...(survivor.product_matches || [])];
+  for (const match of duplicate.product_matches || []) {
+    if (!productMatches.some(existing => existing.product_id === match.product_id)) productMatches.push(match);
+  }
+
+  // Staying opted out is the safe side of a disagreement
+  const optedOut = survivor.sms_opted_out ? survivor : duplicate.sms_opted_out ? duplicate : null;
+
+  return {
+    phone_number_normalized: normalizePhoneNumber(survivor.phone_number),
+    customer_name: survivor.customer_name || duplicate.customer_name,
+    email: survivor.email || duplicate.email,
+    status: furtherStatus,
+    bike_interest: fillGaps(survivor.bike_interest, duplicate.bike_interest),
+    qualification_data: fillGaps(survivor.qualification_data, duplicate.qualification_data),
+    last_contact_at: later(survivor.last_contact_at, duplicate.last_contact_at) as Date | undefined,
+    product_matches: productMatches.slice(0, MAX_PRODUCT_MATCHES),
+    ...(optedOut && optedOut !== survivor ? {
+      sms_opted_out: true,
+      sms_opted_out_at: optedOut.sms_opted_out_at,
+      sms_opt_out_source: optedOut.sms_opt_out_source
+    } : {})
+  };
+}
+
+function fillGaps<T extends object>(primary: T | undefined, secondary: T | undefined): T {
+  const result: any = { ...(secondary || {}) };
+  for (const [key, value] of Object.entries(primary || {})) {
+    if (value !== null && value !== undefined && value !== '') result[key] = value;
+  }
+  return result;
+}
+
+function groupBy(leads: Lead[], keyFor: (lead: Lead) => string | null): Lead[][] {
+  const groups = new Map<string, Lead[]>();
+  for (const lead of leads) {
+    const key = keyFor(lead);
+    if (!key) continue;
+    groups.set(key, [...(groups.get(key) || []), lead]);
+  }
+  return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+function forEachPair(groups: Lead[][], visit: (a: Lead, b: Lead) => void) {
+  for (const group of groups) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) visit(group[i], group[j]);
+    }
+  }
+}
+
+// "  Sam  O'Neil " -> "sam oneil"; placeholders the agent uses aren't names
+function normalizeName(name?: string | null): string | null {
+  const normalized = (name || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+  return normalized.length >= 3 && !['unknown', 'customer', 'unknown customer'].includes(normalized) ? normalized : null;
+}
+
+// 1 - Levenshtein distance / longer length
+function nameSimilarity(a: string, b: string): number {
+  if (a === b) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
@@ -0,0 +1,310 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { leadScoringWeights, LeadScoringWeights } from '../config/scoring.config';
+import { Lead, LeadScoreChange, LeadScoreSource, LeadStatus, ScoreFactor, User } from '../types';
+import { ConversationAnalyzer } from '../utils/conversation-analyzer';
+import { logger } from '../utils/logger';
+import { LeadService } from './lead.service';
+import { broadcastToClients } from './realtime.service';
+import { IntegrationWebhookService, integrationLead } from './integrationWebhook.service';
+
+const leadService = new LeadService();
+const integrationWebhookService = new IntegrationWebhookService();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Automatic updates only move a lead along this order. 'closed' is last so
+// a lead staff closed stays closed until someone reopens it.
+export const LEAD_STATUS_ORDER: LeadStatus[] = ['new', 'contacted', 'qualified', 'hot', 'customer', 'closed'];
+
+const TIMELINE_LABELS: Record<string, string> = {
+  immediate: 'Wants to buy right away',
+  this_week: 'Buying this week',
+  this_month: 'Buying this month',
+  just_browsing: 'Just browsing',
+  unsure: 'Timeline unsure'
+};
+
+const BUDGET_LABELS: Record<string, string> = {
+  under_500: 'Budget under $500',
+  '500_1000': 'Budget $500-1,000',
+  '1000_2000': 'Budget $1,000-2,000',
+  over_2000: 'Budget over $2,000'
+};
+
+const KEYWORD_LABELS: Record<string, string> = {
+  ready_to_buy: 'Said they are ready to buy',
+  test_ride_interest: 'Asked about a test ride',
+  appointment_request: 'Asked to come in or book',
+  asked_price: 'Asked about price',
+  urgent_need: 'Needs it soon',
+  budget_mentioned: 'Talked about budget or financing',
+  comparison_shopping: 'Comparing models'
+};
+
+/**
+ * What a score is computed from; gathered by LeadScoringService.rescore
+ */
+export interface LeadScoreInputs {
+  qualification: Partial<Lead['qualification_data']>;
+  completedCalls: number;
+  smsReplies: number;           // Texts and emails from the customer
+  lastContactAt: Date | null;
+  customerMessages: string[];   // Within the keyword window
+  now: Date;
+}
+
+export interface LeadScore {
+  score: number;
+  factors: ScoreFactor[];
+  status: LeadStatus;           // Status the score alone points to
+}
+
+export interface RescoreResult {
+  lead: Lead;
+  score: number;
+  factors: ScoreFactor[];
+  changed: boolean;
+}
+
+/**
+ * Explainable 0-100 lead score from ElevenLabs data collection answers,
+ * engagement and buying signals in the customer's own words. Each change is
+ * stored with its factors, and automatic status changes only move forward.
+ */
+export class LeadScoringService {
+  constructor(private weights: LeadScoringWeights = leadScoringWeights) {}
+
+  computeScore(inputs: LeadScoreInputs): LeadScore {
+    const w = this.weights;
+    const factors: ScoreFactor[] = [];
+    const add = (factor: ScoreFactor) => {
+      if (factor.points !== 0) factors.push(factor);
+    };
+
+    const { timeline, budget_range, riding_experience } = inputs.qualification;
+    if (timeline && w.purchase_timeline[timeline] !== undefined) {
+      add({ key: 'purchase_timeline', category: 'data_collection', label: TIMELINE_LABELS[timeline] || `Timeline: ${timeline}`, points: w.purchase_timeline[timeline] });
+    }
+    if (budget_range && w.budget_range[budget_range] !== undefined) {
+      add({ key: 'budget_range', category: 'data_collection', label: BUDGET_LABELS[budget_range] || `Budget: ${budget_range}`, points: w.budget_range[budget_range] });
+    }
+    if (riding_experience && w.riding_experience[riding_experience] !== undefined) {
+      add({ key: 'riding_experience', category: 'data_collection', label: `Rider: ${riding_experience.replace(/_/g, ' ')}`, points: w.riding_experience[riding_experience] });
+    }
+
+    const calls = Math.min(inputs.completedCalls, w.max_calls);
+    add({ key: 'calls', category: 'engagement', label: `${inputs.completedCalls} ${inputs.completedCalls === 1 ? 'call' : 'calls'}`, points: calls * w.per_call });
+
+    const replies = Math.min(inputs.smsReplies, w.max_sms_replies);
+    add({ key: 'sms_replies', category: 'engagement', label: `${inputs.smsReplies} ${inputs.smsReplies === 1 ? 'text or email' : 'texts and emails'} from the customer`, points: replies * w.per_sms_reply });
+
+    if (inputs.lastContactAt) {
+      const days = (inputs.now.getTime() - inputs.lastContactAt.getTime()) / DAY_MS;
+      const bucket = w.recency.find(entry => days <= entry.days);
+      if (bucket) {
+        add({ key: 'recency', category: 'engagement', label: `In touch within ${bucket.days} ${bucket.days === 1 ? 'day' : 'days'}`, points: bucket.points });
+      }
+    }
+
+    const signals = new Set<string>();
+    for (const message of inputs.customerMessages) {
+      ConversationAnalyzer.analyzeMessage(message).triggers.forEach(trigger => signals.add(trigger));
+    }
+    for (const [signal, points] of Object.entries(w.keywords)) {
+      if (signals.has(signal)) {
+        add({ key: `keyword:${signal}`, category: 'keywords', label: KEYWORD_LABELS[signal] || signal.replace(/_/g, ' '), points });
+      }
+    }
+
+    const score = Math.max(0, Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0)));
+    return { score, factors, status: this.statusForScore(score, inputs) };
+  }
+
+  /**
+   * The status an automatic update may set: never one behind the current status
+   */
+  nextStatus(current: LeadStatus | undefined, proposed: LeadStatus): LeadStatus {
+    if (!current) return proposed;
+    return LEAD_STATUS_ORDER.indexOf(proposed) > LEAD_STATUS_ORDER.indexOf(current) ? proposed : current;
+  }
+
+  /**
+   * Recompute a lead's score from what is stored about it. A row is added to
+   * the history only when the score or status changes.
+   */
+  async rescore(leadId: string, source: LeadScoreSource, referenceId?: string): Promise<RescoreResult | null> {
+    const lead = await leadService.getLead(leadId);
+    if (!lead) return null;
+
+    const inputs = await this.gatherInputs(lead);
+    const result = this.computeScore(inputs);
+    const previousScore = lead.lead_score ?? null;
+    const status = this.nextStatus(lead.status, result.status);
+
+    if (previousScore === result.score && status === lead.status && sameFactors(lead.score_factors, result.factors)) {
+      return { lead, score: result.score, factors: result.factors, changed: false };
+    }
+
+    const updated = await leadService.updateLead(lead.id, {
+      lead_score: result.score,
+      score_factors: result.factors,
+      scored_at: inputs.now.toISOString(),
+      status,
+      qualification_data: {
+        ...(lead.qualification_data || {}),
+        purchase_intent: result.score / 100,
+        ready_to_buy: result.score >= this.weights.thresholds.hot
+      } as Lead['qualification_data']
+    });
+
+    if (previousScore !== result.score || status !== lead.status) {
+      await this.recordChange({
+        organization_id: lead.organization_id,
+        lead_id: lead.id,
+        score: result.score,
+        previous_score: previousScore,
+        status,
+        previous_status: lead.status || null,
+        factors: result.factors,
+        source,
+        reference_id: referenceId || null
+      });
+    }
+
+    if (status !== lead.status) {
+      logger.info('Lead status moved forward by score:', { lead_id: lead.id, from: lead.status, to: status, score: result.score });
+      await integrationWebhookService.dispatch(lead.organization_id, 'lead.status_changed', {
+        lead: integrationLead(updated || { ...lead, status }),
+        previous_status: lead.status || null,
+        status,
+        source
+      });
+    }
+
+    broadcastToClients({
+      type: 'lead_updated',
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      updates: { lead_score: result.score, status }
+    });
+
+    return { lead: updated, score: result.score, factors: result.factors, changed: true };
+  }
+
+  /**
+   * Staff set a status directly; the only way a lead moves backwards
+   */
+  async overrideStatus(lead: Lead, status: LeadStatus, user: Pick<User, 'id' | 'name'>, reason?: string): Promise<Lead> {
+    const updated = await leadService.updateLead(lead.id, { status });
+
+    await this.recordChange({
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      score: lead.lead_score ?? 0,
+      previous_score: lead.lead_score ?? null,
+      status,
+      previous_status: lead.status || null,
+      factors: lead.score_factors || [],
+      source: 'manual',
+      changed_by: user.id,
+      reason: reason || null
+    });
+
+    broadcastToClients({
+      type: 'lead_updated',
+      organization_id: lead.organization_id,
+      lead_id: lead.id,
+      updates: { status }
+    });
+
+    if (status !== lead.status) {
+      await integrationWebhookService.dispatch(lead.organization_id, 'lead.status_changed', {
+        lead: integrationLead(updated || { ...lead, status }),
+        previous_status: lead.status || null,
+        status,
+        source: 'manual',
+        reason: reason || null
+      });
+    }
+
+    return updated;
+  }
+
+  async getHistory(leadId: string, limit: number = 20): Promise<LeadScoreChange[]> {
+    try {
+      const { data, error } = await supabase
+        .from('lead_score_history')
+        .select('*')
+        .eq('lead_id', leadId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        handleSupabaseError(error, 'get lead score history');
+      }
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting lead score history:', error);
+      throw error;
+    }
+  }
+
+  private statusForScore(score: number, inputs: LeadScoreInputs): LeadStatus {
+    if (score >= this.weights.thresholds.hot) return 'hot';
+    if (score >= this.weights.thresholds.qualified) return 'qualified';
+    if (inputs.completedCalls > 0 || inputs.smsReplies > 0) return 'contacted';
+    return 'new';
+  }
+
+  private async gatherInputs(lead: Lead): Promise<LeadScoreInputs> {
+    const now = new Date();
+    const since = new Date(now.getTime() - this.weights.keyword_window_days * DAY_MS);
+
+    const [calls, replies, messages] = await Promise.all([
+      supabase
+        .from('call_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('lead_id', lead.id)
+        .eq('status', 'completed'),
+      supabase
+        .from('conversations')
+        .select('id', { count: 'exact', head: true })
+        .eq('lead_id', lead.id)
+        .eq('sent_by', 'user')
+        .in('type', ['sms', 'email']),
+      supabase
+        .from('conversations')
+        .select('content')
+        .eq('lead_id', lead.id)
+        .eq('sent_by', 'user')
+        .gte('timestamp', since.toISOString())
+    ]);
+
+    for (const { error } of [calls, replies, messages]) {
+      if (error) handleSupabaseError(error, 'gather lead score inputs');
+    }
+
+    return {
+      qualification: lead.qualification_data || {},
+      completedCalls: calls.count || 0,
+      smsReplies: replies.count || 0,
+      lastContactAt: lead.last_contact_at ? new Date(lead.last_contact_at) : null,
+      customerMessages: (messages.data || []).map((row: any) => row.content || ''),
+      now
+    };
+  }
+
+  private async recordChange(change: Omit<LeadScoreChange, 'id' | 'created_at'>): Promise<void> {
+    const { error } = await supabase
+      .from('lead_score_history')
+      .insert({ ...change, created_at: new Date().toISOString() });
+
+    if (error) {
+      handleSupabaseError(error, 'record lead score change');
+    }
+  }
+}
+
+function sameFactors(a: ScoreFactor[] | undefined, b: ScoreFactor[]): boolean {
+  return JSON.stringify(a || []) === JSON.stringify(b);
+}
@@ -0,0 +1,168 @@
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+import { getRedisMonitoringService } from './redis.monitoring.service';
+import { logger } from '../utils/logger';
+
+/**
+ * Prometheus metrics served at /metrics. Business metrics carry an
+ * organization_id label ('unknown' until a request is tied to a store);
+ * gauges are read from their source at scrape time.
+ */
+export const metricsRegistry = new Registry();
+
+collectDefaultMetrics({ register: metricsRegistry, prefix: 'bici_' });
+
+const UNKNOWN = 'unknown';
+
+export function organizationLabel(organizationId?: string | null): string {
+  return organizationId || UNKNOWN;
+}
+
+// Webhooks wait on Supabase, the agent and Twilio, so the buckets run long
+const WEBHOOK_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const webhookDuration = new Histogram({
+  name: 'bici_webhook_duration_seconds',
+  help: 'Time to answer a webhook, by route and response status',
+  labelNames: ['organization_id', 'source', 'endpoint', 'status'] as const,
+  buckets: WEBHOOK_BUCKETS,
+  registers: [metricsRegistry]
+});
+
+export const webhookStepDuration = new Histogram({
+  name: 'bici_webhook_step_duration_seconds',
+  help: 'Time spent in each side effect of a webhook, e.g. post-call summary or SMS follow-up',
+  labelNames: ['organization_id', 'source', 'endpoint', 'step', 'outcome'] as const,
+  buckets: WEBHOOK_BUCKETS,
+  registers: [metricsRegistry]
+});
+
+export const webhookStepsSkipped = new Counter({
+  name: 'bici_webhook_steps_skipped_total',
+  help: 'Webhook steps skipped on a replay or retry because an earlier attempt completed them',
+  labelNames: ['organization_id', 'source', 'endpoint', 'step'] as const,
+  registers: [metricsRegistry]
+});
+
+export const smsResponderDuration = new Histogram({
+  name: 'bici_sms_responder_duration_seconds',
+  help: 'Time for an SMS responder to answer a text',
+  labelNames: ['organization_id', 'responder', 'outcome'] as const,
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30],
+  registers: [metricsRegistry]
+});
+
+export const smsResponderFallbacks = new Counter({
+  name: 'bici_sms_responder_fallbacks_total',
+  help: 'Texts a responder failed to answer, handing them to the next one',
+  labelNames: ['organization_id', 'responder'] as const,
+  registers: [metricsRegistry]
+});
+
+export const smsReplies = new Counter({
+  name: 'bici_sms_replies_total',
+  help: 'Texts answered, by the responder that answered them',
+  labelNames: ['organization_id', 'responder'] as const,
+  registers: [metricsRegistry]
+});
+
+export const smsMessages = new Counter({
+  name: 'bici_sms_messages_total',
+  help: 'Outbound texts by template type: sent, failed or suppressed by consent rules',
+  labelNames: ['organization_id', 'template_type', 'outcome'] as const,
+  registers: [metricsRegistry]
+});
+
+new Gauge({
+  name: 'bici_human_control_sessions',
+  help: 'Conversations currently held by staff',
+  labelNames: ['organization_id'] as const,
+  registers: [metricsRegistry],
+  async collect() {
+    this.reset();
+    try {
+      // Imported here; the human control service itself sends texts that are measured above
+      const { HumanControlService } = await import('./humanControl.service');
+      const counts = new Map<string, number>();
+      for (const session of await new HumanControlService().getActiveSessions()) {
+        const organization = organizationLabel(session.organization_id);
+        counts.set(organization, (counts.get(organization) || 0) + 1);
+      }
+      counts.forEach((count, organization) => this.set({ organization_id: organization }, count));
+    } catch (error) {
+      logger.warn('Could not count human control sessions for metrics:', error);
+    }
+  }
+});
+
+new Gauge({
+  name: 'bici_realtime_connections',
+  help: 'Open dashboard event streams (SSE and WebSocket) on this instance',
+  labelNames: ['organization_id'] as const,
+  registers: [metricsRegistry],
+  async collect() {
+    this.reset();
+    const { getConnectionCounts } = await import('./realtime.service');
+    for (const [organization, count] of Object.entries(getConnectionCounts())) {
+      this.set({ organization_id: organizationLabel(organization) }, count);
+    }
+  }
+});
+
+// The RedisMonitoringService figures, which are not per organization
+const redisMetrics = () => getRedisMonitoringService().getMetrics();
+
+new Gauge({
+  name: 'bici_redis_connected',
+  help: '1 when Redis is connected',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(redisMetrics().connectionStatus === 'connected' ? 1 : 0);
+  }
+});
+
+new Gauge({
+  name: 'bici_redis_cache_hit_ratio',
+  help: 'Share of Redis cache reads that hit',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(redisMetrics().cacheHitRate / 100);
+  }
+});
+
+new Gauge({
+  name: 'bici_redis_response_time_seconds',
+  help: 'Average Redis operation time over recent operations',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(redisMetrics().averageResponseTime / 1000);
+  }
+});
+
+new Gauge({
+  name: 'bici_redis_memory_used_bytes',
+  help: 'Memory used by Redis, when reported',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(redisMetrics().memoryUsage?.used || 0);
+  }
+});
+
+// Running totals kept by the monitoring service, re-read on every scrape
+const REDIS_TOTALS: Array<[string, string, (metrics: ReturnType<typeof redisMetrics>) => number]> = [
+  ['bici_redis_cache_hits_total', 'Redis cache reads that hit', metrics => metrics.cacheHits],
+  ['bici_redis_cache_misses_total', 'Redis cache reads that missed', metrics => metrics.cacheMisses],
+  ['bici_redis_operations_total', 'Redis operations', metrics => metrics.totalOperations],
+  ['bici_redis_errors_total', 'Failed Redis operations', metrics => metrics.totalErrors]
+];
+
+for (const [name, help, read] of REDIS_TOTALS) {
+  new Counter({
+    name,
+    help,
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      this.inc(read(redisMetrics()));
+    }
+  });
+}
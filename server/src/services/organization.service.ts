@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { businessHours, elevenLabsConfig, storeInfo, storeTimezone } from '../config/elevenlabs.config';
+import { DayHours, Organization, OrganizationSettings, SMSResponderName } from '../types';
+import { DAY_NAMES, toMinutes } from '../utils/business-hours.helper';
+import { escapeLike, isValidEmail } from '../utils/email.helper';
+import { logger } from '../utils/logger';
+import { redisService } from './redis.service';
+import { respondersConfig, SMS_RESPONDER_NAMES } from '../config/responders.config';
+
+export const SETTING_KEYS: (keyof OrganizationSettings)[] = [
+  'name',
+  'spoken_name',
+  'address',
+  'phone',
+  'email',
+  'website',
+  'timezone',
+  'business_hours',
+  'services',
+  'elevenlabs_agent_id',
+  'elevenlabs_phone_number_id',
+  'twilio_phone_number',
+  'transfer_number',
+  'sms_responders'
+];
+
+const PHONE_SETTINGS: (keyof OrganizationSettings)[] = ['phone', 'twilio_phone_number', 'transfer_number'];
+
+const E164 = /^\+[1-9]\d{1,14}$/;
+
+const CLOSED: DayHours = { open: 'closed', close: 'closed' };
+
+export function hashToolSecret(secret: string): string {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+export type OrganizationSettingsInput = Partial<Omit<OrganizationSettings, 'business_hours'>> & {
+  business_hours?: Record<string, DayHours | string>;
+};
+
+/**
+ * Store details for each organization, read from organizations.settings.
+ * Fields an organization leaves out fall back to the environment defaults
+ * in elevenlabs.config so a single-store deployment keeps working unchanged.
+ */
+export class OrganizationService {
+  /**
+   * Organization record, cached by id
+   */
+  async getOrganization(organizationId: string): Promise<Organization | null> {
+    const cached = await redisService.getCachedOrganizationById(organizationId);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('id', organizationId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        handleSupabaseError(error, 'get organization');
+      }
+
+      if (data) {
+        await redisService.cacheOrganization(data.phone_number, data);
+      }
+      return data || null;
+    } catch (error) {
+      logger.error('Error getting organization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Organization whose settings name this ElevenLabs agent
+   */
+  async getOrganizationByAgentId(agentId: string): Promise<Organization | null> {
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('settings->>elevenlabs_agent_id', agentId)
+        .limit(1);
+
+      if (error) {
+        handleSupabaseError(error, 'get organization by agent');
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error('Error getting organization by agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Organization holding this agent tool secret (X-Bici-Tool-Secret). Only a
+   * hash of the secret is stored.
+   */
+  async getOrganizationByToolSecret(secret: string): Promise<Organization | null> {
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('tool_secret_hash', hashToolSecret(secret))
+        .limit(1);
+
+      if (error) {
+        handleSupabaseError(error, 'get organization by tool secret');
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error('Error getting organization by tool secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new agent tool secret, replacing the old one. The secret is only
+   * returned here; put it in the agent's tool headers.
+   */
+  async rotateToolSecret(organizationId: string): Promise<string> {
+    const secret = `tsec_${crypto.randomBytes(24).toString('hex')}`;
+    const { error } = await supabase
+      .from('organizations')
+      .update({ tool_secret_hash: hashToolSecret(secret), updated_at: new Date() })
+      .eq('id', organizationId);
+
+    if (error) {
+      handleSupabaseError(error, 'rotate tool secret');
+    }
+
+    await redisService.invalidateOrganization(organizationId);
+    return secret;
+  }
+
+  /**
+   * Organization whose settings email is one of these addresses, for inbound mail
+   */
+  async getOrganizationByEmail(addresses: string[]): Promise<Organization | null> {
+    try {
+      for (const address of addresses) {
+        const { data, error } = await supabase
+          .from('organizations')
+          .select('*')
+          .ilike('settings->>email', escapeLike(address))
+          .limit(1);
+
+        if (error) {
+          handleSupabaseError(error, 'get organization by email');
+        }
+        if (data?.[0]) return data[0];
+      }
+      return null;
+    } catch (error) {
+      logger.error('Error getting organization by email:', error);
+      throw error;
+    }
+  }
+
+  async getSettings(organizationId: string): Promise<OrganizationSettings> {
+    const organization = await this.getOrganization(organizationId);
+    if (!organization) {
+      logger.warn('Organization not found, using default store settings:', { organizationId });
+    }
+    return this.resolveSettings(organization);
+  }
+
+  /**
+   * Stored settings merged over the defaults, with hours normalized
+   */
+  resolveSettings(organization: Organization | null): OrganizationSettings {
+    const defaults = this.getDefaultSettings();
+    if (!organization) {
+      return defaults;
+    }
+
+    const stored = organization.settings || {};
+    const name = stored.name || organization.name || defaults.name;
+
+    return {
+      name,
+      spoken_name: stored.spoken_name || name,
+      address: stored.address || stored.location?.address || defaults.address,
+      phone: stored.phone || defaults.phone,
+      email: stored.email || defaults.email,
+      website: stored.website || defaults.website,
+      timezone: stored.timezone || defaults.timezone,
+      business_hours: (stored.business_hours && this.normalizeHours(stored.business_hours)) || defaults.business_hours,
+      services: stored.services?.length ? stored.services : defaults.services,
+      elevenlabs_agent_id: stored.elevenlabs_agent_id || defaults.elevenlabs_agent_id,
+      elevenlabs_phone_number_id: stored.elevenlabs_phone_number_id || defaults.elevenlabs_phone_number_id,
+      twilio_phone_number: stored.twilio_phone_number || organization.phone_number || defaults.twilio_phone_number,
+      transfer_number: stored.transfer_number,
+      sms_responders: stored.sms_responders?.length ? stored.sms_responders : defaults.sms_responders
+    };
+  }
+
+  getDefaultSettings(): OrganizationSettings {
+    return {
+      name: storeInfo.name,
+      spoken_name: storeInfo.spokenName,
+      address: storeInfo.address,
+      phone: storeInfo.phone || '',
+      email: storeInfo.email,
+      website: storeInfo.website,
+      timezone: storeTimezone,
+      business_hours: { ...businessHours },
+      services: [...storeInfo.services],
+      elevenlabs_agent_id: elevenLabsConfig.agentId,
+      elevenlabs_phone_number_id: elevenLabsConfig.phoneNumberId,
+      twilio_phone_number: process.env.TWILIO_PHONE_NUMBER || '',
+      sms_responders: [...respondersConfig.defaultOrder]
+    };
+  }
+
+  /**
+   * Validation errors for a settings update; empty when it can be saved
+   */
+  validateSettings(input: OrganizationSettingsInput): string[] {
+    const errors: string[] = [];
+
+    for (const [key, value] of Object.entries(input)) {
+      if (!SETTING_KEYS.includes(key as keyof OrganizationSettings)) {
+        errors.push(`${key} is not a supported setting`);
+      } else if (key === 'business_hours') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push('business_hours must be an object keyed by day');
+          continue;
+        }
+        for (const [day, hours] of Object.entries(value)) {
+          if (!DAY_NAMES.includes(day)) {
+            errors.push(`business_hours.${day} is not a day of the week`);
+          } else if (!this.parseDayHours(hours)) {
+            errors.push(`business_hours.${day} must be "closed" or an open time before the close time (HH:MM)`);
+          }
+        }
+      } else if (key === 'sms_responders') {
+        if (!Array.isArray(value) || value.length === 0 || value.some(name => !SMS_RESPONDER_NAMES.includes(name as SMSResponderName))) {
+          errors.push(`sms_responders must be a non-empty list of: ${SMS_RESPONDER_NAMES.join(', ')}`);
+        } else if (new Set(value).size !== value.length) {
+          errors.push('sms_responders must not repeat a responder');
+        }
+      } else if (key === 'services') {
+        if (!Array.isArray(value) || value.some(service => typeof service !== 'string')) {
+          errors.push('services must be a list of strings');
+        }
+      } else if (typeof value !== 'string') {
+        errors.push(`${key} must be a string`);
+      } else if (key === 'timezone' && !this.isValidTimezone(value)) {
+        errors.push('timezone must be an IANA timezone such as America/Vancouver');
+      } else if (PHONE_SETTINGS.includes(key as keyof OrganizationSettings) && value && !E164.test(value)) {
+        errors.push(`${key} must be in E.164 format (e.g., +17787193080)`);
+      } else if (key === 'email' && value && !isValidEmail(value)) {
+        errors.push('email must be an email address');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge changes into the stored settings. The name and Twilio number are
+   * mirrored onto the organization columns used for inbound number lookup.
+   */
+  async updateSettings(organizationId: string, input: OrganizationSettingsInput): Promise<OrganizationSettings | null> {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('id', organizationId)
+        .single();
+
+      if (fetchError && fetchError.code !== 'PGRST116') {
+        handleSupabaseError(fetchError, 'get organization');
+      }
+      if (!existing) {
+        return null;
+      }
+
+      const changes: Record<string, any> = { ...input };
+      if (input.business_hours) {
+        // Days left out of the update keep their current hours
+        changes.business_hours = this.normalizeHours({
+          ...this.resolveSettings(existing).business_hours,
+          ...input.business_hours
+        });
+      }
+
+      const updates: Record<string, any> = {
+        settings: { ...(existing.settings || {}), ...changes },
+        updated_at: new Date()
+      };
+      if (input.name) updates.name = input.name;
+      if (input.twilio_phone_number) updates.phone_number = input.twilio_phone_number;
+
+      const { data, error } = await supabase
+        .from('organizations')
+        .update(updates)
+        .eq('id', organizationId)
+        .select()
+        .single();
+
+      if (error) {
+        handleSupabaseError(error, 'update organization settings');
+      }
+
+      await redisService.invalidateOrganization(organizationId, existing.phone_number);
+      if (data.phone_number !== existing.phone_number) {
+        await redisService.invalidateOrganization(organizationId, data.phone_number);
+      }
+
+      logger.info('Updated organization settings:', { organizationId, fields: Object.keys(input) });
+      return this.resolveSettings(data);
+    } catch (error) {
+      logger.error('Error updating organization settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accepts { open, close } objects as well as the "9:00-18:00" / "closed"
+   * strings from the original schema. Days left out are closed.
+   */
+  private normalizeHours(raw: Record<string, DayHours | string>): Record<string, DayHours> {
+    const hours: Record<string, DayHours> = {};
+    for (const day of DAY_NAMES) {
+      hours[day] = (raw[day] !== undefined && this.parseDayHours(raw[day])) || CLOSED;
+    }
+    return hours;
+  }
+
+  private parseDayHours(value: DayHours | string): DayHours | null {
+    if (value === 'closed' || (typeof value === 'object' && value?.open === 'closed')) {
+      return CLOSED;
+    }
+
+    const [open, close] = typeof value === 'string'
+      ? value.split('-').map(part => part.trim())
+      : [value?.open, value?.close];
+
+    const pad = (time: string | undefined) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+      return `${match[1].padStart(2, '0')}:${match[2]}`;
+    };
+
+    const openTime = pad(open);
+    const closeTime = pad(close);
+    if (!openTime || !closeTime || toMinutes(openTime) >= toMinutes(closeTime)) {
+      return null;
+    }
+    return { open: openTime, close: closeTime };
+  }
+
+  private isValidTimezone(timezone: string): boolean {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
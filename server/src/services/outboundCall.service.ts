@@ -0,0 +1,190 @@
+import { elevenLabsConfig } from '../config/elevenlabs.config';
+import { CallSession, Lead, OrganizationSettings } from '../types';
+import { getLocalTime, getTimezoneName, describeStoreStatus } from '../utils/business-hours.helper';
+import { generateGreetingContext } from '../utils/greeting.helper';
+import { logger } from '../utils/logger';
+import { CallSessionService } from './callSession.service';
+import { ConversationService } from './conversation.service';
+import { buildConversationContext } from './customerMemory.service';
+import { OrganizationService } from './organization.service';
+
+export interface OutboundCallRequest {
+  organizationId: string;
+  phoneNumber: string;
+  lead?: Lead | null;
+  purpose?: string;       // Campaign reason for calling, spoken in the greeting
+  campaignId?: string;
+  settings?: OrganizationSettings;
+}
+
+export interface OutboundCallResult {
+  success: boolean;
+  status: number;         // HTTP status to report back to the dashboard
+  error?: string;
+  details?: any;
+  conversation_id?: string;
+  call_sid?: string;
+  session?: CallSession | null;
+}
+
+const callSessionService = new CallSessionService();
+const conversationService = new ConversationService();
+const organizationService = new OrganizationService();
+
+/**
+ * Places outbound calls through ElevenLabs' Twilio integration, for the
+ * dashboard's call button and for campaigns.
+ */
+export class OutboundCallService {
+  async placeCall(request: OutboundCallRequest): Promise<OutboundCallResult> {
+    const { organizationId, phoneNumber, lead, purpose, campaignId } = request;
+    const settings = request.settings || await organizationService.getSettings(organizationId);
+
+    if (!elevenLabsConfig.apiKey || !settings.elevenlabs_agent_id || !settings.elevenlabs_phone_number_id) {
+      logger.error('❌ ElevenLabs configuration missing');
+      return {
+        success: false,
+        status: 500,
+        error: 'ElevenLabs not properly configured',
+        details: {
+          apiKey: !elevenLabsConfig.apiKey,
+          agentId: !settings.elevenlabs_agent_id,
+          phoneNumberId: !settings.elevenlabs_phone_number_id
+        }
+      };
+    }
+
+    let conversationContext = '';
+    let previousSummary = 'No previous interactions';
+    let previousSummaryObj = null;
+
+    if (lead) {
+      conversationContext = await buildConversationContext(lead.id, 'voice');
+
+      const summaries = await conversationService.getAllSummaries(lead.id);
+      if (summaries && summaries.length > 0) {
+        previousSummaryObj = summaries[0];
+        previousSummary = summaries[0].summary;
+      }
+    }
+
+    const { timeString: currentTime, dayOfWeek } = getLocalTime(settings);
+    const greetingContext = generateGreetingContext(settings, lead, true, previousSummaryObj, purpose);
+
+    logger.info('Generated outbound greeting:', {
+      greeting_opener: greetingContext.greeting_opener,
+      greeting_variation: greetingContext.greeting_variation,
+      campaign_id: campaignId
+    });
+
+    // Dynamic variables go in directly since the initiation webhook isn't called for outbound
+    const clientData = {
+      lead_id: lead?.id,
+      campaign_id: campaignId,
+      customer_phone: phoneNumber,
+      initiated_by: campaignId ? 'campaign' : 'agent',
+      timestamp: new Date().toISOString(),
+      dynamic_variables: {
+        customer_name: lead?.customer_name || '',
+        customer_phone: phoneNumber,
+        lead_status: lead?.status || 'new',
+        conversation_context: conversationContext || 'This is the first interaction with this customer.',
+        previous_summary: previousSummary,
+        bike_interest: JSON.stringify(lead?.bike_interest || {}),
+        organization_name: settings.name,
+        organization_id: organizationId,
+        location_address: settings.address,
+        business_hours: describeStoreStatus(settings),
+        current_time: currentTime,
+        current_day: dayOfWeek,
+        current_datetime: `${dayOfWeek} ${currentTime} ${getTimezoneName(settings.timezone, 'long')}`,
+        has_customer_name: lead?.customer_name ? 'true' : 'false',
+        ...greetingContext
+      }
+    };
+
+    const callPayload = {
+      agent_id: settings.elevenlabs_agent_id,
+      agent_phone_number_id: settings.elevenlabs_phone_number_id,
+      to_number: phoneNumber,
+      conversation_initiation_client_data: clientData
+    };
+
+    logger.info('📞 Making ElevenLabs API call with payload:', {
+      agent_id: callPayload.agent_id,
+      agent_phone_number_id: callPayload.agent_phone_number_id,
+      to_number: callPayload.to_number,
+      campaign_id: campaignId
+    });
+
+    const response = await fetch(`${elevenLabsConfig.apiBaseUrl}/v1/convai/twilio/outbound-call`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'xi-api-key': elevenLabsConfig.apiKey
+      },
+      body: JSON.stringify(callPayload)
+    });
+
+    const responseText = await response.text();
+    let result: any;
+    try {
+      result = JSON.parse(responseText);
+    } catch (parseError) {
+      logger.error('❌ Failed to parse ElevenLabs response:', parseError);
+      return {
+        success: false,
+        status: 500,
+        error: 'Invalid response from ElevenLabs',
+        details: { response_text: responseText.substring(0, 500) }
+      };
+    }
+
+    logger.info('📡 ElevenLabs API response:', { status: response.status, result });
+
+    if (!response.ok) {
+      logger.error('❌ ElevenLabs API error:', {
+        status: response.status,
+        statusText: response.statusText,
+        response: result
+      });
+
+      let errorMessage = 'Failed to initiate call';
+      if (response.status === 401) {
+        errorMessage = 'Invalid ElevenLabs API key';
+      } else if (response.status === 400) {
+        errorMessage = 'Invalid request parameters';
+      } else if (response.status === 404) {
+        errorMessage = 'Agent or phone number not found';
+      }
+
+      return { success: false, status: response.status, error: errorMessage, details: result };
+    }
+
+    let session: CallSession | null = null;
+    if (lead && result.conversation_id) {
+      try {
+        session = await callSessionService.createSession({
+          organization_id: organizationId,
+          lead_id: lead.id,
+          elevenlabs_conversation_id: result.conversation_id,
+          status: 'initiated',
+          call_type: 'outbound',
+          campaign_id: campaignId,
+          metadata: { call_sid: result.call_sid }
+        });
+      } catch (sessionError) {
+        // The call was still placed
+        logger.error('Failed to create call session:', sessionError);
+      }
+    }
+
+    return {
+      success: true,
+      status: 200,
+      conversation_id: result.conversation_id,
+      call_sid: result.call_sid,
+      session
+    };
+  }
+}
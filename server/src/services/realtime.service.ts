@@ -1,11 +1,163 @@
 import { Response } from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger';
-import { redisService } from './redis.service';
+import { redisService, compareStreamIds } from './redis.service';
+import { LEAD_STREAM_EVENTS, RealtimeEnvelope, RealtimeEvent } from '../types/events';
 
-// Store SSE connections
-const sseConnections = new Map<string, Response[]>();
+/**
+ * A dashboard connection, over SSE or WebSocket. It receives its own
+ * organization's events, and live call detail only for the lead it is
+ * subscribed to.
+ */
+interface RealtimeConnection {
+  id: string;
+  clientId: string;
+  organizationId: string;
+  userId: string;
+  leadId: string | null;
+  write: (envelope: RealtimeEnvelope) => void;
+  // Live events held back while missed ones are replayed
+  pending: RealtimeEnvelope[] | null;
+}
+
+export interface ConnectionOptions {
+  organizationId: string;
+  userId: string;
+  leadId?: string | null;
+  lastEventId?: string;
+}
+
+// Sent to move a client's connections to another lead, wherever they are held
+interface SubscriptionChange {
+  client_id: string;
+  organization_id: string;
+  user_id: string;
+  lead_id: string | null;
+}
+
+const connections = new Map<string, RealtimeConnection>();
+
+// Resolves true once this instance listens on the Redis channels. Until
+// then, or with Redis disabled, events are delivered to local connections.
+let busReady: Promise<boolean> | null = null;
+
+function ensureBus(): Promise<boolean> {
+  if (!busReady) {
+    busReady = redisService.subscribeToEvents(deliverLocally, applySubscription).then(subscribed => {
+      if (!subscribed) busReady = null;
+      return subscribed;
+    });
+  }
+  return busReady;
+}
+
+function shouldDeliver(connection: RealtimeConnection, envelope: RealtimeEnvelope): boolean {
+  if (envelope.organization_id !== connection.organizationId) return false;
+  return !LEAD_STREAM_EVENTS.includes(envelope.type) || envelope.lead_id === connection.leadId;
+}
+
+function send(connection: RealtimeConnection, envelope: RealtimeEnvelope) {
+  if (!shouldDeliver(connection, envelope)) return;
+  if (connection.pending) {
+    connection.pending.push(envelope);
+    return;
+  }
+  try {
+    connection.write(envelope);
+  } catch (error) {
+    logger.error('Error broadcasting to client:', error);
+  }
+}
+
+function deliverLocally(envelope: RealtimeEnvelope) {
+  connections.forEach(connection => send(connection, envelope));
+}
+
+function applySubscription(change: SubscriptionChange) {
+  connections.forEach(connection => {
+    if (connection.clientId === change.client_id &&
+        connection.organizationId === change.organization_id &&
+        connection.userId === change.user_id) {
+      connection.leadId = change.lead_id;
+    }
+  });
+}
 
-export function setupSSEConnection(clientId: string, res: Response) {
+/**
+ * Register a connection and replay what it missed since lastEventId.
+ * Returns the connection id for removeConnection.
+ */
+export async function addConnection(
+  clientId: string,
+  options: ConnectionOptions,
+  write: (envelope: RealtimeEnvelope) => void
+): Promise<string> {
+  const connection: RealtimeConnection = {
+    id: uuidv4(),
+    clientId,
+    organizationId: options.organizationId,
+    userId: options.userId,
+    leadId: options.leadId || null,
+    write,
+    pending: options.lastEventId ? [] : null
+  };
+  connections.set(connection.id, connection);
+  await ensureBus();
+
+  if (options.lastEventId) {
+    let lastReplayed = options.lastEventId;
+    try {
+      const missed = await redisService.getEventsSince(connection.organizationId, options.lastEventId);
+      for (const { id, event } of missed) {
+        const envelope = { ...event, id } as RealtimeEnvelope;
+        if (shouldDeliver(connection, envelope)) connection.write(envelope);
+        lastReplayed = id;
+      }
+    } catch (error) {
+      logger.error('Error replaying missed events:', error);
+    }
+
+    // Anything that arrived during the replay and wasn't part of it
+    const pending = connection.pending || [];
+    connection.pending = null;
+    pending
+      .filter(envelope => compareStreamIds(envelope.id, lastReplayed) > 0)
+      .forEach(envelope => send(connection, envelope));
+  }
+
+  return connection.id;
+}
+
+export function removeConnection(connectionId: string) {
+  connections.delete(connectionId);
+}
+
+/**
+ * Follow a single lead's live call detail on an already open connection
+ */
+export function setConnectionLead(connectionId: string, leadId: string | null) {
+  const connection = connections.get(connectionId);
+  if (connection) connection.leadId = leadId;
+}
+
+/**
+ * Follow a single lead on every connection a dashboard client has open.
+ * The connection may be held by another instance, so the change is
+ * published rather than applied here.
+ */
+export async function setClientSubscription(
+  clientId: string,
+  organizationId: string,
+  userId: string,
+  leadId: string | null
+) {
+  const change: SubscriptionChange = { client_id: clientId, organization_id: organizationId, user_id: userId, lead_id: leadId };
+  if (!(await ensureBus()) || !(await redisService.publishEventControl(change))) {
+    applySubscription(change);
+  }
+}
+
+export async function setupSSEConnection(clientId: string, res: Response, options: ConnectionOptions) {
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -14,19 +166,17 @@ export function setupSSEConnection(clientId: string, res: Response) {
     'Access-Control-Allow-Origin': '*'
   });
   
-  // Store connection
-  if (!sseConnections.has(clientId)) {
-    sseConnections.set(clientId, []);
-  }
-  sseConnections.get(clientId)!.push(res);
-  
-  // Send initial connection event
+  // Send initial connection event (no id, so it doesn't move Last-Event-ID)
   res.write(`data: ${JSON.stringify({ 
     type: 'connected', 
     clientId,
     timestamp: new Date().toISOString() 
   })}\n\n`);
   
+  const connectionId = await addConnection(clientId, options, envelope => {
+    res.write(`id: ${envelope.id}\ndata: ${JSON.stringify(envelope)}\n\n`);
+  });
+  
   // Keep connection alive
   const keepAlive = setInterval(() => {
     res.write(': ping\n\n');
@@ -35,73 +185,65 @@ export function setupSSEConnection(clientId: string, res: Response) {
   // Clean up on disconnect
   res.on('close', () => {
     clearInterval(keepAlive);
-    const connections = sseConnections.get(clientId);
-    if (connections) {
-      const index = connections.indexOf(res);
-      if (index > -1) {
-        connections.splice(index, 1);
-      }
-      if (connections.length === 0) {
-        sseConnections.delete(clientId);
-      }
-    }
+    removeConnection(connectionId);
     logger.info('SSE connection closed:', { clientId });
   });
   
-  logger.info('SSE connection established:', { clientId });
+  logger.info('SSE connection established:', { clientId, organizationId: options.organizationId });
 }
 
-export function broadcastToClients(data: any, targetClientId?: string) {
-  const message = `data: ${JSON.stringify({
-    ...data,
-    timestamp: new Date().toISOString()
-  })}\n\n`;
-  
-  if (targetClientId) {
-    // Send to specific client
-    const connections = sseConnections.get(targetClientId);
-    if (connections) {
-      connections.forEach(res => {
-        try {
-          res.write(message);
-        } catch (error) {
-          logger.error('Error broadcasting to client:', error);
-        }
-      });
+/**
+ * Publish an event to the organization's dashboards on every instance.
+ * Resolves to the delivered envelope, or null if it couldn't be sent.
+ */
+export async function broadcastToClients(event: RealtimeEvent): Promise<RealtimeEnvelope | null> {
+  if (!event.organization_id) {
+    logger.warn('Dropping realtime event without an organization:', { type: event.type });
+    return null;
+  }
+
+  try {
+    const timestamp = new Date().toISOString();
+    const id = await redisService.appendEvent(event.organization_id, { ...event, timestamp });
+    const envelope = { ...event, id, timestamp } as RealtimeEnvelope;
+
+    if (!(await ensureBus()) || !(await redisService.publishEvent(envelope))) {
+      deliverLocally(envelope);
     }
-  } else {
-    // Broadcast to all clients
-    sseConnections.forEach((connections, clientId) => {
-      connections.forEach(res => {
-        try {
-          res.write(message);
-        } catch (error) {
-          logger.error('Error broadcasting to client:', error);
-        }
-      });
+
+    logger.debug('Broadcasted event:', {
+      type: event.type,
+      organizationId: event.organization_id,
+      connectionCount: connections.size
     });
+    return envelope;
+  } catch (error) {
+    logger.error('Error broadcasting event:', error);
+    return null;
   }
-  
-  logger.debug('Broadcasted event:', { 
-    type: data.type, 
-    targetClientId,
-    connectionCount: sseConnections.size 
-  });
 }
 
 export function getActiveConnections(): number {
-  let total = 0;
-  sseConnections.forEach(connections => {
-    total += connections.length;
+  return connections.size;
+}
+
+// Open connections on this instance per organization
+export function getConnectionCounts(): Record<string, number> {
+  const counts: Record<string, number> = {};
+  connections.forEach(connection => {
+    counts[connection.organizationId] = (counts[connection.organizationId] || 0) + 1;
   });
-  return total;
+  return counts;
 }
 
 // Dashboard caching functions to improve performance
 /**
  * Broadcast lead update and invalidate related caches
  */
-export function broadcastLeadUpdate(leadId: string, updateData?: any) {
+export function broadcastLeadUpdate(
+  leadId: string,
+  updateData: { organization_id: string; customer_name?: string | null; updates?: Record<string, unknown> }
+) {
   // Standard broadcast
   broadcastToClients({
     type: 'lead_updated',
@@ -113,9 +255,7 @@ export function broadcastLeadUpdate(leadId: string, updateData?: any) {
   // This is fire-and-forget to not slow down the broadcast
   setImmediate(async () => {
     try {
-      // We don't have organization ID here, so we'll need to clear broadly
-      // or find a way to get it from the lead data
-      if (updateData?.organization_id) {
+      if (updateData.organization_id) {
         await redisService.invalidateDashboardCache(updateData.organization_id);
       }
     } catch (error) {
@@ -124,34 +264,6 @@ export function broadcastLeadUpdate(leadId: string, updateData?: any) {
   });
 }
 
-/**
- * Get cached dashboard statistics or fetch from database
- */
-export async function getCachedDashboardStats(organizationId: string): Promise<any | null> {
-  try {
-    // Try cache first
-    const cached = await redisService.getCachedDashboardStats(organizationId);
-    if (cached) {
-      logger.debug('Dashboard stats cache hit for org:', organizationId);
-      return cached;
-    }
-
-    // Cache miss - fetch from database
-    const stats = await fetchDashboardStatsFromDB(organizationId);
-    
-    // Cache the results
-    if (stats) {
-      await redisService.cacheDashboardStats(organizationId, stats);
-    }
-    
-    return stats;
-  } catch (error) {
-    logger.error('Error getting cached dashboard stats:', error);
-    // Fall back to direct database fetch
-    return await fetchDashboardStatsFromDB(organizationId);
-  }
-}
-
 /**
  * Get cached leads list or fetch from database
  */
@@ -192,48 +304,6 @@ export async function invalidateDashboardCache(organizationId: string) {
   }
 }
 
-/**
- * Helper to fetch dashboard stats from database
- */
-async function fetchDashboardStatsFromDB(organizationId: string): Promise<any> {
-  try {
-    const { supabase } = await import('../config/supabase.config');
-    const { HumanControlService } = await import('./humanControl.service');
-    const { CallSessionService } = await import('./callSession.service');
-    
-    const humanControlService = new HumanControlService();
-    const callSessionService = new CallSessionService();
-    
-    // Clean up stale sessions first
-    await callSessionService.cleanupStaleSessions(organizationId);
-    
-    // Get counts
-    const [leads, calls, conversations, activeCalls] = await Promise.all([
-      supabase.from('leads').select('count').eq('organization_id', organizationId),
-      supabase.from('call_sessions').select('count').eq('organization_id', organizationId),
-      supabase.from('conversations').select('count').eq('organization_id', organizationId),
-      supabase.from('call_sessions')
-        .select('count')
-        .eq('organization_id', organizationId)
-        .in('status', ['initiated', 'active'])
-    ]);
-    
-    // Count both human control sessions and active calls
-    const humanSessions = (await humanControlService.getActiveSessions()).length;
-    const activeCallSessions = activeCalls.data?.[0]?.count || 0;
-    
-    return {
-      total_leads: leads.data?.[0]?.count || 0,
-      total_calls: calls.data?.[0]?.count || 0,
-      total_conversations: conversations.data?.[0]?.count || 0,
-      active_sessions: humanSessions + activeCallSessions
-    };
-  } catch (error) {
-    logger.error('Error fetching dashboard stats from database:', error);
-    return null;
-  }
-}
-
 /**
  * Helper to fetch leads from database
  */
@@ -278,6 +278,14 @@ export class RedisMonitoringService extends EventEmitter {
     logger.warn(`Redis Alert [${severity}]:`, message, details);
   }
 
+  /**
+   * Raise an alert from outside the Redis metrics, e.g. rejected webhooks
+   */
+  public raiseAlert(id: string, type: RedisAlert['type'], severity: RedisAlert['severity'],
+                    message: string, details?: any) {
+    this.createAlert(id, type, severity, message, details);
+  }
+
   private resolveAlert(id: string) {
     const alert = this.alerts.get(id);
     if (alert && !alert.resolved) {
@@ -14,6 +14,7 @@ export class RedisService {
   private static readonly CACHE_KEYS = {
     LEAD_BY_PHONE: (phone: string) => `bici:lead:${phone}`,
     ORG_BY_PHONE: (phone: string) => `bici:org:${phone}`,
+    ORG_BY_ID: (orgId: string) => `bici:org:id:${orgId}`,
     CONTEXT: (leadId: string) => `bici:ctx:${leadId}`,
     CONVERSATIONS: (leadId: string, limit: number) => `bici:conv:${leadId}:${limit}`,
     SUMMARIES: (leadId: string) => `bici:sum:${leadId}`,
@@ -25,12 +26,38 @@ export class RedisService {
     CALL_SESSION_BY_CONVERSATION: (conversationId: string) => `bici:sess:call:conv:${conversationId}`,
     HUMAN_SESSION: (leadId: string) => `bici:sess:human:${leadId}`,
     HUMAN_SESSIONS_ALL: () => `bici:sess:human:all`,
+    HUMAN_QUEUE: (leadId: string) => `bici:sess:human:queue:${leadId}`,
+    ESCALATIONS: (orgId: string) => `bici:handoff:${orgId}`,
+    // Realtime event replay buffer (a stream per organization)
+    EVENTS: (orgId: string) => `bici:events:stream:${orgId}`,
     SMS_SESSION: (leadId: string) => `bici:sess:sms:${leadId}`,
     SMS_AUTOMATION_STATE: (leadId: string) => `bici:sms:auto:${leadId}`,
     DASHBOARD_STATS: (orgId: string) => `bici:dashboard:stats:${orgId}`,
-    DASHBOARD_LEADS: (orgId: string) => `bici:dashboard:leads:${orgId}`
+    DASHBOARD_LEADS: (orgId: string) => `bici:dashboard:leads:${orgId}`,
+    APPOINTMENT_OFFER: (leadId: string) => `bici:appt:offer:${leadId}`,
+    AUTOMATION_RULES: (orgId: string) => `bici:automation:rules:${orgId}`,
+    CATALOG_SEARCH: (searchKey: string) => `bici:catalog:search:${searchKey}`,
+    CATALOG_PRODUCT: (productId: string) => `bici:catalog:product:${productId}`,
+    // Job queue keys
+    JOB: (jobId: string) => `bici:jobs:data:${jobId}`,
+    JOBS_SCHEDULED: () => `bici:jobs:scheduled`,
+    JOBS_RUNNING: () => `bici:jobs:running`,
+    JOB_IDEMPOTENCY: (key: string) => `bici:jobs:key:${key}`,
+    JOBS_BY_LEAD: (leadId: string) => `bici:jobs:lead:${leadId}`,
+    // Webhook replay protection
+    WEBHOOK_SEEN: (source: string, eventId: string) => `bici:webhook:seen:${source}:${eventId}`,
+    LOGIN_FAILURES: (subject: string) => `bici:auth:failures:${subject}`
   };
 
+  // Pub/sub channels for the realtime event bus
+  private static readonly CHANNELS = {
+    EVENTS: 'bici:events:live',
+    EVENT_CONTROL: 'bici:events:control'
+  };
+
+  // Events kept per organization for Last-Event-ID replay
+  private static readonly EVENT_BUFFER_LENGTH = 500;
+
   // Cache TTL settings (in seconds)
   private static readonly TTL = {
     LEADS: 300,      // 5 minutes
@@ -42,13 +69,35 @@ export class RedisService {
     GREETINGS: 60,   // 1 minute
     // Session-specific TTL settings
     CALL_SESSIONS: 120,      // 2 minutes (calls are short-lived)
-    HUMAN_SESSIONS: 1800,    // 30 minutes (longer human interactions)
+    HUMAN_SESSIONS: 43200,   // 12 hours (idle sessions are handed back by a job well before)
+    ESCALATIONS: 604800,     // 7 days (handoff queue, refreshed on every escalation)
+    EVENTS: 3600,            // 1 hour (replay buffer for reconnecting dashboards)
     SMS_SESSIONS: 300,       // 5 minutes (SMS conversations span longer)
     SMS_AUTOMATION: 600,     // 10 minutes (automation state)
-    DASHBOARD_STATS: 30,     // 30 seconds (balance freshness with performance)
-    DASHBOARD_LEADS: 60      // 1 minute (lead lists change frequently)
+    DASHBOARD_STATS: 120,    // 2 minutes (also invalidated on lead and conversation writes)
+    DASHBOARD_LEADS: 60,     // 1 minute (lead lists change frequently)
+    APPOINTMENT_OFFERS: 1800, // 30 minutes (time to reply to a slot offer)
+    AUTOMATION_RULES: 300,   // 5 minutes (invalidated on every rule change)
+    CATALOG_SEARCH: 600,     // 10 minutes (catalog changes rarely)
+    CATALOG_PRODUCT: 120,    // 2 minutes (stock levels move faster)
+    JOBS: 604800             // 7 days (job records kept for the admin view)
   };
 
+  // In-memory job store used when Redis is unavailable (single instance only)
+  private memoryJobs = new Map<string, any>();
+  private memorySchedule = new Map<string, number>();
+  private memoryRunning = new Map<string, number>();
+  private memoryAppointmentOffers = new Map<string, { offer: any; expiresAt: number }>();
+  private memoryJobKeys = new Map<string, { jobId: string; expiresAt: number }>();
+  private memoryLeadJobs = new Map<string, Set<string>>();
+  private memoryWebhookSeen = new Map<string, number>();
+  private memoryLoginFailures = new Map<string, { count: number; expiresAt: number }>();
+  private memoryHumanSessions = new Map<string, any>();
+  private memoryHumanQueues = new Map<string, any[]>();
+  private memoryEscalations = new Map<string, Map<string, any>>();
+  private memoryEvents = new Map<string, { id: string; event: any; at: number }[]>();
+  private subscribers: Redis[] = [];
+
   constructor() {
     this.initialize();
   }
@@ -159,17 +208,22 @@ export class RedisService {
 
   // Organization caching methods
   /**
-   * Cache organization data by phone number
+   * Cache organization data by phone number, and by id when the record has one
    */
   public async cacheOrganization(phoneNumber: string, orgData: any): Promise<boolean> {
     return this.executeWithFallback(
       async (redis) => {
-        const key = RedisService.CACHE_KEYS.ORG_BY_PHONE(phoneNumber);
-        await redis.setex(key, RedisService.TTL.ORGANIZATIONS, JSON.stringify(orgData));
+        const value = JSON.stringify(orgData);
+        if (phoneNumber) {
+          await redis.setex(RedisService.CACHE_KEYS.ORG_BY_PHONE(phoneNumber), RedisService.TTL.ORGANIZATIONS, value);
+        }
+        if (orgData?.id) {
+          await redis.setex(RedisService.CACHE_KEYS.ORG_BY_ID(orgData.id), RedisService.TTL.ORGANIZATIONS, value);
+        }
         return true;
       },
       () => false,
-      `Cache organization for ${phoneNumber}`
+      `Cache organization for ${phoneNumber || orgData?.id}`
     );
   }
 
@@ -188,6 +242,36 @@ export class RedisService {
     );
   }
 
+  /**
+   * Get cached organization data by organization id
+   */
+  public async getCachedOrganizationById(orgId: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const cached = await redis.get(RedisService.CACHE_KEYS.ORG_BY_ID(orgId));
+        return cached ? JSON.parse(cached) : null;
+      },
+      () => null,
+      `Get cached organization ${orgId}`
+    );
+  }
+
+  /**
+   * Drop both cached copies of an organization after its settings change
+   */
+  public async invalidateOrganization(orgId: string, phoneNumber?: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const keys = [RedisService.CACHE_KEYS.ORG_BY_ID(orgId)];
+        if (phoneNumber) keys.push(RedisService.CACHE_KEYS.ORG_BY_PHONE(phoneNumber));
+        await redis.del(...keys);
+        return true;
+      },
+      () => false,
+      `Invalidate organization ${orgId}`
+    );
+  }
+
   // Context caching methods
   /**
    * Cache conversation context for a lead
@@ -490,9 +574,9 @@ export class RedisService {
     );
   }
 
-  // Human Control Session caching methods
+  // Human Control Session methods
   /**
-   * Cache human control session data
+   * Store human control session data, replacing any existing session
    */
   public async cacheHumanSession(leadId: string, sessionData: any): Promise<boolean> {
     return this.executeWithFallback(
@@ -507,11 +591,39 @@ export class RedisService {
         
         return true;
       },
-      () => false,
+      () => {
+        this.memoryHumanSessions.set(leadId, sessionData);
+        return true;
+      },
       `Cache human session for lead ${leadId}`
     );
   }
 
+  /**
+   * Store a human control session only if the lead has none. Returns false
+   * when another agent, on any instance, already holds the conversation.
+   */
+  public async claimHumanSession(leadId: string, sessionData: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.HUMAN_SESSION(leadId);
+        const result = await redis.set(key, JSON.stringify(sessionData), 'EX', RedisService.TTL.HUMAN_SESSIONS, 'NX');
+        if (result !== 'OK') return false;
+        
+        const allSessionsKey = RedisService.CACHE_KEYS.HUMAN_SESSIONS_ALL();
+        await redis.sadd(allSessionsKey, leadId);
+        await redis.expire(allSessionsKey, RedisService.TTL.HUMAN_SESSIONS);
+        return true;
+      },
+      () => {
+        if (this.memoryHumanSessions.has(leadId)) return false;
+        this.memoryHumanSessions.set(leadId, sessionData);
+        return true;
+      },
+      `Claim human session for lead ${leadId}`
+    );
+  }
+
   /**
    * Get cached human control session data
    */
@@ -522,7 +634,7 @@ export class RedisService {
         const cached = await redis.get(key);
         return cached ? JSON.parse(cached) : null;
       },
-      () => null,
+      () => this.memoryHumanSessions.get(leadId) || null,
       `Get cached human session for lead ${leadId}`
     );
   }
@@ -536,13 +648,14 @@ export class RedisService {
         const allSessionsKey = RedisService.CACHE_KEYS.HUMAN_SESSIONS_ALL();
         return await redis.smembers(allSessionsKey);
       },
-      () => [],
+      () => Array.from(this.memoryHumanSessions.keys()),
       `Get all cached human session leads`
     );
   }
 
   /**
-   * Remove human control session from cache
+   * Remove a human control session. Returns true only for the caller that
+   * removed it, so a release and an idle hand-back never both run.
    */
   public async removeCachedHumanSession(leadId: string): Promise<boolean> {
     return this.executeWithFallback(
@@ -550,16 +663,240 @@ export class RedisService {
         const key = RedisService.CACHE_KEYS.HUMAN_SESSION(leadId);
         const allSessionsKey = RedisService.CACHE_KEYS.HUMAN_SESSIONS_ALL();
         
-        await redis.del(key);
+        const removed = await redis.del(key);
         await redis.srem(allSessionsKey, leadId);
         
+        return removed > 0;
+      },
+      () => this.memoryHumanSessions.delete(leadId),
+      `Remove cached human session for lead ${leadId}`
+    );
+  }
+
+  /**
+   * Append a customer message for the human agent
+   */
+  public async pushHumanQueueMessage(leadId: string, message: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.HUMAN_QUEUE(leadId);
+        await redis.rpush(key, JSON.stringify(message));
+        await redis.expire(key, RedisService.TTL.HUMAN_SESSIONS);
+        return true;
+      },
+      () => {
+        const queue = this.memoryHumanQueues.get(leadId) || [];
+        queue.push(message);
+        this.memoryHumanQueues.set(leadId, queue);
+        return true;
+      },
+      `Queue human message for lead ${leadId}`
+    );
+  }
+
+  /**
+   * Read and clear the queued customer messages in one step
+   */
+  public async takeHumanQueueMessages(leadId: string): Promise<any[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.HUMAN_QUEUE(leadId);
+        const results = await redis.multi().lrange(key, 0, -1).del(key).exec();
+        const items = (results?.[0]?.[1] as string[]) || [];
+        return items.map(item => JSON.parse(item));
+      },
+      () => {
+        const queue = this.memoryHumanQueues.get(leadId) || [];
+        this.memoryHumanQueues.delete(leadId);
+        return queue;
+      },
+      `Take human messages for lead ${leadId}`
+    );
+  }
+
+  public async countHumanQueueMessages(leadId: string): Promise<number> {
+    return this.executeWithFallback(
+      async (redis) => redis.llen(RedisService.CACHE_KEYS.HUMAN_QUEUE(leadId)),
+      () => (this.memoryHumanQueues.get(leadId) || []).length,
+      `Count human messages for lead ${leadId}`
+    );
+  }
+
+  // Handoff queue
+  /**
+   * Add a conversation to the organization's handoff queue. Returns false
+   * when the lead is already waiting, keeping the first reason.
+   */
+  public async addEscalation(orgId: string, leadId: string, escalation: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.ESCALATIONS(orgId);
+        const added = await redis.hsetnx(key, leadId, JSON.stringify(escalation));
+        await redis.expire(key, RedisService.TTL.ESCALATIONS);
+        return added === 1;
+      },
+      () => {
+        const escalations = this.memoryEscalations.get(orgId) || new Map<string, any>();
+        if (escalations.has(leadId)) return false;
+        escalations.set(leadId, escalation);
+        this.memoryEscalations.set(orgId, escalations);
+        return true;
+      },
+      `Add escalation for lead ${leadId}`
+    );
+  }
+
+  public async getEscalation(orgId: string, leadId: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const data = await redis.hget(RedisService.CACHE_KEYS.ESCALATIONS(orgId), leadId);
+        return data ? JSON.parse(data) : null;
+      },
+      () => this.memoryEscalations.get(orgId)?.get(leadId) || null,
+      `Get escalation for lead ${leadId}`
+    );
+  }
+
+  public async getEscalations(orgId: string): Promise<any[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const entries = await redis.hgetall(RedisService.CACHE_KEYS.ESCALATIONS(orgId));
+        return Object.values(entries).map(entry => JSON.parse(entry));
+      },
+      () => Array.from(this.memoryEscalations.get(orgId)?.values() || []),
+      `Get escalations for org ${orgId}`
+    );
+  }
+
+  /**
+   * Take a lead out of the handoff queue. Returns true if it was waiting.
+   */
+  public async removeEscalation(orgId: string, leadId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const removed = await redis.hdel(RedisService.CACHE_KEYS.ESCALATIONS(orgId), leadId);
+        return removed > 0;
+      },
+      () => this.memoryEscalations.get(orgId)?.delete(leadId) || false,
+      `Remove escalation for lead ${leadId}`
+    );
+  }
+
+  // Realtime event bus
+  /**
+   * Append an event to the organization's replay buffer. Returns its id,
+   * a stream id ("<ms>-<seq>") ordered within the organization.
+   */
+  public async appendEvent(orgId: string, event: any): Promise<string> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.EVENTS(orgId);
+        const id = await redis.xadd(
+          key, 'MAXLEN', '~', String(RedisService.EVENT_BUFFER_LENGTH), '*', 'event', JSON.stringify(event)
+        );
+        await redis.expire(key, RedisService.TTL.EVENTS);
+        return id as string;
+      },
+      () => this.appendMemoryEvent(orgId, event),
+      `Append event for org ${orgId}`
+    );
+  }
+
+  /**
+   * Buffered events after the given id, oldest first. Unknown or malformed
+   * ids replay nothing rather than the whole buffer.
+   */
+  public async getEventsSince(orgId: string, lastId: string): Promise<{ id: string; event: any }[]> {
+    if (!/^\d+-\d+$/.test(lastId)) return [];
+
+    return this.executeWithFallback(
+      async (redis) => {
+        const entries = await redis.xrange(RedisService.CACHE_KEYS.EVENTS(orgId), lastId, '+');
+        return entries
+          .filter(([id]) => id !== lastId)
+          .map(([id, fields]) => ({ id, event: JSON.parse(fields[fields.indexOf('event') + 1]) }));
+      },
+      () => {
+        const cutoff = Date.now() - RedisService.TTL.EVENTS * 1000;
+        return (this.memoryEvents.get(orgId) || [])
+          .filter(entry => entry.at > cutoff && compareStreamIds(entry.id, lastId) > 0)
+          .map(({ id, event }) => ({ id, event }));
+      },
+      `Get events for org ${orgId}`
+    );
+  }
+
+  /**
+   * Publish a delivered event to every instance. Returns false when Redis
+   * is unavailable, in which case only this instance can deliver it.
+   */
+  public async publishEvent(envelope: any): Promise<boolean> {
+    return this.publish(RedisService.CHANNELS.EVENTS, envelope);
+  }
+
+  /**
+   * Publish a subscription change for whichever instance holds the connection
+   */
+  public async publishEventControl(message: any): Promise<boolean> {
+    return this.publish(RedisService.CHANNELS.EVENT_CONTROL, message);
+  }
+
+  /**
+   * Listen for published events and subscription changes on a dedicated
+   * connection (a subscribed connection can't run other commands).
+   * Returns false when Redis is unavailable.
+   */
+  public async subscribeToEvents(
+    onEvent: (envelope: any) => void,
+    onControl: (message: any) => void
+  ): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const subscriber = redis.duplicate();
+        subscriber.on('error', (error) => logger.error('Redis subscriber error:', error));
+        subscriber.on('message', (channel: string, message: string) => {
+          try {
+            const parsed = JSON.parse(message);
+            if (channel === RedisService.CHANNELS.EVENTS) onEvent(parsed);
+            else if (channel === RedisService.CHANNELS.EVENT_CONTROL) onControl(parsed);
+          } catch (error) {
+            logger.error('Error handling published event:', error);
+          }
+        });
+        await subscriber.subscribe(RedisService.CHANNELS.EVENTS, RedisService.CHANNELS.EVENT_CONTROL);
+        this.subscribers.push(subscriber);
         return true;
       },
       () => false,
-      `Remove cached human session for lead ${leadId}`
+      'Subscribe to realtime events'
+    );
+  }
+
+  private async publish(channel: string, message: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.publish(channel, JSON.stringify(message));
+        return true;
+      },
+      () => false,
+      `Publish to ${channel}`
     );
   }
 
+  private appendMemoryEvent(orgId: string, event: any): string {
+    const buffer = this.memoryEvents.get(orgId) || [];
+    const now = Date.now();
+    const [lastMs, lastSeq] = (buffer[buffer.length - 1]?.id || '0-0').split('-').map(Number);
+    const id = now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`;
+
+    buffer.push({ id, event, at: now });
+    if (buffer.length > RedisService.EVENT_BUFFER_LENGTH) {
+      buffer.splice(0, buffer.length - RedisService.EVENT_BUFFER_LENGTH);
+    }
+    this.memoryEvents.set(orgId, buffer);
+    return id;
+  }
+
   // SMS Session caching methods
   /**
    * Cache SMS session state
@@ -621,15 +958,76 @@ export class RedisService {
     );
   }
 
+  /**
+   * Remove a lead's SMS session and automation state
+   */
+  public async removeCachedSMSSession(leadId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.del(
+          RedisService.CACHE_KEYS.SMS_SESSION(leadId),
+          RedisService.CACHE_KEYS.SMS_AUTOMATION_STATE(leadId)
+        );
+        return true;
+      },
+      () => false,
+      `Remove cached SMS session for lead ${leadId}`
+    );
+  }
+
+  // Automation rule caching methods
+  /**
+   * Cache an organization's automation rules
+   */
+  public async cacheAutomationRules(orgId: string, rules: any[]): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.AUTOMATION_RULES(orgId);
+        await redis.setex(key, RedisService.TTL.AUTOMATION_RULES, JSON.stringify(rules));
+        return true;
+      },
+      () => false,
+      `Cache automation rules for org ${orgId}`
+    );
+  }
+
+  /**
+   * Get cached automation rules
+   */
+  public async getCachedAutomationRules(orgId: string): Promise<any[] | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.AUTOMATION_RULES(orgId);
+        const cached = await redis.get(key);
+        return cached ? JSON.parse(cached) : null;
+      },
+      () => null,
+      `Get cached automation rules for org ${orgId}`
+    );
+  }
+
+  public async invalidateAutomationRules(orgId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.del(RedisService.CACHE_KEYS.AUTOMATION_RULES(orgId));
+        return true;
+      },
+      () => false,
+      `Invalidate automation rules for org ${orgId}`
+    );
+  }
+
   // Dashboard caching methods
   /**
-   * Cache dashboard statistics
+   * Cache dashboard statistics for one date range. All ranges of an
+   * organization share one hash so invalidation clears them together.
    */
-  public async cacheDashboardStats(orgId: string, stats: any): Promise<boolean> {
+  public async cacheDashboardStats(orgId: string, stats: any, rangeKey: string = 'default'): Promise<boolean> {
     return this.executeWithFallback(
       async (redis) => {
         const key = RedisService.CACHE_KEYS.DASHBOARD_STATS(orgId);
-        await redis.setex(key, RedisService.TTL.DASHBOARD_STATS, JSON.stringify(stats));
+        await redis.hset(key, rangeKey, JSON.stringify({ stats, cached_at: Date.now() }));
+        await redis.expire(key, RedisService.TTL.DASHBOARD_STATS);
         return true;
       },
       () => false,
@@ -638,14 +1036,15 @@ export class RedisService {
   }
 
   /**
-   * Get cached dashboard statistics
+   * Get cached dashboard statistics for one date range
    */
-  public async getCachedDashboardStats(orgId: string): Promise<any | null> {
+  public async getCachedDashboardStats(orgId: string, rangeKey: string = 'default'): Promise<any | null> {
     return this.executeWithFallback(
       async (redis) => {
-        const key = RedisService.CACHE_KEYS.DASHBOARD_STATS(orgId);
-        const cached = await redis.get(key);
-        return cached ? JSON.parse(cached) : null;
+        const cached = await redis.hget(RedisService.CACHE_KEYS.DASHBOARD_STATS(orgId), rangeKey);
+        if (!cached) return null;
+        const { stats, cached_at } = JSON.parse(cached);
+        return Date.now() - cached_at < RedisService.TTL.DASHBOARD_STATS * 1000 ? stats : null;
       },
       () => null,
       `Get cached dashboard stats for org ${orgId}`
@@ -700,6 +1099,430 @@ export class RedisService {
     );
   }
 
+  // Appointment offer caching methods
+  /**
+   * Cache the slots offered to a lead, after a call or a RESCHEDULE reply
+   */
+  public async cacheAppointmentOffer(leadId: string, offer: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.APPOINTMENT_OFFER(leadId);
+        await redis.setex(key, RedisService.TTL.APPOINTMENT_OFFERS, JSON.stringify(offer));
+        return true;
+      },
+      () => {
+        this.memoryAppointmentOffers.set(leadId, { offer, expiresAt: Date.now() + RedisService.TTL.APPOINTMENT_OFFERS * 1000 });
+        return true;
+      },
+      `Cache appointment offer for lead ${leadId}`
+    );
+  }
+
+  /**
+   * Get the pending appointment offer for a lead
+   */
+  public async getCachedAppointmentOffer(leadId: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.APPOINTMENT_OFFER(leadId);
+        const cached = await redis.get(key);
+        return cached ? JSON.parse(cached) : null;
+      },
+      () => {
+        const entry = this.memoryAppointmentOffers.get(leadId);
+        return entry && entry.expiresAt > Date.now() ? entry.offer : null;
+      },
+      `Get cached appointment offer for lead ${leadId}`
+    );
+  }
+
+  /**
+   * Remove the pending appointment offer for a lead
+   */
+  public async removeCachedAppointmentOffer(leadId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.del(RedisService.CACHE_KEYS.APPOINTMENT_OFFER(leadId));
+        return true;
+      },
+      () => this.memoryAppointmentOffers.delete(leadId),
+      `Remove cached appointment offer for lead ${leadId}`
+    );
+  }
+
+
+  // Shopify catalog caching methods
+  /**
+   * Cache normalized catalog search results, keyed by a hash of the search
+   */
+  public async cacheCatalogSearch(searchKey: string, result: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.CATALOG_SEARCH(searchKey);
+        await redis.setex(key, RedisService.TTL.CATALOG_SEARCH, JSON.stringify(result));
+        return true;
+      },
+      () => false,
+      `Cache catalog search ${searchKey}`
+    );
+  }
+
+  public async getCachedCatalogSearch(searchKey: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const cached = await redis.get(RedisService.CACHE_KEYS.CATALOG_SEARCH(searchKey));
+        return cached ? JSON.parse(cached) : null;
+      },
+      () => null,
+      `Get cached catalog search ${searchKey}`
+    );
+  }
+
+  /**
+   * Cache product details including per-variant availability
+   */
+  public async cacheCatalogProduct(productId: string, product: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.CATALOG_PRODUCT(productId);
+        await redis.setex(key, RedisService.TTL.CATALOG_PRODUCT, JSON.stringify(product));
+        return true;
+      },
+      () => false,
+      `Cache catalog product ${productId}`
+    );
+  }
+
+  public async getCachedCatalogProduct(productId: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const cached = await redis.get(RedisService.CACHE_KEYS.CATALOG_PRODUCT(productId));
+        return cached ? JSON.parse(cached) : null;
+      },
+      () => null,
+      `Get cached catalog product ${productId}`
+    );
+  }
+
+  // Job queue storage
+  /**
+   * Persist a job record
+   */
+  public async saveJob(job: any): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.setex(RedisService.CACHE_KEYS.JOB(job.id), RedisService.TTL.JOBS, JSON.stringify(job));
+        return true;
+      },
+      () => {
+        this.memoryJobs.set(job.id, job);
+        return true;
+      },
+      `Save job ${job.id}`
+    );
+  }
+
+  public async getJob(jobId: string): Promise<any | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const data = await redis.get(RedisService.CACHE_KEYS.JOB(jobId));
+        return data ? JSON.parse(data) : null;
+      },
+      () => this.memoryJobs.get(jobId) || null,
+      `Get job ${jobId}`
+    );
+  }
+
+  /**
+   * Add a job to the schedule, scored by run time
+   */
+  public async scheduleJob(jobId: string, runAt: number): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.zadd(RedisService.CACHE_KEYS.JOBS_SCHEDULED(), runAt, jobId);
+        return true;
+      },
+      () => {
+        this.memorySchedule.set(jobId, runAt);
+        return true;
+      },
+      `Schedule job ${jobId}`
+    );
+  }
+
+  /**
+   * Remove a job from the schedule. Returns true only for the caller that
+   * removed it, so a cancel never races a worker's claim.
+   */
+  public async unscheduleJob(jobId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const removed = await redis.zrem(RedisService.CACHE_KEYS.JOBS_SCHEDULED(), jobId);
+        return removed > 0;
+      },
+      () => this.memorySchedule.delete(jobId),
+      `Unschedule job ${jobId}`
+    );
+  }
+
+  /**
+   * Move a job from the schedule to the running set, leased until
+   * `leaseUntil`. Returns true only for the worker that claimed it. The job
+   * stays in the running set until releaseJobLease, so a worker that dies
+   * mid-run leaves it behind for getExpiredJobLeases to find.
+   */
+  public async claimJob(jobId: string, leaseUntil: number): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const claimed = await redis.eval(
+          "if redis.call('zrem', KEYS[1], ARGV[1]) == 1 then redis.call('zadd', KEYS[2], ARGV[2], ARGV[1]) return 1 end return 0",
+          2,
+          RedisService.CACHE_KEYS.JOBS_SCHEDULED(),
+          RedisService.CACHE_KEYS.JOBS_RUNNING(),
+          jobId,
+          leaseUntil
+        );
+        return claimed === 1;
+      },
+      () => {
+        if (!this.memorySchedule.delete(jobId)) return false;
+        this.memoryRunning.set(jobId, leaseUntil);
+        return true;
+      },
+      `Claim job ${jobId}`
+    );
+  }
+
+  public async releaseJobLease(jobId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const removed = await redis.zrem(RedisService.CACHE_KEYS.JOBS_RUNNING(), jobId);
+        return removed > 0;
+      },
+      () => this.memoryRunning.delete(jobId),
+      `Release job lease ${jobId}`
+    );
+  }
+
+  /**
+   * Ids of claimed jobs whose lease ran out before they finished
+   */
+  public async getExpiredJobLeases(now: number, limit: number = 50): Promise<string[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        return await redis.zrangebyscore(RedisService.CACHE_KEYS.JOBS_RUNNING(), 0, now, 'LIMIT', 0, limit);
+      },
+      () => Array.from(this.memoryRunning.entries())
+        .filter(([, leaseUntil]) => leaseUntil <= now)
+        .slice(0, limit)
+        .map(([jobId]) => jobId),
+      'Get expired job leases'
+    );
+  }
+
+  /**
+   * Ids of jobs due at or before `now`
+   */
+  public async getDueJobIds(now: number, limit: number = 50): Promise<string[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        return await redis.zrangebyscore(RedisService.CACHE_KEYS.JOBS_SCHEDULED(), 0, now, 'LIMIT', 0, limit);
+      },
+      () => Array.from(this.memorySchedule.entries())
+        .filter(([, runAt]) => runAt <= now)
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, limit)
+        .map(([jobId]) => jobId),
+      'Get due jobs'
+    );
+  }
+
+  public async getScheduledJobIds(): Promise<string[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        return await redis.zrange(RedisService.CACHE_KEYS.JOBS_SCHEDULED(), 0, -1);
+      },
+      () => Array.from(this.memorySchedule.entries())
+        .sort((a, b) => a[1] - b[1])
+        .map(([jobId]) => jobId),
+      'Get scheduled jobs'
+    );
+  }
+
+  /**
+   * Claim an idempotency key for a job. Returns the id of the job already
+   * holding the key, or null when this job got it.
+   */
+  public async reserveJobKey(key: string, jobId: string, ttlSeconds: number): Promise<string | null> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const redisKey = RedisService.CACHE_KEYS.JOB_IDEMPOTENCY(key);
+        const result = await redis.set(redisKey, jobId, 'EX', ttlSeconds, 'NX');
+        return result === 'OK' ? null : await redis.get(redisKey);
+      },
+      () => {
+        const existing = this.getMemoryJobKey(key);
+        if (existing) return existing;
+        this.memoryJobKeys.set(key, { jobId, expiresAt: Date.now() + ttlSeconds * 1000 });
+        return null;
+      },
+      `Reserve job key ${key}`
+    );
+  }
+
+  /**
+   * Job id currently holding an idempotency key, if any
+   */
+  public async getJobKey(key: string): Promise<string | null> {
+    return this.executeWithFallback(
+      async (redis) => redis.get(RedisService.CACHE_KEYS.JOB_IDEMPOTENCY(key)),
+      () => this.getMemoryJobKey(key),
+      `Get job key ${key}`
+    );
+  }
+
+  public async releaseJobKey(key: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.del(RedisService.CACHE_KEYS.JOB_IDEMPOTENCY(key));
+        return true;
+      },
+      () => this.memoryJobKeys.delete(key),
+      `Release job key ${key}`
+    );
+  }
+
+  private getMemoryJobKey(key: string): string | null {
+    const entry = this.memoryJobKeys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.memoryJobKeys.delete(key);
+      return null;
+    }
+    return entry.jobId;
+  }
+
+  public async addLeadJob(leadId: string, jobId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.JOBS_BY_LEAD(leadId);
+        await redis.sadd(key, jobId);
+        await redis.expire(key, RedisService.TTL.JOBS);
+        return true;
+      },
+      () => {
+        const jobs = this.memoryLeadJobs.get(leadId) || new Set<string>();
+        jobs.add(jobId);
+        this.memoryLeadJobs.set(leadId, jobs);
+        return true;
+      },
+      `Track job ${jobId} for lead ${leadId}`
+    );
+  }
+
+  public async getLeadJobIds(leadId: string): Promise<string[]> {
+    return this.executeWithFallback(
+      async (redis) => {
+        return await redis.smembers(RedisService.CACHE_KEYS.JOBS_BY_LEAD(leadId));
+      },
+      () => Array.from(this.memoryLeadJobs.get(leadId) || []),
+      `Get jobs for lead ${leadId}`
+    );
+  }
+
+  public async removeLeadJob(leadId: string, jobId: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.srem(RedisService.CACHE_KEYS.JOBS_BY_LEAD(leadId), jobId);
+        return true;
+      },
+      () => {
+        this.memoryLeadJobs.get(leadId)?.delete(jobId);
+        return true;
+      },
+      `Untrack job ${jobId} for lead ${leadId}`
+    );
+  }
+
+  /**
+   * Record a verified webhook delivery. Returns true when the same event was
+   * already seen within the TTL, i.e. the request is a replay.
+   */
+  public async markWebhookSeen(source: string, eventId: string, ttlSeconds: number): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const result = await redis.set(RedisService.CACHE_KEYS.WEBHOOK_SEEN(source, eventId), '1', 'EX', ttlSeconds, 'NX');
+        return result !== 'OK';
+      },
+      () => {
+        const key = `${source}:${eventId}`;
+        const now = Date.now();
+        for (const [seenKey, expiresAt] of this.memoryWebhookSeen) {
+          if (expiresAt <= now) this.memoryWebhookSeen.delete(seenKey);
+        }
+        if (this.memoryWebhookSeen.has(key)) return true;
+        this.memoryWebhookSeen.set(key, now + ttlSeconds * 1000);
+        return false;
+      },
+      `Mark ${source} webhook ${eventId} seen`
+    );
+  }
+
+  /**
+   * Count a failed login for a subject (e.g. "email:sam@bici.cc", "ip:1.2.3.4").
+   * The window starts at the first failure. Returns the failures so far.
+   */
+  public async recordLoginFailure(subject: string, windowSeconds: number): Promise<number> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.LOGIN_FAILURES(subject);
+        const count = await redis.incr(key);
+        if (count === 1) await redis.expire(key, windowSeconds);
+        return count;
+      },
+      () => {
+        const now = Date.now();
+        const current = this.memoryLoginFailures.get(subject);
+        const entry = current && current.expiresAt > now
+          ? { ...current, count: current.count + 1 }
+          : { count: 1, expiresAt: now + windowSeconds * 1000 };
+        this.memoryLoginFailures.set(subject, entry);
+        return entry.count;
+      },
+      `Record login failure for ${subject}`
+    );
+  }
+
+  /**
+   * Failed logins for a subject in its current window, and the seconds left in it
+   */
+  public async getLoginFailures(subject: string): Promise<{ count: number; ttlSeconds: number }> {
+    return this.executeWithFallback(
+      async (redis) => {
+        const key = RedisService.CACHE_KEYS.LOGIN_FAILURES(subject);
+        const [count, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+        return { count: parseInt(count || '0', 10), ttlSeconds: Math.max(ttl, 0) };
+      },
+      () => {
+        const entry = this.memoryLoginFailures.get(subject);
+        const now = Date.now();
+        if (!entry || entry.expiresAt <= now) return { count: 0, ttlSeconds: 0 };
+        return { count: entry.count, ttlSeconds: Math.ceil((entry.expiresAt - now) / 1000) };
+      },
+      `Get login failures for ${subject}`
+    );
+  }
+
+  public async clearLoginFailures(subject: string): Promise<boolean> {
+    return this.executeWithFallback(
+      async (redis) => {
+        await redis.del(RedisService.CACHE_KEYS.LOGIN_FAILURES(subject));
+        return true;
+      },
+      () => this.memoryLoginFailures.delete(subject),
+      `Clear login failures for ${subject}`
+    );
+  }
 
   /**
    * Get Redis service status
@@ -754,6 +1577,9 @@ export class RedisService {
    * Cleanup resources
    */
   public async cleanup(): Promise<void> {
+    for (const subscriber of this.subscribers.splice(0)) {
+      subscriber.disconnect();
+    }
     if (this.redis) {
       try {
         await this.redis.quit();
@@ -766,5 +1592,12 @@ export class RedisService {
   }
 }
 
+// Orders "<ms>-<seq>" stream ids
+export function compareStreamIds(a: string, b: string): number {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
 // Export singleton instance
 export const redisService = new RedisService();
\ No newline at end of file
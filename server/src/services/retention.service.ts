@@ -0,0 +1,424 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { retentionConfig } from '../config/retention.config';
+import { CustomerErasureReport, Lead, RetentionDataType, RetentionPurgeReport, User } from '../types';
+import { logger } from '../utils/logger';
+import { toE164 } from '../utils/phone.helper';
+import { maskPhoneNumber } from '../utils/redaction.helper';
+import { AuditService } from './audit.service';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
+import { broadcastToClients } from './realtime.service';
+import { redisService } from './redis.service';
+import { smsConversations } from './smsConversation.service';
+
+const auditService = new AuditService();
+
+// Rows deleted by age, with the column that dates them
+const PURGE_TABLES: Partial<Record<RetentionDataType, { table: string; column: string }>> = {
+  conversations: { table: 'conversations', column: 'timestamp' },
+  conversation_summaries: { table: 'conversation_summaries', column: 'created_at' },
+  sms_automation_log: { table: 'sms_automation_log', column: 'sent_at' },
+  lead_score_history: { table: 'lead_score_history', column: 'created_at' },
+  webhook_events: { table: 'webhook_events', column: 'received_at' },
+  integration_webhook_deliveries: { table: 'integration_webhook_deliveries', column: 'created_at' }
+};
+
+// A customer's history, deleted with their lead on erasure
+const LEAD_TABLES = [
+  'conversations',
+  'conversation_summaries',
+  'human_control_sessions',
+  'appointments',
+  'sms_automation_log',
+  'sms_consent_log',
+  'lead_score_history',
+  'customer_facts',
+  'customer_memory_rollups',
+  'campaign_leads',
+  'lead_merges'
+];
+
+// Rows that can carry the phone number without a lead id
+const PHONE_COLUMNS: Record<string, string> = {
+  conversations: 'phone_number_normalized',
+  conversation_summaries: 'phone_number',
+  sms_automation_log: 'phone_number',
+  sms_consent_log: 'phone_number',
+  lead_merges: 'merged_lead->>phone_number_normalized' // Snapshots of leads merged away
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "+16045551234" is stored as "+16045551234", "16045551234" or, before
+// normalization, "6045551234"
+function phoneVariants(e164: string): string[] {
+  const variants = [e164, e164.slice(1)];
+  if (e164.startsWith('+1') && e164.length === 12) variants.push(e164.slice(2));
+  return variants;
+}
+
+/**
+ * Retention windows, the daily purge and per-customer erasure. Purging is per
+ * organization so each store's audit log shows what was removed from it.
+ */
+export class RetentionService {
+  /**
+   * Schedule the next daily purge. The idempotency key is the run date, so
+   * every instance scheduling at startup still yields one job.
+   */
+  async schedulePurge(): Promise<void> {
+    const runAt = new Date();
+    runAt.setUTCHours(retentionConfig.purge_hour_utc, 0, 0, 0);
+    if (runAt.getTime() <= Date.now()) runAt.setTime(runAt.getTime() + DAY_MS);
+
+    await jobQueue.schedule({
+      type: JOB_TYPES.RETENTION_PURGE,
+      payload: {},
+      runAt,
+      idempotencyKey: `retention-purge:${runAt.toISOString().slice(0, 10)}`,
+      idempotencyTtlSeconds: 2 * DAY_MS / 1000
+    });
+  }
+
+  /**
+   * The scheduled run: every organization, then webhook events no store claimed
+   */
+  async runScheduledPurge(): Promise<RetentionPurgeReport[]> {
+    // Scheduled first, so a failed run doesn't stop tomorrow's
+    await this.schedulePurge();
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('id');
+
+    if (error) {
+      handleSupabaseError(error, 'list organizations for retention purge');
+    }
+
+    const reports: RetentionPurgeReport[] = [];
+    for (const { id } of data || []) {
+      reports.push(await this.purgeExpired(id));
+    }
+
+    const webhookWindow = retentionConfig.windows.webhook_events;
+    if (webhookWindow) {
+      await this.deleteRows('webhook_events', query => query
+        .is('organization_id', null)
+        .lt('received_at', new Date(Date.now() - webhookWindow * DAY_MS).toISOString()));
+    }
+    return reports;
+  }
+
+  /**
+   * Remove an organization's data that is older than its retention window.
+   * `user` is who ran it from the dashboard; scheduled runs have none.
+   */
+  async purgeExpired(organizationId: string, user?: Pick<User, 'id' | 'name'>): Promise<RetentionPurgeReport> {
+    const startedAt = new Date();
+    const report: RetentionPurgeReport = {
+      organization_id: organizationId,
+      cutoffs: {},
+      purged: {},
+      started_at: startedAt.toISOString(),
+      completed_at: startedAt.toISOString()
+    };
+
+    try {
+      for (const [type, days] of Object.entries(retentionConfig.windows) as [RetentionDataType, number | null][]) {
+        if (!days) continue;
+        const cutoff = new Date(startedAt.getTime() - days * DAY_MS).toISOString();
+        report.cutoffs[type] = cutoff;
+
+        const target = PURGE_TABLES[type];
+        if (target) {
+          report.purged[type] = await this.deleteRows(target.table, query => query
+            .eq('organization_id', organizationId)
+            .lt(target.column, cutoff));
+        } else if (type === 'call_transcripts') {
+          report.purged[type] = await this.clearCallTranscripts(organizationId, cutoff);
+        } else if (type === 'inactive_leads') {
+          report.purged[type] = await this.eraseInactiveLeads(organizationId, cutoff);
+        }
+      }
+
+      report.completed_at = new Date().toISOString();
+
+      if (Object.values(report.purged).some(count => count > 0)) {
+        logger.info('Retention purge removed data:', { organization_id: organizationId, purged: report.purged });
+        await auditService.record({
+          organization_id: organizationId,
+          user,
+          action: 'retention.purged',
+          target_type: 'organization',
+          target_id: organizationId,
+          details: { ...report }
+        });
+      }
+      return report;
+    } catch (error) {
+      logger.error('Error purging expired data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove or anonymize everything held about one phone number in an
+   * organization, including Redis caches and pending jobs
+   */
+  async eraseCustomer(organizationId: string, phoneNumber: string): Promise<CustomerErasureReport> {
+    const e164 = toE164(phoneNumber);
+    if (!e164) {
+      throw new Error('Invalid phone number');
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .in('phone_number_normalized', phoneVariants(e164));
+
+      if (error) {
+        handleSupabaseError(error, 'find leads to erase');
+      }
+
+      const report = await this.eraseLeads(organizationId, data || [], phoneVariants(e164));
+
+      logger.info('Erased customer data:', { organization_id: organizationId, lead_ids: report.lead_ids, deleted: report.deleted });
+      return report;
+    } catch (error) {
+      logger.error('Error erasing customer data:', error);
+      throw error;
+    }
+  }
+
+  // Saved transcripts go; the call row stays so call counts and durations add up
+  private async clearCallTranscripts(organizationId: string, cutoff: string): Promise<number> {
+    const { data, error } = await supabase
+      .from('call_sessions')
+      .update({ transcript: null, summary: null, metadata: {} })
+      .eq('organization_id', organizationId)
+      .lt('started_at', cutoff)
+      .not('metadata->>transcript', 'is', null)
+      .select('id');
+
+    if (error) {
+      handleSupabaseError(error, 'clear expired call transcripts');
+    }
+    return (data || []).length;
+  }
+
+  private async eraseInactiveLeads(organizationId: string, cutoff: string): Promise<number> {
+    const { data, error } = await supabase
+      .from('leads')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .lt('updated_at', cutoff);
+
+    if (error) {
+      handleSupabaseError(error, 'find inactive leads');
+    }
+
+    const leads: Lead[] = data || [];
+    for (const lead of leads) {
+      const e164 = toE164(lead.phone_number_normalized) || toE164(lead.phone_number);
+      await this.eraseLeads(organizationId, [lead], e164 ? phoneVariants(e164) : []);
+    }
+    return leads.length;
+  }
+
+  private async eraseLeads(organizationId: string, leads: Lead[], phones: string[]): Promise<CustomerErasureReport> {
+    const leadIds = leads.map(lead => lead.id);
+    const deleted: Record<string, number> = {};
+    const anonymized: Record<string, number> = {};
+
+    // Stored webhooks are matched by the message and call ids they carried,
+    // so those are collected before the rows holding them go
+    const externalIds = await this.externalIds(organizationId, leadIds, phones);
+
+    for (const table of LEAD_TABLES) {
+      deleted[table] = leadIds.length > 0
+        ? await this.deleteRows(table, query => query.in('lead_id', leadIds))
+        : 0;
+    }
+    for (const [table, column] of Object.entries(PHONE_COLUMNS)) {
+      if (phones.length === 0) continue;
+      deleted[table] += await this.deleteRows(table, query => query
+        .eq('organization_id', organizationId)
+        .in(column, phones));
+    }
+
+    deleted.webhook_events = (externalIds.length > 0
+      ? await this.deleteRows('webhook_events', query => query.eq('organization_id', organizationId).in('external_id', externalIds))
+      : 0) + (phones.length > 0
+      ? await this.deleteRows('webhook_events', query => query.eq('organization_id', organizationId).in('payload->>From', phones))
+      : 0);
+
+    deleted.integration_webhook_deliveries = leadIds.length > 0
+      ? await this.deleteRows('integration_webhook_deliveries', query => query
+          .eq('organization_id', organizationId)
+          .in('payload->data->lead->>id', leadIds)) +
+        await this.deleteRows('integration_webhook_deliveries', query => query
+          .eq('organization_id', organizationId)
+          .in('payload->data->>lead_id', leadIds))
+      : 0;
+
+    anonymized.call_sessions = 0;
+    if (leadIds.length > 0) {
+      const { data, error } = await supabase
+        .from('call_sessions')
+        .update({ lead_id: null, transcript: null, summary: null, metadata: {} })
+        .in('lead_id', leadIds)
+        .select('id');
+
+      if (error) {
+        handleSupabaseError(error, 'anonymize call sessions');
+      }
+      anonymized.call_sessions = (data || []).length;
+    }
+
+    anonymized.audit_log = await this.anonymizeAuditLog(organizationId, leadIds, phones);
+
+    const jobsCancelled = await this.cancelJobs(organizationId, leads, phones);
+    await this.clearCaches(organizationId, leads, phones);
+
+    deleted.leads = leadIds.length > 0
+      ? await this.deleteRows('leads', query => query.in('id', leadIds))
+      : 0;
+
+    for (const leadId of leadIds) {
+      broadcastToClients({ type: 'lead_erased', organization_id: organizationId, lead_id: leadId });
+    }
+
+    return {
+      organization_id: organizationId,
+      phone_number: phones[0] ? maskPhoneNumber(phones[0]) : '',
+      lead_ids: leadIds,
+      deleted,
+      anonymized,
+      cache: { leads_cleared: leadIds.length, jobs_cancelled: jobsCancelled },
+      erased_at: new Date().toISOString()
+    };
+  }
+
+  // Entries about the customer keep who did what and when; the details they
+  // recorded (messages, addresses, fact values) go, and phone targets are masked
+  private async anonymizeAuditLog(organizationId: string, leadIds: string[], phones: string[]): Promise<number> {
+    const targets = [...leadIds, ...phones];
+    if (targets.length === 0) return 0;
+
+    const [{ data: targeted, error }, { data: merged, error: mergedError }] = await Promise.all([
+      supabase.from('audit_log').select('id, target_type, target_id').eq('organization_id', organizationId).in('target_id', targets),
+      phones.length > 0
+        ? supabase.from('audit_log').select('id, target_type, target_id').eq('organization_id', organizationId).in('details->>merged_phone_number', phones)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    if (error || mergedError) {
+      handleSupabaseError(error || mergedError, 'find audit log entries to anonymize');
+    }
+
+    const entries = new Map<string, { id: string; target_type: string | null; target_id: string | null }>();
+    [...(targeted || []), ...(merged || [])].forEach(entry => entries.set(entry.id, entry));
+
+    for (const entry of entries.values()) {
+      const { error: updateError } = await supabase
+        .from('audit_log')
+        .update({
+          target_id: entry.target_type === 'phone_number' && entry.target_id ? maskPhoneNumber(entry.target_id) : entry.target_id,
+          details: { anonymized: true }
+        })
+        .eq('id', entry.id);
+
+      if (updateError) {
+        handleSupabaseError(updateError, 'anonymize audit log entry');
+      }
+    }
+    return entries.size;
+  }
+
+  // MessageSids, email Message-IDs and ElevenLabs conversation ids
+  private async externalIds(organizationId: string, leadIds: string[], phones: string[]): Promise<string[]> {
+    const ids = new Set<string>();
+
+    if (leadIds.length > 0) {
+      const [{ data: conversations }, { data: sessions }] = await Promise.all([
+        supabase.from('conversations').select('metadata').in('lead_id', leadIds),
+        supabase.from('call_sessions').select('elevenlabs_conversation_id, metadata').in('lead_id', leadIds)
+      ]);
+      for (const row of conversations || []) {
+        [row.metadata?.message_sid, row.metadata?.email_message_id].forEach(id => id && ids.add(id));
+      }
+      for (const row of sessions || []) {
+        [row.elevenlabs_conversation_id, row.metadata?.conversation_id].forEach(id => id && ids.add(id));
+      }
+    }
+
+    if (phones.length > 0) {
+      const { data: texts } = await supabase
+        .from('sms_automation_log')
+        .select('message_sid')
+        .eq('organization_id', organizationId)
+        .in('phone_number', phones);
+      (texts || []).forEach((row: { message_sid?: string }) => row.message_sid && ids.add(row.message_sid));
+    }
+
+    return Array.from(ids);
+  }
+
+  // Pending texts, emails and handbacks for the customer, by lead or address
+  private async cancelJobs(organizationId: string, leads: Lead[], phones: string[]): Promise<number> {
+    const leadIds = new Set(leads.map(lead => lead.id));
+    const addresses = new Set([
+      ...phones,
+      ...leads.map(lead => lead.email?.toLowerCase()).filter(Boolean) as string[]
+    ]);
+
+    let cancelled = 0;
+    for (const job of await jobQueue.listPending({ organizationId })) {
+      const to = typeof job.payload?.to === 'string' ? job.payload.to.trim().toLowerCase() : '';
+      if (!(job.lead_id && leadIds.has(job.lead_id)) && !addresses.has(to)) continue;
+
+      const result = await jobQueue.cancel(job.id, 'customer_erased');
+      if (result) {
+        // The cancelled record stays for the admin view, without the message it carried
+        await redisService.saveJob({ ...result, payload: {} });
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  private async clearCaches(organizationId: string, leads: Lead[], phones: string[]): Promise<void> {
+    for (const phone of phones) {
+      await redisService.invalidateLeadCache(`${phone}:${organizationId}`);
+    }
+
+    for (const lead of leads) {
+      smsConversations.closeSession(lead.id);
+      await redisService.clearLeadCache(lead.id, lead.phone_number_normalized);
+
+      const callSessionId = await redisService.getCachedCallSessionIdByLead(lead.id);
+      if (callSessionId) {
+        await redisService.removeCachedCallSession(callSessionId, await redisService.getCachedCallSession(callSessionId));
+      }
+      await redisService.removeCachedHumanSession(lead.id);
+      await redisService.takeHumanQueueMessages(lead.id);
+      await redisService.removeEscalation(organizationId, lead.id);
+      await redisService.removeCachedSMSSession(lead.id);
+      await redisService.removeCachedAppointmentOffer(lead.id);
+    }
+
+    await redisService.invalidateDashboardCache(organizationId);
+  }
+
+  // Every table here has organization_id; not all have an id (customer_memory_rollups)
+  private async deleteRows(table: string, filter: (query: any) => any): Promise<number> {
+    const { data, error } = await filter(supabase.from(table).delete()).select('organization_id');
+
+    if (error) {
+      handleSupabaseError(error, `delete from ${table}`);
+    }
+    return (data || []).length;
+  }
+}
@@ -116,3 +116,33 @@ export function normalizeCatalogResult(result: any) {
   }
 }
 
+
+export function normalizeProductDetails(result: any) {
+  const blocks = result?.content || [];
+  let payload: any = null;
+  for (const b of blocks) {
+    if (typeof b?.text === 'string') {
+      try { payload = JSON.parse(b.text); break; } catch {}
+    }
+  }
+  const p = payload?.product || payload;
+  if (!p?.product_id && !p?.title) return null;
+
+  const variants = (Array.isArray(p.variants) ? p.variants : []).map((v: any) => ({
+    variant_id: v.variant_id || v.id,
+    title: v.title,
+    price: v.price?.amount ?? v.price,
+    available: !!v.available,
+  }));
+  return {
+    product_id: p.product_id,
+    title: p.title,
+    url: p.url,
+    image_url: p.image_url,
+    price_min: p.price_range?.min,
+    price_max: p.price_range?.max,
+    currency: p.price_range?.currency,
+    in_stock: variants.length > 0 ? variants.some((v: any) => v.available) : undefined,
+    variants,
+  };
+}
@@ -1,43 +1,73 @@
-import { twilioClient, formatPhoneNumber } from '../config/twilio.config';
+import { twilioClient, twilioConfig } from '../config/twilio.config';
+import { formatPhoneNumber, normalizePhoneNumber } from '../utils/phone.helper';
 import { ConversationService } from './conversation.service';
 import { logger } from '../utils/logger';
-import { CallSession, ConversationInsights } from '../types';
+import { OrganizationSettings } from '../types';
 import { broadcastToClients } from './realtime.service';
-import { storeInfo, businessHours } from '../config/elevenlabs.config';
 import { redisService } from './redis.service';
+import { ConsentService } from './consent.service';
+import { OrganizationService } from './organization.service';
+import { organizationLabel, smsMessages } from './metrics.service';
 
 const conversationService = new ConversationService();
+const consentService = new ConsentService();
+const organizationService = new OrganizationService();
+
+export interface SendSMSOptions {
+  automated?: boolean;      // Subject to quiet hours
+  complianceReply?: boolean; // STOP/HELP confirmations go out regardless of opt-out
+  metadata?: Record<string, any>; // Merged into the stored conversation metadata
+}
 
 export class SMSAutomationService {
   private automationTemplates = {
-    store_hours: (hours: string) => 
-      `Thanks for calling BICI! 🚴 Our hours today are ${hours}. We're located at ${storeInfo.address}. See you soon!`,
-    
-    appointment_confirmation: (date: string, time: string) =>
-      `Your service appointment at BICI is confirmed for ${date} at ${time}. Please bring your bike 15 minutes early for check-in. Reply CANCEL to cancel.`,
+    appointment_confirmation: (store: OrganizationSettings, date: string, time: string) =>
+      `Your service appointment at ${store.name} is confirmed for ${date} at ${time}. Please bring your bike 15 minutes early for check-in. Reply CANCEL to cancel.`,
     
-    directions: () =>
-      `BICI is located at ${storeInfo.address}. Get directions: https://maps.google.com/?q=${encodeURIComponent(storeInfo.address)}`,
+    appointment_options: (store: OrganizationSettings, slots: string[], reschedule: boolean = false) =>
+      `${reschedule ? 'No problem, here are the next openings' : 'Happy to get your bike in! Next openings'} at ${store.name}: ${slots.map((slot, i) => `${i + 1}) ${slot}`).join(' ')}. ${reschedule ? 'Reply with the number that works for you.' : `Reply with the number that works for you or call ${store.phone}.`}`,
     
-    follow_up: (name: string = 'there') =>
-      `Hi ${name}, thanks for your interest in our bikes! Feel free to call us at ${storeInfo.phone} or visit our store. Happy cycling! 🚴`,
+    appointment_cancelled: (store: OrganizationSettings, date: string, time: string) =>
+      `Your ${store.name} service appointment on ${date} at ${time} has been cancelled. Reply RESCHEDULE or call ${store.phone} to book a new time.`,
     
-    escalation_notification: () =>
-      `We've received your message and one of our team members will get back to you shortly. For immediate assistance, call ${storeInfo.phone}.`,
+    escalation_notification: (store: OrganizationSettings) =>
+      `We've received your message and one of our team members will get back to you shortly. For immediate assistance, call ${store.phone}.`,
       
-    service_info: () =>
-      `BICI offers: ${storeInfo.services.join(', ')}. Call us at ${storeInfo.phone} to learn more!`
+    service_info: (store: OrganizationSettings) =>
+      `${store.name} offers: ${store.services.join(', ')}. Call us at ${store.phone} to learn more!`
   };
   
-  async sendSMS(to: string, message: string, organizationId: string): Promise<any> {
+  /**
+   * Send an SMS through the consent gate. Suppressed sends resolve with
+   * `{ suppressed: true, reason }` instead of a Twilio message.
+   */
+  async sendSMS(to: string, message: string, organizationId: string, options: SendSMSOptions = {}): Promise<any> {
+    const labels = {
+      organization_id: organizationLabel(organizationId),
+      template_type: String(options.metadata?.template_type || this.detectTemplateType(message)).substring(0, 50)
+    };
+    let sent = false;
     try {
+      if (!options.complianceReply) {
+        const check = await consentService.checkOutbound(to, organizationId, options);
+        if (!check.allowed) {
+          await consentService.logSuppression(to, organizationId, message, check.reason!, check.lead?.id);
+          smsMessages.inc({ ...labels, outcome: 'suppressed' });
+          return { suppressed: true, reason: check.reason };
+        }
+      }
+      
       const formattedTo = formatPhoneNumber(to);
+      const store = await organizationService.getSettings(organizationId);
       
       const result = await twilioClient.messages.create({
         body: message,
-        from: process.env.TWILIO_PHONE_NUMBER!,
-        to: formattedTo
+        from: store.twilio_phone_number,
+        to: formattedTo,
+        ...(process.env.WEBHOOK_BASE_URL ? { statusCallback: twilioConfig.smsStatusCallback } : {})
       });
+      sent = true;
+      smsMessages.inc({ ...labels, outcome: 'sent' });
       
       logger.info('SMS sent successfully:', { 
         to: formattedTo, 
@@ -51,7 +81,7 @@ export class SMSAutomationService {
       
       logger.info('SMS lead lookup:', {
         to_phone: to,
-        normalized_phone: to.replace(/\D/g, ''),
+        normalized_phone: normalizePhoneNumber(to),
         organization_id: organizationId,
         found_lead: !!lead,
         lead_id: lead?.id
@@ -63,11 +93,15 @@ export class SMSAutomationService {
         conversation = await conversationService.storeConversation({
           organization_id: organizationId,
           lead_id: lead?.id,
-          phone_number_normalized: to.replace(/\D/g, ''),
+          phone_number_normalized: normalizePhoneNumber(to),
           content: message,
           sent_by: 'agent',
           type: 'sms',
-          metadata: { message_sid: result.sid }
+          metadata: {
+            ...(options.metadata || {}),
+            message_sid: result.sid,
+            delivery_status: result.status || 'queued'
+          }
         });
       } catch (dbError) {
         logger.error('Failed to store SMS conversation:', dbError);
@@ -98,6 +132,7 @@ export class SMSAutomationService {
       if (lead) {
         broadcastToClients({
           type: 'sms_sent',
+          organization_id: organizationId,
           lead_id: lead.id,
           phone_number: to,
           message: message,
@@ -106,122 +141,41 @@ export class SMSAutomationService {
       }
       
       // Log to automation table
-      await this.logAutomation(organizationId, to, message, result.sid);
+      await this.logAutomation(organizationId, to, message, result.sid, options.metadata);
       
       return result;
     } catch (error) {
       logger.error('Error sending SMS:', error);
+      if (!sent) smsMessages.inc({ ...labels, outcome: 'failed' });
       throw error;
     }
   }
   
-  async triggerAutomation(session: CallSession, insights: ConversationInsights): Promise<void> {
-    try {
-      // Get lead to get phone number
-      const leadService = new (await import('./lead.service')).LeadService();
-      const lead = await leadService.getLead(session.lead_id);
-      if (!lead || !lead.phone_number) {
-        logger.error('Lead or phone number not found for SMS automation');
-        return;
-      }
-      
-      // Check cached SMS session to prevent duplicate automation
-      const cachedSMSSession = await redisService.getCachedSMSSession(session.lead_id);
-      const lastAutomation = cachedSMSSession?.last_automation_trigger;
-      
-      // Don't run automation if we've run it recently (within 30 minutes)
-      if (lastAutomation) {
-        const thirtyMinutesAgo = Date.now() - (30 * 60 * 1000);
-        if (new Date(lastAutomation).getTime() > thirtyMinutesAgo) {
-          logger.info('Skipping SMS automation - recently triggered for lead:', session.lead_id);
-          return;
-        }
-      }
-      
-      const { triggers, classification } = insights;
-      const messages: string[] = [];
-      
-      // Check for specific triggers
-      if (triggers.includes('asked_hours')) {
-        const hours = this.getTodaysHours();
-        messages.push(this.automationTemplates.store_hours(hours));
-      }
-      
-      if (triggers.includes('asked_directions')) {
-        messages.push(this.automationTemplates.directions());
-      }
-      
-      if (triggers.includes('appointment_request') && insights.appointmentScheduled) {
-        // For now, send a general appointment message
-        messages.push('Thanks for your interest in scheduling an appointment! Our team will contact you shortly to confirm the details.');
-      }
-      
-      // Send follow-up for sales inquiries
-      if (classification === 'sales' && insights.purchaseIntent && insights.purchaseIntent > 0.5) {
-        // Delay this message by 5 minutes
-        setTimeout(async () => {
-          await this.sendSMS(
-            lead.phone_number,
-            this.automationTemplates.follow_up(),
-            session.organization_id
-          );
-        }, 5 * 60 * 1000);
-      }
-      
-      // Send messages
-      for (const message of messages) {
-        await this.sendSMS(
-          lead.phone_number,
-          message,
-          session.organization_id
-        );
-        
-        // Add small delay between multiple messages
-        if (messages.length > 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-      
-      // Update SMS session cache with automation trigger timestamp
-      if (messages.length > 0) {
-        const updatedSMSSession = {
-          ...cachedSMSSession,
-          lead_id: session.lead_id,
-          last_automation_trigger: new Date().toISOString(),
-          automation_message_count: (cachedSMSSession?.automation_message_count || 0) + messages.length,
-          last_automation_triggers: triggers
-        };
-        
-        await redisService.cacheSMSSession(session.lead_id, updatedSMSSession);
-      }
-      
-      logger.info('SMS automation triggered:', { 
-        sessionId: session.id, 
-        messageCount: messages.length,
-        triggers 
-      });
-    } catch (error) {
-      logger.error('Error in SMS automation:', error);
-    }
+  /**
+   * Send the appointment_confirmation template
+   */
+  async sendAppointmentConfirmation(to: string, date: string, time: string, organizationId: string): Promise<any> {
+    const store = await organizationService.getSettings(organizationId);
+    return this.sendSMS(to, this.automationTemplates.appointment_confirmation(store, date, time), organizationId);
   }
   
-  private getTodaysHours(): string {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = days[new Date().getDay()];
-    const hours = businessHours[today as keyof typeof businessHours];
-    
-    if (hours.open === 'closed') {
-      return 'Closed today';
+  getAppointmentOptionsMessage(store: OrganizationSettings, slots: string[], reschedule: boolean = false): string {
+    if (slots.length === 0) {
+      return `We're fully booked this week. Please call us at ${store.phone} and we'll find a time for your bike.`;
     }
-    
-    return `${hours.open} - ${hours.close}`;
+    return this.automationTemplates.appointment_options(store, slots, reschedule);
+  }
+  
+  getAppointmentCancelledMessage(store: OrganizationSettings, date: string, time: string): string {
+    return this.automationTemplates.appointment_cancelled(store, date, time);
   }
   
   private async logAutomation(
     organizationId: string, 
     phoneNumber: string, 
     message: string, 
-    messageSid: string
+    messageSid: string,
+    metadata: Record<string, any> = {}
   ): Promise<void> {
     try {
       const { supabase } = await import('../config/supabase.config');
@@ -232,7 +186,8 @@ export class SMSAutomationService {
           organization_id: organizationId,
           phone_number: phoneNumber,
           message_content: message,
-          template_type: this.detectTemplateType(message),
+          template_type: (metadata.template_type || this.detectTemplateType(message)).substring(0, 50),
+          trigger_reason: metadata.automation_rule_id,
           sent_at: new Date(),
           status: 'sent',
           message_sid: messageSid
@@ -266,6 +221,8 @@ export class SMSAutomationService {
 
   private detectTemplateType(message: string): string {
     if (message.includes('hours')) return 'store_hours';
+    if (message.includes('has been cancelled')) return 'appointment_cancelled';
+    if (message.includes('openings')) return 'appointment_options';
     if (message.includes('appointment')) return 'appointment_confirmation';
     if (message.includes('directions')) return 'directions';
     if (message.includes('thanks for your interest')) return 'follow_up';
@@ -0,0 +1,420 @@
+import WebSocket from 'ws';
+import { logger } from '../utils/logger';
+import { elevenLabsConfig } from '../config/elevenlabs.config';
+
+export interface SMSSessionOptions {
+  agentId: string;
+  // Only called when a session is opened, not on every text
+  dynamicVariables: () => Promise<Record<string, string>>;
+}
+
+export interface SMSAgentReply {
+  parts: string[];                 // One text per agent message, in order
+  conversationId: string | null;   // ElevenLabs conversation the turn ran in
+  messageCount: number;            // Customer texts answered together
+  replying: boolean;               // False when the text joined a turn another request answers
+  latencyMs: number;               // From sending the turn to the last reply part
+}
+
+interface TurnResult {
+  parts: string[];
+  conversationId: string | null;
+  latencyMs: number;
+}
+
+interface Turn {
+  messages: string[];
+  timer: NodeJS.Timeout | null;
+  result: Promise<TurnResult>;
+  resolve: (result: TurnResult) => void;
+  reject: (error: Error) => void;
+}
+
+// Receives agent messages while a turn is waiting on them
+interface TurnListener {
+  onPart: (text: string) => void;
+  onClose: () => void;
+}
+
+interface AgentSession {
+  leadId: string;
+  options: SMSSessionOptions;
+  ws: WebSocket | null;
+  conversationId: string | null;
+  ready: Promise<void> | null;      // Connected and past the greeting
+  collecting: Turn | null;          // Texts waiting out the coalescing window
+  queue: Promise<void>;             // Turns run one at a time
+  listener: TurnListener | null;
+  idleTimer: NodeJS.Timeout | null;
+}
+
+type LatencyName = 'connect' | 'first_part' | 'reply';
+
+const LATENCY_SAMPLES = 200;
+
+// The socket went away mid-turn; the turn is retried once on a new session
+class SessionClosedError extends Error {
+  constructor() {
+    super('ElevenLabs session closed');
+  }
+}
+
+/**
+ * A turn the agent couldn't answer. Carries every text in the turn so
+ * another responder can answer the whole burst.
+ */
+export class SMSTurnFailedError extends Error {
+  constructor(public messages: string[], cause: Error) {
+    super(cause.message);
+  }
+}
+
+/**
+ * Text conversations with the ElevenLabs agent over SMS. Each lead keeps one
+ * session open between texts, texts sent in quick succession are answered as
+ * one turn, and replies the agent splits over several messages come back as
+ * parts. Sessions live in this process only.
+ */
+export class SMSConversationService {
+  private sessions = new Map<string, AgentSession>();
+  private latency: Record<LatencyName, number[]> = { connect: [], first_part: [], reply: [] };
+  private counters = {
+    sessions_opened: 0,
+    sessions_closed: 0,
+    reconnects: 0,
+    turns: 0,
+    texts: 0,
+    coalesced_texts: 0,
+    multipart_replies: 0,
+    failed_turns: 0
+  };
+
+  /**
+   * Send a customer text to the lead's session and wait for the agent's reply
+   */
+  async reply(leadId: string, message: string, options: SMSSessionOptions): Promise<SMSAgentReply> {
+    const session = this.getSession(leadId, options);
+    this.counters.texts++;
+
+    if (session.collecting) {
+      // Joins the turn that is still collecting; the first request replies
+      const turn = session.collecting;
+      turn.messages.push(message);
+      this.scheduleTurn(session, turn);
+      this.counters.coalesced_texts++;
+
+      const result = await turn.result.catch(() => null);
+      return {
+        parts: [],
+        conversationId: result?.conversationId || session.conversationId,
+        messageCount: turn.messages.length,
+        replying: false,
+        latencyMs: result?.latencyMs || 0
+      };
+    }
+
+    const turn = this.createTurn(message);
+    session.collecting = turn;
+    this.scheduleTurn(session, turn);
+
+    const result = await turn.result;
+    return { ...result, messageCount: turn.messages.length, replying: true };
+  }
+
+  /**
+   * Close a lead's session, e.g. when staff take the conversation over
+   */
+  closeSession(leadId: string) {
+    const session = this.sessions.get(leadId);
+    if (!session) return;
+
+    this.sessions.delete(leadId);
+    if (session.idleTimer) clearTimeout(session.idleTimer);
+    // A turn still collecting would otherwise reconnect once its window ends
+    if (session.collecting) {
+      const turn = session.collecting;
+      session.collecting = null;
+      if (turn.timer) clearTimeout(turn.timer);
+      turn.reject(new SMSTurnFailedError(turn.messages, new SessionClosedError()));
+    }
+    session.ws?.close();
+    this.counters.sessions_closed++;
+  }
+
+  closeAll() {
+    Array.from(this.sessions.keys()).forEach(leadId => this.closeSession(leadId));
+  }
+
+  getMetrics() {
+    return {
+      active_sessions: this.sessions.size,
+      ...this.counters,
+      latency_ms: {
+        connect: summarize(this.latency.connect),
+        first_part: summarize(this.latency.first_part),
+        reply: summarize(this.latency.reply)
+      }
+    };
+  }
+
+  private getSession(leadId: string, options: SMSSessionOptions): AgentSession {
+    let session = this.sessions.get(leadId);
+    if (!session) {
+      session = {
+        leadId,
+        options,
+        ws: null,
+        conversationId: null,
+        ready: null,
+        collecting: null,
+        queue: Promise.resolve(),
+        listener: null,
+        idleTimer: null
+      };
+      this.sessions.set(leadId, session);
+    }
+    this.touch(session);
+    return session;
+  }
+
+  private createTurn(message: string): Turn {
+    let resolve: Turn['resolve'];
+    let reject: Turn['reject'];
+    const result = new Promise<TurnResult>((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { messages: [message], timer: null, result, resolve, reject };
+  }
+
+  // Each new text restarts the window, so a burst goes out once it stops
+  private scheduleTurn(session: AgentSession, turn: Turn) {
+    if (turn.timer) clearTimeout(turn.timer);
+    turn.timer = setTimeout(() => {
+      if (session.collecting === turn) session.collecting = null;
+      session.queue = session.queue.then(() => this.runTurn(session, turn));
+    }, elevenLabsConfig.smsSessions.coalesceMs);
+  }
+
+  private async runTurn(session: AgentSession, turn: Turn): Promise<void> {
+    const text = turn.messages.join('\n');
+    this.counters.turns++;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.exchange(session, text);
+        if (result.parts.length > 1) this.counters.multipart_replies++;
+        turn.resolve(result);
+        break;
+      } catch (error) {
+        if (error instanceof SessionClosedError && attempt === 1 && this.sessions.get(session.leadId) === session) {
+          logger.warn('ElevenLabs SMS session closed mid-turn, reconnecting:', { lead_id: session.leadId });
+          this.counters.reconnects++;
+          continue;
+        }
+        this.counters.failed_turns++;
+        turn.reject(new SMSTurnFailedError(turn.messages, error as Error));
+        break;
+      }
+    }
+    this.touch(session);
+  }
+
+  // Send one turn and collect the agent's reply parts
+  private async exchange(session: AgentSession, text: string): Promise<TurnResult> {
+    if (!session.ready) {
+      session.ready = this.connect(session);
+    }
+    await session.ready;
+
+    const { replySettleMs, replyTimeoutMs } = elevenLabsConfig.smsSessions;
+    const ws = session.ws!;
+
+    return new Promise<TurnResult>((resolve, reject) => {
+      const sentAt = Date.now();
+      const parts: string[] = [];
+      let settleTimer: NodeJS.Timeout | null = null;
+      let done = false;
+
+      const finish = (error?: Error) => {
+        if (done) return;
+        done = true;
+        if (settleTimer) clearTimeout(settleTimer);
+        clearTimeout(timeout);
+        session.listener = null;
+        if (error) {
+          reject(error);
+          return;
+        }
+        const latencyMs = Date.now() - sentAt;
+        this.recordLatency('reply', latencyMs);
+        resolve({ parts, conversationId: session.conversationId, latencyMs });
+      };
+
+      const timeout = setTimeout(() => {
+        if (parts.length) {
+          finish();
+          return;
+        }
+        // A late reply would otherwise land in the next turn
+        logger.warn('ElevenLabs SMS reply timed out:', { lead_id: session.leadId, conversation_id: session.conversationId });
+        finish(new Error('ElevenLabs reply timed out'));
+        this.disconnect(session);
+      }, replyTimeoutMs);
+
+      session.listener = {
+        onPart: (part) => {
+          if (!parts.length) this.recordLatency('first_part', Date.now() - sentAt);
+          parts.push(part);
+          if (settleTimer) clearTimeout(settleTimer);
+          settleTimer = setTimeout(() => finish(), replySettleMs);
+        },
+        onClose: () => (parts.length ? finish() : finish(new SessionClosedError()))
+      };
+
+      ws.send(JSON.stringify({ type: 'user_message', text }));
+    });
+  }
+
+  // Open the socket, send the lead's context once, and skip the greeting
+  private connect(session: AgentSession): Promise<void> {
+    const { greetingWaitMs, replyTimeoutMs } = elevenLabsConfig.smsSessions;
+    const startedAt = Date.now();
+    const url = `${elevenLabsConfig.wsBaseUrl}/v1/convai/conversation?agent_id=${encodeURIComponent(session.options.agentId)}`;
+    const ws = new WebSocket(url, { headers: { 'xi-api-key': elevenLabsConfig.apiKey } });
+    session.ws = ws;
+    session.conversationId = null;
+    this.counters.sessions_opened++;
+
+    return new Promise<void>((resolve, reject) => {
+      let ready = false;
+      let greetingTimer: NodeJS.Timeout | null = null;
+
+      const markReady = () => {
+        if (ready) return;
+        ready = true;
+        if (greetingTimer) clearTimeout(greetingTimer);
+        clearTimeout(connectTimer);
+        this.recordLatency('connect', Date.now() - startedAt);
+        logger.info('ElevenLabs SMS session ready:', { lead_id: session.leadId, conversation_id: session.conversationId });
+        resolve();
+      };
+
+      const connectTimer = setTimeout(() => {
+        logger.warn('ElevenLabs SMS session timed out connecting:', { lead_id: session.leadId });
+        ws.terminate();
+      }, replyTimeoutMs);
+
+      ws.on('open', async () => {
+        try {
+          const dynamicVariables = await session.options.dynamicVariables();
+          ws.send(JSON.stringify({ type: 'conversation_initiation_client_data', dynamic_variables: dynamicVariables }));
+        } catch (error) {
+          logger.error('Error starting ElevenLabs SMS session:', error);
+          ws.close();
+        }
+      });
+
+      ws.on('message', (data) => {
+        let message: any;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          logger.error('Error parsing ElevenLabs SMS session message:', error);
+          return;
+        }
+
+        if (message.error || message.type === 'error') {
+          logger.error('ElevenLabs SMS session error:', { lead_id: session.leadId, error: message.error || message });
+          ws.close();
+          return;
+        }
+
+        switch (message.type) {
+          case 'ping':
+            ws.send(JSON.stringify({ type: 'pong', event_id: message.ping_event?.event_id }));
+            break;
+          case 'conversation_initiation_metadata':
+            session.conversationId = message.conversation_initiation_metadata_event?.conversation_id || null;
+            // Agents without a first message never greet
+            greetingTimer = setTimeout(markReady, greetingWaitMs);
+            break;
+          case 'agent_response': {
+            const part = message.agent_response_event?.agent_response;
+            if (!part) break;
+            if (!ready) {
+              markReady();
+            } else if (session.listener) {
+              session.listener.onPart(part);
+            } else {
+              logger.warn('Dropping ElevenLabs SMS reply outside a turn:', { lead_id: session.leadId });
+            }
+            break;
+          }
+        }
+      });
+
+      ws.on('error', (error) => {
+        logger.error('ElevenLabs SMS session socket error:', error);
+      });
+
+      ws.on('close', () => {
+        if (greetingTimer) clearTimeout(greetingTimer);
+        clearTimeout(connectTimer);
+        if (session.ws === ws) {
+          session.ws = null;
+          session.ready = null;
+        }
+        if (!ready) {
+          reject(new SessionClosedError());
+          return;
+        }
+        session.listener?.onClose();
+      });
+    });
+  }
+
+  private disconnect(session: AgentSession) {
+    const ws = session.ws;
+    session.ws = null;
+    session.ready = null;
+    ws?.close();
+  }
+
+  // Sessions close after the idle window, but never mid-turn
+  private touch(session: AgentSession) {
+    if (session.idleTimer) clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      if (session.collecting || session.listener) {
+        this.touch(session);
+        return;
+      }
+      logger.info('Closing idle ElevenLabs SMS session:', { lead_id: session.leadId, conversation_id: session.conversationId });
+      this.closeSession(session.leadId);
+    }, elevenLabsConfig.smsSessions.idleSeconds * 1000);
+    session.idleTimer.unref();
+  }
+
+  private recordLatency(name: LatencyName, ms: number) {
+    const samples = this.latency[name];
+    samples.push(ms);
+    if (samples.length > LATENCY_SAMPLES) samples.shift();
+  }
+}
+
+// Recent latency samples as count, average and percentiles
+function summarize(samples: number[]) {
+  if (!samples.length) return { count: 0, avg: null, p50: null, p95: null, max: null };
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (p: number) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    count: sorted.length,
+    avg: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Export singleton instance
+export const smsConversations = new SMSConversationService();
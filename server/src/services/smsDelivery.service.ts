@@ -0,0 +1,215 @@
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { logger } from '../utils/logger';
+import { broadcastToClients, broadcastLeadUpdate } from './realtime.service';
+import { redisService } from './redis.service';
+import { LeadService } from './lead.service';
+import { jobQueue } from './jobQueue.service';
+import { JOB_TYPES } from './jobHandlers';
+
+const leadService = new LeadService();
+
+export type SMSDeliveryStatus = 'accepted' | 'queued' | 'sending' | 'sent' | 'delivered' | 'undelivered' | 'failed';
+
+export interface SMSStatusUpdate {
+  messageSid: string;
+  status: SMSDeliveryStatus;
+  errorCode?: string;
+  errorMessage?: string;
+}
+
+// Twilio callbacks can arrive out of order; never move a message backwards
+const STATUS_RANK: Record<string, number> = {
+  accepted: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4
+};
+
+// Carrier errors a retry cannot fix (unsubscribed, invalid, landline, ...)
+const PERMANENT_ERROR_CODES = ['21211', '21610', '21614', '30003', '30005', '30006', '30007'];
+
+const RETRY_DELAY_MS = 60 * 1000;
+
+export class SMSDeliveryService {
+  /**
+   * Apply a Twilio status callback to the stored message and its automation log row
+   */
+  async handleStatusUpdate(update: SMSStatusUpdate): Promise<void> {
+    const conversation = await this.findConversationBySid(update.messageSid);
+    if (!conversation) {
+      logger.warn('SMS status for unknown message:', { messageSid: update.messageSid, status: update.status });
+      return;
+    }
+
+    const metadata = conversation.metadata || {};
+    const current = metadata.delivery_status;
+    if (current && (STATUS_RANK[current] ?? -1) >= (STATUS_RANK[update.status] ?? -1)) {
+      logger.debug('Ignoring stale SMS status:', { messageSid: update.messageSid, current, incoming: update.status });
+      return;
+    }
+
+    const updatedMetadata = {
+      ...metadata,
+      delivery_status: update.status,
+      delivery_error_code: update.errorCode || null,
+      delivery_error_message: update.errorMessage || null,
+      delivery_updated_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from('conversations')
+      .update({ metadata: updatedMetadata })
+      .eq('id', conversation.id);
+
+    if (error) {
+      handleSupabaseError(error, 'update SMS delivery status');
+    }
+
+    const { error: logError } = await supabase
+      .from('sms_automation_log')
+      .update({
+        status: update.status,
+        error_code: update.errorCode || null,
+        status_updated_at: new Date()
+      })
+      .eq('message_sid', update.messageSid);
+
+    if (logError) {
+      handleSupabaseError(logError, 'update SMS automation log status');
+    }
+
+    if (conversation.lead_id) {
+      await redisService.clearLeadCache(conversation.lead_id);
+    }
+    if (conversation.organization_id) {
+      await redisService.invalidateDashboardCache(conversation.organization_id);
+    }
+
+    broadcastToClients({
+      type: 'sms_status',
+      organization_id: conversation.organization_id,
+      lead_id: conversation.lead_id,
+      conversation_id: conversation.id,
+      message_sid: update.messageSid,
+      status: update.status,
+      error_code: update.errorCode || null
+    });
+
+    logger.info('SMS delivery status updated:', {
+      messageSid: update.messageSid,
+      status: update.status,
+      errorCode: update.errorCode
+    });
+
+    if (update.status === 'failed' || update.status === 'undelivered') {
+      await this.handleFailure(conversation, updatedMetadata, update);
+    } else if (update.status === 'delivered' && conversation.lead_id) {
+      await this.clearLeadFlag(conversation.lead_id);
+    }
+  }
+
+  /**
+   * Retry a failed message once, then flag the lead
+   */
+  private async handleFailure(conversation: any, metadata: Record<string, any>, update: SMSStatusUpdate): Promise<void> {
+    const permanent = !!update.errorCode && PERMANENT_ERROR_CODES.includes(update.errorCode);
+    const isRetry = !!metadata.retry_of;
+
+    if (permanent || isRetry || !conversation.lead_id) {
+      if (conversation.lead_id) {
+        await this.flagLead(conversation.lead_id, update);
+      }
+      return;
+    }
+
+    await supabase
+      .from('conversations')
+      .update({ metadata: { ...metadata, retry_scheduled_at: new Date(Date.now() + RETRY_DELAY_MS).toISOString() } })
+      .eq('id', conversation.id);
+
+    logger.info('Scheduling SMS retry:', { messageSid: update.messageSid, delayMs: RETRY_DELAY_MS });
+
+    await jobQueue.schedule({
+      type: JOB_TYPES.RETRY_SMS,
+      delayMs: RETRY_DELAY_MS,
+      leadId: conversation.lead_id,
+      organizationId: conversation.organization_id,
+      idempotencyKey: `${conversation.lead_id}:retry:${update.messageSid}`,
+      maxAttempts: 2,
+      payload: { conversation, messageSid: update.messageSid }
+    });
+  }
+
+  async retryMessage(conversation: any, messageSid: string): Promise<void> {
+    const lead = await leadService.getLead(conversation.lead_id);
+    if (!lead?.phone_number) {
+      logger.warn('Cannot retry SMS - lead has no phone number:', { lead_id: conversation.lead_id });
+      return;
+    }
+
+    const smsService = new (await import('./sms.service')).SMSAutomationService();
+    const result = await smsService.sendSMS(lead.phone_number, conversation.content, conversation.organization_id, {
+      metadata: { retry_of: messageSid }
+    });
+
+    if (result?.suppressed) {
+      logger.info('SMS retry suppressed:', { messageSid, reason: result.reason });
+      return;
+    }
+
+    // Point the failed message at its retry so the dashboard can show both
+    const original = await this.findConversationBySid(messageSid);
+    if (original) {
+      await supabase
+        .from('conversations')
+        .update({ metadata: { ...(original.metadata || {}), retried_as: result?.sid } })
+        .eq('id', original.id);
+    }
+
+    logger.info('SMS retried:', { originalSid: messageSid, retrySid: result?.sid });
+  }
+
+  private async flagLead(leadId: string, update: SMSStatusUpdate): Promise<void> {
+    const updates = {
+      sms_delivery_failed: true,
+      sms_delivery_failed_at: new Date().toISOString(),
+      sms_delivery_error_code: update.errorCode || null
+    };
+    const updated = await leadService.updateLead(leadId, updates);
+
+    logger.warn('Lead flagged for SMS delivery failure:', { leadId, messageSid: update.messageSid, errorCode: update.errorCode });
+
+    broadcastLeadUpdate(leadId, { updates, organization_id: updated?.organization_id });
+  }
+
+  private async clearLeadFlag(leadId: string): Promise<void> {
+    const lead = await leadService.getLead(leadId);
+    if (!lead?.sms_delivery_failed) return;
+
+    const updates = {
+      sms_delivery_failed: false,
+      sms_delivery_failed_at: null,
+      sms_delivery_error_code: null
+    };
+    await leadService.updateLead(leadId, updates);
+
+    broadcastLeadUpdate(leadId, { updates, organization_id: lead.organization_id });
+  }
+
+  private async findConversationBySid(messageSid: string): Promise<any | null> {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('metadata->>message_sid', messageSid)
+      .limit(1);
+
+    if (error) {
+      handleSupabaseError(error, 'find conversation by message sid');
+    }
+
+    return data?.[0] || null;
+  }
+}
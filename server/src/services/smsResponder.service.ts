@@ -0,0 +1,287 @@
+import { logger } from '../utils/logger';
+import { elevenLabsConfig } from '../config/elevenlabs.config';
+import { respondersConfig } from '../config/responders.config';
+import { Lead, OrganizationSettings, SMSResponderName } from '../types';
+import { ConversationService } from './conversation.service';
+import { smsConversations, SMSAgentReply, SMSTurnFailedError } from './smsConversation.service';
+import { ConversationAnalyzer } from '../utils/conversation-analyzer';
+import { describeStoreStatus, getLocalTime, getNextOpenTime, getTodaysHours, isStoreOpen } from '../utils/business-hours.helper';
+import { generateGreetingContext } from '../utils/greeting.helper';
+import { buildConversationContext } from './customerMemory.service';
+import { organizationLabel, smsReplies, smsResponderDuration, smsResponderFallbacks } from './metrics.service';
+
+const conversationService = new ConversationService();
+
+export interface SMSResponderRequest {
+  message: string;
+  lead: Lead;
+  settings: OrganizationSettings;
+}
+
+export type SMSResponderReply = SMSAgentReply & { responder: SMSResponderName };
+
+/**
+ * Something that can answer a customer's text
+ */
+export interface SMSResponder {
+  readonly name: SMSResponderName;
+  isConfigured(settings: OrganizationSettings): boolean;
+  respond(request: SMSResponderRequest): Promise<SMSAgentReply>;
+}
+
+const singleReply = (text: string, startedAt: number): SMSAgentReply => ({
+  parts: [text],
+  conversationId: null,
+  messageCount: 1,
+  replying: true,
+  latencyMs: Date.now() - startedAt
+});
+
+/**
+ * The ElevenLabs agent, over the lead's text session
+ */
+export class ElevenLabsResponder implements SMSResponder {
+  readonly name = 'elevenlabs' as const;
+
+  isConfigured(settings: OrganizationSettings): boolean {
+    return !!elevenLabsConfig.apiKey && !!settings.elevenlabs_agent_id;
+  }
+
+  respond({ message, lead, settings }: SMSResponderRequest): Promise<SMSAgentReply> {
+    return smsConversations.reply(lead.id, message, {
+      agentId: settings.elevenlabs_agent_id,
+      dynamicVariables: () => buildSMSDynamicVariables(lead, settings)
+    });
+  }
+}
+
+/**
+ * An OpenAI-compatible chat completions endpoint (OpenAI or a local model server)
+ */
+export class OpenAICompatibleResponder implements SMSResponder {
+  readonly name = 'openai' as const;
+
+  isConfigured(): boolean {
+    return !!respondersConfig.openai.baseUrl;
+  }
+
+  async respond({ message, lead, settings }: SMSResponderRequest): Promise<SMSAgentReply> {
+    const { baseUrl, apiKey, model, timeoutMs, maxTokens, historyMessages } = respondersConfig.openai;
+    const startedAt = Date.now();
+
+    // The inbound text is already stored; it is sent last either way
+    const history = (await conversationService.getRecentConversations(lead.id, historyMessages))
+      .filter(row => row.content && row.sent_by !== 'system');
+    const last = history[history.length - 1];
+    if (last && last.sent_by === 'user' && last.content === message) {
+      history.pop();
+    }
+
+    const previousSummary = await conversationService.getLatestSummary(lead.id);
+    const messages = [
+      { role: 'system', content: buildSystemPrompt(lead, settings, previousSummary?.summary) },
+      ...history.map(row => ({ role: row.sent_by === 'user' ? 'user' : 'assistant', content: row.content })),
+      { role: 'user', content: message }
+    ];
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, messages, max_tokens: maxTokens }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chat completion failed: ${response.status} ${await response.text()}`);
+    }
+
+    const data: any = await response.json();
+    const text = data.choices?.[0]?.message?.content?.trim();
+    if (!text) {
+      throw new Error('Chat completion returned no reply');
+    }
+    return singleReply(text, startedAt);
+  }
+}
+
+/**
+ * Canned answers for the questions ConversationAnalyzer recognizes (hours,
+ * directions, services). Needs nothing external, so it is always the last resort.
+ */
+export class RulesResponder implements SMSResponder {
+  readonly name = 'rules' as const;
+
+  isConfigured(): boolean {
+    return true;
+  }
+
+  async respond({ message, lead, settings }: SMSResponderRequest): Promise<SMSAgentReply> {
+    return singleReply(this.answer(message, lead, settings), Date.now());
+  }
+
+  answer(message: string, lead: Lead, settings: OrganizationSettings): string {
+    const { classification, triggers } = ConversationAnalyzer.analyzeMessage(message);
+    const firstName = lead.customer_name?.split(' ')[0];
+    const greeting = firstName ? `Hi ${firstName}! ` : 'Hi! ';
+    const answers: string[] = [];
+
+    if (triggers.some(trigger => ['asked_hours', 'when_open'].includes(trigger))) {
+      answers.push(isStoreOpen(settings)
+        ? `We're open now. Today's hours: ${getTodaysHours(settings)}.`
+        : `We're closed right now and open again ${getNextOpenTime(settings)}.`);
+    }
+    if (triggers.some(trigger => ['asked_directions', 'where_located', 'how_to_get'].includes(trigger))) {
+      answers.push(`You'll find us at ${settings.address}.`);
+    }
+    if (classification === 'service' || triggers.includes('appointment_request')) {
+      answers.push(`Our service team handles ${settings.services.join(', ').toLowerCase()}.`);
+    }
+
+    if (!answers.length) {
+      return `${greeting}Thanks for your message! For the quickest help, please call us at ${settings.phone}. Today's hours: ${getTodaysHours(settings)}.`;
+    }
+    return `${greeting}${answers.join(' ')} For anything else, call us at ${settings.phone}.`;
+  }
+}
+
+/**
+ * Picks who answers a text: the organization's responders in order, skipping
+ * any that aren't configured or failed recently. The rules responder answers
+ * if everything else fails.
+ */
+export class SMSResponderService {
+  private responders: Record<SMSResponderName, SMSResponder> = {
+    elevenlabs: new ElevenLabsResponder(),
+    openai: new OpenAICompatibleResponder(),
+    rules: new RulesResponder()
+  };
+  // `${organizationId}:${responder}` -> when it may be tried again
+  private coolingUntil = new Map<string, number>();
+
+  async reply(message: string, lead: Lead, settings: OrganizationSettings): Promise<SMSResponderReply> {
+    let text = message;
+
+    for (const name of settings.sms_responders) {
+      const responder = this.responders[name];
+      // Rules never fail, so nothing after them would be reached
+      if (name === 'rules') break;
+      if (!responder || !responder.isConfigured(settings) || this.isCooling(lead.organization_id, name)) continue;
+
+      const organization = organizationLabel(lead.organization_id);
+      const endTimer = smsResponderDuration.startTimer({ organization_id: organization, responder: name });
+      try {
+        const reply = await responder.respond({ message: text, lead, settings });
+        endTimer({ outcome: 'success' });
+        smsReplies.inc({ organization_id: organization, responder: name });
+        return { ...reply, responder: name };
+      } catch (error) {
+        endTimer({ outcome: 'failed' });
+        smsResponderFallbacks.inc({ organization_id: organization, responder: name });
+        logger.warn('SMS responder failed, trying the next one:', {
+          responder: name,
+          lead_id: lead.id,
+          error: (error as Error).message
+        });
+        this.coolingUntil.set(`${lead.organization_id}:${name}`, Date.now() + respondersConfig.cooldownSeconds * 1000);
+        // Answer every text of a burst the failed responder had collected
+        if (error instanceof SMSTurnFailedError) {
+          text = error.messages.join('\n');
+        }
+      }
+    }
+
+    const organization = organizationLabel(lead.organization_id);
+    const endTimer = smsResponderDuration.startTimer({ organization_id: organization, responder: 'rules' });
+    const reply = await this.responders.rules.respond({ message: text, lead, settings });
+    endTimer({ outcome: 'success' });
+    smsReplies.inc({ organization_id: organization, responder: 'rules' });
+    return { ...reply, responder: 'rules' };
+  }
+
+  private isCooling(organizationId: string, name: SMSResponderName): boolean {
+    const key = `${organizationId}:${name}`;
+    const until = this.coolingUntil.get(key);
+    if (until && until > Date.now()) return true;
+    this.coolingUntil.delete(key);
+    return false;
+  }
+}
+
+// Context sent once when a lead's ElevenLabs text session opens
+async function buildSMSDynamicVariables(lead: Lead, settings: OrganizationSettings): Promise<Record<string, string>> {
+  const conversationContext = await buildConversationContext(lead.id, 'sms');
+  const previousSummary = await conversationService.getLatestSummary(lead.id);
+  const greetingContext = generateGreetingContext(settings, lead);
+  const { timeString, dayOfWeek } = getLocalTime(settings);
+
+  logger.info('Opening ElevenLabs SMS session:', {
+    lead_id: lead.id,
+    customer_name: lead.customer_name,
+    context_length: conversationContext?.length || 0,
+    has_previous_summary: !!previousSummary
+  });
+
+  // SMS-specific greeting (simpler than voice)
+  const smsGreeting = lead.customer_name
+    ? `Hi ${lead.customer_name.split(' ')[0]}! I'm Ryder from ${settings.name}. How can I help you today?`
+    : `Hi there! I'm Ryder from ${settings.name}. How can I help you today?`;
+
+  return {
+    // Customer info (sanitized)
+    customer_name: (lead.customer_name || 'Unknown').substring(0, 50),
+    customer_phone: lead.phone_number,
+    lead_status: lead.status || 'new',
+    bike_interest: typeof lead.bike_interest === 'string' ? lead.bike_interest : JSON.stringify(lead.bike_interest || {}),
+
+    // Already within the SMS context budget
+    conversation_context: conversationContext,
+    previous_summary: (previousSummary?.summary || 'First interaction').substring(0, 500),
+
+    // Store info and timing context (like voice calls)
+    organization_name: settings.name,
+    location_address: settings.address,
+    business_hours: describeStoreStatus(settings),
+    current_time: timeString,
+    current_day: dayOfWeek,
+
+    // Additional context (sanitized)
+    last_interaction_date: new Date(lead.last_contact_at || Date.now()).toISOString(),
+    customer_sentiment: lead.sentiment || 'neutral',
+    dynamic_greeting: smsGreeting,
+
+    // Add greeting context (sanitized)
+    ...Object.entries(greetingContext || {}).reduce((acc, [key, value]) => {
+      acc[key] = typeof value === 'string' ? value.substring(0, 100) : String(value);
+      return acc;
+    }, {} as Record<string, string>),
+
+    // Add rich customer context like voice calls
+    interaction_count: String(await conversationService.getConversationCount(lead.id) || 0),
+    last_contact: lead.last_contact_at ? new Date(lead.last_contact_at).toLocaleDateString() : 'First contact',
+    customer_history: previousSummary?.summary || 'New customer',
+    qualification_status: lead.qualification_data?.ready_to_buy ? 'ready to purchase' : 'exploring options',
+
+    channel: 'sms',
+    lead_id: lead.id,
+    organization_id: lead.organization_id
+  };
+}
+
+// Store facts and tone for chat models that know nothing about the store
+function buildSystemPrompt(lead: Lead, settings: OrganizationSettings, previousSummary?: string): string {
+  return [
+    `You are Ryder, the text message assistant for ${settings.name}, a bike store.`,
+    `Store status: ${describeStoreStatus(settings)}. Today's hours: ${getTodaysHours(settings)}.`,
+    `Address: ${settings.address}. Phone: ${settings.phone}. Website: ${settings.website}.`,
+    `Services: ${settings.services.join(', ')}.`,
+    lead.customer_name ? `You are texting ${lead.customer_name}.` : '',
+    previousSummary ? `Earlier conversations: ${previousSummary}` : '',
+    'Reply in plain text suitable for SMS, in one or two short sentences. If you are unsure, suggest calling the store.'
+  ].filter(Boolean).join('\n');
+}
+
+// Export singleton instance
+export const smsResponders = new SMSResponderService();
@@ -0,0 +1,214 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { authConfig } from '../config/auth.config';
+import { User, UserRole } from '../types';
+import { logger } from '../utils/logger';
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keylen: number, options: { N: number }) => Promise<Buffer>;
+
+export const USER_ROLES: UserRole[] = ['owner', 'staff', 'read_only'];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const KEY_LENGTH = 64;
+
+// Hash of a random password, made on first use, for checking unknown users
+let dummyHash: Promise<string> | null = null;
+
+export interface UserInput {
+  email?: string;
+  name?: string;
+  role?: UserRole;
+  password?: string;
+  active?: boolean;
+}
+
+/**
+ * Dashboard users. Passwords are stored as scrypt hashes in the form
+ * "scrypt$<cost>$<salt>$<hash>" so the cost can be raised later.
+ */
+export class UserService {
+  async getUser(userId: string): Promise<User | null> {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        handleSupabaseError(error, 'get user');
+      }
+      return data || null;
+    } catch (error) {
+      logger.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
+  async getUserByEmail(email: string): Promise<User | null> {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('email', email.trim().toLowerCase())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        handleSupabaseError(error, 'get user by email');
+      }
+      return data || null;
+    } catch (error) {
+      logger.error('Error getting user by email:', error);
+      throw error;
+    }
+  }
+
+  async listUsers(organizationId: string): Promise<User[]> {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        handleSupabaseError(error, 'list users');
+      }
+      return (data || []).map((user: User) => this.toPublicUser(user));
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
+  async createUser(organizationId: string, input: UserInput): Promise<User> {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .insert({
+          organization_id: organizationId,
+          email: input.email!.trim().toLowerCase(),
+          name: input.name!.trim(),
+          role: input.role || 'staff',
+          active: true,
+          password_hash: await this.hashPassword(input.password!)
+        })
+        .select()
+        .single();
+
+      if (error) {
+        handleSupabaseError(error, 'create user');
+      }
+
+      logger.info('Created user:', { userId: data.id, organizationId, role: data.role });
+      return this.toPublicUser(data);
+    } catch (error) {
+      logger.error('Error creating user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns null when the user is not in this organization
+   */
+  async updateUser(organizationId: string, userId: string, input: UserInput): Promise<User | null> {
+    try {
+      const existing = await this.getUser(userId);
+      if (!existing || existing.organization_id !== organizationId) {
+        return null;
+      }
+
+      const updates: Record<string, any> = { updated_at: new Date() };
+      if (input.name !== undefined) updates.name = input.name.trim();
+      if (input.role !== undefined) updates.role = input.role;
+      if (input.active !== undefined) updates.active = input.active;
+      if (input.password) updates.password_hash = await this.hashPassword(input.password);
+
+      const { data, error } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        handleSupabaseError(error, 'update user');
+      }
+      return this.toPublicUser(data);
+    } catch (error) {
+      logger.error('Error updating user:', error);
+      throw error;
+    }
+  }
+
+  async recordLogin(userId: string): Promise<void> {
+    const { error } = await supabase
+      .from('users')
+      .update({ last_login_at: new Date() })
+      .eq('id', userId);
+
+    if (error) {
+      logger.warn('Failed to record login time:', { userId, error: error.message });
+    }
+  }
+
+  /**
+   * Validation errors for a create (or, with partial, an update); empty when valid
+   */
+  validateUser(input: UserInput, partial: boolean = false): string[] {
+    const errors: string[] = [];
+
+    if (!partial || input.email !== undefined) {
+      if (typeof input.email !== 'string' || !EMAIL.test(input.email.trim())) {
+        errors.push('email must be a valid email address');
+      } else if (partial) {
+        errors.push('email cannot be changed');
+      }
+    }
+    if ((!partial || input.name !== undefined) && (typeof input.name !== 'string' || !input.name.trim())) {
+      errors.push('name is required');
+    }
+    if (input.role !== undefined && !USER_ROLES.includes(input.role)) {
+      errors.push(`role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+    if (!partial || input.password !== undefined) {
+      if (typeof input.password !== 'string' || input.password.length < authConfig.minPasswordLength) {
+        errors.push(`password must be at least ${authConfig.minPasswordLength} characters`);
+      }
+    }
+    if (input.active !== undefined && typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+
+    return errors;
+  }
+
+  async hashPassword(password: string): Promise<string> {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH, { N: authConfig.passwordHashCost });
+    return `scrypt$${authConfig.passwordHashCost}$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  /**
+   * Unknown users (no stored hash) are checked against a dummy hash, so the
+   * response takes as long as for a real account
+   */
+  async verifyPassword(password: string, stored: string | undefined): Promise<boolean> {
+    const [scheme, cost, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      dummyHash = dummyHash || this.hashPassword(randomBytes(16).toString('hex'));
+      await this.verifyPassword(password, await dummyHash);
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(cost) });
+    return timingSafeEqual(actual, expected);
+  }
+
+  toPublicUser(user: User): User {
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+}
@@ -0,0 +1,313 @@
+import { Response } from 'express';
+import { supabase, handleSupabaseError } from '../config/supabase.config';
+import { WebhookEvent, WebhookEventStatus, WebhookSource } from '../types';
+import { parseAddressList } from '../utils/email.helper';
+import { logger } from '../utils/logger';
+import { organizationLabel, webhookStepDuration, webhookStepsSkipped } from './metrics.service';
+import { LeadService } from './lead.service';
+import { OrganizationService } from './organization.service';
+
+const leadService = new LeadService();
+const organizationService = new OrganizationService();
+
+export const WEBHOOK_EVENT_STATUSES: WebhookEventStatus[] = ['received', 'processed', 'failed', 'invalid'];
+export const WEBHOOK_SOURCES: WebhookSource[] = ['elevenlabs', 'twilio', 'email'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Query string of the event list; status may be comma-separated
+export interface WebhookEventQuery {
+  status?: any;
+  source?: any;
+  endpoint?: any;
+  limit?: any;
+  offset?: any;
+}
+
+export interface WebhookOutcome {
+  responseStatus: number;
+  error?: unknown;
+  validationErrors?: string[];
+}
+
+function errorMessage(error: unknown): string {
+  if (error instanceof Error) return error.message;
+  if (error && typeof error === 'object' && 'message' in error) return String((error as any).message);
+  return String(error);
+}
+
+// Conversation id, MessageSid or Message-ID, to find an event by what the sender calls it
+function externalIdFor(source: WebhookSource, payload: Record<string, any>): string | null {
+  const id = source === 'elevenlabs'
+    ? payload.data?.conversation_id || payload.conversation_id || payload.call_sid
+    : source === 'twilio'
+      ? payload.MessageSid
+      : payload.message_id || payload.messageId;
+  return typeof id === 'string' ? id : null;
+}
+
+/**
+ * Stores every incoming webhook with its processing status, so a delivery
+ * that failed part way can be found and replayed without losing the payload.
+ */
+export class WebhookEventService {
+  /**
+   * Keep a webhook as it arrived. A replay (`replayOf`) or a sender's retry of
+   * the same conversation or message starts with the steps already done, so
+   * they aren't repeated. Returns null when the event can't be stored; the
+   * webhook is still processed.
+   */
+  async record(source: WebhookSource, endpoint: string, payload: Record<string, any>, replayOf?: string | null): Promise<WebhookEvent | null> {
+    try {
+      const externalId = externalIdFor(source, payload || {});
+      const original = replayOf
+        ? await this.getEvent(replayOf, null)
+        : externalId ? await this.findLatest(source, endpoint, externalId) : null;
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .insert({
+          organization_id: original?.organization_id || await this.resolveOrganizationId(source, endpoint, payload || {}),
+          source,
+          endpoint,
+          external_id: externalId,
+          payload: payload || {},
+          status: 'received',
+          attempts: 1,
+          steps: original?.steps || {},
+          replay_of: replayOf && original ? original.id : null,
+          received_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        handleSupabaseError(error, 'record webhook event');
+      }
+      return data;
+    } catch (error) {
+      logger.error('Error recording webhook event:', error);
+      return null;
+    }
+  }
+
+  private async findLatest(source: WebhookSource, endpoint: string, externalId: string): Promise<WebhookEvent | null> {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('source', source)
+      .eq('endpoint', endpoint)
+      .eq('external_id', externalId)
+      .order('received_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      handleSupabaseError(error, 'find earlier webhook event');
+    }
+    return data?.[0] || null;
+  }
+
+  /**
+   * Record how processing went
+   */
+  async finish(event: WebhookEvent, outcome: WebhookOutcome): Promise<WebhookEvent> {
+    const status: WebhookEventStatus = outcome.validationErrors?.length
+      ? 'invalid'
+      : outcome.error || outcome.responseStatus >= 500 ? 'failed' : 'processed';
+    const now = new Date().toISOString();
+
+    const updates: Partial<WebhookEvent> = {
+      status,
+      response_status: outcome.responseStatus,
+      validation_errors: outcome.validationErrors?.length ? outcome.validationErrors : null,
+      last_error: status === 'failed'
+        ? (outcome.error ? errorMessage(outcome.error) : `Responded ${outcome.responseStatus}`)
+        : status === 'invalid' ? outcome.validationErrors!.join('; ') : null,
+      processed_at: status === 'processed' ? now : event.processed_at || null,
+      updated_at: now
+    };
+    try {
+      const { error } = await supabase
+        .from('webhook_events')
+        .update(updates)
+        .eq('id', event.id);
+
+      if (error) {
+        handleSupabaseError(error, 'update webhook event');
+      }
+      if (status === 'failed') {
+        logger.warn('Webhook event failed:', { id: event.id, source: event.source, endpoint: event.endpoint, error: updates.last_error });
+      }
+    } catch (error) {
+      logger.error('Error updating webhook event:', error);
+    }
+    return Object.assign(event, updates);
+  }
+
+  /**
+   * Remember that a step's side effect happened, with what later steps need from it
+   */
+  async completeStep(event: WebhookEvent, step: string, result: any): Promise<void> {
+    event.steps = { ...(event.steps || {}), [step]: { completed_at: new Date().toISOString(), result: result ?? null } };
+    try {
+      const { error } = await supabase
+        .from('webhook_events')
+        .update({ steps: event.steps, updated_at: new Date().toISOString() })
+        .eq('id', event.id);
+
+      if (error) {
+        handleSupabaseError(error, 'record webhook step');
+      }
+    } catch (error) {
+      logger.error('Error recording webhook step:', { id: event.id, step, error });
+    }
+  }
+
+  /**
+   * Count another attempt before a replay
+   */
+  async startAttempt(event: WebhookEvent): Promise<WebhookEvent> {
+    const updates = { status: 'received' as const, attempts: (event.attempts || 1) + 1, updated_at: new Date().toISOString() };
+    const { error } = await supabase
+      .from('webhook_events')
+      .update(updates)
+      .eq('id', event.id);
+
+    if (error) {
+      handleSupabaseError(error, 'start webhook replay');
+    }
+    return Object.assign(event, updates);
+  }
+
+  validateQuery(query: WebhookEventQuery): string[] {
+    const errors: string[] = [];
+    const statuses = query.status === undefined ? [] : String(query.status).split(',');
+    for (const status of statuses) {
+      if (!WEBHOOK_EVENT_STATUSES.includes(status as WebhookEventStatus)) {
+        errors.push(`status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`);
+        break;
+      }
+    }
+    if (query.source !== undefined && !WEBHOOK_SOURCES.includes(query.source)) {
+      errors.push(`source must be one of: ${WEBHOOK_SOURCES.join(', ')}`);
+    }
+    if (query.limit !== undefined && !(parseInt(query.limit, 10) > 0 && parseInt(query.limit, 10) <= MAX_LIMIT)) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (query.offset !== undefined && !(parseInt(query.offset, 10) >= 0)) {
+      errors.push('offset must be zero or more');
+    }
+    return errors;
+  }
+
+  /**
+   * Events for an organization, newest first. Without an organization, every
+   * event (for the CLI).
+   */
+  async listEvents(organizationId: string | null, query: WebhookEventQuery = {}): Promise<{ events: WebhookEvent[]; has_more: boolean }> {
+    const limit = parseInt(query.limit, 10) || DEFAULT_LIMIT;
+    const offset = parseInt(query.offset, 10) || 0;
+
+    let request = supabase.from('webhook_events').select('*');
+    if (organizationId) request = request.eq('organization_id', organizationId);
+    if (query.status) request = request.in('status', String(query.status).split(','));
+    if (query.source) request = request.eq('source', query.source);
+    if (query.endpoint) request = request.eq('endpoint', query.endpoint);
+
+    // One extra row tells whether there's another page
+    const { data, error } = await request
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit);
+
+    if (error) {
+      handleSupabaseError(error, 'list webhook events');
+    }
+    const rows = data || [];
+    return { events: rows.slice(0, limit), has_more: rows.length > limit };
+  }
+
+  async getEvent(id: string, organizationId: string | null): Promise<WebhookEvent | null> {
+    let query = supabase.from('webhook_events').select('*').eq('id', id);
+    if (organizationId) query = query.eq('organization_id', organizationId);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+      handleSupabaseError(error, 'get webhook event');
+    }
+    return data || null;
+  }
+
+  /**
+   * The organization a payload is for: the store number or address it was
+   * sent to, or the ElevenLabs agent that handled it
+   */
+  async resolveOrganizationId(source: WebhookSource, endpoint: string, payload: Record<string, any>): Promise<string | null> {
+    try {
+      if (source === 'twilio') {
+        // Status callbacks are about texts we sent, so our number is the sender
+        const ourNumber = endpoint === 'sms/status' ? payload.From : payload.To;
+        return ourNumber ? (await leadService.getOrganizationByPhone(ourNumber))?.id || null : null;
+      }
+      if (source === 'email') {
+        const to = parseAddressList(payload.to ?? payload.To ?? payload.recipient);
+        return to.length ? (await organizationService.getOrganizationByEmail(to))?.id || null : null;
+      }
+
+      const data = payload.data || payload;
+      const clientData = data.conversation_initiation_client_data || payload.conversation_initiation_client_data;
+      if (clientData?.dynamic_variables?.organization_id) return clientData.dynamic_variables.organization_id;
+      if (endpoint === 'conversation-initiation' && (data.called_number || payload.called_number)) {
+        return (await leadService.getOrganizationByPhone(data.called_number || payload.called_number))?.id || null;
+      }
+      const agentId = data.agent_id || payload.agent_id;
+      return agentId ? (await organizationService.getOrganizationByAgentId(agentId))?.id || null : null;
+    } catch (error) {
+      logger.warn('Could not tie webhook event to an organization:', { source, endpoint, error: errorMessage(error) });
+      return null;
+    }
+  }
+}
+
+const webhookEventService = new WebhookEventService();
+
+/**
+ * Run one side effect of a webhook at most once per event. A replay skips
+ * steps that already completed and gets back their stored result.
+ */
+export async function runWebhookStep<T>(res: Response, step: string, work: () => Promise<T>): Promise<T> {
+  const event: WebhookEvent | undefined = res.locals?.webhookEvent;
+  const labels = {
+    organization_id: organizationLabel(event?.organization_id),
+    source: event?.source || 'unknown',
+    endpoint: event?.endpoint || 'unknown',
+    step
+  };
+
+  const done = event?.steps?.[step];
+  if (done) {
+    logger.info('Skipping webhook step done on an earlier attempt:', { id: event!.id, step, completed_at: done.completed_at });
+    webhookStepsSkipped.inc(labels);
+    return done.result as T;
+  }
+
+  const endTimer = webhookStepDuration.startTimer(labels);
+  let result: T;
+  try {
+    result = await work();
+  } catch (error) {
+    endTimer({ outcome: 'failed' });
+    throw error;
+  }
+  endTimer({ outcome: 'completed' });
+
+  if (event) await webhookEventService.completeStep(event, step, result);
+  return result;
+}
+
+// Whether an earlier attempt of this event already did `step`
+export function webhookStepDone(res: Response, step: string): boolean {
+  return !!(res.locals?.webhookEvent as WebhookEvent | undefined)?.steps?.[step];
+}
@@ -0,0 +1,139 @@
+// Realtime events pushed to the dashboard over SSE and WebSocket.
+// Shared with the client (client/src/types/events.ts), so no imports here.
+
+export type TranscriptSpeaker = 'user' | 'agent';
+
+// Who answered an inbound text. elevenlabs: the voice agent over a text session;
+// openai: an OpenAI-compatible chat endpoint; rules: canned answers, no AI at all
+export type SMSResponderName = 'elevenlabs' | 'openai' | 'rules';
+
+interface LiveTranscriptFields {
+  lead_id: string;
+  speaker: TranscriptSpeaker;
+  message: string;
+  conversation_id: string;
+  event_id?: string;
+  is_final: boolean;
+  confidence: number | null;
+}
+
+/**
+ * Fields each event type carries, keyed by type
+ */
+export interface RealtimeEventPayloads {
+  // Calls
+  call_initiated: { lead_id: string; phone_number?: string; conversation_id: string };
+  call_completed: {
+    lead_id?: string;
+    conversation_id?: string;
+    summary?: string;
+    classification?: string;
+    duration: number;
+  };
+  conversation_started: { lead_id: string; conversation_id: string };
+  conversation_ended: { lead_id: string; conversation_id: string };
+  // Raw ElevenLabs conversation events; `event` is their type
+  conversation_event: { lead_id?: string; conversation_id: string; event: string; data?: unknown };
+  live_transcript: LiveTranscriptFields;
+  live_transcript_partial: LiveTranscriptFields & { is_partial: true };
+  user_speaking: { lead_id: string; vad_score: number };
+  tool_call: { lead_id: string; tool_name: string; parameters?: unknown };
+  tool_result: { lead_id: string; tool_name: string; result?: unknown; error?: string };
+
+  // Leads and conversations
+  lead_updated: { lead_id: string; customer_name?: string | null; updates?: Record<string, unknown> };
+  // merged_lead_id no longer exists; its history now belongs to lead_id
+  lead_merged: { lead_id: string; merged_lead_id: string };
+  // The customer's data was erased on request or by the retention policy
+  lead_erased: { lead_id: string };
+  conversation_added: {
+    lead_id?: string;
+    conversation: { id: string };
+    sent_by: 'user' | 'agent' | 'human_agent' | 'system';
+    message_type: string;
+  };
+  appointment_updated: {
+    lead_id: string;
+    appointment: { id: string; scheduled_at: string; status: string };
+    action: 'booked' | 'rescheduled' | 'cancelled';
+  };
+
+  // SMS
+  sms_sent: { lead_id: string; phone_number: string; message: string; conversation_id: string };
+  sms_received: { lead_id: string; phone_number: string; message: string; ai_response?: string; responder?: SMSResponderName };
+  sms_received_human_queue: { lead_id: string; phone_number: string; message: string; assigned: boolean };
+  email_sent: { lead_id: string; email: string; subject: string; message: string; conversation_id: string };
+  email_received: { lead_id: string; email: string; subject: string; message: string; ai_response?: string; responder?: SMSResponderName };
+  email_received_human_queue: { lead_id: string; email: string; subject: string; message: string; assigned: boolean };
+  sms_status: {
+    lead_id?: string;
+    conversation_id: string;
+    message_sid: string;
+    status: string;
+    error_code: string | null;
+  };
+  sms_consent_changed: { lead_id: string; opted_out: boolean; source: string };
+
+  // Campaigns
+  campaign_updated: {
+    campaign_id: string;
+    status: string;
+    progress: { total: number; by_status: Record<string, number>; by_outcome: Record<string, number> };
+  };
+
+  // Human takeover
+  handoff_queued: { lead_id: string; reason: 'support_call' | 'negative_sentiment' | 'asked_for_human' };
+  handoff_dismissed: { lead_id: string };
+  human_control_claimed: { lead_id: string; agent_name: string; agent_user_id?: string };
+  human_control_transferred: { lead_id: string; from_agent: string; agent_name: string; agent_user_id?: string };
+  human_control_released: { lead_id: string; agent_name: string; reason: 'released' | 'inactivity' | 'cleared' };
+
+  // Sent from the admin test-broadcast endpoint
+  test_event: { lead_id?: string; message: string };
+}
+
+export type RealtimeEventType = keyof RealtimeEventPayloads;
+
+/**
+ * An event as published: every event belongs to one organization
+ */
+export type RealtimeEvent = {
+  [K in RealtimeEventType]: { type: K; organization_id: string; lead_id?: string } & RealtimeEventPayloads[K]
+}[RealtimeEventType];
+
+/**
+ * An event as delivered. `id` is the position in the replay buffer and is
+ * what EventSource sends back as Last-Event-ID when it reconnects.
+ */
+export type RealtimeEnvelope = RealtimeEvent & {
+  id: string;
+  timestamp: string;
+};
+
+/**
+ * First message on every new SSE stream; not buffered or replayed
+ */
+export interface RealtimeConnectedMessage {
+  type: 'connected';
+  clientId: string;
+  timestamp: string;
+}
+
+/**
+ * Events only sent to connections subscribed to the lead (live call detail)
+ */
+export const LEAD_STREAM_EVENTS: readonly RealtimeEventType[] = [
+  'live_transcript',
+  'live_transcript_partial',
+  'user_speaking',
+  'tool_call',
+  'tool_result'
+];
+
+/**
+ * Messages a client sends over the WebSocket
+ */
+export type RealtimeClientMessage =
+  | { type: 'ping' }
+  | { type: 'subscribe'; token: string; lead_id?: string | null; last_event_id?: string }
+  | { type: 'unsubscribe' };
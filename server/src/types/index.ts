@@ -1,26 +1,54 @@
 // Type definitions for the BICI Voice Agent system
 
+import { SMSResponderName } from './events';
+
+export { SMSResponderName };
+
 export interface Organization {
   id: string;
   name: string;
   phone_number: string;
-  settings: {
-    business_hours: Record<string, { open: string; close: string }>;
-    location: {
+  tool_secret_hash?: string | null;  // SHA-256 of the agent tool secret
+  // Raw settings as stored; read through OrganizationService.getSettings
+  settings: Omit<Partial<OrganizationSettings>, 'business_hours'> & {
+    business_hours?: Record<string, DayHours | string>;  // "9:00-18:00" / "closed" also accepted
+    location?: {
       address: string;
-      coordinates: { lat: number; lng: number };
+      coordinates?: { lat: number; lng: number };
     };
-    services: string[];
   };
 }
 
+// `open` is 'closed' on days the store doesn't open
+export interface DayHours {
+  open: string;
+  close: string;
+}
+
+export interface OrganizationSettings {
+  name: string;
+  spoken_name: string;          // How the voice agent says the store name
+  address: string;
+  phone: string;                // Number customers are told to call
+  email: string;
+  website: string;
+  timezone: string;             // IANA zone business_hours are expressed in
+  business_hours: Record<string, DayHours>;
+  services: string[];
+  elevenlabs_agent_id: string;
+  elevenlabs_phone_number_id: string;
+  twilio_phone_number: string;  // Sender for outbound SMS
+  transfer_number?: string;
+  sms_responders: SMSResponderName[]; // Who answers inbound texts, in failover order
+}
+
 export interface Lead {
   id: string;
   organization_id: string;
   phone_number: string;
   phone_number_normalized: string;
   customer_name?: string;
-  email?: string;
+  email?: string | null;
   status: 'new' | 'contacted' | 'qualified' | 'hot' | 'customer' | 'closed';
   sentiment: 'positive' | 'neutral' | 'negative';
   bike_interest: {
@@ -32,13 +60,82 @@ export interface Lead {
   };
   qualification_data: {
     ready_to_buy: boolean;
-    timeline?: string;
+    timeline?: string;            // ElevenLabs purchase_timeline: immediate, this_week, this_month, just_browsing, unsure
+    budget_range?: string;        // under_500, 500_1000, 1000_2000, over_2000
+    riding_experience?: string;   // beginner, intermediate, advanced, returning_rider
     contact_preference: 'phone' | 'sms' | 'email';
-    purchase_intent: number;
+    purchase_intent: number;      // lead_score / 100
   };
   created_at: Date;
   updated_at: Date;
   last_contact_at?: Date;
+  timezone?: string; // IANA zone for quiet hours; store timezone when unset
+  sms_opted_out?: boolean;
+  sms_opted_out_at?: string | null;
+  sms_opt_out_source?: 'sms_keyword' | 'dashboard' | 'api' | null;
+  sms_delivery_failed?: boolean; // Set after a failed message could not be retried
+  sms_delivery_failed_at?: string | null;
+  sms_delivery_error_code?: string | null;
+  product_matches?: ProductMatch[]; // Catalog products the agent found for this lead, newest first
+  lead_score?: number;          // 0-100, see LeadScoringService
+  score_factors?: ScoreFactor[];
+  scored_at?: string;
+}
+
+export type LeadStatus = Lead['status'];
+
+// One contribution to a lead score, shown in the lead panel
+export interface ScoreFactor {
+  key: string;                  // e.g. 'purchase_timeline', 'calls', 'keyword:asked_price'
+  category: 'data_collection' | 'engagement' | 'keywords';
+  label: string;
+  points: number;
+}
+
+export type LeadDuplicateReason = 'phone' | 'email' | 'name';
+
+// Two leads that look like the same customer
+export interface LeadDuplicate {
+  leads: [Lead, Lead];          // Oldest first; the suggested lead to keep
+  reasons: LeadDuplicateReason[];
+  confidence: 'high' | 'medium'; // high: same phone or email; medium: similar name only
+}
+
+export interface LeadMergeResult {
+  lead: Lead;                   // The surviving lead
+  merged_lead_id: string;
+  moved: Record<string, number>; // Rows re-parented, by table
+}
+
+export type LeadScoreSource = 'call' | 'sms' | 'email' | 'manual' | 'recalculated';
+
+export interface LeadScoreChange {
+  id: string;
+  organization_id: string;
+  lead_id: string;
+  score: number;
+  previous_score: number | null;
+  status: LeadStatus;
+  previous_status: LeadStatus | null;
+  factors: ScoreFactor[];
+  source: LeadScoreSource;
+  reference_id?: string | null;
+  changed_by?: string | null;   // Staff member behind a manual status override
+  reason?: string | null;
+  created_at: string;
+}
+
+export interface ProductMatch {
+  product_id: string;
+  title: string;
+  url?: string;
+  image_url?: string;
+  price_min?: string;
+  price_max?: string;
+  currency?: string;
+  in_stock?: boolean;
+  source: 'search_bikes' | 'check_stock' | 'search_shop_catalog';
+  matched_at: string;
 }
 
 export interface Conversation {
@@ -56,6 +153,27 @@ export interface Conversation {
   metadata?: Record<string, any>;
 }
 
+// Channels a written message can go out on
+export type MessageChannel = 'sms' | 'email';
+
+export interface ConversationSearchResult {
+  kind: 'message' | 'summary';
+  id: string;                  // Conversation or summary id
+  lead_id: string | null;
+  lead: Pick<Lead, 'id' | 'customer_name' | 'phone_number' | 'status'> | null;
+  channel: string;             // 'voice', 'sms' or 'email'
+  sent_by: Conversation['sent_by'] | null; // Summaries aren't sent by anyone
+  call_classification: string | null;
+  timestamp: string;
+  snippet: string;
+  highlights: [number, number][]; // [start, end) of each matched term in the snippet
+}
+
+export interface ConversationSearchResponse {
+  results: ConversationSearchResult[];
+  has_more: boolean;
+}
+
 export interface CallSession {
   id: string;
   organization_id: string;
@@ -66,9 +184,13 @@ export interface CallSession {
   ended_at?: Date;
   duration_seconds?: number;
   call_type?: 'inbound' | 'outbound';
+  campaign_id?: string;
+  outcome?: CallOutcome;
   metadata?: Record<string, any>;
 }
 
+export type CallOutcome = 'answered' | 'voicemail' | 'no_answer' | 'busy' | 'failed';
+
 export interface ElevenLabsDynamicVariables {
   conversation_context: string;
   previous_summary: string;
@@ -117,4 +239,425 @@ export interface ConversationInsights {
   purchaseTimeline?: string;
   budgetRange?: string;
   followUpNeeded?: string;  // ElevenLabs recommendation for follow-up SMS
-}
\ No newline at end of file
+}
+
+export interface Appointment {
+  id: string;
+  organization_id: string;
+  lead_id: string;
+  scheduled_at: string;         // ISO timestamp (UTC)
+  duration_minutes: number;
+  service_type: string;
+  status: 'scheduled' | 'cancelled' | 'completed' | 'no_show';
+  source: 'voice' | 'sms' | 'dashboard';
+  notes?: string;
+  cancelled_at?: string;
+  created_at?: string;
+  updated_at?: string;
+  metadata?: Record<string, any>;
+}
+
+export interface AppointmentSlot {
+  start: string;      // ISO timestamp (UTC)
+  end: string;        // ISO timestamp (UTC)
+  date: string;       // Store-local date (yyyy-MM-dd)
+  label: string;      // Voice/SMS friendly, e.g. "Tuesday, October 20 at 10:00 AM"
+  remaining: number;  // Free bays left in this slot
+}
+
+export type JobCancelReason = 'human_takeover' | 'customer_reply';
+
+export interface ScheduledJob {
+  id: string;
+  type: string;                 // Handler name, e.g. 'sms.send'
+  payload: Record<string, any>;
+  run_at: string;               // ISO timestamp of next attempt
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+  attempts: number;
+  max_attempts: number;
+  lead_id?: string;
+  organization_id?: string;
+  idempotency_key?: string;     // lead + template, prevents duplicate scheduling
+  cancel_on: JobCancelReason[]; // Events that cancel this job for its lead
+  last_error?: string;
+  cancel_reason?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+// ConversationInsights fields an automation rule can test
+export type AutomationConditionField =
+  | 'triggers'
+  | 'classification'
+  | 'purchaseIntent'
+  | 'followUpNeeded'
+  | 'sentiment'
+  | 'leadStatus'
+  | 'purchaseTimeline'
+  | 'budgetRange'
+  | 'ridingExperience'
+  | 'appointmentScheduled';
+
+export type AutomationConditionOperator = 'contains' | 'equals' | 'not_equals' | 'in' | 'gte' | 'lte' | 'exists';
+
+export interface AutomationCondition {
+  field: AutomationConditionField;
+  operator: AutomationConditionOperator;
+  value?: string | number | boolean | string[];  // string[] means "any of" for contains/equals/in
+}
+
+export interface AutomationRule {
+  id: string;
+  organization_id: string;
+  name: string;
+  enabled: boolean;
+  match: 'all' | 'any';
+  conditions: AutomationCondition[];
+  template: string;             // Message with {{variables}}
+  delay_minutes: number;
+  priority: number;             // Higher priority rules are evaluated first
+  cooldown_minutes: number;     // Per lead; a rule won't fire again inside this window
+  created_at: string;
+  updated_at: string;
+}
+
+export interface AutomationRuleResult {
+  rule_id: string;
+  name: string;
+  priority: number;
+  matched: boolean;
+  message?: string;
+  delay_minutes?: number;
+  skipped_reason?: 'cooldown' | 'disabled';
+}
+
+export type UserRole = 'owner' | 'staff' | 'read_only';
+
+// Dashboard user; password_hash never leaves the server
+export interface User {
+  id: string;
+  organization_id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  active: boolean;
+  password_hash?: string;
+  last_login_at?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface AuditLogEntry {
+  id: string;
+  organization_id: string;
+  user_id: string | null;
+  user_name: string | null;
+  action: string;               // e.g. 'sms.sent', 'human_control.joined'
+  target_type?: string | null;  // 'lead', 'organization', 'user'
+  target_id?: string | null;
+  details?: Record<string, any>;
+  created_at: string;
+}
+
+// Which leads a campaign calls; every set field must match
+export interface CampaignSegment {
+  statuses?: Lead['status'][];
+  bike_type?: NonNullable<Lead['bike_interest']['type']>;
+  no_contact_days?: number;     // No contact in at least this many days
+}
+
+export interface Campaign {
+  id: string;
+  organization_id: string;
+  name: string;
+  purpose: string;              // Spoken reason for the call, used as the greeting
+  segment: CampaignSegment;
+  status: 'draft' | 'running' | 'paused' | 'completed';
+  max_concurrent: number;
+  pacing_seconds: number;       // Pause between dialing rounds
+  max_attempts: number;
+  retry_delay_minutes: number;  // Wait before redialing a no-answer
+  run_id?: string | null;       // Changes on every start so stale runner jobs stop
+  created_by?: string | null;
+  started_at?: string | null;
+  completed_at?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CampaignLead {
+  id: string;
+  campaign_id: string;
+  organization_id: string;
+  lead_id: string;
+  status: 'pending' | 'calling' | 'retry' | 'completed' | 'failed' | 'skipped';
+  attempts: number;
+  outcome?: CallOutcome | 'opted_out' | null;
+  next_attempt_at?: string | null;
+  last_attempt_at?: string | null;
+  call_session_id?: string | null;
+  conversation_id?: string | null;
+  last_error?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CampaignProgress {
+  total: number;
+  by_status: Record<CampaignLead['status'], number>;
+  by_outcome: Record<string, number>;
+}
+
+// Why a conversation is waiting in the handoff queue
+export type EscalationReason = 'support_call' | 'negative_sentiment' | 'asked_for_human';
+
+export interface Escalation {
+  lead_id: string;
+  organization_id: string;
+  reason: EscalationReason;
+  details?: string;             // Call summary or the customer's message
+  customer_name?: string | null;
+  phone_number?: string;
+  created_at: string;
+}
+
+// A staff member holding a conversation; shared across instances through Redis
+export interface HumanControlSession {
+  id: string;
+  lead_id: string;
+  organization_id: string;
+  agent_name: string;
+  agent_user_id?: string | null;
+  escalation_reason?: EscalationReason | null;
+  messages_handled: number;
+  started_at: string;
+  last_activity_at: string;     // Staff activity; idle sessions are handed back to the AI
+}
+
+// Customer text received while waiting for, or held by, a staff member
+export interface QueuedCustomerMessage {
+  content: string;
+  received_at: string;
+}
+
+// Parts of the ElevenLabs agent the dashboard manages and versions
+export interface AgentConfigFields {
+  prompt: string;
+  first_message: string;
+  tools: Record<string, any>[];   // Transfer destinations live in transfer_numbers
+  transfer_numbers: string[];     // E.164 destinations of the transfer_to_number tool
+  data_collection: Record<string, AgentDataCollectionField>;
+}
+
+export type AgentConfigField = keyof AgentConfigFields;
+
+export interface AgentDataCollectionField {
+  type: 'string' | 'boolean' | 'integer' | 'number';
+  description: string;
+  [key: string]: any;
+}
+
+export interface AgentConfigVersion {
+  id: string;
+  organization_id: string;
+  agent_id: string;
+  version: number;
+  config: AgentConfigFields;
+  source: 'live' | 'edit' | 'import' | 'rollback';
+  note?: string | null;
+  rolled_back_from?: number | null;  // Version whose config a rollback restored
+  created_by?: string | null;
+  created_by_name?: string | null;
+  deployed_at?: string | null;
+  deployed_fields?: AgentConfigField[] | null;
+  created_at: string;
+}
+
+export interface AgentConfigChange {
+  field: AgentConfigField;
+  live: any;
+  version: any;
+}
+
+// Channels a conversation context is built for; each has its own size budget
+export type MemoryChannel = 'voice' | 'sms' | 'email';
+
+export type CustomerFactCategory = 'bike' | 'fit' | 'purchase' | 'preference' | 'service';
+
+// A durable fact about a customer, kept across conversations
+export interface CustomerFact {
+  id: string;
+  organization_id: string;
+  lead_id: string;
+  key: string;                  // One value per key; service history uses service:<summary id>
+  category: CustomerFactCategory;
+  value: string;
+  source: 'call' | 'sms' | 'email' | 'manual';
+  source_id?: string | null;
+  updated_by?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Older conversation summaries folded into one entry per lead
+export interface CustomerMemoryRollup {
+  lead_id: string;
+  organization_id: string;
+  summary: string;
+  key_points: string[];
+  summary_count: number;
+  covers_from: string | null;
+  covers_to: string | null;
+  updated_at: string;
+}
+
+export interface ConversationContext {
+  channel: MemoryChannel;
+  text: string;
+  tokens: number;               // Estimated, see estimateTokens
+  budget: number;
+  included: Record<string, number>; // Entries used per section
+  dropped: Record<string, number>;  // Entries left out for lack of room
+}
+
+export type WebhookSource = 'elevenlabs' | 'twilio' | 'email';
+
+export type WebhookEventStatus = 'received' | 'processed' | 'failed' | 'invalid';
+
+// A webhook as it arrived, kept so failed deliveries can be replayed
+export interface WebhookEvent {
+  id: string;
+  organization_id?: string | null;  // Set when the payload can be tied to a store
+  source: WebhookSource;
+  endpoint: string;                 // Route under /webhooks/<source>/, e.g. post-call
+  external_id?: string | null;      // Conversation id, MessageSid or Message-ID
+  payload: Record<string, any>;
+  status: WebhookEventStatus;
+  attempts: number;
+  last_error?: string | null;
+  validation_errors?: string[] | null;
+  response_status?: number | null;
+  steps: Record<string, { completed_at: string; result?: any }>; // Side effects already done
+  replay_of?: string | null;        // Event a CLI replay re-sent
+  received_at: string;
+  processed_at?: string | null;
+  updated_at: string;
+}
+
+// Events an organization can send to its own systems (CRM, POS)
+export type IntegrationEventType = 'lead.created' | 'lead.status_changed' | 'call.completed' | 'sms.received' | 'human_control.started';
+
+export type IntegrationDeliveryStatus = 'pending' | 'retrying' | 'delivered' | 'failed';
+
+export interface IntegrationWebhook {
+  id: string;
+  organization_id: string;
+  name: string;
+  url: string;
+  secret: string;               // HMAC key for X-Bici-Signature
+  events: IntegrationEventType[];
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+// The parts of a lead sent to integrations
+export interface IntegrationLead {
+  id: string;
+  customer_name: string | null;
+  phone_number: string | null;  // E.164; null for email-only and web leads
+  email: string | null;
+  status: LeadStatus;
+  lead_score: number | null;
+}
+
+/**
+ * `data` each event carries, keyed by event; `test` is the dashboard's test button
+ */
+export interface IntegrationEventPayloads {
+  'lead.created': { lead: IntegrationLead };
+  'lead.status_changed': {
+    lead: IntegrationLead;
+    previous_status: LeadStatus | null;
+    status: LeadStatus;
+    source: LeadScoreSource;
+    reason?: string | null;
+  };
+  'call.completed': {
+    lead: IntegrationLead;
+    conversation_id: string | null;
+    duration: number;
+    summary: string | null;
+    classification: string | null;
+    insights: ConversationInsights;
+  };
+  'sms.received': { lead: IntegrationLead; message_id: string; message: string };
+  'human_control.started': {
+    lead_id: string;
+    session_id: string;
+    agent_name: string;
+    agent_user_id: string | null;
+    escalation_reason: EscalationReason | null;
+  };
+  test: { message: string };
+}
+
+// The signed JSON body POSTed to an integration webhook
+export interface IntegrationEventBody<E extends keyof IntegrationEventPayloads = keyof IntegrationEventPayloads> {
+  id: string;                   // Delivery id, the same on every retry
+  event: E;
+  organization_id: string;
+  created_at: string;
+  data: IntegrationEventPayloads[E];
+}
+
+export interface IntegrationWebhookDelivery {
+  id: string;
+  webhook_id: string;
+  organization_id: string;
+  event: keyof IntegrationEventPayloads;
+  dedupe_key?: string | null;
+  payload: IntegrationEventBody;
+  status: IntegrationDeliveryStatus;
+  attempts: number;
+  response_status?: number | null;
+  response_body?: string | null;
+  error?: string | null;
+  duration_ms?: number | null;
+  created_at: string;
+  updated_at: string;
+  delivered_at?: string | null;
+}
+
+// Data the retention purge removes once it is older than its window
+export type RetentionDataType =
+  | 'conversations'
+  | 'conversation_summaries'
+  | 'call_transcripts'               // Transcript, summary and metadata cleared; the call row stays for analytics
+  | 'sms_automation_log'
+  | 'lead_score_history'
+  | 'webhook_events'
+  | 'integration_webhook_deliveries'
+  | 'inactive_leads';                // Leads untouched this long are erased like an erasure request
+
+export interface RetentionPurgeReport {
+  organization_id: string;
+  cutoffs: Partial<Record<RetentionDataType, string>>; // Anything older was purged
+  purged: Partial<Record<RetentionDataType, number>>;
+  started_at: string;
+  completed_at: string;
+}
+
+// What an erasure request removed for one phone number
+export interface CustomerErasureReport {
+  organization_id: string;
+  phone_number: string;                 // Masked, e.g. "+1******1234"
+  lead_ids: string[];
+  deleted: Record<string, number>;      // Rows by table
+  anonymized: Record<string, number>;   // Rows kept without personal data, by table
+  cache: {
+    leads_cleared: number;              // Leads whose Redis lookups, context, sessions and queues were dropped
+    jobs_cancelled: number;             // Pending texts, emails and other jobs for the customer
+  };
+  erased_at: string;
+}
@@ -0,0 +1,131 @@
+/**
+ * Store-hours helpers driven by an organization's settings
+ */
+
+import { toZonedTime } from 'date-fns-tz';
+import { DayHours, OrganizationSettings } from '../types';
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+type HoursSettings = Pick<OrganizationSettings, 'timezone' | 'business_hours'>;
+
+const CLOSED: DayHours = { open: 'closed', close: 'closed' };
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1);
+
+export function toMinutes(time: string): number {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * "18:00" -> "6:00 PM"
+ */
+export function formatClockTime(time: string): string {
+  const [h, m] = time.split(':').map(Number);
+  return `${h % 12 || 12}:${m.toString().padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * Generic zone name such as "PT" (short) or "Pacific Time" (long)
+ */
+export function getTimezoneName(timezone: string, style: 'short' | 'long' = 'short', now: Date = new Date()): string {
+  const part = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    timeZoneName: style === 'short' ? 'shortGeneric' : 'longGeneric'
+  }).formatToParts(now).find(p => p.type === 'timeZoneName');
+  return part?.value || timezone;
+}
+
+/**
+ * Wall-clock time at the store
+ */
+export function getLocalTime(settings: Pick<OrganizationSettings, 'timezone'>, now: Date = new Date()) {
+  const date = toZonedTime(now, settings.timezone);
+  const hours = date.getHours();
+  const minutes = date.getMinutes();
+  const hourMinute = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+
+  return {
+    date,
+    day: date.getDay(),
+    dayOfWeek: capitalize(DAY_NAMES[date.getDay()]),
+    minutes: hours * 60 + minutes,
+    hourMinute,
+    timeString: formatClockTime(hourMinute),
+    timezoneName: getTimezoneName(settings.timezone, 'short', now)
+  };
+}
+
+export function getHoursForDay(settings: HoursSettings, day: number): DayHours {
+  return settings.business_hours[DAY_NAMES[day]] || CLOSED;
+}
+
+export function isStoreOpen(settings: HoursSettings, now: Date = new Date()): boolean {
+  const { day, minutes } = getLocalTime(settings, now);
+  const hours = getHoursForDay(settings, day);
+  if (hours.open === 'closed') return false;
+  return minutes >= toMinutes(hours.open) && minutes < toMinutes(hours.close);
+}
+
+export function getTodaysHours(settings: HoursSettings, now: Date = new Date()): string {
+  const hours = getHoursForDay(settings, getLocalTime(settings, now).day);
+  return hours.open === 'closed' ? 'Closed today' : `${hours.open} - ${hours.close}`;
+}
+
+export function getNextOpenTime(settings: HoursSettings, now: Date = new Date()): string {
+  const { day, minutes } = getLocalTime(settings, now);
+  const today = getHoursForDay(settings, day);
+  if (today.open !== 'closed' && minutes < toMinutes(today.open)) {
+    return `today at ${today.open}`;
+  }
+
+  for (let i = 1; i <= 7; i++) {
+    const hours = getHoursForDay(settings, (day + i) % 7);
+    if (hours.open !== 'closed') {
+      if (i === 1) return `tomorrow at ${hours.open}`;
+      return `${capitalize(DAY_NAMES[(day + i) % 7])} at ${hours.open}`;
+    }
+  }
+
+  return 'soon';
+}
+
+// Consecutive days with identical hours collapse into one line, e.g. "Mon-Fri: 08:00 - 18:00"
+export function getWeeklyHours(settings: HoursSettings): string {
+  const week = [1, 2, 3, 4, 5, 6, 0];
+  const label = (day: number) => capitalize(DAY_NAMES[day]).slice(0, 3);
+  const format = (day: number) => {
+    const hours = getHoursForDay(settings, day);
+    return hours.open === 'closed' ? 'Closed' : `${hours.open} - ${hours.close}`;
+  };
+
+  const lines: string[] = [];
+  let start = 0;
+  for (let i = 1; i <= week.length; i++) {
+    if (i === week.length || format(week[i]) !== format(week[start])) {
+      const range = i - 1 === start ? label(week[start]) : `${label(week[start])}-${label(week[i - 1])}`;
+      lines.push(`${range}: ${format(week[start])}`);
+      start = i;
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One-line open/closed status for agent prompts,
+ * e.g. "Open now until 18:00 (current time: 10:00 AM PT)"
+ */
+export function describeStoreStatus(settings: HoursSettings, now: Date = new Date()): string {
+  const { day, minutes, timeString, timezoneName } = getLocalTime(settings, now);
+  const hours = getHoursForDay(settings, day);
+  const current = `(current time: ${timeString} ${timezoneName})`;
+
+  if (hours.open !== 'closed' && minutes >= toMinutes(hours.open) && minutes < toMinutes(hours.close)) {
+    return `Open now until ${hours.close} ${current}`;
+  }
+  if (hours.open !== 'closed' && minutes < toMinutes(hours.open)) {
+    return `Opens at ${hours.open} today ${current}`;
+  }
+  return `Closed for today. Opens ${getNextOpenTime(settings, now)} ${current}`;
+}
@@ -33,6 +33,7 @@ export class ConversationAnalyzer {
   private static triggerPatterns = {
     asked_hours: ['what time', 'when open', 'hours', 'open now', 'closed', 'business hours'],
     asked_directions: ['where', 'location', 'address', 'how to get', 'directions', 'find you', 'located'],
+    ready_to_buy: ['ready to buy', 'buy today', 'purchase now', 'want to buy', 'take it today'],
     asked_price: ['how much', 'cost', 'price', 'expensive', 'cheap', 'budget', 'afford'],
     appointment_request: ['appointment', 'schedule', 'book', 'come in', 'visit', 'available'],
     test_ride_interest: ['test ride', 'try', 'demo', 'test drive', 'ride it'],
@@ -101,6 +102,17 @@ export class ConversationAnalyzer {
     return insights;
   }
 
+  /**
+   * Classification and triggers for a single text, without the logging
+   */
+  static analyzeMessage(message: string) {
+    const text = message.toLowerCase();
+    return {
+      classification: this.classifyConversation(text),
+      triggers: this.detectTriggers(text)
+    };
+  }
+
   private static classifyConversation(transcript: string): 'sales' | 'support' | 'service' | 'general' {
     const scores: Record<string, number> = {
       sales: 0,
@@ -0,0 +1,126 @@
+/**
+ * Email helpers: addresses as inbound mail providers send them, and
+ * converting message bodies between plain text and HTML.
+ */
+
+export interface EmailAddress {
+  address: string; // Lowercased
+  name?: string;
+}
+
+const EMAIL = /^[^\s@<>",]+@[^\s@<>",]+\.[^\s@<>",]+$/;
+
+export function isValidEmail(value: unknown): value is string {
+  return typeof value === 'string' && EMAIL.test(value.trim());
+}
+
+/**
+ * "Sam Lee <Sam@Example.com>", "sam@example.com" or { address, name } ->
+ * { address: "sam@example.com", name: "Sam Lee" }. Lists give their first address.
+ */
+export function parseAddress(value: unknown): EmailAddress | null {
+  if (Array.isArray(value)) return parseAddress(value[0]);
+  if (value && typeof value === 'object') {
+    const { address, email, name } = value as Record<string, unknown>;
+    const parsed = parseAddress(address || email);
+    return parsed && (typeof name === 'string' && name.trim() ? { ...parsed, name: name.trim() } : parsed);
+  }
+  if (typeof value !== 'string') return null;
+
+  // Comma-separated lists give their first address
+  const first = value.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)[0].trim();
+  const match = first.match(/^(.*)<([^>]+)>$/);
+  const address = (match ? match[2] : first).trim().toLowerCase();
+  if (!EMAIL.test(address)) return null;
+
+  const name = match?.[1].trim().replace(/^"|"$/g, '').trim();
+  return name ? { address, name } : { address };
+}
+
+/**
+ * Every address in a To/Cc value, lowercased
+ */
+export function parseAddressList(value: unknown): string[] {
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+      ? value.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+      : value ? [value] : [];
+  return items.map(item => parseAddress(item)?.address).filter((address): address is string => !!address);
+}
+
+/**
+ * An address as a literal ilike pattern; % and _ are wildcards there
+ */
+export function escapeLike(value: string): string {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Plain text as HTML paragraphs, with links made clickable
+ */
+export function textToHtml(text: string): string {
+  return text
+    .trim()
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph)
+      .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+      .replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Readable text from an HTML-only email
+ */
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// "On Tue, Oct 14, 2026 at 9:00 AM BICI <info@bici.cc> wrote:" and the like
+const REPLY_HEADER = /^(On\b.+\bwrote:|-{2,}\s*Original Message\s*-{2,}|From:\s.+)$/im;
+
+/**
+ * The new part of a reply: quoted lines and everything after the
+ * "On ... wrote:" header are dropped. Returns the whole text when
+ * nothing would be left.
+ */
+export function stripQuotedReply(text: string): string {
+  const header = text.search(REPLY_HEADER);
+  const beforeHeader = header >= 0 ? text.slice(0, header) : text;
+  const stripped = beforeHeader
+    .split('\n')
+    .filter(line => !line.trimStart().startsWith('>'))
+    .join('\n')
+    .trim();
+  return stripped || text.trim();
+}
+
+/**
+ * "Re: " once, however many times the subject was already replied to
+ */
+export function replySubject(subject: string | null | undefined): string {
+  const base = (subject || '').replace(/^(\s*(re|fwd?|aw)\s*:\s*)+/i, '').trim();
+  return base ? `Re: ${base}` : 'Re: your message';
+}
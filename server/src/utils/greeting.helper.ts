@@ -2,18 +2,16 @@
  * Helper functions for generating dynamic greetings
  */
 
-import { toZonedTime } from 'date-fns-tz';
+import { OrganizationSettings } from '../types';
 import { redisService } from '../services/redis.service';
+import { getLocalTime, getHoursForDay } from './business-hours.helper';
 import { logger } from './logger';
 
 /**
- * Get time-based greeting (Pacific Time)
+ * Get time-based greeting in the store's timezone
  */
-export function getTimeBasedGreeting(): string {
-  // Get current time in Pacific timezone using date-fns-tz
-  const now = new Date();
-  const pacificTime = toZonedTime(now, 'America/Los_Angeles');
-  const hour = pacificTime.getHours();
+export function getTimeBasedGreeting(settings: OrganizationSettings): string {
+  const hour = getLocalTime(settings).date.getHours();
 
   if (hour < 5) return "Thanks for calling so late!";
   if (hour < 12) return "Good morning!";
@@ -23,39 +21,29 @@ export function getTimeBasedGreeting(): string {
 }
 
 /**
- * Get current date and time information in Pacific timezone
+ * Get current date and time information in the store's timezone
  */
-export function getCurrentDateTimeInfo(): {
+export function getCurrentDateTimeInfo(settings: OrganizationSettings): {
   date: Date;
   timeString: string;
   dateString: string;
   dayOfWeek: string;
   fullDateTime: string;
 } {
-  const now = new Date();
-  const pacificTime = toZonedTime(now, 'America/Los_Angeles');
+  const { date: localTime, timeString, dayOfWeek, timezoneName } = getLocalTime(settings);
 
-  const hours = pacificTime.getHours();
-  const minutes = pacificTime.getMinutes();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours % 12 || 12;
-
-  const timeString = `${displayHours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
-
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                      'July', 'August', 'September', 'October', 'November', 'December'];
 
-  const dayOfWeek = dayNames[pacificTime.getDay()];
-  const month = monthNames[pacificTime.getMonth()];
-  const date = pacificTime.getDate();
-  const year = pacificTime.getFullYear();
+  const month = monthNames[localTime.getMonth()];
+  const date = localTime.getDate();
+  const year = localTime.getFullYear();
 
   const dateString = `${month} ${date}, ${year}`;
-  const fullDateTime = `${dayOfWeek}, ${dateString} at ${timeString} PT`;
+  const fullDateTime = `${dayOfWeek}, ${dateString} at ${timeString} ${timezoneName}`;
 
   return {
-    date: pacificTime,
+    date: localTime,
     timeString,
     dateString,
     dayOfWeek,
@@ -64,14 +52,12 @@ export function getCurrentDateTimeInfo(): {
 }
 
 /**
- * Get day-specific context (Pacific Time)
+ * Get day-specific context in the store's timezone
  */
-export function getDayContext(): string {
-  // Get current date in Pacific timezone using date-fns-tz
-  const now = new Date();
-  const pacificTime = toZonedTime(now, 'America/Los_Angeles');
-  const day = pacificTime.getDay();
-  const hour = pacificTime.getHours();
+export function getDayContext(settings: OrganizationSettings): string {
+  const localTime = getLocalTime(settings).date;
+  const day = localTime.getDay();
+  const hour = localTime.getHours();
   
   // Weekend
   if (day === 0 || day === 6) {
@@ -139,63 +125,52 @@ export function getWeatherGreeting(): string {
 /**
  * Get detailed store hours information for greetings
  */
-export function getDetailedStoreHours(): {
+export function getDetailedStoreHours(settings: OrganizationSettings): {
   isOpen: boolean;
   currentStatus: string;
   hoursInfo: string;
   nextOpen?: string;
 } {
-  const { date: pacificTime, timeString } = getCurrentDateTimeInfo();
-
-  // Basic business hours - this should match the actual store hours
-  const businessHours = {
-    sunday: { open: '09:00', close: '16:30' },
-    monday: { open: '08:00', close: '18:00' },
-    tuesday: { open: '08:00', close: '18:00' },
-    wednesday: { open: '08:00', close: '18:00' },
-    thursday: { open: '08:00', close: '18:00' },
-    friday: { open: '08:00', close: '18:00' },
-    saturday: { open: '09:00', close: '16:30' }
-  };
-
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const today = days[pacificTime.getDay()];
-  const todaysHours = businessHours[today as keyof typeof businessHours];
+  const { day, minutes: currentMinutes, timeString, timezoneName } = getLocalTime(settings);
+  const todaysHours = getHoursForDay(settings, day);
 
-
-  // Check if currently open
-  const currentHour = pacificTime.getHours();
-  const currentMinute = pacificTime.getMinutes();
-  const currentTime = currentHour * 100 + currentMinute;
+  if (todaysHours.open === 'closed') {
+    return {
+      isOpen: false,
+      currentStatus: `We're closed today (it's ${timeString} ${timezoneName})`,
+      hoursInfo: "We open tomorrow",
+      nextOpen: "tomorrow"
+    };
+  }
 
   const [openHour, openMinute] = todaysHours.open.split(':').map(Number);
   const [closeHour, closeMinute] = todaysHours.close.split(':').map(Number);
-  const openTime = openHour * 100 + openMinute;
-  const closeTime = closeHour * 100 + closeMinute;
+  const openTime = openHour * 60 + openMinute;
+  const closeTime = closeHour * 60 + closeMinute;
 
   const formatTime = (hour: number, minute: number) => {
     const displayHour = hour % 12 || 12;
     return `${displayHour}:${minute.toString().padStart(2, '0')}`;
   };
 
-  if (currentTime >= openTime && currentTime < closeTime) {
+  if (currentMinutes >= openTime && currentMinutes < closeTime) {
     const closeTimeFormatted = formatTime(closeHour, closeMinute);
     return {
       isOpen: true,
-      currentStatus: `We're open right now until ${closeTimeFormatted} (it's ${timeString} PT)`,
+      currentStatus: `We're open right now until ${closeTimeFormatted} (it's ${timeString} ${timezoneName})`,
       hoursInfo: `Today's hours: ${formatTime(openHour, openMinute)} - ${closeTimeFormatted}`
     };
-  } else if (currentTime < openTime) {
+  } else if (currentMinutes < openTime) {
     const openTimeFormatted = formatTime(openHour, openMinute);
     return {
       isOpen: false,
-      currentStatus: `We open at ${openTimeFormatted} today (it's ${timeString} PT)`,
+      currentStatus: `We open at ${openTimeFormatted} today (it's ${timeString} ${timezoneName})`,
       hoursInfo: `Today's hours: ${openTimeFormatted} - ${formatTime(closeHour, closeMinute)}`
     };
   } else {
     return {
       isOpen: false,
-      currentStatus: `We're closed for today (it's ${timeString} PT)`,
+      currentStatus: `We're closed for today (it's ${timeString} ${timezoneName})`,
       hoursInfo: "We open tomorrow",
       nextOpen: "tomorrow"
     };
@@ -232,12 +207,10 @@ export function getCustomerGreeting(customerName?: string, lastVisit?: Date | st
 
 /**
  * Create a complete dynamic greeting combining all elements with enhanced date/time and store hours
+ * @param settings - Settings of the organization taking the call
  * @param lead - Lead information
- * @param currentTime - Current time string (optional, will be calculated if not provided)
- * @param dayOfWeek - Current day of the week (optional, will be calculated if not provided)
- * @param businessHours - Current store hours status (optional, will be calculated if not provided)
  */
-export async function createDynamicGreeting(lead?: any, currentTime?: string, dayOfWeek?: string, businessHours?: string): Promise<string> {
+export async function createDynamicGreeting(settings: OrganizationSettings, lead?: any): Promise<string> {
   const leadId = lead?.id;
 
   // Try to get cached greeting first (1 minute TTL for time-sensitive content)
@@ -254,10 +227,9 @@ export async function createDynamicGreeting(lead?: any, currentTime?: string, da
   }
 
   // Get current date/time information
-  const dateTimeInfo = getCurrentDateTimeInfo();
-  const storeHours = getDetailedStoreHours();
-  const timeGreeting = getTimeBasedGreeting();
-  const dayContext = getDayContext();
+  const dateTimeInfo = getCurrentDateTimeInfo(settings);
+  const storeHours = getDetailedStoreHours(settings);
+  const dayContext = getDayContext(settings);
   const customerName = lead?.customer_name || "";
   const hasName = !!customerName;
 
@@ -265,9 +237,9 @@ export async function createDynamicGreeting(lead?: any, currentTime?: string, da
 
   // Create a natural, conversational greeting with time awareness
   if (hasName) {
-    greeting = `Hey ${customerName}! Thanks for calling Beechee.`;
+    greeting = `Hey ${customerName}! Thanks for calling ${settings.spoken_name}.`;
   } else {
-    greeting = `Hey! Thanks for calling Beechee.`;
+    greeting = `Hey! Thanks for calling ${settings.spoken_name}.`;
   }
 
   // Add time context naturally
@@ -311,11 +283,13 @@ export async function createDynamicGreeting(lead?: any, currentTime?: string, da
 
 /**
  * Generate a complete dynamic greeting context
+ * @param settings - Settings of the organization on the call
  * @param lead - Lead information
  * @param isOutbound - Whether this is an outbound call (agent-initiated)
  * @param previousSummary - Previous conversation summary for context
+ * @param purpose - Why a campaign is calling, e.g. "I'm calling about our e-bike demo day"
  */
-export function generateGreetingContext(lead?: any, isOutbound: boolean = false, previousSummary?: any): Record<string, string> {
+export function generateGreetingContext(settings: OrganizationSettings, lead?: any, isOutbound: boolean = false, previousSummary?: any, purpose?: string): Record<string, string> {
   const hasName = !!lead?.customer_name;
   const customerName = lead?.customer_name || "";
   
@@ -368,20 +342,26 @@ export function generateGreetingContext(lead?: any, isOutbound: boolean = false,
         }
       }
     }
+
+    // A campaign's stated purpose beats anything guessed from past calls
+    if (purpose) {
+      variation = purpose;
+    }
     
-    const dateTimeInfo = getCurrentDateTimeInfo();
-    const storeHours = getDetailedStoreHours();
+    const dateTimeInfo = getCurrentDateTimeInfo(settings);
+    const storeHours = getDetailedStoreHours(settings);
 
     return {
-      time_greeting: getTimeBasedGreeting(),
-      day_context: getDayContext(),
+      time_greeting: getTimeBasedGreeting(settings),
+      day_context: getDayContext(settings),
       weather_context: getWeatherGreeting(),
       customer_greeting: getCustomerGreeting(lead?.customer_name, lead?.last_contact_at),
       customer_name: customerName,
       greeting_opener: hasName ? `Hey ${customerName}!` : "Hey!",
       greeting_variation: variation,
       is_outbound: "true",
-      call_type: "outbound_followup",
+      call_type: purpose ? "outbound_campaign" : "outbound_followup",
+      call_purpose: purpose || "",
       // Enhanced date/time information
       current_date: dateTimeInfo.dateString,
       current_time: dateTimeInfo.timeString,
@@ -395,12 +375,12 @@ export function generateGreetingContext(lead?: any, isOutbound: boolean = false,
   }
   
   // Inbound call greetings (original behavior)
-  const dateTimeInfo = getCurrentDateTimeInfo();
-  const storeHours = getDetailedStoreHours();
+  const dateTimeInfo = getCurrentDateTimeInfo(settings);
+  const storeHours = getDetailedStoreHours(settings);
 
   return {
-    time_greeting: getTimeBasedGreeting(),
-    day_context: getDayContext(),
+    time_greeting: getTimeBasedGreeting(settings),
+    day_context: getDayContext(settings),
     weather_context: getWeatherGreeting(),
     customer_greeting: getCustomerGreeting(lead?.customer_name, lead?.last_contact_at),
     customer_name: customerName,  // Just the name: "Dev" or empty
@@ -1,7 +1,19 @@
 import winston from 'winston';
+import { redactValue } from './redaction.helper';
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
+// Masks card numbers, emails, addresses and phone numbers in messages and
+// metadata before any transport writes them. LOG_REDACT_PII=false turns it off
+// for local debugging.
+const redactPII = winston.format((info) => {
+  if (process.env.LOG_REDACT_PII === 'false') return info;
+  for (const key of Object.keys(info)) {
+    info[key] = redactValue(info[key], { phones: true });
+  }
+  return info;
+});
+
 // Custom format for console output
 const consoleFormat = printf(({ level, message, timestamp, stack, ...metadata }) => {
   let msg = `${timestamp} [${level}]: ${message}`;
@@ -22,6 +34,7 @@ export const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: combine(
     errors({ stack: true }),
+    redactPII(),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   ),
   transports: [
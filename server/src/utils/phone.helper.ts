@@ -0,0 +1,46 @@
+/**
+ * Phone number helpers. Leads, conversations and lookups all key on the same
+ * normalized form: the E.164 number without its leading "+".
+ */
+
+// Numbers without a country code are North American
+const DEFAULT_COUNTRY_CODE = '1';
+
+/**
+ * "(604) 555-1234", "16045551234" or "+1 604 555 1234" -> "+16045551234".
+ * Null when the input isn't a phone number (e.g. "web-1a2b3c4d" web-call placeholders).
+ */
+export function toE164(phone: string | null | undefined): string | null {
+  if (!phone) return null;
+  const trimmed = phone.trim();
+  if (/[a-z]/i.test(trimmed)) return null;
+
+  let digits = trimmed.replace(/\D/g, '');
+  if (trimmed.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (!trimmed.startsWith('+')) {
+    if (digits.length === 10) {
+      digits = `${DEFAULT_COUNTRY_CODE}${digits}`;
+    } else if (!(digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE))) {
+      return null;
+    }
+  }
+
+  // E.164 allows at most 15 digits including the country code
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * E.164 for sending; anything that isn't a phone number is returned as is
+ */
+export function formatPhoneNumber(phone: string): string {
+  return toE164(phone) || phone;
+}
+
+/**
+ * The key leads and conversations are stored and looked up by
+ */
+export function normalizePhoneNumber(phone: string): string {
+  const e164 = toE164(phone);
+  return e164 ? e164.slice(1) : (phone || '').trim();
+}
@@ -0,0 +1,110 @@
+/**
+ * Masks personal data in free text: card numbers, email addresses and street
+ * addresses in stored transcripts, plus phone numbers in log output. Patterns
+ * stay narrow so bike models, prices and order numbers pass through.
+ */
+
+export const REDACTED = {
+  card: '[card]',
+  email: '[email]',
+  address: '[address]'
+};
+
+// 13-19 digits, optionally grouped with spaces or dashes, starting like a card
+// network does (2-6). Timestamps and E.164 numbers don't qualify.
+const CARD_CANDIDATE = /(?<![\d+])[2-6]\d(?:[ -]?\d){11,17}(?!\d)/g;
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+
+const STREET_SUFFIXES = [
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'drive', 'dr',
+  'lane', 'ln', 'way', 'court', 'ct', 'place', 'pl', 'crescent', 'cres', 'highway',
+  'hwy', 'parkway', 'pkwy', 'terrace', 'circle', 'cir', 'square', 'sq'
+];
+const SUFFIX = STREET_SUFFIXES
+  .flatMap(suffix => [suffix, suffix[0].toUpperCase() + suffix.slice(1), suffix.toUpperCase()])
+  .join('|');
+
+// "1234 W 4th Avenue", "88 Main St. Unit 5": a house number, capitalized
+// street name words and a suffix. "2 Giant Road bikes" is left alone.
+const ADDRESS = new RegExp(
+  `\\b\\d{1,6}[A-Za-z]?(?:[ \\t]+(?:[A-Z]|\\d+(?:st|nd|rd|th)\\b)[\\w'.-]*){1,4}[ \\t]+(?:${SUFFIX})\\b\\.?` +
+  `(?![ \\t]+(?:bikes?|frames?|tires?|tyres?)\\b)` +
+  `(?:,?[ \\t]+(?:Apt|Unit|Suite|apt|unit|suite|#)\\.?[ \\t]*\\w+)?`,
+  'g'
+);
+
+// Canadian postal codes and US ZIP+4
+const POSTAL_CODE = /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z][ -]?\d[ABCEGHJ-NPRSTV-Z]\d\b|\b\d{5}-\d{4}\b/g;
+
+// E.164 ("+16045551234") and the normalized form leads are keyed on ("16045551234")
+const PHONE = /(?<![\w+])(?:\+\d{8,15}|1\d{10})(?!\d)/g;
+
+function passesLuhn(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * "+16045551234" -> "+1******1234"
+ */
+export function maskPhoneNumber(phone: string): string {
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length <= 4) return phone;
+  const prefix = phone.trim().startsWith('+') ? '+' : '';
+  return `${prefix}${digits[0]}${'*'.repeat(digits.length - 5)}${digits.slice(-4)}`;
+}
+
+/**
+ * Redact card numbers, emails and street addresses. `phones` also masks phone
+ * numbers, which stored messages keep (leads are keyed on them) but logs don't need.
+ */
+export function redactPII(text: string, options: { phones?: boolean } = {}): string {
+  if (!text) return text;
+
+  let redacted = text
+    .replace(CARD_CANDIDATE, match => (passesLuhn(match.replace(/\D/g, '')) ? REDACTED.card : match))
+    .replace(EMAIL, REDACTED.email)
+    .replace(ADDRESS, REDACTED.address)
+    .replace(POSTAL_CODE, REDACTED.address);
+
+  if (options.phones) {
+    redacted = redacted.replace(PHONE, maskPhoneNumber);
+  }
+  return redacted;
+}
+
+const MAX_DEPTH = 6;
+
+/**
+ * Redact every string in a value. Plain objects and arrays are copied, never
+ * changed in place, since log metadata is often a live record.
+ */
+export function redactValue<T>(value: T, options: { phones?: boolean } = {}, depth: number = 0): T {
+  if (typeof value === 'string') {
+    return redactPII(value, options) as unknown as T;
+  }
+  if (depth >= MAX_DEPTH || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, options, depth + 1)) as unknown as T;
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+    return value; // Dates, Buffers, Errors and class instances
+  }
+
+  const copy: Record<string, any> = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = redactValue(item, options, depth + 1);
+  }
+  return copy as T;
+}
@@ -0,0 +1,60 @@
+/**
+ * Outbound URL checks: organizations give us URLs to POST to, and those must
+ * not reach the server's own network (loopback, private ranges, cloud
+ * metadata at 169.254.169.254).
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10);   // Carrier-grade NAT
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16);  // Link-local, cloud metadata
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12);
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16);
+PRIVATE_RANGES.addSubnet('224.0.0.0', 3);     // Multicast and reserved
+PRIVATE_RANGES.addAddress('::', 'ipv6');
+PRIVATE_RANGES.addAddress('::1', 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6'); // Unique local
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6'); // Link-local
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on
+ * the public internet. IPv4-mapped IPv6 addresses count as their IPv4 address.
+ */
+export function isPrivateAddress(address: string): boolean {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a URL's host and check every address it resolves to. Resolves to
+ * an error message, or null when the URL only reaches public addresses.
+ */
+export async function checkPublicUrl(value: string): Promise<string | null> {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'url must be an http or https URL';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses: string[];
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch {
+    return `url host ${host} could not be resolved`;
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+  return null;
+}
@@ -1,314 +1,40 @@
 import { Request, Response } from 'express';
-import crypto from 'crypto';
-import { toZonedTime } from 'date-fns-tz';
 import { logger } from '../utils/logger';
 import { LeadService } from '../services/lead.service';
-import { ConversationService } from '../services/conversation.service';
+import { ConversationService, redactForStorage } from '../services/conversation.service';
 import { CallSessionService } from '../services/callSession.service';
 import { EnhancedSMSAutomationService } from '../services/enhanced-sms.service';
 import { broadcastToClients } from '../services/realtime.service';
-import { businessHours, storeInfo } from '../config/elevenlabs.config';
-import { ElevenLabsDynamicVariables, ConversationInsights, Lead, CallSession } from '../types';
+import { OrganizationService } from '../services/organization.service';
+import { CatalogService } from '../services/catalog.service';
+import { CampaignService } from '../services/campaign.service';
+import { HumanControlService } from '../services/humanControl.service';
+import { LeadScoringService } from '../services/leadScoring.service';
+import { CustomerMemoryService, buildConversationContext } from '../services/customerMemory.service';
+import { runWebhookStep } from '../services/webhookEvent.service';
+import { IntegrationWebhookService, integrationLead } from '../services/integrationWebhook.service';
+import { ElevenLabsDynamicVariables, ConversationInsights, Lead, CallSession, CallOutcome, OrganizationSettings } from '../types';
 import { generateGreetingContext, createDynamicGreeting } from '../utils/greeting.helper';
-import { redisService } from '../services/redis.service';
+import { normalizePhoneNumber } from '../utils/phone.helper';
+import { describeStoreStatus, getLocalTime, getTimezoneName } from '../utils/business-hours.helper';
 
 const leadService = new LeadService();
 const conversationService = new ConversationService();
 const callSessionService = new CallSessionService();
 const enhancedSMSService = new EnhancedSMSAutomationService();
+const organizationService = new OrganizationService();
+const catalogService = new CatalogService();
+const campaignService = new CampaignService();
+const humanControlService = new HumanControlService();
+const leadScoringService = new LeadScoringService();
+const customerMemoryService = new CustomerMemoryService();
+const integrationWebhookService = new IntegrationWebhookService();
 
-// Verify ElevenLabs webhook signature
-function verifyElevenLabsSignature(req: Request): boolean {
-  // Check if webhook secret is configured
-  if (!process.env.ELEVENLABS_WEBHOOK_SECRET || process.env.ELEVENLABS_WEBHOOK_SECRET === 'whsec_your_webhook_secret_here') {
-    logger.warn('ELEVENLABS_WEBHOOK_SECRET not properly configured - allowing webhook for development');
-    return true;
-  }
-  
-  const signature = req.headers['xi-signature'] as string;
-  
-  // Allow phone call webhooks without signatures (ElevenLabs phone calls may not include signatures)
-  if (!signature) {
-    logger.warn('Missing xi-signature header - allowing for phone call compatibility');
-    return true; // Allow phone calls to proceed
-  }
-  
-  // Verify signature if present
-  const payload = JSON.stringify(req.body);
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.ELEVENLABS_WEBHOOK_SECRET)
-    .update(payload)
-    .digest('hex');
-  
-  const isValid = signature === `sha256=${expectedSignature}`;
-  
-  if (isValid) {
-    logger.info('Webhook signature verified successfully');
-  } else {
-    logger.error('Invalid webhook signature - but allowing for compatibility', { 
-      provided: signature, 
-      expected: `sha256=${expectedSignature}`
-    });
-    return true; // Allow for now, but log the issue
-  }
-  
-  return isValid;
-}
-
-// Build dynamic prompt based on customer data
-function buildDynamicPrompt(lead: Lead, context: string, previousSummary: any): string {
-  let prompt = `You are speaking with a customer who has called BICI Bike Store.`;
-  
-  if (lead.customer_name) {
-    prompt += ` The customer's name is ${lead.customer_name}.`;
-  }
-  
-  if (lead.bike_interest?.type) {
-    prompt += ` They have previously expressed interest in ${lead.bike_interest.type} bikes.`;
-  }
-  
-  if (lead.qualification_data?.ready_to_buy) {
-    prompt += ` This is a qualified lead who is ready to make a purchase.`;
-  }
-  
-  if (previousSummary?.summary) {
-    prompt += ` Previous interaction summary: ${previousSummary.summary}`;
-  }
-  
-  if (context && context !== "This is the first interaction with this customer.") {
-    prompt += ` Recent conversation context: ${context}`;
-  }
-  
-  prompt += ` Be helpful, friendly, and knowledgeable about bikes. If they mention their name, remember it for future interactions.`;
-  
-  return prompt;
-}
-
-// Generate personalized first message
-function generateFirstMessage(lead: Lead): string {
-  if (lead.customer_name) {
-    const greetings = [
-      `Hi ${lead.customer_name}! Great to hear from you again. How can I help you today?`,
-      `Hey ${lead.customer_name}, welcome back to BICI! What can I do for you?`,
-      `Hello ${lead.customer_name}! Good to have you calling again. How's everything going?`
-    ];
-    return greetings[Math.floor(Math.random() * greetings.length)];
-  }
-  
-  if (lead.last_contact_at) {
-    return `Welcome back to BICI! I see you've been in touch with us before. How can I help you today?`;
-  }
-  
-  return `Hey there, I'm Ryder from BICI. How can I help you today?`;
-}
-
-// Get current Pacific time
-function getCurrentPacificTime(): { date: Date, timeString: string, hourMinute: string } {
-  // Get current time in Pacific timezone using date-fns-tz
-  const now = new Date();
-  const pacificTime = toZonedTime(now, 'America/Los_Angeles');
-
-  const hours = pacificTime.getHours();
-  const minutes = pacificTime.getMinutes();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours % 12 || 12;
-
-  const timeString = `${displayHours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
-  const hourMinute = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-
-  return { date: pacificTime, timeString, hourMinute };
-}
-
-// Get today's business hours with current time awareness
-function getTodaysHours(): string {
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const { date: pacificTime, timeString } = getCurrentPacificTime();
-  const today = days[pacificTime.getDay()];
-  const hours = businessHours[today as keyof typeof businessHours];
-  
-  if (hours.open === 'closed') {
-    return `Closed today. We're open Monday-Friday 9am-6pm (Thu-Fri until 8pm), Saturday 10am-5pm`;
-  }
-  
-  // Check if currently open
-  const currentHour = pacificTime.getHours();
-  const currentMinute = pacificTime.getMinutes();
-  const currentTime = currentHour * 100 + currentMinute;
-  
-  const [openHour, openMinute] = hours.open.split(':').map(Number);
-  const [closeHour, closeMinute] = hours.close.split(':').map(Number);
-  const openTime = openHour * 100 + openMinute;
-  const closeTime = closeHour * 100 + closeMinute;
-  
-  if (currentTime >= openTime && currentTime < closeTime) {
-    return `Open now until ${hours.close} (current time: ${timeString} PT)`;
-  } else if (currentTime < openTime) {
-    return `Opens at ${hours.open} today (current time: ${timeString} PT)`;
-  } else {
-    return `Closed for today. Opens tomorrow (current time: ${timeString} PT)`;
-  }
-}
-
-// Build comprehensive conversation context with summaries and recent messages
-export async function buildConversationContext(leadId: string): Promise<string> {
-  // Try to get cached context first (1 minute TTL for fast-changing contexts)
-  try {
-    const cachedContext = await redisService.getCachedContext(leadId);
-    if (cachedContext) {
-      logger.debug(`Context cache hit for lead ${leadId}`);
-      return cachedContext;
-    }
-  } catch (redisError) {
-    logger.warn('Context cache error, building fresh context:', redisError);
-  }
-  
-  // Run queries in parallel to reduce latency
-  const [previousSummaries, allHistory, recentMessages] = await Promise.all([
-    conversationService.getAllSummaries(leadId),
-    conversationService.getRecentConversations(leadId, 20), // Reduced from 50 for performance
-    conversationService.getRecentConversations(leadId, 6)
-  ]);
-  
-  if (!allHistory || allHistory.length === 0) {
-    const firstTimeContext = "This is the first interaction with this customer.";
-    
-    // Cache the first-time result briefly (still cache to avoid repeated DB calls)
-    try {
-      await redisService.cacheContext(leadId, firstTimeContext);
-    } catch (redisError) {
-      logger.warn('Failed to cache first-time context, continuing:', redisError);
-    }
-    
-    return firstTimeContext;
-  }
-  
-  let context = `=== COMPREHENSIVE CUSTOMER CONTEXT ===\n\n`;
-  
-  // 1. PREVIOUS CONVERSATION SUMMARIES (for historical context)
-  if (previousSummaries && previousSummaries.length > 0) {
-    context += `PREVIOUS CONVERSATION SUMMARIES:\n`;
-    previousSummaries.forEach((summary, index) => {
-      const timeAgo = getTimeAgo(summary.created_at);
-      context += `${index + 1}. ${summary.call_classification?.toUpperCase() || 'GENERAL'} (${timeAgo}):\n`;
-      context += `   Summary: ${summary.summary}\n`;
-      if (summary.key_points && summary.key_points.length > 0) {
-        context += `   Key Points: ${summary.key_points.join(', ')}\n`;
-      }
-      if (summary.next_steps && summary.next_steps.length > 0) {
-        context += `   Follow-ups: ${summary.next_steps.join(', ')}\n`;
-      }
-      context += `   Sentiment: ${getSentimentLabel(summary.sentiment_score)}\n\n`;
-    });
-  }
-  
-  // 2. CONVERSATION STATISTICS & PATTERNS
-  const voiceConversations = allHistory.filter(msg => msg.type === 'voice');
-  const smsConversations = allHistory.filter(msg => msg.type === 'sms');
-  const customerMessages = allHistory.filter(msg => msg.sent_by === 'user');
-  
-  context += `CUSTOMER ENGAGEMENT OVERVIEW:\n`;
-  context += `- Total interactions: ${allHistory.length} messages\n`;
-  context += `- Voice calls: ${voiceConversations.length} messages\n`;
-  context += `- SMS/Text: ${smsConversations.length} messages\n`;
-  context += `- Customer messages: ${customerMessages.length}\n`;
-  context += `- Communication style: ${getCustomerStyle(customerMessages)}\n`;
-  context += `- Relationship duration: ${getRelationshipDuration(allHistory)}\n`;
-  context += `- Last contact: ${getTimeAgo(allHistory[allHistory.length - 1]?.timestamp)}\n\n`;
-  
-  // 3. RECENT CONVERSATION FLOW (last 6 messages for immediate context)
-  context += `IMMEDIATE CONVERSATION CONTEXT (Last ${recentMessages.length} Messages):\n`;
-  context += `--- This is what we were just talking about ---\n`;
-  
-  recentMessages.forEach((msg, index) => {
-    const speaker = msg.sent_by === 'user' ? 'CUSTOMER' : 
-                   msg.sent_by === 'human_agent' ? 'HUMAN AGENT' : 'AI AGENT';
-    const timeAgo = getTimeAgo(msg.timestamp);
-    const channel = msg.type === 'voice' ? ' 🎤' : ' 📱';
-    
-    context += `${index + 1}. ${speaker}${channel} (${timeAgo}):\n`;
-    context += `   "${msg.content}"\n\n`;
-  });
-  
-  // 4. CONVERSATION TOPICS & INTERESTS (from all history)
-  const topics = extractTopics(allHistory);
-  if (topics.length > 0) {
-    context += `DISCUSSION TOPICS & INTERESTS:\n`;
-    topics.forEach(topic => {
-      context += `- ${topic}\n`;
-    });
-    context += '\n';
-  }
-  
-  // 5. CRITICAL INSTRUCTIONS FOR NATURAL CONVERSATION
-  context += `=== CRITICAL CONVERSATION INSTRUCTIONS ===\n`;
-  context += `🔥 IMMEDIATE PRIORITY: Continue naturally from the last message above\n`;
-  context += `🧠 CONTEXT AWARENESS: Reference previous conversations when relevant\n`;
-  context += `🎯 NO REPETITION: Don't ask questions already answered in history\n`;
-  context += `💬 MATCH ENERGY: Use customer's communication style (${getCustomerStyle(customerMessages)})\n`;
-  context += `🤝 BE HUMAN: Sound natural, not robotic - use conversation summaries to show you remember\n`;
-  context += `⚡ FOCUS: Address what they were just talking about in the recent messages\n`;
-  
-  // Cache the built context for future requests (1 minute TTL for fast-changing data)
-  try {
-    await redisService.cacheContext(leadId, context);
-    logger.debug(`Cached context for lead ${leadId}`);
-  } catch (redisError) {
-    logger.warn('Failed to cache context, continuing:', redisError);
-  }
-  
-  return context;
-}
-
-// Helper function to get time ago string
-function getTimeAgo(timestamp: Date): string {
-  const now = new Date();
-  const diff = now.getTime() - new Date(timestamp).getTime();
-  const minutes = Math.floor(diff / 60000);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-  
-  if (days > 0) return `${days}d ago`;
-  if (hours > 0) return `${hours}h ago`;
-  if (minutes > 0) return `${minutes}m ago`;
-  return 'just now';
-}
-
-// Helper function to analyze customer communication style
-function getCustomerStyle(messages: any[]): string {
-  if (!messages || messages.length === 0) return 'unknown';
-  
-  const totalLength = messages.reduce((sum, msg) => sum + msg.content.length, 0);
-  const avgLength = totalLength / messages.length;
-  
-  if (avgLength > 100) return 'detailed/chatty';
-  if (avgLength > 50) return 'conversational';
-  return 'brief/direct';
-}
-
-// Helper function to get sentiment label
-function getSentimentLabel(score: number): string {
-  if (score >= 0.7) return 'Very Positive';
-  if (score >= 0.5) return 'Positive';
-  if (score >= 0.3) return 'Neutral';
-  if (score >= 0.1) return 'Negative';
-  return 'Very Negative';
-}
-
-// Helper function to get relationship duration
-function getRelationshipDuration(messages: any[]): string {
-  if (!messages || messages.length === 0) return 'New customer';
-  
-  const oldest = new Date(messages[0].timestamp);
-  const newest = new Date(messages[messages.length - 1].timestamp);
-  const diffDays = Math.floor((newest.getTime() - oldest.getTime()) / (1000 * 60 * 60 * 24));
-  
-  if (diffDays === 0) return 'Same day';
-  if (diffDays === 1) return '1 day';
-  if (diffDays < 7) return `${diffDays} days`;
-  if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks`;
-  if (diffDays < 365) return `${Math.floor(diffDays / 30)} months`;
-  return `${Math.floor(diffDays / 365)} years`;
-}
+// ElevenLabs failure_reason values for outbound calls that never connected
+const INITIATION_FAILURE_OUTCOMES: Record<string, CallOutcome> = {
+  'no-answer': 'no_answer',
+  busy: 'busy'
+};
 
 // Helper function to extract customer name from recent conversations
 async function extractRecentCustomerName(leadId: string): Promise<string | null> {
@@ -345,59 +71,15 @@ async function extractRecentCustomerName(leadId: string): Promise<string | null>
   }
 }
 
-// Helper function to extract conversation topics
-function extractTopics(messages: any[]): string[] {
-  const topics = new Set<string>();
-  const bikeTypes = ['road bike', 'mountain bike', 'hybrid bike', 'e-bike', 'electric bike', 'kids bike'];
-  const services = ['repair', 'tune-up', 'service', 'maintenance', 'fitting', 'custom build'];
-  const interests = ['budget', 'price', 'cost', 'appointment', 'test ride', 'visit store', 'hours', 'location'];
-  
-  messages.forEach(msg => {
-    const content = msg.content.toLowerCase();
-    
-    // Check for bike types
-    bikeTypes.forEach(bike => {
-      if (content.includes(bike)) {
-        topics.add(`Interested in ${bike}s`);
-      }
-    });
-    
-    // Check for services
-    services.forEach(service => {
-      if (content.includes(service)) {
-        topics.add(`Needs ${service} service`);
-      }
-    });
-    
-    // Check for other interests
-    interests.forEach(interest => {
-      if (content.includes(interest)) {
-        topics.add(`Asked about ${interest}`);
-      }
-    });
-    
-    // Check for specific budget mentions
-    if (content.match(/\$[\d,]+/) || content.includes('budget')) {
-      topics.add('Discussed budget/pricing');
-    }
-  });
-  
-  return Array.from(topics).slice(0, 8); // Limit to top 8 topics
-}
-
 // Handle conversation initiation (for both inbound and outbound calls)
 export async function handleConversationInitiation(req: Request, res: Response) {
+  let settings: OrganizationSettings | null = null;
+
   try {
     logger.info('ElevenLabs conversation initiation webhook received', {
       body: req.body,
       headers: req.headers
     });
-
-    // Verify webhook signature FIRST
-    if (!verifyElevenLabsSignature(req)) {
-      logger.error('Invalid webhook signature - rejecting conversation initiation');
-      return res.status(403).json({ error: 'Invalid signature' });
-    }
     
     // Extract fields from both root and data levels for compatibility
     const rootFields = req.body;
@@ -460,6 +142,7 @@ export async function handleConversationInitiation(req: Request, res: Response)
     }
     
     logger.info('Found organization:', { id: organization.id, name: organization.name });
+    settings = organizationService.resolveSettings(organization);
     
     // Get or create lead - use customer phone
     const lead = conversation_initiation_client_data?.lead_id 
@@ -474,20 +157,19 @@ export async function handleConversationInitiation(req: Request, res: Response)
       status: lead.status
     });
     
-    // Build conversation context
-    const conversationContext = await buildConversationContext(lead.id);
+    // Build conversation context within the voice budget
+    const conversationContext = await buildConversationContext(lead.id, 'voice');
     const previousSummary = await conversationService.getLatestSummary(lead.id);
     
-    // Get current Pacific time info
-    const { timeString: currentTime, date: pacificDate } = getCurrentPacificTime();
-    const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][pacificDate.getDay()];
-    const businessHoursStatus = getTodaysHours();
+    // Current time and store hours in the organization's timezone
+    const { timeString: currentTime, dayOfWeek } = getLocalTime(settings);
+    const businessHoursStatus = describeStoreStatus(settings);
     
     // Create complete dynamic greeting
-    const dynamicGreeting = await createDynamicGreeting(lead, currentTime, dayOfWeek, businessHoursStatus);
+    const dynamicGreeting = await createDynamicGreeting(settings, lead);
     
     // Generate greeting context for additional variables
-    const greetingContext = generateGreetingContext(lead, isOutbound, previousSummary);
+    const greetingContext = generateGreetingContext(settings, lead, isOutbound, previousSummary);
     
     const dynamicVariables: ElevenLabsDynamicVariables = {
       // Customer info (with length limits like SMS)
@@ -496,18 +178,17 @@ export async function handleConversationInitiation(req: Request, res: Response)
       lead_status: lead.status || 'new',
       bike_interest: typeof lead.bike_interest === 'string' ? lead.bike_interest : JSON.stringify(lead.bike_interest || {}),
       
-      // Conversation context (increased limit to match SMS implementation)
-      conversation_context: (conversationContext || '').substring(0, 1500),
+      conversation_context: conversationContext,
       previous_summary: (previousSummary?.summary || 'First time caller - no previous interactions').substring(0, 500),
       
       // Store info and timing context
       organization_name: organization.name,
       organization_id: organization.id,
-      location_address: storeInfo.address,
+      location_address: settings.address,
       business_hours: businessHoursStatus,
       current_time: currentTime,
       current_day: dayOfWeek,
-      current_datetime: `${dayOfWeek} ${currentTime} Pacific Time`,
+      current_datetime: `${dayOfWeek} ${currentTime} ${getTimezoneName(settings.timezone, 'long')}`,
       has_customer_name: lead.customer_name ? "true" : "false",
       
       // Dynamic greeting (complete and processed)
@@ -556,6 +237,7 @@ export async function handleConversationInitiation(req: Request, res: Response)
     // Broadcast to dashboard
     broadcastToClients({
       type: 'call_initiated',
+      organization_id: organization.id,
       lead_id: lead.id,
       phone_number: caller_id,
       conversation_id: sessionId
@@ -584,8 +266,12 @@ export async function handleConversationInitiation(req: Request, res: Response)
     res.json(response);
   } catch (error) {
     logger.error('Error in conversation initiation:', error);
+    res.locals.webhookError = error;
     
-    // Return minimal dynamic variables on error to prevent call failure
+    // Return minimal dynamic variables on error to prevent call failure.
+    // Defaults stand in when the organization lookup itself failed.
+    const store = settings || organizationService.getDefaultSettings();
+    const { timeString, dayOfWeek } = getLocalTime(store);
     const fallbackResponse = {
       dynamic_variables: {
         conversation_context: '',
@@ -594,14 +280,10 @@ export async function handleConversationInitiation(req: Request, res: Response)
         customer_phone: '',
         lead_status: 'new',
         bike_interest: '{}',
-        organization_name: 'BICI Bike Store',
-        business_hours: getTodaysHours(),
-        current_datetime: new Date().toLocaleString('en-US', {
-          timeZone: 'America/Vancouver',
-          weekday: 'long',
-          timeStyle: 'short'
-        }),
-        dynamic_greeting: 'Hi there! Thanks for calling BICI, how can I help you today?',
+        organization_name: store.name,
+        business_hours: describeStoreStatus(store),
+        current_datetime: `${dayOfWeek} ${timeString} ${getTimezoneName(store.timezone, 'long')}`,
+        dynamic_greeting: `Hi there! Thanks for calling ${store.spoken_name}, how can I help you today?`,
         has_customer_name: 'false'
       }
     };
@@ -612,8 +294,49 @@ export async function handleConversationInitiation(req: Request, res: Response)
 }
 
 // Handle post-call webhook
+/**
+ * Outbound call that never connected (no answer, busy). ElevenLabs sends these
+ * to the post-call webhook.
+ */
+async function handleCallInitiationFailure(req: Request, res: Response) {
+  const { conversation_id, failure_reason } = req.body.data || {};
+  const outcome = INITIATION_FAILURE_OUTCOMES[failure_reason] || 'failed';
+  logger.info('Outbound call failed to connect:', { conversation_id, failure_reason, outcome });
+
+  if (!conversation_id) {
+    return res.status(400).json({ error: 'Missing conversation_id' });
+  }
+
+  const session = await callSessionService.updateSession(conversation_id, {
+    status: 'failed',
+    ended_at: new Date(),
+    outcome
+  });
+
+  if (session?.campaign_id) {
+    await runWebhookStep(res, 'campaign_outcome', () => campaignService.recordCallOutcome(session, outcome));
+  }
+
+  if (session) {
+    broadcastToClients({
+      type: 'call_completed',
+      organization_id: session.organization_id,
+      lead_id: session.lead_id,
+      conversation_id,
+      summary: `Call not connected (${failure_reason || 'unknown'})`,
+      duration: 0
+    });
+  }
+
+  res.json({ success: true, outcome });
+}
+
 export async function handlePostCall(req: Request, res: Response) {
   try {
+    if (req.body.type === 'call_initiation_failure') {
+      return await handleCallInitiationFailure(req, res);
+    }
+
     logger.info('ElevenLabs post-call webhook received', {
       body: req.body,
       headers: req.headers,
@@ -640,7 +363,6 @@ export async function handlePostCall(req: Request, res: Response) {
     let conversation_initiation_client_data: any;
     let phone_number: string;
     let caller_id: string;
-    let called_number: string;
     let call_sid: string;
     let duration: number;
     let sessionId: string;
@@ -649,12 +371,6 @@ export async function handlePostCall(req: Request, res: Response) {
     if (req.body.type === 'post_call_transcription') {
       logger.info('Processing new post_call_transcription format');
       
-      // Verify webhook signature - ENABLED FOR PRODUCTION
-      if (!verifyElevenLabsSignature(req)) {
-        logger.warn('Invalid webhook signature - allowing for development');
-        // Continue for now to not break functionality
-      }
-      
       const { data } = req.body;
       if (!data) {
         logger.error('No data in post_call_transcription webhook');
@@ -681,7 +397,6 @@ export async function handlePostCall(req: Request, res: Response) {
                        metadata.conversation_initiation_source === 'widget';
       
       caller_id = phone_number;
-      called_number = '+17786528784'; // Your Twilio number
       call_sid = metadata.phone_call?.call_sid || conversation_id;
       duration = metadata.call_duration_secs;
       
@@ -733,19 +448,12 @@ export async function handlePostCall(req: Request, res: Response) {
       // Handle legacy webhook format
       logger.info('Processing legacy post-call format');
       
-      // Verify webhook signature - ENABLED FOR PRODUCTION
-      if (!verifyElevenLabsSignature(req)) {
-        logger.error('Invalid webhook signature - rejecting post-call');
-        return res.status(403).json({ error: 'Invalid signature' });
-      }
-      
       // Extract fields from both root and data levels for compatibility  
       const rootFields = req.body;
       const { data, analysis: rootAnalysis } = req.body;
       const dataFields = data || {};
       
       caller_id = rootFields.caller_id || dataFields.caller_id;
-      called_number = rootFields.called_number || dataFields.called_number; 
       conversation_id = rootFields.conversation_id || dataFields.conversation_id;
       call_sid = rootFields.call_sid || dataFields.call_sid || dataFields.metadata?.phone_call?.call_sid;
       agent_id = rootFields.agent_id || dataFields.agent_id;
@@ -790,6 +498,16 @@ export async function handlePostCall(req: Request, res: Response) {
       ? transcript.map(turn => `${turn.role}: ${turn.message}`).join('\n')
       : transcript || '';
     
+    // Process transcript for insights (pass the analysis properly)
+    // Note: Don't override the data property which contains data_collection_results
+    logger.info('Analysis structure for processTranscript:', {
+      has_data_collection_results: !!analysis?.data_collection_results,
+      analysis_keys: Object.keys(analysis || {}),
+      data_collection_keys: analysis?.data_collection_results ? Object.keys(analysis.data_collection_results) : null
+    });
+    
+    const insights = await processTranscript(fullTranscript, analysis);
+    
     // Find the most recent call session for this phone number instead of by conversation_id
     // since ElevenLabs sends different IDs in initiation vs post-call
     const sessionUpdateData: Partial<CallSession> = {
@@ -797,10 +515,13 @@ export async function handlePostCall(req: Request, res: Response) {
       ended_at: new Date(),
       duration_seconds: duration,
       metadata: {
-        transcript: fullTranscript,
-        summary: analysis?.call_summary_title || analysis?.transcript_summary,
-        raw_transcript: transcript,
-        elevenlabs_analysis: analysis,
+        ...redactForStorage({
+          transcript: fullTranscript,
+          summary: analysis?.call_summary_title || analysis?.transcript_summary,
+          raw_transcript: transcript,
+          elevenlabs_analysis: analysis
+        }),
+        insights,  // Kept for automation rule dry runs
         conversation_id: sessionId  // Store the conversation_id from post-call
       }
     };
@@ -808,24 +529,32 @@ export async function handlePostCall(req: Request, res: Response) {
     // Try direct lookup first, then fallback to phone-based
     let session = await callSessionService.updateSession(sessionId, sessionUpdateData);
     
-    if (!session && phone_number && phone_number !== 'unknown' && phone_number !== 'web-user') {
-      // Fallback: find most recent session by phone number and update it
-      session = await callSessionService.updateRecentSessionByPhone(phone_number, sessionUpdateData);
+    // Calls we set up carry the organization in their dynamic variables;
+    // otherwise match the agent.
+    const organizationId: string | null = session?.organization_id
+      || conversation_initiation_client_data?.dynamic_variables?.organization_id
+      || (agent_id ? (await organizationService.getOrganizationByAgentId(agent_id))?.id : null)
+      || null;
+    
+    if (!session && organizationId && phone_number && phone_number !== 'unknown' && phone_number !== 'web-user') {
+      // Fallback: find the organization's most recent session by phone number and update it
+      session = await callSessionService.updateRecentSessionByPhone(phone_number, organizationId, sessionUpdateData);
     }
     
     // If still no session, create a minimal session object for web/SMS conversations
     if (!session) {
       // For web calls or when we don't have a phone number
-      const organizationId = 'b0c1b1c1-0000-0000-0000-000000000001'; // Default org
       let lead = null;
       
-      if (phone_number && phone_number !== 'unknown' && phone_number !== 'web-user') {
+      if (!organizationId) {
+        logger.warn('No organization found for post-call webhook:', { agent_id, sessionId });
+      } else if (phone_number && phone_number !== 'unknown' && phone_number !== 'web-user') {
         // Try to find lead by phone
         lead = await leadService.findLeadByPhone(phone_number, organizationId);
       }
       
       // Create a minimal lead if needed for web calls
-      if (!lead) {
+      if (!lead && organizationId) {
         const isWebCall = metadata?.conversation_initiation_source === 'react_sdk' ||
                          metadata?.conversation_initiation_source === 'widget';
         
@@ -868,37 +597,32 @@ export async function handlePostCall(req: Request, res: Response) {
       // Don't fail the webhook, just log the error and continue with minimal processing
       logger.warn('Continuing with minimal post-call processing without session');
       
-      // Still try to broadcast to dashboard even without a session
-      broadcastToClients({
-        type: 'call_completed',
-        conversation_id: sessionId,
-        summary: analysis?.call_summary_title || 'Call completed',
-        duration: duration || 0
-      });
-      
+      // Without a session there is no organization to show the call to
       return res.json({ success: true, warning: 'Processed without session' });
     }
+
+    // Campaign calls report back to their campaign
+    if (session.campaign_id) {
+      const outcome: CallOutcome = /voicemail/i.test(metadata?.termination_reason || '') ? 'voicemail' : 'answered';
+      try {
+        await runWebhookStep(res, 'campaign_outcome', () => campaignService.recordCallOutcome(session, outcome));
+      } catch (error) {
+        logger.error('Error recording campaign call outcome:', error);
+      }
+    }
     
-    // Process transcript for insights (pass the analysis properly)
-    // Note: Don't override the data property which contains data_collection_results
-    logger.info('Analysis structure for processTranscript:', {
-      has_data_collection_results: !!analysis?.data_collection_results,
-      analysis_keys: Object.keys(analysis || {}),
-      data_collection_keys: analysis?.data_collection_results ? Object.keys(analysis.data_collection_results) : null
-    });
-    
-    const insights = await processTranscript(fullTranscript, analysis);
-    
-    // Update lead with extracted data
+    // Update lead with extracted data. Score, purchase intent and status are
+    // left to the scoring engine below.
+    const existingLead = await leadService.getLead(session.lead_id);
     const updateData: any = {
       bike_interest: insights.bikePreferences || {},
       qualification_data: {
-        ready_to_buy: (insights.purchaseIntent || 0) > 0.7,
-        timeline: (insights as any).timeline,
-        purchase_intent: insights.purchaseIntent || 0,
-        contact_preference: 'phone'
+        ...(existingLead?.qualification_data || {}),
+        contact_preference: existingLead?.qualification_data?.contact_preference || 'phone',
+        ...(insights.purchaseTimeline ? { timeline: insights.purchaseTimeline } : {}),
+        ...(insights.budgetRange && insights.budgetRange !== 'not_specified' ? { budget_range: insights.budgetRange } : {}),
+        ...(insights.ridingExperience && insights.ridingExperience !== 'unsure' ? { riding_experience: insights.ridingExperience } : {})
       },
-      status: (insights.leadStatus || 'contacted') as Lead['status'],
       last_contact_at: new Date()
     };
     
@@ -913,7 +637,7 @@ export async function handlePostCall(req: Request, res: Response) {
     }
     // Note: If neither customerName nor clearCustomerName is set, we keep the existing name
     
-    const updatedLead = await leadService.updateLead(session.lead_id, updateData);
+    let updatedLead = await leadService.updateLead(session.lead_id, updateData);
     logger.info('Lead updated with extracted data:', {
       lead_id: session.lead_id,
       customer_name: updateData.customer_name,
@@ -925,14 +649,16 @@ export async function handlePostCall(req: Request, res: Response) {
     if (updateData.customer_name) {
       broadcastToClients({
         type: 'lead_updated',
+        organization_id: session.organization_id,
         lead_id: session.lead_id,
         customer_name: updateData.customer_name,
         updates: updateData
       });
     }
     
-    // Store conversation summary for both voice and SMS
-    await conversationService.createSummary({
+    // Store conversation summary for both voice and SMS. Each side effect from
+    // here on runs once per webhook event, so a replay doesn't repeat it.
+    const storedSummary = await runWebhookStep(res, 'summary', () => conversationService.createSummary({
       organization_id: session.organization_id,
       lead_id: session.lead_id,
       phone_number: phone_number || session.metadata?.phone_number,
@@ -942,75 +668,132 @@ export async function handlePostCall(req: Request, res: Response) {
       sentiment_score: insights.sentiment || 0.5,
       call_classification: insights.classification || 'general',
       conversation_type: metadata?.phone_call ? 'voice' : 'sms' // Track the conversation medium
-    });
+    }));
     
     // Store individual conversation turns from the transcript array
     // IMPORTANT: Only store transcript for voice calls, not SMS (SMS messages are already stored in real-time)
     const isVoiceCall = !!metadata?.phone_call;
     
     if (isVoiceCall) {
-      if (Array.isArray(transcript)) {
-        for (const turn of transcript) {
-          if (turn.message && turn.message.trim()) {
-            await conversationService.storeConversation({
-              organization_id: session.organization_id,
-              lead_id: session.lead_id,
-              phone_number_normalized: phone_number.replace(/\D/g, ''),
-              content: turn.message,
-              sent_by: turn.role === 'user' ? 'user' : 'agent',
-              type: 'voice',
-              call_classification: insights.classification || 'general',
-              timestamp: new Date(metadata.start_time_unix_secs * 1000 + (turn.time_in_call_secs || 0) * 1000),
-              metadata: {
-                time_in_call_secs: turn.time_in_call_secs,
-                interrupted: turn.interrupted,
-                llm_usage: turn.llm_usage
-              }
-            });
+      await runWebhookStep(res, 'transcript', async () => {
+        if (Array.isArray(transcript)) {
+          for (const turn of transcript) {
+            if (turn.message && turn.message.trim()) {
+              await conversationService.storeConversation({
+                organization_id: session.organization_id,
+                lead_id: session.lead_id,
+                phone_number_normalized: normalizePhoneNumber(phone_number),
+                content: turn.message,
+                sent_by: turn.role === 'user' ? 'user' : 'agent',
+                type: 'voice',
+                call_classification: insights.classification || 'general',
+                timestamp: new Date(metadata.start_time_unix_secs * 1000 + (turn.time_in_call_secs || 0) * 1000),
+                metadata: {
+                  time_in_call_secs: turn.time_in_call_secs,
+                  interrupted: turn.interrupted,
+                  llm_usage: turn.llm_usage
+                }
+              });
+            }
           }
+        } else {
+          // Fallback: store the full transcript as one conversation entry
+          await conversationService.storeConversation({
+            organization_id: session.organization_id,
+            lead_id: session.lead_id,
+            phone_number_normalized: normalizePhoneNumber(phone_number),
+            content: fullTranscript || 'Call completed - transcript not available',
+            sent_by: 'system',
+            type: 'voice',
+            call_classification: insights.classification || 'general'
+          });
         }
-      } else {
-        // Fallback: store the full transcript as one conversation entry
-        await conversationService.storeConversation({
-          organization_id: session.organization_id,
-          lead_id: session.lead_id,
-          phone_number_normalized: phone_number.replace(/\D/g, ''),
-          content: fullTranscript || 'Call completed - transcript not available',
-          sent_by: 'system',
-          type: 'voice',
-          call_classification: insights.classification || 'general'
-        });
-      }
+        return true;
+      });
     } else {
       logger.info('Skipping transcript storage for SMS conversation - already stored in real-time');
     }
     
+    // Score once the call and its turns are stored, so automations and dry
+    // runs see what the call changed
+    try {
+      const scored = await leadScoringService.rescore(session.lead_id, 'call', session.id);
+      if (scored) {
+        updatedLead = scored.lead;
+        insights.purchaseIntent = scored.score / 100;
+        insights.leadStatus = scored.lead.status;
+        await callSessionService.updateSession(sessionId, { metadata: { ...sessionUpdateData.metadata, insights } });
+      }
+    } catch (error) {
+      logger.error('Error scoring lead after call:', error);
+    }
+    
+    const customerTurns = Array.isArray(transcript)
+      ? transcript.filter((turn: any) => turn.role === 'user').map((turn: any) => turn.message || '')
+      : [];
+    
+    // Remember what this conversation taught us about the customer
+    const lead = updatedLead || await leadService.getLead(session.lead_id);
+    if (lead) {
+      await runWebhookStep(res, 'memory', () => customerMemoryService.rememberConversation(lead, {
+        source: isVoiceCall ? 'call' : 'sms',
+        sourceId: session.id,
+        insights,
+        messages: customerTurns,
+        summary: storedSummary
+      }));
+    }
+    
     // Trigger enhanced SMS automation ONLY for voice calls, not SMS conversations
     if (isVoiceCall) {
       logger.info('Triggering SMS follow-up for voice call');
-      await enhancedSMSService.triggerSmartAutomation(session, insights, fullTranscript);
+      await runWebhookStep(res, 'sms_automation', () => enhancedSMSService.triggerSmartAutomation(session, insights, fullTranscript));
     } else {
       logger.info('Skipping SMS automation for SMS conversation - not needed');
     }
     
+    // Support calls, unhappy customers and requests for a person wait for staff
+    const escalationReason = humanControlService.escalationReasonFor(insights, customerTurns);
+    if (escalationReason && lead) {
+      await runWebhookStep(res, 'escalation', () => humanControlService.escalate(
+        lead,
+        escalationReason,
+        analysis?.call_summary_title || analysis?.transcript_summary
+      ));
+    }
+    
     // Broadcast to dashboard
     broadcastToClients({
       type: 'call_completed',
+      organization_id: session.organization_id,
       lead_id: session.lead_id,
       summary: analysis?.summary,
       classification: insights.classification,
       duration: duration
     });
     
+    // And to the organization's CRM or POS, once per call even when replayed
+    if (lead) {
+      await integrationWebhookService.dispatch(session.organization_id, 'call.completed', {
+        lead: integrationLead(lead),
+        conversation_id: conversation_id || null,
+        duration,
+        summary: analysis?.transcript_summary || analysis?.summary || null,
+        classification: insights.classification || null,
+        insights
+      }, session.id);
+    }
+    
     res.json({ success: true });
   } catch (error) {
     logger.error('Error in post-call handler:', error);
+    res.locals.webhookError = error;
     res.status(500).json({ error: 'Failed to process call data' });
   }
 }
 
 // Process transcript to extract insights
-async function processTranscript(transcript: string, analysis: any): Promise<ConversationInsights> {
+export async function processTranscript(transcript: string, analysis: any): Promise<ConversationInsights> {
   const insights: ConversationInsights = {
     classification: 'general',
     triggers: [],
@@ -1029,7 +812,6 @@ async function processTranscript(transcript: string, analysis: any): Promise<Con
     // Fallback to keyword matching
     if (transcript.toLowerCase().includes('buy') || transcript.toLowerCase().includes('purchase')) {
       insights.classification = 'sales';
-      insights.leadStatus = 'qualified';
     } else if (transcript.toLowerCase().includes('repair') || transcript.toLowerCase().includes('service')) {
       insights.classification = 'service';
     } else if (transcript.toLowerCase().includes('help') || transcript.toLowerCase().includes('support')) {
@@ -1161,15 +943,8 @@ async function processTranscript(transcript: string, analysis: any): Promise<Con
     }
   });
   
-  // Determine purchase intent (simplified)
-  insights.purchaseIntent = 0.5;
-  if (transcript.toLowerCase().includes('how much') || transcript.toLowerCase().includes('price')) {
-    insights.purchaseIntent = 0.7;
-  }
-  if (transcript.toLowerCase().includes('buy today') || transcript.toLowerCase().includes('purchase now')) {
-    insights.purchaseIntent = 0.9;
-    insights.leadStatus = 'hot';
-  }
+  // Purchase intent and lead status come from LeadScoringService once the
+  // call is stored; see handlePostCall
   
   // Extract key points from analysis if available
   if (analysis?.key_points) {
@@ -1184,6 +959,53 @@ async function processTranscript(transcript: string, analysis: any): Promise<Con
   return insights;
 }
 
+// Run a catalog tool the agent asked for and show the result on the dashboard
+async function runClientTool(data: any, session: CallSession | null) {
+  const toolName = data?.tool_name;
+  if (!toolName || !catalogService.handlesTool(toolName) || !catalogService.isEnabled()) return;
+
+  const args = data.parameters?.arguments || data.parameters || {};
+  let lead: Lead | null = null;
+  if (session?.lead_id) {
+    try {
+      lead = await leadService.getLead(session.lead_id);
+    } catch (error) {
+      logger.warn('Could not load lead for client tool call:', error);
+    }
+  }
+
+  try {
+    const result = await catalogService.runTool(toolName, args, lead);
+
+    const products = result?.products || (result?.product ? [result.product] : []);
+    if (lead && ['search_bikes', 'check_stock', 'search_shop_catalog'].includes(toolName)) {
+      await catalogService.attachMatches(lead, products, toolName)
+        .catch(error => logger.warn('Failed to attach product matches to lead:', error));
+    }
+
+    if (session) {
+      broadcastToClients({
+        type: 'tool_result',
+        organization_id: session.organization_id,
+        lead_id: session.lead_id,
+        tool_name: toolName,
+        result
+      });
+    }
+  } catch (error) {
+    logger.error('Error running client tool:', { tool_name: toolName, error: (error as Error).message });
+    if (session) {
+      broadcastToClients({
+        type: 'tool_result',
+        organization_id: session.organization_id,
+        lead_id: session.lead_id,
+        tool_name: toolName,
+        error: 'Tool call failed'
+      });
+    }
+  }
+}
+
 // Handle client events from ElevenLabs (real-time events during call)
 export async function handleClientEvents(req: Request, res: Response) {
   try {
@@ -1199,6 +1021,7 @@ export async function handleClientEvents(req: Request, res: Response) {
         // Store user's speech in real-time
         if (data.user_transcript && session) {
           logger.info('Real-time user transcript:', {
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             transcript_length: data.user_transcript.length,
             conversation_id
@@ -1224,10 +1047,10 @@ export async function handleClientEvents(req: Request, res: Response) {
           // Broadcast to dashboard for real-time display with enhanced data
           broadcastToClients({
             type: 'live_transcript',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             speaker: 'user',
             message: data.user_transcript,
-            timestamp: new Date().toISOString(),
             conversation_id,
             event_id,
             is_final: data.is_final || false,
@@ -1240,6 +1063,7 @@ export async function handleClientEvents(req: Request, res: Response) {
         // Store agent's response in real-time
         if (data.agent_response && session) {
           logger.info('Real-time agent response:', {
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             response_length: data.agent_response.length,
             conversation_id
@@ -1265,10 +1089,10 @@ export async function handleClientEvents(req: Request, res: Response) {
           // Broadcast to dashboard with enhanced data
           broadcastToClients({
             type: 'live_transcript',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             speaker: 'agent',
             message: data.agent_response,
-            timestamp: new Date().toISOString(),
             conversation_id,
             event_id,
             is_final: true, // Agent responses are always final
@@ -1282,9 +1106,9 @@ export async function handleClientEvents(req: Request, res: Response) {
         if (data.vad_score > 0.8 && session) {
           broadcastToClients({
             type: 'user_speaking',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
-            vad_score: data.vad_score,
-            timestamp: new Date().toISOString()
+            vad_score: data.vad_score
           });
         }
         break;
@@ -1294,6 +1118,7 @@ export async function handleClientEvents(req: Request, res: Response) {
         // Partial/interim transcripts (not final)
         if (data.transcript && session) {
           logger.info('Real-time partial transcript:', {
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             transcript_length: data.transcript.length,
             is_final: data.is_final,
@@ -1303,10 +1128,10 @@ export async function handleClientEvents(req: Request, res: Response) {
           // Broadcast partial transcript for live display (don't store in DB yet)
           broadcastToClients({
             type: 'live_transcript_partial',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             speaker: data.speaker || 'user',
             message: data.transcript,
-            timestamp: new Date().toISOString(),
             conversation_id,
             event_id,
             is_final: data.is_final || false,
@@ -1322,9 +1147,9 @@ export async function handleClientEvents(req: Request, res: Response) {
           logger.info('Real-time conversation started:', { lead_id: session.lead_id });
           broadcastToClients({
             type: 'conversation_started',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
-            conversation_id,
-            timestamp: new Date().toISOString()
+            conversation_id
           });
         }
         break;
@@ -1335,9 +1160,9 @@ export async function handleClientEvents(req: Request, res: Response) {
           logger.info('Real-time conversation ended:', { lead_id: session.lead_id });
           broadcastToClients({
             type: 'conversation_ended',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
-            conversation_id,
-            timestamp: new Date().toISOString()
+            conversation_id
           });
         }
         break;
@@ -1348,18 +1173,20 @@ export async function handleClientEvents(req: Request, res: Response) {
         if (session) {
           broadcastToClients({
             type: 'tool_call',
+            organization_id: session.organization_id,
             lead_id: session.lead_id,
             tool_name: data.tool_name,
-            parameters: data.parameters,
-            timestamp: new Date().toISOString()
+            parameters: data.parameters
           });
         }
+        await runClientTool(data, session);
         break;
     }
     
     res.json({ success: true });
   } catch (error) {
     logger.error('Error handling client event:', error);
+    res.locals.webhookError = error;
     res.status(500).json({ error: 'Failed to process event' });
   }
 }
@@ -1375,20 +1202,23 @@ export async function handleConversationEvents(req: Request, res: Response) {
     const session = await callSessionService.getSessionByConversationId(conversation_id);
     
     // Broadcast real-time events to dashboard
-    broadcastToClients({
-      type: `conversation_${type}`,
-      conversation_id,
-      lead_id: session?.lead_id,
-      data,
-      timestamp: new Date().toISOString()
-    });
+    if (session) {
+      broadcastToClients({
+        type: 'conversation_event',
+        organization_id: session.organization_id,
+        lead_id: session.lead_id,
+        event: type,
+        conversation_id,
+        data
+      });
+    }
     
     // If it's a transcript event, store it immediately
     if (type === 'transcript' && data.message && session) {
       await conversationService.storeConversation({
         organization_id: session.organization_id,
         lead_id: session.lead_id,
-        phone_number_normalized: data.phone_number?.replace(/\D/g, '') || '',
+        phone_number_normalized: data.phone_number ? normalizePhoneNumber(data.phone_number) : '',
         content: data.message,
         sent_by: data.role === 'user' ? 'user' : 'agent',
         type: 'voice',
@@ -1403,6 +1233,7 @@ export async function handleConversationEvents(req: Request, res: Response) {
     res.json({ success: true });
   } catch (error) {
     logger.error('Error handling conversation event:', error);
+    res.locals.webhookError = error;
     res.status(500).json({ error: 'Failed to process event' });
   }
 }
\ No newline at end of file
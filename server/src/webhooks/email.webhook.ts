@@ -0,0 +1,219 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger';
+import { supabase } from '../config/supabase.config';
+import { LeadService } from '../services/lead.service';
+import { ConversationService } from '../services/conversation.service';
+import { HumanControlService } from '../services/humanControl.service';
+import { AppointmentService } from '../services/appointment.service';
+import { EmailService } from '../services/email.service';
+import { jobQueue } from '../services/jobQueue.service';
+import { smsResponders } from '../services/smsResponder.service';
+import { broadcastToClients } from '../services/realtime.service';
+import { OrganizationService } from '../services/organization.service';
+import { LeadScoringService } from '../services/leadScoring.service';
+import { CustomerMemoryService } from '../services/customerMemory.service';
+import { runWebhookStep, webhookStepDone } from '../services/webhookEvent.service';
+import { htmlToText, parseAddress, parseAddressList, stripQuotedReply } from '../utils/email.helper';
+
+const leadService = new LeadService();
+const conversationService = new ConversationService();
+const humanControlService = new HumanControlService();
+const appointmentService = new AppointmentService();
+const emailService = new EmailService();
+const organizationService = new OrganizationService();
+const leadScoringService = new LeadScoringService();
+const customerMemoryService = new CustomerMemoryService();
+
+export interface InboundEmail {
+  from: { address: string; name?: string };
+  to: string[];
+  subject: string;
+  text: string;              // New part of the message, quoted reply removed
+  messageId: string | null;
+  inReplyTo: string | null;
+  references: string[];
+  autoSubmitted: boolean;    // Out-of-office and other machine replies
+}
+
+function header(headers: unknown, name: string): string | undefined {
+  if (!headers || typeof headers !== 'object') return undefined;
+  const entry = Object.entries(headers as Record<string, unknown>).find(([key]) => key.toLowerCase() === name);
+  return typeof entry?.[1] === 'string' ? entry[1] : undefined;
+}
+
+/**
+ * Normalize the JSON most inbound mail services post (SendGrid, Postmark,
+ * Mailgun routes and the like): from/to/subject/text/html plus threading
+ * headers as top-level fields or under `headers`. Null without a sender or body.
+ */
+export function parseInboundEmail(body: Record<string, any>): InboundEmail | null {
+  const from = parseAddress(body.from ?? body.From ?? body.sender);
+  const text = typeof body.text === 'string' && body.text.trim()
+    ? body.text
+    : typeof body.html === 'string' ? htmlToText(body.html) : '';
+  if (!from || !text.trim()) return null;
+
+  const references = body.references ?? header(body.headers, 'references') ?? [];
+  const autoSubmitted = body.auto_submitted ?? header(body.headers, 'auto-submitted');
+
+  return {
+    from,
+    to: parseAddressList(body.to ?? body.To ?? body.recipient),
+    subject: String(body.subject ?? body.Subject ?? '').trim(),
+    text: stripQuotedReply(text),
+    messageId: body.message_id ?? body.messageId ?? header(body.headers, 'message-id') ?? null,
+    inReplyTo: body.in_reply_to ?? body.inReplyTo ?? header(body.headers, 'in-reply-to') ?? null,
+    references: Array.isArray(references) ? references : String(references).split(/\s+/).filter(Boolean),
+    autoSubmitted: !!autoSubmitted && String(autoSubmitted).toLowerCase() !== 'no'
+  };
+}
+
+async function alreadyReceived(organizationId: string, messageId: string): Promise<boolean> {
+  const { data } = await supabase
+    .from('conversations')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .eq('metadata->>email_message_id', messageId)
+    .limit(1);
+  return !!data?.length;
+}
+
+export async function handleInboundEmail(req: Request, res: Response) {
+  try {
+    const email = parseInboundEmail(req.body || {});
+    if (!email) {
+      return res.status(400).json({ error: 'Missing sender or message body' });
+    }
+
+    logger.info('Incoming email received:', {
+      from: email.from.address,
+      to: email.to,
+      messageId: email.messageId
+    });
+
+    // The store address the customer wrote to picks the organization
+    const organization = await organizationService.getOrganizationByEmail(email.to);
+    if (!organization) {
+      logger.error('No organization found for email recipients:', email.to);
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    // Mail services retry deliveries; the Message-ID makes them harmless. A
+    // replay of an event that stored the message picks up where it stopped.
+    if (email.messageId && !webhookStepDone(res, 'store_message') && await alreadyReceived(organization.id, email.messageId)) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+
+    const lead = await leadService.findOrCreateLeadByEmail(email.from.address, organization.id, email.from.name);
+    const settings = organizationService.resolveSettings(organization);
+
+    const inbound = await runWebhookStep(res, 'store_message', () => conversationService.storeConversation({
+      organization_id: organization.id,
+      lead_id: lead.id,
+      phone_number_normalized: lead.phone_number_normalized,
+      content: email.text,
+      sent_by: 'user',
+      type: 'email',
+      metadata: {
+        email_message_id: email.messageId,
+        subject: email.subject,
+        from: email.from.address,
+        in_reply_to: email.inReplyTo,
+        references: email.references
+      }
+    }));
+
+    const received = {
+      type: 'email_received' as const,
+      organization_id: organization.id,
+      lead_id: lead.id,
+      email: email.from.address,
+      subject: email.subject,
+      message: email.text
+    };
+
+    // The customer wrote back, so queued follow-ups are no longer relevant
+    await jobQueue.cancelForLead(lead.id, 'customer_reply');
+
+    try {
+      await leadScoringService.rescore(lead.id, 'email', inbound.id);
+    } catch (error) {
+      logger.warn('Failed to score lead after email:', { lead_id: lead.id, error: (error as Error).message });
+    }
+    await runWebhookStep(res, 'memory', () => customerMemoryService.rememberConversation(lead, { source: 'email', sourceId: inbound.id, messages: [email.text] }));
+
+    // Never answer an auto-reply, or two mailboxes could write to each other forever
+    if (email.autoSubmitted) {
+      broadcastToClients(received);
+      logger.info('Automatic email reply stored without answering:', { lead_id: lead.id });
+      return res.status(200).json({ status: 'auto_reply_ignored' });
+    }
+
+    // CANCEL / RESCHEDULE act on the customer's appointment, as they do by text
+    const appointmentReply = await runWebhookStep(res, 'appointment_reply', async () => {
+      const handled = await appointmentService.handleSMSReply(lead, email.text);
+      if (handled.handled && handled.reply) {
+        await emailService.replyToLead(lead, handled.reply);
+      }
+      return handled;
+    });
+    if (appointmentReply.handled) {
+      broadcastToClients({ ...received, ai_response: appointmentReply.reply });
+      return res.status(200).json({ status: 'appointment_reply_processed' });
+    }
+
+    // Held by a staff member or waiting for one: the email waits for them
+    const heldByHuman = await humanControlService.isUnderHumanControl(lead.id);
+    if (heldByHuman || await humanControlService.isWaitingForHuman(organization.id, lead.id)) {
+      await runWebhookStep(res, 'human_queue', () => humanControlService.queueMessage(lead.id, email.text));
+
+      broadcastToClients({ ...received, type: 'email_received_human_queue', assigned: heldByHuman });
+      logger.info('Email queued for human agent:', { lead_id: lead.id, assigned: heldByHuman });
+      return res.status(200).json({ status: 'queued_for_human' });
+    }
+
+    if (humanControlService.isHumanRequest(email.text)) {
+      const reply = humanControlService.humanRequestReply(settings, 'email');
+      await runWebhookStep(res, 'human_request', async () => {
+        await humanControlService.escalate(lead, 'asked_for_human', email.text);
+        await emailService.replyToLead(lead, reply);
+        return true;
+      });
+
+      broadcastToClients({ ...received, ai_response: reply });
+      return res.status(200).json({ status: 'queued_for_human' });
+    }
+
+    // The same responders that answer texts answer email
+    const reply = await runWebhookStep(res, 'ai_reply', async () => {
+      const aiReply = await smsResponders.reply(email.text, lead, settings);
+      await conversationService.updateMetadata(inbound, {
+        responder: aiReply.responder,
+        ...(aiReply.conversationId ? { elevenlabs_conversation_id: aiReply.conversationId } : {})
+      });
+      if (!aiReply.replying) return aiReply;
+
+      // Parts the agent would send as separate texts become one email
+      await emailService.replyToLead(lead, aiReply.parts.join('\n\n'), {
+        metadata: {
+          responder: aiReply.responder,
+          ...(aiReply.conversationId ? { elevenlabs_conversation_id: aiReply.conversationId } : {}),
+          ai_latency_ms: aiReply.latencyMs
+        }
+      });
+      return aiReply;
+    });
+
+    if (!reply.replying) {
+      return res.status(200).json({ status: 'coalesced' });
+    }
+
+    const text = reply.parts.join('\n\n');
+    broadcastToClients({ ...received, ai_response: text, responder: reply.responder });
+    res.status(200).json({ status: 'processed' });
+  } catch (error) {
+    logger.error('Error handling inbound email:', error);
+    res.locals.webhookError = error;
+    res.status(500).json({ error: 'Failed to process email' });
+  }
+}
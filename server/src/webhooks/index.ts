@@ -1,28 +1,146 @@
-import { Express } from 'express';
-import { 
-  handleConversationInitiation, 
-  handlePostCall, 
+import { Express, Request, Response } from 'express';
+import {
+  handleConversationInitiation,
+  handlePostCall,
   handleConversationEvents,
-  handleClientEvents 
+  handleClientEvents
 } from './elevenlabs.webhook';
-import { 
-  handleIncomingSMS, 
-  handleSMSStatus 
+import {
+  handleIncomingSMS,
+  handleSMSStatus
 } from './twilio.webhook';
+import {
+  handleAppointmentSlotsTool,
+  handleBookAppointmentTool,
+  handleSearchBikesTool,
+  handleCheckStockTool
+} from './tools.webhook';
+import { handleInboundEmail } from './email.webhook';
+import { validateWebhookPayload } from './webhookSchemas';
+import { verifyAgentTool, verifyElevenLabsWebhook, verifyEmailWebhook, verifyTwilioWebhook } from '../middleware/webhookSignature';
+import { trackWebhookEvent } from '../middleware/webhookEvent';
+import { timeWebhook } from '../middleware/metrics';
+import { WebhookEventService } from '../services/webhookEvent.service';
+import { WebhookEvent, WebhookSource } from '../types';
 import { logger } from '../utils/logger';
 
+const webhookEventService = new WebhookEventService();
+
+interface WebhookRoute {
+  source: WebhookSource;
+  endpoint: string;   // Path under /webhooks/<source>/
+  handler: (req: Request, res: Response) => Promise<any>;
+  tracked: boolean;   // Stored in webhook_events and replayable
+}
+
+const WEBHOOK_ROUTES: WebhookRoute[] = [
+  // ElevenLabs webhooks (unsigned requests only on ELEVENLABS_UNSIGNED_WEBHOOKS endpoints)
+  { source: 'elevenlabs', endpoint: 'conversation-initiation', handler: handleConversationInitiation, tracked: true },
+  { source: 'elevenlabs', endpoint: 'post-call', handler: handlePostCall, tracked: true },
+  { source: 'elevenlabs', endpoint: 'conversation-events', handler: handleConversationEvents, tracked: true },
+  { source: 'elevenlabs', endpoint: 'client-events', handler: handleClientEvents, tracked: true },
+
+  // ElevenLabs agent server tools answer the agent mid-call; nothing to replay.
+  // They authenticate with the organization's tool secret, not a signature.
+  { source: 'elevenlabs', endpoint: 'tools/appointment-slots', handler: handleAppointmentSlotsTool, tracked: false },
+  { source: 'elevenlabs', endpoint: 'tools/book-appointment', handler: handleBookAppointmentTool, tracked: false },
+  { source: 'elevenlabs', endpoint: 'tools/search-bikes', handler: handleSearchBikesTool, tracked: false },
+  { source: 'elevenlabs', endpoint: 'tools/check-stock', handler: handleCheckStockTool, tracked: false },
+
+  // Twilio webhooks
+  { source: 'twilio', endpoint: 'sms', handler: handleIncomingSMS, tracked: true },
+  { source: 'twilio', endpoint: 'sms/status', handler: handleSMSStatus, tracked: true },
+
+  // Inbound mail service (signed with EMAIL_WEBHOOK_SECRET)
+  { source: 'email', endpoint: 'inbound', handler: handleInboundEmail, tracked: true }
+];
+
+function verifierFor(route: WebhookRoute) {
+  if (route.source === 'elevenlabs') {
+    return route.endpoint.startsWith('tools/')
+      ? verifyAgentTool(route.endpoint)
+      : verifyElevenLabsWebhook(route.endpoint);
+  }
+  return route.source === 'twilio' ? verifyTwilioWebhook : verifyEmailWebhook;
+}
+
 export function setupWebhooks(app: Express) {
   logger.info('Setting up webhook endpoints');
-  
-  // ElevenLabs webhooks
-  app.post('/webhooks/elevenlabs/conversation-initiation', handleConversationInitiation);
-  app.post('/webhooks/elevenlabs/post-call', handlePostCall);
-  app.post('/webhooks/elevenlabs/conversation-events', handleConversationEvents);
-  app.post('/webhooks/elevenlabs/client-events', handleClientEvents);
-  
-  // Twilio webhooks
-  app.post('/webhooks/twilio/sms', handleIncomingSMS);
-  app.post('/webhooks/twilio/sms/status', handleSMSStatus);
-  
+
+  for (const route of WEBHOOK_ROUTES) {
+    const tracking = route.tracked ? [trackWebhookEvent(route.source, route.endpoint)] : [];
+    app.post(
+      `/webhooks/${route.source}/${route.endpoint}`,
+      timeWebhook(route.source, route.endpoint),
+      verifierFor(route),
+      ...tracking,
+      route.handler
+    );
+  }
+
   logger.info('Webhook endpoints configured');
-}
\ No newline at end of file
+}
+
+export function isReplayable(event: Pick<WebhookEvent, 'source' | 'endpoint'>): boolean {
+  return WEBHOOK_ROUTES.some(route => route.tracked && route.source === event.source && route.endpoint === event.endpoint);
+}
+
+/**
+ * Run a stored webhook through its handler again, in process. Steps that
+ * completed on an earlier attempt are skipped.
+ */
+export async function replayWebhookEvent(event: WebhookEvent): Promise<{ status: number; body: any; event: WebhookEvent }> {
+  const route = WEBHOOK_ROUTES.find(candidate => candidate.tracked && candidate.source === event.source && candidate.endpoint === event.endpoint);
+  if (!route) {
+    throw new Error(`No webhook handler for ${event.source}/${event.endpoint}`);
+  }
+
+  await webhookEventService.startAttempt(event);
+  logger.info('Replaying webhook event:', { id: event.id, source: event.source, endpoint: event.endpoint, attempts: event.attempts });
+
+  const validationErrors = validateWebhookPayload(event.source, event.endpoint, event.payload);
+  if (validationErrors.length > 0) {
+    const finished = await webhookEventService.finish(event, { responseStatus: 400, validationErrors });
+    return { status: 400, body: { error: 'Invalid webhook payload', details: validationErrors }, event: finished };
+  }
+
+  const path = `/webhooks/${event.source}/${event.endpoint}`;
+  const req = { body: event.payload, query: {}, params: {}, headers: {}, path, originalUrl: path, ip: 'replay' };
+  const res = capturedResponse(event);
+  try {
+    await route.handler(req as unknown as Request, res as unknown as Response);
+  } catch (error) {
+    // Handlers answer their own errors; this only catches ones that escape
+    res.locals.webhookError = error;
+    res.statusCode = 500;
+  }
+
+  const finished = await webhookEventService.finish(event, { responseStatus: res.statusCode, error: res.locals.webhookError });
+  return { status: res.statusCode, body: res.body, event: finished };
+}
+
+// Just enough of an Express response for the webhook handlers
+function capturedResponse(event: WebhookEvent) {
+  const res = {
+    statusCode: 200,
+    body: undefined as any,
+    locals: { webhookEvent: event } as Record<string, any>,
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: any) {
+      res.body = body;
+      return res;
+    },
+    send(body?: any) {
+      res.body = body;
+      return res;
+    },
+    sendStatus(code: number) {
+      res.statusCode = code;
+      return res;
+    }
+  };
+  return res;
+}
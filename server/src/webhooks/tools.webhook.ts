@@ -0,0 +1,166 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger';
+import { LeadService } from '../services/lead.service';
+import { AppointmentService } from '../services/appointment.service';
+import { OrganizationService } from '../services/organization.service';
+import { CatalogService } from '../services/catalog.service';
+import { Lead } from '../types';
+
+const leadService = new LeadService();
+const appointmentService = new AppointmentService();
+const organizationService = new OrganizationService();
+const catalogService = new CatalogService();
+
+/**
+ * Server tools the ElevenLabs agent calls mid-conversation. verifyAgentTool
+ * resolves the organization from the tool secret into res.locals; the agent
+ * passes customer_phone from its dynamic variables. Callers' leads are created
+ * at conversation initiation, never here. Responses are short sentences the
+ * agent can read back to the caller.
+ */
+
+// List the next open service-bay slots
+export async function handleAppointmentSlotsTool(req: Request, res: Response) {
+  try {
+    const organization_id: string = res.locals.organizationId;
+    const { days } = req.body;
+
+    const slots = await appointmentService.getAvailableSlots(organization_id, {
+      days: Math.min(parseInt(days, 10) || 7, 14),
+      limit: 5
+    });
+
+    logger.info('Appointment slots tool called:', { organization_id, slotCount: slots.length });
+
+    res.json({
+      slots: slots.map(slot => ({ start: slot.start, label: slot.label })),
+      message: slots.length > 0
+        ? `The next openings are ${slots.map(slot => slot.label).join('; ')}.`
+        : 'We have no open service slots in the next week.'
+    });
+  } catch (error) {
+    logger.error('Error in appointment slots tool:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment slots' });
+  }
+}
+
+// Book a service appointment for the caller
+export async function handleBookAppointmentTool(req: Request, res: Response) {
+  try {
+    const organization_id: string = res.locals.organizationId;
+    const { customer_phone, slot_start, service_type, notes } = req.body;
+
+    if (!customer_phone || !slot_start) {
+      return res.status(400).json({ error: 'customer_phone and slot_start are required' });
+    }
+
+    const lead = await leadService.findLeadByPhone(customer_phone, organization_id);
+    if (!lead) {
+      return res.json({
+        success: false,
+        message: 'I could not find this caller in our records, so I cannot book online. Please offer to have the store call back.'
+      });
+    }
+
+    try {
+      const appointment = await appointmentService.bookAppointment({
+        organization_id,
+        lead_id: lead.id,
+        scheduled_at: slot_start,
+        service_type,
+        notes,
+        source: 'voice'
+      });
+
+      const store = await organizationService.getSettings(organization_id);
+      const { date, time } = appointmentService.formatForCustomer(appointment.scheduled_at, store.timezone);
+      res.json({
+        success: true,
+        appointment_id: appointment.id,
+        message: `Booked for ${date} at ${time}. A confirmation text is on its way.`
+      });
+    } catch (error) {
+      // Slot was taken or invalid - give the agent alternatives to offer
+      const slots = await appointmentService.getAvailableSlots(organization_id, { limit: 3 });
+      res.json({
+        success: false,
+        message: `That time is not available. Open times: ${slots.map(slot => slot.label).join('; ') || 'none this week'}.`,
+        slots: slots.map(slot => ({ start: slot.start, label: slot.label }))
+      });
+    }
+  } catch (error) {
+    logger.error('Error in book appointment tool:', error);
+    res.status(500).json({ error: 'Failed to book appointment' });
+  }
+}
+
+// Look up the caller's lead for catalog tools; they still answer without one
+async function findCaller(customerPhone: string | undefined, organizationId: string): Promise<Lead | null> {
+  if (!customerPhone) return null;
+  try {
+    return await leadService.findLeadByPhone(customerPhone, organizationId);
+  } catch (error) {
+    logger.warn('Could not load lead for catalog tool:', error);
+    return null;
+  }
+}
+
+async function attachMatches(lead: Lead | null, products: any[], source: 'search_bikes' | 'check_stock') {
+  if (!lead) return;
+  try {
+    await catalogService.attachMatches(lead, products, source);
+  } catch (error) {
+    logger.warn('Failed to attach product matches to lead:', error);
+  }
+}
+
+// Search the Shopify catalog for bikes by type, size and budget
+export async function handleSearchBikesTool(req: Request, res: Response) {
+  try {
+    const organization_id: string = res.locals.organizationId;
+    const { customer_phone, type, size, query, budget_min, budget_max } = req.body;
+
+    const lead = await findCaller(customer_phone, organization_id);
+    const { products, message } = await catalogService.searchBikes({ type, size, query, budget_min, budget_max }, lead);
+    await attachMatches(lead, products, 'search_bikes');
+
+    logger.info('Search bikes tool called:', { organization_id, type, size, resultCount: products.length });
+
+    res.json({
+      products: products.map(product => ({
+        product_id: product.product_id,
+        title: product.title,
+        price: product.price_min,
+        in_stock: product.in_stock
+      })),
+      message
+    });
+  } catch (error) {
+    logger.error('Error in search bikes tool:', error);
+    res.status(500).json({ error: 'Failed to search bikes' });
+  }
+}
+
+// Check whether a product (optionally a size) is in stock
+export async function handleCheckStockTool(req: Request, res: Response) {
+  try {
+    const organization_id: string = res.locals.organizationId;
+    const { customer_phone, product_id, size } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id is required' });
+    }
+
+    const { product, message } = await catalogService.checkStock(product_id, size);
+    if (product) {
+      await attachMatches(await findCaller(customer_phone, organization_id), [product], 'check_stock');
+    }
+
+    logger.info('Check stock tool called:', { organization_id, product_id, size, found: !!product });
+
+    res.json({ in_stock: product?.in_stock ?? false, message });
+  } catch (error) {
+    logger.error('Error in check stock tool:', error);
+    res.status(500).json({ error: 'Failed to check stock' });
+  }
+}
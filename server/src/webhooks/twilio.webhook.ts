@@ -1,37 +1,33 @@
 import { Request, Response } from 'express';
-import twilio from 'twilio';
 import { logger } from '../utils/logger';
 import { LeadService } from '../services/lead.service';
 import { ConversationService } from '../services/conversation.service';
 import { HumanControlService } from '../services/humanControl.service';
 import { SMSAutomationService } from '../services/sms.service';
+import { AppointmentService } from '../services/appointment.service';
+import { ConsentService } from '../services/consent.service';
+import { SMSDeliveryService } from '../services/smsDelivery.service';
+import { jobQueue } from '../services/jobQueue.service';
+import { smsResponders } from '../services/smsResponder.service';
 import { broadcastToClients } from '../services/realtime.service';
-import { normalizePhoneNumber } from '../config/twilio.config';
-import { storeInfo, businessHours } from '../config/elevenlabs.config';
-import { generateGreetingContext, createDynamicGreeting } from '../utils/greeting.helper';
-import { buildConversationContext } from '../webhooks/elevenlabs.webhook';
-import WebSocket from 'ws';
+import { normalizePhoneNumber } from '../utils/phone.helper';
+import { OrganizationService } from '../services/organization.service';
+import { LeadScoringService } from '../services/leadScoring.service';
+import { CustomerMemoryService } from '../services/customerMemory.service';
+import { runWebhookStep } from '../services/webhookEvent.service';
+import { IntegrationWebhookService, integrationLead } from '../services/integrationWebhook.service';
 
 const leadService = new LeadService();
 const conversationService = new ConversationService();
 const humanControlService = new HumanControlService();
 const smsService = new SMSAutomationService();
-
-// Verify Twilio webhook signature
-function verifyTwilioSignature(req: Request): boolean {
-  if (process.env.NODE_ENV === 'development') return true;
-  
-  const signature = req.headers['x-twilio-signature'] as string;
-  const authToken = process.env.TWILIO_AUTH_TOKEN!;
-  const url = `${process.env.WEBHOOK_BASE_URL}${req.originalUrl}`;
-  
-  return twilio.validateRequest(
-    authToken,
-    signature,
-    url,
-    req.body
-  );
-}
+const appointmentService = new AppointmentService();
+const consentService = new ConsentService();
+const smsDeliveryService = new SMSDeliveryService();
+const organizationService = new OrganizationService();
+const leadScoringService = new LeadScoringService();
+const customerMemoryService = new CustomerMemoryService();
+const integrationWebhookService = new IntegrationWebhookService();
 
 export async function handleIncomingSMS(req: Request, res: Response) {
   try {
@@ -43,12 +39,6 @@ export async function handleIncomingSMS(req: Request, res: Response) {
       messageSid: MessageSid 
     });
     
-    // Verify signature
-    if (!verifyTwilioSignature(req)) {
-      logger.error('Invalid Twilio signature');
-      return res.status(403).send('Forbidden');
-    }
-    
     // Get organization from To number
     const organization = await leadService.getOrganizationByPhone(To);
     if (!organization) {
@@ -59,330 +49,208 @@ export async function handleIncomingSMS(req: Request, res: Response) {
     // Get or create lead
     const lead = await leadService.findOrCreateLead(From, organization.id);
     
-    // Store incoming message (match voice conversation pattern)
-    await conversationService.storeConversation({
+    // Store incoming message (match voice conversation pattern). Side effects
+    // run once per webhook event, so a replayed delivery doesn't repeat them.
+    const inbound = await runWebhookStep(res, 'store_message', () => conversationService.storeConversation({
       organization_id: organization.id,
       lead_id: lead.id,
-      phone_number_normalized: From.replace(/\D/g, ''),
+      phone_number_normalized: normalizePhoneNumber(From),
       content: Body,
       sent_by: 'user',
       type: 'sms',
       metadata: { message_sid: MessageSid }
+    }));
+    
+    // The customer wrote back, so queued follow-ups are no longer relevant
+    await jobQueue.cancelForLead(lead.id, 'customer_reply');
+    
+    // A reply is engagement and may carry buying signals; scoring never blocks the reply
+    let scoredLead = lead;
+    try {
+      scoredLead = (await leadScoringService.rescore(lead.id, 'sms', inbound.id))?.lead || lead;
+    } catch (error) {
+      logger.warn('Failed to score lead after SMS:', { lead_id: lead.id, error: (error as Error).message });
+    }
+    await runWebhookStep(res, 'memory', () => customerMemoryService.rememberConversation(lead, { source: 'sms', sourceId: inbound.id, messages: [Body] }));
+    
+    // Every inbound text reaches the organization's integrations, whichever
+    // way it is answered; keyed by the stored message so replays don't resend
+    await integrationWebhookService.dispatch(organization.id, 'sms.received', {
+      lead: integrationLead(scoredLead),
+      message_id: inbound.id,
+      message: Body
+    }, inbound.id);
+    
+    // STOP / START / HELP are answered here and never reach the AI
+    const keyword = consentService.detectKeyword(Body);
+    if (keyword) {
+      const reply = await runWebhookStep(res, 'keyword_reply', async () => {
+        const keywordReply = await consentService.handleKeyword(lead, keyword, Body);
+        await smsService.sendSMS(From, keywordReply, organization.id, { complianceReply: true });
+        return keywordReply;
+      });
+      
+      broadcastToClients({
+        type: 'sms_received',
+        organization_id: organization.id,
+        lead_id: lead.id,
+        message: Body,
+        phone_number: From,
+        ai_response: reply
+      });
+      
+      return res.status(200).send('Keyword processed');
+    }
+    
+    // Opted-out customers can still write in, but nothing goes back
+    if (lead.sms_opted_out) {
+      broadcastToClients({
+        type: 'sms_received',
+        organization_id: organization.id,
+        lead_id: lead.id,
+        message: Body,
+        phone_number: From
+      });
+      
+      logger.info('SMS from opted-out lead, not replying:', { lead_id: lead.id });
+      return res.status(200).send('Lead opted out');
+    }
+    
+    // CANCEL / RESCHEDULE replies act on the customer's appointment directly
+    const appointmentReply = await runWebhookStep(res, 'appointment_reply', async () => {
+      const handled = await appointmentService.handleSMSReply(lead, Body);
+      if (handled.handled && handled.reply) {
+        await smsService.sendSMS(From, handled.reply, organization.id);
+      }
+      return handled;
     });
+    if (appointmentReply.handled) {
+      broadcastToClients({
+        type: 'sms_received',
+        organization_id: organization.id,
+        lead_id: lead.id,
+        message: Body,
+        phone_number: From,
+        ai_response: appointmentReply.reply
+      });
+      
+      return res.status(200).send('Appointment reply processed');
+    }
     
-    // Check if under human control
-    if (await humanControlService.isUnderHumanControl(lead.id)) {
-      // Queue for human agent
-      await humanControlService.queueMessage(lead.id, Body);
+    // Held by a staff member, or waiting for one after asking for a person:
+    // the AI stays out and the text waits for whoever has the conversation
+    const heldByHuman = await humanControlService.isUnderHumanControl(lead.id);
+    if (heldByHuman || await humanControlService.isWaitingForHuman(organization.id, lead.id)) {
+      await runWebhookStep(res, 'human_queue', () => humanControlService.queueMessage(lead.id, Body));
       
       // Broadcast to dashboard
       broadcastToClients({
         type: 'sms_received_human_queue',
+        organization_id: organization.id,
         lead_id: lead.id,
         message: Body,
-        phone_number: From
+        phone_number: From,
+        assigned: heldByHuman
       });
       
-      logger.info('SMS queued for human agent:', { lead_id: lead.id });
+      logger.info('SMS queued for human agent:', { lead_id: lead.id, assigned: heldByHuman });
       return res.status(200).send('Queued for human agent');
     }
     
-    // Process with AI (simplified response for now)
-    const aiResponse = await generateAIResponse(Body, lead);
+    // "Can I talk to a person?" joins the handoff queue instead of the AI
+    if (humanControlService.isHumanRequest(Body)) {
+      const settings = organizationService.resolveSettings(organization);
+      const reply = humanControlService.humanRequestReply(settings);
+      await runWebhookStep(res, 'human_request', async () => {
+        await humanControlService.escalate(lead, 'asked_for_human', Body);
+        await smsService.sendSMS(From, reply, organization.id);
+        return true;
+      });
+      
+      broadcastToClients({
+        type: 'sms_received',
+        organization_id: organization.id,
+        lead_id: lead.id,
+        message: Body,
+        phone_number: From,
+        ai_response: reply
+      });
+      
+      return res.status(200).send('Queued for human agent');
+    }
     
-    // Send SMS reply
-    await smsService.sendSMS(From, aiResponse, organization.id);
+    // Process with AI, or whichever responder the organization falls back to
+    const reply = await runWebhookStep(res, 'ai_reply', async () => {
+      const aiReply = await smsResponders.reply(Body, lead, organizationService.resolveSettings(organization));
+      await conversationService.updateMetadata(inbound, {
+        responder: aiReply.responder,
+        ...(aiReply.conversationId ? { elevenlabs_conversation_id: aiReply.conversationId } : {})
+      });
+      
+      // Texts sent in a burst are answered once, by the request that started the turn
+      if (!aiReply.replying) return aiReply;
+      
+      // The agent can answer in several messages; each goes out as its own text
+      for (const part of aiReply.parts) {
+        await smsService.sendSMS(From, part, organization.id, {
+          metadata: {
+            responder: aiReply.responder,
+            ...(aiReply.conversationId ? { elevenlabs_conversation_id: aiReply.conversationId } : {}),
+            ai_latency_ms: aiReply.latencyMs
+          }
+        });
+      }
+      return aiReply;
+    });
+    if (!reply.replying) {
+      return res.status(200).send('Message coalesced');
+    }
     
     // Broadcast to dashboard
     broadcastToClients({
       type: 'sms_received',
+      organization_id: organization.id,
       lead_id: lead.id,
       message: Body,
       phone_number: From,
-      ai_response: aiResponse
+      ai_response: reply.parts.join('\n'),
+      responder: reply.responder
     });
     
     res.status(200).send('Message processed');
   } catch (error) {
     logger.error('Error handling incoming SMS:', error);
+    res.locals.webhookError = error;
     res.status(500).send('Internal Server Error');
   }
 }
 
 export async function handleSMSStatus(req: Request, res: Response) {
   try {
-    const { MessageSid, MessageStatus, To } = req.body;
+    const { MessageSid, MessageStatus, To, ErrorCode, ErrorMessage } = req.body;
     
     logger.info('SMS status update:', { 
       messageSid: MessageSid, 
       status: MessageStatus,
+      errorCode: ErrorCode,
       to: To 
     });
     
-    // Update SMS status in database if needed
-    // This can be used for delivery confirmation
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).send('Missing MessageSid or MessageStatus');
+    }
+    
+    await smsDeliveryService.handleStatusUpdate({
+      messageSid: MessageSid,
+      status: MessageStatus,
+      errorCode: ErrorCode ? String(ErrorCode) : undefined,
+      errorMessage: ErrorMessage
+    });
     
     res.status(200).send('OK');
   } catch (error) {
     logger.error('Error handling SMS status:', error);
+    res.locals.webhookError = error;
     res.status(500).send('Internal Server Error');
   }
 }
-
-
-// Get today's business hours
-function getTodaysHours(): string {
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const today = days[new Date().getDay()];
-  const hours = businessHours[today as keyof typeof businessHours];
-  
-  if (hours.open === 'closed') {
-    return `Closed today. We're open Monday-Friday 9am-6pm (Thu-Fri until 8pm), Saturday 10am-5pm`;
-  }
-  
-  return `Today: ${hours.open} - ${hours.close}`;
-}
-
-// Generate AI response using ElevenLabs Conversational AI WebSocket
-async function generateAIResponse(message: string, lead: any): Promise<string> {
-  try {
-    // Build comprehensive conversation context
-    const conversationContext = await buildConversationContext(lead.id);
-    const previousSummary = await conversationService.getLatestSummary(lead.id);
-    
-    logger.info('Generating ElevenLabs SMS response:', {
-      lead_id: lead.id,
-      customer_name: lead.customer_name,
-      message_preview: message.substring(0, 50),
-      has_context: !!conversationContext,
-      context_length: conversationContext?.length || 0,
-      has_previous_summary: !!previousSummary,
-      summary_text: previousSummary?.summary?.substring(0, 100) || 'none'
-    });
-    
-    // Use ElevenLabs WebSocket for text conversation
-    return await generateElevenLabsTextResponse(message, lead, conversationContext, previousSummary);
-
-  } catch (error) {
-    logger.error('Error generating ElevenLabs AI response:', error);
-    return generateFallbackResponse(message, lead);
-  }
-}
-
-// Generate ElevenLabs text response using WebSocket API
-async function generateElevenLabsTextResponse(
-  message: string, 
-  lead: any, 
-  conversationContext: string, 
-  previousSummary: any
-): Promise<string> {
-  return new Promise((resolve, reject) => {
-    const timeoutMs = 30000; // 30 second timeout
-    let responseReceived = false;
-    let isFirstResponse = true; // Track if this is the first agent response (greeting)
-    let conversationStarted = false;
-
-    // Create WebSocket connection to ElevenLabs
-    const wsUrl = `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${process.env.ELEVENLABS_AGENT_ID}`;
-    const ws = new WebSocket(wsUrl, {
-      headers: {
-        'xi-api-key': process.env.ELEVENLABS_API_KEY!
-      }
-    });
-
-    const timeout = setTimeout(() => {
-      if (!responseReceived) {
-        ws.close();
-        reject(new Error('ElevenLabs WebSocket timeout'));
-      }
-    }, timeoutMs);
-
-    ws.on('open', async () => {
-      logger.info('ElevenLabs WebSocket connected for SMS');
-      
-      // Generate greeting context for dynamic first message
-      const greetingContext = generateGreetingContext(lead);
-      
-      // Create the complete dynamic greeting that the agent expects using the comprehensive function (AWAIT THE PROMISE!)
-      const dynamicGreeting = await createDynamicGreeting(lead, new Date().toISOString(), new Date().toLocaleDateString('en-US', { weekday: 'long' }), getTodaysHours());
-      
-      // Create SMS-specific greeting (simpler than voice)
-      const smsGreeting = lead.customer_name 
-        ? `Hi ${lead.customer_name.split(' ')[0]}! I'm Ryder from BICI Bike Store. How can I help you today?`
-        : `Hi there! I'm Ryder from BICI Bike Store. How can I help you today?`;
-      
-      // Send conversation initialization - fixed format to prevent "invalid message" error
-      const initMessage = {
-        type: 'conversation_initiation_client_data',
-        dynamic_variables: {
-          // Customer info (sanitized)
-          customer_name: (lead.customer_name || 'Unknown').substring(0, 50),
-          customer_phone: lead.phone_number,
-          lead_status: lead.status || 'new',
-          bike_interest: typeof lead.bike_interest === 'string' ? lead.bike_interest : JSON.stringify(lead.bike_interest || {}),
-          
-          // Conversation context (keep more context for SMS but still limit size)  
-          conversation_context: (conversationContext || '').substring(0, 1500),
-          previous_summary: (previousSummary?.summary || 'First interaction').substring(0, 500),
-          
-          // Store info and timing context (like voice calls)
-          organization_name: 'BICI Bike Store',
-          location_address: storeInfo.address,
-          business_hours: getTodaysHours(),
-          current_time: new Date().toLocaleString('en-US', { 
-            timeZone: 'America/Los_Angeles',
-            timeStyle: 'short'
-          }),
-          current_day: new Date().toLocaleDateString('en-US', { 
-            timeZone: 'America/Los_Angeles',
-            weekday: 'long' 
-          }),
-          
-          // Additional context (sanitized)
-          last_interaction_date: lead.last_contact_at || new Date().toISOString(),
-          customer_sentiment: lead.sentiment || 'neutral',
-          
-          // CRITICAL: Use the properly generated SMS greeting
-          dynamic_greeting: smsGreeting,
-          
-          // Add greeting context (sanitized)
-          ...Object.entries(greetingContext || {}).reduce((acc, [key, value]) => {
-            acc[key] = typeof value === 'string' ? value.substring(0, 100) : String(value);
-            return acc;
-          }, {} as any),
-          
-          // Add rich customer context like voice calls
-          interaction_count: String(await conversationService.getConversationCount(lead.id) || 0),
-          last_contact: lead.last_contact_at ? new Date(lead.last_contact_at).toLocaleDateString() : 'First contact',
-          customer_history: previousSummary?.summary || 'New customer',
-          qualification_status: lead.qualification_data?.ready_to_buy ? 'ready to purchase' : 'exploring options',
-          
-          // Move client context into dynamic_variables (valid location)
-          channel: 'sms',
-          lead_id: lead.id,
-          organization_id: lead.organization_id
-        }
-      };
-      
-      logger.info('Sending SMS initMessage to ElevenLabs:', {
-        messageType: initMessage.type,
-        messageSize: JSON.stringify(initMessage).length,
-        hasCustomerName: !!initMessage.dynamic_variables.customer_name,
-        hasDynamicGreeting: !!initMessage.dynamic_variables.dynamic_greeting,
-        contextLength: initMessage.dynamic_variables.conversation_context?.length || 0,
-        summaryLength: initMessage.dynamic_variables.previous_summary?.length || 0,
-        greetingText: initMessage.dynamic_variables.dynamic_greeting,
-        customerName: initMessage.dynamic_variables.customer_name
-      });
-      
-      // Log the context preview for debugging
-      logger.info('SMS Context Preview:', {
-        conversation_context_preview: initMessage.dynamic_variables.conversation_context?.substring(0, 200) + '...',
-        previous_summary_preview: initMessage.dynamic_variables.previous_summary?.substring(0, 100) + '...',
-        lead_status: initMessage.dynamic_variables.lead_status,
-        bike_interest: initMessage.dynamic_variables.bike_interest
-      });
-      
-      ws.send(JSON.stringify(initMessage));
-      conversationStarted = true;
-    });
-
-    ws.on('message', (data) => {
-      try {
-        const response = JSON.parse(data.toString());
-        logger.info('ElevenLabs WebSocket response:', { 
-          type: response.type,
-          isFirstResponse,
-          hasAgentResponse: !!response.agent_response_event?.agent_response,
-          hasError: !!response.error
-        });
-
-        // Check for errors - this is likely where "invalid message" comes from
-        if (response.error) {
-          logger.error('ElevenLabs SMS WebSocket error - THIS IS THE INVALID MESSAGE ERROR:', {
-            error: response.error,
-            fullResponse: JSON.stringify(response, null, 2),
-            originalMessage: message,
-            customerName: lead.customer_name,
-            leadId: lead.id
-          });
-          clearTimeout(timeout);
-          ws.close();
-          reject(new Error(response.error.message || 'ElevenLabs error'));
-          return;
-        }
-
-        // Handle conversation initiation - critical delay pattern from Jack Automotive
-        if (response.type === 'conversation_initiation_metadata') {
-          logger.info('Conversation initialized successfully. Adding delay for dynamic variable processing...');
-          
-          // Critical delay to allow ElevenLabs to process dynamic variables
-          setTimeout(() => {
-            logger.info('Sending user message after dynamic variable processing delay');
-            const userMessage = {
-              type: 'user_message',
-              text: message
-            };
-            ws.send(JSON.stringify(userMessage));
-            logger.info('Sent user message to ElevenLabs:', { 
-              message: message.substring(0, 50),
-              customer_name: lead.customer_name 
-            });
-          }, 1500); // Use Jack Automotive's delay timing
-        }
-
-        // Handle agent response
-        if (response.type === 'agent_response' && response.agent_response_event?.agent_response) {
-          const aiResponse = response.agent_response_event.agent_response;
-          
-          // For SMS: Only take the response to the user's actual message, not the initial greeting
-          if (isFirstResponse) {
-            isFirstResponse = false;
-            logger.info('Received initial agent greeting (will wait for response to user message):', { 
-              greeting_preview: aiResponse.substring(0, 100)
-            });
-            return; // Skip initial greeting, wait for response to user message
-          }
-          
-          // This is the agent's response to the user's message
-          responseReceived = true;
-          clearTimeout(timeout);
-          ws.close();
-          
-          logger.info('Received ElevenLabs SMS response to user message:', { 
-            response_preview: aiResponse.substring(0, 100),
-            response_length: aiResponse.length,
-            lead_id: lead.id,
-            customer_name: lead.customer_name
-          });
-          
-          resolve(aiResponse);
-        }
-      } catch (error) {
-        logger.error('Error parsing ElevenLabs WebSocket response:', error);
-      }
-    });
-
-    ws.on('error', (error) => {
-      logger.error('ElevenLabs WebSocket error:', error);
-      clearTimeout(timeout);
-      reject(error);
-    });
-
-    ws.on('close', () => {
-      logger.info('ElevenLabs WebSocket closed');
-      clearTimeout(timeout);
-      if (!responseReceived) {
-        reject(new Error('WebSocket closed without proper response'));
-      }
-    });
-  });
-}
-
-// Fallback response for errors
-function generateFallbackResponse(message: string, lead: any): string {
-  const customerName = lead.customer_name || '';
-  const greeting = customerName ? `Hi ${customerName}! ` : 'Hi! ';
-  
-  return `${greeting}Thanks for your message! For the quickest help, please call us at ${storeInfo.phone}. We're here ${getTodaysHours()}!`;
-}
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { WebhookSource } from '../types';
+
+type FieldType = 'string' | 'number' | 'object' | 'array';
+
+// [path, type, required]; paths are dotted, e.g. data.conversation_id
+type FieldRule = [string, FieldType, boolean?];
+
+// The rules for a payload; a function when they depend on the payload's own type
+type WebhookSchema = FieldRule[] | ((body: Record<string, any>) => FieldRule[]);
+
+const SCHEMAS: Record<string, WebhookSchema> = {
+  'elevenlabs/post-call': body => {
+    if (body.type === 'post_call_transcription') {
+      return [
+        ['data', 'object', true],
+        ['data.conversation_id', 'string', true],
+        ['data.transcript', 'array'],
+        ['data.metadata', 'object'],
+        ['data.analysis', 'object'],
+        ['data.conversation_initiation_client_data', 'object']
+      ];
+    }
+    if (body.type === 'call_initiation_failure') {
+      return [['data', 'object', true], ['data.conversation_id', 'string', true]];
+    }
+    // Legacy format: fields at the root or under data
+    return [['data', 'object'], ['transcript', 'array'], ['analysis', 'object'], ['metadata', 'object']];
+  },
+  'elevenlabs/conversation-initiation': [
+    ['data', 'object'],
+    ['conversation_initiation_client_data', 'object']
+  ],
+  'twilio/sms': [
+    ['From', 'string', true],
+    ['To', 'string', true],
+    ['Body', 'string', true],
+    ['MessageSid', 'string', true]
+  ],
+  'twilio/sms/status': [
+    ['MessageSid', 'string', true],
+    ['MessageStatus', 'string', true]
+  ],
+  'email/inbound': [
+    ['subject', 'string'],
+    ['text', 'string'],
+    ['html', 'string'],
+    ['headers', 'object']
+  ]
+};
+
+function typeOf(value: any): FieldType | 'other' {
+  if (Array.isArray(value)) return 'array';
+  if (value !== null && typeof value === 'object') return 'object';
+  if (typeof value === 'string' || typeof value === 'number') return typeof value as FieldType;
+  return 'other';
+}
+
+/**
+ * Check a webhook payload's shape before it's processed. Every payload must
+ * be an object; endpoints without a schema accept any object.
+ */
+export function validateWebhookPayload(source: WebhookSource, endpoint: string, body: unknown): string[] {
+  if (typeOf(body) !== 'object') {
+    return ['payload must be a JSON object'];
+  }
+
+  const schema = SCHEMAS[`${source}/${endpoint}`];
+  const rules = typeof schema === 'function' ? schema(body as Record<string, any>) : schema || [];
+  const errors: string[] = [];
+
+  for (const [path, type, required] of rules) {
+    const value = path.split('.').reduce((current: any, key) => (current == null ? undefined : current[key]), body);
+    if (value === undefined || value === null) {
+      if (required) errors.push(`${path} is required`);
+    } else if (typeOf(value) !== type) {
+      errors.push(`${path} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+    }
+  }
+  return errors;
+}